@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Content Refresh Worker
+ * Drains refresh_queue outside the web server process
+ *
+ * Usage:
+ *   node bin/refresh-worker.js          Run on the configured cron schedules
+ *   node bin/refresh-worker.js --once   Process one batch, update staleness scores and exit
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+import { Logger } from '../src/lib/services/logger.js';
+import { createRefreshQueueWorker } from '../src/lib/services/refresh-queue-worker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.PUBLIC_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceRoleKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+  process.exit(1);
+}
+
+const logger = new Logger({ service: 'refresh-worker' });
+const supabase = createClient(supabaseUrl, serviceRoleKey, {
+  auth: { autoRefreshToken: false, persistSession: false }
+});
+
+const worker = createRefreshQueueWorker(supabase, logger, {
+  workerId: process.env.REFRESH_WORKER_ID,
+  batchSize: parseInt(process.env.REFRESH_WORKER_BATCH_SIZE) || undefined,
+  pollSchedule: process.env.REFRESH_WORKER_SCHEDULE,
+  stalenessSchedule: process.env.REFRESH_STALENESS_SCHEDULE
+});
+
+if (process.argv.includes('--once')) {
+  try {
+    const summary = await worker.processBatch();
+    const updated = await worker.refreshStalenessScores();
+    console.log('✅ Refresh batch processed:', { ...summary, stalenessScoresUpdated: updated });
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Refresh batch failed:', error.message);
+    process.exit(1);
+  }
+}
+
+worker.start();
+
+const shutdown = signal => {
+  console.log(`Received ${signal}, stopping refresh worker`);
+  worker.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Submission Fingerprint Backfill
+ * Computes near-duplicate fingerprints for submissions created before
+ * 040_near_duplicates.sql and records the matches moderators see
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+import { createNearDuplicateService } from '../src/lib/services/near-duplicate-service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceRoleKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, serviceRoleKey, {
+  auth: { autoRefreshToken: false, persistSession: false }
+});
+
+try {
+  const { processed, matched } = await createNearDuplicateService(supabase).backfill();
+  console.log(`✅ Fingerprinted ${processed} submissions, ${matched} with near-duplicates`);
+} catch (error) {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+}
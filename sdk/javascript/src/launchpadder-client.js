@@ -178,6 +178,13 @@ class LaunchPadderClient {
     return this.request('PUT', endpoint, data, options);
   }
 
+  /**
+   * PATCH request
+   */
+  async patch(endpoint, data, options = {}) {
+    return this.request('PATCH', endpoint, data, options);
+  }
+
   /**
    * DELETE request
    */
@@ -397,6 +404,47 @@ class WebhooksAPI {
     return this.client.post('webhooks', webhookData);
   }
 
+  /**
+   * Get webhook
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object>} Webhook details
+   */
+  async get(id) {
+    return this.client.get(`webhooks/${id}`);
+  }
+
+  /**
+   * Update webhook
+   * @param {string} id - Webhook ID
+   * @param {Object} updates - url, events, status, description or rotate_secret
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async update(id, updates) {
+    return this.client.patch(`webhooks/${id}`, updates);
+  }
+
+  /**
+   * List webhook deliveries
+   * @param {string} id - Webhook ID
+   * @param {Object} [params] - Query parameters (status, limit, offset)
+   * @returns {Promise<Object>} Deliveries list
+   */
+  async deliveries(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `webhooks/${id}/deliveries?${queryString}` : `webhooks/${id}/deliveries`;
+    return this.client.get(endpoint);
+  }
+
+  /**
+   * Redeliver a webhook delivery
+   * @param {string} id - Webhook ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object>} New delivery
+   */
+  async redeliver(id, deliveryId) {
+    return this.client.post(`webhooks/${id}/deliveries/${deliveryId}/redeliver`, {});
+  }
+
   /**
    * Delete webhook
    * @param {string} id - Webhook ID
@@ -0,0 +1,16 @@
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '$lib/i18n/locales.js';
+
+/**
+ * Serve localized paths (/es/launches) from the unprefixed routes. The locale
+ * itself is read from the path in hooks.server.js.
+ * @param {Object} params - SvelteKit reroute parameters
+ * @param {URL} params.url - The requested URL
+ * @returns {string|undefined} Route path to resolve instead
+ */
+export function reroute({ url }) {
+  const [, locale, ...rest] = url.pathname.split('/');
+
+  if (locale !== DEFAULT_LOCALE && SUPPORTED_LOCALES.includes(locale)) {
+    return `/${rest.join('/')}`;
+  }
+}
@@ -1,7 +1,19 @@
 import { detectLocaleFromPath, validateLocale, DEFAULT_LOCALE, SUPPORTED_LOCALES } from '$lib/i18n/index.js';
 import { createRequestTracingMiddleware } from '$lib/middleware/request-tracing.js';
+import { createRateLimitMiddleware, createPartnerResolver, createApiKeyResolver, resolveRateLimitIdentity } from '$lib/middleware/rate-limit.js';
+import { createApiV1AuthMiddleware } from '$lib/middleware/api-v1-auth.js';
+import { getRateLimiter } from '$lib/services/rate-limiter.js';
+import { createApiKeyService } from '$lib/services/api-key-service.js';
 import { errorHandler } from '$lib/services/error-handler.js';
 import { logger } from '$lib/services/logger.js';
+import { createRefreshQueueWorker } from '$lib/services/refresh-queue-worker.js';
+import { createLaunchScheduleService, LaunchPublisher } from '$lib/services/launch-schedule-service.js';
+import { getSitemapPinger } from '$lib/services/sitemap-service.js';
+import { createLeaderboardService, LeaderboardCloser } from '$lib/services/leaderboard-service.js';
+import { BadgeService } from '$lib/services/badge-service.js';
+import { getNotificationService, NotificationOutboxWorker } from '$lib/services/notification-service.js';
+import { createWebhookService, WebhookRetryWorker } from '$lib/services/webhook-service.js';
+import { building } from '$app/environment';
 import { createClient } from '@supabase/supabase-js';
 
 // Create request tracing middleware
@@ -13,6 +25,80 @@ const requestTracing = createRequestTracingMiddleware({
   sensitiveHeaders: ['authorization', 'cookie', 'x-api-key', 'x-auth-token']
 });
 
+// Rate limit every API route with the policies in rate_limit_configs
+let resolvePartner;
+let resolveApiKey;
+const rateLimit = createRateLimitMiddleware({
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  getLimiter: () => getRateLimiter({ logger }),
+  resolveIdentity: async (event) => {
+    const limiter = await getRateLimiter({ logger });
+    if (resolvePartner === undefined) {
+      resolvePartner = limiter.supabase ? createPartnerResolver(limiter.supabase) : null;
+      resolveApiKey = limiter.supabase ? createApiKeyResolver(createApiKeyService(limiter.supabase)) : null;
+    }
+    return resolveRateLimitIdentity(event, { resolvePartner, resolveApiKey });
+  }
+});
+
+// Authenticate v1 API callers and enforce API key scopes
+const apiV1Auth = createApiV1AuthMiddleware();
+
+// Background jobs that need the service role: draining the content refresh
+// queue (when configured to run inline), taking scheduled launches live,
+// closing leaderboard periods, sending queued emails and retrying webhook
+// deliveries
+if (!building) {
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+  const workerSupabase = serviceRoleKey
+    ? createClient(
+      process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL,
+      serviceRoleKey,
+      { auth: { autoRefreshToken: false, persistSession: false } }
+    )
+    : null;
+  const notificationService = getNotificationService({ logger });
+
+  // Drain the content refresh queue inside the server process when configured
+  // (run bin/refresh-worker.js instead to process the queue separately)
+  if (process.env.REFRESH_WORKER_MODE === 'inline') {
+    if (workerSupabase) {
+      createRefreshQueueWorker(workerSupabase, logger).start();
+    } else {
+      logger.warn('REFRESH_WORKER_MODE=inline requires SUPABASE_SERVICE_ROLE_KEY; refresh worker not started');
+    }
+  }
+
+  // Publishing is idempotent, so every server process may run it
+  if (workerSupabase && process.env.LAUNCH_PUBLISHER !== 'off') {
+    const scheduleService = createLaunchScheduleService(workerSupabase, {
+      sitemapPinger: getSitemapPinger(workerSupabase, { logger })
+    });
+    new LaunchPublisher(scheduleService, logger).start();
+  }
+
+  // Closing a period is idempotent as well
+  if (workerSupabase && process.env.LEADERBOARD_CLOSER !== 'off') {
+    const leaderboardService = createLeaderboardService(workerSupabase, {
+      badgeService: new BadgeService(workerSupabase, { notificationService }),
+      logger
+    });
+    new LeaderboardCloser(leaderboardService, logger).start();
+  }
+
+  // Claiming an email before sending it keeps concurrent workers from
+  // sending it twice
+  if (notificationService && process.env.EMAIL_OUTBOX_WORKER !== 'off') {
+    new NotificationOutboxWorker(notificationService, logger).start();
+  }
+
+  // Retries are claimed before they are attempted, so every server process
+  // may run the worker
+  if (workerSupabase && process.env.WEBHOOK_RETRY_WORKER !== 'off') {
+    new WebhookRetryWorker(createWebhookService(workerSupabase), logger).start();
+  }
+}
+
 /**
  * Handle incoming requests with comprehensive logging, monitoring, and i18n routing
  * @param {Object} params - SvelteKit handle parameters
@@ -111,9 +197,11 @@ export async function handle({ event, resolve }) {
       } else {
         // No locale in path - check if we should redirect to a localized path
         
-        // Skip locale detection for API routes, static assets, and special routes
+        // Skip locale detection for API routes, embeds (which take ?locale=), Open Badges documents, static assets, and special routes
         if (
           pathname.startsWith('/api/') ||
+          pathname.startsWith('/embed/') ||
+          pathname.startsWith('/openbadges/') ||
           pathname.startsWith('/_app/') ||
           pathname.startsWith('/static/') ||
           pathname.includes('.') ||
@@ -122,7 +210,12 @@ export async function handle({ event, resolve }) {
           pathname === '/sitemap.xml'
         ) {
           event.locals.locale = DEFAULT_LOCALE;
-          return resolve(event);
+          return rateLimit({
+            event,
+            resolve: pathname.startsWith('/api/v1/')
+              ? (event) => apiV1Auth({ event, resolve })
+              : resolve
+          });
         }
         
         // Try to detect locale from Accept-Language header
@@ -0,0 +1,10 @@
+/**
+ * Feed formats and their content types
+ * Kept free of server-only imports: the [format=feed] param matcher also runs
+ * in the browser.
+ */
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
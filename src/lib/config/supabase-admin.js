@@ -0,0 +1,24 @@
+/**
+ * Service-role Supabase client for server code that has to bypass row-level
+ * security (federation peers, API keys, admin exports). It sees every row, so
+ * callers scope each query to the caller themselves.
+ */
+import { createClient } from '@supabase/supabase-js';
+
+let serviceClient;
+
+/**
+ * Shared service-role client (SUPABASE_SERVICE_ROLE_KEY)
+ * @returns {SupabaseClient|null} Client, or null when not configured
+ */
+export function getServiceSupabase() {
+  if (serviceClient === undefined) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+
+    serviceClient = serviceRoleKey && supabaseUrl
+      ? createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } })
+      : null;
+  }
+  return serviceClient;
+}
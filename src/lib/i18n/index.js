@@ -1,9 +1,8 @@
 import { browser } from '$app/environment';
 import { init, register, locale, waitLocale } from 'svelte-i18n';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from './locales.js';
 
-// Supported languages
-export const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de'];
-export const DEFAULT_LOCALE = 'en';
+export { SUPPORTED_LOCALES, DEFAULT_LOCALE };
 
 // Language metadata
 export const LOCALE_METADATA = {
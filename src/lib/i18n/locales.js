@@ -0,0 +1,21 @@
+// Locale constants and path helpers, kept free of svelte-i18n so server
+// services can use them without the browser runtime
+
+// Supported languages
+export const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de'];
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Prefix a path with its locale, leaving the default locale unprefixed
+ * (the scheme getLocalizedPath follows)
+ * @param {string} path - Unlocalized path, may include a query string
+ * @param {string} locale - Locale code
+ * @param {string} defaultLocale - Locale served without a prefix
+ * @returns {string} Localized path
+ */
+export function localizePath(path, locale, defaultLocale = DEFAULT_LOCALE) {
+  if (!locale || locale === defaultLocale) {
+    return path;
+  }
+  return path === '/' ? `/${locale}` : `/${locale}${path}`;
+}
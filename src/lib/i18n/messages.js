@@ -0,0 +1,40 @@
+// Locale messages for server-side rendering outside svelte-i18n (emails),
+// imported statically so Vite bundles them into the server build
+
+import en from './locales/en.json';
+import es from './locales/es.json';
+import fr from './locales/fr.json';
+import de from './locales/de.json';
+import { DEFAULT_LOCALE } from './locales.js';
+
+const MESSAGES = { en, es, fr, de };
+
+/**
+ * Look up a message by dotted key, falling back to the default locale
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key, e.g. 'emails.badgeAwarded.subject'
+ * @returns {*} Message (string or nested object), or undefined when missing everywhere
+ */
+export function getMessage(locale, key) {
+  const lookup = (messages) => key.split('.').reduce((node, part) => node?.[part], messages);
+  const message = lookup(MESSAGES[locale]);
+  return message === undefined ? lookup(MESSAGES[DEFAULT_LOCALE]) : message;
+}
+
+/**
+ * Translate a message and fill its {placeholders}
+ * Unknown placeholders are left as written; missing keys return the key.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Translated message
+ */
+export function translate(locale, key, values = {}) {
+  const message = getMessage(locale, key);
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] === undefined || values[name] === null ? placeholder : String(values[name])
+  );
+}
@@ -0,0 +1,265 @@
+/**
+ * API v1 Authentication Middleware
+ *
+ * Handles CORS and authentication for all v1 API endpoints and sets
+ * locals.auth. Callers authenticate with a federation partner or user JWT
+ * (Authorization: Bearer), a federation partner key (X-API-Key: fed_key_...)
+ * or a self-service API key (X-API-Key or Bearer lp_...). Self-service keys are
+ * limited to the scopes they were issued with and their usage is logged per
+ * key. Rate limits are applied separately from hooks.server.js.
+ */
+
+import { json } from '@sveltejs/kit';
+import jwt from 'jsonwebtoken';
+import { createApiKeyService, getRequiredScope, hasScope, isApiKey } from '../services/api-key-service.js';
+import { logger } from '../services/logger.js';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After'
+};
+
+// Readable without credentials; writes still require authentication
+const PUBLIC_READ_ENDPOINTS = [
+  '/api/v1/federation/info',
+  '/api/v1/federation/directories',
+  '/api/v1/federation/instances'
+];
+
+// Exchanges a partner key in the request body for a token
+const TOKEN_ENDPOINT = '/api/v1/auth/token';
+
+/**
+ * Build a JSON error response in the v1 format
+ * @private
+ */
+function errorResponse(status, error, code) {
+  return json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  }, {
+    status,
+    headers: CORS_HEADERS
+  });
+}
+
+/**
+ * Verify JWT token and get user/partner info
+ * @private
+ */
+async function verifyToken(supabase, token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    if (decoded.type === 'federation_partner') {
+      const { data: partner, error } = await supabase
+        .from('federation_partners')
+        .select('*')
+        .eq('id', decoded.partner_id)
+        .eq('status', 'active')
+        .single();
+
+      if (error || !partner) {
+        return { error: 'Invalid partner token' };
+      }
+
+      return {
+        type: 'federation_partner',
+        partner,
+        tier: partner.tier || 'basic'
+      };
+    }
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error || !user) {
+      return { error: 'Invalid user token' };
+    }
+
+    return {
+      type: 'user',
+      user,
+      tier: 'basic' // Users get basic tier by default
+    };
+  } catch (error) {
+    return { error: 'Invalid token' };
+  }
+}
+
+/**
+ * Verify a federation partner key
+ * @private
+ */
+async function verifyPartnerKey(supabase, apiKey) {
+  const { data: partner, error } = await supabase
+    .from('federation_partners')
+    .select('*')
+    .eq('api_key', apiKey)
+    .eq('status', 'active')
+    .single();
+
+  if (error || !partner) {
+    return { error: 'Invalid API key' };
+  }
+
+  return {
+    type: 'federation_partner',
+    partner,
+    tier: partner.tier || 'basic'
+  };
+}
+
+/**
+ * Verify a self-service API key
+ * @private
+ */
+async function verifySelfServiceKey(apiKeyService, key) {
+  const apiKey = await apiKeyService.authenticate(key);
+  if (!apiKey) {
+    return { error: 'Invalid or expired API key' };
+  }
+
+  return {
+    type: 'api_key',
+    user: { id: apiKey.user_id },
+    apiKey,
+    scopes: apiKey.scopes,
+    tier: 'basic'
+  };
+}
+
+/**
+ * Add CORS headers to a response
+ * @private
+ */
+function withCors(response) {
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(CORS_HEADERS)) {
+    headers.set(name, value);
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Create the API v1 authentication middleware
+ * @param {Object} [options] - Middleware options
+ * @param {Function} [options.getSupabase] - async () => Supabase client
+ * @param {Function} [options.getApiKeyService] - (supabase) => ApiKeyService, or a promise of one
+ * @returns {Function} async ({ event, resolve }) => Response
+ */
+export function createApiV1AuthMiddleware(options = {}) {
+  const {
+    getSupabase = async () => (await import('../config/supabase.js')).supabase,
+    getApiKeyService = (supabase) => createApiKeyService(supabase)
+  } = options;
+
+  return async ({ event, resolve }) => {
+    const { request, url } = event;
+    const method = request.method;
+
+    if (method === 'OPTIONS') {
+      return new Response(null, {
+        status: 200,
+        headers: {
+          ...CORS_HEADERS,
+          'Access-Control-Max-Age': '86400'
+        }
+      });
+    }
+
+    const startTime = Date.now();
+    const isRead = method === 'GET' || method === 'HEAD';
+    const isPublic = url.pathname.startsWith(TOKEN_ENDPOINT) ||
+      (isRead && PUBLIC_READ_ENDPOINTS.some(endpoint => url.pathname.startsWith(endpoint)));
+
+    let authInfo = null;
+    let apiKeyService = null;
+
+    try {
+      if (!isPublic) {
+        const supabase = await getSupabase();
+        const authHeader = request.headers.get('authorization');
+        const bearer = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+        const apiKey = request.headers.get('x-api-key');
+        const selfServiceKey = isApiKey(apiKey) ? apiKey : isApiKey(bearer) ? bearer : null;
+
+        if (selfServiceKey) {
+          apiKeyService = await getApiKeyService(supabase);
+          authInfo = await verifySelfServiceKey(apiKeyService, selfServiceKey);
+        } else if (bearer) {
+          authInfo = await verifyToken(supabase, bearer);
+        } else if (apiKey) {
+          authInfo = await verifyPartnerKey(supabase, apiKey);
+        } else {
+          return errorResponse(401, 'Authentication required', 'UNAUTHORIZED');
+        }
+
+        if (authInfo.error) {
+          return errorResponse(401, authInfo.error, 'UNAUTHORIZED');
+        }
+
+        if (authInfo.type === 'api_key') {
+          const requiredScope = getRequiredScope(url.pathname, method);
+          if (!hasScope(authInfo.scopes, requiredScope)) {
+            const response = errorResponse(
+              403,
+              requiredScope
+                ? `API key is missing the ${requiredScope} scope`
+                : 'API keys cannot be used for this endpoint',
+              'INSUFFICIENT_SCOPE'
+            );
+            logKeyUsage(apiKeyService, authInfo.apiKey, event, response.status, startTime);
+            return response;
+          }
+        }
+      }
+
+      event.locals.auth = authInfo;
+
+      const response = await resolve(event);
+
+      if (authInfo?.type === 'api_key') {
+        logKeyUsage(apiKeyService, authInfo.apiKey, event, response.status, startTime);
+      }
+
+      // Add CORS headers to successful responses
+      return response.status < 400 ? withCors(response) : response;
+
+    } catch (error) {
+      logger.error('API v1 middleware error', { error: error.message, pathname: url.pathname });
+      return errorResponse(500, 'Internal server error', 'INTERNAL_ERROR');
+    }
+  };
+}
+
+/**
+ * Record a request made with a self-service key without delaying the response
+ * @private
+ */
+function logKeyUsage(apiKeyService, apiKey, event, statusCode, startTime) {
+  let ipAddress = null;
+  try {
+    ipAddress = event.getClientAddress();
+  } catch {
+    // Not available outside a real server
+  }
+
+  apiKeyService.logUsage(apiKey, {
+    endpoint: event.url.pathname,
+    method: event.request.method,
+    statusCode,
+    responseTimeMs: Date.now() - startTime,
+    ipAddress,
+    userAgent: event.request.headers.get('user-agent')
+  }).catch(error => {
+    logger.warn('Failed to log API key usage', { apiKeyId: apiKey.id, error: error.message });
+  });
+}
@@ -0,0 +1,231 @@
+import jwt from 'jsonwebtoken';
+import { json } from '@sveltejs/kit';
+import { getRateLimitHeaders } from '../services/rate-limiter.js';
+import { hashApiKey, isApiKey } from '../services/api-key-service.js';
+import { logger } from '../services/logger.js';
+
+/**
+ * Look up federation partners (API clients) by API key or ID, with a short cache
+ * @param {Object} supabase - Supabase client
+ * @param {Object} [options] - Resolver options
+ * @param {number} [options.ttlMs] - Cache lifetime
+ * @returns {Function} async ({ apiKey, partnerId }) => { id, tier } | null
+ */
+export function createPartnerResolver(supabase, options = {}) {
+  const ttlMs = options.ttlMs || 60 * 1000;
+  const cache = new Map();
+
+  return async ({ apiKey = null, partnerId = null }) => {
+    const cacheKey = apiKey ? `key:${apiKey}` : `id:${partnerId}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.partner;
+    }
+
+    const { data } = await supabase
+      .from('federation_partners')
+      .select('id, tier')
+      .eq(apiKey ? 'api_key' : 'id', apiKey || partnerId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    const partner = data ? { id: data.id, tier: data.tier || 'basic' } : null;
+    if (cache.size > 10000) {
+      cache.clear();
+    }
+    cache.set(cacheKey, { partner, expiresAt: Date.now() + ttlMs });
+    return partner;
+  };
+}
+
+/**
+ * Look up self-service API keys, with a short cache keyed by the key's hash
+ * @param {Object} apiKeyService - ApiKeyService instance
+ * @param {Object} [options] - Resolver options
+ * @param {number} [options.ttlMs] - Cache lifetime
+ * @returns {Function} async (key) => { id, tier } | null
+ */
+export function createApiKeyResolver(apiKeyService, options = {}) {
+  const ttlMs = options.ttlMs || 60 * 1000;
+  const cache = new Map();
+
+  return async (key) => {
+    const cacheKey = hashApiKey(key);
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.apiKey;
+    }
+
+    const verified = await apiKeyService.authenticate(key);
+    const apiKey = verified ? { id: verified.id, tier: 'basic' } : null;
+    if (cache.size > 10000) {
+      cache.clear();
+    }
+    cache.set(cacheKey, { apiKey, expiresAt: Date.now() + ttlMs });
+    return apiKey;
+  };
+}
+
+/**
+ * Work out who a request counts against
+ * Verified API clients and API keys are limited per client or key and tier,
+ * signed-in users per user, and everything else (including unverified
+ * credentials) per IP.
+ * @param {Object} event - SvelteKit request event
+ * @param {Object} [options] - Resolution options
+ * @param {Function} [options.resolvePartner] - Partner lookup from createPartnerResolver
+ * @param {Function} [options.resolveApiKey] - Key lookup from createApiKeyResolver
+ * @param {string} [options.jwtSecret] - Secret for federation partner tokens
+ * @returns {Promise<Object>} { type, id, tier }
+ */
+export async function resolveRateLimitIdentity(event, options = {}) {
+  const { request } = event;
+  const { resolvePartner = null, resolveApiKey = null, jwtSecret = process.env.JWT_SECRET } = options;
+  const apiKey = request.headers.get('x-api-key');
+  const authorization = request.headers.get('authorization');
+
+  const bearer = authorization?.startsWith('Bearer ') ? authorization.substring(7) : null;
+  const selfServiceKey = isApiKey(apiKey) ? apiKey : isApiKey(bearer) ? bearer : null;
+
+  if (selfServiceKey && resolveApiKey) {
+    try {
+      const key = await resolveApiKey(selfServiceKey);
+      if (key) {
+        return { type: 'api_key', id: `key:${key.id}`, tier: key.tier };
+      }
+    } catch (error) {
+      logger.warn('Rate limit API key lookup failed', { error: error.message });
+    }
+  } else if (!selfServiceKey && resolvePartner) {
+    try {
+      let partner = null;
+
+      if (apiKey) {
+        partner = await resolvePartner({ apiKey });
+      } else if (bearer && jwtSecret) {
+        const decoded = verifyPartnerToken(bearer, jwtSecret);
+        if (decoded) {
+          partner = await resolvePartner({ partnerId: decoded.partner_id });
+        }
+      }
+
+      if (partner) {
+        return { type: 'api_key', id: `partner:${partner.id}`, tier: partner.tier };
+      }
+    } catch (error) {
+      logger.warn('Rate limit client lookup failed', { error: error.message });
+    }
+  }
+
+  if (event.locals.user?.id) {
+    return { type: 'user', id: `user:${event.locals.user.id}`, tier: null };
+  }
+
+  return { type: 'ip', id: `ip:${event.getClientAddress()}`, tier: null };
+}
+
+/**
+ * @private
+ */
+function verifyPartnerToken(token, secret) {
+  try {
+    const decoded = jwt.verify(token, secret);
+    return decoded?.type === 'federation_partner' && decoded.partner_id ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add headers to a response, copying it when its headers are immutable
+ * (e.g. a fetch() response returned from an endpoint)
+ * @private
+ */
+function withHeaders(response, headers) {
+  try {
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  } catch {
+    const copy = new Response(response.body, response);
+    for (const [name, value] of Object.entries(headers)) {
+      copy.headers.set(name, value);
+    }
+    return copy;
+  }
+}
+
+/**
+ * Rate limiting middleware for SvelteKit API routes
+ * Answers 429 with Retry-After when a policy is exceeded and adds RateLimit-*
+ * headers to every limited response. Fails open if the limiter errors.
+ * @param {Object} config - Middleware configuration
+ * @param {Function} config.getLimiter - async () => RateLimiter
+ * @param {Function} [config.resolveIdentity] - async (event) => identity
+ * @param {Array<string>} [config.includePaths] - Path prefixes to limit
+ * @param {Array<string>} [config.excludePaths] - Path prefixes never limited
+ * @param {boolean} [config.enabled] - Turn limiting off entirely
+ * @returns {Function} async ({ event, resolve }) => Response
+ */
+export function createRateLimitMiddleware(config = {}) {
+  const {
+    getLimiter,
+    resolveIdentity = event => resolveRateLimitIdentity(event),
+    includePaths = ['/api/'],
+    excludePaths = ['/api/health'],
+    enabled = true
+  } = config;
+
+  return async ({ event, resolve }) => {
+    const { pathname } = event.url;
+    const method = event.request.method;
+
+    const applies = enabled &&
+      method !== 'OPTIONS' &&
+      includePaths.some(path => pathname.startsWith(path)) &&
+      !excludePaths.some(path => pathname.startsWith(path));
+
+    if (!applies) {
+      return resolve(event);
+    }
+
+    let result = null;
+    try {
+      const limiter = await getLimiter();
+      const identity = await resolveIdentity(event);
+      result = await limiter.check(identity, { pathname, method });
+    } catch (error) {
+      logger.warn('Rate limit check failed; allowing request', { error: error.message, pathname });
+    }
+
+    if (!result) {
+      return resolve(event);
+    }
+
+    const headers = getRateLimitHeaders(result);
+    event.locals.rateLimit = result;
+
+    if (!result.allowed) {
+      logger.warn('Rate limit exceeded', {
+        policy: result.policy.name,
+        pathname,
+        method,
+        correlationId: event.locals.correlationId
+      });
+
+      return json({
+        success: false,
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMITED',
+        retry_after: result.retryAfterSeconds,
+        timestamp: new Date().toISOString()
+      }, {
+        status: 429,
+        headers
+      });
+    }
+
+    return withHeaders(await resolve(event), headers);
+  };
+}
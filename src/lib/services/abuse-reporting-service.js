@@ -27,6 +27,7 @@ class AbuseReportingService {
   /**
    * Submit an abuse report
    * @param {Object} reportData - Report data
+   * @param {string} [reportData.comment_id] - Reported comment (omit to report the submission)
    * @returns {Promise<Object>} Submission result
    */
   async submitReport(reportData) {
@@ -34,14 +35,14 @@ class AbuseReportingService {
       // Validate required fields
       this.validateReportData(reportData);
 
-      const { submission_id, reported_by, report_type, description } = reportData;
+      const { submission_id, reported_by, report_type, description, comment_id = null } = reportData;
 
       // Check for duplicate reports from the same user
-      const existingReport = await this.checkDuplicateReport(submission_id, reported_by);
+      const existingReport = await this.checkDuplicateReport(submission_id, reported_by, comment_id);
       if (existingReport) {
         return {
           success: false,
-          error: 'You have already reported this submission',
+          error: `You have already reported this ${comment_id ? 'comment' : 'submission'}`,
           existingReportId: existingReport.id
         };
       }
@@ -54,6 +55,7 @@ class AbuseReportingService {
         .from('abuse_reports')
         .insert({
           submission_id,
+          comment_id,
           reported_by,
           report_type,
           description: description.trim(),
@@ -393,6 +395,52 @@ class AbuseReportingService {
     }
   }
 
+  /**
+   * Automatically flag a comment held by spam detection
+   * @param {string} commentId - Comment ID
+   * @param {string} submissionId - Submission the comment belongs to
+   * @param {Object} flaggingCriteria - Criteria that triggered the flag
+   * @returns {Promise<Object>} Auto-flagging result
+   */
+  async autoFlagComment(commentId, submissionId, flaggingCriteria) {
+    try {
+      const { reason, confidence, rule_triggered } = flaggingCriteria;
+
+      const { data, error } = await supabase
+        .from('abuse_reports')
+        .insert({
+          submission_id: submissionId,
+          comment_id: commentId,
+          reported_by: null, // System-generated report
+          report_type: this.determineAutoFlagType(flaggingCriteria),
+          description: `Comment automatically flagged: ${reason}`,
+          status: 'pending',
+          priority: this.calculateAutoFlagPriority(confidence),
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return {
+        success: true,
+        reportId: data.id,
+        reportType: data.report_type,
+        priority: data.priority,
+        autoFlagged: true,
+        confidence,
+        ruleTriggered: rule_triggered
+      };
+
+    } catch (error) {
+      console.error('Comment auto-flagging error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Bulk update multiple reports
    * @param {Array} updates - Array of report updates
@@ -582,16 +630,20 @@ class AbuseReportingService {
    * Check for duplicate report from same user
    * @param {string} submissionId - Submission ID
    * @param {string} reportedBy - Reporter user ID
+   * @param {string} [commentId] - Comment ID for comment reports
    * @returns {Promise<Object|null>} Existing report or null
    */
-  async checkDuplicateReport(submissionId, reportedBy) {
+  async checkDuplicateReport(submissionId, reportedBy, commentId = null) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('abuse_reports')
         .select('id, created_at')
         .eq('submission_id', submissionId)
-        .eq('reported_by', reportedBy)
-        .single();
+        .eq('reported_by', reportedBy);
+
+      query = commentId ? query.eq('comment_id', commentId) : query.is('comment_id', null);
+
+      const { data, error } = await query.single();
 
       if (error && error.code !== 'PGRST116') {
         throw error;
@@ -616,6 +668,7 @@ class AbuseReportingService {
         .select('id, created_at')
         .eq('submission_id', submissionId)
         .is('reported_by', null) // Auto-generated reports have null reported_by
+        .is('comment_id', null)
         .single();
 
       if (error && error.code !== 'PGRST116') {
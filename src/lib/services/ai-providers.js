@@ -0,0 +1,475 @@
+/**
+ * AI Provider Layer
+ * Interchangeable text-generation backends used by the AI rewriter:
+ * OpenAI (cloud), Ollama (self-hosted) and a deterministic offline template provider
+ */
+
+import OpenAI from 'openai';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we',
+  'with', 'you', 'your', 'can', 'will', 'all', 'more', 'into', 'any', 'not', 'but', 'so'
+]);
+
+/**
+ * OpenAI chat completions provider
+ */
+export class OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+
+    this.name = 'openai';
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      ...(options.baseURL && { baseURL: options.baseURL })
+    });
+    this.model = options.model || 'gpt-3.5-turbo';
+    this.maxTokens = options.maxTokens || 500;
+    this.temperature = options.temperature || 0.7;
+  }
+
+  /**
+   * Requests a JSON completion
+   * @param {Object} request - The completion request
+   * @param {string} request.system - The system prompt
+   * @param {string} request.prompt - The user prompt
+   * @returns {Promise<string>} The raw response content
+   */
+  async complete({ system, prompt }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      response_format: { type: 'json_object' }
+    });
+
+    const content = response.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error('Empty response from OpenAI API');
+    }
+
+    return content;
+  }
+
+  /**
+   * Checks if an error should not be retried
+   * @param {Error} error - The error to check
+   * @returns {boolean} True if the error should not be retried
+   */
+  isNonRetryableError(error) {
+    const message = error.message?.toLowerCase() || '';
+    const status = error.status || error.response?.status;
+
+    // Don't retry on authentication errors
+    if (status === 401 || message.includes('unauthorized') || message.includes('invalid api key')) {
+      return true;
+    }
+
+    // Don't retry on quota exceeded errors
+    if (status === 429 && message.includes('quota')) {
+      return true;
+    }
+
+    // Don't retry on invalid request errors
+    if (status === 400 || message.includes('invalid request')) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Formats error messages for better user experience
+   * @param {Error} error - The error to format
+   * @returns {Error} The formatted error
+   */
+  formatError(error) {
+    const message = error.message || 'Unknown error';
+    const status = error.status || error.response?.status || error.code;
+
+    // Check for OpenAI-specific error properties
+    const errorType = error.type || error.error?.type;
+    const errorCode = error.code || error.error?.code;
+
+    // Check for rate limiting in various ways
+    if (status === 429 ||
+        status === '429' ||
+        errorType === 'rate_limit_exceeded' ||
+        errorCode === 'rate_limit_exceeded' ||
+        message.toLowerCase().includes('rate limit') ||
+        message.toLowerCase().includes('rate_limit_exceeded')) {
+      return new Error('Rate limit exceeded. Please try again later.');
+    }
+
+    if (status === 401 || status === '401') {
+      return new Error('Invalid OpenAI API key. Please check your configuration.');
+    }
+
+    if (status === 403 || status === '403') {
+      return new Error('Access denied. Please check your OpenAI API permissions.');
+    }
+
+    if (status >= 500 || (typeof status === 'string' && parseInt(status) >= 500)) {
+      return new Error('OpenAI service temporarily unavailable. Please try again later.');
+    }
+
+    return new Error(`OpenAI API error: ${message}`);
+  }
+}
+
+/**
+ * Ollama provider using the local HTTP chat API
+ */
+export class OllamaProvider {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = options.model || 'llama3.1';
+    this.maxTokens = options.maxTokens || 500;
+    this.temperature = options.temperature || 0.7;
+    this.timeout = options.timeout || 60000;
+  }
+
+  /**
+   * Requests a JSON completion from /api/chat
+   * @param {Object} request - The completion request
+   * @param {string} request.system - The system prompt
+   * @param {string} request.prompt - The user prompt
+   * @returns {Promise<string>} The raw response content
+   */
+  async complete({ system, prompt }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ],
+          stream: false,
+          format: 'json',
+          options: {
+            temperature: this.temperature,
+            num_predict: this.maxTokens
+          }
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const content = data.message?.content;
+    if (!content) {
+      throw new Error('Empty response from Ollama API');
+    }
+
+    return content;
+  }
+
+  /**
+   * Checks if an error should not be retried
+   * @param {Error} error - The error to check
+   * @returns {boolean} True if the error should not be retried
+   */
+  isNonRetryableError(error) {
+    const message = error.message?.toLowerCase() || '';
+
+    // A missing model or a malformed request will not fix itself
+    if (error.status === 400 || error.status === 404 || message.includes('not found')) {
+      return true;
+    }
+
+    // Nothing is listening, so move on to the next provider immediately
+    if (error.cause?.code === 'ECONNREFUSED' || message.includes('econnrefused')) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Formats error messages for better user experience
+   * @param {Error} error - The error to format
+   * @returns {Error} The formatted error
+   */
+  formatError(error) {
+    const message = error.message || 'Unknown error';
+
+    if (error.status === 404 || message.toLowerCase().includes('not found')) {
+      return new Error(`Ollama model "${this.model}" is not available. Run "ollama pull ${this.model}".`);
+    }
+
+    if (error.cause?.code === 'ECONNREFUSED' || error.status >= 500) {
+      return new Error(`Ollama service unavailable at ${this.baseUrl}. Please try again later.`);
+    }
+
+    return new Error(`Ollama API error: ${message}`);
+  }
+}
+
+/**
+ * Deterministic offline provider
+ * Builds rewritten metadata from the original text without calling any model,
+ * so instances without AI access and test runs always get a usable result
+ */
+export class TemplateProvider {
+  constructor(options = {}) {
+    this.name = 'template';
+    this.maxTags = options.maxTags || 5;
+  }
+
+  /**
+   * Produces a JSON completion from the metadata alone
+   * @param {Object} request - The completion request
+   * @param {Object} request.metadata - The (truncated) original metadata
+   * @returns {Promise<string>} The response content as JSON
+   */
+  complete({ metadata }) {
+    const title = this.buildTitle(metadata);
+    const description = this.buildDescription(metadata, title);
+    const tags = this.extractTags(metadata);
+
+    return Promise.resolve(JSON.stringify({ title, description, tags }));
+  }
+
+  /**
+   * Builds a title under 60 characters
+   * @param {Object} metadata - The original metadata
+   * @returns {string} The title
+   */
+  buildTitle(metadata) {
+    const clean = this.normalize(metadata.title);
+    // Drop trailing site-name segments such as "Product | Company"
+    const [primary] = clean.split(/\s+[|–—-]\s+/);
+    const title = primary.length >= 3 ? primary : clean;
+
+    return clampText(title, 60);
+  }
+
+  /**
+   * Builds a description of roughly 120-160 characters
+   * @param {Object} metadata - The original metadata
+   * @param {string} title - The generated title
+   * @returns {string} The description
+   */
+  buildDescription(metadata, title) {
+    const description = this.normalize(metadata.description);
+    const sentences = description.match(/[^.!?]+[.!?]*/g) || [description];
+
+    let result = '';
+    for (const sentence of sentences) {
+      const next = `${result} ${sentence.trim()}`.trim();
+      if (next.length > 160) {
+        break;
+      }
+      result = next;
+    }
+
+    if (result.length < 120) {
+      const hostname = safeHostname(metadata.url);
+      const suffix = hostname ? ` Discover ${title} at ${hostname}.` : ` Discover ${title}.`;
+      result = `${result || clampText(description, 120)}${suffix}`.trim();
+    }
+
+    return clampText(result, 160);
+  }
+
+  /**
+   * Extracts the most frequent meaningful words as tags
+   * @param {Object} metadata - The original metadata
+   * @returns {Array<string>} Up to maxTags tags
+   */
+  extractTags(metadata) {
+    const existing = Array.isArray(metadata.keywords)
+      ? metadata.keywords
+      : String(metadata.keywords || '').split(',');
+
+    const counts = new Map();
+    const text = `${metadata.title} ${metadata.title} ${metadata.description}`.toLowerCase();
+    for (const word of text.match(/[a-z][a-z0-9-]{2,}/g) || []) {
+      if (!STOP_WORDS.has(word)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+    }
+
+    const ranked = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([word]) => word);
+
+    const tags = [...existing.map(tag => String(tag).trim().toLowerCase()), ...ranked]
+      .filter(tag => tag.length > 0);
+
+    return [...new Set(tags)].slice(0, this.maxTags);
+  }
+
+  /**
+   * Collapses whitespace
+   * @param {string} text - The text to normalize
+   * @returns {string} The normalized text
+   */
+  normalize(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  isNonRetryableError() {
+    return true;
+  }
+
+  formatError(error) {
+    return new Error(`Template provider error: ${error.message}`);
+  }
+}
+
+/**
+ * Truncates text at a word boundary without exceeding maxLength
+ * @param {string} text - The text to clamp
+ * @param {number} maxLength - The maximum length
+ * @returns {string} The clamped text
+ */
+function clampText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const truncated = text.substring(0, maxLength - 3);
+  const lastSpace = truncated.lastIndexOf(' ');
+  return `${lastSpace > maxLength * 0.6 ? truncated.substring(0, lastSpace) : truncated}...`;
+}
+
+/**
+ * Returns the hostname of a URL without a leading www.
+ * @param {string} url - The URL
+ * @returns {string|null} The hostname or null
+ */
+function safeHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+export const AI_PROVIDERS = {
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  template: TemplateProvider
+};
+
+/**
+ * Creates a provider by name
+ * @param {string} name - openai, ollama or template
+ * @param {Object} options - Provider options
+ * @returns {Object} The provider instance
+ */
+export function createAIProvider(name, options = {}) {
+  const Provider = AI_PROVIDERS[String(name).trim().toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  return new Provider(options);
+}
+
+/**
+ * Resolves the ordered provider chain for an AI rewriter
+ *
+ * Order of precedence: options.providers, the AI_PROVIDERS environment variable,
+ * then every provider that is configured (OpenAI with a key, Ollama with a base URL).
+ * The template provider is used only when listed or when nothing else is configured.
+ *
+ * @param {Object} options - Rewriter options
+ * @param {Array<string|Object>} [options.providers] - Provider names or instances
+ * @param {string} [options.apiKey] - OpenAI API key
+ * @param {Object} [options.ollama] - Ollama options ({ baseUrl, model, timeout })
+ * @returns {Array<Object>} Provider instances in fallback order
+ */
+export function resolveAIProviders(options = {}) {
+  const env = process.env;
+  let names = options.providers
+    || (env.AI_PROVIDERS ? env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean) : null);
+
+  const apiKey = options.apiKey || env.OPENAI_API_KEY;
+  const ollamaBaseUrl = options.ollama?.baseUrl || env.OLLAMA_BASE_URL;
+
+  if (!names) {
+    names = [];
+    if (apiKey) {
+      names.push('openai');
+    }
+    if (ollamaBaseUrl) {
+      names.push('ollama');
+    }
+    if (names.length === 0) {
+      names.push('template');
+    }
+  }
+
+  const shared = {
+    maxTokens: options.maxTokens,
+    temperature: options.temperature
+  };
+
+  const providerOptions = {
+    openai: {
+      ...shared,
+      apiKey,
+      model: options.model || env.OPENAI_MODEL,
+      baseURL: options.baseURL
+    },
+    ollama: {
+      ...shared,
+      baseUrl: ollamaBaseUrl,
+      model: options.ollama?.model || env.OLLAMA_MODEL,
+      timeout: options.ollama?.timeout
+    },
+    template: {}
+  };
+
+  const providers = [];
+  for (const entry of names) {
+    if (entry && typeof entry === 'object') {
+      providers.push(entry);
+      continue;
+    }
+
+    const name = String(entry).trim().toLowerCase();
+    // Skip OpenAI when it is listed but has no key, so the chain falls through
+    if (name === 'openai' && !apiKey) {
+      continue;
+    }
+    providers.push(createAIProvider(name, providerOptions[name]));
+  }
+
+  if (providers.length === 0) {
+    throw new Error('No AI provider is available. Configure OPENAI_API_KEY, OLLAMA_BASE_URL or AI_PROVIDERS');
+  }
+
+  return providers;
+}
@@ -1,26 +1,35 @@
 /**
  * AI Metadata Rewriting Service
- * Uses OpenAI API to rewrite product metadata for uniqueness and SEO optimization
+ * Rewrites product metadata for uniqueness and SEO optimization using a chain
+ * of AI providers (OpenAI, Ollama, offline template) with automatic fallback
  */
 
-import OpenAI from 'openai';
+import { resolveAIProviders } from './ai-providers.js';
+
+const SYSTEM_PROMPT = 'You are an expert copywriter and SEO specialist. Your task is to rewrite product metadata to make it unique, engaging, and SEO-friendly while preserving the core meaning and functionality.';
 
 export class AIRewriter {
+  /**
+   * @param {Object} options - Rewriter options
+   * @param {Array<string|Object>} [options.providers] - Provider names or instances, in fallback order
+   * @param {string} [options.apiKey] - OpenAI API key
+   * @param {Object} [options.ollama] - Ollama options ({ baseUrl, model, timeout })
+   */
   constructor(options = {}) {
-    if (!options.apiKey) {
-      throw new Error('OpenAI API key is required');
-    }
-
-    this.openai = new OpenAI({
-      apiKey: options.apiKey,
-    });
-
     this.model = options.model || 'gpt-3.5-turbo';
     this.maxTokens = options.maxTokens || 500;
     this.temperature = options.temperature || 0.7;
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
     this.maxInputLength = options.maxInputLength || 2000;
+
+    // options.model, when set, wins over OPENAI_MODEL; the default above doesn't
+    this.providers = resolveAIProviders({
+      ...options,
+      maxTokens: this.maxTokens,
+      temperature: this.temperature
+    });
+    this.lastProvider = null;
   }
 
   /**
@@ -47,7 +56,7 @@ export class AIRewriter {
   }
 
   /**
-   * Rewrites metadata using OpenAI API
+   * Rewrites metadata, falling back through the provider chain
    * @param {Object} originalMetadata - The original metadata to rewrite
    * @returns {Promise<Object>} The rewritten metadata
    */
@@ -62,49 +71,58 @@ export class AIRewriter {
     };
 
     const prompt = this.buildPrompt(truncatedMetadata);
-    
+
     let lastError;
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+    for (const provider of this.providers) {
       try {
-        const response = await this.openai.chat.completions.create({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert copywriter and SEO specialist. Your task is to rewrite product metadata to make it unique, engaging, and SEO-friendly while preserving the core meaning and functionality.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: this.maxTokens,
-          temperature: this.temperature,
-          response_format: { type: 'json_object' }
+        const result = await this.rewriteWithProvider(provider, {
+          system: SYSTEM_PROMPT,
+          prompt,
+          metadata: truncatedMetadata
         });
+        this.lastProvider = provider.name;
+        return result;
+      } catch (error) {
+        lastError = error;
+        console.warn(`[AIRewriter] Provider "${provider.name}" failed: ${error.message}`);
+      }
+    }
 
-        const content = response.choices[0]?.message?.content;
-        if (!content) {
-          throw new Error('Empty response from OpenAI API');
-        }
+    throw lastError;
+  }
 
-        return this.parseAIResponse(content);
+  /**
+   * Runs a request against a single provider with retry logic
+   * @param {Object} provider - The AI provider
+   * @param {Object} request - The completion request ({ system, prompt, metadata })
+   * @returns {Promise<Object>} The parsed rewritten metadata
+   * @throws {Error} The provider's formatted error once retries are exhausted
+   */
+  async rewriteWithProvider(provider, request) {
+    let lastError;
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      let content;
+      try {
+        content = await provider.complete(request);
       } catch (error) {
         lastError = error;
-        
+
         // Don't retry on certain errors
-        if (this.isNonRetryableError(error)) {
-          throw this.formatError(error);
+        if (this.isNonRetryableError(error, provider)) {
+          throw this.formatError(error, provider);
         }
 
         // Wait before retrying
         if (attempt < this.maxRetries) {
           await this.sleep(this.retryDelay * attempt);
         }
+        continue;
       }
+
+      return this.parseAIResponse(content);
     }
 
-    throw this.formatError(lastError);
+    throw this.formatError(lastError, provider);
   }
 
   /**
@@ -146,7 +164,7 @@ Return your response as a JSON object with the following structure:
 
   /**
    * Parses the AI response and validates the structure
-   * @param {string} response - The raw response from OpenAI
+   * @param {string} response - The raw response from the AI provider
    * @returns {Object} The parsed and validated response
    */
   parseAIResponse(response) {
@@ -221,66 +239,21 @@ Return your response as a JSON object with the following structure:
   /**
    * Checks if an error should not be retried
    * @param {Error} error - The error to check
+   * @param {Object} [provider] - The provider that raised it (defaults to the primary provider)
    * @returns {boolean} True if the error should not be retried
    */
-  isNonRetryableError(error) {
-    const message = error.message?.toLowerCase() || '';
-    const status = error.status || error.response?.status;
-
-    // Don't retry on authentication errors
-    if (status === 401 || message.includes('unauthorized') || message.includes('invalid api key')) {
-      return true;
-    }
-
-    // Don't retry on quota exceeded errors
-    if (status === 429 && message.includes('quota')) {
-      return true;
-    }
-
-    // Don't retry on invalid request errors
-    if (status === 400 || message.includes('invalid request')) {
-      return true;
-    }
-
-    return false;
+  isNonRetryableError(error, provider = this.providers[0]) {
+    return provider.isNonRetryableError(error);
   }
 
   /**
    * Formats error messages for better user experience
    * @param {Error} error - The error to format
+   * @param {Object} [provider] - The provider that raised it (defaults to the primary provider)
    * @returns {Error} The formatted error
    */
-  formatError(error) {
-    const message = error.message || 'Unknown error';
-    const status = error.status || error.response?.status || error.code;
-    
-    // Check for OpenAI-specific error properties
-    const errorType = error.type || error.error?.type;
-    const errorCode = error.code || error.error?.code;
-
-    // Check for rate limiting in various ways
-    if (status === 429 ||
-        status === '429' ||
-        errorType === 'rate_limit_exceeded' ||
-        errorCode === 'rate_limit_exceeded' ||
-        message.toLowerCase().includes('rate limit') ||
-        message.toLowerCase().includes('rate_limit_exceeded')) {
-      return new Error('Rate limit exceeded. Please try again later.');
-    }
-
-    if (status === 401 || status === '401') {
-      return new Error('Invalid OpenAI API key. Please check your configuration.');
-    }
-
-    if (status === 403 || status === '403') {
-      return new Error('Access denied. Please check your OpenAI API permissions.');
-    }
-
-    if (status >= 500 || (typeof status === 'string' && parseInt(status) >= 500)) {
-      return new Error('OpenAI service temporarily unavailable. Please try again later.');
-    }
-
-    return new Error(`OpenAI API error: ${message}`);
+  formatError(error, provider = this.providers[0]) {
+    return provider.formatError(error);
   }
 
   /**
@@ -295,19 +268,8 @@ Return your response as a JSON object with the following structure:
 
 // Export a factory function for easy configuration
 export function createAIRewriter(options = {}) {
-  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key must be provided via options or OPENAI_API_KEY environment variable');
-  }
-
-  return new AIRewriter({
-    ...options,
-    apiKey
-  });
+  return new AIRewriter(options);
 }
 
 // Export a default instance
-export const aiRewriter = process.env.OPENAI_API_KEY 
-  ? createAIRewriter()
-  : null;
\ No newline at end of file
+export const aiRewriter = createAIRewriter();
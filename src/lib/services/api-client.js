@@ -230,6 +230,20 @@ export const userApi = {
    */
   async getUserBadges(userId) {
     return apiGet(`/api/users/${userId}/badges`);
+  },
+  
+  /**
+   * Get the signed-in user's email notification preferences
+   */
+  async getNotificationPreferences() {
+    return apiGet('/api/notifications/preferences');
+  },
+  
+  /**
+   * Update the signed-in user's email notification preferences
+   */
+  async updateNotificationPreferences(preferences) {
+    return apiPut('/api/notifications/preferences', preferences);
   }
 };
 
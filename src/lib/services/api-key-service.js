@@ -0,0 +1,459 @@
+/**
+ * API Key Service
+ *
+ * Self-service API keys for the v1 API. Keys are random secrets shown to their
+ * owner once; only a SHA-256 hash and a short display prefix are stored. Each
+ * key carries scopes (stored in api_keys.permissions) that the v1 API
+ * middleware checks per endpoint, an optional expiry, a last-used timestamp and
+ * per-request usage rows in api_usage_logs.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+export const API_KEY_PREFIX = 'lp_';
+
+export const API_KEY_SCOPES = {
+  'submissions:read': 'Read submissions',
+  'submissions:write': 'Create and update submissions',
+  'federation:read': 'Read federation instances and directories',
+  'federation:write': 'Register federation instances',
+  'webhooks:read': 'List webhooks and deliveries',
+  'webhooks:write': 'Create, update and redeliver webhooks',
+  'analytics:read': 'Read analytics for your launches'
+};
+
+/**
+ * Scopes required by v1 endpoints. Reads (GET/HEAD) need the read scope, all
+ * other methods the write scope. Keys are refused on endpoints not listed here
+ * and where the scope is null.
+ */
+export const API_V1_ENDPOINT_SCOPES = [
+  { prefix: '/api/v1/submissions', read: 'submissions:read', write: 'submissions:write' },
+  { prefix: '/api/v1/analytics', read: 'analytics:read', write: null },
+  { prefix: '/api/v1/webhooks', read: 'webhooks:read', write: 'webhooks:write' },
+  { prefix: '/api/v1/federation/', read: 'federation:read', write: 'federation:write' }
+];
+
+const MAX_KEYS_PER_USER = 25;
+const MAX_NAME_LENGTH = 100;
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const KEY_COLUMNS = 'id, name, key_prefix, permissions, expires_at, last_used_at, rotated_at, revoked_at, is_active, created_at';
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function apiKeyError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Raw API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new raw API key
+ * @returns {string} API key
+ */
+export function generateApiKey() {
+  return `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Check whether a credential looks like a self-service API key
+ * @param {string} value - Credential from a request header
+ * @returns {boolean} True for keys issued by ApiKeyService
+ */
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Work out which scope a v1 request needs
+ * @param {string} pathname - Request path
+ * @param {string} method - HTTP method
+ * @returns {string|null} Required scope, or null when keys may not call the endpoint
+ */
+export function getRequiredScope(pathname, method) {
+  const endpoint = API_V1_ENDPOINT_SCOPES.find(entry => pathname.startsWith(entry.prefix));
+  if (!endpoint) {
+    return null;
+  }
+
+  return ['GET', 'HEAD'].includes(method.toUpperCase()) ? endpoint.read : endpoint.write;
+}
+
+/**
+ * Check a key's scopes against a required scope
+ * @param {Array<string>} scopes - Scopes granted to the key
+ * @param {string|null} requiredScope - Scope from getRequiredScope
+ * @returns {boolean} True when the request is allowed
+ */
+export function hasScope(scopes, requiredScope) {
+  return Boolean(requiredScope) && Array.isArray(scopes) && scopes.includes(requiredScope);
+}
+
+/**
+ * ApiKeyService class for issuing, rotating, revoking and verifying API keys
+ */
+export class ApiKeyService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.maxKeysPerUser = options.maxKeysPerUser || MAX_KEYS_PER_USER;
+    this.usageDays = options.usageDays || 30;
+  }
+
+  /**
+   * List a user's API keys (never including the key itself)
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Array>} Keys, newest first
+   */
+  async listKeys(userId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select(KEY_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list API keys: ${error.message}`);
+    }
+
+    return (data || []).map(key => this.formatKey(key));
+  }
+
+  /**
+   * Issue a new API key
+   * @param {string} userId - Owner ID
+   * @param {Object} input - Key settings
+   * @param {string} input.name - Label shown in the dashboard
+   * @param {Array<string>} input.scopes - Scopes from API_KEY_SCOPES
+   * @param {string} [input.expires_at] - Optional ISO expiry date
+   * @returns {Promise<Object>} { key, api_key } where key is shown only once
+   */
+  async createKey(userId, input = {}) {
+    if (!userId) {
+      throw apiKeyError(401, 'Authentication required');
+    }
+
+    const settings = this.validateKeyInput(input);
+
+    const { count, error: countError } = await this.supabase
+      .from('api_keys')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('is_active', true);
+
+    if (countError) {
+      throw new Error(`Failed to check API keys: ${countError.message}`);
+    }
+
+    if ((count || 0) >= this.maxKeysPerUser) {
+      throw apiKeyError(400, `You can have at most ${this.maxKeysPerUser} active API keys`);
+    }
+
+    const key = generateApiKey();
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert({
+        user_id: userId,
+        name: settings.name,
+        permissions: settings.scopes,
+        expires_at: settings.expires_at,
+        key_hash: hashApiKey(key),
+        key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        is_active: true
+      })
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+
+    return { key, api_key: this.formatKey(data) };
+  }
+
+  /**
+   * Replace a key's secret, keeping its name, scopes, expiry and usage history.
+   * The previous secret stops working immediately.
+   * @param {string} userId - Owner ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} { key, api_key } where key is shown only once
+   */
+  async rotateKey(userId, keyId) {
+    const existing = await this._getOwnedKey(userId, keyId);
+    if (!existing.is_active) {
+      throw apiKeyError(400, 'Revoked API keys cannot be rotated');
+    }
+
+    const key = generateApiKey();
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({
+        key_hash: hashApiKey(key),
+        key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        rotated_at: new Date().toISOString()
+      })
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to rotate API key: ${error.message}`);
+    }
+
+    return { key, api_key: this.formatKey(data) };
+  }
+
+  /**
+   * Revoke a key. Revoked keys stay listed so their usage remains visible.
+   * @param {string} userId - Owner ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(userId, keyId) {
+    const existing = await this._getOwnedKey(userId, keyId);
+    if (!existing.is_active) {
+      return this.formatKey(existing);
+    }
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+
+    return this.formatKey(data);
+  }
+
+  /**
+   * Verify a raw key presented to the API
+   * Uses the authenticate_api_key function, which also records last_used_at,
+   * so verification works without exposing api_keys to the caller's role.
+   * @param {string} key - Raw API key
+   * @returns {Promise<Object|null>} { id, user_id, name, scopes, expires_at } or null
+   */
+  async authenticate(key) {
+    if (!isApiKey(key)) {
+      return null;
+    }
+
+    const { data, error } = await this.supabase.rpc('authenticate_api_key', {
+      p_key_hash: hashApiKey(key)
+    });
+
+    if (error) {
+      throw new Error(`Failed to verify API key: ${error.message}`);
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      user_id: row.user_id,
+      name: row.name,
+      scopes: row.permissions || [],
+      expires_at: row.expires_at
+    };
+  }
+
+  /**
+   * Record one API request made with a key
+   * @param {Object} apiKey - Key from authenticate()
+   * @param {Object} request - Request details
+   * @returns {Promise<void>}
+   */
+  async logUsage(apiKey, request) {
+    const { error } = await this.supabase
+      .from('api_usage_logs')
+      .insert({
+        api_key_id: apiKey.id,
+        user_id: apiKey.user_id,
+        endpoint: request.endpoint.slice(0, 255),
+        method: request.method,
+        status_code: request.statusCode,
+        response_time_ms: request.responseTimeMs ?? null,
+        ip_address: request.ipAddress || null,
+        user_agent: request.userAgent || null
+      });
+
+    if (error) {
+      throw new Error(`Failed to log API usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize recent usage of one of the user's keys
+   * @param {string} userId - Owner ID
+   * @param {string} keyId - API key ID
+   * @param {Object} [options] - Summary options
+   * @param {number} [options.days] - How many days back to include
+   * @returns {Promise<Object>} { total_requests, error_requests, by_day, by_endpoint }
+   */
+  async getUsage(userId, keyId, options = {}) {
+    await this._getOwnedKey(userId, keyId);
+
+    const days = Math.min(Math.max(parseInt(options.days) || this.usageDays, 1), 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await this.supabase
+      .from('api_usage_logs')
+      .select('endpoint, method, status_code, created_at')
+      .eq('api_key_id', keyId)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(10000);
+
+    if (error) {
+      throw new Error(`Failed to load API key usage: ${error.message}`);
+    }
+
+    const byDay = {};
+    const byEndpoint = {};
+    let errorRequests = 0;
+
+    for (const log of data || []) {
+      const day = log.created_at.slice(0, 10);
+      const endpoint = `${log.method} ${log.endpoint}`;
+      byDay[day] = (byDay[day] || 0) + 1;
+      byEndpoint[endpoint] = (byEndpoint[endpoint] || 0) + 1;
+      if (log.status_code >= 400) {
+        errorRequests++;
+      }
+    }
+
+    return {
+      days,
+      total_requests: (data || []).length,
+      error_requests: errorRequests,
+      by_day: Object.entries(byDay)
+        .map(([date, requests]) => ({ date, requests }))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      by_endpoint: Object.entries(byEndpoint)
+        .map(([endpoint, requests]) => ({ endpoint, requests }))
+        .sort((a, b) => b.requests - a.requests)
+        .slice(0, 20)
+    };
+  }
+
+  /**
+   * Validate and normalize key settings
+   * @param {Object} input - Raw input
+   * @returns {Object} { name, scopes, expires_at }
+   */
+  validateKeyInput(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw apiKeyError(400, 'Key name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw apiKeyError(400, `Key name must be ${MAX_NAME_LENGTH} characters or less`);
+    }
+
+    if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+      throw apiKeyError(400, 'At least one scope is required');
+    }
+    const unknown = input.scopes.filter(scope => !Object.hasOwn(API_KEY_SCOPES, scope));
+    if (unknown.length > 0) {
+      throw apiKeyError(400, `Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (input.expires_at) {
+      const date = new Date(input.expires_at);
+      if (Number.isNaN(date.getTime())) {
+        throw apiKeyError(400, 'Invalid expiry date');
+      }
+      if (date.getTime() <= Date.now()) {
+        throw apiKeyError(400, 'Expiry date must be in the future');
+      }
+      expiresAt = date.toISOString();
+    }
+
+    return { name, scopes: [...new Set(input.scopes)], expires_at: expiresAt };
+  }
+
+  /**
+   * Shape a key row for API responses
+   * @param {Object} key - api_keys row
+   * @returns {Object} Key with scopes and a derived status
+   */
+  formatKey(key) {
+    const { permissions, ...rest } = key;
+    let status = 'active';
+    if (!key.is_active) {
+      status = 'revoked';
+    } else if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+      status = 'expired';
+    }
+
+    return { ...rest, scopes: permissions || [], status };
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnedKey(userId, keyId) {
+    if (!userId) {
+      throw apiKeyError(401, 'Authentication required');
+    }
+    if (!UUID_PATTERN.test(keyId || '')) {
+      throw apiKeyError(404, 'API key not found');
+    }
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select(KEY_COLUMNS)
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load API key: ${error.message}`);
+    }
+    if (!data) {
+      throw apiKeyError(404, 'API key not found');
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Create an ApiKeyService instance
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Service options
+ * @returns {ApiKeyService} Service instance
+ */
+export function createApiKeyService(supabaseClient, options = {}) {
+  return new ApiKeyService(supabaseClient, options);
+}
+
+export default ApiKeyService;
@@ -9,19 +9,26 @@
  * - Badge definition management
  * - User badge assignment and revocation
  * - Automatic badge earning based on criteria
- * - Cryptographic badge verification
+ * - Ed25519 badge signatures, verifiable across federated instances
  * - Badge analytics and leaderboards
  * - Federation-specific badge handling
  */
 
-import { createHash, randomBytes } from 'crypto';
+import { createHash } from 'crypto';
+import { SIGNATURE_ALGORITHM, signPayload, verifyPayload } from './instance-key-service.js';
 
 export class BadgeService {
-  constructor(supabaseClient) {
+  constructor(supabaseClient, options = {}) {
     if (!supabaseClient) {
       throw new Error('Supabase client is required');
     }
     this.supabase = supabaseClient;
+    this.webhookService = options.webhookService || null;
+    this.notificationService = options.notificationService || null;
+    // InstanceKeyStore used to sign awards; awards are unsigned without one
+    this.keyStore = options.keyStore || null;
+    // RemoteKeyResolver used to verify badges issued by other instances
+    this.keyResolver = options.keyResolver || null;
   }
 
   /**
@@ -216,6 +223,22 @@ export class BadgeService {
         };
       }
 
+      if (this.keyStore) {
+        const signed = await this.signBadgeAward(data, userId, badgeSlug, assignmentType);
+        if (!signed.success) {
+          console.error('Failed to sign badge award:', signed.error);
+        }
+      }
+
+      // Deliveries run in the background and never fail the award
+      this.webhookService?.emit('badge.awarded', {
+        user_id: userId,
+        badge_slug: badgeSlug,
+        user_badge_id: data,
+        assignment_type: assignmentType
+      }, { userId });
+      this.notifyBadgeAwarded(userId, badgeSlug);
+
       return {
         success: true,
         data
@@ -228,6 +251,31 @@ export class BadgeService {
     }
   }
 
+  /**
+   * Email a user about a badge they earned
+   * Sending runs in the background and never fails the award.
+   * @param {string} userId - User ID
+   * @param {string} badgeSlug - Badge slug
+   */
+  notifyBadgeAwarded(userId, badgeSlug) {
+    if (!this.notificationService) {
+      return;
+    }
+
+    this.supabase
+      .from('badge_definitions')
+      .select('name')
+      .eq('slug', badgeSlug)
+      .maybeSingle()
+      .then(({ data }) => data?.name, () => null)
+      .then(badge => this.notificationService.notify('badge.awarded', userId, {
+        badge: badge || badgeSlug,
+        badgeSlug
+      }, {
+        dedupeKey: `badge.awarded:${userId}:${badgeSlug}`
+      }));
+  }
+
   /**
    * Revoke a badge from a user
    * @param {string} userId - User ID
@@ -344,6 +392,7 @@ export class BadgeService {
 
       // Extract awarded badge slugs from the result
       const awardedBadges = data?.map(row => row.awarded_badge_slug).filter(Boolean) || [];
+      awardedBadges.forEach(badgeSlug => this.notifyBadgeAwarded(userId, badgeSlug));
 
       return {
         success: true,
@@ -375,7 +424,14 @@ export class BadgeService {
         };
       }
 
-      const { signature_hash, public_key, verification_payload } = verificationData;
+      const {
+        signature_hash,
+        public_key,
+        verification_payload,
+        key_id = null,
+        issuer_url = null,
+        issuing_instance_id = null
+      } = verificationData;
 
       if (!signature_hash || !public_key || !verification_payload) {
         return {
@@ -391,7 +447,10 @@ export class BadgeService {
           signature_hash,
           public_key,
           verification_payload,
-          verification_method: 'ed25519',
+          key_id,
+          issuer_url,
+          issuing_instance_id,
+          verification_method: SIGNATURE_ALGORITHM,
           verification_version: '1.0'
         }])
         .select()
@@ -417,30 +476,22 @@ export class BadgeService {
   }
 
   /**
-   * Validate badge signature
-   * @param {string} signature - Signature to validate
+   * Validate an Ed25519 badge signature against a known public key
+   * @param {string} signature - base64url signature
    * @param {Object} payload - Payload that was signed
-   * @param {string} publicKey - Public key for verification
+   * @param {string} publicKey - Ed25519 public key (base64url raw bytes or PEM)
    * @returns {Promise<Object>} Result with validation status
    */
   async validateBadgeSignature(signature, payload, publicKey) {
     try {
-      // Simplified signature validation for demo purposes
-      // In production, use proper cryptographic libraries like sodium or noble
       const payloadHash = createHash('sha256')
         .update(JSON.stringify(payload))
         .digest('hex');
 
-      const expectedSignature = createHash('sha256')
-        .update(payloadHash + publicKey)
-        .digest('hex');
-
-      const isValid = signature === expectedSignature;
-
       return {
         success: true,
         data: {
-          isValid,
+          isValid: verifyPayload(signature, payload, publicKey),
           payloadHash,
           timestamp: new Date().toISOString()
         }
@@ -453,6 +504,104 @@ export class BadgeService {
     }
   }
 
+  /**
+   * Verify a badge signed by this or another federated instance
+   * The public key is always resolved from the issuer, never taken from the caller.
+   * @param {string} signature - base64url signature
+   * @param {Object} payload - Signed badge payload
+   * @param {Object} options - Issuer details
+   * @param {string} options.instanceUrl - Issuing instance (defaults to payload.issuer)
+   * @param {string} options.keyId - Signing key ID
+   * @returns {Promise<Object>} Result with validation status and issuer
+   */
+  async verifyBadgeAssertion(signature, payload, options = {}) {
+    try {
+      if (!signature || !payload) {
+        return {
+          success: false,
+          error: 'signature and payload are required'
+        };
+      }
+
+      const issuer = options.instanceUrl || payload.issuer || null;
+      const keyId = options.keyId || payload.key_id || null;
+      let key;
+
+      if (this.keyStore?.isLocalInstance(issuer)) {
+        const local = this.keyStore.getPublicKeyInfo();
+        key = { instanceId: null, instanceUrl: this.keyStore.instanceUrl, keyId: local.key_id, publicKey: local.public_key };
+      } else if (issuer && this.keyResolver) {
+        key = await this.keyResolver.getPublicKey(issuer, keyId);
+      } else {
+        return {
+          success: false,
+          error: 'Unable to resolve the issuing instance signing key'
+        };
+      }
+
+      if (keyId && key.keyId !== keyId) {
+        return {
+          success: true,
+          data: { isValid: false, reason: 'Unknown signing key', issuer: key.instanceUrl, keyId }
+        };
+      }
+
+      const validation = await this.validateBadgeSignature(signature, payload, key.publicKey);
+      if (!validation.success) {
+        return validation;
+      }
+
+      return {
+        success: true,
+        data: {
+          ...validation.data,
+          issuer: key.instanceUrl,
+          issuingInstanceId: key.instanceId,
+          keyId: key.keyId,
+          publicKey: key.publicKey
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Badge assertion verification error: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Sign a newly awarded badge and store the verification record
+   * @param {string} userBadgeId - User badge ID
+   * @param {string} userId - User ID
+   * @param {string} badgeSlug - Badge slug
+   * @param {string} assignmentType - Assignment type
+   * @returns {Promise<Object>} Result with verification record
+   */
+  async signBadgeAward(userBadgeId, userId, badgeSlug, assignmentType) {
+    const payload = {
+      type: 'badge_award',
+      user_badge_id: userBadgeId,
+      user_id: userId,
+      badge_slug: badgeSlug,
+      assignment_type: assignmentType,
+      issuer: this.keyStore.instanceUrl,
+      issued_at: new Date().toISOString()
+    };
+
+    const signed = await this.generateBadgeSignature(payload);
+    if (!signed.success) {
+      return signed;
+    }
+
+    return this.verifyBadge(userBadgeId, {
+      signature_hash: signed.data.signature,
+      public_key: signed.data.public_key,
+      verification_payload: payload,
+      key_id: signed.data.key_id,
+      issuer_url: this.keyStore.instanceUrl
+    });
+  }
+
   /**
    * Get badge statistics
    * @param {string} badgeSlug - Badge slug
@@ -630,27 +779,33 @@ export class BadgeService {
   }
 
   /**
-   * Generate cryptographic signature for badge
+   * Generate an Ed25519 signature for a badge payload
    * @param {Object} payload - Badge payload to sign
-   * @param {string} privateKey - Private key for signing
+   * @param {string} [privateKey] - PKCS#8 PEM private key (defaults to the instance key)
    * @returns {Promise<Object>} Result with signature
    */
-  async generateBadgeSignature(payload, privateKey) {
+  async generateBadgeSignature(payload, privateKey = null) {
     try {
-      // Simplified signature generation for demo purposes
-      // In production, use proper cryptographic libraries
-      const payloadString = JSON.stringify(payload);
-      const nonce = randomBytes(16).toString('hex');
-      
-      const signature = createHash('sha256')
-        .update(payloadString + privateKey + nonce)
-        .digest('hex');
+      let signed;
+      let publicKey = null;
+
+      if (privateKey) {
+        signed = { signature: signPayload(payload, privateKey), key_id: null, algorithm: SIGNATURE_ALGORITHM };
+      } else if (this.keyStore) {
+        signed = this.keyStore.sign(payload);
+        publicKey = this.keyStore.getPublicKeyInfo().public_key;
+      } else {
+        return {
+          success: false,
+          error: 'A private key or instance key store is required'
+        };
+      }
 
       return {
         success: true,
         data: {
-          signature,
-          nonce,
+          ...signed,
+          public_key: publicKey,
           timestamp: new Date().toISOString(),
           payload
         }
@@ -0,0 +1,701 @@
+/**
+ * Comment Service
+ *
+ * Threaded discussion on launches. Top-level comments start a thread (root_id
+ * points at themselves) and replies record their thread root and depth, so a
+ * page of threads is two queries: the roots, then every reply under them.
+ *
+ * Comments are soft-deleted by their authors and hidden or locked by
+ * moderators. New and edited comments run through
+ * SpamDetectionService.analyzeContent: blocked content is rejected, flagged
+ * content is held as pending and reported through AbuseReportingService, which
+ * also receives user reports.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const COMMENT_STATUSES = ['visible', 'pending', 'hidden', 'deleted'];
+export const COMMENTABLE_STATUSES = ['approved', 'published'];
+export const MODERATION_ACTIONS = ['hide', 'restore', 'lock', 'unlock'];
+
+const COMMENT_COLUMNS = `
+  id,
+  submission_id,
+  user_id,
+  parent_id,
+  root_id,
+  depth,
+  content,
+  status,
+  is_locked,
+  created_at,
+  edited_at,
+  users!user_id (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function commentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * CommentService class for threaded comments on submissions
+ */
+export class CommentService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    // Writes new comments once they pass spam checks. Without it the database
+    // holds every new comment for review, as it does for direct client inserts.
+    this.serviceClient = options.serviceClient || null;
+    this.spamDetectionService = options.spamDetectionService || null;
+    this.abuseReportingService = options.abuseReportingService || null;
+    this.maxLength = options.maxLength || 5000;
+    this.maxDepth = options.maxDepth || 6;
+    this.pageSize = options.pageSize || 20;
+  }
+
+  /**
+   * List a page of comment threads for a submission
+   * Deleted comments stay in the tree as placeholders so replies keep their
+   * context. Hidden comments (and their replies) are left out unless
+   * includeModerated is set; pending comments are only shown to their author.
+   * @param {string} submissionId - Submission ID
+   * @param {Object} options - Listing options
+   * @param {number} options.page - Page of top-level threads (1-based)
+   * @param {number} options.limit - Threads per page
+   * @param {string} options.order - 'oldest' or 'newest' thread first
+   * @param {string} options.viewerId - Signed-in user, to show their pending comments
+   * @param {boolean} options.includeModerated - Include hidden and pending comments (moderators)
+   * @returns {Promise<Object>} { comments, pagination }
+   */
+  async listComments(submissionId, options = {}) {
+    const {
+      page = 1,
+      limit = this.pageSize,
+      order = 'oldest',
+      viewerId = null,
+      includeModerated = false
+    } = options;
+
+    const submission = await this._getSubmission(submissionId);
+    const pageSize = Math.min(Math.max(parseInt(limit) || this.pageSize, 1), 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const offset = (currentPage - 1) * pageSize;
+
+    let rootQuery = this.supabase
+      .from('comments')
+      .select(COMMENT_COLUMNS, { count: 'exact' })
+      .eq('submission_id', submissionId)
+      .is('parent_id', null);
+    rootQuery = this._applyVisibility(rootQuery, viewerId, includeModerated);
+
+    const { data: roots, error, count } = await rootQuery
+      .order('created_at', { ascending: order !== 'newest' })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch comments: ${error.message}`);
+    }
+
+    let replies = [];
+    if (roots?.length) {
+      let replyQuery = this.supabase
+        .from('comments')
+        .select(COMMENT_COLUMNS)
+        .in('root_id', roots.map(root => root.id))
+        .not('parent_id', 'is', null);
+      replyQuery = this._applyVisibility(replyQuery, viewerId, includeModerated);
+
+      const { data, error: replyError } = await replyQuery.order('created_at', { ascending: true });
+
+      if (replyError) {
+        throw new Error(`Failed to fetch replies: ${replyError.message}`);
+      }
+      replies = data || [];
+    }
+
+    return {
+      comments: this.buildThreads(roots || [], replies, submission.submitted_by),
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Assemble thread trees from root comments and their replies
+   * Replies whose parent is not in the result (e.g. hidden) are dropped with it.
+   * @param {Array} roots - Top-level comments
+   * @param {Array} replies - Replies, oldest first
+   * @param {string} makerId - User ID of the submission's maker
+   * @returns {Array} Formatted threads with nested replies
+   */
+  buildThreads(roots, replies, makerId) {
+    const nodes = new Map();
+    const threads = roots.map(root => {
+      const node = this.formatComment(root, makerId);
+      nodes.set(node.id, node);
+      return node;
+    });
+
+    for (const reply of replies) {
+      const parent = nodes.get(reply.parent_id);
+      if (!parent) {
+        continue;
+      }
+      const node = this.formatComment(reply, makerId);
+      nodes.set(node.id, node);
+      parent.replies.push(node);
+    }
+
+    return threads;
+  }
+
+  /**
+   * Shape a comment row for API responses
+   * @param {Object} comment - Comment row
+   * @param {string} makerId - User ID of the submission's maker
+   * @returns {Object} Formatted comment
+   */
+  formatComment(comment, makerId) {
+    const deleted = comment.status === 'deleted';
+
+    return {
+      id: comment.id,
+      submission_id: comment.submission_id,
+      parent_id: comment.parent_id,
+      root_id: comment.root_id,
+      depth: comment.depth || 0,
+      content: deleted ? null : comment.content,
+      status: comment.status,
+      is_locked: !!comment.is_locked,
+      is_maker: !deleted && !!makerId && comment.user_id === makerId,
+      author: deleted ? null : comment.users || null,
+      user_id: deleted ? null : comment.user_id,
+      created_at: comment.created_at,
+      edited_at: comment.edited_at || null,
+      replies: []
+    };
+  }
+
+  /**
+   * Post a comment or reply
+   * @param {string} submissionId - Submission ID
+   * @param {string} userId - Author user ID
+   * @param {Object} commentData - Comment data
+   * @param {string} commentData.content - Comment text
+   * @param {string} [commentData.parent_id] - Comment being replied to
+   * @returns {Promise<Object>} Formatted comment (status 'pending' when held for review)
+   */
+  async createComment(submissionId, userId, commentData = {}) {
+    if (!userId) {
+      throw commentError(401, 'Authentication required');
+    }
+
+    const content = this.validateContent(commentData.content);
+    const submission = await this._getSubmission(submissionId);
+
+    if (!COMMENTABLE_STATUSES.includes(submission.status)) {
+      throw commentError(400, 'Only approved launches can be commented on');
+    }
+
+    let parent = null;
+    if (commentData.parent_id) {
+      parent = await this._getComment(commentData.parent_id);
+
+      if (!parent || parent.submission_id !== submissionId) {
+        throw commentError(404, 'Parent comment not found');
+      }
+      if (parent.status !== 'visible') {
+        throw commentError(400, 'This comment can no longer be replied to');
+      }
+      if ((parent.depth || 0) + 1 > this.maxDepth) {
+        throw commentError(400, 'This thread is nested too deeply to reply to');
+      }
+      await this._assertThreadUnlocked(parent);
+    }
+
+    await this.checkCommentVelocity(userId);
+    const spamCheck = await this.checkContent(content);
+
+    const id = randomUUID();
+    const { data, error } = await (this.serviceClient || this.supabase)
+      .from('comments')
+      .insert({
+        id,
+        submission_id: submissionId,
+        user_id: userId,
+        parent_id: parent?.id || null,
+        root_id: parent ? parent.root_id || parent.id : id,
+        depth: parent ? (parent.depth || 0) + 1 : 0,
+        content,
+        status: spamCheck.held ? 'pending' : 'visible',
+        spam_score: spamCheck.confidence
+      })
+      .select(COMMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create comment: ${error.message}`);
+    }
+
+    if (spamCheck.held) {
+      await this._flagForReview(data.id, submissionId, spamCheck.analysis);
+    }
+
+    return this.formatComment(data, submission.submitted_by);
+  }
+
+  /**
+   * Edit a comment's text (author only)
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - Editing user ID
+   * @param {string} content - New text
+   * @returns {Promise<Object>} Formatted comment
+   */
+  async updateComment(commentId, userId, content) {
+    if (!userId) {
+      throw commentError(401, 'Authentication required');
+    }
+
+    const text = this.validateContent(content);
+    const comment = await this._getOwnComment(commentId, userId);
+
+    if (!['visible', 'pending'].includes(comment.status)) {
+      throw commentError(400, 'This comment can no longer be edited');
+    }
+
+    const spamCheck = await this.checkContent(text);
+    const now = new Date().toISOString();
+    const updates = {
+      content: text,
+      spam_score: spamCheck.confidence,
+      edited_at: now,
+      updated_at: now
+    };
+    if (spamCheck.held) {
+      updates.status = 'pending';
+    }
+
+    const { data, error } = await this.supabase
+      .from('comments')
+      .update(updates)
+      .eq('id', commentId)
+      .select(COMMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update comment: ${error.message}`);
+    }
+
+    if (spamCheck.held && comment.status === 'visible') {
+      await this._flagForReview(commentId, comment.submission_id, spamCheck.analysis);
+    }
+
+    const submission = await this._getSubmission(comment.submission_id);
+    return this.formatComment(data, submission.submitted_by);
+  }
+
+  /**
+   * Soft-delete a comment (author only)
+   * The row is kept so replies stay attached to the thread.
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - Deleting user ID
+   * @returns {Promise<Object>} { id, status }
+   */
+  async deleteComment(commentId, userId) {
+    if (!userId) {
+      throw commentError(401, 'Authentication required');
+    }
+
+    const comment = await this._getOwnComment(commentId, userId);
+    if (comment.status === 'deleted') {
+      return { id: commentId, status: 'deleted' };
+    }
+    if (comment.status === 'hidden') {
+      throw commentError(400, 'This comment has been hidden by a moderator');
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await this.supabase
+      .from('comments')
+      .update({ status: 'deleted', deleted_at: now, updated_at: now })
+      .eq('id', commentId);
+
+    if (error) {
+      throw new Error(`Failed to delete comment: ${error.message}`);
+    }
+
+    return { id: commentId, status: 'deleted' };
+  }
+
+  /**
+   * Report a comment to moderators through AbuseReportingService
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - Reporting user ID
+   * @param {Object} reportData - Report details
+   * @param {string} reportData.report_type - spam, inappropriate, harassment, ...
+   * @param {string} reportData.description - Why the comment is being reported
+   * @returns {Promise<Object>} Report result
+   */
+  async reportComment(commentId, userId, reportData = {}) {
+    if (!userId) {
+      throw commentError(401, 'Authentication required');
+    }
+    if (!this.abuseReportingService) {
+      throw new Error('Abuse reporting service is not configured');
+    }
+
+    const comment = await this._getComment(commentId);
+    if (!comment || comment.status === 'deleted') {
+      throw commentError(404, 'Comment not found');
+    }
+    if (comment.user_id === userId) {
+      throw commentError(400, 'You cannot report your own comment');
+    }
+
+    const report = {
+      submission_id: comment.submission_id,
+      comment_id: commentId,
+      reported_by: userId,
+      report_type: reportData.report_type,
+      description: reportData.description
+    };
+
+    try {
+      this.abuseReportingService.validateReportData(report);
+    } catch (error) {
+      throw commentError(400, error.message);
+    }
+
+    const result = await this.abuseReportingService.submitReport(report);
+    if (!result.success) {
+      throw commentError(409, result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply a moderator action to a comment
+   * Locking applies to the whole thread, so lock/unlock act on the thread root.
+   * Hiding resolves the comment's pending reports; restoring dismisses them.
+   * @param {string} commentId - Comment ID
+   * @param {string} moderatorId - Moderator user ID
+   * @param {string} action - hide, restore, lock or unlock
+   * @param {string} [reason] - Moderation note
+   * @returns {Promise<Object>} Updated comment row
+   */
+  async moderateComment(commentId, moderatorId, action, reason = null) {
+    if (!MODERATION_ACTIONS.includes(action)) {
+      throw commentError(400, `Invalid action. Must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+    }
+
+    const comment = await this._getComment(commentId);
+    if (!comment) {
+      throw commentError(404, 'Comment not found');
+    }
+
+    const locking = action === 'lock' || action === 'unlock';
+    if (!locking && comment.status === 'deleted') {
+      throw commentError(400, 'Deleted comments cannot be moderated');
+    }
+
+    const targetId = locking ? comment.root_id || comment.id : comment.id;
+    const now = new Date().toISOString();
+    const updates = {
+      moderated_by: moderatorId,
+      moderated_at: now,
+      moderation_reason: reason,
+      updated_at: now,
+      ...(locking ? { is_locked: action === 'lock' } : { status: action === 'hide' ? 'hidden' : 'visible' })
+    };
+
+    const { data, error } = await this.supabase
+      .from('comments')
+      .update(updates)
+      .eq('id', targetId)
+      .select('id, submission_id, parent_id, root_id, status, is_locked, moderated_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to moderate comment: ${error.message}`);
+    }
+
+    if (!locking) {
+      await this._closeReports(commentId, moderatorId, action === 'hide' ? 'resolved' : 'dismissed', reason);
+    }
+
+    return data;
+  }
+
+  /**
+   * Comments awaiting moderation: held by spam checks or reported by users
+   * @param {Object} options - Queue options
+   * @param {number} options.limit - Maximum comments to return
+   * @returns {Promise<Array>} Queue items { comment, submission, reports }
+   */
+  async getModerationQueue(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+    const columns = `${COMMENT_COLUMNS}, submissions!submission_id (id, slug, url, rewritten_meta)`;
+
+    const { data: reports, error: reportError } = await this.supabase
+      .from('abuse_reports')
+      .select('id, comment_id, report_type, description, priority, created_at')
+      .not('comment_id', 'is', null)
+      .eq('status', 'pending')
+      .order('priority', { ascending: false })
+      .limit(limit);
+
+    if (reportError) {
+      throw new Error(`Failed to fetch comment reports: ${reportError.message}`);
+    }
+
+    const reportedIds = [...new Set((reports || []).map(report => report.comment_id))];
+
+    let query = this.supabase.from('comments').select(columns);
+    query = reportedIds.length
+      ? query.or(`status.eq.pending,id.in.(${reportedIds.join(',')})`)
+      : query.eq('status', 'pending');
+
+    const { data: comments, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch moderation queue: ${error.message}`);
+    }
+
+    return (comments || []).map(comment => ({
+      comment: this.formatComment(comment, null),
+      submission: comment.submissions || null,
+      reports: (reports || []).filter(report => report.comment_id === comment.id)
+    }));
+  }
+
+  /**
+   * Validate and normalize comment text
+   * @param {string} content - Comment text
+   * @returns {string} Trimmed text
+   * @throws {Error} With status 400 when invalid
+   */
+  validateContent(content) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw commentError(400, 'Comment content is required');
+    }
+
+    const text = content.trim();
+    if (text.length > this.maxLength) {
+      throw commentError(400, `Comment must be ${this.maxLength} characters or less`);
+    }
+
+    return text;
+  }
+
+  /**
+   * Run comment text through spam detection
+   * Fails open: if analysis errors, the comment is published.
+   * @param {string} content - Comment text
+   * @returns {Promise<Object>} { held, confidence, analysis }
+   * @throws {Error} With status 400 when spam detection blocks the content
+   */
+  async checkContent(content) {
+    if (!this.spamDetectionService) {
+      return { held: false, confidence: null, analysis: null };
+    }
+
+    let analysis;
+    try {
+      analysis = await this.spamDetectionService.analyzeContent(content, { type: 'comment' });
+    } catch (error) {
+      console.warn('Comment spam check failed:', error.message);
+      return { held: false, confidence: null, analysis: null };
+    }
+
+    if (analysis.isSpam && analysis.action === 'block') {
+      throw commentError(400, 'Your comment was rejected by our spam filter');
+    }
+
+    return {
+      held: !!analysis.isSpam,
+      confidence: Math.round(analysis.confidence || 0),
+      analysis
+    };
+  }
+
+  /**
+   * Refuse comments posted too quickly
+   * @param {string} userId - Author user ID
+   * @throws {Error} With status 429 when the user is commenting too fast
+   */
+  async checkCommentVelocity(userId) {
+    if (!this.spamDetectionService) {
+      return;
+    }
+
+    try {
+      const behavior = await this.spamDetectionService.analyzeBehaviorPattern(userId, 'commenting');
+      if (behavior.isSpam) {
+        throw commentError(429, 'You are commenting too quickly. Please try again later.');
+      }
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.warn('Comment velocity check failed:', error.message);
+    }
+  }
+
+  /**
+   * Restrict a listing query to what the viewer may see
+   * @private
+   */
+  _applyVisibility(query, viewerId, includeModerated) {
+    if (includeModerated) {
+      return query;
+    }
+
+    // viewerId is interpolated into a PostgREST filter, so only accept UUIDs
+    if (viewerId && UUID_PATTERN.test(viewerId)) {
+      return query.or(`status.in.(visible,deleted),and(status.eq.pending,user_id.eq.${viewerId})`);
+    }
+
+    return query.in('status', ['visible', 'deleted']);
+  }
+
+  /**
+   * Report a held comment to moderators
+   * @private
+   */
+  async _flagForReview(commentId, submissionId, analysis) {
+    if (!this.abuseReportingService) {
+      return;
+    }
+
+    const detection = analysis?.detections?.[0];
+    try {
+      await this.abuseReportingService.autoFlagComment(commentId, submissionId, {
+        reason: `Spam detection (${detection?.ruleName || 'content rules'})`,
+        confidence: analysis?.confidence || 0,
+        rule_triggered: detection?.ruleName || 'spam'
+      });
+    } catch (error) {
+      console.warn('Failed to flag comment for review:', error.message);
+    }
+  }
+
+  /**
+   * Close pending reports about a comment after moderation
+   * @private
+   */
+  async _closeReports(commentId, moderatorId, status, notes) {
+    const now = new Date().toISOString();
+    const { error } = await this.supabase
+      .from('abuse_reports')
+      .update({
+        status,
+        assigned_to: moderatorId,
+        resolved_at: now,
+        resolution_notes: notes,
+        updated_at: now
+      })
+      .eq('comment_id', commentId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.warn('Failed to close comment reports:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _assertThreadUnlocked(comment) {
+    let root = comment;
+    if (comment.root_id && comment.root_id !== comment.id) {
+      root = await this._getComment(comment.root_id);
+    }
+
+    if (root?.is_locked) {
+      throw commentError(403, 'This thread is locked');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getSubmission(submissionId) {
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select('id, status, submitted_by')
+      .eq('id', submissionId)
+      .single();
+
+    if (error || !data) {
+      throw commentError(404, 'Submission not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  async _getComment(commentId) {
+    const { data, error } = await this.supabase
+      .from('comments')
+      .select('id, submission_id, user_id, parent_id, root_id, depth, status, is_locked')
+      .eq('id', commentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch comment: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnComment(commentId, userId) {
+    const comment = await this._getComment(commentId);
+
+    if (!comment) {
+      throw commentError(404, 'Comment not found');
+    }
+    if (comment.user_id !== userId) {
+      throw commentError(403, 'You can only change your own comments');
+    }
+
+    return comment;
+  }
+}
+
+// Export service instance factory
+export function createCommentService(supabaseClient, options = {}) {
+  return new CommentService(supabaseClient, options);
+}
+
+export default CommentService;
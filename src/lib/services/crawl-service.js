@@ -0,0 +1,595 @@
+/**
+ * Polite Crawling Service
+ * Shared crawl layer used by every metadata fetcher:
+ * - robots.txt parsing (RFC 9309) with a per-origin cache
+ * - A configurable user agent (CRAWLER_USER_AGENT)
+ * - Per-host concurrency limits and request spacing, honoring Crawl-delay
+ * - Conditional re-fetches (If-None-Match / If-Modified-Since)
+ * - A distinct "blocked by robots.txt" error callers can surface to moderators
+ */
+
+import fetch from 'node-fetch';
+import { URL } from 'url';
+
+export const DEFAULT_USER_AGENT = 'ADLP-Bot/1.0 (+https://adlp.dev/bot)';
+
+export const ROBOTS_BLOCKED = 'ROBOTS_BLOCKED';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const MAX_ROBOTS_SIZE = 500 * 1024; // RFC 9309 asks crawlers to parse at least 500 KiB
+const MAX_ROBOTS_REDIRECTS = 5;
+
+/**
+ * Parse a robots.txt file
+ * Consecutive user-agent lines share the rules that follow them; unknown
+ * directives are ignored.
+ * @param {string} text - robots.txt contents
+ * @returns {Object} { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let collectingAgents = false;
+
+  for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (field) {
+      case 'user-agent':
+        if (!collectingAgents) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+          collectingAgents = true;
+        }
+        current.agents.push(value.toLowerCase());
+        break;
+      case 'allow':
+      case 'disallow':
+        collectingAgents = false;
+        // An empty Disallow allows everything, so it adds no rule
+        if (current && value) {
+          current.rules.push({ allow: field === 'allow', path: value });
+        }
+        break;
+      case 'crawl-delay': {
+        collectingAgents = false;
+        const delay = parseFloat(value);
+        if (current && Number.isFinite(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+        break;
+      }
+      case 'sitemap':
+        if (value) {
+          sitemaps.push(value);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Product token robots.txt groups are matched against, e.g. 'adlp-bot'
+ * for 'ADLP-Bot/1.0 (+https://adlp.dev/bot)'
+ * @param {string} userAgent - User agent string
+ * @returns {string} Lowercased product token
+ */
+export function getUserAgentToken(userAgent) {
+  const match = String(userAgent || '').match(/^[A-Za-z_-]+/);
+  return match ? match[0].toLowerCase() : '*';
+}
+
+/**
+ * Rules that apply to a user agent: every group naming its product token,
+ * otherwise every '*' group
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - User agent string
+ * @returns {Object} { rules, crawlDelay }
+ */
+export function getRobotsRules(robots, userAgent) {
+  const token = getUserAgentToken(userAgent);
+  const groups = robots?.groups || [];
+
+  let matching = groups.filter(group => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Check whether a robots.txt pattern matches a path
+ * Supports '*' wildcards and a trailing '$' end anchor.
+ * @param {string} pattern - Allow/Disallow value
+ * @param {string} path - URL path including the query string
+ * @returns {boolean} True if the pattern matches
+ */
+export function matchesRobotsPattern(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Decide whether robots.txt allows a path
+ * The longest matching rule wins; Allow wins a tie.
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - User agent string
+ * @param {string} path - URL path including the query string
+ * @returns {boolean} True if the path may be fetched
+ */
+export function isPathAllowed(robots, userAgent, path) {
+  if (path === '/robots.txt') {
+    return true;
+  }
+
+  let verdict = null;
+  for (const rule of getRobotsRules(robots, userAgent).rules) {
+    if (!matchesRobotsPattern(rule.path, path)) {
+      continue;
+    }
+    if (
+      !verdict ||
+      rule.path.length > verdict.path.length ||
+      (rule.path.length === verdict.path.length && rule.allow)
+    ) {
+      verdict = rule;
+    }
+  }
+
+  return verdict ? verdict.allow : true;
+}
+
+/**
+ * Create the error thrown when robots.txt disallows a URL
+ * @param {string} url - Blocked URL
+ * @param {string} userAgent - User agent that was checked
+ * @param {string} [reason] - Why, when it isn't an explicit Disallow rule
+ * @returns {Error} Error with code ROBOTS_BLOCKED and status 403
+ */
+export function createRobotsBlockedError(url, userAgent, reason) {
+  const { host, pathname } = new URL(url);
+  const error = new Error(
+    reason
+      ? `Blocked by robots.txt: ${reason}`
+      : `Blocked by robots.txt: ${host} does not allow ${getUserAgentToken(userAgent)} to fetch ${pathname}`
+  );
+  error.code = ROBOTS_BLOCKED;
+  error.status = 403;
+  error.url = url;
+  return error;
+}
+
+/**
+ * Check whether an error (or its message, once wrapped) is a robots.txt block
+ * @param {Error|string} error - Error or error message
+ * @returns {boolean} True if the fetch was blocked by robots.txt
+ */
+export function isRobotsBlocked(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === ROBOTS_BLOCKED) {
+    return true;
+  }
+  const message = typeof error === 'string' ? error : error.message;
+  return typeof message === 'string' && message.includes('Blocked by robots.txt');
+}
+
+/**
+ * In-memory validator store keeping the newest `maxEntries` URLs
+ */
+export class ValidatorCache {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(url) {
+    const validators = this.entries.get(url);
+    if (validators) {
+      this.entries.delete(url);
+      this.entries.set(url, validators);
+    }
+    return validators || null;
+  }
+
+  set(url, validators) {
+    this.entries.delete(url);
+    this.entries.set(url, validators);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(url) {
+    this.entries.delete(url);
+  }
+}
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export class Crawler {
+  /**
+   * @param {Object} options - Crawler options
+   * @param {string} [options.userAgent] - User agent (defaults to CRAWLER_USER_AGENT)
+   * @param {boolean} [options.respectRobots=true] - Check robots.txt before fetching
+   * @param {number} [options.hostConcurrency] - Requests in flight per host (CRAWLER_HOST_CONCURRENCY, default 2)
+   * @param {number} [options.hostDelay] - Minimum ms between request starts per host (CRAWLER_HOST_DELAY_MS, default 1000)
+   * @param {number} [options.maxCrawlDelay=30000] - Cap in ms on a site's Crawl-delay
+   * @param {number} [options.robotsTtl] - How long robots.txt is cached (24 hours)
+   * @param {number} [options.robotsErrorTtl] - How long an unreachable robots.txt blocks the origin (10 minutes)
+   * @param {number} [options.robotsTimeout=5000] - robots.txt request timeout in ms
+   * @param {number} [options.maxRobotsEntries=500] - Origins kept in the robots.txt cache
+   * @param {Object} [options.validatorStore] - get(url)/set(url, validators) store for conditional requests
+   * @param {Function} [options.fetch] - fetch implementation (defaults to node-fetch)
+   * @param {Function} [options.sleep] - Delay implementation
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+    this.respectRobots = options.respectRobots ?? true;
+    this.hostConcurrency = Math.max(1, options.hostConcurrency ?? envInt('CRAWLER_HOST_CONCURRENCY', 2));
+    this.hostDelay = options.hostDelay ?? envInt('CRAWLER_HOST_DELAY_MS', 1000);
+    this.maxCrawlDelay = options.maxCrawlDelay ?? 30 * 1000;
+    this.robotsTtl = options.robotsTtl ?? 24 * 60 * 60 * 1000;
+    this.robotsErrorTtl = options.robotsErrorTtl ?? 10 * 60 * 1000;
+    this.robotsTimeout = options.robotsTimeout ?? 5000;
+    this.maxRobotsEntries = options.maxRobotsEntries ?? 500;
+    this.validators = options.validatorStore || new ValidatorCache();
+    this.fetchImpl = options.fetch || fetch;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.robotsCache = new Map(); // origin -> { robots, disallowAll, reason, expiresAt }
+    this.robotsRequests = new Map(); // origin -> pending robots.txt lookup
+    this.hosts = new Map(); // host -> { active, waiting, nextStartAt }
+  }
+
+  /**
+   * Get the robots.txt policy for a URL's origin, fetching it when not cached
+   * - 2xx: parsed rules
+   * - 4xx (other than 429): no robots.txt, everything allowed
+   * - 429, 5xx or network errors: unreachable, everything disallowed for robotsErrorTtl
+   * @param {string} url - Any URL on the origin
+   * @param {Object} [options] - Request options (see fetchRobots)
+   * @returns {Promise<Object>} { robots, disallowAll, reason }
+   */
+  getRobots(url, options = {}) {
+    const { origin } = new URL(url);
+    const cached = this.robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return Promise.resolve(cached);
+    }
+
+    if (!this.robotsRequests.has(origin)) {
+      const request = this.fetchRobots(origin, options)
+        .then(entry => {
+          this.robotsCache.delete(origin);
+          this.robotsCache.set(origin, entry);
+          if (this.robotsCache.size > this.maxRobotsEntries) {
+            this.robotsCache.delete(this.robotsCache.keys().next().value);
+          }
+          return entry;
+        })
+        .finally(() => this.robotsRequests.delete(origin));
+      this.robotsRequests.set(origin, request);
+    }
+
+    return this.robotsRequests.get(origin);
+  }
+
+  /**
+   * Fetch and interpret an origin's robots.txt
+   * Redirects are followed here, like in fetch(), so every hop goes through
+   * checkUrl and the caller's agent; a refused hop makes robots.txt unreachable.
+   * @param {string} origin - URL origin
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.checkUrl] - Called with every URL before it is requested
+   * @param {Object|Function} [options.agent] - HTTP agent for the requests
+   * @returns {Promise<Object>} Cache entry
+   */
+  async fetchRobots(origin, options = {}) {
+    const unreachable = reason => ({
+      robots: null,
+      disallowAll: true,
+      reason: `robots.txt for ${new URL(origin).host} is unreachable (${reason}), so the site is not crawled for now`,
+      expiresAt: Date.now() + this.robotsErrorTtl
+    });
+
+    try {
+      let robotsUrl = `${origin}/robots.txt`;
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        await options.checkUrl?.(robotsUrl);
+        response = await this.request(robotsUrl, {
+          method: 'GET',
+          headers: { 'User-Agent': this.userAgent, 'Accept': 'text/plain,*/*;q=0.5' },
+          redirect: 'manual',
+          size: MAX_ROBOTS_SIZE,
+          agent: options.agent
+        }, this.robotsTimeout);
+
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.has(response.status) || !location) {
+          break;
+        }
+        if (redirects >= MAX_ROBOTS_REDIRECTS) {
+          return unreachable(`more than ${MAX_ROBOTS_REDIRECTS} redirects`);
+        }
+        await response.arrayBuffer().catch(() => {});
+        robotsUrl = new URL(location, robotsUrl).toString();
+      }
+
+      if (response.ok) {
+        const text = await response.text();
+        return { robots: parseRobotsTxt(text), disallowAll: false, reason: null, expiresAt: Date.now() + this.robotsTtl };
+      }
+
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        return { robots: null, disallowAll: false, reason: null, expiresAt: Date.now() + this.robotsTtl };
+      }
+
+      return unreachable(`HTTP ${response.status}`);
+    } catch (error) {
+      return unreachable(error.name === 'AbortError' ? 'timeout' : error.message);
+    }
+  }
+
+  /**
+   * Check a URL against its origin's robots.txt
+   * @param {string} url - URL to check
+   * @param {Object} [options] - Options
+   * @param {string} [options.userAgent] - User agent to check for
+   * @param {Function} [options.checkUrl] - Passed on to fetchRobots
+   * @param {Object|Function} [options.agent] - Passed on to fetchRobots
+   * @returns {Promise<Object>} { allowed, reason, crawlDelay } with crawlDelay in ms
+   */
+  async checkRobots(url, options = {}) {
+    if (!this.respectRobots) {
+      return { allowed: true, reason: null, crawlDelay: null };
+    }
+
+    const userAgent = options.userAgent || this.userAgent;
+    const entry = await this.getRobots(url, { checkUrl: options.checkUrl, agent: options.agent });
+
+    if (entry.disallowAll) {
+      return { allowed: false, reason: entry.reason, crawlDelay: null };
+    }
+
+    const { pathname, search } = new URL(url);
+    const { crawlDelay } = getRobotsRules(entry.robots, userAgent);
+
+    return {
+      allowed: isPathAllowed(entry.robots, userAgent, pathname + search),
+      reason: null,
+      crawlDelay: crawlDelay === null ? null : Math.min(crawlDelay * 1000, this.maxCrawlDelay)
+    };
+  }
+
+  /**
+   * Throw a ROBOTS_BLOCKED error unless robots.txt allows the URL
+   * @param {string} url - URL to check
+   * @param {Object} [options] - Options (see checkRobots)
+   * @returns {Promise<Object>} The robots check
+   */
+  async assertAllowed(url, options = {}) {
+    const check = await this.checkRobots(url, options);
+    if (!check.allowed) {
+      throw createRobotsBlockedError(url, options.userAgent || this.userAgent, check.reason);
+    }
+    return check;
+  }
+
+  /**
+   * Run a task against a URL once robots.txt allows it and a host slot is free
+   * Used by fetchers that drive their own client (e.g. a headless browser).
+   * @param {string} url - URL the task fetches
+   * @param {Function} task - Async function to run
+   * @param {Object} [options] - Options
+   * @param {string} [options.userAgent] - User agent the task sends
+   * @returns {Promise<*>} The task result
+   */
+  async run(url, task, options = {}) {
+    const { crawlDelay } = await this.assertAllowed(url, options);
+    return this.withHostSlot(new URL(url).host, task, crawlDelay);
+  }
+
+  /**
+   * Fetch a URL politely
+   * Redirects are followed here so every hop is checked against robots.txt.
+   * With `conditional`, validators from the last fetch of the URL are sent
+   * and a 304 response is returned as is.
+   * @param {string} url - URL to fetch
+   * @param {Object} [init] - fetch options (headers, size, ...)
+   * @param {Object} [options] - Crawl options
+   * @param {string} [options.userAgent] - User agent (defaults to the User-Agent header, then the crawler's)
+   * @param {number} [options.timeout] - Per-request timeout in ms, started once the host slot is acquired
+   * @param {number} [options.maxRedirects=5] - Redirects to follow
+   * @param {boolean} [options.conditional=false] - Send and record ETag/Last-Modified validators
+   * @param {Function} [options.checkUrl] - Called with every URL, redirect targets and
+   *   robots.txt included, before it is requested; throw to stop the fetch
+   * @returns {Promise<Response>} Final response; response.url is the final URL
+   */
+  async fetch(url, init = {}, options = {}) {
+    const userAgent = options.userAgent || init.headers?.['User-Agent'] || this.userAgent;
+    const maxRedirects = options.maxRedirects ?? 5;
+    const validators = options.conditional ? await this.validators.get(url) : null;
+
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      await options.checkUrl?.(currentUrl);
+      const { crawlDelay } = await this.assertAllowed(currentUrl, {
+        userAgent,
+        checkUrl: options.checkUrl,
+        agent: init.agent
+      });
+
+      const headers = { ...init.headers, 'User-Agent': userAgent };
+      if (validators && currentUrl === url) {
+        if (validators.etag) {
+          headers['If-None-Match'] = validators.etag;
+        }
+        if (validators.lastModified) {
+          headers['If-Modified-Since'] = validators.lastModified;
+        }
+      }
+
+      const requestUrl = currentUrl;
+      const response = await this.withHostSlot(
+        new URL(requestUrl).host,
+        () => this.request(requestUrl, { ...init, headers, redirect: 'manual' }, options.timeout),
+        crawlDelay
+      );
+
+      const location = response.headers.get('location');
+      if (REDIRECT_STATUSES.has(response.status) && location) {
+        if (redirects >= maxRedirects) {
+          throw new Error(`Too many redirects (more than ${maxRedirects})`);
+        }
+        await response.arrayBuffer().catch(() => {});
+        currentUrl = new URL(location, currentUrl).toString();
+        continue;
+      }
+
+      if (options.conditional && response.ok) {
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+        if (etag || lastModified) {
+          await this.validators.set(url, { etag, lastModified });
+        }
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Forget the validators recorded for a URL, so its next fetch is unconditional
+   * @param {string} url - URL
+   */
+  async forgetValidators(url) {
+    await this.validators.delete?.(url);
+  }
+
+  /**
+   * Make a single request with an optional timeout
+   * @param {string} url - URL
+   * @param {Object} init - fetch options
+   * @param {number} [timeout] - Timeout in ms
+   * @returns {Promise<Response>} Response
+   */
+  async request(url, init, timeout) {
+    if (!timeout) {
+      return this.fetchImpl(url, init);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await this.fetchImpl(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Run a task once the host has a free slot and its request spacing allows it
+   * @param {string} host - Host name (with port)
+   * @param {Function} task - Async function to run
+   * @param {number|null} [crawlDelay] - The site's Crawl-delay in ms
+   * @returns {Promise<*>} The task result
+   */
+  async withHostSlot(host, task, crawlDelay = null) {
+    const state = this.getHostState(host);
+
+    while (state.active >= this.hostConcurrency) {
+      await new Promise(resolve => state.waiting.push(resolve));
+    }
+    state.active++;
+
+    try {
+      const spacing = Math.max(this.hostDelay, crawlDelay || 0);
+      const now = Date.now();
+      const startAt = Math.max(now, state.nextStartAt);
+      state.nextStartAt = startAt + spacing;
+      if (startAt > now) {
+        await this.sleep(startAt - now);
+      }
+
+      return await task();
+    } finally {
+      state.active--;
+      state.waiting.shift()?.();
+    }
+  }
+
+  /**
+   * Per-host slot state, pruning idle hosts once many are tracked
+   * @param {string} host - Host name
+   * @returns {Object} { active, waiting, nextStartAt }
+   */
+  getHostState(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      if (this.hosts.size >= 1000) {
+        const now = Date.now();
+        for (const [key, value] of this.hosts) {
+          if (value.active === 0 && value.waiting.length === 0 && value.nextStartAt <= now) {
+            this.hosts.delete(key);
+          }
+        }
+      }
+      state = { active: 0, waiting: [], nextStartAt: 0 };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+}
+
+let sharedCrawler = null;
+
+/**
+ * Crawler shared by the metadata fetchers, so limits and caches apply
+ * process-wide
+ * @returns {Crawler} Crawler instance
+ */
+export function getCrawler() {
+  if (!sharedCrawler) {
+    sharedCrawler = new Crawler();
+  }
+  return sharedCrawler;
+}
+
+/**
+ * Create a crawler
+ * @param {Object} options - Crawler options
+ * @returns {Crawler} Crawler instance
+ */
+export function createCrawler(options = {}) {
+  return new Crawler(options);
+}
@@ -1,13 +1,29 @@
+import { createDataExportService } from './data-export-service.js';
+
 /**
  * Dashboard Service
  * Provides comprehensive analytics and management capabilities for platform owners
  */
 export class DashboardService {
-  constructor(supabaseClient) {
+  constructor(supabaseClient, options = {}) {
     if (!supabaseClient) {
       throw new Error('Supabase client is required');
     }
     this.supabase = supabaseClient;
+    this._exportService = options.exportService || null;
+  }
+
+  /**
+   * Export file generator, created on first use. It reads through this
+   * service's client, which the export routes create with the service role
+   * after their admin check so RLS-protected tables export in full.
+   * @returns {DataExportService} Export service
+   */
+  get exportService() {
+    if (!this._exportService) {
+      this._exportService = createDataExportService(this.supabase);
+    }
+    return this._exportService;
   }
 
   /**
@@ -465,19 +481,30 @@ export class DashboardService {
   /**
    * Export data
    * @param {string} type - Type of data to export
-   * @param {Object} filters - Export filters
+   * @param {Object} filters - Export filters (format, date_from, date_to and per-type filters)
+   * @param {string} [userId] - ID of the user requesting the export
    * @returns {Promise<Object>} Export job information
    */
-  async exportData(type, filters = {}) {
+  async exportData(type, filters = {}, userId = null) {
+    const errors = this.exportService.validateRequest(type, filters);
+    if (errors.length > 0) {
+      const error = new Error(errors.join(', '));
+      error.status = 400;
+      throw error;
+    }
+
     try {
       const exportId = `export-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const format = filters.format || 'csv';
       
       // Create export job record
       const { data: exportJob, error } = await this.supabase
         .from('export_jobs')
         .insert({
           id: exportId,
+          user_id: userId,
           type,
+          format,
           filters,
           status: 'processing',
           created_at: new Date().toISOString()
@@ -489,19 +516,19 @@ export class DashboardService {
         throw error;
       }
 
-      // In a real implementation, this would trigger a background job
-      // For now, we'll simulate the export process
+      // Generate the file after responding; progress is tracked on the job row
       setTimeout(async () => {
         try {
           await this._processExport(exportId, type, filters);
         } catch (error) {
           console.error('Export processing error:', error);
         }
-      }, 1000);
+      }, 0);
 
       return {
         export_id: exportId,
         type,
+        format,
         status: 'processing',
         created_at: exportJob.created_at,
         download_url: null,
@@ -530,10 +557,17 @@ export class DashboardService {
         throw error;
       }
 
+      const expired = this._isExportExpired(exportJob);
+
       return {
         export_id: exportId,
-        status: exportJob.status,
-        download_url: exportJob.download_url,
+        type: exportJob.type,
+        format: exportJob.format,
+        status: expired ? 'expired' : exportJob.status,
+        download_url: expired ? null : exportJob.download_url,
+        record_count: exportJob.record_count,
+        file_size: exportJob.file_size,
+        error_message: exportJob.error_message,
         expires_at: exportJob.expires_at
       };
     } catch (error) {
@@ -542,6 +576,66 @@ export class DashboardService {
     }
   }
 
+  /**
+   * Open a completed export file for download
+   * @param {string} exportId - Export job ID
+   * @returns {Promise<Object>} { stream, contentType, filename, fileSize }
+   */
+  async openExportDownload(exportId) {
+    const { data: exportJob, error } = await this.supabase
+      .from('export_jobs')
+      .select('*')
+      .eq('id', exportId)
+      .single();
+
+    if (error || !exportJob || exportJob.status === 'processing' || exportJob.status === 'failed') {
+      const notFound = new Error('Export not found or not ready');
+      notFound.status = 404;
+      throw notFound;
+    }
+
+    if (this._isExportExpired(exportJob)) {
+      const expired = new Error('Export has expired');
+      expired.status = 410;
+      throw expired;
+    }
+
+    const download = await this.exportService.openDownload(exportJob);
+    return { ...download, fileSize: exportJob.file_size };
+  }
+
+  /**
+   * Delete files of expired exports and mark the jobs expired
+   * @returns {Promise<number>} Number of exports purged
+   */
+  async purgeExpiredExports() {
+    const { data: jobs, error } = await this.supabase
+      .from('export_jobs')
+      .select('id, storage_key')
+      .eq('status', 'completed')
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error(`Failed to find expired exports: ${error.message}`);
+    }
+
+    let purged = 0;
+    for (const job of jobs || []) {
+      try {
+        await this.exportService.removeFile(job.storage_key);
+        await this.supabase
+          .from('export_jobs')
+          .update({ status: 'expired', download_url: null })
+          .eq('id', job.id);
+        purged++;
+      } catch (error) {
+        console.error(`Failed to purge export ${job.id}:`, error);
+      }
+    }
+
+    return purged;
+  }
+
   /**
    * Update platform settings
    * @param {Object} settings - Settings to update
@@ -638,30 +732,37 @@ export class DashboardService {
   }
 
   /**
-   * Process export job (background task simulation)
+   * Generate the export file and record the result on the job
    * @private
    */
   async _processExport(exportId, type, filters) {
     try {
-      // Simulate export processing
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      await this.purgeExpiredExports().catch(error => {
+        console.error('Error purging expired exports:', error);
+      });
 
-      // Generate download URL (in real implementation, this would be actual file generation)
-      const downloadUrl = `https://example.com/exports/${exportId}.csv`;
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+      const result = await this.exportService.generateExport(exportId, type, filters);
+      const expiresAt = this.exportService.getExpiryDate();
 
-      // Update export job status
-      await this.supabase
+      const { error } = await this.supabase
         .from('export_jobs')
         .update({
           status: 'completed',
-          download_url: downloadUrl,
+          storage_key: result.storage_key,
+          file_size: result.file_size,
+          record_count: result.record_count,
+          download_url: this.exportService.createDownloadUrl(exportId, expiresAt),
           expires_at: expiresAt.toISOString(),
           completed_at: new Date().toISOString()
         })
         .eq('id', exportId);
 
+      if (error) {
+        throw error;
+      }
     } catch (error) {
+      console.error(`Export ${exportId} failed:`, error);
+
       // Mark export as failed
       await this.supabase
         .from('export_jobs')
@@ -673,4 +774,12 @@ export class DashboardService {
         .eq('id', exportId);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * @private
+   */
+  _isExportExpired(exportJob) {
+    return exportJob.status === 'expired' ||
+      (exportJob.status === 'completed' && !!exportJob.expires_at && new Date(exportJob.expires_at) < new Date());
+  }
+}
@@ -0,0 +1,488 @@
+/**
+ * Data Export Service
+ * Generates CSV, JSON and NDJSON exports of dashboard data, stores them on
+ * local disk or in Supabase Storage (S3-backed), and signs expiring download links
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readFile, stat, unlink } from 'fs/promises';
+import { once } from 'events';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createClient } from '@supabase/supabase-js';
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+/**
+ * Exportable data sets
+ * Each source lists its table, exported columns, the date column used by
+ * date_from/date_to and the equality filters callers may pass.
+ */
+export const EXPORT_SOURCES = {
+  submissions: {
+    table: 'submissions',
+    columns: ['id', 'url', 'slug', 'status', 'submitted_by', 'tags', 'votes_count', 'comments_count',
+      'payment_status', 'is_federated', 'source_instance', 'rewritten_meta', 'created_at', 'updated_at'],
+    dateColumn: 'created_at',
+    filters: { status: 'status', user_id: 'submitted_by', payment_status: 'payment_status', is_federated: 'is_federated' }
+  },
+  users: {
+    table: 'users',
+    columns: ['id', 'username', 'full_name', 'website', 'twitter_handle', 'github_handle', 'is_admin', 'created_at', 'updated_at'],
+    dateColumn: 'created_at',
+    filters: { is_admin: 'is_admin' }
+  },
+  payments: {
+    table: 'payments',
+    columns: ['id', 'user_id', 'payment_intent_id', 'amount', 'currency', 'status', 'submission_type',
+      'refund_amount', 'confirmed_at', 'refunded_at', 'created_at'],
+    dateColumn: 'created_at',
+    filters: { status: 'status', user_id: 'user_id', currency: 'currency', submission_type: 'submission_type' }
+  },
+  audit_logs: {
+    table: 'audit_logs',
+    columns: ['id', 'user_id', 'action', 'resource_type', 'resource_id', 'details', 'ip_address', 'user_agent', 'created_at'],
+    dateColumn: 'created_at',
+    filters: { user_id: 'user_id', action: 'action', resource_type: 'resource_type' }
+  },
+  federation: {
+    table: 'federation_submission_results',
+    columns: ['id', 'submission_id', 'directory_id', 'instance_url', 'status', 'remote_submission_id',
+      'error_message', 'retry_count', 'submitted_at', 'created_at', 'updated_at'],
+    dateColumn: 'created_at',
+    filters: { status: 'status', instance_url: 'instance_url', submission_id: 'submission_id' }
+  }
+};
+
+// 'revenue' was the original name of the payments export
+EXPORT_SOURCES.revenue = EXPORT_SOURCES.payments;
+
+/**
+ * Stores export files on local disk
+ */
+export class LocalExportStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = path.resolve(options.directory || process.env.EXPORT_STORAGE_DIR || 'data/exports');
+  }
+
+  /**
+   * Get the path to write an export to
+   * @param {string} key - Storage key
+   * @returns {Promise<string>} Absolute file path
+   */
+  async prepare(key) {
+    const filePath = this._resolve(key);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    return filePath;
+  }
+
+  /**
+   * Finish storing a written file (already in place on local disk)
+   */
+  async commit() {}
+
+  /**
+   * Open a stored export for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} File stream
+   */
+  async open(key) {
+    const filePath = this._resolve(key);
+    await stat(filePath);
+    return createReadStream(filePath);
+  }
+
+  /**
+   * Delete a stored export
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await unlink(this._resolve(key)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Resolve a key inside the storage directory
+   * @private
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+}
+
+/**
+ * Stores export files in a Supabase Storage bucket (backed by S3/MinIO)
+ */
+export class SupabaseExportStorage {
+  constructor(storageClient, options = {}) {
+    if (!storageClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.name = 'supabase';
+    this.client = storageClient;
+    this.bucket = options.bucket || process.env.EXPORT_STORAGE_BUCKET || 'exports';
+  }
+
+  /**
+   * Get a temporary path to write an export to before upload
+   * @param {string} key - Storage key
+   * @returns {Promise<string>} Temporary file path
+   */
+  prepare(key) {
+    return Promise.resolve(path.join(tmpdir(), `launchpadder-${key.replace(/[^a-zA-Z0-9._-]/g, '_')}`));
+  }
+
+  /**
+   * Upload a written file to the bucket
+   * @param {string} key - Storage key
+   * @param {string} filePath - Temporary file path
+   * @param {string} contentType - MIME type
+   */
+  async commit(key, filePath, contentType) {
+    try {
+      const { error } = await this.client.storage
+        .from(this.bucket)
+        .upload(key, await readFile(filePath), { contentType, upsert: true });
+
+      if (error) {
+        throw new Error(`Storage upload failed: ${error.message}`);
+      }
+    } finally {
+      await unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Open a stored export for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} File stream
+   */
+  async open(key) {
+    const { data, error } = await this.client.storage.from(this.bucket).download(key);
+
+    if (error || !data) {
+      throw new Error(`Storage download failed: ${error?.message || 'file not found'}`);
+    }
+
+    return Readable.fromWeb(data.stream());
+  }
+
+  /**
+   * Delete a stored export
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    const { error } = await this.client.storage.from(this.bucket).remove([key]);
+    if (error) {
+      throw new Error(`Storage delete failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Create the storage backend configured by EXPORT_STORAGE (local or supabase)
+ * @param {Object} options - Storage options
+ * @returns {LocalExportStorage|SupabaseExportStorage} Storage backend
+ */
+export function createExportStorage(options = {}) {
+  const backend = options.backend || process.env.EXPORT_STORAGE || 'local';
+
+  if (backend === 'supabase') {
+    const storageClient = options.client || createClient(
+      process.env.SUPABASE_URL || process.env.PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY,
+      { auth: { autoRefreshToken: false, persistSession: false } }
+    );
+    return new SupabaseExportStorage(storageClient, options);
+  }
+
+  if (backend !== 'local') {
+    throw new Error(`Unknown export storage backend: ${backend}`);
+  }
+
+  return new LocalExportStorage(options);
+}
+
+/**
+ * DataExportService class for generating and serving export files
+ */
+export class DataExportService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.storage = options.storage || createExportStorage(options.storageOptions);
+    this.pageSize = options.pageSize || 1000;
+    this.expiresInHours = options.expiresInHours || parseInt(process.env.EXPORT_EXPIRY_HOURS) || 24;
+    this.signingSecret = options.signingSecret || process.env.EXPORT_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Validate an export request
+   * @param {string} type - Export type
+   * @param {Object} filters - Export filters (format, date_from, date_to and source filters)
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateRequest(type, filters = {}) {
+    const errors = [];
+    const source = EXPORT_SOURCES[type];
+
+    if (!source) {
+      errors.push(`Invalid export type. Must be one of: ${Object.keys(EXPORT_SOURCES).join(', ')}`);
+      return errors;
+    }
+
+    const format = filters.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+      errors.push(`Invalid export format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    for (const key of ['date_from', 'date_to']) {
+      if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+        errors.push(`${key} must be a valid date`);
+      }
+    }
+
+    const allowed = new Set(['format', 'date_from', 'date_to', ...Object.keys(source.filters)]);
+    const unknown = Object.keys(filters).filter(key => !allowed.has(key));
+    if (unknown.length > 0) {
+      errors.push(`Unsupported filters for ${type}: ${unknown.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generate an export file and store it
+   * @param {string} exportId - Export job ID
+   * @param {string} type - Export type
+   * @param {Object} filters - Export filters
+   * @returns {Promise<Object>} { storage_key, format, record_count, file_size }
+   */
+  async generateExport(exportId, type, filters = {}) {
+    const errors = this.validateRequest(type, filters);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const source = EXPORT_SOURCES[type];
+    const format = filters.format || 'csv';
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const storageKey = `${exportId}.${extension}`;
+    const filePath = await this.storage.prepare(storageKey);
+
+    const stream = createWriteStream(filePath);
+    const write = async chunk => {
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    let recordCount = 0;
+    try {
+      if (format === 'csv') {
+        await write(`${source.columns.map(column => this._csvValue(column)).join(',')}\r\n`);
+      } else if (format === 'json') {
+        await write('[');
+      }
+
+      for await (const page of this.fetchPages(source, filters)) {
+        for (const row of page) {
+          if (format === 'csv') {
+            await write(`${source.columns.map(column => this._csvValue(row[column])).join(',')}\r\n`);
+          } else if (format === 'json') {
+            await write(`${recordCount > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+          } else {
+            await write(`${JSON.stringify(row)}\n`);
+          }
+          recordCount++;
+        }
+      }
+
+      if (format === 'json') {
+        await write(recordCount > 0 ? '\n]\n' : ']\n');
+      }
+
+      stream.end();
+      await once(stream, 'finish');
+    } catch (error) {
+      if (!stream.closed) {
+        stream.destroy();
+        await once(stream, 'close');
+      }
+      await unlink(filePath).catch(() => {});
+      throw error;
+    }
+
+    const { size } = await stat(filePath);
+    await this.storage.commit(storageKey, filePath, contentType);
+
+    return {
+      storage_key: storageKey,
+      format,
+      record_count: recordCount,
+      file_size: size
+    };
+  }
+
+  /**
+   * Read a data set page by page so large tables are never loaded at once
+   * @param {Object} source - Export source definition
+   * @param {Object} filters - Export filters
+   * @yields {Array<Object>} Rows
+   */
+  async *fetchPages(source, filters = {}) {
+    for (let offset = 0; ; offset += this.pageSize) {
+      let query = this.supabase
+        .from(source.table)
+        .select(source.columns.join(', '))
+        .order(source.dateColumn, { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + this.pageSize - 1);
+
+      if (filters.date_from) {
+        query = query.gte(source.dateColumn, filters.date_from);
+      }
+      if (filters.date_to) {
+        query = query.lte(source.dateColumn, filters.date_to);
+      }
+      for (const [filter, column] of Object.entries(source.filters)) {
+        if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+          query = query.eq(column, filters[filter]);
+        }
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to read ${source.table}: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        return;
+      }
+
+      yield data;
+
+      if (data.length < this.pageSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Open a completed export for download
+   * @param {Object} exportJob - export_jobs row
+   * @returns {Promise<Object>} { stream, contentType, filename }
+   */
+  async openDownload(exportJob) {
+    const format = EXPORT_FORMATS[exportJob.format || 'csv'];
+
+    return {
+      stream: await this.storage.open(exportJob.storage_key),
+      contentType: format.contentType,
+      filename: `${exportJob.type}-${exportJob.id}.${format.extension}`
+    };
+  }
+
+  /**
+   * Remove a stored export file
+   * @param {string} storageKey - Storage key
+   */
+  async removeFile(storageKey) {
+    if (storageKey) {
+      await this.storage.remove(storageKey);
+    }
+  }
+
+  /**
+   * Expiry time for a newly completed export
+   * @returns {Date} Expiry date
+   */
+  getExpiryDate() {
+    return new Date(Date.now() + this.expiresInHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Build a signed download URL that is valid until the export expires
+   * @param {string} exportId - Export job ID
+   * @param {string|Date} expiresAt - Expiry time
+   * @returns {string} Relative download URL
+   */
+  createDownloadUrl(exportId, expiresAt) {
+    const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+    const signature = this._sign(exportId, expires);
+    return `/api/dashboard/export/${encodeURIComponent(exportId)}/download?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Verify a signed download URL
+   * @param {string} exportId - Export job ID
+   * @param {string|number} expires - Expiry (unix seconds) from the URL
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean} True if the signature is valid and not expired
+   */
+  verifyDownloadSignature(exportId, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || !signature || expiresAt * 1000 < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this._sign(exportId, expiresAt), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  }
+
+  /**
+   * @private
+   */
+  _sign(exportId, expires) {
+    if (!this.signingSecret) {
+      throw new Error('EXPORT_SIGNING_SECRET is not configured');
+    }
+    return createHmac('sha256', this.signingSecret).update(`${exportId}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Format a value as a CSV field
+   * Values that spreadsheets would evaluate as formulas are prefixed with a quote.
+   * @private
+   */
+  _csvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Export service instance factory
+export function createDataExportService(supabaseClient, options = {}) {
+  return new DataExportService(supabaseClient, options);
+}
+
+export default DataExportService;
@@ -0,0 +1,125 @@
+/**
+ * Email Transports
+ *
+ * Transports used by NotificationService. Each exposes nodemailer's
+ * sendMail(message) and resolves with at least { messageId }:
+ * - smtp: delivers through an SMTP server
+ * - file: writes every message as a JSON file to a directory (offline dev)
+ * - json: keeps rendered messages in memory (tests and previews)
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+export const EMAIL_TRANSPORTS = ['smtp', 'file', 'json'];
+
+const DEFAULT_OUTBOX_DIR = '.email-outbox';
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - SMTP options
+ * @param {string} options.host - SMTP host
+ * @param {number} [options.port=587] - SMTP port
+ * @param {boolean} [options.secure] - Use TLS from the start (defaults to port 465)
+ * @param {string} [options.user] - SMTP user
+ * @param {string} [options.pass] - SMTP password
+ * @returns {Object} nodemailer transporter
+ */
+export function createSmtpTransport(options = {}) {
+  if (!options.host) {
+    throw new Error('SMTP host is required');
+  }
+
+  const port = options.port || 587;
+  return nodemailer.createTransport({
+    host: options.host,
+    port,
+    secure: options.secure ?? port === 465,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+}
+
+/**
+ * In-memory transport built on nodemailer's JSON transport
+ * Rendered messages are kept in `messages`, newest last.
+ */
+export class JsonTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    this.messages = [];
+  }
+
+  /**
+   * Render a message and keep it
+   * @param {Object} message - nodemailer message
+   * @returns {Promise<Object>} { messageId, message } where message is the rendered JSON object
+   */
+  async sendMail(message) {
+    const info = await this.transporter.sendMail(message);
+    const rendered = JSON.parse(info.message);
+    this.messages.push(rendered);
+    return { messageId: info.messageId, message: rendered };
+  }
+}
+
+/**
+ * Transport writing each message as a JSON file, named after the send time
+ * and message ID so a directory listing reads in order
+ */
+export class FileTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} [options.directory] - Directory to write to (created when missing)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_OUTBOX_DIR;
+    this.transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  /**
+   * Render a message and write it to the directory
+   * @param {Object} message - nodemailer message
+   * @returns {Promise<Object>} { messageId, path }
+   */
+  async sendMail(message) {
+    const info = await this.transporter.sendMail(message);
+    const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]+/g, '_');
+    const filePath = path.join(this.directory, `${Date.now()}-${id}.json`);
+
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(filePath, JSON.stringify(JSON.parse(info.message), null, 2));
+
+    return { messageId: info.messageId, path: filePath };
+  }
+}
+
+/**
+ * Create the transport selected in the environment
+ * (EMAIL_TRANSPORT, SMTP_HOST/PORT/USER/PASS/SECURE, EMAIL_OUTBOX_DIR)
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object|null} Transport, or null when email is not configured
+ */
+export function createEmailTransport(env = process.env) {
+  const type = (env.EMAIL_TRANSPORT || '').toLowerCase();
+
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : undefined,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return new FileTransport({ directory: env.EMAIL_OUTBOX_DIR });
+    case 'json':
+      return new JsonTransport();
+    case '':
+    case 'off':
+      return null;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${type}" (expected one of ${EMAIL_TRANSPORTS.join(', ')})`);
+  }
+}
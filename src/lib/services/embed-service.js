@@ -0,0 +1,403 @@
+/**
+ * Embed Service
+ *
+ * Lets makers embed their launch on their own site and in blog posts:
+ * - An oEmbed 1.0 provider (/api/oembed) answering for launch page URLs with
+ *   a "rich" response whose HTML is an iframe of the launch card
+ * - The card itself (/embed/launches/[slug]): a standalone, iframe-safe HTML
+ *   page with the launch's logo, title, AI description, maker and a vote count
+ *   that refreshes while the card is visible
+ *
+ * Cards take a theme (light, dark or system, as in the theme store) and a
+ * locale.
+ */
+
+import { createHash } from 'crypto';
+import { THEMES } from '../stores/theme.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../i18n/locales.js';
+import { translate } from '../i18n/messages.js';
+import { createLaunchPageService, getLaunchPath, serializeJsonLd, SITE_NAME } from './launch-page-service.js';
+
+export const EMBED_THEMES = Object.values(THEMES);
+
+export const CARD_WIDTH = 480;
+export const CARD_HEIGHT = 180;
+const MIN_CARD_WIDTH = 280;
+const MAX_DESCRIPTION_LENGTH = 160;
+const VOTE_REFRESH_INTERVAL = 60 * 1000;
+
+// How long oEmbed consumers may cache a response, in seconds
+const OEMBED_CACHE_AGE = 3600;
+
+// Theme colors, from themes.css
+const CARD_COLORS = {
+  [THEMES.LIGHT]: { bg: '#ffffff', border: '#e5e7eb', text: '#111827', muted: '#4b5563', accent: '#2563eb', accentBg: '#eff6ff' },
+  [THEMES.DARK]: { bg: '#111827', border: '#374151', text: '#f9fafb', muted: '#d1d5db', accent: '#93c5fd', accentBg: '#1e3a8a' }
+};
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function embedError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Validated card options, with defaults for anything unknown
+ * @param {Object} [options] - Raw options (e.g. from a query string)
+ * @param {string} [options.theme] - light, dark or system
+ * @param {string} [options.locale] - Supported locale code
+ * @returns {Object} { theme, locale }
+ */
+export function normalizeCardOptions(options = {}) {
+  return {
+    theme: EMBED_THEMES.includes(options.theme) ? options.theme : THEMES.SYSTEM,
+    locale: SUPPORTED_LOCALES.includes(options.locale) ? options.locale : DEFAULT_LOCALE
+  };
+}
+
+/**
+ * URL of a launch's card
+ * @param {Object} launch - Submission with slug and id
+ * @param {string} origin - Site origin
+ * @param {Object} [options] - Card options ({ theme, locale }); defaults are left out
+ * @returns {string} Absolute card URL
+ */
+export function getCardUrl(launch, origin, options = {}) {
+  const { theme, locale } = normalizeCardOptions(options);
+  const params = new URLSearchParams();
+  if (theme !== THEMES.SYSTEM) {
+    params.set('theme', theme);
+  }
+  if (locale !== DEFAULT_LOCALE) {
+    params.set('locale', locale);
+  }
+
+  const query = params.toString();
+  return `${origin}/embed${getLaunchPath(launch)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * oEmbed discovery URL for a launch page
+ * @param {string} pageUrl - Absolute launch page URL
+ * @param {string} origin - Site origin
+ * @returns {string} /api/oembed URL
+ */
+export function getOEmbedUrl(pageUrl, origin) {
+  return `${origin}/api/oembed?url=${encodeURIComponent(pageUrl)}&format=json`;
+}
+
+/**
+ * Card dimensions within an oEmbed consumer's limits
+ * Cards narrow down to 280px; the height is fixed.
+ * @param {Object} [limits] - { maxwidth, maxheight }
+ * @returns {Object} { width, height }
+ */
+export function getCardSize(limits = {}) {
+  const maxWidth = parseInt(limits.maxwidth, 10);
+  const width = maxWidth > 0 ? Math.max(MIN_CARD_WIDTH, Math.min(maxWidth, CARD_WIDTH)) : CARD_WIDTH;
+  return { width, height: CARD_HEIGHT };
+}
+
+/**
+ * The iframe HTML makers paste (and oEmbed consumers insert)
+ * @param {Object} launch - Submission with slug, id and title
+ * @param {string} origin - Site origin
+ * @param {Object} [options] - { theme, locale, width, height }
+ * @returns {string} <iframe> element
+ */
+export function renderEmbedIframe(launch, origin, options = {}) {
+  const { width = CARD_WIDTH, height = CARD_HEIGHT } = options;
+  const title = getLaunchTitle(launch);
+  return `<iframe src="${escapeHtml(getCardUrl(launch, origin, options))}" width="${width}" height="${height}" `
+    + `style="border:0;max-width:100%;border-radius:12px" title="${escapeHtml(`${title} on ${SITE_NAME}`)}" loading="lazy"></iframe>`;
+}
+
+/**
+ * Launch title, AI-rewritten when available
+ * @param {Object} launch - Submission row
+ * @returns {string} Title
+ */
+function getLaunchTitle(launch) {
+  return launch.rewritten_meta?.title || launch.original_meta?.title || 'Untitled Product';
+}
+
+/**
+ * The launch's logo for the card: the hosted logo when images were processed,
+ * else the scraped favicon (http(s) or same-site URLs only)
+ * @param {Object} launch - Submission row
+ * @returns {Object|null} { url, srcset }
+ */
+function getCardLogo(launch) {
+  const logo = launch.images?.logo;
+  if (logo?.url) {
+    const webp = logo.sources?.find(source => source.type === 'image/webp');
+    return { url: logo.url, srcset: webp?.srcset || null };
+  }
+
+  const favicon = launch.images?.favicon;
+  return typeof favicon === 'string' && /^(https?:\/\/|\/(?!\/))/i.test(favicon) ? { url: favicon, srcset: null } : null;
+}
+
+/**
+ * CSS custom properties for a theme
+ * @param {string} theme - light or dark
+ * @returns {string} Declarations
+ */
+function themeVariables(theme) {
+  const colors = CARD_COLORS[theme];
+  return `color-scheme:${theme};--bg:${colors.bg};--border:${colors.border};--text:${colors.text};`
+    + `--muted:${colors.muted};--accent:${colors.accent};--accent-bg:${colors.accentBg};`;
+}
+
+/**
+ * Render a launch card as a standalone HTML page
+ * The theme follows the theme store's convention: a theme-light/theme-dark
+ * class on <html>, or the system preference when neither is set.
+ * @param {Object} launch - Submission row with maker
+ * @param {Object} options - Render options
+ * @param {string} options.origin - Site origin
+ * @param {string} [options.theme] - light, dark or system
+ * @param {string} [options.locale] - Locale code
+ * @returns {Object} { html, contentSecurityPolicy }; the policy allows the
+ *   card's own script by hash and framing from anywhere
+ */
+export function renderLaunchCard(launch, options) {
+  const { origin } = options;
+  const { theme, locale } = normalizeCardOptions(options);
+
+  const title = getLaunchTitle(launch);
+  let description = (launch.rewritten_meta?.description || launch.original_meta?.description || '').trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    description = `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+  }
+
+  const pageUrl = `${origin}${locale === DEFAULT_LOCALE ? '' : `/${locale}`}${getLaunchPath(launch)}`;
+  const maker = launch.users ? launch.users.full_name || launch.users.username : null;
+  const logo = getCardLogo(launch);
+  const votesTemplate = translate(locale, 'embed.votes');
+  const votes = translate(locale, 'embed.votes', {
+    count: new Intl.NumberFormat(locale).format(launch.votes_count || 0)
+  });
+
+  const logoHtml = logo
+    ? `<img class="logo" src="${escapeHtml(logo.url)}"${logo.srcset ? ` srcset="${escapeHtml(logo.srcset)}" sizes="48px"` : ''} alt="" width="48" height="48">`
+    : `<span class="logo logo-placeholder" aria-hidden="true">${escapeHtml(title.charAt(0).toUpperCase())}</span>`;
+
+  const config = serializeJsonLd({
+    url: `${origin}/api/submissions/${launch.id}/vote`,
+    interval: VOTE_REFRESH_INTERVAL
+  });
+  const script = `
+(function () {
+  var config = ${config};
+  var element = document.querySelector('[data-votes]');
+  var format = new Intl.NumberFormat(document.documentElement.lang);
+  function refresh() {
+    if (document.hidden) return;
+    fetch(config.url, { headers: { Accept: 'application/json' } })
+      .then(function (response) { return response.ok ? response.json() : null; })
+      .then(function (body) {
+        if (body && body.data) {
+          element.textContent = element.getAttribute('data-template').replace('{count}', format.format(body.data.votes_count));
+        }
+      })
+      .catch(function () {});
+  }
+  setInterval(refresh, config.interval);
+  document.addEventListener('visibilitychange', refresh);
+})();
+`;
+  const scriptHash = createHash('sha256').update(script).digest('base64');
+
+  const html = `<!DOCTYPE html>
+<html lang="${locale}"${theme === THEMES.SYSTEM ? '' : ` class="theme-${theme}"`}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(`${title} | ${SITE_NAME}`)}</title>
+<link rel="canonical" href="${escapeHtml(pageUrl)}">
+<style>
+:root,.theme-light{${themeVariables(THEMES.LIGHT)}}
+.theme-dark{${themeVariables(THEMES.DARK)}}
+@media (prefers-color-scheme: dark){:root:not(.theme-light){${themeVariables(THEMES.DARK)}}}
+*{box-sizing:border-box;margin:0;padding:0}
+html,body{height:100%;background:transparent}
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;color:var(--text)}
+.card{display:flex;gap:16px;align-items:flex-start;height:100%;padding:16px;background:var(--bg);border:1px solid var(--border);border-radius:12px;overflow:hidden}
+.card-link{display:flex;gap:12px;flex:1;min-width:0;color:inherit;text-decoration:none}
+.logo{flex-shrink:0;width:48px;height:48px;border-radius:10px;border:1px solid var(--border);object-fit:cover}
+.logo-placeholder{display:flex;align-items:center;justify-content:center;font-weight:700;font-size:20px;background:var(--accent-bg);color:var(--accent)}
+.content{min-width:0}
+.title{font-size:16px;font-weight:700;line-height:1.3;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.card-link:hover .title{color:var(--accent)}
+.description{margin-top:4px;font-size:13px;line-height:1.45;color:var(--muted);display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;overflow:hidden}
+.meta{margin-top:8px;font-size:12px;color:var(--muted)}
+.meta strong{color:var(--accent);font-weight:600}
+.votes{flex-shrink:0;display:flex;flex-direction:column;align-items:center;min-width:64px;padding:8px;border-radius:10px;border:1px solid var(--border);background:var(--accent-bg);color:var(--accent);font-size:12px;font-weight:600;text-align:center}
+.votes .arrow{font-size:14px;line-height:1}
+</style>
+</head>
+<body>
+<article class="card">
+<a class="card-link" href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener">
+${logoHtml}
+<div class="content">
+<h1 class="title">${escapeHtml(title)}</h1>
+${description ? `<p class="description">${escapeHtml(description)}</p>` : ''}
+<p class="meta">${maker ? `${escapeHtml(translate(locale, 'embed.by', { name: maker }))} · ` : ''}<strong>${escapeHtml(translate(locale, 'embed.viewLaunch', { site: SITE_NAME }))}</strong></p>
+</div>
+</a>
+<a class="votes" href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener"><span class="arrow" aria-hidden="true">▲</span><span data-votes data-template="${escapeHtml(votesTemplate)}">${escapeHtml(votes)}</span></a>
+</article>
+<script>${script}</script>
+</body>
+</html>
+`;
+
+  return {
+    html,
+    contentSecurityPolicy: [
+      "default-src 'none'",
+      "img-src 'self' https: data:",
+      "style-src 'unsafe-inline'",
+      `script-src 'sha256-${scriptHash}'`,
+      "connect-src 'self'",
+      "base-uri 'none'",
+      "form-action 'none'",
+      'frame-ancestors *'
+    ].join('; ')
+  };
+}
+
+/**
+ * EmbedService class for oEmbed responses and launch cards
+ */
+export class EmbedService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.launchPageService = options.launchPageService || createLaunchPageService(supabaseClient);
+  }
+
+  /**
+   * Find the launch a launch page URL points at
+   * Accepts /launches/[slug] on this site, with or without a locale prefix.
+   * @param {string} url - Launch page URL
+   * @param {string} origin - Site origin
+   * @returns {Object} { slug, locale }
+   * @throws {Error} With status 404 when the URL is not a launch page here
+   */
+  parseLaunchUrl(url, origin) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw embedError(404, 'No embeddable launch at this URL');
+    }
+
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const locale = SUPPORTED_LOCALES.includes(segments[0]) ? segments.shift() : DEFAULT_LOCALE;
+    if (parsed.host !== new URL(origin).host || segments.length !== 2 || segments[0] !== 'launches') {
+      throw embedError(404, 'No embeddable launch at this URL');
+    }
+
+    try {
+      return { slug: decodeURIComponent(segments[1]), locale };
+    } catch {
+      throw embedError(404, 'No embeddable launch at this URL');
+    }
+  }
+
+  /**
+   * oEmbed response for a launch page URL
+   * @param {string} url - Launch page URL (the oEmbed url parameter)
+   * @param {Object} options - Request options
+   * @param {string} options.origin - Site origin
+   * @param {string|number} [options.maxwidth] - Consumer's maximum width
+   * @param {string|number} [options.maxheight] - Consumer's maximum height
+   * @param {string} [options.theme] - Card theme
+   * @returns {Promise<Object>} oEmbed 1.0 "rich" response
+   */
+  async getOEmbed(url, options) {
+    const { origin } = options;
+    const { slug, locale } = this.parseLaunchUrl(url, origin);
+    const launch = await this.launchPageService.getLaunch(slug, { countView: false });
+
+    const { width, height } = getCardSize(options);
+    const maxHeight = parseInt(options.maxheight, 10);
+    if (maxHeight > 0 && maxHeight < height) {
+      throw embedError(404, `The launch card needs a height of at least ${height}px`);
+    }
+
+    const title = getLaunchTitle(launch);
+    const response = {
+      version: '1.0',
+      type: 'rich',
+      provider_name: SITE_NAME,
+      provider_url: origin,
+      title,
+      html: renderEmbedIframe(launch, origin, { theme: options.theme, locale, width, height }),
+      width,
+      height,
+      cache_age: OEMBED_CACHE_AGE
+    };
+
+    if (launch.users) {
+      response.author_name = launch.users.full_name || launch.users.username;
+    }
+
+    // Thumbnails need all three fields; only hosted images have known dimensions
+    const thumbnail = launch.images?.all?.find?.(image => image?.url && image.width && image.height);
+    if (thumbnail) {
+      Object.assign(response, {
+        thumbnail_url: new URL(thumbnail.url, origin).href,
+        thumbnail_width: thumbnail.width,
+        thumbnail_height: thumbnail.height
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Render a launch's card
+   * @param {string} slugOrId - Launch slug or ID
+   * @param {Object} options - Card options ({ origin, theme, locale })
+   * @returns {Promise<Object>} { launch, html, contentSecurityPolicy }
+   */
+  async getCard(slugOrId, options) {
+    const launch = await this.launchPageService.getLaunch(slugOrId, { countView: false });
+    return { launch, ...renderLaunchCard(launch, options) };
+  }
+}
+
+// Export service instance factory
+export function createEmbedService(supabaseClient, options = {}) {
+  return new EmbedService(supabaseClient, options);
+}
+
+export default EmbedService;
@@ -11,8 +11,8 @@
 
 import { MetadataFetcher } from './metadata-fetcher.js';
 import { load } from 'cheerio';
-import fetch from 'node-fetch';
 import { URL } from 'url';
+import { isRobotsBlocked } from './crawl-service.js';
 
 export class EnhancedMetadataFetcher extends MetadataFetcher {
   constructor(options = {}) {
@@ -33,13 +33,15 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
   /**
    * Enhanced metadata fetching with caching and performance optimizations
    * @param {string} url - The URL to fetch metadata from
-   * @returns {Promise<Object>} The extracted metadata
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.conditional=false] - Re-fetch with the validators from the last fetch
+   * @returns {Promise<Object>} The extracted metadata, or { url, notModified: true }
    */
-  async fetchMetadata(url) {
+  async fetchMetadata(url, options = {}) {
     this.validateUrl(url);
 
     // Check cache first
-    if (this.enableCaching) {
+    if (this.enableCaching && !options.conditional) {
       const cached = this.getCachedMetadata(url);
       if (cached) {
         return cached;
@@ -51,14 +53,14 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
       return this.requestPromises.get(url);
     }
 
-    const promise = this._fetchMetadataInternal(url);
+    const promise = this._fetchMetadataInternal(url, options);
     this.requestPromises.set(url, promise);
 
     try {
       const metadata = await promise;
       
       // Cache the result
-      if (this.enableCaching) {
+      if (this.enableCaching && !metadata.notModified) {
         this.setCachedMetadata(url, metadata);
       }
       
@@ -71,14 +73,13 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
   /**
    * Override fetchWithTimeout to handle additional content types
    * @param {string} url - The URL to fetch
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.conditional=false] - Send validators; a 304 response is returned as is
    * @returns {Promise<Response>} The fetch response
    */
-  async fetchWithTimeout(url) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
+  async fetchWithTimeout(url, options = {}) {
     try {
-      const response = await fetch(url, {
+      const response = await this.crawler.fetch(url, {
         method: 'GET',
         headers: {
           'User-Agent': this.userAgent,
@@ -89,14 +90,16 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
           'Connection': 'keep-alive',
           'Upgrade-Insecure-Requests': '1'
         },
-        redirect: 'follow',
-        follow: this.maxRedirects,
-        timeout: this.timeout,
-        signal: controller.signal,
         size: this.maxContentLength
+      }, {
+        timeout: this.timeout,
+        maxRedirects: this.maxRedirects,
+        conditional: options.conditional
       });
 
-      clearTimeout(timeoutId);
+      if (response.status === 304) {
+        return response;
+      }
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -113,8 +116,6 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
 
       return response;
     } catch (error) {
-      clearTimeout(timeoutId);
-      
       if (error.name === 'AbortError') {
         throw new Error('Request timeout');
       }
@@ -126,11 +127,16 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
   /**
    * Internal metadata fetching implementation
    * @param {string} url - The URL to fetch metadata from
+   * @param {Object} [options] - Fetch options (see fetchMetadata)
    * @returns {Promise<Object>} The extracted metadata
    */
-  async _fetchMetadataInternal(url) {
+  async _fetchMetadataInternal(url, options = {}) {
     try {
-      const response = await this.fetchWithTimeout(url);
+      const response = await this.fetchWithTimeout(url, options);
+      if (response.status === 304) {
+        return { url, notModified: true };
+      }
+
       const contentType = response.headers.get('content-type') || '';
       
       // Handle different content types
@@ -143,6 +149,9 @@ export class EnhancedMetadataFetcher extends MetadataFetcher {
       
       return this.extractEnhancedMetadata(html, finalUrl);
     } catch (error) {
+      if (isRobotsBlocked(error)) {
+        throw error;
+      }
       throw new Error(`Failed to fetch URL: ${error.message}`);
     }
   }
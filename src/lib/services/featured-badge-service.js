@@ -0,0 +1,281 @@
+/**
+ * Featured Badge Service
+ *
+ * "Featured on <instance>" badges makers put on their own websites. Each
+ * launch gets an SVG (/launches/[slug]/featured.svg) showing its current vote
+ * count and its rank on its launch day, in the instance's name and brand
+ * color from platform_settings, so every federated instance has its own
+ * badge. The badge links to /launches/[slug]/featured, which records the
+ * referral and redirects to the launch page (see 038_featured_badges.sql).
+ */
+
+import { createHash } from 'crypto';
+import { createLaunchPageService, getLaunchPath, SITE_NAME } from './launch-page-service.js';
+import { createLeaderboardService } from './leaderboard-service.js';
+import { escapeXml } from './feed-service.js';
+
+export const BADGE_THEMES = ['light', 'dark', 'brand'];
+
+// Scale of the 260x54 design
+export const BADGE_SIZES = {
+  small: 0.8,
+  medium: 1,
+  large: 1.5
+};
+
+export const DEFAULT_BRAND_COLOR = '#2563EB';
+
+const BADGE_WIDTH = 260;
+const BADGE_HEIGHT = 54;
+const BRANDING_TTL = 5 * 60 * 1000;
+const BRAND_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const THEME_COLORS = {
+  light: { bg: '#FFFFFF', border: null, text: '#111827', muted: '#6B7280', panel: '#F3F4F6' },
+  dark: { bg: '#111827', border: '#374151', text: '#F9FAFB', muted: '#9CA3AF', panel: '#1F2937' },
+  brand: { bg: null, border: null, text: '#FFFFFF', muted: '#FFFFFF', panel: '#FFFFFF' }
+};
+
+/**
+ * Validated badge options, with defaults for anything unknown
+ * @param {Object} [options] - Raw options (e.g. from a query string)
+ * @param {string} [options.theme] - light, dark or brand
+ * @param {string} [options.size] - small, medium or large
+ * @returns {Object} { theme, size }
+ */
+export function normalizeBadgeOptions(options = {}) {
+  return {
+    theme: BADGE_THEMES.includes(options.theme) ? options.theme : 'light',
+    size: Object.hasOwn(BADGE_SIZES, options.size || '') ? options.size : 'medium'
+  };
+}
+
+/**
+ * Pixel dimensions of a badge size
+ * @param {string} [size] - small, medium or large
+ * @returns {Object} { width, height }
+ */
+export function getBadgeDimensions(size) {
+  const scale = BADGE_SIZES[normalizeBadgeOptions({ size }).size];
+  return { width: Math.round(BADGE_WIDTH * scale), height: Math.round(BADGE_HEIGHT * scale) };
+}
+
+/**
+ * Render a "Featured on" badge
+ * @param {Object} badge - Badge data
+ * @param {string} badge.siteName - Instance name
+ * @param {string} [badge.brandColor] - Instance brand color (#RRGGBB)
+ * @param {number} badge.votes - Vote count
+ * @param {number|null} [badge.rank] - Rank on the launch day
+ * @param {Object} [options] - { theme, size }
+ * @returns {string} SVG document
+ */
+export function renderFeaturedBadge(badge, options = {}) {
+  const { theme, size } = normalizeBadgeOptions(options);
+  const { width, height } = getBadgeDimensions(size);
+  const brand = BRAND_COLOR_PATTERN.test(badge.brandColor || '') ? badge.brandColor : DEFAULT_BRAND_COLOR;
+  const colors = THEME_COLORS[theme];
+  const background = colors.bg || brand;
+  const border = colors.border || brand;
+  const iconFill = theme === 'brand' ? '#FFFFFF' : brand;
+  const iconText = theme === 'brand' ? brand : '#FFFFFF';
+  const panelOpacity = theme === 'brand' ? ' fill-opacity="0.15"' : '';
+
+  let siteName = badge.siteName || SITE_NAME;
+  if (siteName.length > 16) {
+    siteName = `${siteName.slice(0, 15).trimEnd()}…`;
+  }
+  const nameSize = siteName.length > 12 ? 12 : 15;
+
+  const votes = new Intl.NumberFormat('en-US').format(badge.votes || 0);
+  const rankLabel = badge.rank ? `#${badge.rank} of the day` : null;
+  const label = `Featured on ${badge.siteName || SITE_NAME}: ${votes} upvotes${rankLabel ? `, ${rankLabel}` : ''}`;
+
+  const panel = rankLabel
+    ? `<text x="215" y="25" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="13" font-weight="700" fill="${colors.text}">▲ ${votes}</text>
+  <text x="215" y="40" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="9" fill="${colors.muted}">${escapeXml(rankLabel)}</text>`
+    : `<text x="215" y="32" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="13" font-weight="700" fill="${colors.text}">▲ ${votes}</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${BADGE_WIDTH} ${BADGE_HEIGHT}" role="img" aria-label="${escapeXml(label)}">
+  <title>${escapeXml(label)}</title>
+  <rect x="1" y="1" width="258" height="52" rx="10" fill="${background}" stroke="${border}" stroke-width="2"/>
+  <circle cx="27" cy="27" r="17" fill="${iconFill}"/>
+  <text x="27" y="33" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="16" font-weight="700" fill="${iconText}">★</text>
+  <text x="54" y="21" font-family="Helvetica, Arial, sans-serif" font-size="9" font-weight="700" letter-spacing="1" fill="${colors.muted}">FEATURED ON</text>
+  <text x="54" y="39" font-family="Helvetica, Arial, sans-serif" font-size="${nameSize}" font-weight="700" fill="${colors.text}">${escapeXml(siteName)}</text>
+  <rect x="176" y="8" width="78" height="38" rx="8" fill="${colors.panel}"${panelOpacity}/>
+  ${panel}
+</svg>`;
+}
+
+/**
+ * The HTML makers paste on their site
+ * @param {Object} launch - Submission with slug and id
+ * @param {string} origin - Site origin
+ * @param {Object} [options] - { siteName, theme, size }
+ * @returns {string} Linked <img> element
+ */
+export function renderFeaturedBadgeEmbed(launch, origin, options = {}) {
+  const { theme, size } = normalizeBadgeOptions(options);
+  const { width, height } = getBadgeDimensions(size);
+  const path = getLaunchPath(launch);
+  const params = new URLSearchParams();
+  if (theme !== 'light') {
+    params.set('theme', theme);
+  }
+  if (size !== 'medium') {
+    params.set('size', size);
+  }
+  const query = params.toString();
+
+  return `<a href="${escapeXml(`${origin}${path}/featured`)}" target="_blank">`
+    + `<img src="${escapeXml(`${origin}${path}/featured.svg${query ? `?${query}` : ''}`)}" `
+    + `alt="${escapeXml(`Featured on ${options.siteName || SITE_NAME}`)}" width="${width}" height="${height}" /></a>`;
+}
+
+/**
+ * Whether the client's copy of a badge is current (weak ETag comparison)
+ * @private
+ */
+function isNotModified(request, etag) {
+  const ifNoneMatch = request.headers.get('if-none-match');
+  if (!ifNoneMatch) {
+    return false;
+  }
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Serve a badge, answering 304 when the client's copy is current
+ * Badges may lag the live count by up to an hour; caches can serve stale
+ * copies for a day while they revalidate.
+ * @param {Request} request - Incoming request
+ * @param {string} svg - Badge SVG
+ * @returns {Response} SVG or 304 response
+ */
+export function createBadgeResponse(request, svg) {
+  const etag = `W/"${createHash('sha1').update(svg).digest('base64url')}"`;
+  const headers = {
+    'Content-Type': 'image/svg+xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600, stale-while-revalidate=86400',
+    'Access-Control-Allow-Origin': '*',
+    ETag: etag
+  };
+
+  if (isNotModified(request, etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  return new Response(svg, { status: 200, headers });
+}
+
+/**
+ * FeaturedBadgeService class for "Featured on" badges and their referrals
+ */
+export class FeaturedBadgeService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.launchPageService = options.launchPageService || createLaunchPageService(supabaseClient);
+    this.leaderboardService = options.leaderboardService || createLeaderboardService(supabaseClient);
+    this.brandingTtl = options.brandingTtl ?? BRANDING_TTL;
+    this.now = options.now || (() => Date.now());
+    this.branding = null;
+    this.brandingExpiresAt = 0;
+  }
+
+  /**
+   * The instance's name and brand color, cached for a few minutes
+   * Falls back to the defaults when platform_settings can't be read.
+   * @returns {Promise<Object>} { siteName, brandColor }
+   */
+  async getBranding() {
+    if (this.branding && this.now() < this.brandingExpiresAt) {
+      return this.branding;
+    }
+
+    const { data, error } = await this.supabase
+      .from('platform_settings')
+      .select('platform_name, brand_color')
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Failed to fetch platform branding:', error.message);
+    }
+
+    this.branding = {
+      siteName: data?.platform_name || SITE_NAME,
+      brandColor: BRAND_COLOR_PATTERN.test(data?.brand_color || '') ? data.brand_color : DEFAULT_BRAND_COLOR
+    };
+    this.brandingExpiresAt = this.now() + this.brandingTtl;
+    return this.branding;
+  }
+
+  /**
+   * Render a launch's badge
+   * @param {string} slugOrId - Launch slug or ID
+   * @param {Object} [options] - { theme, size }
+   * @returns {Promise<Object>} { launch, svg }
+   */
+  async getBadge(slugOrId, options = {}) {
+    const launch = await this.launchPageService.getLaunch(slugOrId, { countView: false });
+    const [branding, rank] = await Promise.all([
+      this.getBranding(),
+      this.leaderboardService.getLaunchDayRank(launch).catch(error => {
+        console.warn('Failed to rank launch for its badge:', error.message);
+        return null;
+      })
+    ]);
+
+    return {
+      launch,
+      svg: renderFeaturedBadge({ ...branding, votes: launch.votes_count, rank }, options)
+    };
+  }
+
+  /**
+   * Record a click on a launch's badge
+   * Recording is best effort: the visitor is redirected whether or not it succeeds.
+   * @param {string} slugOrId - Launch slug or ID
+   * @param {Object} [context] - Click context
+   * @param {string} [context.referrer] - Referer header (the page showing the badge)
+   * @param {string} [context.origin] - Site origin, so internal clicks aren't counted as coming from elsewhere
+   * @returns {Promise<Object>} { launch, referrerHost }
+   */
+  async recordClick(slugOrId, context = {}) {
+    const launch = await this.launchPageService.getLaunch(slugOrId, { countView: false });
+
+    let host = null;
+    try {
+      host = context.referrer ? new URL(context.referrer).host.toLowerCase() : null;
+    } catch {
+      host = null;
+    }
+    if (host && context.origin && host === new URL(context.origin).host) {
+      host = null;
+    }
+
+    const { error } = await this.supabase.rpc('record_badge_referral', {
+      p_submission_id: launch.id,
+      p_referrer_host: host
+    });
+
+    if (error) {
+      console.warn('Failed to record badge referral:', error.message);
+    }
+
+    return { launch, referrerHost: host };
+  }
+}
+
+// Export service instance factory
+export function createFeaturedBadgeService(supabaseClient, options = {}) {
+  return new FeaturedBadgeService(supabaseClient, options);
+}
+
+export default FeaturedBadgeService;
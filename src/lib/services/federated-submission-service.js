@@ -6,11 +6,13 @@
  * cross-platform submissions.
  */
 
+import { canonicalizeUrl } from './url-canonicalizer.js';
+
 /**
  * FederatedSubmissionService class for managing federated submissions
  */
 export class FederatedSubmissionService {
-  constructor(supabaseClient, federationDiscoveryService, paymentService) {
+  constructor(supabaseClient, federationDiscoveryService, paymentService, options = {}) {
     if (!supabaseClient) {
       throw new Error('Supabase client is required');
     }
@@ -22,9 +24,14 @@ export class FederatedSubmissionService {
     this.supabase = supabaseClient;
     this.federationDiscovery = federationDiscoveryService;
     this.paymentService = paymentService;
+    this.notificationService = options.notificationService || null;
     
     // Timeout for external API calls (30 seconds)
     this.requestTimeout = 30000;
+
+    // Credentials this instance presents to peers on /api/federation/submit
+    this.instanceUrl = process.env.FEDERATION_INSTANCE_URL || null;
+    this.federationApiKey = process.env.FEDERATION_API_KEY || null;
   }
 
   /**
@@ -90,6 +97,7 @@ export class FederatedSubmissionService {
       // Create submission record
       const submissionRecord = {
         ...submissionData,
+        canonical_url: canonicalizeUrl(submissionData.url),
         status: requiresPayment ? 'pending_payment' : 'pending_submission',
         federation_enabled: true,
         total_cost_usd: costBreakdown.total_usd,
@@ -219,10 +227,39 @@ export class FederatedSubmissionService {
     const newStatus = successCount > 0 ? 'submitted' : 'failed';
     
     await this._updateSubmissionStatus(submissionId, newStatus);
+    this.notifyFederationResults(submissionId, submissionData, directories, results);
 
     return results;
   }
 
+  /**
+   * Email the submitter how each directory handled their submission
+   * Sending runs in the background and never fails the submission.
+   * @param {string} submissionId - Local submission ID
+   * @param {Object} submissionData - Submission data (user_id and title when known)
+   * @param {Array} directories - Target directories
+   * @param {Array} results - Per-directory results
+   */
+  notifyFederationResults(submissionId, submissionData, directories, results) {
+    if (!this.notificationService || !results || results.length === 0) {
+      return;
+    }
+
+    const names = new Map((directories || []).map(directory => [directory.id, this._directoryName(directory)]));
+
+    this._getSubmissionOwner(submissionId, submissionData)
+      .then(owner => owner && this.notificationService.notify('federation.results', owner.userId, {
+        title: owner.title,
+        count: results.length,
+        results: results.map(result => ({
+          directory: names.get(result.directory_id) || this._directoryName(result),
+          success: result.success,
+          error: result.error || null
+        }))
+      }))
+      .catch(error => console.error('Failed to send federation results email:', error.message));
+  }
+
   /**
    * Get federated submission status
    * @param {string} submissionId - Submission ID
@@ -356,6 +393,11 @@ export class FederatedSubmissionService {
         }
       }
 
+      this.notifyFederationResults(submissionId, submissionData, [], retryResults.map((result, index) => ({
+        ...result,
+        instance_url: failedResults[index].instance_url
+      })));
+
       return retryResults;
     } catch (error) {
       console.error('Error retrying failed submissions:', error);
@@ -408,16 +450,23 @@ export class FederatedSubmissionService {
       description: submissionData.description,
       tags: submissionData.tags,
       directory_id: directory.id,
-      source_instance: 'launchpadder',
+      source_instance: this.instanceUrl || 'launchpadder',
       federation_submission_id: submissionId
     };
 
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'LaunchPadder-Federation/1.0'
+    };
+
+    if (this.instanceUrl && this.federationApiKey) {
+      headers['X-Federation-Instance'] = this.instanceUrl;
+      headers.Authorization = `Bearer ${this.federationApiKey}`;
+    }
+
     const response = await this._fetchWithTimeout(submissionEndpoint, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'LaunchPadder-Federation/1.0'
-      },
+      headers,
       body: JSON.stringify(payload),
       timeout: this.requestTimeout
     });
@@ -477,6 +526,50 @@ export class FederatedSubmissionService {
       .eq('directory_id', directory.id);
   }
 
+  /**
+   * Submitter and title of a submission, looked up when not passed in
+   * @param {string} submissionId - Submission ID
+   * @param {Object} submissionData - Submission data
+   * @returns {Promise<Object|null>} { userId, title }
+   * @private
+   */
+  async _getSubmissionOwner(submissionId, submissionData = {}) {
+    const userId = submissionData?.user_id || submissionData?.submitted_by;
+    if (userId) {
+      return { userId, title: submissionData.title || submissionData.url };
+    }
+
+    const { data } = await this.supabase
+      .from('submissions')
+      .select('submitted_by, url, original_meta, rewritten_meta')
+      .eq('id', submissionId)
+      .maybeSingle();
+
+    return data?.submitted_by
+      ? {
+        userId: data.submitted_by,
+        title: data.rewritten_meta?.title || data.original_meta?.title || data.url
+      }
+      : null;
+  }
+
+  /**
+   * Display name of a directory
+   * @param {Object} directory - Directory or result with instance_url
+   * @returns {string} Name, host or ID
+   * @private
+   */
+  _directoryName(directory) {
+    if (directory.name) {
+      return directory.name;
+    }
+    try {
+      return new URL(directory.instance_url).host;
+    } catch {
+      return directory.directory_id || directory.id || '?';
+    }
+  }
+
   /**
    * Update submission status
    * @param {string} submissionId - Submission ID
@@ -560,8 +653,8 @@ export class FederatedSubmissionService {
 }
 
 // Export singleton instance factory
-export function createFederatedSubmissionService(supabaseClient, federationDiscoveryService, paymentService) {
-  return new FederatedSubmissionService(supabaseClient, federationDiscoveryService, paymentService);
+export function createFederatedSubmissionService(supabaseClient, federationDiscoveryService, paymentService, options = {}) {
+  return new FederatedSubmissionService(supabaseClient, federationDiscoveryService, paymentService, options);
 }
 
 // Default export
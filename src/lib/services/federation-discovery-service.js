@@ -5,16 +5,21 @@
  * and their available directories for cross-platform submissions.
  */
 
+import { hashFederationKey } from './federation-inbound-service.js';
+
 /**
  * FederationDiscoveryService class for managing federation network
  */
 export class FederationDiscoveryService {
-  constructor(supabaseClient) {
+  constructor(supabaseClient, options = {}) {
     if (!supabaseClient) {
       throw new Error('Supabase client is required');
     }
     
     this.supabase = supabaseClient;
+    this.webhookService = options.webhookService || null;
+    // Peer key hashes live in a service-role-only table
+    this.serviceClient = options.serviceClient || null;
     
     // API endpoints for federation communication
     this.endpoints = {
@@ -95,10 +100,11 @@ export class FederationDiscoveryService {
    * @param {string} instanceData.base_url - Instance base URL
    * @param {string} instanceData.description - Instance description
    * @param {string} instanceData.admin_email - Admin email
+   * @param {string} [instanceData.api_key] - Key the instance will present when submitting to us
    * @returns {Promise<Object>} Registration result
    */
   async registerInstance(instanceData) {
-    const { name, base_url, description, admin_email } = instanceData;
+    const { name, base_url, description, admin_email, api_key } = instanceData;
     
     // Validate required fields
     if (!name) {
@@ -122,6 +128,10 @@ export class FederationDiscoveryService {
     if (!this._isValidEmail(admin_email)) {
       throw new Error('Invalid email format for admin_email');
     }
+
+    if (api_key && !this.serviceClient) {
+      throw new Error('Federation keys cannot be stored without a service-role client');
+    }
     
     try {
       // Insert new instance with pending status
@@ -141,10 +151,15 @@ export class FederationDiscoveryService {
       if (error) {
         throw new Error(`Database error: ${error.message}`);
       }
+
+      const instance = data?.[0] || null;
+      if (api_key && instance) {
+        await this._storeInstanceKey(instance.id, api_key);
+      }
       
       return {
         success: true,
-        instance: data?.[0] || null
+        instance
       };
     } catch (error) {
       console.error('Error registering instance:', error);
@@ -152,6 +167,26 @@ export class FederationDiscoveryService {
     }
   }
 
+  /**
+   * Store the hash of a peer's API key in the service-role-only key table
+   * @param {string} instanceId - Federation instance ID
+   * @param {string} apiKey - Plain API key the peer will present
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _storeInstanceKey(instanceId, apiKey) {
+    const { error } = await this.serviceClient
+      .from('federation_instance_keys')
+      .insert([{
+        instance_id: instanceId,
+        api_key_hash: hashFederationKey(apiKey)
+      }]);
+
+    if (error) {
+      throw new Error(`Failed to store federation key: ${error.message}`);
+    }
+  }
+
   /**
    * Verify instance health and API compatibility
    * @param {string} instanceUrl - Instance base URL
@@ -212,6 +247,10 @@ export class FederationDiscoveryService {
    */
   async updateInstanceStatus(instanceId, status) {
     try {
+      const previousStatus = this.webhookService
+        ? await this._getInstanceStatus(instanceId)
+        : null;
+      
       const { data, error } = await this.supabase
         .from('federation_instances')
         .update({
@@ -225,9 +264,24 @@ export class FederationDiscoveryService {
         throw new Error(`Database error: ${error.message}`);
       }
       
+      const instance = data?.[0] || null;
+      
+      // Deliveries run in the background and never fail the update
+      if (this.webhookService && instance && previousStatus !== status) {
+        this.webhookService.emit('federation.status_changed', {
+          instance: {
+            id: instance.id,
+            name: instance.name,
+            base_url: instance.base_url
+          },
+          previous_status: previousStatus,
+          status
+        });
+      }
+      
       return {
         success: true,
-        instance: data?.[0] || null
+        instance
       };
     } catch (error) {
       console.error('Error updating instance status:', error);
@@ -235,6 +289,22 @@ export class FederationDiscoveryService {
     }
   }
 
+  /**
+   * Get the current status of an instance
+   * @param {string} instanceId - Instance ID
+   * @returns {Promise<string|null>} Status or null if unknown
+   * @private
+   */
+  async _getInstanceStatus(instanceId) {
+    const { data } = await this.supabase
+      .from('federation_instances')
+      .select('status')
+      .eq('id', instanceId)
+      .single();
+    
+    return data?.status || null;
+  }
+
   /**
    * Get list of known federation instances
    * @param {Object} options - Query options
@@ -409,8 +479,8 @@ export class FederationDiscoveryService {
 }
 
 // Export singleton instance factory
-export function createFederationDiscoveryService(supabaseClient) {
-  return new FederationDiscoveryService(supabaseClient);
+export function createFederationDiscoveryService(supabaseClient, options = {}) {
+  return new FederationDiscoveryService(supabaseClient, options);
 }
 
 // Default export
@@ -0,0 +1,447 @@
+/**
+ * Federation Inbound Service
+ *
+ * Receives submissions sent by peer instances to /api/federation/submit.
+ * Authenticates the calling instance, applies the same rate limit, spam and
+ * moderation checks as local submissions, and runs the URL through the local
+ * submission pipeline so metadata is re-fetched and AI-rewritten here.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+export const FEDERATION_INSTANCE_HEADER = 'x-federation-instance';
+export const FEDERATION_RATE_LIMIT_CONFIG = 'federation_inbound';
+
+/**
+ * Hash a federation API key for storage and comparison
+ * @param {string} apiKey - Plain-text API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashFederationKey(apiKey) {
+  return createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * FederationInboundService class for accepting submissions from peer instances
+ */
+export class FederationInboundService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    if (!options.submissionService) {
+      throw new Error('Submission service is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.submissionService = options.submissionService;
+    this.spamDetectionService = options.spamDetectionService || null;
+    this.rateLimitingService = options.rateLimitingService || null;
+    this.moderationService = options.moderationService || null;
+
+    this.maxTitleLength = 200;
+    this.maxDescriptionLength = 2000;
+    this.maxTags = 10;
+  }
+
+  /**
+   * Authenticate the calling instance from request headers
+   *
+   * The caller identifies itself with X-Federation-Instance (its base URL) and
+   * proves it with Authorization: Bearer <key>. Only the SHA-256 hash of the key
+   * is stored, in federation_instance_keys, which needs the service role.
+   *
+   * @param {Headers} headers - Request headers
+   * @returns {Promise<Object>} { authenticated, instance, error }
+   */
+  async authenticateInstance(headers) {
+    const instanceUrl = headers.get(FEDERATION_INSTANCE_HEADER);
+    const authHeader = headers.get('authorization') || '';
+    const apiKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+    if (!instanceUrl || !apiKey) {
+      return {
+        authenticated: false,
+        instance: null,
+        error: 'Federation credentials required'
+      };
+    }
+
+    const { data: instance, error } = await this.supabase
+      .from('federation_instances')
+      .select('id, name, base_url, status, federation_enabled')
+      .eq('base_url', instanceUrl.replace(/\/$/, ''))
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to look up federation instance: ${error.message}`);
+    }
+
+    const apiKeyHash = instance ? await this._getKeyHash(instance.id) : null;
+    if (!apiKeyHash || !this._keyMatches(apiKey, apiKeyHash)) {
+      return {
+        authenticated: false,
+        instance: null,
+        error: 'Invalid federation credentials'
+      };
+    }
+
+    if (instance.status !== 'active' || instance.federation_enabled === false) {
+      return {
+        authenticated: false,
+        instance,
+        error: 'Federation instance is not active'
+      };
+    }
+
+    return { authenticated: true, instance, error: null };
+  }
+
+  /**
+   * Look up the key hash registered for an instance
+   * @param {string} instanceId - Federation instance ID
+   * @returns {Promise<string|null>} Hash, or null when the instance has no key
+   * @private
+   */
+  async _getKeyHash(instanceId) {
+    const { data, error } = await this.supabase
+      .from('federation_instance_keys')
+      .select('api_key_hash')
+      .eq('instance_id', instanceId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to look up federation instance key: ${error.message}`);
+    }
+
+    return data?.api_key_hash || null;
+  }
+
+  /**
+   * Validate an inbound submission payload
+   * @param {Object} payload - Payload sent by the peer instance
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validatePayload(payload) {
+    const errors = [];
+
+    if (!payload || typeof payload !== 'object') {
+      return ['Payload must be an object'];
+    }
+
+    if (!payload.url || typeof payload.url !== 'string') {
+      errors.push('URL is required');
+    } else if (!this._isValidUrl(payload.url)) {
+      errors.push('Invalid URL format');
+    }
+
+    if (!payload.federation_submission_id) {
+      errors.push('federation_submission_id is required');
+    }
+
+    if (payload.title !== undefined && payload.title !== null) {
+      if (typeof payload.title !== 'string') {
+        errors.push('Title must be a string');
+      } else if (payload.title.length > this.maxTitleLength) {
+        errors.push(`Title must be at most ${this.maxTitleLength} characters`);
+      }
+    }
+
+    if (payload.description !== undefined && payload.description !== null) {
+      if (typeof payload.description !== 'string') {
+        errors.push('Description must be a string');
+      } else if (payload.description.length > this.maxDescriptionLength) {
+        errors.push(`Description must be at most ${this.maxDescriptionLength} characters`);
+      }
+    }
+
+    if (payload.tags !== undefined && payload.tags !== null) {
+      if (!Array.isArray(payload.tags) || payload.tags.some(tag => typeof tag !== 'string')) {
+        errors.push('Tags must be an array of strings');
+      } else if (payload.tags.length > this.maxTags) {
+        errors.push(`At most ${this.maxTags} tags are allowed`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Receive a submission from an authenticated peer instance
+   * @param {Object} payload - Payload sent by the peer instance
+   * @param {Object} instance - Authenticated federation instance record
+   * @returns {Promise<Object>} Result with success flag, submission_id and status,
+   *   or error and reason (invalid_payload, rate_limited, spam, duplicate)
+   */
+  async receiveSubmission(payload, instance) {
+    const validationErrors = this.validatePayload(payload);
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        reason: 'invalid_payload',
+        error: validationErrors.join(', ')
+      };
+    }
+
+    // Retries from the sender must not create a second submission
+    const existing = await this._findInboundRecord(instance.id, payload.federation_submission_id);
+    if (existing?.status === 'rejected') {
+      return {
+        success: false,
+        reason: 'spam',
+        error: 'Submission rejected by spam detection'
+      };
+    }
+
+    if (existing) {
+      return {
+        success: true,
+        submission_id: existing.submission_id,
+        status: existing.status,
+        duplicate_request: true
+      };
+    }
+
+    if (this.rateLimitingService) {
+      const rateLimit = await this.rateLimitingService.checkRateLimit(
+        instance.id,
+        'api_key',
+        FEDERATION_RATE_LIMIT_CONFIG
+      );
+
+      if (!rateLimit.allowed) {
+        return {
+          success: false,
+          reason: 'rate_limited',
+          error: 'Federation rate limit exceeded',
+          retryAfter: rateLimit.retryAfter
+        };
+      }
+    }
+
+    const spamCheck = await this._checkSpam(payload);
+    if (spamCheck.action === 'block') {
+      await this._recordInbound(instance, payload, null, 'rejected', spamCheck.reason);
+      return {
+        success: false,
+        reason: 'spam',
+        error: 'Submission rejected by spam detection'
+      };
+    }
+
+    let submission;
+    try {
+      submission = await this.submissionService.createSubmission(
+        {
+          url: payload.url,
+          title: payload.title,
+          description: payload.description,
+          tags: payload.tags || []
+        },
+        null,
+        { sourceInstance: instance.base_url }
+      );
+    } catch (error) {
+      if (error.message.includes('already been submitted')) {
+        return {
+          success: false,
+          reason: 'duplicate',
+          error: 'URL has already been submitted'
+        };
+      }
+      throw error;
+    }
+
+    let status = submission.status;
+    const escalationReason = spamCheck.action === 'flag'
+      ? spamCheck.reason
+      : await this._autoModerationReason(submission);
+
+    if (escalationReason && this.moderationService) {
+      const escalated = await this.moderationService.escalateSubmission(
+        submission.id,
+        escalationReason,
+        null
+      );
+      status = escalated?.status || 'escalated';
+    }
+
+    await this._recordInbound(instance, payload, submission.id, status, escalationReason);
+    await this._touchInstance(instance.id);
+
+    return {
+      success: true,
+      submission_id: submission.id,
+      status
+    };
+  }
+
+  /**
+   * Run URL and content spam analysis
+   * @param {Object} payload - Inbound payload
+   * @returns {Promise<Object>} { action: 'allow'|'flag'|'block', reason }
+   * @private
+   */
+  async _checkSpam(payload) {
+    if (!this.spamDetectionService) {
+      return { action: 'allow', reason: null };
+    }
+
+    const urlAnalysis = await this.spamDetectionService.analyzeUrl(payload.url);
+    const text = [payload.title, payload.description].filter(Boolean).join(' ');
+    const contentAnalysis = text
+      ? await this.spamDetectionService.analyzeContent(text)
+      : { isSpam: false, action: 'allow', detections: [] };
+
+    if (contentAnalysis.isSpam && contentAnalysis.action === 'block') {
+      return { action: 'block', reason: this._describeDetections(contentAnalysis.detections) };
+    }
+
+    if (urlAnalysis.isSpam || contentAnalysis.isSpam) {
+      const detections = [...(urlAnalysis.detections || []), ...(contentAnalysis.detections || [])];
+      return { action: 'flag', reason: this._describeDetections(detections) };
+    }
+
+    return { action: 'allow', reason: null };
+  }
+
+  /**
+   * Ask the moderation service whether a new submission needs a human
+   * @param {Object} submission - Created submission
+   * @returns {Promise<string|null>} Escalation reason or null
+   * @private
+   */
+  async _autoModerationReason(submission) {
+    if (!this.moderationService) {
+      return null;
+    }
+
+    const result = await this.moderationService.autoModerate({
+      title: submission.rewritten_meta?.title,
+      description: submission.rewritten_meta?.description,
+      url: submission.url
+    });
+
+    if (result.action === 'flag') {
+      return `Auto-moderation flagged federated submission: ${(result.reasons || []).join(', ') || 'no reason given'}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize spam detections for moderators
+   * @param {Array} detections - Spam detections
+   * @returns {string} Human-readable reason
+   * @private
+   */
+  _describeDetections(detections = []) {
+    const names = detections.map(detection => detection.ruleName).filter(Boolean);
+    return `Spam detection flagged federated submission${names.length ? `: ${names.join(', ')}` : ''}`;
+  }
+
+  /**
+   * Find an inbound record for a sender's submission ID
+   * @param {string} instanceId - Federation instance ID
+   * @param {string} federationSubmissionId - Sender's submission ID
+   * @returns {Promise<Object|null>} Existing record or null
+   * @private
+   */
+  async _findInboundRecord(instanceId, federationSubmissionId) {
+    const { data, error } = await this.supabase
+      .from('federation_inbound_submissions')
+      .select('submission_id, status')
+      .eq('instance_id', instanceId)
+      .eq('federation_submission_id', String(federationSubmissionId))
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to look up inbound submission: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Record an inbound submission for idempotency and auditing
+   * Throws when the record can't be written: without it a retry from the
+   * sender would not be recognised.
+   * @param {Object} instance - Federation instance
+   * @param {Object} payload - Inbound payload
+   * @param {string|null} submissionId - Local submission ID
+   * @param {string} status - Resulting status
+   * @param {string|null} notes - Spam or moderation notes
+   * @private
+   */
+  async _recordInbound(instance, payload, submissionId, status, notes) {
+    const { error } = await this.supabase
+      .from('federation_inbound_submissions')
+      .insert([{
+        instance_id: instance.id,
+        federation_submission_id: String(payload.federation_submission_id),
+        directory_id: payload.directory_id || null,
+        submission_id: submissionId,
+        url: payload.url,
+        status,
+        notes,
+        payload,
+        created_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      throw new Error(`Failed to record inbound federation submission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update last_seen for the calling instance
+   * @param {string} instanceId - Federation instance ID
+   * @private
+   */
+  async _touchInstance(instanceId) {
+    const { error } = await this.supabase
+      .from('federation_instances')
+      .update({ last_seen: new Date().toISOString() })
+      .eq('id', instanceId);
+
+    if (error) {
+      console.warn('Failed to update federation instance last_seen:', error.message);
+    }
+  }
+
+  /**
+   * Constant-time comparison of a key against a stored hash
+   * @param {string} apiKey - Presented key
+   * @param {string} storedHash - Stored SHA-256 hash
+   * @returns {boolean} True if they match
+   * @private
+   */
+  _keyMatches(apiKey, storedHash) {
+    const presented = Buffer.from(hashFederationKey(apiKey), 'hex');
+    const stored = Buffer.from(storedHash, 'hex');
+    return presented.length === stored.length && timingSafeEqual(presented, stored);
+  }
+
+  /**
+   * Validate URL format
+   * @param {string} url - URL to validate
+   * @returns {boolean} True if valid URL
+   * @private
+   */
+  _isValidUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+}
+
+// Export service instance factory
+export function createFederationInboundService(supabaseClient, options = {}) {
+  return new FederationInboundService(supabaseClient, options);
+}
+
+export default FederationInboundService;
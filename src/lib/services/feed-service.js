@@ -0,0 +1,401 @@
+/**
+ * Feed Service
+ *
+ * Publishes approved launches as RSS 2.0, Atom 1.0 and JSON Feed 1.1 — for
+ * the whole site, a tag, a maker or a federated directory. Items come from
+ * SubmissionService.getSubmissions, the same query behind GET /api/submissions,
+ * and carry the launch image and AI-rewritten description. Responses support
+ * conditional GET through ETag and Last-Modified.
+ */
+
+import { createHash } from 'crypto';
+import { createSubmissionService } from './submission-service.js';
+import { getLaunchPath } from './launch-page-service.js';
+import { FEED_FORMATS } from '../config/feed-formats.js';
+
+export { FEED_FORMATS };
+
+const DEFAULT_ITEM_LIMIT = 20;
+const MAX_ITEM_LIMIT = 50;
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function feedError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    // Characters outside XML 1.0's Char production
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Only http(s) URLs are linked from feed content
+ * @private
+ */
+function safeUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a submission into a format-neutral feed item
+ * @param {Object} submission - Row from SubmissionService.getSubmissions
+ * @param {string} origin - Site origin for launch page links
+ * @returns {Object} Feed item
+ */
+export function toFeedItem(submission, origin) {
+  const meta = submission.rewritten_meta || {};
+  const original = submission.original_meta || {};
+  const title = meta.title || original.title || 'Untitled Product';
+  const summary = meta.description || original.description || '';
+  const externalUrl = safeUrl(submission.url);
+  const image = safeUrl(submission.images?.main || submission.images?.logo);
+  const maker = submission.users;
+
+  const contentHtml = [
+    image ? `<p><img src="${escapeXml(image)}" alt="${escapeXml(title)}" /></p>` : '',
+    summary ? `<p>${escapeXml(summary)}</p>` : '',
+    externalUrl ? `<p><a href="${escapeXml(externalUrl)}">Visit ${escapeXml(title)}</a></p>` : ''
+  ].join('');
+
+  return {
+    id: `urn:uuid:${submission.id}`,
+    url: `${origin}${getLaunchPath(submission)}`,
+    externalUrl,
+    title,
+    summary,
+    contentHtml,
+    image,
+    published: submission.published_at || submission.created_at,
+    modified: submission.updated_at || submission.published_at || submission.created_at,
+    author: maker ? { name: maker.full_name || maker.username || 'Anonymous' } : null,
+    tags: submission.tags || []
+  };
+}
+
+/**
+ * Render an RSS 2.0 document
+ * @param {Object} feed - Feed from FeedService.getFeed
+ * @returns {string} XML
+ */
+export function renderRss(feed) {
+  const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      ${item.author ? `<dc:creator>${escapeXml(item.author.name)}</dc:creator>` : ''}
+      ${item.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join('')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>
+      ${item.image ? `<media:content url="${escapeXml(item.image)}" medium="image" />` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />
+    ${feed.updated ? `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : ''}
+    <generator>ADLP</generator>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render an Atom 1.0 document
+ * @param {Object} feed - Feed from FeedService.getFeed
+ * @returns {string} XML
+ */
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => `
+  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    ${item.externalUrl ? `<link rel="related" href="${escapeXml(item.externalUrl)}" />` : ''}
+    ${item.image ? `<link rel="enclosure" href="${escapeXml(item.image)}" />` : ''}
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.modified).toISOString()}</updated>
+    ${item.author ? `<author><name>${escapeXml(item.author.name)}</name></author>` : ''}
+    ${item.tags.map(tag => `<category term="${escapeXml(tag)}" />`).join('')}
+    <summary type="text">${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}" />
+  <updated>${(feed.updated || new Date(0)).toISOString()}</updated>
+  <author><name>ADLP</name></author>
+  <generator>ADLP</generator>${entries}
+</feed>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - Feed from FeedService.getFeed
+ * @returns {string} JSON
+ */
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      ...(item.externalUrl && { external_url: item.externalUrl }),
+      title: item.title,
+      content_html: item.contentHtml,
+      content_text: item.summary,
+      summary: item.summary,
+      ...(item.image && { image: item.image }),
+      date_published: new Date(item.published).toISOString(),
+      date_modified: new Date(item.modified).toISOString(),
+      ...(item.author && { authors: [item.author] }),
+      tags: item.tags
+    }))
+  }, null, 2);
+}
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+/**
+ * Whether a request's validators match the current feed
+ * @private
+ */
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get('if-none-match');
+  if (ifNoneMatch) {
+    // Weak comparison (RFC 9110 13.1.2)
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+  }
+
+  const ifModifiedSince = request.headers.get('if-modified-since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second precision
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Render a feed as an HTTP response, answering 304 when the client's copy is current
+ * @param {Request} request - Incoming request
+ * @param {string} format - One of FEED_FORMATS
+ * @param {Object} feed - Feed from FeedService.getFeed
+ * @returns {Response} Feed or 304 response
+ */
+export function createFeedResponse(request, format, feed) {
+  const body = RENDERERS[format](feed);
+  const etag = `W/"${createHash('sha1').update(body).digest('base64url')}"`;
+  const headers = {
+    'Content-Type': FEED_FORMATS[format],
+    'Cache-Control': 'public, max-age=300',
+    ETag: etag
+  };
+  if (feed.updated) {
+    headers['Last-Modified'] = feed.updated.toUTCString();
+  }
+
+  if (isNotModified(request, etag, feed.updated)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  return new Response(body, { status: 200, headers });
+}
+
+/**
+ * FeedService class for building launch feeds
+ */
+export class FeedService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.submissionService = options.submissionService || createSubmissionService({
+      supabase: supabaseClient,
+      useEnhancedAI: false,
+      aiRewriter: null,
+      enhancedAIService: null
+    });
+  }
+
+  /**
+   * Build a feed of the newest approved launches in a scope
+   * @param {Object} scope - What the feed covers
+   * @param {string} scope.type - all, tag, maker or directory
+   * @param {string} [scope.value] - Tag, maker username or federation instance ID
+   * @param {Object} options - Feed options
+   * @param {URL} options.url - Request URL, used for the feed and site links
+   * @param {string} options.format - One of FEED_FORMATS
+   * @param {number} [options.limit] - Number of items (max 50)
+   * @returns {Promise<Object>} { title, description, homePageUrl, feedUrl, updated, items }
+   */
+  async getFeed(scope, options) {
+    const { url, format, limit = DEFAULT_ITEM_LIMIT } = options;
+
+    if (!Object.hasOwn(FEED_FORMATS, format)) {
+      throw feedError(404, 'Unknown feed format');
+    }
+
+    const origin = url.origin;
+    const feed = await this._resolveScope(scope, origin);
+    const itemLimit = Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_ITEM_LIMIT) : DEFAULT_ITEM_LIMIT;
+
+    const { data } = await this.submissionService.getSubmissions({
+      ...feed.filters,
+      status: 'approved',
+      sort: 'new',
+      page: 1,
+      limit: itemLimit
+    });
+
+    const items = (data || []).map(submission => toFeedItem(submission, origin));
+    const newest = items.reduce((latest, item) => Math.max(latest, Date.parse(item.modified) || 0), 0);
+
+    return {
+      title: feed.title,
+      description: feed.description,
+      homePageUrl: feed.homePageUrl,
+      feedUrl: `${origin}${url.pathname}`,
+      // Whole seconds, to match Last-Modified
+      updated: newest ? new Date(Math.floor(newest / 1000) * 1000) : null,
+      items
+    };
+  }
+
+  /**
+   * Resolve a scope to its title, links and getSubmissions filters
+   * @private
+   */
+  async _resolveScope(scope, origin) {
+    switch (scope?.type) {
+      case 'all':
+        return {
+          title: 'ADLP Launches',
+          description: 'The latest product launches on ADLP',
+          homePageUrl: `${origin}/launches`,
+          filters: {}
+        };
+
+      case 'tag': {
+        const tag = String(scope.value || '').trim().toLowerCase();
+        if (!tag) {
+          throw feedError(404, 'Tag not found');
+        }
+        return {
+          title: `ADLP Launches: ${tag}`,
+          description: `The latest ${tag} launches on ADLP`,
+          homePageUrl: `${origin}/launches?tags=${encodeURIComponent(tag)}`,
+          filters: { tags: [tag] }
+        };
+      }
+
+      case 'maker': {
+        const { data: maker, error } = await this.supabase
+          .from('users')
+          .select('id, username, full_name')
+          .eq('username', scope.value)
+          .maybeSingle();
+
+        if (error) {
+          throw new Error(`Failed to fetch maker: ${error.message}`);
+        }
+        if (!maker) {
+          throw feedError(404, 'Maker not found');
+        }
+
+        const name = maker.full_name || maker.username;
+        return {
+          title: `ADLP Launches by ${name}`,
+          description: `The latest launches from ${name} on ADLP`,
+          homePageUrl: `${origin}/launches`,
+          filters: { submitted_by: maker.id }
+        };
+      }
+
+      case 'directory': {
+        if (!/^[0-9a-f-]{36}$/i.test(scope.value || '')) {
+          throw feedError(404, 'Directory not found');
+        }
+
+        const { data: instance, error } = await this.supabase
+          .from('federation_instances')
+          .select('id, name, base_url')
+          .eq('id', scope.value)
+          .maybeSingle();
+
+        if (error) {
+          throw new Error(`Failed to fetch federation instance: ${error.message}`);
+        }
+        if (!instance) {
+          throw feedError(404, 'Directory not found');
+        }
+
+        return {
+          title: `ADLP Launches from ${instance.name}`,
+          description: `Launches federated to ADLP from ${instance.name}`,
+          homePageUrl: instance.base_url,
+          filters: { source_instance: instance.base_url }
+        };
+      }
+
+      default:
+        throw feedError(404, 'Unknown feed');
+    }
+  }
+}
+
+/**
+ * Create a FeedService instance
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Service options
+ * @returns {FeedService} Service instance
+ */
+export function createFeedService(supabaseClient, options = {}) {
+  return new FeedService(supabaseClient, options);
+}
@@ -0,0 +1,595 @@
+/**
+ * Image Service
+ * Turns scraped logos, og:images, favicons and screenshots into images we host:
+ * - Downloads through the crawler, refusing private and loopback addresses
+ *   (the isPrivateIP check of the metadata fetchers, applied to every redirect
+ *   hop and to the addresses a host name resolves to)
+ * - Validates type, byte size and dimensions with sharp
+ * - Deduplicates by content hash and by perceptual (difference) hash
+ * - Resizes into responsive widths and encodes AVIF and WebP variants
+ * - Stores variants through an image storage (see image-storage.js); they are
+ *   served by /images/[id]/[file]
+ */
+
+import { createHash } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { readFile, unlink } from 'fs/promises';
+import sharp from 'sharp';
+import { createClient } from '@supabase/supabase-js';
+import { getCrawler } from './crawl-service.js';
+import { getImageStorage } from './image-storage.js';
+import { isPrivateIP } from './metadata-fetcher.js';
+
+// Responsive widths per kind of image
+export const IMAGE_KINDS = {
+  logo: [64, 128, 256],
+  image: [320, 640, 960, 1280],
+  screenshot: [320, 640, 1280]
+};
+
+// Encoded formats, best compression first
+export const IMAGE_FORMATS = ['avif', 'webp'];
+
+const ENCODE_OPTIONS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 80 }
+};
+
+// Input formats sharp may decode for us
+const ACCEPTED_FORMATS = new Set(['jpeg', 'png', 'webp', 'avif', 'gif', 'svg', 'tiff', 'heif']);
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const MIN_DIMENSION = 16;
+const MAX_GALLERY_IMAGES = 6;
+const MAX_FAVICON_ATTEMPTS = 3;
+const DEFAULT_BASE_URL = '/images';
+
+/**
+ * Wrap dns.lookup so connections to private addresses fail. Used as the
+ * agents' lookup, it also covers DNS answers that change after a check.
+ * @param {Function} [lookup=dns.lookup] - Lookup to wrap
+ * @returns {Function} Lookup with the signature of dns.lookup
+ */
+export function createGuardedLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => isPrivateIP(entry.address))) {
+        return callback(new Error(`Private IP addresses are not allowed (${hostname})`));
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * 64-bit difference hash: shrink to 9x8 grey pixels and compare each pixel
+ * with its right neighbour. Near-identical images (re-encoded, resized,
+ * lightly compressed) get hashes a few bits apart.
+ * @param {Buffer} input - Encoded image
+ * @returns {Promise<string>} 16 hex characters
+ */
+export async function computeDifferenceHash(input) {
+  const pixels = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two difference hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (0-64)
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * URL of a stored variant
+ * @param {string} id - Image ID
+ * @param {number} width - Variant width
+ * @param {string} format - Variant format
+ * @param {string} [baseUrl='/images'] - Where variants are served from
+ * @returns {string} Variant URL
+ */
+export function getImageUrl(id, width, format, baseUrl = DEFAULT_BASE_URL) {
+  return `${baseUrl.replace(/\/+$/, '')}/${id}/${width}.${format}`;
+}
+
+/**
+ * <source> entries for a stored image, one per format
+ * @param {Object} record - Image record with id, widths and formats
+ * @param {string} [baseUrl] - Where variants are served from
+ * @returns {Array<Object>} [{ type, srcset }]
+ */
+export function buildImageSources(record, baseUrl = DEFAULT_BASE_URL) {
+  return record.formats.map(format => ({
+    type: `image/${format}`,
+    srcset: record.widths.map(width => `${getImageUrl(record.id, width, format, baseUrl)} ${width}w`).join(', ')
+  }));
+}
+
+/**
+ * Widths to encode: the kind's widths below the image's own width, plus the
+ * image's width (capped at the largest) so small images are never upscaled
+ * @param {Array<number>} widths - Widths for the kind
+ * @param {number} width - Original width
+ * @returns {Array<number>} Ascending widths
+ */
+export function selectWidths(widths, width) {
+  const largest = Math.min(width, widths[widths.length - 1]);
+  return [...new Set([...widths.filter(candidate => candidate < largest), largest])];
+}
+
+/**
+ * Order favicons by how well they would scale: anything but .ico first (sharp
+ * cannot decode ICO files), then largest declared size
+ * @param {Array<Object>} favicons - Favicons from a metadata fetcher
+ * @returns {Array<string>} Favicon URLs, best first
+ */
+export function rankFavicons(favicons = []) {
+  const size = favicon => Math.max(0, ...String(favicon.sizes || '').split(/\s+/).map(value => parseInt(value, 10) || 0));
+  const isIco = favicon => /\.ico(\?|$)/i.test(favicon.url) || /x-icon|vnd\.microsoft\.icon/i.test(favicon.mimeType || '');
+
+  return favicons
+    .filter(favicon => typeof favicon?.url === 'string')
+    .sort((a, b) => isIco(a) - isIco(b) || size(b) - size(a))
+    .map(favicon => favicon.url);
+}
+
+/**
+ * ImageService class for downloading, deduplicating and re-encoding images
+ */
+export class ImageService {
+  /**
+   * @param {Object|null} supabaseClient - Supabase client (service role) for the images table;
+   *   without one, images are only deduplicated within a submission
+   * @param {Object} options - Service options
+   * @param {Object} options.storage - Image storage (see image-storage.js)
+   * @param {Object} [options.crawler] - Crawler used for downloads (defaults to the shared one)
+   * @param {string} [options.baseUrl='/images'] - Where variants are served from (e.g. a CDN)
+   * @param {number} [options.maxBytes] - Largest download accepted (10 MB)
+   * @param {number} [options.timeout=10000] - Download timeout in ms
+   * @param {number} [options.duplicateDistance=4] - Hash bits two images may differ by and still be duplicates
+   * @param {boolean} [options.allowPrivateHosts] - Skip the private address checks (default outside production)
+   * @param {Function} [options.lookup] - DNS lookup behind the private address check
+   * @param {Object} [options.logger=console] - Logger
+   */
+  constructor(supabaseClient = null, options = {}) {
+    if (!options.storage) {
+      throw new Error('Image storage is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.storage = options.storage;
+    this.crawler = options.crawler || getCrawler();
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.maxBytes = options.maxBytes || MAX_IMAGE_BYTES;
+    this.timeout = options.timeout || 10000;
+    this.duplicateDistance = options.duplicateDistance ?? 4;
+    this.allowPrivateHosts = options.allowPrivateHosts ?? process.env.NODE_ENV !== 'production';
+    this.logger = options.logger || console;
+
+    const lookup = createGuardedLookup(options.lookup);
+    this.agents = {
+      'http:': new http.Agent({ lookup }),
+      'https:': new https.Agent({ lookup })
+    };
+  }
+
+  /**
+   * Download and process an image
+   * @param {string} url - Image URL
+   * @param {string} [kind='image'] - One of IMAGE_KINDS
+   * @returns {Promise<Object>} Stored image (see toDescriptor)
+   */
+  async processUrl(url, kind = 'image') {
+    const buffer = await this.download(url);
+    return this.processBuffer(buffer, { kind, sourceUrl: url });
+  }
+
+  /**
+   * Process an image file written by this server (e.g. a Puppeteer screenshot)
+   * @param {string} filePath - File path
+   * @param {string} [kind='screenshot'] - One of IMAGE_KINDS
+   * @returns {Promise<Object>} Stored image (see toDescriptor)
+   */
+  async processFile(filePath, kind = 'screenshot') {
+    const buffer = await readFile(filePath);
+    return this.processBuffer(buffer, { kind });
+  }
+
+  /**
+   * Validate, deduplicate, resize, encode and store an image
+   * @param {Buffer} buffer - Encoded image
+   * @param {Object} options - Processing options
+   * @param {string} [options.kind='image'] - One of IMAGE_KINDS
+   * @param {string} [options.sourceUrl] - Where the image came from
+   * @returns {Promise<Object>} Stored image (see toDescriptor)
+   */
+  async processBuffer(buffer, options = {}) {
+    const kind = IMAGE_KINDS[options.kind] ? options.kind : 'image';
+    const { format, width, height } = await this.inspect(buffer);
+
+    const contentHash = createHash('sha256').update(buffer).digest('hex');
+    const phash = await computeDifferenceHash(buffer);
+
+    const duplicate = await this.findDuplicate(contentHash, phash, kind);
+    if (duplicate) {
+      return this.toDescriptor(duplicate);
+    }
+
+    const record = {
+      id: contentHash.slice(0, 32),
+      content_hash: contentHash,
+      phash,
+      kind,
+      source_url: options.sourceUrl || null,
+      width,
+      height,
+      // Vector images scale to every width
+      widths: format === 'svg' ? IMAGE_KINDS[kind] : selectWidths(IMAGE_KINDS[kind], width),
+      formats: IMAGE_FORMATS
+    };
+
+    // Rasterize vector images large enough for the biggest variant
+    const largest = record.widths[record.widths.length - 1];
+    const density = format === 'svg' ? Math.min(2400, Math.ceil(72 * Math.max(1, largest / width))) : undefined;
+
+    for (const variantWidth of record.widths) {
+      for (const variantFormat of record.formats) {
+        const variant = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, density })
+          .rotate()
+          .resize({ width: variantWidth })
+          .toFormat(variantFormat, ENCODE_OPTIONS[variantFormat])
+          .toBuffer();
+        await this.storage.put(`${record.id}/${variantWidth}.${variantFormat}`, variant, `image/${variantFormat}`);
+      }
+    }
+
+    await this.saveRecord(record);
+    return this.toDescriptor(record);
+  }
+
+  /**
+   * Read and validate an image's format and dimensions
+   * @param {Buffer} buffer - Encoded image
+   * @returns {Promise<Object>} { format, width, height } with EXIF rotation applied
+   */
+  async inspect(buffer) {
+    let info;
+    try {
+      info = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+      throw new Error(`Not a supported image: ${error.message}`);
+    }
+
+    if (!ACCEPTED_FORMATS.has(info.format)) {
+      throw new Error(`Unsupported image format: ${info.format}`);
+    }
+
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const rotated = info.orientation >= 5;
+    const width = rotated ? info.height : info.width;
+    const height = rotated ? info.width : info.height;
+
+    if (!width || !height || width * height > MAX_INPUT_PIXELS) {
+      throw new Error('Image dimensions are out of range');
+    }
+    if (info.format !== 'svg' && (width < MIN_DIMENSION || height < MIN_DIMENSION)) {
+      throw new Error(`Image is too small (${width}x${height})`);
+    }
+
+    return { format: info.format, width, height };
+  }
+
+  /**
+   * Download an image through the crawler
+   * @param {string} url - Image URL
+   * @returns {Promise<Buffer>} Image bytes
+   */
+  async download(url) {
+    const response = await this.crawler.fetch(url, {
+      headers: { Accept: 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8' },
+      size: this.maxBytes,
+      agent: this.allowPrivateHosts ? undefined : parsedUrl => this.agents[parsedUrl.protocol]
+    }, {
+      timeout: this.timeout,
+      checkUrl: target => this.assertPublicUrl(target)
+    });
+
+    if (!response.ok) {
+      await response.arrayBuffer().catch(() => {});
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/^image\//i.test(contentType)) {
+      await response.arrayBuffer().catch(() => {});
+      throw new Error(`Not an image (${contentType || 'no content type'})`);
+    }
+
+    const tooLarge = new Error(`Image is too large (over ${this.maxBytes} bytes)`);
+    if (parseInt(response.headers.get('content-length'), 10) > this.maxBytes) {
+      throw tooLarge;
+    }
+
+    // node-fetch stops reading past `size`; other fetch implementations don't
+    let buffer;
+    try {
+      buffer = Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      throw error.type === 'max-size' ? tooLarge : error;
+    }
+    if (buffer.length > this.maxBytes) {
+      throw tooLarge;
+    }
+    return buffer;
+  }
+
+  /**
+   * Reject URLs that are not http(s) or name a private host
+   * Host names are checked when they are resolved (see createGuardedLookup).
+   * @param {string} url - URL about to be requested
+   */
+  assertPublicUrl(url) {
+    const parsedUrl = new URL(url);
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error(`Unsupported protocol: ${parsedUrl.protocol}`);
+    }
+    if (this.allowPrivateHosts) {
+      return;
+    }
+
+    const hostname = parsedUrl.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+      throw new Error('Localhost URLs are not allowed');
+    }
+    if (isPrivateIP(hostname)) {
+      throw new Error('Private IP addresses are not allowed');
+    }
+  }
+
+  /**
+   * Find a stored image with the same bytes, or one that looks the same
+   * @param {string} contentHash - SHA-256 of the bytes
+   * @param {string} phash - Difference hash
+   * @param {string} kind - Image kind (variants differ per kind)
+   * @returns {Promise<Object|null>} Image record
+   */
+  async findDuplicate(contentHash, phash, kind) {
+    if (!this.supabase) {
+      return null;
+    }
+
+    try {
+      const { data: exact, error } = await this.supabase
+        .from('images')
+        .select('*')
+        .eq('content_hash', contentHash)
+        .eq('kind', kind)
+        .maybeSingle();
+      if (error) {
+        throw error;
+      }
+      if (exact) {
+        return exact;
+      }
+
+      const { data: similar, error: similarError } = await this.supabase.rpc('find_similar_image', {
+        p_phash: BigInt(`0x${phash}`).toString(2).padStart(64, '0'),
+        p_kind: kind,
+        p_max_distance: this.duplicateDistance
+      });
+      if (similarError) {
+        throw similarError;
+      }
+      return similar?.[0] || null;
+    } catch (error) {
+      this.logger.warn('Image duplicate lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record a processed image
+   * @param {Object} record - Image record
+   */
+  async saveRecord(record) {
+    if (!this.supabase) {
+      return;
+    }
+
+    try {
+      const { error } = await this.supabase
+        .from('images')
+        .upsert({
+          ...record,
+          phash: BigInt(`0x${record.phash}`).toString(2).padStart(64, '0')
+        }, { onConflict: 'id', ignoreDuplicates: true });
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      this.logger.warn('Failed to record processed image', { id: record.id, error: error.message });
+    }
+  }
+
+  /**
+   * What submissions store about a processed image
+   * @param {Object} record - Image record
+   * @returns {Object} { id, url, width, height, phash, sources }; url is the largest WebP variant
+   */
+  toDescriptor(record) {
+    const phash = /^[01]{64}$/.test(record.phash)
+      ? BigInt(`0b${record.phash}`).toString(16).padStart(16, '0')
+      : record.phash;
+
+    return {
+      id: record.id,
+      url: getImageUrl(record.id, record.widths[record.widths.length - 1], 'webp', this.baseUrl),
+      width: record.width,
+      height: record.height,
+      phash,
+      sources: buildImageSources(record, this.baseUrl)
+    };
+  }
+
+  /**
+   * Process a page's images into the shape stored in submissions.images.
+   * Images that cannot be processed keep their original URL, so nothing is
+   * lost when a host refuses the download.
+   * @param {Object} metadata - Metadata from a fetcher
+   * @returns {Promise<Object>} { main, favicon, all, favicons, processedAt }
+   */
+  async buildSubmissionImages(metadata) {
+    const images = metadata.images || {};
+    const urls = Array.isArray(images)
+      ? images.map(image => (typeof image === 'string' ? image : image?.url))
+      : [images.primary, ...(images.carousel || []).map(image => image?.url), ...(images.sources || []).map(image => image?.url)];
+    const candidates = [...new Set([metadata.image, ...urls].filter(url => typeof url === 'string' && url))]
+      .slice(0, MAX_GALLERY_IMAGES);
+
+    const all = [];
+    const stored = [];
+    for (const url of candidates) {
+      const image = await this.tryProcess(url, 'image');
+      if (!image) {
+        all.push({ url, type: 'image' });
+        continue;
+      }
+
+      // Skip images that look like one already in the gallery
+      if (stored.some(other => other.id === image.id || hammingDistance(other.phash, image.phash) <= this.duplicateDistance)) {
+        continue;
+      }
+      stored.push(image);
+      all.push({ ...image, type: 'image', originalUrl: url });
+    }
+
+    const faviconUrls = rankFavicons(metadata.favicons);
+    let favicon = null;
+    for (const url of faviconUrls.slice(0, MAX_FAVICON_ATTEMPTS)) {
+      favicon = await this.tryProcess(url, 'logo');
+      if (favicon) {
+        favicon = { ...favicon, type: 'logo', originalUrl: url };
+        break;
+      }
+    }
+
+    return {
+      main: all[0]?.url || null,
+      favicon: favicon?.url || faviconUrls[0] || metadata.favicon || null,
+      logo: favicon,
+      all,
+      favicons: metadata.favicons || [],
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Re-encode Puppeteer screenshots into stored variants and remove the raw files
+   * @param {Array<Object>} screenshots - Screenshots with screenshotPath and screenshotUrl
+   * @returns {Promise<Array<Object>>} Screenshots pointing at the stored variants
+   */
+  async processScreenshots(screenshots = []) {
+    const processed = [];
+    for (const screenshot of screenshots) {
+      if (!screenshot?.screenshotPath) {
+        processed.push(screenshot);
+        continue;
+      }
+
+      try {
+        const image = await this.processFile(screenshot.screenshotPath, 'screenshot');
+        await unlink(screenshot.screenshotPath).catch(() => {});
+        const stored = { ...screenshot, screenshotUrl: image.url, image };
+        delete stored.screenshotPath;
+        processed.push(stored);
+      } catch (error) {
+        this.logger.warn('Failed to process screenshot', { path: screenshot.screenshotPath, error: error.message });
+        processed.push(screenshot);
+      }
+    }
+    return processed;
+  }
+
+  /**
+   * Process an image, logging instead of throwing on failure
+   * @param {string} url - Image URL
+   * @param {string} kind - One of IMAGE_KINDS
+   * @returns {Promise<Object|null>} Stored image, or null
+   */
+  async tryProcess(url, kind) {
+    try {
+      return await this.processUrl(url, kind);
+    } catch (error) {
+      this.logger.warn('Failed to process image', { url, kind, error: error.message });
+      return null;
+    }
+  }
+}
+
+// Export service instance factory
+export function createImageService(supabaseClient, options = {}) {
+  return new ImageService(supabaseClient, options);
+}
+
+let sharedService;
+
+/**
+ * Shared ImageService configured from the environment (IMAGE_STORAGE and the
+ * storage settings, IMAGE_BASE_URL, SUPABASE_SERVICE_ROLE_KEY for the images table)
+ * @param {Object} [options] - Service options (used when first created)
+ * @returns {ImageService|null} Service, or null when no image storage is configured
+ */
+export function getImageService(options = {}) {
+  if (sharedService === undefined) {
+    const storage = getImageStorage();
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+
+    sharedService = storage
+      ? new ImageService(
+        serviceRoleKey && supabaseUrl
+          ? createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } })
+          : null,
+        { storage, baseUrl: process.env.IMAGE_BASE_URL, ...options }
+      )
+      : null;
+  }
+  return sharedService;
+}
+
+export default ImageService;
@@ -0,0 +1,269 @@
+/**
+ * Image Storage
+ *
+ * Where ImageService keeps processed image variants. Each storage exposes
+ * put(key, body, contentType) and get(key), which resolves with
+ * { body, contentType } or null when the key is missing:
+ * - local: files in a directory on this server
+ * - s3: any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...), signed
+ *   with AWS Signature Version 4
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+
+export const IMAGE_STORAGES = ['local', 's3'];
+
+const DEFAULT_IMAGE_DIR = 'uploads/images';
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+// Keys are "<id>/<file>" made of hex ids and plain file names
+const KEY_PATTERN = /^[\w-]+(\/[\w.-]+)*$/;
+
+/**
+ * Content type for a key, from its extension
+ * @param {string} key - Storage key
+ * @returns {string} MIME type
+ */
+export function getContentType(key) {
+  const extension = key.split('.').pop().toLowerCase();
+  return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Reject keys that could escape the storage root
+ * @param {string} key - Storage key
+ * @returns {string} The key
+ */
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid image key "${key}"`);
+  }
+  return key;
+}
+
+/**
+ * Storage writing variants as files below a directory
+ */
+export class LocalImageStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} [options.directory] - Root directory (created when missing)
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || DEFAULT_IMAGE_DIR);
+  }
+
+  /**
+   * Write an object
+   * @param {string} key - Storage key
+   * @param {Buffer} body - Contents
+   * @returns {Promise<void>}
+   */
+  async put(key, body) {
+    const filePath = path.join(this.directory, assertValidKey(key));
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, body);
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} { body, contentType }, or null when missing
+   */
+  async get(key) {
+    try {
+      const body = await readFile(path.join(this.directory, assertValidKey(key)));
+      return { body, contentType: getContentType(key) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding, as SigV4 expects it
+const encodeSegment = segment => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Storage for S3-compatible object stores
+ */
+export class S3ImageStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} [options.region='us-east-1'] - Region ("auto" for R2)
+   * @param {string} [options.endpoint] - Endpoint for non-AWS stores, e.g. https://<account>.r2.cloudflarestorage.com
+   * @param {boolean} [options.forcePathStyle] - Address the bucket in the path (defaults to true with a custom endpoint)
+   * @param {string} [options.prefix=''] - Key prefix inside the bucket
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor(options = {}) {
+    if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      throw new Error('S3 image storage needs a bucket, access key ID and secret access key');
+    }
+
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    this.forcePathStyle = options.forcePathStyle ?? Boolean(options.endpoint);
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.fetchImpl = options.fetch || fetch;
+  }
+
+  /**
+   * Write an object
+   * @param {string} key - Storage key
+   * @param {Buffer} body - Contents
+   * @param {string} [contentType] - MIME type (defaults to the extension's)
+   * @returns {Promise<void>}
+   */
+  async put(key, body, contentType = getContentType(key)) {
+    const response = await this.send('PUT', key, body, { 'content-type': contentType });
+    if (!response.ok) {
+      throw new Error(`S3 upload of ${key} failed: HTTP ${response.status} ${await response.text()}`);
+    }
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} { body, contentType }, or null when missing
+   */
+  async get(key) {
+    const response = await this.send('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 download of ${key} failed: HTTP ${response.status}`);
+    }
+
+    return {
+      body: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || getContentType(key)
+    };
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Buffer} [body] - Request body
+   * @param {Object} [headers] - Extra headers (lower-case names)
+   * @returns {Promise<Response>} Response
+   */
+  send(method, key, body = null, headers = {}) {
+    const objectKey = [this.prefix, assertValidKey(key)].filter(Boolean).join('/');
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const pathname = (this.forcePathStyle ? [this.bucket, ...objectKey.split('/')] : objectKey.split('/'))
+      .map(encodeSegment)
+      .join('/');
+    const url = `${this.endpoint.protocol}//${host}/${pathname}`;
+
+    const signedHeaders = this.sign(method, host, `/${pathname}`, body || '', headers);
+    return this.fetchImpl(url, { method, headers: signedHeaders, body: body || undefined });
+  }
+
+  /**
+   * Sign a request with AWS Signature Version 4
+   * @param {string} method - HTTP method
+   * @param {string} host - Host header
+   * @param {string} canonicalPath - Encoded request path
+   * @param {Buffer|string} body - Request body
+   * @param {Object} headers - Extra headers (lower-case names)
+   * @param {Date} [now] - Signing time
+   * @returns {Object} Headers including Authorization
+   */
+  sign(method, host, canonicalPath, body, headers, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+
+    const allHeaders = { ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const names = Object.keys(allHeaders).sort();
+    const canonicalHeaders = names.map(name => `${name}:${String(allHeaders[name]).trim()}\n`).join('');
+    const signedHeaderNames = names.join(';');
+
+    const canonicalRequest = [method, canonicalPath, '', canonicalHeaders, signedHeaderNames, payloadHash].join('\n');
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+    );
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // fetch sets Host itself
+    const requestHeaders = { ...allHeaders };
+    delete requestHeaders.host;
+    return {
+      ...requestHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+    };
+  }
+}
+
+/**
+ * Create the storage selected in the environment
+ * (IMAGE_STORAGE, IMAGE_STORAGE_DIR, IMAGE_S3_BUCKET/REGION/ENDPOINT/PREFIX,
+ * IMAGE_S3_ACCESS_KEY_ID, IMAGE_S3_SECRET_ACCESS_KEY, IMAGE_S3_FORCE_PATH_STYLE)
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object|null} Storage, or null when image processing is not configured
+ */
+export function createImageStorage(env = process.env) {
+  const type = (env.IMAGE_STORAGE || '').toLowerCase();
+
+  switch (type) {
+    case 'local':
+      return new LocalImageStorage({ directory: env.IMAGE_STORAGE_DIR });
+    case 's3':
+      return new S3ImageStorage({
+        bucket: env.IMAGE_S3_BUCKET,
+        region: env.IMAGE_S3_REGION,
+        endpoint: env.IMAGE_S3_ENDPOINT,
+        prefix: env.IMAGE_S3_PREFIX,
+        accessKeyId: env.IMAGE_S3_ACCESS_KEY_ID,
+        secretAccessKey: env.IMAGE_S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.IMAGE_S3_FORCE_PATH_STYLE ? env.IMAGE_S3_FORCE_PATH_STYLE === 'true' : undefined
+      });
+    case '':
+    case 'off':
+      return null;
+    default:
+      throw new Error(`Unknown IMAGE_STORAGE "${type}" (expected one of ${IMAGE_STORAGES.join(', ')})`);
+  }
+}
+
+let sharedStorage;
+
+/**
+ * Shared storage configured from the environment
+ * @returns {Object|null} Storage, or null when image processing is not configured
+ */
+export function getImageStorage() {
+  if (sharedStorage === undefined) {
+    sharedStorage = createImageStorage();
+  }
+  return sharedStorage;
+}
@@ -0,0 +1,374 @@
+/**
+ * Instance Key Service
+ *
+ * Ed25519 signing keys used to make badge awards verifiable across the federation.
+ * Each instance holds one keypair and publishes the public half through
+ * /api/federation/info; peers fetch and cache those keys to check signatures.
+ */
+
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  sign,
+  verify
+} from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+export const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Serialize a value as JSON with object keys sorted, so every instance
+ * signs and verifies exactly the same bytes for the same payload
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value ?? null);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Parse a public key given as base64/base64url raw bytes or PEM
+ * @param {string|KeyObject} publicKey - Public key
+ * @returns {KeyObject} Ed25519 public key
+ */
+export function parsePublicKey(publicKey) {
+  if (typeof publicKey !== 'string') {
+    return publicKey;
+  }
+
+  if (publicKey.includes('-----BEGIN')) {
+    return createPublicKey(publicKey);
+  }
+
+  const raw = Buffer.from(publicKey, 'base64');
+  if (raw.length !== 32) {
+    throw new Error('Ed25519 public key must be 32 bytes');
+  }
+
+  return createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: raw.toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Encode a public key as base64url raw bytes
+ * @param {KeyObject} publicKey - Ed25519 public key
+ * @returns {string} Encoded key
+ */
+export function encodePublicKey(publicKey) {
+  return publicKey.export({ format: 'jwk' }).x;
+}
+
+/**
+ * Derive a short, stable identifier for a public key
+ * @param {string} encodedPublicKey - base64url public key
+ * @returns {string} Key ID
+ */
+export function getKeyId(encodedPublicKey) {
+  return createHash('sha256').update(encodedPublicKey).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sign a payload with an Ed25519 private key
+ * @param {Object} payload - Payload to sign
+ * @param {string|KeyObject} privateKey - PEM or key object
+ * @returns {string} base64url signature
+ */
+export function signPayload(payload, privateKey) {
+  const key = typeof privateKey === 'string' ? createPrivateKey(privateKey) : privateKey;
+  return sign(null, Buffer.from(canonicalJson(payload)), key).toString('base64url');
+}
+
+/**
+ * Verify an Ed25519 signature over a payload
+ * Malformed keys or signatures count as invalid rather than throwing.
+ * @param {string} signature - base64/base64url signature
+ * @param {Object} payload - Signed payload
+ * @param {string|KeyObject} publicKey - Public key
+ * @returns {boolean} True if the signature is valid
+ */
+export function verifyPayload(signature, payload, publicKey) {
+  try {
+    const signatureBytes = Buffer.from(String(signature), 'base64');
+    if (signatureBytes.length !== 64) {
+      return false;
+    }
+    return verify(null, Buffer.from(canonicalJson(payload)), parsePublicKey(publicKey), signatureBytes);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize an instance URL for comparison and lookup
+ * @param {string} url - Instance URL
+ * @returns {string} Origin without trailing slash
+ */
+export function normalizeInstanceUrl(url) {
+  return new URL(url).origin;
+}
+
+/**
+ * Holds this instance's signing keypair
+ * The private key comes from INSTANCE_SIGNING_KEY (PKCS#8 PEM) or a key file
+ * that is generated on first use.
+ */
+export class InstanceKeyStore {
+  constructor(options = {}) {
+    this.privateKeyPem = options.privateKey || process.env.INSTANCE_SIGNING_KEY || null;
+    this.keyFile = path.resolve(options.keyFile || process.env.INSTANCE_KEY_FILE || 'data/keys/instance-ed25519.pem');
+    this.instanceUrl = options.instanceUrl || process.env.FEDERATION_INSTANCE_URL || null;
+    this._keys = null;
+  }
+
+  /**
+   * Load (or generate) the keypair
+   * @returns {Object} { privateKey, publicKey, encodedPublicKey, keyId }
+   */
+  getKeys() {
+    if (this._keys) {
+      return this._keys;
+    }
+
+    let pem = this.privateKeyPem?.replace(/\\n/g, '\n');
+
+    if (!pem) {
+      try {
+        pem = readFileSync(this.keyFile, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        pem = generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+        mkdirSync(path.dirname(this.keyFile), { recursive: true });
+        writeFileSync(this.keyFile, pem, { mode: 0o600 });
+      }
+    }
+
+    const privateKey = createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('Instance signing key must be an Ed25519 key');
+    }
+
+    const publicKey = createPublicKey(privateKey);
+    const encodedPublicKey = encodePublicKey(publicKey);
+
+    this._keys = {
+      privateKey,
+      publicKey,
+      encodedPublicKey,
+      keyId: getKeyId(encodedPublicKey)
+    };
+
+    return this._keys;
+  }
+
+  /**
+   * Public key details published through /api/federation/info
+   * @returns {Object} { key_id, algorithm, public_key }
+   */
+  getPublicKeyInfo() {
+    const { encodedPublicKey, keyId } = this.getKeys();
+    return {
+      key_id: keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      public_key: encodedPublicKey
+    };
+  }
+
+  /**
+   * Sign a payload with this instance's key
+   * @param {Object} payload - Payload to sign
+   * @returns {Object} { signature, key_id, algorithm }
+   */
+  sign(payload) {
+    const { privateKey, keyId } = this.getKeys();
+    return {
+      signature: signPayload(payload, privateKey),
+      key_id: keyId,
+      algorithm: SIGNATURE_ALGORITHM
+    };
+  }
+
+  /**
+   * Whether a URL refers to this instance
+   * @param {string} url - Instance URL
+   * @returns {boolean} True for this instance (or when no URL is given)
+   */
+  isLocalInstance(url) {
+    if (!url) {
+      return true;
+    }
+    if (!this.instanceUrl) {
+      return false;
+    }
+    try {
+      return normalizeInstanceUrl(url) === normalizeInstanceUrl(this.instanceUrl);
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Fetches and caches signing keys published by other federated instances
+ * Only instances registered as active in federation_instances are trusted.
+ * The last fetched key is also stored on the instance row, so verification
+ * keeps working while a peer is briefly unreachable.
+ */
+export class RemoteKeyResolver {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.cacheTtl = options.cacheTtl || 60 * 60 * 1000; // 1 hour
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Resolve the public key an instance signed with
+   * @param {string} instanceUrl - Issuing instance URL
+   * @param {string} [keyId] - Key ID from the signature
+   * @returns {Promise<Object>} { instanceId, instanceUrl, keyId, publicKey }
+   */
+  async getPublicKey(instanceUrl, keyId = null) {
+    const url = normalizeInstanceUrl(instanceUrl);
+
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > Date.now() && (!keyId || cached.keyId === keyId)) {
+      return cached.key;
+    }
+
+    const { data: instance, error } = await this.supabase
+      .from('federation_instances')
+      .select('id, base_url, status, public_key, public_key_id, public_key_fetched_at')
+      .eq('base_url', url)
+      .single();
+
+    if (error || !instance || instance.status !== 'active') {
+      throw new Error(`Unknown or inactive federation instance: ${url}`);
+    }
+
+    const stored = instance.public_key && (!keyId || instance.public_key_id === keyId)
+      ? { instanceId: instance.id, instanceUrl: url, keyId: instance.public_key_id, publicKey: instance.public_key }
+      : null;
+    const storedFresh = stored && instance.public_key_fetched_at &&
+      Date.now() - new Date(instance.public_key_fetched_at).getTime() < this.cacheTtl;
+
+    if (storedFresh) {
+      return this._remember(url, stored);
+    }
+
+    let published;
+    try {
+      published = await this._fetchPublishedKey(url, keyId);
+    } catch (fetchError) {
+      if (stored) {
+        return this._remember(url, stored);
+      }
+      throw fetchError;
+    }
+
+    await this.supabase
+      .from('federation_instances')
+      .update({
+        public_key: published.public_key,
+        public_key_id: published.key_id,
+        public_key_fetched_at: new Date().toISOString()
+      })
+      .eq('id', instance.id);
+
+    return this._remember(url, {
+      instanceId: instance.id,
+      instanceUrl: url,
+      keyId: published.key_id,
+      publicKey: published.public_key
+    });
+  }
+
+  /**
+   * Fetch the key list from an instance's federation info
+   * @private
+   */
+  async _fetchPublishedKey(url, keyId) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+
+    try {
+      const response = await this.fetch(`${url}/api/federation/info`, {
+        headers: { Accept: 'application/json' },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const info = await response.json();
+      const keys = (info.badge_signing?.keys || [])
+        .filter(key => key.algorithm === SIGNATURE_ALGORITHM && key.public_key);
+      const key = keyId ? keys.find(candidate => candidate.key_id === keyId) : keys[0];
+
+      if (!key) {
+        throw new Error(keyId ? `key ${keyId} is not published` : 'no signing key published');
+      }
+
+      // Never trust a key whose ID does not match its bytes
+      if (getKeyId(Buffer.from(key.public_key, 'base64').toString('base64url')) !== key.key_id) {
+        throw new Error(`key ${key.key_id} does not match its public key`);
+      }
+
+      return key;
+    } catch (error) {
+      throw new Error(`Failed to fetch signing key from ${url}: ${error.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remember(url, key) {
+    this.cache.set(url, { key, keyId: key.keyId, expiresAt: Date.now() + this.cacheTtl });
+    return key;
+  }
+}
+
+let sharedKeyStore = null;
+
+/**
+ * Get the process-wide key store for this instance
+ * @returns {InstanceKeyStore} Key store
+ */
+export function getInstanceKeyStore() {
+  if (!sharedKeyStore) {
+    sharedKeyStore = new InstanceKeyStore();
+  }
+  return sharedKeyStore;
+}
+
+export function createRemoteKeyResolver(supabaseClient, options = {}) {
+  return new RemoteKeyResolver(supabaseClient, options);
+}
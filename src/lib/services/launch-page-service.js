@@ -0,0 +1,347 @@
+/**
+ * Launch Page Service
+ *
+ * Loads everything the public /launches/[slug] page renders: the launch, its
+ * image gallery, the maker's badges, federation provenance and SEO data (meta
+ * tags and JSON-LD from EnhancedAIService, completed with the canonical URL,
+ * hreflang alternates, image, author and dates).
+ */
+
+import { createEnhancedAIService } from './enhanced-ai-service.js';
+import { SUPPORTED_LOCALES, localizePath } from '../i18n/locales.js';
+
+// Statuses shown on public launch pages
+export const PUBLIC_LAUNCH_STATUSES = ['approved', 'published'];
+
+export const SITE_NAME = 'ADLP';
+const MAX_GALLERY_IMAGES = 12;
+const MAX_DESCRIPTION_LENGTH = 300;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function launchPageError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Path of a launch's public page
+ * @param {Object} submission - Submission with slug and id
+ * @returns {string} /launches/[slug]
+ */
+export function getLaunchPath(submission) {
+  return `/launches/${submission.slug || submission.id}`;
+}
+
+/**
+ * Serialize JSON-LD for an inline <script> element. Escapes characters that
+ * could end the script element or break parsing.
+ * @param {Object} data - Structured data
+ * @returns {string} JSON safe to embed in HTML
+ */
+export function serializeJsonLd(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Gallery images usable by ImageCarousel, main image first
+ * Metadata fetchers store images as URLs, arrays of { url } or
+ * { sources, carousel } objects, so all of these are accepted. Images hosted
+ * by ImageService carry their responsive <source> sets and dimensions.
+ * @param {Object} submission - Submission row
+ * @returns {Array<Object>} [{ url, title, type, sources?, width?, height? }]
+ */
+export function collectGalleryImages(submission) {
+  const images = submission.images || {};
+  const original = submission.original_meta || {};
+  const title = submission.rewritten_meta?.title || original.title || '';
+
+  const candidates = [
+    { url: images.main, type: 'image' },
+    { url: images.screenshot, type: 'screenshot' }
+  ];
+  for (const source of [images.all, original.images]) {
+    const list = Array.isArray(source) ? source : [...(source?.carousel || []), ...(source?.sources || [])];
+    candidates.push(...list);
+  }
+
+  const seen = new Map();
+  const gallery = [];
+  for (const candidate of candidates) {
+    const image = typeof candidate === 'string' ? { url: candidate } : candidate;
+    const url = image?.url;
+    if (typeof url !== 'string' || !/^(https?:\/\/|\/(?!\/))/i.test(url)) {
+      continue;
+    }
+
+    const variants = Array.isArray(image.sources) && image.sources.every(source => source?.srcset)
+      ? { sources: image.sources, width: image.width, height: image.height }
+      : null;
+
+    // images.main is a bare URL; its entry in images.all has the variants
+    if (seen.has(url)) {
+      const existing = seen.get(url);
+      if (!existing.sources && variants) {
+        Object.assign(existing, variants);
+      }
+      continue;
+    }
+    if (gallery.length >= MAX_GALLERY_IMAGES) {
+      continue;
+    }
+
+    const entry = {
+      url,
+      title: image.title || image.alt || title,
+      type: image.type === 'screenshot' || image.type === 'logo' ? image.type : 'image',
+      ...variants
+    };
+    seen.set(url, entry);
+    gallery.push(entry);
+  }
+
+  return gallery;
+}
+
+/**
+ * LaunchPageService class for public launch detail pages
+ */
+export class LaunchPageService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.enhancedAIService = options.enhancedAIService || createEnhancedAIService();
+    this.badgeService = options.badgeService || null;
+  }
+
+  /**
+   * Load a public launch page
+   * @param {string} slugOrId - Launch slug (or ID, for old links)
+   * @param {Object} options - Page options
+   * @param {string} options.origin - Site origin for canonical URLs
+   * @param {string} [options.locale] - Locale the page is served in
+   * @returns {Promise<Object>} { launch, gallery, badges, provenance, seo }
+   */
+  async getPage(slugOrId, options) {
+    const { origin, locale } = options;
+    const launch = await this.getLaunch(slugOrId);
+
+    const [badges, provenance] = await Promise.all([
+      this.getMakerBadges(launch.users?.id),
+      this.getProvenance(launch)
+    ]);
+
+    return {
+      launch,
+      gallery: collectGalleryImages(launch),
+      badges,
+      provenance,
+      seo: this.buildSeo(launch, origin, locale)
+    };
+  }
+
+  /**
+   * Fetch a publicly visible launch by slug or ID
+   * @param {string} slugOrId - Launch slug or ID
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.countView=true] - Count this as a page view
+   * @returns {Promise<Object>} Submission with its maker
+   */
+  async getLaunch(slugOrId, options = {}) {
+    const { countView = true } = options;
+    if (!slugOrId) {
+      throw launchPageError(404, 'Launch not found');
+    }
+
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select(`
+        *,
+        users!submitted_by (
+          id,
+          username,
+          full_name,
+          avatar_url
+        )
+      `)
+      .eq(UUID_PATTERN.test(slugOrId) ? 'id' : 'slug', slugOrId)
+      .in('status', PUBLIC_LAUNCH_STATUSES)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch launch: ${error.message}`);
+    }
+    if (!data) {
+      throw launchPageError(404, 'Launch not found');
+    }
+
+    if (!countView) {
+      return data;
+    }
+
+    // Best effort, like SubmissionService.getSubmissionById
+    const { error: viewError } = await this.supabase.rpc('increment_view_count', { submission_id: data.id });
+    if (viewError) {
+      console.warn('Failed to increment view count:', viewError.message);
+    }
+
+    return data;
+  }
+
+  /**
+   * Visible badges earned by the launch's maker
+   * @param {string|null} userId - Maker user ID
+   * @returns {Promise<Array<Object>>} Badges shaped for Badge.svelte
+   */
+  async getMakerBadges(userId) {
+    if (!userId || !this.badgeService) {
+      return [];
+    }
+
+    const result = await this.badgeService.getUserBadges(userId);
+    if (!result.success) {
+      console.warn('Failed to load maker badges:', result.error);
+      return [];
+    }
+
+    return result.data.map(badge => ({
+      ...badge,
+      id: badge.badge_id,
+      slug: badge.badge_slug,
+      name: badge.badge_name,
+      description: badge.badge_description
+    }));
+  }
+
+  /**
+   * Where a federated launch was originally submitted
+   * @param {Object} launch - Submission row
+   * @returns {Promise<Object|null>} { name, url, federated_at } or null for local launches
+   */
+  async getProvenance(launch) {
+    if (!launch.is_federated || !launch.source_instance) {
+      return null;
+    }
+
+    const provenance = {
+      name: null,
+      url: launch.source_instance,
+      federated_at: launch.federated_at || launch.created_at
+    };
+
+    const { data: instance, error } = await this.supabase
+      .from('federation_instances')
+      .select('name, base_url')
+      .eq('base_url', launch.source_instance)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Failed to load federation instance:', error.message);
+    } else if (instance) {
+      provenance.name = instance.name;
+    }
+
+    if (!provenance.name) {
+      try {
+        provenance.name = new URL(launch.source_instance).hostname;
+      } catch {
+        provenance.name = launch.source_instance;
+      }
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Page title, description, canonical URL, hreflang alternates, meta tags
+   * and JSON-LD
+   * @param {Object} launch - Submission row with maker
+   * @param {string} origin - Site origin
+   * @param {string} [locale] - Locale the page is served in
+   * @returns {Object} { title, description, canonical, alternates, metaTags, jsonLd }
+   */
+  buildSeo(launch, origin, locale) {
+    const meta = launch.rewritten_meta || {};
+    const original = launch.original_meta || {};
+    const title = meta.title || original.title || 'Untitled Product';
+    let description = (meta.description || original.description || '').trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      description = `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+    }
+
+    const path = getLaunchPath(launch);
+    const canonical = `${origin}${localizePath(path, locale)}`;
+    const alternates = [
+      ...SUPPORTED_LOCALES.map(hreflang => ({ hreflang, href: `${origin}${localizePath(path, hreflang)}` })),
+      { hreflang: 'x-default', href: `${origin}${path}` }
+    ];
+    const image = collectGalleryImages(launch)[0]?.url;
+    const imageUrl = image ? new URL(image, origin).href : null;
+
+    const metaTags = {
+      ...this.enhancedAIService.generateMetaTags({ title, description }),
+      'og:url': canonical,
+      'og:site_name': SITE_NAME,
+      ...(imageUrl && { 'og:image': imageUrl, 'twitter:image': imageUrl })
+    };
+    if (!imageUrl) {
+      metaTags['twitter:card'] = 'summary';
+    }
+
+    const jsonLd = {
+      ...this.enhancedAIService.generateStructuredData({ title, description, url: launch.url }),
+      mainEntityOfPage: canonical,
+      ...(imageUrl && { image: imageUrl }),
+      ...(launch.tags?.length && { keywords: launch.tags.join(', ') }),
+      datePublished: launch.published_at || launch.created_at,
+      dateModified: launch.updated_at || launch.published_at || launch.created_at,
+      ...(launch.users && {
+        author: { '@type': 'Person', name: launch.users.full_name || launch.users.username }
+      }),
+      interactionStatistic: {
+        '@type': 'InteractionCounter',
+        interactionType: 'https://schema.org/LikeAction',
+        userInteractionCount: launch.votes_count || 0
+      }
+    };
+
+    return {
+      title,
+      description,
+      canonical,
+      alternates,
+      // Open Graph uses property=, Twitter uses name=
+      metaTags: Object.entries(metaTags)
+        .filter(([, content]) => content)
+        .map(([key, content]) => ({
+          [key.startsWith('og:') ? 'property' : 'name']: key,
+          content: String(content)
+        })),
+      jsonLd: serializeJsonLd(jsonLd)
+    };
+  }
+}
+
+/**
+ * Create a LaunchPageService instance
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Service options
+ * @returns {LaunchPageService} Service instance
+ */
+export function createLaunchPageService(supabaseClient, options = {}) {
+  return new LaunchPageService(supabaseClient, options);
+}
@@ -0,0 +1,413 @@
+/**
+ * Launch Schedule Service
+ *
+ * Launch days: makers book a day (in the launch_settings time zone) and
+ * approved launches wait as 'scheduled' until that day's window opens. Each
+ * day has capped standard slots and optional paid priority slots; the
+ * database enforces both (see 032_scheduled_launches.sql).
+ *
+ * LaunchPublisher takes due launches live every minute.
+ */
+
+import cron from 'node-cron';
+import { PUBLIC_LAUNCH_STATUSES } from './launch-page-service.js';
+
+export const LAUNCH_SLOTS = ['standard', 'priority'];
+
+// Used until launch_settings has been read (and if the row is missing)
+export const DEFAULT_LAUNCH_SETTINGS = {
+  time_zone: 'UTC',
+  window_start_hour: 0,
+  daily_slots: 20,
+  priority_slots: 0,
+  max_days_ahead: 90
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CALENDAR_DAYS = 31;
+const SETTINGS_TTL = 60 * 1000;
+const DAY_LIMIT = 100;
+
+const DAY_COLUMNS = `
+  id,
+  url,
+  slug,
+  rewritten_meta,
+  images,
+  tags,
+  votes_count,
+  comments_count,
+  launch_slot,
+  published_at,
+  users!submitted_by (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+// reserve_launch_slot results that aren't 'reserved'
+const RESERVATION_ERRORS = {
+  not_found: [404, 'Submission not found'],
+  not_schedulable: [409, 'Only submissions that have not launched yet can be scheduled'],
+  invalid_date: [400, 'Launch date is outside the booking window'],
+  priority_unavailable: [400, 'Priority launch slots are not available'],
+  payment_required: [402, 'Priority launch slots are for paid submissions'],
+  full: [409, 'No launch slots left on that day']
+};
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function scheduleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether a value is a real calendar date written as YYYY-MM-DD
+ * @param {*} value - Value to check
+ * @returns {boolean} True for valid dates
+ */
+export function isLaunchDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} launchDate - Launch date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(launchDate, days) {
+  return new Date(Date.parse(`${launchDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The launch day an instant falls on: its date in the launch time zone,
+ * with days starting at the window start hour
+ * @param {Date} date - Instant
+ * @param {Object} settings - { time_zone, window_start_hour }
+ * @returns {string} YYYY-MM-DD
+ */
+export function getLaunchDay(date, settings) {
+  const shifted = new Date(date.getTime() - (settings.window_start_hour || 0) * 60 * 60 * 1000);
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: settings.time_zone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(shifted);
+}
+
+/**
+ * LaunchScheduleService class for launch days and slot booking
+ */
+export class LaunchScheduleService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.sitemapPinger = options.sitemapPinger || null;
+    this.now = options.now || (() => new Date());
+
+    this.settings = null;
+    this.settingsLoadedAt = 0;
+  }
+
+  /**
+   * Launch calendar settings, cached for a minute
+   * @returns {Promise<Object>} launch_settings row
+   */
+  async getSettings() {
+    if (this.settings && this.now().getTime() - this.settingsLoadedAt < SETTINGS_TTL) {
+      return this.settings;
+    }
+
+    const { data, error } = await this.supabase
+      .from('launch_settings')
+      .select('time_zone, window_start_hour, daily_slots, priority_slots, max_days_ahead')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch launch settings: ${error.message}`);
+    }
+
+    this.settings = { ...DEFAULT_LAUNCH_SETTINGS, ...data };
+    this.settingsLoadedAt = this.now().getTime();
+    return this.settings;
+  }
+
+  /**
+   * The launch day in progress
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  async getToday() {
+    return getLaunchDay(this.now(), await this.getSettings());
+  }
+
+  /**
+   * Free slots per day, for the booking calendar
+   * @param {Object} options - Calendar options
+   * @param {string} [options.from] - First day (defaults to today)
+   * @param {number} [options.days] - Days to list (max 31)
+   * @returns {Promise<Object>} { timeZone, today, days: [{ date, standard, priority }] }
+   */
+  async getAvailability(options = {}) {
+    const settings = await this.getSettings();
+    const today = getLaunchDay(this.now(), settings);
+    const lastDay = addDays(today, settings.max_days_ahead);
+
+    if (options.from && !isLaunchDate(options.from)) {
+      throw scheduleError(400, 'Invalid from date');
+    }
+    const from = options.from && options.from > today ? options.from : today;
+    const days = Math.min(Math.max(parseInt(options.days) || 14, 1), MAX_CALENDAR_DAYS);
+    let to = addDays(from, days - 1);
+    if (to > lastDay) {
+      to = lastDay;
+    }
+
+    const { data, error } = await this.supabase.rpc('get_launch_slot_usage', { p_from: from, p_to: to });
+    if (error) {
+      throw new Error(`Failed to fetch launch slots: ${error.message}`);
+    }
+
+    const booked = new Map((data || []).map(row => [`${row.day}:${row.slot}`, row.booked]));
+    const slot = (date, type, capacity) => {
+      const taken = booked.get(`${date}:${type}`) || 0;
+      return {
+        capacity,
+        booked: taken,
+        available: capacity === null ? null : Math.max(capacity - taken, 0)
+      };
+    };
+
+    const calendar = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      calendar.push({
+        date,
+        standard: slot(date, 'standard', settings.daily_slots),
+        priority: slot(date, 'priority', settings.priority_slots)
+      });
+    }
+
+    return {
+      timeZone: settings.time_zone,
+      windowStartHour: settings.window_start_hour,
+      today,
+      days: calendar
+    };
+  }
+
+  /**
+   * Book (or move) a submission's launch day
+   * The client must act as the submission's maker (or the service role).
+   * @param {string} submissionId - Submission ID
+   * @param {Object} schedule - Booking
+   * @param {string} schedule.launchDate - YYYY-MM-DD in the launch time zone
+   * @param {string} [schedule.slot] - 'standard' or 'priority'
+   * @returns {Promise<Object>} { launchDate, slot }
+   */
+  async scheduleLaunch(submissionId, schedule) {
+    const { launchDate, slot = 'standard' } = schedule || {};
+
+    if (!isLaunchDate(launchDate)) {
+      throw scheduleError(400, 'Launch date must be a valid YYYY-MM-DD date');
+    }
+    if (!LAUNCH_SLOTS.includes(slot)) {
+      throw scheduleError(400, `Launch slot must be one of: ${LAUNCH_SLOTS.join(', ')}`);
+    }
+
+    const { data, error } = await this.supabase.rpc('reserve_launch_slot', {
+      p_submission_id: submissionId,
+      p_launch_date: launchDate,
+      p_launch_slot: slot
+    });
+
+    if (error) {
+      throw new Error(`Failed to reserve launch slot: ${error.message}`);
+    }
+    if (data !== 'reserved') {
+      const [status, message] = RESERVATION_ERRORS[data] || [500, 'Failed to reserve launch slot'];
+      throw scheduleError(status, message);
+    }
+
+    return { launchDate, slot };
+  }
+
+  /**
+   * A launch day's launches, priority slots first, then by votes
+   * Future days 404 so scheduled launches stay private.
+   * @param {string} [launchDate] - YYYY-MM-DD (defaults to today)
+   * @returns {Promise<Object>} { date, isToday, launches, previousDate, nextDate }
+   */
+  async getLaunchDay(launchDate) {
+    const today = await this.getToday();
+    const date = launchDate || today;
+
+    if (!isLaunchDate(date) || date > today) {
+      throw scheduleError(404, 'Launch day not found');
+    }
+
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select(DAY_COLUMNS)
+      .eq('launch_date', date)
+      .in('status', PUBLIC_LAUNCH_STATUSES)
+      .order('launch_slot', { ascending: true })
+      .order('votes_count', { ascending: false })
+      .order('published_at', { ascending: true })
+      .limit(DAY_LIMIT);
+
+    if (error) {
+      throw new Error(`Failed to fetch launch day: ${error.message}`);
+    }
+
+    const [previousDate, nextDate] = await Promise.all([
+      this.findLaunchDay(date, 'previous'),
+      date < today ? this.findLaunchDay(date, 'next', today) : null
+    ]);
+
+    return {
+      date,
+      isToday: date === today,
+      launches: data || [],
+      previousDate,
+      nextDate
+    };
+  }
+
+  /**
+   * Closest earlier (or later, up to today) day that had launches
+   * @private
+   */
+  async findLaunchDay(date, direction, today = null) {
+    let query = this.supabase
+      .from('submissions')
+      .select('launch_date')
+      .in('status', PUBLIC_LAUNCH_STATUSES);
+
+    query = direction === 'previous'
+      ? query.lt('launch_date', date).order('launch_date', { ascending: false })
+      : query.gt('launch_date', date).lte('launch_date', today).order('launch_date', { ascending: true });
+
+    const { data, error } = await query.limit(1);
+    if (error) {
+      console.warn('Failed to find adjacent launch day:', error.message);
+      return null;
+    }
+
+    return data?.[0]?.launch_date || null;
+  }
+
+  /**
+   * Take scheduled launches live once their window has opened
+   * Needs a service role client.
+   * @returns {Promise<Array<string>>} IDs of launches that went live
+   */
+  async publishDueLaunches() {
+    const { data, error } = await this.supabase.rpc('publish_due_launches');
+    if (error) {
+      throw new Error(`Failed to publish scheduled launches: ${error.message}`);
+    }
+
+    const ids = data || [];
+    if (ids.length > 0 && this.sitemapPinger) {
+      this.sitemapPinger.notify(ids);
+    }
+    return ids;
+  }
+}
+
+/**
+ * Create a LaunchScheduleService instance
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Service options
+ * @returns {LaunchScheduleService} Service instance
+ */
+export function createLaunchScheduleService(supabaseClient, options = {}) {
+  return new LaunchScheduleService(supabaseClient, options);
+}
+
+/**
+ * LaunchPublisher - takes scheduled launches live on a cron schedule
+ */
+export class LaunchPublisher {
+  static DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+  /**
+   * @param {LaunchScheduleService} scheduleService - Service with a service role client
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Publisher options
+   * @param {string} [options.schedule] - Cron expression
+   * @param {Object} [options.scheduler] - Cron implementation (defaults to node-cron)
+   */
+  constructor(scheduleService, logger, options = {}) {
+    if (!scheduleService) {
+      throw new Error('Launch schedule service is required');
+    }
+    if (!logger) {
+      throw new Error('Logger is required');
+    }
+
+    this.scheduleService = scheduleService;
+    this.logger = logger;
+    this.schedule = options.schedule || LaunchPublisher.DEFAULT_SCHEDULE;
+    this.scheduler = options.scheduler || cron;
+    this.task = null;
+  }
+
+  /**
+   * Start the cron schedule
+   * @returns {LaunchPublisher} This publisher
+   */
+  start() {
+    if (!this.task) {
+      this.task = this.scheduler.schedule(this.schedule, () => this.tick(), {
+        name: 'launch-publisher',
+        noOverlap: true
+      });
+      this.logger.info('Launch publisher started', { schedule: this.schedule });
+    }
+    return this;
+  }
+
+  /**
+   * Stop the cron schedule
+   */
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Publish due launches, logging instead of throwing
+   * @returns {Promise<Array<string>>} IDs of launches that went live
+   */
+  async tick() {
+    try {
+      const ids = await this.scheduleService.publishDueLaunches();
+      if (ids.length > 0) {
+        this.logger.info('Scheduled launches went live', { count: ids.length, submissionIds: ids });
+      }
+      return ids;
+    } catch (error) {
+      this.logger.error('Launch publishing failed', { error: error.message });
+      return [];
+    }
+  }
+}
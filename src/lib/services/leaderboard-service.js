@@ -0,0 +1,537 @@
+/**
+ * Leaderboard Service
+ *
+ * Daily, weekly and monthly launch leaderboards. A period ranks the launches
+ * whose launch day falls inside it by net votes cast before it ended: open
+ * periods are ranked live, closed ones are read from their frozen results
+ * (see 033_leaderboards.sql).
+ *
+ * Closing a period awards its top three permanently; makers of winners then
+ * earn the Product of the Day/Week/Month badges through
+ * BadgeService.autoCheckAndAwardBadges. LeaderboardCloser closes periods on a
+ * cron schedule.
+ */
+
+import cron from 'node-cron';
+import { addDays, isLaunchDate, LaunchScheduleService } from './launch-schedule-service.js';
+import { escapeXml } from './feed-service.js';
+
+export const LEADERBOARD_PERIODS = ['day', 'week', 'month'];
+
+export const AWARD_TITLES = {
+  day: 'Product of the Day',
+  week: 'Product of the Week',
+  month: 'Product of the Month'
+};
+
+const LEADERBOARD_LIMIT = 50;
+const ARCHIVE_LIMIT = 30;
+
+const LAUNCH_COLUMNS = `
+  id,
+  url,
+  slug,
+  rewritten_meta,
+  images,
+  tags,
+  votes_count,
+  published_at,
+  users!submitted_by (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+const AWARD_COLUMNS = `
+  id,
+  period,
+  starts_on,
+  rank,
+  votes,
+  awarded_at,
+  submissions (
+    id,
+    url,
+    slug,
+    rewritten_meta,
+    images
+  )
+`;
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function leaderboardError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * First launch day of the period containing a day (weeks start on Monday)
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {string} launchDate - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function getPeriodStart(period, launchDate) {
+  if (period === 'week') {
+    const weekday = new Date(`${launchDate}T00:00:00Z`).getUTCDay();
+    return addDays(launchDate, -((weekday + 6) % 7));
+  }
+  if (period === 'month') {
+    return `${launchDate.slice(0, 7)}-01`;
+  }
+  return launchDate;
+}
+
+/**
+ * Last launch day of the period starting on a day
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {string} startsOn - YYYY-MM-DD period start
+ * @returns {string} YYYY-MM-DD
+ */
+export function getPeriodEnd(period, startsOn) {
+  if (period === 'week') {
+    return addDays(startsOn, 6);
+  }
+  if (period === 'month') {
+    return addDays(getPeriodStart('month', addDays(startsOn, 31)), -1);
+  }
+  return startsOn;
+}
+
+/**
+ * Human-readable name of a period, e.g. "Week of Mar 4, 2024"
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {string} startsOn - YYYY-MM-DD period start
+ * @param {string} [locale] - Locale to format in
+ * @returns {string} Period label
+ */
+export function formatPeriod(period, startsOn, locale = 'en-US') {
+  const date = new Date(`${startsOn}T00:00:00Z`);
+  if (period === 'month') {
+    return date.toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  const day = date.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  return period === 'week' ? `Week of ${day}` : day;
+}
+
+const RIBBON_COLORS = {
+  1: { fill: '#F59E0B', text: '#451A03' },
+  2: { fill: '#9CA3AF', text: '#111827' },
+  3: { fill: '#B45309', text: '#FFFBEB' }
+};
+
+/**
+ * Embeddable ribbon for a launch award
+ * @param {Object} award - launch_awards row
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.siteName] - Name shown above the title
+ * @returns {string} SVG document
+ */
+export function renderAwardRibbon(award, options = {}) {
+  const siteName = options.siteName || 'ADLP';
+  const colors = RIBBON_COLORS[award.rank] || RIBBON_COLORS[1];
+  const heading = `${siteName.toUpperCase()} #${award.rank}`;
+  const title = AWARD_TITLES[award.period] || 'Leaderboard';
+  const label = formatPeriod(award.period, award.starts_on);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="250" height="54" viewBox="0 0 250 54" role="img" aria-label="${escapeXml(`${heading} ${title}, ${label}`)}">
+  <title>${escapeXml(`${heading} ${title}, ${label}`)}</title>
+  <rect width="250" height="54" rx="10" fill="#FFFFFF" stroke="${colors.fill}" stroke-width="2"/>
+  <circle cx="27" cy="27" r="17" fill="${colors.fill}"/>
+  <text x="27" y="33" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="16" font-weight="700" fill="${colors.text}">${award.rank}</text>
+  <text x="54" y="17" font-family="Helvetica, Arial, sans-serif" font-size="9" font-weight="700" letter-spacing="1" fill="#6B7280">${escapeXml(heading)}</text>
+  <text x="54" y="33" font-family="Helvetica, Arial, sans-serif" font-size="15" font-weight="700" fill="#111827">${escapeXml(title)}</text>
+  <text x="54" y="46" font-family="Helvetica, Arial, sans-serif" font-size="10" fill="#6B7280">${escapeXml(label)}</text>
+</svg>`;
+}
+
+/**
+ * LeaderboardService class for product leaderboards and awards
+ */
+export class LeaderboardService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.badgeService = options.badgeService || null;
+    // Knows the launch calendar's time zone, which decides when periods end
+    this.scheduleService = options.scheduleService || new LaunchScheduleService(supabaseClient, options);
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * A period's ranking: frozen once it has closed, live until then
+   * Future periods 404.
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {string} [launchDate] - Any day in the period (defaults to today)
+   * @returns {Promise<Object>} { period, startsOn, endsOn, closed, entries, previousStartsOn, nextStartsOn }
+   */
+  async getLeaderboard(period, launchDate) {
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      throw leaderboardError(404, 'Leaderboard not found');
+    }
+
+    const today = await this.scheduleService.getToday();
+    const date = launchDate || today;
+    if (!isLaunchDate(date) || date > today) {
+      throw leaderboardError(404, 'Leaderboard not found');
+    }
+
+    const startsOn = getPeriodStart(period, date);
+    const endsOn = getPeriodEnd(period, startsOn);
+
+    const { data: closedPeriod, error } = await this.supabase
+      .from('leaderboard_periods')
+      .select('closed_at')
+      .eq('period', period)
+      .eq('starts_on', startsOn)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch leaderboard period: ${error.message}`);
+    }
+
+    const entries = closedPeriod
+      ? await this.getFrozenEntries(period, startsOn)
+      : await this.getLiveEntries(period, startsOn);
+
+    const nextStartsOn = addDays(endsOn, 1);
+
+    return {
+      period,
+      title: AWARD_TITLES[period],
+      label: formatPeriod(period, startsOn),
+      startsOn,
+      endsOn,
+      closed: Boolean(closedPeriod),
+      closedAt: closedPeriod?.closed_at || null,
+      entries,
+      previousStartsOn: getPeriodStart(period, addDays(startsOn, -1)),
+      nextStartsOn: nextStartsOn <= today ? nextStartsOn : null
+    };
+  }
+
+  /**
+   * Ranking of a closed period with its awards
+   * @private
+   */
+  async getFrozenEntries(period, startsOn) {
+    const [entries, awards] = await Promise.all([
+      this.supabase
+        .from('leaderboard_entries')
+        .select(`rank, votes, submission_id, submissions (${LAUNCH_COLUMNS})`)
+        .eq('period', period)
+        .eq('starts_on', startsOn)
+        .order('rank', { ascending: true })
+        .limit(LEADERBOARD_LIMIT),
+      this.supabase
+        .from('launch_awards')
+        .select('id, submission_id, rank')
+        .eq('period', period)
+        .eq('starts_on', startsOn)
+    ]);
+
+    if (entries.error) {
+      throw new Error(`Failed to fetch leaderboard: ${entries.error.message}`);
+    }
+    if (awards.error) {
+      throw new Error(`Failed to fetch launch awards: ${awards.error.message}`);
+    }
+
+    const awardIds = new Map((awards.data || []).map(award => [award.submission_id, award.id]));
+    return (entries.data || [])
+      .filter(entry => entry.submissions)
+      .map(entry => ({
+        rank: entry.rank,
+        votes: entry.votes,
+        awardId: awardIds.get(entry.submission_id) || null,
+        launch: entry.submissions
+      }));
+  }
+
+  /**
+   * Live ranking of an open period
+   * @private
+   */
+  async getLiveEntries(period, startsOn) {
+    const { data: ranking, error } = await this.supabase.rpc('compute_leaderboard', {
+      p_period: period,
+      p_starts_on: startsOn,
+      p_limit: LEADERBOARD_LIMIT
+    });
+
+    if (error) {
+      throw new Error(`Failed to compute leaderboard: ${error.message}`);
+    }
+    if (!ranking?.length) {
+      return [];
+    }
+
+    const { data: launches, error: launchError } = await this.supabase
+      .from('submissions')
+      .select(LAUNCH_COLUMNS)
+      .in('id', ranking.map(row => row.submission_id));
+
+    if (launchError) {
+      throw new Error(`Failed to fetch leaderboard launches: ${launchError.message}`);
+    }
+
+    const byId = new Map((launches || []).map(launch => [launch.id, launch]));
+    return ranking
+      .filter(row => byId.has(row.submission_id))
+      .map(row => ({
+        rank: row.rank,
+        votes: row.votes,
+        awardId: null,
+        launch: byId.get(row.submission_id)
+      }));
+  }
+
+  /**
+   * Winners of past periods, newest first
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {Object} options - Archive options
+   * @param {string} [options.before] - Only periods starting before this day
+   * @param {number} [options.limit] - Number of periods (max 100)
+   * @returns {Promise<Array<Object>>} Rank 1 awards with their launches
+   */
+  async getArchive(period, options = {}) {
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      throw leaderboardError(404, 'Leaderboard not found');
+    }
+    if (options.before && !isLaunchDate(options.before)) {
+      throw leaderboardError(400, 'Invalid before date');
+    }
+
+    const limit = Math.min(Math.max(parseInt(options.limit) || ARCHIVE_LIMIT, 1), 100);
+    let query = this.supabase
+      .from('launch_awards')
+      .select(AWARD_COLUMNS)
+      .eq('period', period)
+      .eq('rank', 1);
+
+    if (options.before) {
+      query = query.lt('starts_on', options.before);
+    }
+
+    const { data, error } = await query
+      .order('starts_on', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch leaderboard archive: ${error.message}`);
+    }
+
+    return (data || []).map(award => ({
+      ...award,
+      label: formatPeriod(award.period, award.starts_on)
+    }));
+  }
+
+  /**
+   * One award, for its ribbon and embed code
+   * @param {string} awardId - Award ID
+   * @returns {Promise<Object>} Award with its launch
+   */
+  async getAward(awardId) {
+    const { data, error } = await this.supabase
+      .from('launch_awards')
+      .select(AWARD_COLUMNS)
+      .eq('id', awardId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch award: ${error.message}`);
+    }
+    if (!data) {
+      throw leaderboardError(404, 'Award not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Awards a launch has won, best first
+   * @param {string} submissionId - Submission ID
+   * @returns {Promise<Array<Object>>} launch_awards rows
+   */
+  async getLaunchAwards(submissionId) {
+    const { data, error } = await this.supabase
+      .from('launch_awards')
+      .select('id, period, starts_on, rank, votes, awarded_at')
+      .eq('submission_id', submissionId)
+      .order('rank', { ascending: true })
+      .order('starts_on', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch launch awards: ${error.message}`);
+    }
+
+    return (data || []).map(award => ({
+      ...award,
+      title: AWARD_TITLES[award.period],
+      label: formatPeriod(award.period, award.starts_on)
+    }));
+  }
+
+  /**
+   * A launch's rank on its launch day: frozen once the day has closed, live until then
+   * @param {Object} launch - Submission with id and launch_date
+   * @returns {Promise<number|null>} Rank, or null for launches without a launch day or outside the top 100
+   */
+  async getLaunchDayRank(launch) {
+    if (!launch.launch_date) {
+      return null;
+    }
+
+    const { data: entry, error } = await this.supabase
+      .from('leaderboard_entries')
+      .select('rank')
+      .eq('period', 'day')
+      .eq('starts_on', launch.launch_date)
+      .eq('submission_id', launch.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch leaderboard entry: ${error.message}`);
+    }
+    if (entry) {
+      return entry.rank;
+    }
+
+    const { data: ranking, error: rankingError } = await this.supabase.rpc('compute_leaderboard', {
+      p_period: 'day',
+      p_starts_on: launch.launch_date,
+      p_limit: 100
+    });
+
+    if (rankingError) {
+      throw new Error(`Failed to compute leaderboard: ${rankingError.message}`);
+    }
+
+    return ranking?.find(row => row.submission_id === launch.id)?.rank ?? null;
+  }
+
+  /**
+   * Freeze every period that has ended and issue badges to the winners' makers
+   * Needs a service role client.
+   * @returns {Promise<Object>} { awards, badges: [{ userId, badges }] }
+   */
+  async closeDuePeriods() {
+    const { data, error } = await this.supabase.rpc('close_due_leaderboards');
+    if (error) {
+      throw new Error(`Failed to close leaderboards: ${error.message}`);
+    }
+
+    const awards = data || [];
+    const winners = [...new Set(
+      awards.filter(award => award.rank === 1 && award.maker_id).map(award => award.maker_id)
+    )];
+
+    const badges = [];
+    if (this.badgeService) {
+      for (const userId of winners) {
+        const result = await this.badgeService.autoCheckAndAwardBadges(userId);
+        if (!result.success) {
+          this.logger.warn('Failed to award leaderboard badges', { userId, error: result.error });
+        } else if (result.data.length > 0) {
+          badges.push({ userId, badges: result.data });
+        }
+      }
+    }
+
+    return { awards, badges };
+  }
+}
+
+/**
+ * Create a LeaderboardService instance
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Service options
+ * @returns {LeaderboardService} Service instance
+ */
+export function createLeaderboardService(supabaseClient, options = {}) {
+  return new LeaderboardService(supabaseClient, options);
+}
+
+/**
+ * LeaderboardCloser - freezes ended leaderboard periods on a cron schedule
+ */
+export class LeaderboardCloser {
+  static DEFAULT_SCHEDULE = '*/5 * * * *'; // every 5 minutes
+
+  /**
+   * @param {LeaderboardService} leaderboardService - Service with a service role client
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Closer options
+   * @param {string} [options.schedule] - Cron expression
+   * @param {Object} [options.scheduler] - Cron implementation (defaults to node-cron)
+   */
+  constructor(leaderboardService, logger, options = {}) {
+    if (!leaderboardService) {
+      throw new Error('Leaderboard service is required');
+    }
+    if (!logger) {
+      throw new Error('Logger is required');
+    }
+
+    this.leaderboardService = leaderboardService;
+    this.logger = logger;
+    this.schedule = options.schedule || LeaderboardCloser.DEFAULT_SCHEDULE;
+    this.scheduler = options.scheduler || cron;
+    this.task = null;
+  }
+
+  /**
+   * Start the cron schedule
+   * @returns {LeaderboardCloser} This closer
+   */
+  start() {
+    if (!this.task) {
+      this.task = this.scheduler.schedule(this.schedule, () => this.tick(), {
+        name: 'leaderboard-closer',
+        noOverlap: true
+      });
+      this.logger.info('Leaderboard closer started', { schedule: this.schedule });
+    }
+    return this;
+  }
+
+  /**
+   * Stop the cron schedule
+   */
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Close ended periods, logging instead of throwing
+   * @returns {Promise<Array<Object>>} Awards handed out
+   */
+  async tick() {
+    try {
+      const { awards, badges } = await this.leaderboardService.closeDuePeriods();
+      if (awards.length > 0) {
+        this.logger.info('Leaderboard periods closed', {
+          awards: awards.length,
+          badgesAwarded: badges.reduce((total, entry) => total + entry.badges.length, 0)
+        });
+      }
+      return awards;
+    } catch (error) {
+      this.logger.error('Closing leaderboards failed', { error: error.message });
+      return [];
+    }
+  }
+}
@@ -4,14 +4,84 @@
  */
 
 import { load } from 'cheerio';
-import fetch from 'node-fetch';
+import net from 'net';
 import { URL } from 'url';
+import { getCrawler, isRobotsBlocked } from './crawl-service.js';
+
+/**
+ * Split an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address (net.isIP(address) === 6)
+ * @returns {Array<number>} Groups
+ */
+function parseIPv6(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+
+  // A trailing dotted quad stands for the last two groups
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise
+ * not on the public internet. IPv6 addresses that carry an IPv4 address
+ * (mapped, compatible) are checked by that address, whichever way they are
+ * written. Host names are not resolved and return false.
+ * @param {string} address - IPv4 or IPv6 address, IPv6 optionally in URL brackets
+ * @returns {boolean} True if the address must not be fetched
+ */
+export function isPrivateIP(address) {
+  address = address.replace(/^\[(.*)\]$/, '$1');
+  const version = net.isIP(address);
+  if (version === 4) {
+    const [a, b] = address.split('.').map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+      (a === 169 && b === 254) || // Link-local
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) || // Benchmarking
+      a >= 224 // Multicast and reserved
+    );
+  }
+
+  if (version === 6) {
+    const groups = parseIPv6(address);
+    const embeddedIPv4 = () => [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+
+    // ::ffff:0:0/96 (mapped) and ::/96 (compatible, which includes :: and ::1)
+    if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+      return groups[5] === 0 && groups[6] === 0 ? true : isPrivateIP(embeddedIPv4());
+    }
+
+    return (
+      (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) || // NAT64
+      (groups[0] & 0xfe00) === 0xfc00 || // Unique local
+      (groups[0] & 0xffc0) === 0xfe80 || // Link-local
+      (groups[0] & 0xff00) === 0xff00 // Multicast
+    );
+  }
+
+  return false;
+}
 
 export class MetadataFetcher {
   constructor(options = {}) {
+    this.crawler = options.crawler || getCrawler();
     this.timeout = options.timeout || 10000;
     this.maxRedirects = options.maxRedirects || 5;
-    this.userAgent = options.userAgent || 'ADLP-Bot/1.0 (+https://adlp.dev/bot)';
+    this.userAgent = options.userAgent || this.crawler.userAgent;
     this.maxContentLength = options.maxContentLength || 5 * 1024 * 1024; // 5MB
   }
 
@@ -59,32 +129,26 @@ export class MetadataFetcher {
    * @returns {boolean} True if it's a private IP
    */
   isPrivateIP(hostname) {
-    const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-    const match = hostname.match(ipv4Regex);
-    
-    if (!match) return false;
-
-    const [, a, b, c, d] = match.map(Number);
-    
-    // Check for private IP ranges
-    return (
-      (a === 10) ||
-      (a === 172 && b >= 16 && b <= 31) ||
-      (a === 192 && b === 168) ||
-      (a === 169 && b === 254) // Link-local
-    );
+    return isPrivateIP(hostname);
   }
 
   /**
    * Fetches metadata from a URL
    * @param {string} url - The URL to fetch metadata from
-   * @returns {Promise<Object>} The extracted metadata
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.conditional=false] - Re-fetch with the validators from the last fetch
+   * @returns {Promise<Object>} The extracted metadata, or { url, notModified: true }
+   *   when a conditional re-fetch finds the page unchanged
    */
-  async fetchMetadata(url) {
+  async fetchMetadata(url, options = {}) {
     this.validateUrl(url);
 
     try {
-      const response = await this.fetchWithTimeout(url);
+      const response = await this.fetchWithTimeout(url, options);
+      if (response.status === 304) {
+        return { url, notModified: true };
+      }
+
       const html = await response.text();
       
       // Get the final URL after redirects
@@ -92,21 +156,23 @@ export class MetadataFetcher {
       
       return this.extractMetadata(html, finalUrl);
     } catch (error) {
+      if (isRobotsBlocked(error)) {
+        throw error;
+      }
       throw new Error(`Failed to fetch URL: ${error.message}`);
     }
   }
 
   /**
-   * Fetches a URL with timeout and redirect handling
+   * Fetches a URL through the crawler with timeout and redirect handling
    * @param {string} url - The URL to fetch
+   * @param {Object} [options] - Fetch options
+   * @param {boolean} [options.conditional=false] - Send validators; a 304 response is returned as is
    * @returns {Promise<Response>} The fetch response
    */
-  async fetchWithTimeout(url) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
+  async fetchWithTimeout(url, options = {}) {
     try {
-      const response = await fetch(url, {
+      const response = await this.crawler.fetch(url, {
         method: 'GET',
         headers: {
           'User-Agent': this.userAgent,
@@ -117,14 +183,16 @@ export class MetadataFetcher {
           'Connection': 'keep-alive',
           'Upgrade-Insecure-Requests': '1'
         },
-        redirect: 'follow',
-        follow: this.maxRedirects,
-        timeout: this.timeout,
-        signal: controller.signal,
         size: this.maxContentLength
+      }, {
+        timeout: this.timeout,
+        maxRedirects: this.maxRedirects,
+        conditional: options.conditional
       });
 
-      clearTimeout(timeoutId);
+      if (response.status === 304) {
+        return response;
+      }
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -138,8 +206,6 @@ export class MetadataFetcher {
 
       return response;
     } catch (error) {
-      clearTimeout(timeoutId);
-      
       if (error.name === 'AbortError') {
         throw new Error('Request timeout');
       }
@@ -0,0 +1,582 @@
+/**
+ * Metadata Fetch Pipeline
+ * One entry point for fetching page metadata:
+ * - Tries the cheap HTML fetch first and escalates to headless Chrome only
+ *   when the result is thin (client-rendered shell, missing title or image)
+ * - Remembers per domain which strategy works and starts there next time
+ * - Merges results field by field, recording each field's strategy and confidence
+ * - Shares one cache and one in-flight request per URL between all callers
+ */
+
+import { load } from 'cheerio';
+import { URL } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import { EnhancedMetadataFetcher } from './enhanced-metadata-fetcher.js';
+import { PuppeteerMetadataFetcher } from './puppeteer-metadata-fetcher.js';
+import { isRobotsBlocked } from './crawl-service.js';
+
+export const FETCH_STRATEGIES = ['html', 'browser'];
+
+// Titles frameworks and loading screens ship before the app renders
+const PLACEHOLDER_TITLES = /^(untitled|loading\W*|react app|vite app|vite \+ \w+|svelte app|angular app|document|index|home page)$/i;
+
+const MOUNT_POINTS = '#root, #app, #__next, #__nuxt, #svelte, [data-reactroot], app-root';
+
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Detect a client-rendered shell: little server-rendered text plus an empty
+ * mount point, a "requires JavaScript" notice or script bundles
+ * @param {string} html - Page HTML
+ * @returns {boolean} True if the page needs JavaScript to show its content
+ */
+export function detectClientRendering(html) {
+  if (!isText(html)) {
+    return false;
+  }
+
+  const $ = load(html);
+  const emptyMountPoint = $(MOUNT_POINTS).toArray().some(element => $(element).text().trim() === '');
+  const noscriptNotice = /(enable|requires?|need) javascript/i.test($('noscript').text());
+  const scriptBundles = $('script[src]').length;
+
+  $('script, style, noscript, template').remove();
+  const textLength = $('body').text().replace(/\s+/g, ' ').trim().length;
+
+  return textLength < 200 && (emptyMountPoint || noscriptNotice || scriptBundles > 0);
+}
+
+/**
+ * Fields merged across strategies: how to read each from a result and how
+ * confident to be in the value (0 = unusable)
+ */
+const FIELD_RULES = {
+  title: {
+    get: metadata => metadata.title,
+    score: (value, metadata) => {
+      if (!isText(value)) {
+        return 0;
+      }
+      if (PLACEHOLDER_TITLES.test(value.trim())) {
+        return 0.2;
+      }
+      return value === metadata.openGraph?.title || value === metadata.twitter?.title ? 0.9 : 0.7;
+    }
+  },
+  description: {
+    get: metadata => metadata.description,
+    score: (value, metadata) => {
+      if (!isText(value)) {
+        return 0;
+      }
+      if (value === metadata.openGraph?.description || value === metadata.twitter?.description) {
+        return 0.9;
+      }
+      return value.trim().length < 30 ? 0.5 : 0.8;
+    }
+  },
+  image: {
+    get: metadata => metadata.images?.primary || metadata.image || null,
+    score: (value, metadata) => {
+      if (!isText(value)) {
+        return 0;
+      }
+      const type = metadata.images?.sources?.[0]?.type || '';
+      return type.startsWith('og:') || type.startsWith('twitter:') || metadata.openGraph?.image ? 0.9 : 0.6;
+    }
+  },
+  images: {
+    get: metadata => metadata.images,
+    score: value => {
+      const count = value?.sources?.length || 0;
+      return count === 0 ? 0 : 0.5 + 0.04 * Math.min(count, 10);
+    }
+  },
+  favicons: {
+    get: metadata => metadata.favicons,
+    score: value => (Array.isArray(value) && value.length > 0 ? 0.8 : 0)
+  },
+  favicon: {
+    get: metadata => metadata.favicons?.[0]?.url || metadata.favicon || null,
+    score: value => (isText(value) ? 0.8 : 0)
+  },
+  canonicalUrl: {
+    get: metadata => metadata.canonicalUrl,
+    score: value => (isText(value) ? 0.8 : 0)
+  }
+};
+
+/**
+ * Judge whether a result is good enough to stop at
+ * @param {Object} metadata - Metadata from one strategy
+ * @returns {Object} { thin, missing, clientRendered }
+ */
+export function assessMetadata(metadata) {
+  const missing = ['title', 'description', 'image'].filter(field =>
+    FIELD_RULES[field].score(FIELD_RULES[field].get(metadata), metadata) < 0.5
+  );
+  const clientRendered = detectClientRendering(metadata.html);
+
+  return {
+    thin: clientRendered || missing.includes('title') || missing.includes('image'),
+    missing,
+    clientRendered
+  };
+}
+
+/**
+ * Merge strategy results into one metadata object
+ * The browser result (which adds navigation links, topic tags and
+ * screenshots) is the base; each merged field then takes the most confident
+ * value, the earlier strategy winning ties.
+ * @param {Array} results - [{ strategy, metadata }] in the order tried
+ * @returns {Object} Metadata with fetchMethod and provenance ({ field: { strategy, confidence } })
+ */
+export function mergeMetadata(results) {
+  const base = results.find(result => result.strategy === 'browser') || results[0];
+  const merged = { ...base.metadata };
+  const provenance = {};
+
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    let best = null;
+    for (const { strategy, metadata } of results) {
+      const value = rule.get(metadata);
+      const confidence = rule.score(value, metadata);
+      if (confidence > 0 && (!best || confidence > best.confidence)) {
+        best = { value, strategy, confidence };
+      }
+    }
+    if (best) {
+      merged[field] = best.value;
+      provenance[field] = { strategy: best.strategy, confidence: Math.round(best.confidence * 100) / 100 };
+    }
+  }
+
+  // Raw HTML is only needed for the assessment
+  delete merged.html;
+  merged.fetchMethod = results.map(result => result.strategy).join('+');
+  merged.provenance = provenance;
+
+  return merged;
+}
+
+/**
+ * Domain a URL's strategy is learned for (hostname without www.)
+ * @param {string} url - URL
+ * @returns {string} Domain
+ */
+export function getStrategyDomain(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Per-domain record of how each strategy performed, kept in memory and, with
+ * a Supabase client, in metadata_fetch_strategies so every process shares it
+ */
+export class DomainStrategyMemory {
+  static DEFAULTS = {
+    MIN_SAMPLES: 2, // HTML attempts before a domain can be switched to the browser
+    RELEARN_AFTER: 7 * 24 * 60 * 60 * 1000, // retry HTML first on browser domains after a week
+    MAX_COUNT: 20, // counts are halved past this so recent fetches weigh more
+    MAX_ENTRIES: 5000,
+    RELOAD_AFTER: 10 * 60 * 1000 // re-read stored stats to pick up other processes' fetches
+  };
+
+  /**
+   * @param {Object|null} supabase - Supabase client (service role), or null for memory only
+   * @param {Object} [options] - Options
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(supabase = null, options = {}) {
+    this.supabase = supabase;
+    this.logger = options.logger || console;
+    this.entries = new Map();
+  }
+
+  /**
+   * Stats for a domain
+   * @param {string} domain - Domain
+   * @returns {Promise<Object>} Stats
+   */
+  async get(domain) {
+    const entry = this.entries.get(domain);
+    if (entry && (!this.supabase || Date.now() - entry.loadedAt < DomainStrategyMemory.DEFAULTS.RELOAD_AFTER)) {
+      return entry.stats;
+    }
+
+    let stats = entry?.stats || {
+      preferredStrategy: 'html',
+      htmlAttempts: 0,
+      htmlSuccesses: 0,
+      browserAttempts: 0,
+      browserSuccesses: 0,
+      lastHtmlAttemptAt: null
+    };
+
+    if (this.supabase) {
+      try {
+        const { data, error } = await this.supabase
+          .from('metadata_fetch_strategies')
+          .select('*')
+          .eq('domain', domain)
+          .maybeSingle();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        if (data) {
+          stats = {
+            preferredStrategy: data.preferred_strategy,
+            htmlAttempts: data.html_attempts,
+            htmlSuccesses: data.html_successes,
+            browserAttempts: data.browser_attempts,
+            browserSuccesses: data.browser_successes,
+            lastHtmlAttemptAt: data.last_html_attempt_at
+          };
+        }
+      } catch (error) {
+        this.logger.warn('Failed to load fetch strategy', { domain, error: error.message });
+      }
+    }
+
+    this.remember(domain, stats);
+    return stats;
+  }
+
+  /**
+   * Strategy to start with for a domain
+   * @param {string} domain - Domain
+   * @returns {Promise<string>} 'html' or 'browser'
+   */
+  async choose(domain) {
+    const stats = await this.get(domain);
+    if (stats.preferredStrategy !== 'browser') {
+      return 'html';
+    }
+
+    const lastHtmlAttempt = stats.lastHtmlAttemptAt ? new Date(stats.lastHtmlAttemptAt).getTime() : 0;
+    return Date.now() - lastHtmlAttempt > DomainStrategyMemory.DEFAULTS.RELEARN_AFTER ? 'html' : 'browser';
+  }
+
+  /**
+   * Record a strategy's outcome for a domain
+   * @param {string} domain - Domain
+   * @param {string} strategy - 'html' or 'browser'
+   * @param {boolean} sufficient - Whether the result was good enough to stop at
+   * @returns {Promise<Object>} Updated stats
+   */
+  async record(domain, strategy, sufficient) {
+    const stats = { ...(await this.get(domain)) };
+    const { MAX_COUNT } = DomainStrategyMemory.DEFAULTS;
+
+    if (strategy === 'html') {
+      // A browser domain whose HTML is now complete has moved to server rendering
+      if (sufficient && stats.preferredStrategy === 'browser') {
+        stats.htmlAttempts = 0;
+        stats.htmlSuccesses = 0;
+      }
+      stats.htmlAttempts++;
+      stats.htmlSuccesses += sufficient ? 1 : 0;
+      stats.lastHtmlAttemptAt = new Date().toISOString();
+      if (stats.htmlAttempts > MAX_COUNT) {
+        stats.htmlAttempts = Math.round(stats.htmlAttempts / 2);
+        stats.htmlSuccesses = Math.round(stats.htmlSuccesses / 2);
+      }
+    } else {
+      stats.browserAttempts++;
+      stats.browserSuccesses += sufficient ? 1 : 0;
+      if (stats.browserAttempts > MAX_COUNT) {
+        stats.browserAttempts = Math.round(stats.browserAttempts / 2);
+        stats.browserSuccesses = Math.round(stats.browserSuccesses / 2);
+      }
+    }
+
+    stats.preferredStrategy = this.prefer(stats);
+    this.remember(domain, stats);
+
+    if (this.supabase) {
+      try {
+        const { error } = await this.supabase
+          .from('metadata_fetch_strategies')
+          .upsert({
+            domain,
+            preferred_strategy: stats.preferredStrategy,
+            html_attempts: stats.htmlAttempts,
+            html_successes: stats.htmlSuccesses,
+            browser_attempts: stats.browserAttempts,
+            browser_successes: stats.browserSuccesses,
+            last_html_attempt_at: stats.lastHtmlAttemptAt
+          }, { onConflict: 'domain' });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+      } catch (error) {
+        this.logger.warn('Failed to save fetch strategy', { domain, error: error.message });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Preferred strategy: the browser once HTML has mostly come back thin and
+   * the browser has done better
+   * @param {Object} stats - Domain stats
+   * @returns {string} 'html' or 'browser'
+   */
+  prefer(stats) {
+    if (stats.htmlAttempts < DomainStrategyMemory.DEFAULTS.MIN_SAMPLES || stats.browserAttempts === 0) {
+      return 'html';
+    }
+
+    const htmlRate = stats.htmlSuccesses / stats.htmlAttempts;
+    const browserRate = stats.browserSuccesses / stats.browserAttempts;
+    return htmlRate < 0.5 && browserRate > htmlRate ? 'browser' : 'html';
+  }
+
+  remember(domain, stats) {
+    this.entries.delete(domain);
+    this.entries.set(domain, { stats, loadedAt: Date.now() });
+    if (this.entries.size > DomainStrategyMemory.DEFAULTS.MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+export class MetadataPipeline {
+  static DEFAULTS = {
+    CACHE_TTL: 60 * 60 * 1000, // 1 hour
+    MAX_CACHE_ENTRIES: 500,
+    BROWSER_IDLE_TIMEOUT: 60 * 1000 // close Chrome after a minute without browser fetches
+  };
+
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {Object} [options.htmlFetcher] - Cheap fetcher (defaults to EnhancedMetadataFetcher)
+   * @param {Object|null} [options.browserFetcher] - Headless fetcher (defaults to PuppeteerMetadataFetcher)
+   * @param {boolean} [options.enableBrowser] - Allow escalating to the browser (METADATA_BROWSER=off disables it)
+   * @param {Object} [options.supabase] - Supabase client (service role) persisting per-domain strategies
+   * @param {Object} [options.domainMemory] - DomainStrategyMemory instance
+   * @param {number} [options.cacheTtl] - Cache lifetime in ms
+   * @param {number} [options.maxCacheEntries] - URLs kept in the cache
+   * @param {number} [options.browserIdleTimeout] - Idle ms before the browser is closed
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.htmlFetcher = options.htmlFetcher || new EnhancedMetadataFetcher({ enableCaching: false });
+    this.enableBrowser = options.enableBrowser ?? process.env.METADATA_BROWSER !== 'off';
+    this.browserFetcher = this.enableBrowser
+      ? options.browserFetcher || new PuppeteerMetadataFetcher({
+        timeout: 30000,
+        waitForTimeout: 3000,
+        enableImages: true, // Enable images for logo and screenshot capture
+        enableCaching: false
+      })
+      : null;
+    this.domains = options.domainMemory || new DomainStrategyMemory(options.supabase || null, { logger: this.logger });
+    this.cacheTtl = options.cacheTtl ?? MetadataPipeline.DEFAULTS.CACHE_TTL;
+    this.maxCacheEntries = options.maxCacheEntries ?? MetadataPipeline.DEFAULTS.MAX_CACHE_ENTRIES;
+    this.browserIdleTimeout = options.browserIdleTimeout ?? MetadataPipeline.DEFAULTS.BROWSER_IDLE_TIMEOUT;
+
+    this.cache = new Map(); // url -> { metadata, expiresAt }
+    this.inFlight = new Map(); // url (+ conditional flag) -> Promise
+    this.activeBrowserFetches = 0;
+    this.browserIdleTimer = null;
+  }
+
+  /**
+   * Fetch metadata for a URL
+   * @param {string} url - URL
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.conditional=false] - Re-fetch (bypassing the cache) with the
+   *   validators from the last fetch; resolves { url, notModified: true } when unchanged
+   * @returns {Promise<Object>} Merged metadata with fetchMethod and provenance
+   */
+  async fetchMetadata(url, options = {}) {
+    this.htmlFetcher.validateUrl(url);
+    const conditional = Boolean(options.conditional);
+
+    if (!conditional) {
+      const cached = this.cache.get(url);
+      if (cached && cached.expiresAt > Date.now()) {
+        return { ...cached.metadata };
+      }
+    }
+
+    const key = conditional ? `conditional:${url}` : url;
+    if (!this.inFlight.has(key)) {
+      const request = this.fetchFresh(url, conditional)
+        .then(metadata => {
+          if (!metadata.notModified) {
+            this.setCached(url, metadata);
+          }
+          return metadata;
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, request);
+    }
+
+    return { ...(await this.inFlight.get(key)) };
+  }
+
+  /**
+   * Run the strategies for a URL, starting with the domain's preferred one
+   * Conditional re-fetches always start with HTML, since a 304 settles them.
+   * @param {string} url - URL
+   * @param {boolean} conditional - Send validators on the HTML fetch
+   * @returns {Promise<Object>} Merged metadata, or { url, notModified: true }
+   */
+  async fetchFresh(url, conditional) {
+    const domain = getStrategyDomain(url);
+    const preferred = conditional ? 'html' : await this.domains.choose(domain);
+    const order = (preferred === 'browser' ? ['browser', 'html'] : ['html', 'browser'])
+      .filter(strategy => strategy === 'html' || this.browserFetcher);
+
+    const results = [];
+    const errors = [];
+
+    for (const strategy of order) {
+      let metadata;
+      try {
+        metadata = await this.runStrategy(strategy, url, conditional);
+      } catch (error) {
+        // The browser would be blocked as well
+        if (isRobotsBlocked(error)) {
+          throw error;
+        }
+        errors.push(`${strategy}: ${error.message}`);
+        await this.domains.record(domain, strategy, false);
+        continue;
+      }
+
+      if (metadata.notModified) {
+        return metadata;
+      }
+
+      const assessment = assessMetadata(metadata);
+      results.push({ strategy, metadata });
+      await this.domains.record(domain, strategy, !assessment.thin);
+
+      if (!assessment.thin) {
+        break;
+      }
+
+      this.logger.info('Thin metadata result', {
+        url,
+        strategy,
+        missing: assessment.missing,
+        clientRendered: assessment.clientRendered
+      });
+    }
+
+    if (results.length === 0) {
+      throw new Error(`Failed to fetch metadata: ${errors.join('; ')}`);
+    }
+
+    return mergeMetadata(results);
+  }
+
+  /**
+   * Fetch with one strategy
+   * @param {string} strategy - 'html' or 'browser'
+   * @param {string} url - URL
+   * @param {boolean} conditional - Send validators (HTML only)
+   * @returns {Promise<Object>} Metadata from that strategy
+   */
+  async runStrategy(strategy, url, conditional) {
+    if (strategy === 'html') {
+      return this.htmlFetcher.fetchMetadata(url, { conditional });
+    }
+
+    clearTimeout(this.browserIdleTimer);
+    this.activeBrowserFetches++;
+    try {
+      return await this.browserFetcher.fetchMetadata(url);
+    } finally {
+      this.activeBrowserFetches--;
+      this.scheduleBrowserClose();
+    }
+  }
+
+  /**
+   * Close the browser once no browser fetch has run for browserIdleTimeout
+   */
+  scheduleBrowserClose() {
+    if (this.activeBrowserFetches > 0 || !this.browserFetcher?.close) {
+      return;
+    }
+
+    clearTimeout(this.browserIdleTimer);
+    this.browserIdleTimer = setTimeout(() => {
+      if (this.activeBrowserFetches === 0) {
+        this.browserFetcher.close().catch(error => {
+          this.logger.warn('Failed to close idle browser', { error: error.message });
+        });
+      }
+    }, this.browserIdleTimeout);
+    this.browserIdleTimer.unref?.();
+  }
+
+  setCached(url, metadata) {
+    this.cache.delete(url);
+    this.cache.set(url, { metadata, expiresAt: Date.now() + this.cacheTtl });
+    if (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop cached metadata, for one URL or all of them
+   * @param {string} [url] - URL
+   */
+  clearCache(url) {
+    if (url) {
+      this.cache.delete(url);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Close the browser (process shutdown). The pipeline is shared, so it has
+   * no per-request cleanup.
+   */
+  async close() {
+    clearTimeout(this.browserIdleTimer);
+    await this.browserFetcher?.close?.();
+  }
+}
+
+let sharedPipeline;
+
+/**
+ * Pipeline shared by every caller, so they use one cache and one browser
+ * Per-domain strategies are persisted when a service role key is configured.
+ * @param {Object} [options] - Pipeline options (used when first created)
+ * @returns {MetadataPipeline} Pipeline
+ */
+export function getMetadataPipeline(options = {}) {
+  if (!sharedPipeline) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+
+    sharedPipeline = new MetadataPipeline({
+      supabase: serviceRoleKey && supabaseUrl
+        ? createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } })
+        : null,
+      ...options
+    });
+  }
+  return sharedPipeline;
+}
+
+/**
+ * Create a pipeline
+ * @param {Object} options - Pipeline options
+ * @returns {MetadataPipeline} Pipeline
+ */
+export function createMetadataPipeline(options = {}) {
+  return new MetadataPipeline(options);
+}
@@ -3,6 +3,21 @@
  * Handles content moderation, approval workflows, and admin management
  */
 
+// Earlier submissions a submission looks like (see near-duplicate-service.js)
+const DUPLICATE_MATCH_COLUMNS = `
+  duplicate_matches:submission_duplicate_matches!submission_id (
+    match_type,
+    distance,
+    matched:submissions!matched_submission_id (
+      id,
+      url,
+      slug,
+      status,
+      rewritten_meta
+    )
+  )
+`;
+
 export class ModerationService {
   constructor(options = {}) {
     if (!options.supabase) {
@@ -11,6 +26,9 @@ export class ModerationService {
     
     this.supabase = options.supabase;
     this.aiService = options.aiService || null;
+    this.webhookService = options.webhookService || null;
+    this.sitemapPinger = options.sitemapPinger || null;
+    this.notificationService = options.notificationService || null;
     
     // Valid moderation decisions
     this.validDecisions = ['approved', 'rejected', 'escalated'];
@@ -102,6 +120,10 @@ export class ModerationService {
         console.error('Failed to record moderation review:', reviewError);
       }
       
+      this.notifyReviewWebhooks(submission, decision, notes);
+      this.notifyReviewEmail(submission, decision, notes);
+      this.notifySitemap(decision, [submissionId]);
+      
       return submission;
       
     } catch (error) {
@@ -109,6 +131,71 @@ export class ModerationService {
     }
   }
 
+  /**
+   * Emit submission.approved / submission.rejected webhook events
+   * Deliveries run in the background and never fail the review.
+   * @param {Object} submission - Reviewed submission
+   * @param {string} decision - Moderation decision
+   * @param {string} notes - Moderation notes
+   */
+  notifyReviewWebhooks(submission, decision, notes) {
+    if (!this.webhookService || !submission || !['approved', 'rejected'].includes(decision)) {
+      return;
+    }
+
+    const data = {
+      submission: {
+        id: submission.id,
+        url: submission.url,
+        slug: submission.slug || null,
+        title: submission.rewritten_meta?.title || submission.original_meta?.title || null,
+        status: submission.status
+      }
+    };
+
+    if (decision === 'rejected') {
+      data.notes = notes;
+    }
+
+    this.webhookService.emit(`submission.${decision}`, data, {
+      userId: submission.submitted_by || submission.user_id
+    });
+  }
+
+  /**
+   * Email the maker about an approval or rejection
+   * Sending runs in the background and never fails the review.
+   * @param {Object} submission - Reviewed submission
+   * @param {string} decision - Moderation decision
+   * @param {string} notes - Moderation notes
+   */
+  notifyReviewEmail(submission, decision, notes) {
+    if (!this.notificationService || !submission || !['approved', 'rejected'].includes(decision)) {
+      return;
+    }
+
+    this.notificationService.notify(`submission.${decision}`, submission.submitted_by || submission.user_id, {
+      title: submission.rewritten_meta?.title || submission.original_meta?.title || submission.url,
+      launchPath: `/launches/${submission.slug || submission.id}`,
+      launchDate: submission.launch_date || null,
+      notes: decision === 'rejected' ? notes : null
+    }, {
+      dedupeKey: `submission.${decision}:${submission.id}:${submission.reviewed_at}`
+    });
+  }
+
+  /**
+   * Tell search engines about newly approved launches
+   * Pings are batched and sent in the background.
+   * @param {string} decision - Moderation decision
+   * @param {Array<string>} submissionIds - Reviewed submission IDs
+   */
+  notifySitemap(decision, submissionIds) {
+    if (this.sitemapPinger && decision === 'approved') {
+      this.sitemapPinger.notify(submissionIds);
+    }
+  }
+
   /**
    * Get pending submissions for moderation
    * @param {number} offset - Pagination offset
@@ -125,7 +212,8 @@ export class ModerationService {
             id,
             email,
             username
-          )
+          ),
+          ${DUPLICATE_MATCH_COLUMNS}
         `, { count: 'exact' })
         .eq('status', 'pending_review')
         .order('submitted_for_review_at', { ascending: true })
@@ -373,6 +461,8 @@ export class ModerationService {
         console.error('Failed to record bulk moderation reviews:', reviewError);
       }
       
+      this.notifySitemap(decision, (submissions || []).map(submission => submission.id));
+      
       return {
         updated: submissions?.length || 0,
         submissions: submissions || []
@@ -445,7 +535,8 @@ export class ModerationService {
             id,
             email,
             username
-          )
+          ),
+          ${DUPLICATE_MATCH_COLUMNS}
         `, { count: 'exact' })
         .eq('status', status);
       
@@ -503,7 +594,8 @@ export class ModerationService {
             id,
             email,
             username
-          )
+          ),
+          ${DUPLICATE_MATCH_COLUMNS}
         `, { count: 'exact' })
         .in('status', ['pending_review', 'escalated']);
       
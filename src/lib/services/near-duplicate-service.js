@@ -0,0 +1,373 @@
+/**
+ * Near-Duplicate Service
+ * Catches the same product resubmitted with reworded copy or from another
+ * domain. Each submission gets locality-sensitive fingerprints when it is
+ * created: a 64-bit SimHash of the character trigrams of its title and
+ * description, and the difference hash ImageService computed for its main
+ * image. Similar content gives hashes that differ in a few bits.
+ *
+ * Lookups are sub-linear: hashes are also stored as bands in GIN indexed
+ * arrays (040_near_duplicates.sql) and only submissions sharing a band are
+ * compared.
+ * - Image hashes are cut into IMAGE_MAX_DISTANCE + 1 bands; hashes that close
+ *   always share one.
+ * - Text hashes are sampled: each of 24 bands holds 14 fixed random bit
+ *   positions. Hashes TEXT_MAX_DISTANCE bits apart share a band about 95% of
+ *   the time, unrelated copy (25-35 bits apart) less than 1% of the time.
+ * Matches are recorded in submission_duplicate_matches, which the moderation
+ * queue shows.
+ */
+
+import { createHash } from 'crypto';
+import { getServiceSupabase } from '../config/supabase-admin.js';
+
+// Largest distance (differing bits) still reported as a duplicate. Bands are
+// stored, so changing these or the band layouts means fingerprinting
+// submissions again.
+export const TEXT_MAX_DISTANCE = 8;
+export const IMAGE_MAX_DISTANCE = 4; // as ImageService reuses near-identical images
+
+// Fewer distinct words than this say too little to tell launches apart
+export const MIN_FINGERPRINT_TOKENS = 4;
+
+const HASH_BITS = 64;
+const TEXT_BANDS = 24;
+const TEXT_BAND_BITS = 14;
+
+/**
+ * Contiguous bands covering every bit
+ * @private
+ */
+function createContiguousLayout(count) {
+  const size = Math.floor(HASH_BITS / count);
+  const larger = HASH_BITS % count;
+  const layout = [];
+  let start = 0;
+  for (let index = 0; index < count; index++) {
+    const length = size + (index < larger ? 1 : 0);
+    layout.push(Array.from({ length }, (_, offset) => start + offset));
+    start += length;
+  }
+  return layout;
+}
+
+/**
+ * Bands of bit positions drawn from a seeded shuffle, the same in every process
+ * @private
+ */
+function createSampledLayout(count, bits, seed) {
+  // mulberry32
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let mixed = Math.imul(state ^ (state >>> 15), 1 | state);
+    mixed = (mixed + Math.imul(mixed ^ (mixed >>> 7), 61 | mixed)) ^ mixed;
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return Array.from({ length: count }, () => {
+    const positions = Array.from({ length: HASH_BITS }, (_, position) => position);
+    for (let index = positions.length - 1; index > 0; index--) {
+      const other = Math.floor(random() * (index + 1));
+      [positions[index], positions[other]] = [positions[other], positions[index]];
+    }
+    return positions.slice(0, bits).sort((a, b) => a - b);
+  });
+}
+
+// Bit positions each band holds
+export const TEXT_BAND_LAYOUT = createSampledLayout(TEXT_BANDS, TEXT_BAND_BITS, 20240);
+export const IMAGE_BAND_LAYOUT = createContiguousLayout(IMAGE_MAX_DISTANCE + 1);
+
+const STOPWORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from',
+  'get', 'has', 'have', 'how', 'in', 'into', 'is', 'it', 'its', 'more', 'most', 'my', 'new', 'no',
+  'not', 'of', 'on', 'one', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'them', 'this',
+  'to', 'up', 'us', 'was', 'we', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Strip common English suffixes so "builds", "building" and "builder" agree
+ * @private
+ */
+function stem(word) {
+  if (word.length <= 4) {
+    return word;
+  }
+  return word.replace(/ies$/, 'y').replace(/(?:ing|ers|er|ed|ly|es|s)$/, '');
+}
+
+/**
+ * Words that carry meaning: lowercase, without accents, stopwords or
+ * single characters, stemmed
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * 64-bit SimHash of weighted features
+ * @param {Map<string, number>} features - Feature -> weight
+ * @returns {string|null} Hex hash, or null without features
+ */
+export function computeSimHash(features) {
+  if (!features.size) {
+    return null;
+  }
+
+  const vector = new Array(HASH_BITS).fill(0);
+  for (const [feature, weight] of features) {
+    const hash = createHash('md5').update(feature).digest().readBigUInt64BE(0);
+    for (let bit = 0; bit < HASH_BITS; bit++) {
+      vector[bit] += (hash >> BigInt(bit)) & 1n ? weight : -weight;
+    }
+  }
+
+  let simhash = 0n;
+  for (let bit = 0; bit < HASH_BITS; bit++) {
+    if (vector[bit] > 0) {
+      simhash |= 1n << BigInt(bit);
+    }
+  }
+  return simhash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+/**
+ * SimHash of a page's title and description
+ * Features are the character trigrams of each word (shorter words whole), so
+ * reordered sentences and other forms of a word still share most of them.
+ * Title words count double.
+ * @param {Object} metadata - Metadata with title and description
+ * @returns {string|null} Hex hash, or null when there are too few words
+ */
+export function computeContentSimHash(metadata = {}) {
+  const words = new Set();
+  const features = new Map();
+  const add = (text, weight) => {
+    for (const token of tokenize(text)) {
+      words.add(token);
+      const grams = token.length <= 3
+        ? [token]
+        : Array.from({ length: token.length - 2 }, (_, index) => token.slice(index, index + 3));
+      for (const gram of grams) {
+        features.set(gram, (features.get(gram) || 0) + weight);
+      }
+    }
+  };
+  add(metadata.title, 2);
+  add(metadata.description, 1);
+
+  return words.size >= MIN_FINGERPRINT_TOKENS ? computeSimHash(features) : null;
+}
+
+/**
+ * Bands of a 64-bit hash for the index
+ * Band values are numbered so equal bits in different bands don't match:
+ * each is band index * 65536 + the band's bits (at most 16).
+ * @param {string} hash - Hex hash
+ * @param {Array<Array<number>>} layout - Bit positions (0 = most significant) per band
+ * @returns {Array<number>} Band values
+ */
+export function getHashBands(hash, layout) {
+  const bits = toBitString(hash);
+  return layout.map((positions, index) =>
+    index * 65536 + parseInt(positions.map(position => bits[position]).join(''), 2)
+  );
+}
+
+/**
+ * A hex hash as the bit string BIT(64) columns take
+ * @param {string} hash - Hex hash
+ * @returns {string} 64 zeros and ones
+ */
+export function toBitString(hash) {
+  return BigInt(`0x${hash}`).toString(2).padStart(HASH_BITS, '0');
+}
+
+/**
+ * Fingerprint columns for a submission
+ * @param {Object} metadata - Fetched metadata (title, description)
+ * @param {Object} [images] - submissions.images from ImageService (hashes of hosted images)
+ * @returns {Object} { content_simhash, content_bands, image_phash, image_bands }, null where unknown
+ */
+export function getSubmissionFingerprints(metadata = {}, images = null) {
+  const contentHash = computeContentSimHash(metadata || {});
+  const image = Array.isArray(images?.all) ? images.all.find(item => /^[0-9a-f]{16}$/.test(item?.phash || '')) : null;
+
+  return {
+    content_simhash: contentHash ? toBitString(contentHash) : null,
+    content_bands: contentHash ? getHashBands(contentHash, TEXT_BAND_LAYOUT) : null,
+    image_phash: image ? toBitString(image.phash) : null,
+    image_bands: image ? getHashBands(image.phash, IMAGE_BAND_LAYOUT) : null
+  };
+}
+
+/**
+ * A match as the services return it
+ * @private
+ */
+function toMatch(row) {
+  return {
+    submissionId: row.matched_submission_id || row.submission_id,
+    type: row.match_type,
+    distance: row.distance,
+    similarity: Math.round((1 - row.distance / HASH_BITS) * 1000) / 1000
+  };
+}
+
+/**
+ * NearDuplicateService class for fingerprint lookups and recorded matches
+ */
+export class NearDuplicateService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Submissions whose fingerprints are close to these
+   * Only submissions the client can read are searched.
+   * @param {Object} fingerprints - From getSubmissionFingerprints
+   * @param {Object} [options] - Options
+   * @param {string} [options.excludeId] - Submission to leave out (the one being checked)
+   * @param {number} [options.limit=10] - Maximum matches
+   * @returns {Promise<Array<Object>>} [{ submissionId, type, distance, similarity }], closest first
+   */
+  async findMatches(fingerprints, options = {}) {
+    if (!fingerprints.content_simhash && !fingerprints.image_phash) {
+      return [];
+    }
+
+    const { data, error } = await this.supabase.rpc('find_near_duplicate_submissions', {
+      p_content_simhash: fingerprints.content_simhash,
+      p_content_bands: fingerprints.content_bands,
+      p_image_phash: fingerprints.image_phash,
+      p_image_bands: fingerprints.image_bands,
+      p_max_text_distance: TEXT_MAX_DISTANCE,
+      p_max_image_distance: IMAGE_MAX_DISTANCE,
+      p_exclude: options.excludeId || null,
+      p_limit: options.limit || 10
+    });
+
+    if (error) {
+      throw new Error(`Failed to find near-duplicate submissions: ${error.message}`);
+    }
+
+    return (data || []).map(toMatch);
+  }
+
+  /**
+   * Record a stored submission's near-duplicates for moderators
+   * Runs in the database against the whole corpus, pending and rejected
+   * submissions included, so it needs a service-role client.
+   * @param {string} submissionId - Submission ID (fingerprints already stored)
+   * @returns {Promise<number>} Number of matches recorded
+   */
+  async recordMatches(submissionId) {
+    const { data, error } = await this.supabase.rpc('record_near_duplicates', {
+      p_submission_id: submissionId
+    });
+
+    if (error) {
+      throw new Error(`Failed to record near-duplicate submissions: ${error.message}`);
+    }
+
+    return data || 0;
+  }
+
+  /**
+   * Fingerprint submissions stored without fingerprints (created before
+   * 040_near_duplicates.sql), then record their matches
+   * @param {Object} [options] - Options
+   * @param {number} [options.batchSize=100] - Submissions read per query
+   * @returns {Promise<Object>} { processed, matched }
+   */
+  async backfill(options = {}) {
+    const batchSize = options.batchSize || 100;
+    const fingerprinted = [];
+    let lastId = null;
+
+    for (;;) {
+      let query = this.supabase
+        .from('submissions')
+        .select('id, original_meta, images')
+        .is('content_simhash', null)
+        .is('image_phash', null)
+        .order('id', { ascending: true })
+        .limit(batchSize);
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to read submissions: ${error.message}`);
+      }
+
+      for (const submission of data || []) {
+        const fingerprints = getSubmissionFingerprints(submission.original_meta, submission.images);
+        if (!fingerprints.content_simhash && !fingerprints.image_phash) {
+          continue;
+        }
+
+        const { error: updateError } = await this.supabase
+          .from('submissions')
+          .update(fingerprints)
+          .eq('id', submission.id);
+        if (updateError) {
+          this.logger.warn(`Failed to fingerprint submission ${submission.id}:`, updateError.message);
+          continue;
+        }
+        fingerprinted.push(submission.id);
+      }
+
+      if (!data || data.length < batchSize) {
+        break;
+      }
+      lastId = data[data.length - 1].id;
+    }
+
+    // Matches are recorded once everything is fingerprinted, so earlier
+    // submissions also find the later ones
+    let matched = 0;
+    for (const id of fingerprinted) {
+      const count = await this.recordMatches(id);
+      matched += count > 0 ? 1 : 0;
+    }
+
+    return { processed: fingerprinted.length, matched };
+  }
+}
+
+// Export service instance factory
+export function createNearDuplicateService(supabaseClient, options = {}) {
+  return new NearDuplicateService(supabaseClient, options);
+}
+
+let sharedService;
+
+/**
+ * Shared NearDuplicateService on the service-role client, for recording matches
+ * @returns {NearDuplicateService|null} Service, or null when SUPABASE_SERVICE_ROLE_KEY is not set
+ */
+export function getNearDuplicateService() {
+  if (sharedService === undefined) {
+    const supabase = getServiceSupabase();
+    sharedService = supabase ? new NearDuplicateService(supabase) : null;
+  }
+  return sharedService;
+}
+
+export default NearDuplicateService;
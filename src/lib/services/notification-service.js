@@ -0,0 +1,720 @@
+/**
+ * Notification Service
+ *
+ * Transactional email for moderation decisions, payment receipts, federation
+ * results, badge awards, penalties and appeal outcomes. Emails are rendered
+ * from the `emails` section of the locale files in the recipient's language,
+ * queued in email_outbox, sent through an email transport and retried with
+ * exponential backoff. Users opt out per category in notification_preferences;
+ * payment and account emails are always sent.
+ */
+
+import cron from 'node-cron';
+import { createClient } from '@supabase/supabase-js';
+import { createEmailTransport } from './email-transport.js';
+import { getMessage, translate } from '../i18n/messages.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, localizePath } from '../i18n/locales.js';
+
+/**
+ * Categories users can switch off (required categories cannot be)
+ */
+export const NOTIFICATION_CATEGORIES = {
+  moderation: { required: false, description: 'Approval and rejection of your submissions' },
+  federation: { required: false, description: 'Results of submitting to federated directories' },
+  badges: { required: false, description: 'Badges you earn' },
+  payments: { required: true, description: 'Payment receipts' },
+  account: { required: true, description: 'Penalties on your account and appeal outcomes' }
+};
+
+/**
+ * Supported events, their category and template in the `emails` messages
+ */
+export const NOTIFICATION_EVENTS = {
+  'submission.approved': { category: 'moderation', template: 'submissionApproved' },
+  'submission.rejected': { category: 'moderation', template: 'submissionRejected' },
+  'payment.receipt': { category: 'payments', template: 'paymentReceipt' },
+  'federation.results': { category: 'federation', template: 'federationResults' },
+  'badge.awarded': { category: 'badges', template: 'badgeAwarded' },
+  'penalty.applied': { category: 'account', template: 'penaltyApplied' },
+  'appeal.resolved': { category: 'account', template: 'appealResolved' }
+};
+
+const SITE_NAME = 'ADLP';
+const PREFERENCES_PATH = '/dashboard/settings';
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/**
+ * Create an error for invalid caller input (surfaced as HTTP 400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 400
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Escape text for HTML email bodies
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a date (or YYYY-MM-DD launch day) for a locale
+ * @param {string|Date} value - Date
+ * @param {string} locale - Locale code
+ * @returns {string} Long date, e.g. "March 13, 2024"
+ */
+function formatDate(value, locale) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * Format an amount in minor units (cents) as currency for a locale
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO currency code
+ * @param {string} locale - Locale code
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, currency, locale) {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: (currency || 'usd').toUpperCase()
+  }).format((amount || 0) / 100);
+}
+
+/**
+ * Normalize a locale code to a supported language, or null
+ * @param {string} locale - Locale code, e.g. 'fr-CA'
+ * @returns {string|null} Supported locale
+ */
+function normalizeLocale(locale) {
+  const language = typeof locale === 'string' ? locale.toLowerCase().split('-')[0] : null;
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * NotificationService class for queueing and sending transactional email
+ */
+export class NotificationService {
+  /**
+   * @param {Object} supabaseClient - Supabase client with the service role
+   *   (reads auth users and the outbox)
+   * @param {Object} options - Service options
+   * @param {Object} [options.transport] - Email transport; without one emails stay queued
+   * @param {string} [options.from] - From address
+   * @param {string} [options.siteUrl] - Public site origin for links; links are left out without it
+   * @param {string} [options.siteName] - Site name used in templates
+   * @param {number} [options.maxAttempts=5] - Send attempts before an email fails
+   * @param {number} [options.retryBaseDelay=60000] - First retry delay in milliseconds
+   * @param {number} [options.maxRetryDelay] - Longest retry delay in milliseconds
+   * @param {Object} [options.logger] - Logger (defaults to console)
+   */
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.transport = options.transport || null;
+    this.from = options.from || `${options.siteName || SITE_NAME} <no-reply@localhost>`;
+    this.siteUrl = (options.siteUrl || '').replace(/\/+$/, '');
+    this.siteName = options.siteName || SITE_NAME;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseDelay = options.retryBaseDelay || 60000; // 1 minute
+    this.maxRetryDelay = options.maxRetryDelay || 6 * 60 * 60 * 1000; // 6 hours
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Queue and send an email for an event
+   * Never throws, so callers can fire and forget.
+   * @param {string} eventType - One of NOTIFICATION_EVENTS
+   * @param {string} userId - Recipient user ID
+   * @param {Object} [data] - Template data for the event
+   * @param {Object} [options] - Options
+   * @param {string} [options.dedupeKey] - Only one email is ever queued per key
+   * @returns {Promise<Object|null>} Outbox row, or null when nothing was queued
+   */
+  async notify(eventType, userId, data = {}, options = {}) {
+    try {
+      return await this.queue(eventType, userId, data, options);
+    } catch (error) {
+      this.logger.error(`Failed to queue ${eventType} email`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Render an email into the outbox and attempt to send it
+   * @param {string} eventType - One of NOTIFICATION_EVENTS
+   * @param {string} userId - Recipient user ID
+   * @param {Object} [data] - Template data for the event
+   * @param {Object} [options] - Options
+   * @param {string} [options.dedupeKey] - Only one email is ever queued per key
+   * @returns {Promise<Object|null>} Outbox row, or null when nothing was queued
+   */
+  async queue(eventType, userId, data = {}, options = {}) {
+    const event = NOTIFICATION_EVENTS[eventType];
+    if (!event) {
+      throw new Error(`Unknown notification event: ${eventType}`);
+    }
+
+    if (!userId) {
+      return null;
+    }
+
+    const preferences = await this.getPreferences(userId);
+    if (!this.isEnabled(preferences, eventType)) {
+      return null;
+    }
+
+    const recipient = await this._getRecipient(userId);
+    if (!recipient?.email) {
+      return null;
+    }
+
+    const locale = preferences.locale || recipient.locale || DEFAULT_LOCALE;
+    const message = this.render(eventType, locale, { name: recipient.name, ...data });
+
+    const { data: row, error } = await this.supabase
+      .from('email_outbox')
+      .insert({
+        user_id: userId,
+        event_type: eventType,
+        category: event.category,
+        recipient: recipient.email,
+        locale,
+        subject: message.subject,
+        text_body: message.text,
+        html_body: message.html,
+        dedupe_key: options.dedupeKey || null,
+        max_attempts: this.maxAttempts,
+        next_attempt_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Another code path already queued this event
+      if (error.code === '23505') {
+        return null;
+      }
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return this.transport ? this.deliver(row) : row;
+  }
+
+  /**
+   * Whether a user gets emails for an event
+   * @param {Object} preferences - Preferences from getPreferences
+   * @param {string} eventType - One of NOTIFICATION_EVENTS
+   * @returns {boolean} True when the email should be sent
+   */
+  isEnabled(preferences, eventType) {
+    const category = NOTIFICATION_EVENTS[eventType].category;
+    if (NOTIFICATION_CATEGORIES[category].required) {
+      return true;
+    }
+    return preferences.email_enabled !== false && preferences.categories?.[category] !== false;
+  }
+
+  /**
+   * Render an event's email in a locale, falling back to English for missing
+   * messages
+   * @param {string} eventType - One of NOTIFICATION_EVENTS
+   * @param {string} locale - Locale code
+   * @param {Object} [data] - Template data
+   * @returns {Object} { subject, text, html }
+   */
+  render(eventType, locale, data = {}) {
+    const event = NOTIFICATION_EVENTS[eventType];
+    if (!event) {
+      throw new Error(`Unknown notification event: ${eventType}`);
+    }
+
+    const language = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const t = (key, values = {}) =>
+      translate(language, `emails.${key}`, { site: this.siteName, ...data, ...values });
+    const content = this._buildContent(event.template, language, data, t);
+
+    const greeting = data.name ? t('greeting') : null;
+    const actionUrl = content.action ? this._url(content.action.path, language) : null;
+    const preferencesUrl = this._url(PREFERENCES_PATH, language);
+    const footer = [t('footer'), preferencesUrl && t('managePreferences', { url: preferencesUrl })].filter(Boolean);
+
+    const text = [
+      greeting,
+      ...content.paragraphs,
+      actionUrl && `${content.action.label}: ${actionUrl}`,
+      t('signoff'),
+      '--',
+      ...footer
+    ].filter(Boolean).join('\n\n');
+
+    const html = [
+      greeting && `<p>${escapeHtml(greeting)}</p>`,
+      ...content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`),
+      actionUrl && `<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(content.action.label)}</a></p>`,
+      `<p>${escapeHtml(t('signoff'))}</p>`,
+      `<hr><p style="color:#6b7280;font-size:12px">${footer.map(escapeHtml).join('<br>')}</p>`
+    ].filter(Boolean).join('\n');
+
+    return { subject: t(`${event.template}.subject`), text, html };
+  }
+
+  /**
+   * Send a queued email, claiming it first so concurrent workers never send
+   * it twice
+   * @param {Object} row - email_outbox row
+   * @returns {Promise<Object|null>} Updated row, or null when another worker claimed it
+   */
+  async deliver(row) {
+    if (!this.transport) {
+      throw new Error('Email transport is not configured');
+    }
+
+    const { data: claimed, error: claimError } = await this.supabase
+      .from('email_outbox')
+      .update({ status: 'sending' })
+      .eq('id', row.id)
+      .in('status', ['pending', 'retrying'])
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      throw new Error(`Database error: ${claimError.message}`);
+    }
+
+    if (!claimed) {
+      return null;
+    }
+
+    const attemptCount = (claimed.attempt_count || 0) + 1;
+    let update;
+
+    try {
+      const info = await this.transport.sendMail({
+        from: this.from,
+        to: claimed.recipient,
+        subject: claimed.subject,
+        text: claimed.text_body,
+        html: claimed.html_body || undefined
+      });
+
+      update = {
+        status: 'sent',
+        attempt_count: attemptCount,
+        message_id: info?.messageId || null,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        next_attempt_at: null
+      };
+    } catch (error) {
+      const exhausted = attemptCount >= (claimed.max_attempts || this.maxAttempts);
+      update = {
+        status: exhausted ? 'failed' : 'retrying',
+        attempt_count: attemptCount,
+        last_error: error.message,
+        next_attempt_at: exhausted
+          ? null
+          : new Date(Date.now() + this.getRetryDelay(attemptCount)).toISOString()
+      };
+    }
+
+    const { data: updated, error } = await this.supabase
+      .from('email_outbox')
+      .update(update)
+      .eq('id', claimed.id)
+      .select()
+      .single();
+
+    if (error) {
+      this.logger.error('Failed to record email outcome', { error: error.message });
+    }
+
+    return updated || { ...claimed, ...update };
+  }
+
+  /**
+   * Send every queued email that is due (for the outbox worker)
+   * Emails left in 'sending' by a crashed process are retried as well.
+   * @param {number} [limit=50] - Maximum emails to process
+   * @returns {Promise<Object>} { processed, sent, failed }
+   */
+  async processOutbox(limit = 50) {
+    const now = new Date();
+
+    const { error: staleError } = await this.supabase
+      .from('email_outbox')
+      .update({ status: 'retrying' })
+      .eq('status', 'sending')
+      .lt('updated_at', new Date(now.getTime() - STALE_SENDING_MS).toISOString());
+
+    if (staleError) {
+      throw new Error(`Database error: ${staleError.message}`);
+    }
+
+    const { data: rows, error } = await this.supabase
+      .from('email_outbox')
+      .select('*')
+      .in('status', ['pending', 'retrying'])
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    const summary = { processed: 0, sent: 0, failed: 0 };
+
+    for (const row of rows || []) {
+      const result = await this.deliver(row);
+      if (!result) {
+        continue;
+      }
+
+      summary.processed++;
+      if (result.status === 'sent') {
+        summary.sent++;
+      } else if (result.status === 'failed') {
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Exponential backoff delay for the next attempt
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attemptCount) {
+    return Math.min(this.retryBaseDelay * Math.pow(2, Math.max(attemptCount - 1, 0)), this.maxRetryDelay);
+  }
+
+  /**
+   * Get a user's notification preferences, with defaults when unset
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { email_enabled, categories, locale }
+   */
+  async getPreferences(userId) {
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .select('email_enabled, categories, locale')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return {
+      email_enabled: data?.email_enabled ?? true,
+      categories: data?.categories || {},
+      locale: data?.locale || null
+    };
+  }
+
+  /**
+   * Update a user's notification preferences
+   * @param {string} userId - User ID
+   * @param {Object} updates - Preference changes
+   * @param {boolean} [updates.email_enabled] - Master switch for optional emails
+   * @param {Object} [updates.categories] - Category switches, e.g. { badges: false }
+   * @param {string|null} [updates.locale] - Email language, null for the account language
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(userId, updates = {}) {
+    if (!userId) {
+      throw validationError('User ID is required');
+    }
+
+    const current = await this.getPreferences(userId);
+    const row = { user_id: userId, ...current };
+
+    if (updates.email_enabled !== undefined) {
+      if (typeof updates.email_enabled !== 'boolean') {
+        throw validationError('email_enabled must be a boolean');
+      }
+      row.email_enabled = updates.email_enabled;
+    }
+
+    if (updates.categories !== undefined) {
+      if (!updates.categories || typeof updates.categories !== 'object' || Array.isArray(updates.categories)) {
+        throw validationError('categories must be an object');
+      }
+      const categories = { ...current.categories };
+      for (const [category, enabled] of Object.entries(updates.categories)) {
+        if (!NOTIFICATION_CATEGORIES[category] || NOTIFICATION_CATEGORIES[category].required) {
+          throw validationError(`Unknown or required notification category: ${category}`);
+        }
+        if (typeof enabled !== 'boolean') {
+          throw validationError(`Category ${category} must be a boolean`);
+        }
+        categories[category] = enabled;
+      }
+      row.categories = categories;
+    }
+
+    if (updates.locale !== undefined) {
+      if (updates.locale !== null && !SUPPORTED_LOCALES.includes(updates.locale)) {
+        throw validationError(`Unsupported locale: ${updates.locale}`);
+      }
+      row.locale = updates.locale;
+    }
+
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .upsert(row, { onConflict: 'user_id' })
+      .select('email_enabled, categories, locale')
+      .single();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Paragraphs and call to action for a template
+   * @private
+   */
+  _buildContent(template, locale, data, t) {
+    switch (template) {
+      case 'submissionApproved':
+        return {
+          paragraphs: [
+            t('submissionApproved.body'),
+            data.launchDate
+              ? t('submissionApproved.scheduled', { date: formatDate(data.launchDate, locale) })
+              : t('submissionApproved.live')
+          ],
+          action: data.launchPath && { label: t('submissionApproved.action'), path: data.launchPath }
+        };
+      case 'submissionRejected':
+        return {
+          paragraphs: [t('submissionRejected.body'), data.notes && t('submissionRejected.notes')].filter(Boolean),
+          action: { label: t('submissionRejected.action'), path: '/submit' }
+        };
+      case 'paymentReceipt':
+        return {
+          paragraphs: [
+            t('paymentReceipt.body'),
+            [
+              t('paymentReceipt.amount', { amount: formatAmount(data.amount, data.currency, locale) }),
+              data.description && t('paymentReceipt.description'),
+              data.reference && t('paymentReceipt.reference'),
+              t('paymentReceipt.date', { date: formatDate(data.paidAt || new Date(), locale) })
+            ].filter(Boolean).join('\n')
+          ]
+        };
+      case 'federationResults': {
+        const results = data.results || [];
+        const lines = results.map(result => result.success
+          ? t('federationResults.submitted', { directory: result.directory })
+          : t('federationResults.failed', { directory: result.directory, error: result.error || '?' }));
+        return {
+          paragraphs: [
+            t('federationResults.body'),
+            lines.join('\n'),
+            results.some(result => !result.success) && t('federationResults.retry')
+          ].filter(Boolean),
+          action: { label: t('federationResults.action'), path: '/dashboard' }
+        };
+      }
+      case 'badgeAwarded':
+        return {
+          paragraphs: [t('badgeAwarded.body', { badge: data.badge || data.badgeSlug })],
+          action: data.badgeSlug && { label: t('badgeAwarded.action'), path: `/badges/${data.badgeSlug}` }
+        };
+      case 'penaltyApplied': {
+        const penalty = this._penaltyName(data.penaltyType, locale);
+        return {
+          paragraphs: [
+            t('penaltyApplied.body', { penalty }),
+            data.reason && t('penaltyApplied.reason'),
+            data.expiresAt && t('penaltyApplied.expires', { date: formatDate(data.expiresAt, locale) }),
+            t('penaltyApplied.appeal')
+          ].filter(Boolean)
+        };
+      }
+      case 'appealResolved': {
+        const penalty = this._penaltyName(data.penaltyType, locale);
+        return {
+          paragraphs: [
+            t(data.decision === 'overturned' ? 'appealResolved.overturned' : 'appealResolved.upheld', { penalty }),
+            data.notes && t('appealResolved.notes')
+          ].filter(Boolean)
+        };
+      }
+      default:
+        throw new Error(`Unknown email template: ${template}`);
+    }
+  }
+
+  /**
+   * Localized name of a penalty type
+   * @private
+   */
+  _penaltyName(penaltyType, locale) {
+    const name = getMessage(locale, `emails.penaltyTypes.${penaltyType}`);
+    return typeof name === 'string' ? name : String(penaltyType || '');
+  }
+
+  /**
+   * Absolute, localized URL for a path, or null without a site URL
+   * @private
+   */
+  _url(path, locale) {
+    return this.siteUrl ? `${this.siteUrl}${localizePath(path, locale)}` : null;
+  }
+
+  /**
+   * Email address, name and language of a user from Supabase Auth
+   * @private
+   */
+  async _getRecipient(userId) {
+    const { data, error } = await this.supabase.auth.admin.getUserById(userId);
+
+    if (error) {
+      throw new Error(`Failed to load recipient: ${error.message}`);
+    }
+
+    const user = data?.user;
+    if (!user?.email) {
+      return null;
+    }
+
+    const metadata = user.user_metadata || {};
+    return {
+      email: user.email,
+      name: metadata.full_name || metadata.name || metadata.username || user.email.split('@')[0],
+      locale: normalizeLocale(metadata.locale)
+    };
+  }
+}
+
+// Export service instance factory
+export function createNotificationService(supabaseClient, options = {}) {
+  return new NotificationService(supabaseClient, options);
+}
+
+let sharedService;
+
+/**
+ * Shared NotificationService configured from the environment
+ * (SUPABASE_SERVICE_ROLE_KEY, EMAIL_TRANSPORT, EMAIL_FROM, PUBLIC_SITE_URL).
+ * Reading recipients needs the service role, so there is no service without it.
+ * @param {Object} [options] - Service options (used when first created)
+ * @returns {NotificationService|null} Service, or null when email is not configured
+ */
+export function getNotificationService(options = {}) {
+  if (sharedService === undefined) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+    const transport = createEmailTransport();
+
+    sharedService = serviceRoleKey && supabaseUrl && transport
+      ? new NotificationService(
+        createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } }),
+        {
+          transport,
+          from: process.env.EMAIL_FROM,
+          siteUrl: process.env.PUBLIC_SITE_URL || process.env.FEDERATION_INSTANCE_URL,
+          ...options
+        }
+      )
+      : null;
+  }
+  return sharedService;
+}
+
+/**
+ * Cron job sending queued emails that are due: retries, and emails queued
+ * while the transport was unavailable
+ */
+export class NotificationOutboxWorker {
+  static DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+  /**
+   * @param {NotificationService} notificationService - Service with a transport
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Worker options
+   * @param {string} [options.schedule] - Cron expression
+   * @param {Object} [options.scheduler] - Cron implementation (defaults to node-cron)
+   */
+  constructor(notificationService, logger, options = {}) {
+    if (!notificationService) {
+      throw new Error('Notification service is required');
+    }
+    if (!logger) {
+      throw new Error('Logger is required');
+    }
+
+    this.notificationService = notificationService;
+    this.logger = logger;
+    this.schedule = options.schedule || NotificationOutboxWorker.DEFAULT_SCHEDULE;
+    this.scheduler = options.scheduler || cron;
+    this.task = null;
+  }
+
+  /**
+   * Start the cron schedule
+   * @returns {NotificationOutboxWorker} This worker
+   */
+  start() {
+    if (!this.task) {
+      this.task = this.scheduler.schedule(this.schedule, () => this.tick(), {
+        name: 'email-outbox',
+        noOverlap: true
+      });
+      this.logger.info('Email outbox worker started', { schedule: this.schedule });
+    }
+    return this;
+  }
+
+  /**
+   * Stop the cron schedule
+   */
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Send due emails, logging instead of throwing
+   * @returns {Promise<Object|null>} Summary, or null on error
+   */
+  async tick() {
+    try {
+      const summary = await this.notificationService.processOutbox();
+      if (summary.processed > 0) {
+        this.logger.info('Email outbox processed', summary);
+      }
+      return summary;
+    } catch (error) {
+      this.logger.error('Email outbox worker failed', { error: error.message });
+      return null;
+    }
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,717 @@
+/**
+ * Open Badges Service
+ *
+ * Exports badge awards (user_badges) in the Open Badges formats other
+ * platforms, LinkedIn and credential wallets understand:
+ * - Open Badges 2.0 hosted verification: an issuer profile, one BadgeClass
+ *   per badge definition and one Assertion per award, all served as JSON-LD
+ *   under /openbadges. Revoked awards answer 410 with revoked: true.
+ * - Open Badges 3.0: each award as an OpenBadgeCredential (a W3C verifiable
+ *   credential) with a DataIntegrityProof (eddsa-jcs-2022) made with this
+ *   instance's Ed25519 signing key. The key is published as a Multikey in the
+ *   3.0 issuer profile.
+ * - Baked images: the badge image as PNG or SVG with the 2.0 assertion URL or
+ *   the 3.0 credential embedded, as the Open Badges baking specs describe.
+ *
+ * Recipients are identified by a salted hash of their email address, read
+ * with the service role, so the address itself is never published.
+ */
+
+import { createHash, sign } from 'crypto';
+import sharp from 'sharp';
+import { createClient } from '@supabase/supabase-js';
+import { canonicalJson, getInstanceKeyStore, normalizeInstanceUrl } from './instance-key-service.js';
+import { SITE_NAME } from './launch-page-service.js';
+import { escapeXml } from './feed-service.js';
+
+export const OB2_CONTEXT = 'https://w3id.org/openbadges/v2';
+export const OB3_CONTEXTS = [
+  'https://www.w3.org/ns/credentials/v2',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+
+const MULTIKEY_CONTEXT = 'https://w3id.org/security/multikey/v1';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IMAGE_SIZE = 256;
+
+const LEVEL_COLORS = {
+  bronze: '#B45309',
+  silver: '#9CA3AF',
+  gold: '#F59E0B',
+  platinum: '#8B5CF6',
+  diamond: '#3B82F6'
+};
+
+const AWARD_COLUMNS = `
+  id,
+  user_id,
+  status,
+  is_visible,
+  earned_at,
+  revoked_at,
+  revocation_reason,
+  badge_definitions (
+    slug,
+    name,
+    description,
+    category,
+    level,
+    color_hex,
+    is_active,
+    is_public
+  )
+`;
+
+const DEFINITION_COLUMNS = 'slug, name, description, category, level, color_hex, is_active, is_public';
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function openBadgesError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sha256 = value => createHash('sha256').update(value).digest();
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode bytes as base58btc (the Bitcoin alphabet)
+ * @param {Buffer} bytes - Bytes
+ * @returns {string} base58 text
+ */
+export function encodeBase58(bytes) {
+  let value = BigInt(`0x${bytes.toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) {
+      break;
+    }
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
+
+/**
+ * Multibase (base58btc) Multikey encoding of an Ed25519 public key
+ * @param {string} encodedPublicKey - base64url raw public key
+ * @returns {string} publicKeyMultibase, starting with z6Mk
+ */
+export function toPublicKeyMultibase(encodedPublicKey) {
+  // 0xed01 is the multicodec prefix for Ed25519 public keys
+  return `z${encodeBase58(Buffer.concat([Buffer.from([0xed, 0x01]), Buffer.from(encodedPublicKey, 'base64url')]))}`;
+}
+
+/**
+ * Salted hash identifying a recipient by email address
+ * @param {string} email - Email address
+ * @param {string} salt - Salt
+ * @returns {string} sha256$<hex>
+ */
+export function hashIdentity(email, salt) {
+  return `sha256$${createHash('sha256').update(`${email.trim().toLowerCase()}${salt}`).digest('hex')}`;
+}
+
+/**
+ * Bytes an eddsa-jcs-2022 proof signs: the hash of the proof configuration
+ * followed by the hash of the credential, both JCS-canonicalized
+ * @param {Object} credential - Credential without its proof
+ * @param {Object} proofOptions - Proof without proofValue
+ * @returns {Buffer} Data to sign
+ */
+export function getProofSigningInput(credential, proofOptions) {
+  const proofConfig = { ...proofOptions, '@context': credential['@context'] };
+  return Buffer.concat([sha256(canonicalJson(proofConfig)), sha256(canonicalJson(credential))]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a PNG chunk's type and data
+ * @param {Buffer} bytes - Bytes
+ * @returns {number} CRC
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Bake text into a PNG as an uncompressed iTXt chunk before IEND
+ * @param {Buffer} png - PNG image
+ * @param {string} keyword - openbadges (2.0) or openbadgecredential (3.0)
+ * @param {string} text - Assertion URL or credential JSON
+ * @returns {Buffer} Baked PNG
+ */
+export function bakePng(png, keyword, text) {
+  const iend = png.lastIndexOf(Buffer.from('IEND', 'latin1')) - 4;
+  if (iend < 8) {
+    throw new Error('Not a PNG image');
+  }
+
+  // keyword, null, compression flag and method, empty language tag and translated keyword
+  const data = Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(text, 'utf8')
+  ]);
+  const typeAndData = Buffer.concat([Buffer.from('iTXt', 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([png.subarray(0, iend), length, typeAndData, crc, png.subarray(iend)]);
+}
+
+/**
+ * Read text baked into a PNG's iTXt chunk
+ * @param {Buffer} png - PNG image
+ * @param {string} keyword - Chunk keyword
+ * @returns {string|null} Baked text
+ */
+export function readBakedPng(png, keyword) {
+  let offset = 8;
+  while (offset + 8 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    if (type === 'iTXt' && data.toString('latin1', 0, keyword.length + 1) === `${keyword}\0`) {
+      // Skip the compression flag and method, then the language tag and translated keyword
+      let position = keyword.length + 3;
+      position = data.indexOf(0, position) + 1;
+      position = data.indexOf(0, position) + 1;
+      return data.toString('utf8', position);
+    }
+    offset += length + 12;
+  }
+  return null;
+}
+
+/**
+ * Bake an Open Badges 2.0 assertion URL or a 3.0 credential into an SVG
+ * @param {string} svg - SVG image
+ * @param {Object} baked - { assertionUrl } for 2.0 or { credential } for 3.0
+ * @returns {string} Baked SVG
+ */
+export function bakeSvg(svg, baked) {
+  const element = baked.credential
+    ? `<openbadges:credential><![CDATA[${JSON.stringify(baked.credential).replace(/]]>/g, ']]]]><![CDATA[>')}]]></openbadges:credential>`
+    : `<openbadges:assertion verify="${escapeXml(baked.assertionUrl)}"></openbadges:assertion>`;
+  const namespace = baked.credential ? 'https://purl.imsglobal.org/ob/v3p0' : 'http://openbadges.org';
+
+  return svg.replace(/<svg\b([^>]*)>/, `<svg xmlns:openbadges="${namespace}"$1>\n  ${element}`);
+}
+
+/**
+ * The image for a badge definition: a medallion in the badge's color,
+ * ringed in its level's color
+ * @param {Object} definition - badge_definitions row
+ * @returns {string} SVG document
+ */
+export function renderBadgeImage(definition) {
+  const ring = LEVEL_COLORS[definition.level] || LEVEL_COLORS.bronze;
+  const color = /^#[0-9a-f]{6}$/i.test(definition.color_hex || '') ? definition.color_hex : '#6B7280';
+  const initials = String(definition.name || '?')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${IMAGE_SIZE}" height="${IMAGE_SIZE}" viewBox="0 0 256 256" role="img" aria-label="${escapeXml(definition.name)}">
+  <title>${escapeXml(definition.name)}</title>
+  <circle cx="128" cy="128" r="124" fill="${ring}"/>
+  <circle cx="128" cy="128" r="104" fill="${color}"/>
+  <text x="128" y="152" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="72" font-weight="700" fill="#FFFFFF">${escapeXml(initials)}</text>
+  <text x="128" y="200" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="14" font-weight="700" letter-spacing="3" fill="#FFFFFF">${escapeXml(String(definition.level || 'bronze').toUpperCase())}</text>
+</svg>`;
+}
+
+/**
+ * LinkedIn "Add license or certification" link for an award
+ * @param {Object} award - Award with badge_definitions
+ * @param {Object} options - { issuerName, credentialUrl }
+ * @returns {string} LinkedIn URL
+ */
+export function getLinkedInAddUrl(award, options) {
+  const earned = new Date(award.earned_at);
+  const params = new URLSearchParams({
+    startTask: 'CERTIFICATION_NAME',
+    name: award.badge_definitions.name,
+    organizationName: options.issuerName,
+    issueYear: String(earned.getUTCFullYear()),
+    issueMonth: String(earned.getUTCMonth() + 1),
+    certUrl: options.credentialUrl,
+    certId: award.id
+  });
+  return `https://www.linkedin.com/profile/add?${params}`;
+}
+
+/**
+ * OpenBadgesService class for exporting badge awards as Open Badges
+ */
+export class OpenBadgesService {
+  /**
+   * @param {Object} supabaseClient - Service-role client (reads recipients' email addresses)
+   * @param {Object} [options] - Service options
+   * @param {InstanceKeyStore} [options.keyStore] - Signs 3.0 credentials
+   * @param {string} [options.baseUrl] - Issuer URL (defaults to the key store's instance URL, then the request origin)
+   */
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.keyStore = options.keyStore || getInstanceKeyStore();
+    this.baseUrl = options.baseUrl || this.keyStore.instanceUrl || null;
+  }
+
+  /**
+   * Issuer URL: the configured instance URL, else the request's origin
+   * @param {string} origin - Request origin
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl(origin) {
+    return normalizeInstanceUrl(this.baseUrl || origin);
+  }
+
+  /**
+   * URLs of an award's exports
+   * @param {string} userBadgeId - user_badges ID
+   * @param {string} origin - Request origin
+   * @returns {Object} { assertion, credential, images: { ob2: { png, svg }, ob3: { png, svg } } }
+   */
+  getAwardUrls(userBadgeId, origin) {
+    const base = this.getBaseUrl(origin);
+    const assertion = `${base}/openbadges/assertions/${userBadgeId}`;
+    const credential = `${base}/openbadges/credentials/${userBadgeId}`;
+    return {
+      assertion,
+      credential,
+      images: {
+        ob2: { png: `${assertion}/image.png`, svg: `${assertion}/image.svg` },
+        ob3: { png: `${credential}/image.png`, svg: `${credential}/image.svg` }
+      }
+    };
+  }
+
+  /**
+   * The instance's name for issuer profiles
+   * @returns {Promise<string>} Name
+   */
+  async getIssuerName() {
+    const { data, error } = await this.supabase
+      .from('platform_settings')
+      .select('platform_name')
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Failed to fetch platform name:', error.message);
+    }
+
+    return data?.platform_name || SITE_NAME;
+  }
+
+  /**
+   * Open Badges 2.0 issuer profile
+   * @param {string} origin - Request origin
+   * @returns {Promise<Object>} Issuer
+   */
+  async getIssuerProfile(origin) {
+    const base = this.getBaseUrl(origin);
+    return {
+      '@context': OB2_CONTEXT,
+      type: 'Issuer',
+      id: `${base}/openbadges/issuer`,
+      name: await this.getIssuerName(),
+      url: base
+    };
+  }
+
+  /**
+   * Open Badges 3.0 issuer profile, publishing the key credentials are signed with
+   * @param {string} origin - Request origin
+   * @returns {Promise<Object>} Profile
+   */
+  async getCredentialIssuerProfile(origin) {
+    const base = this.getBaseUrl(origin);
+    const id = `${base}/openbadges/v3/issuer`;
+    const { encodedPublicKey, keyId } = this.keyStore.getKeys();
+    const verificationMethod = `${id}#key-${keyId}`;
+
+    return {
+      '@context': [...OB3_CONTEXTS, MULTIKEY_CONTEXT],
+      type: ['Profile'],
+      id,
+      name: await this.getIssuerName(),
+      url: base,
+      verificationMethod: [{
+        id: verificationMethod,
+        type: 'Multikey',
+        controller: id,
+        publicKeyMultibase: toPublicKeyMultibase(encodedPublicKey)
+      }],
+      assertionMethod: [verificationMethod]
+    };
+  }
+
+  /**
+   * Open Badges 2.0 BadgeClass for a badge definition
+   * @param {string} slug - Badge slug
+   * @param {string} origin - Request origin
+   * @returns {Promise<Object>} BadgeClass
+   */
+  async getBadgeClass(slug, origin) {
+    const definition = await this.getDefinition(slug);
+    const base = this.getBaseUrl(origin);
+
+    return {
+      '@context': OB2_CONTEXT,
+      type: 'BadgeClass',
+      id: `${base}/openbadges/badges/${definition.slug}`,
+      name: definition.name,
+      description: definition.description,
+      image: `${base}/openbadges/badges/${definition.slug}/image.png`,
+      criteria: { id: `${base}/badges/${definition.slug}`, narrative: definition.description },
+      issuer: `${base}/openbadges/issuer`,
+      tags: [definition.category, definition.level].filter(Boolean)
+    };
+  }
+
+  /**
+   * A public, active badge definition
+   * @param {string} slug - Badge slug
+   * @returns {Promise<Object>} badge_definitions row
+   */
+  async getDefinition(slug) {
+    const { data, error } = await this.supabase
+      .from('badge_definitions')
+      .select(DEFINITION_COLUMNS)
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch badge definition: ${error.message}`);
+    }
+    if (!data || !data.is_active || data.is_public === false) {
+      throw openBadgesError(404, 'Badge not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Open Badges 2.0 hosted assertion for an award
+   * Revoked awards come back as { revoked: true, revocationReason }, which
+   * the route serves with 410 Gone.
+   * @param {string} userBadgeId - user_badges ID
+   * @param {string} origin - Request origin
+   * @returns {Promise<Object>} Assertion
+   */
+  async getAssertion(userBadgeId, origin) {
+    const award = await this.getAward(userBadgeId);
+    const base = this.getBaseUrl(origin);
+    const urls = this.getAwardUrls(award.id, origin);
+
+    if (award.status === 'revoked') {
+      return {
+        '@context': OB2_CONTEXT,
+        type: 'Assertion',
+        id: urls.assertion,
+        revoked: true,
+        revocationReason: award.revocation_reason || 'Revoked by the issuer'
+      };
+    }
+
+    const salt = this.getSalt(award);
+    return {
+      '@context': OB2_CONTEXT,
+      type: 'Assertion',
+      id: urls.assertion,
+      recipient: {
+        type: 'email',
+        hashed: true,
+        salt,
+        identity: hashIdentity(await this.getRecipientEmail(award.user_id), salt)
+      },
+      badge: `${base}/openbadges/badges/${award.badge_definitions.slug}`,
+      issuedOn: new Date(award.earned_at).toISOString(),
+      image: urls.images.ob2.png,
+      verification: { type: 'hosted' }
+    };
+  }
+
+  /**
+   * Open Badges 3.0 credential for an award, signed with this instance's key
+   * The proof is dated when the badge was earned, so downloads of the same
+   * award are identical.
+   * @param {string} userBadgeId - user_badges ID
+   * @param {string} origin - Request origin
+   * @returns {Promise<Object>} OpenBadgeCredential with a DataIntegrityProof
+   */
+  async getCredential(userBadgeId, origin) {
+    const award = await this.getAward(userBadgeId);
+    if (award.status === 'revoked') {
+      throw openBadgesError(410, 'This badge has been revoked');
+    }
+
+    return this.buildCredential(award, origin);
+  }
+
+  /**
+   * Sign an award as an OpenBadgeCredential
+   * @private
+   */
+  async buildCredential(award, origin) {
+    const base = this.getBaseUrl(origin);
+    const urls = this.getAwardUrls(award.id, origin);
+    const definition = award.badge_definitions;
+    const issuedOn = new Date(award.earned_at).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const salt = this.getSalt(award);
+    const issuerId = `${base}/openbadges/v3/issuer`;
+
+    const credential = {
+      '@context': OB3_CONTEXTS,
+      id: urls.credential,
+      type: ['VerifiableCredential', 'OpenBadgeCredential'],
+      issuer: {
+        id: issuerId,
+        type: ['Profile'],
+        name: await this.getIssuerName(),
+        url: base
+      },
+      validFrom: issuedOn,
+      name: definition.name,
+      credentialSubject: {
+        type: ['AchievementSubject'],
+        identifier: [{
+          type: 'IdentityObject',
+          identityType: 'emailAddress',
+          hashed: true,
+          salt,
+          identityHash: hashIdentity(await this.getRecipientEmail(award.user_id), salt)
+        }],
+        achievement: {
+          id: `${base}/badges/${definition.slug}`,
+          type: ['Achievement'],
+          achievementType: 'Badge',
+          name: definition.name,
+          description: definition.description,
+          criteria: { id: `${base}/badges/${definition.slug}`, narrative: definition.description },
+          image: { id: `${base}/openbadges/badges/${definition.slug}/image.png`, type: 'Image' },
+          tag: [definition.category, definition.level].filter(Boolean)
+        }
+      }
+    };
+
+    const { privateKey, keyId } = this.keyStore.getKeys();
+    const proof = {
+      type: 'DataIntegrityProof',
+      cryptosuite: 'eddsa-jcs-2022',
+      created: issuedOn,
+      verificationMethod: `${issuerId}#key-${keyId}`,
+      proofPurpose: 'assertionMethod'
+    };
+    const signature = sign(null, getProofSigningInput(credential, proof), privateKey);
+
+    return { ...credential, proof: { ...proof, proofValue: `z${encodeBase58(signature)}` } };
+  }
+
+  /**
+   * A badge definition's unbaked image
+   * @param {string} slug - Badge slug
+   * @param {string} format - png or svg
+   * @returns {Promise<Object>} { body, contentType }
+   */
+  async getBadgeImage(slug, format) {
+    return this.renderImage(renderBadgeImage(await this.getDefinition(slug)), format);
+  }
+
+  /**
+   * An award's image with its 2.0 assertion URL or 3.0 credential baked in
+   * @param {string} userBadgeId - user_badges ID
+   * @param {Object} options - Image options
+   * @param {number} options.version - 2 or 3
+   * @param {string} options.format - png or svg
+   * @param {string} options.origin - Request origin
+   * @returns {Promise<Object>} { body, contentType }
+   */
+  async getBakedImage(userBadgeId, options) {
+    const { version, format, origin } = options;
+    const award = await this.getAward(userBadgeId);
+    if (award.status === 'revoked') {
+      throw openBadgesError(410, 'This badge has been revoked');
+    }
+
+    const svg = renderBadgeImage(award.badge_definitions);
+    if (version === 3) {
+      const credential = await this.buildCredential(award, origin);
+      return format === 'svg'
+        ? this.renderImage(bakeSvg(svg, { credential }), 'svg')
+        : this.bakeImage(svg, 'openbadgecredential', JSON.stringify(credential));
+    }
+
+    const assertionUrl = this.getAwardUrls(award.id, origin).assertion;
+    return format === 'svg'
+      ? this.renderImage(bakeSvg(svg, { assertionUrl }), 'svg')
+      : this.bakeImage(svg, 'openbadges', assertionUrl);
+  }
+
+  /**
+   * A user's exportable awards with their Open Badges and LinkedIn links
+   * @param {string} userId - User ID
+   * @param {string} origin - Request origin
+   * @returns {Promise<Array<Object>>} Exports, newest first
+   */
+  async listUserExports(userId, origin) {
+    const { data, error } = await this.supabase
+      .from('user_badges')
+      .select(AWARD_COLUMNS)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .order('earned_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch badge awards: ${error.message}`);
+    }
+
+    const issuerName = await this.getIssuerName();
+    return (data || [])
+      .filter(award => award.badge_definitions?.is_active && award.badge_definitions.is_public !== false)
+      .map(award => {
+        const urls = this.getAwardUrls(award.id, origin);
+        return {
+          user_badge_id: award.id,
+          badge_slug: award.badge_definitions.slug,
+          badge_name: award.badge_definitions.name,
+          earned_at: award.earned_at,
+          is_visible: award.is_visible,
+          open_badges: urls,
+          linkedin_url: getLinkedInAddUrl(award, { issuerName, credentialUrl: urls.assertion })
+        };
+      });
+  }
+
+  /**
+   * An award that may be exported: active or revoked, for a public badge
+   * Hidden and pending awards are not found.
+   * @private
+   */
+  async getAward(userBadgeId) {
+    if (!UUID_PATTERN.test(userBadgeId || '')) {
+      throw openBadgesError(404, 'Badge award not found');
+    }
+
+    const { data, error } = await this.supabase
+      .from('user_badges')
+      .select(AWARD_COLUMNS)
+      .eq('id', userBadgeId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch badge award: ${error.message}`);
+    }
+
+    const definition = data?.badge_definitions;
+    if (!data || !definition?.is_active || definition.is_public === false ||
+      !['active', 'revoked'].includes(data.status) || (data.status === 'active' && data.is_visible === false)) {
+      throw openBadgesError(404, 'Badge award not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Per-award salt, stable so hosted assertions don't change between requests
+   * @private
+   */
+  getSalt(award) {
+    return createHash('sha256').update(`openbadges:${award.id}`).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Recipient email address from Supabase Auth
+   * @private
+   */
+  async getRecipientEmail(userId) {
+    const { data, error } = await this.supabase.auth.admin.getUserById(userId);
+
+    if (error) {
+      throw new Error(`Failed to load recipient: ${error.message}`);
+    }
+    if (!data?.user?.email) {
+      throw openBadgesError(404, 'Badge award not found');
+    }
+
+    return data.user.email;
+  }
+
+  /**
+   * @private
+   */
+  async renderImage(svg, format) {
+    if (format === 'svg') {
+      return { body: svg, contentType: 'image/svg+xml; charset=utf-8' };
+    }
+    return { body: await sharp(Buffer.from(svg)).png().toBuffer(), contentType: 'image/png' };
+  }
+
+  /**
+   * @private
+   */
+  async bakeImage(svg, keyword, text) {
+    const { body } = await this.renderImage(svg, 'png');
+    return { body: bakePng(body, keyword, text), contentType: 'image/png' };
+  }
+}
+
+// Export service instance factory
+export function createOpenBadgesService(supabaseClient, options = {}) {
+  return new OpenBadgesService(supabaseClient, options);
+}
+
+let sharedService;
+
+/**
+ * Shared OpenBadgesService configured from the environment
+ * (SUPABASE_SERVICE_ROLE_KEY, FEDERATION_INSTANCE_URL, INSTANCE_SIGNING_KEY).
+ * Hashing recipients' email addresses needs the service role, so there is no
+ * service without it.
+ * @returns {OpenBadgesService|null} Service, or null when not configured
+ */
+export function getOpenBadgesService() {
+  if (sharedService === undefined) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+
+    sharedService = serviceRoleKey && supabaseUrl
+      ? new OpenBadgesService(
+        createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } })
+      )
+      : null;
+  }
+  return sharedService;
+}
+
+export default OpenBadgesService;
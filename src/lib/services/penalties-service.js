@@ -4,12 +4,19 @@
  */
 
 import { supabase } from '$lib/config/supabase.js';
+import { getNotificationService } from './notification-service.js';
 
 /**
  * Penalties service for progressive enforcement actions
  */
 class PenaltiesService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.notificationService] - Emails penalties and appeal outcomes
+   */
+  constructor(options = {}) {
+    this.notificationService = options.notificationService || null;
+    this.validAppealDecisions = ['upheld', 'overturned'];
     this.validPenaltyTypes = ['warning', 'rate_limit', 'temporary_ban', 'permanent_ban', 'ip_block'];
     this.validSeverities = [1, 2, 3, 4]; // 1=minor, 2=moderate, 3=severe, 4=critical
 
@@ -111,6 +118,12 @@ class PenaltiesService {
       // Check if this was an escalation
       const escalated = escalationLevel > 0;
 
+      this.notificationService?.notify('penalty.applied', userId, {
+        penaltyType: data.penalty_type,
+        reason: data.reason,
+        expiresAt: data.expires_at
+      }, { dedupeKey: `penalty.applied:${data.id}` });
+
       return {
         success: true,
         penaltyId: data.id,
@@ -511,6 +524,7 @@ class PenaltiesService {
         .from('user_penalties')
         .update({
           appeal_notes: appealReason.trim(),
+          appeal_status: 'pending',
           appeal_submitted_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         })
@@ -535,6 +549,86 @@ class PenaltiesService {
     }
   }
 
+  /**
+   * Resolve a pending appeal, lifting the penalty when it is overturned
+   * @param {string} penaltyId - Appealed penalty ID
+   * @param {Object} resolution - Appeal resolution
+   * @param {string} resolution.decision - 'upheld' or 'overturned'
+   * @param {string} [resolution.notes] - Notes shared with the user
+   * @param {string} [resolution.reviewedBy] - Reviewing moderator ID
+   * @returns {Promise<Object>} Resolution result
+   */
+  async resolveAppeal(penaltyId, { decision, notes = null, reviewedBy = null } = {}) {
+    if (!this.validAppealDecisions.includes(decision)) {
+      throw new Error(`Invalid appeal decision. Must be one of: ${this.validAppealDecisions.join(', ')}`);
+    }
+
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('user_penalties')
+        .select('id, appeal_notes, appeal_status')
+        .eq('id', penaltyId)
+        .single();
+
+      if (fetchError && fetchError.code !== 'PGRST116') {
+        throw fetchError;
+      }
+
+      if (!existing) {
+        return {
+          success: false,
+          error: 'Penalty not found'
+        };
+      }
+
+      if (!existing.appeal_notes || (existing.appeal_status && existing.appeal_status !== 'pending')) {
+        return {
+          success: false,
+          error: 'This penalty has no pending appeal'
+        };
+      }
+
+      const update = {
+        appeal_status: decision,
+        appeal_resolution_notes: notes,
+        appeal_resolved_by: reviewedBy,
+        appeal_resolved_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      if (decision === 'overturned') {
+        update.is_active = false;
+      }
+
+      const { data, error } = await supabase
+        .from('user_penalties')
+        .update(update)
+        .eq('id', penaltyId)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      this.notificationService?.notify('appeal.resolved', data.user_id, {
+        penaltyType: data.penalty_type,
+        decision,
+        notes
+      }, { dedupeKey: `appeal.resolved:${penaltyId}` });
+
+      return {
+        success: true,
+        penaltyId,
+        decision,
+        resolvedAt: new Date(data.appeal_resolved_at)
+      };
+
+    } catch (error) {
+      console.error('Appeal resolution error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's penalty history for escalation calculation
    * @param {string} userId - User ID
@@ -688,4 +782,6 @@ class PenaltiesService {
 }
 
 // Export singleton instance
-export const penaltiesService = new PenaltiesService();
\ No newline at end of file
+export const penaltiesService = new PenaltiesService({
+  notificationService: getNotificationService()
+});
\ No newline at end of file
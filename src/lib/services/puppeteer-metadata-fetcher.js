@@ -9,16 +9,19 @@ import { URL } from 'url';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getCrawler } from './crawl-service.js';
+import { isPrivateIP } from './metadata-fetcher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class PuppeteerMetadataFetcher {
   constructor(options = {}) {
+    this.crawler = options.crawler || getCrawler();
     this.timeout = options.timeout || 30000;
     this.waitForSelector = options.waitForSelector || null;
     this.waitForTimeout = options.waitForTimeout || 3000; // Wait for JS to execute
-    this.userAgent = options.userAgent || 'ADLP-Bot/1.0 (+https://adlp.dev/bot)';
+    this.userAgent = options.userAgent || this.crawler.userAgent;
     this.enableImages = options.enableImages ?? true; // Enable images for screenshots
     this.enableJavaScript = options.enableJavaScript ?? true;
     this.viewport = options.viewport || { width: 1280, height: 720 };
@@ -98,20 +101,7 @@ export class PuppeteerMetadataFetcher {
    * @returns {boolean} True if it's a private IP
    */
   isPrivateIP(hostname) {
-    const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-    const match = hostname.match(ipv4Regex);
-    
-    if (!match) return false;
-
-    const [, a, b, c, d] = match.map(Number);
-    
-    // Check for private IP ranges
-    return (
-      (a === 10) ||
-      (a === 172 && b >= 16 && b <= 31) ||
-      (a === 192 && b === 168) ||
-      (a === 169 && b === 254) // Link-local
-    );
+    return isPrivateIP(hostname);
   }
 
   /**
@@ -190,6 +180,11 @@ export class PuppeteerMetadataFetcher {
    * @returns {Promise<Object>} The extracted metadata
    */
   async _fetchMetadataInternal(url) {
+    // robots.txt applies to web pages only (file URLs are used in tests)
+    const crawl = /^https?:/i.test(url)
+      ? await this.crawler.assertAllowed(url, { userAgent: this.userAgent })
+      : null;
+
     const browser = await this.getBrowser();
     const page = await browser.newPage();
 
@@ -213,11 +208,14 @@ export class PuppeteerMetadataFetcher {
       // Set JavaScript enabled/disabled
       await page.setJavaScriptEnabled(this.enableJavaScript);
 
-      // Navigate to the page
-      const response = await page.goto(url, {
+      // Navigate to the page, sharing the host's crawl slots with the other fetchers
+      const navigate = () => page.goto(url, {
         waitUntil: 'networkidle0',
         timeout: this.timeout
       });
+      const response = crawl
+        ? await this.crawler.withHostSlot(new URL(url).host, navigate, crawl.crawlDelay)
+        : await navigate();
 
       if (!response.ok()) {
         throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
@@ -626,6 +624,7 @@ export class PuppeteerMetadataFetcher {
 
         return {
           url: window.location.href,
+          canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || null,
           title,
           description,
           contentType,
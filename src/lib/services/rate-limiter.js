@@ -0,0 +1,582 @@
+/**
+ * Rate Limiter
+ *
+ * The single rate limiter for API requests. Policies come from
+ * rate_limit_configs: route-scoped configs (route_pattern set) are matched
+ * against each request by client type (ip, user, api_key), tier and method,
+ * and route-scoped global configs apply to all matching traffic on top of that
+ * (one shared counter, so keep them narrow). Counters live in a
+ * pluggable store so limits survive restarts and are shared across replicas:
+ *
+ * - PostgresRateLimitStore: consume_rate_limit() in Postgres (default)
+ * - RedisRateLimitStore: a Lua script on any Redis-compatible server
+ * - MemoryRateLimitStore: per-process, for development and tests
+ *
+ * Each store implements the same two algorithms:
+ * - sliding_window: fixed windows with the previous window's count weighted by
+ *   its overlap with the sliding window
+ * - token_bucket: holds max_requests + burst_allowance tokens and refills
+ *   max_requests per window
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+export const RATE_LIMIT_ALGORITHMS = ['sliding_window', 'token_bucket'];
+export const RATE_LIMIT_STORES = ['postgres', 'redis', 'memory'];
+
+/**
+ * Built-in policies used until rate_limit_configs can be read
+ * (mirrors migration 027)
+ */
+export const DEFAULT_RATE_LIMIT_POLICIES = [
+  { name: 'api_default_ip', type: 'ip', max_requests: 120, window_seconds: 60, burst_allowance: 20, algorithm: 'sliding_window', route_pattern: '/api/*', priority: 0 },
+  { name: 'api_default_user', type: 'user', max_requests: 300, window_seconds: 60, burst_allowance: 30, algorithm: 'sliding_window', route_pattern: '/api/*', priority: 0 },
+  { name: 'api_default_api_key', type: 'api_key', max_requests: 1000, window_seconds: 3600, burst_allowance: 50, algorithm: 'sliding_window', route_pattern: '/api/*', priority: 0 },
+  { name: 'api_auth_ip', type: 'ip', max_requests: 5, window_seconds: 60, burst_allowance: 1, algorithm: 'sliding_window', route_pattern: '/api/auth/*', methods: ['POST'], priority: 20 }
+];
+
+/**
+ * Compute a sliding window counter decision
+ * @param {Object|null} state - { windowStart, current, previous }
+ * @param {Object} policy - Rate limit policy
+ * @param {number} cost - Requests to count
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { state, result }
+ */
+export function slidingWindow(state, policy, cost, now) {
+  const windowMs = policy.window_seconds * 1000;
+  const capacity = policy.max_requests + (policy.burst_allowance || 0);
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let current = state?.current || 0;
+  let previous = state?.previous || 0;
+  if (!state || state.windowStart < windowStart) {
+    previous = state?.windowStart === windowStart - windowMs ? current : 0;
+    current = 0;
+  }
+
+  const estimated = previous * (1 - (now - windowStart) / windowMs) + current;
+  const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+
+  if (estimated + cost <= capacity) {
+    current += cost;
+    return {
+      state: { windowStart, current, previous },
+      result: { allowed: true, remaining: Math.floor(capacity - estimated - cost), resetSeconds, retryAfterSeconds: 0 }
+    };
+  }
+
+  // Wait until enough of the previous window has slid out, or for the next window
+  const wait = previous > 0 && current + cost <= capacity
+    ? windowStart + windowMs * (1 - (capacity - current - cost) / previous) - now
+    : windowStart + windowMs - now;
+
+  return {
+    state: { windowStart, current, previous },
+    result: { allowed: false, remaining: 0, resetSeconds, retryAfterSeconds: Math.max(1, Math.ceil(wait / 1000)) }
+  };
+}
+
+/**
+ * Compute a token bucket decision
+ * @param {Object|null} state - { tokens, updatedAt }
+ * @param {Object} policy - Rate limit policy
+ * @param {number} cost - Tokens to take
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { state, result }
+ */
+export function tokenBucket(state, policy, cost, now) {
+  const capacity = policy.max_requests + (policy.burst_allowance || 0);
+  const rate = policy.max_requests / (policy.window_seconds * 1000); // tokens per ms
+
+  let tokens = state ? Math.min(capacity, state.tokens + (now - state.updatedAt) * rate) : capacity;
+  let allowed = false;
+  let retryAfterSeconds = 0;
+
+  if (tokens >= cost) {
+    tokens -= cost;
+    allowed = true;
+  } else {
+    retryAfterSeconds = Math.max(1, Math.ceil((cost - tokens) / rate / 1000));
+  }
+
+  return {
+    state: { tokens, updatedAt: now },
+    result: {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((capacity - tokens) / rate / 1000),
+      retryAfterSeconds
+    }
+  };
+}
+
+/**
+ * In-process counter store. Limits are per process and reset on restart.
+ */
+export class MemoryRateLimitStore {
+  constructor(options = {}) {
+    this.counters = new Map();
+    this.now = options.now || (() => Date.now());
+    this.maxKeys = options.maxKeys || 100000;
+  }
+
+  /**
+   * Count a request against a policy
+   * @param {string} key - Counter key
+   * @param {Object} policy - Rate limit policy
+   * @param {number} cost - Requests to count
+   * @returns {Promise<Object>} { allowed, remaining, resetSeconds, retryAfterSeconds }
+   */
+  consume(key, policy, cost = 1) {
+    const now = this.now();
+    const entry = this.counters.get(key);
+    const previous = entry && entry.expiresAt > now ? entry.state : null;
+    const compute = policy.algorithm === 'token_bucket' ? tokenBucket : slidingWindow;
+    const { state, result } = compute(previous, policy, cost, now);
+
+    if (!entry && this.counters.size >= this.maxKeys) {
+      this.prune(now);
+    }
+    this.counters.set(key, { state, expiresAt: now + policy.window_seconds * 2000 });
+
+    return Promise.resolve(result);
+  }
+
+  /**
+   * Drop expired counters
+   * @param {number} now - Current time (ms)
+   */
+  prune(now = this.now()) {
+    for (const [key, entry] of this.counters) {
+      if (entry.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Counter store backed by consume_rate_limit() in Postgres
+ * Requires a service role client; the function is not granted to clients.
+ */
+export class PostgresRateLimitStore {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Count a request against a policy
+   * @param {string} key - Counter key
+   * @param {Object} policy - Rate limit policy
+   * @param {number} cost - Requests to count
+   * @returns {Promise<Object>} { allowed, remaining, resetSeconds, retryAfterSeconds }
+   */
+  async consume(key, policy, cost = 1) {
+    const { data, error } = await this.supabase.rpc('consume_rate_limit', {
+      p_key: key,
+      p_algorithm: policy.algorithm || 'sliding_window',
+      p_max_requests: policy.max_requests,
+      p_window_seconds: policy.window_seconds,
+      p_burst: policy.burst_allowance || 0,
+      p_cost: cost
+    });
+
+    if (error) {
+      throw new Error(`Failed to consume rate limit: ${error.message}`);
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return {
+      allowed: !!row?.allowed,
+      remaining: row?.remaining ?? 0,
+      resetSeconds: row?.reset_seconds ?? policy.window_seconds,
+      retryAfterSeconds: row?.retry_after_seconds ?? 0
+    };
+  }
+}
+
+// Same algorithms as slidingWindow() and tokenBucket(), run atomically in Redis
+const REDIS_CONSUME_SCRIPT = `
+local key = KEYS[1]
+local algorithm = ARGV[1]
+local max_requests = tonumber(ARGV[2])
+local window_ms = tonumber(ARGV[3])
+local capacity = max_requests + tonumber(ARGV[4])
+local cost = tonumber(ARGV[5])
+local now = tonumber(ARGV[6])
+
+if algorithm == 'token_bucket' then
+  local rate = max_requests / window_ms
+  local state = redis.call('HMGET', key, 'tokens', 'updated_at')
+  local tokens = capacity
+  if state[1] then
+    tokens = math.min(capacity, tonumber(state[1]) + (now - tonumber(state[2])) * rate)
+  end
+  local allowed = 0
+  local retry_after = 0
+  if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+  else
+    retry_after = math.max(1, math.ceil((cost - tokens) / rate / 1000))
+  end
+  redis.call('HSET', key, 'tokens', tostring(tokens), 'updated_at', now)
+  redis.call('PEXPIRE', key, window_ms * 2)
+  return { allowed, math.floor(tokens), math.ceil((capacity - tokens) / rate / 1000), retry_after }
+end
+
+local window_start = math.floor(now / window_ms) * window_ms
+local state = redis.call('HMGET', key, 'window_start', 'current', 'previous')
+local current = tonumber(state[2]) or 0
+local previous = tonumber(state[3]) or 0
+local stored_start = tonumber(state[1])
+if not stored_start or stored_start < window_start then
+  if stored_start == window_start - window_ms then
+    previous = current
+  else
+    previous = 0
+  end
+  current = 0
+end
+
+local estimated = previous * (1 - (now - window_start) / window_ms) + current
+local reset_seconds = math.ceil((window_start + window_ms - now) / 1000)
+local allowed = 0
+local remaining = 0
+local retry_after = 0
+if estimated + cost <= capacity then
+  current = current + cost
+  allowed = 1
+  remaining = math.floor(capacity - estimated - cost)
+else
+  local wait = window_start + window_ms - now
+  if previous > 0 and current + cost <= capacity then
+    wait = window_start + window_ms * (1 - (capacity - current - cost) / previous) - now
+  end
+  retry_after = math.max(1, math.ceil(wait / 1000))
+end
+redis.call('HSET', key, 'window_start', window_start, 'current', current, 'previous', previous)
+redis.call('PEXPIRE', key, window_ms * 2)
+return { allowed, remaining, reset_seconds, retry_after }
+`;
+
+/**
+ * Counter store for Redis-compatible servers (Redis, Valkey, KeyDB, Dragonfly)
+ * Expects a client with an ioredis-style eval(script, numKeys, ...keysAndArgs).
+ */
+export class RedisRateLimitStore {
+  constructor(client, options = {}) {
+    if (!client) {
+      throw new Error('Redis client is required');
+    }
+    this.client = client;
+    this.prefix = options.prefix || 'ratelimit:';
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Count a request against a policy
+   * @param {string} key - Counter key
+   * @param {Object} policy - Rate limit policy
+   * @param {number} cost - Requests to count
+   * @returns {Promise<Object>} { allowed, remaining, resetSeconds, retryAfterSeconds }
+   */
+  async consume(key, policy, cost = 1) {
+    const [allowed, remaining, resetSeconds, retryAfterSeconds] = await this.client.eval(
+      REDIS_CONSUME_SCRIPT,
+      1,
+      `${this.prefix}${key}`,
+      policy.algorithm || 'sliding_window',
+      policy.max_requests,
+      policy.window_seconds * 1000,
+      policy.burst_allowance || 0,
+      cost,
+      this.now()
+    );
+
+    return {
+      allowed: Number(allowed) === 1,
+      remaining: Number(remaining),
+      resetSeconds: Number(resetSeconds),
+      retryAfterSeconds: Number(retryAfterSeconds)
+    };
+  }
+}
+
+/**
+ * Create the counter store selected by RATE_LIMIT_STORE
+ * @param {Object} options - Store options
+ * @param {string} [options.store] - postgres, redis or memory
+ * @param {Object} [options.supabase] - Service role client for the postgres store
+ * @param {Object} [options.redisClient] - Redis-compatible client for the redis store
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @returns {Promise<Object>} Counter store
+ */
+export async function createRateLimitStore(options = {}) {
+  const env = options.env || process.env;
+  const store = options.store || env.RATE_LIMIT_STORE || 'postgres';
+
+  if (!RATE_LIMIT_STORES.includes(store)) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${store}". Must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  }
+
+  if (store === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+
+  if (store === 'redis') {
+    let client = options.redisClient;
+    if (!client) {
+      if (!env.RATE_LIMIT_REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis requires RATE_LIMIT_REDIS_URL');
+      }
+      let Redis;
+      try {
+        ({ default: Redis } = await import('ioredis'));
+      } catch {
+        throw new Error('RATE_LIMIT_STORE=redis requires the ioredis package (pnpm add ioredis)');
+      }
+      client = new Redis(env.RATE_LIMIT_REDIS_URL, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    }
+    return new RedisRateLimitStore(client, { prefix: env.RATE_LIMIT_REDIS_PREFIX });
+  }
+
+  if (!options.supabase) {
+    throw new Error('RATE_LIMIT_STORE=postgres requires SUPABASE_SERVICE_ROLE_KEY');
+  }
+  return new PostgresRateLimitStore(options.supabase);
+}
+
+/**
+ * Match a path against a route pattern where * matches any characters
+ * @param {string} pattern - Route pattern, e.g. /api/v1/*
+ * @param {string} pathname - Request path
+ * @returns {boolean} Whether the path matches
+ */
+export function matchRoutePattern(pattern, pathname) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(pathname);
+}
+
+/**
+ * Build standard rate limit response headers
+ * (RateLimit-* from draft-ietf-httpapi-ratelimit-headers, Retry-After from RFC 9110)
+ * @param {Object} result - Result from RateLimiter.check()
+ * @returns {Object} Header name/value pairs
+ */
+export function getRateLimitHeaders(result) {
+  if (!result?.policy) {
+    return {};
+  }
+
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(Math.max(0, result.remaining)),
+    'RateLimit-Reset': String(Math.max(0, result.resetSeconds)),
+    'RateLimit-Policy': `${result.limit};w=${result.policy.window_seconds};name="${result.policy.name}"`
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfterSeconds);
+  }
+
+  return headers;
+}
+
+/**
+ * RateLimiter class resolving policies and counting requests
+ */
+export class RateLimiter {
+  constructor(supabaseClient, options = {}) {
+    if (!options.store) {
+      throw new Error('Rate limit store is required');
+    }
+
+    this.supabase = supabaseClient || null;
+    this.store = options.store;
+    this.policyTtlMs = options.policyTtlMs || 60 * 1000;
+    this.defaultPolicies = options.defaultPolicies || DEFAULT_RATE_LIMIT_POLICIES;
+    this.logger = options.logger || console;
+    this.policies = null;
+    this.namedPolicies = new Map();
+    this.policiesLoadedAt = 0;
+  }
+
+  /**
+   * Load active policies from rate_limit_configs, cached for policyTtlMs
+   * Keeps the last good set (or the defaults) when the table can't be read.
+   * @returns {Promise<Array>} Route-scoped policies
+   */
+  async loadPolicies() {
+    if (this.policies && Date.now() - this.policiesLoadedAt < this.policyTtlMs) {
+      return this.policies;
+    }
+
+    this.policiesLoadedAt = Date.now();
+
+    if (!this.supabase) {
+      this.policies = this.defaultPolicies;
+      return this.policies;
+    }
+
+    const { data, error } = await this.supabase
+      .from('rate_limit_configs')
+      .select('id, name, type, max_requests, window_seconds, burst_allowance, algorithm, route_pattern, methods, tier, priority')
+      .eq('is_active', true);
+
+    if (error) {
+      this.logger.warn(`Failed to load rate limit policies: ${error.message}`);
+      this.policies = this.policies || this.defaultPolicies;
+      return this.policies;
+    }
+
+    this.namedPolicies = new Map((data || []).map(policy => [policy.name, policy]));
+    const routed = (data || []).filter(policy => policy.route_pattern);
+    this.policies = routed.length ? routed : this.defaultPolicies;
+    return this.policies;
+  }
+
+  /**
+   * Pick the policy for a client on a route
+   * @param {Array} policies - Candidate policies
+   * @param {string} type - Client type: ip, user, api_key or global
+   * @param {Object} request - { pathname, method, tier }
+   * @returns {Object|null} Most specific matching policy
+   */
+  selectPolicy(policies, type, { pathname, method, tier = null }) {
+    const matches = policies.filter(policy =>
+      policy.type === type &&
+      (!policy.tier || policy.tier === tier) &&
+      (!policy.methods?.length || policy.methods.includes(method)) &&
+      matchRoutePattern(policy.route_pattern, pathname)
+    );
+
+    matches.sort((a, b) =>
+      (b.priority || 0) - (a.priority || 0) ||
+      b.route_pattern.length - a.route_pattern.length ||
+      Number(!!b.tier) - Number(!!a.tier)
+    );
+
+    return matches[0] || null;
+  }
+
+  /**
+   * Count an API request against the client's policy and any global policy
+   * @param {Object} identity - { type: 'ip' | 'user' | 'api_key', id, tier }
+   * @param {Object} request - { pathname, method }
+   * @returns {Promise<Object|null>} Most restrictive result, or null when no policy applies
+   */
+  async check(identity, request) {
+    const policies = await this.loadPolicies();
+    const context = { ...request, tier: identity.tier || null };
+
+    const checks = [];
+    const clientPolicy = this.selectPolicy(policies, identity.type, context);
+    if (clientPolicy) {
+      checks.push(this.consume(clientPolicy, identity.id));
+    }
+    const globalPolicy = this.selectPolicy(policies, 'global', context);
+    if (globalPolicy) {
+      checks.push(this.consume(globalPolicy, 'global'));
+    }
+
+    const results = await Promise.all(checks);
+    if (!results.length) {
+      return null;
+    }
+
+    // A denial wins; otherwise report the policy closest to its limit
+    return results.find(result => !result.allowed) ||
+      results.reduce((tightest, result) => (result.remaining < tightest.remaining ? result : tightest));
+  }
+
+  /**
+   * Count a request against a policy by name (for limits applied inside services)
+   * @param {string} name - rate_limit_configs.name
+   * @param {string} identifier - Client identifier
+   * @returns {Promise<Object|null>} Result, or null when the policy doesn't exist
+   */
+  async checkNamed(name, identifier) {
+    await this.loadPolicies();
+    const policy = this.namedPolicies.get(name) || this.defaultPolicies.find(item => item.name === name);
+    return policy ? this.consume(policy, identifier) : null;
+  }
+
+  /**
+   * Count a request against a single policy
+   * @param {Object} policy - Rate limit policy
+   * @param {string} identifier - Client identifier
+   * @param {number} cost - Requests to count
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetSeconds, retryAfterSeconds, policy }
+   */
+  async consume(policy, identifier, cost = 1) {
+    const result = await this.store.consume(`${policy.name}:${identifier}`, policy, cost);
+
+    return {
+      ...result,
+      limit: policy.max_requests + (policy.burst_allowance || 0),
+      policy
+    };
+  }
+}
+
+let sharedRateLimiter = null;
+
+/**
+ * Get the process-wide rate limiter configured from the environment
+ * Uses a service role client for the Postgres store; without one, counters
+ * fall back to memory and policies are read with the anon key.
+ * @param {Object} [options] - Overrides for tests and scripts
+ * @returns {Promise<RateLimiter>} Shared rate limiter
+ */
+export function getRateLimiter(options = {}) {
+  if (!sharedRateLimiter) {
+    sharedRateLimiter = buildRateLimiter(options).catch(error => {
+      sharedRateLimiter = null;
+      throw error;
+    });
+  }
+  return sharedRateLimiter;
+}
+
+/**
+ * @private
+ */
+async function buildRateLimiter(options) {
+  const env = options.env || process.env;
+  const logger = options.logger || console;
+  const supabaseUrl = env.PUBLIC_SUPABASE_URL || env.SUPABASE_URL;
+  const serviceRoleKey = env.SUPABASE_SERVICE_ROLE_KEY || env.SERVICE_ROLE_KEY;
+  const clientOptions = { auth: { autoRefreshToken: false, persistSession: false } };
+
+  const serviceClient = options.supabase || (serviceRoleKey && supabaseUrl
+    ? createClient(supabaseUrl, serviceRoleKey, clientOptions)
+    : null);
+
+  let store;
+  if (!serviceClient && (options.store || env.RATE_LIMIT_STORE || 'postgres') === 'postgres') {
+    logger.warn('Rate limiting needs SUPABASE_SERVICE_ROLE_KEY for shared counters; using in-memory counters');
+    store = new MemoryRateLimitStore();
+  } else {
+    store = await createRateLimitStore({ ...options, supabase: serviceClient, env });
+  }
+
+  const policyClient = serviceClient || (supabaseUrl && env.PUBLIC_SUPABASE_ANON_KEY
+    ? createClient(supabaseUrl, env.PUBLIC_SUPABASE_ANON_KEY, clientOptions)
+    : null);
+
+  return new RateLimiter(policyClient, {
+    store,
+    logger,
+    policyTtlMs: parseInt(env.RATE_LIMIT_POLICY_TTL_MS) || undefined
+  });
+}
+
+export default RateLimiter;
@@ -4,6 +4,7 @@
  */
 
 import { supabase } from '$lib/config/supabase.js';
+import { getRateLimiter, RATE_LIMIT_ALGORITHMS } from '$lib/services/rate-limiter.js';
 
 /**
  * Rate limiting service with multi-tier support
@@ -20,6 +21,8 @@ class RateLimitingService {
 
   /**
    * Check if a request is within rate limits
+   * Counts against the named policy in the shared API rate limiter, so limits
+   * checked here and in hooks.server.js use the same store.
    * @param {string} identifier - IP address, user ID, API key, or 'global'
    * @param {string} type - Rate limit type: 'ip', 'user', 'api_key', 'global'
    * @param {string} [configName] - Optional specific config name
@@ -27,70 +30,18 @@ class RateLimitingService {
    */
   async checkRateLimit(identifier, type, configName = null) {
     try {
-      // Get rate limit configuration
-      const config = await this.getRateLimitConfig(type, configName);
-      if (!config) {
+      const name = configName || this.defaultConfigs[type];
+      const limiter = await getRateLimiter();
+      const result = name ? await limiter.checkNamed(name, `${type}:${identifier}`) : null;
+      if (!result) {
         throw new Error(`No rate limit configuration found for type: ${type}`);
       }
 
-      // Get or create tracking record
-      const tracking = await this.getOrCreateTracking(identifier, config.id);
-      
-      // Check if currently blocked
-      if (tracking.is_blocked && tracking.blocked_until && new Date(tracking.blocked_until) > new Date()) {
-        return {
-          allowed: false,
-          remaining: 0,
-          resetTime: new Date(tracking.blocked_until),
-          retryAfter: Math.ceil((new Date(tracking.blocked_until) - new Date()) / 1000),
-          type,
-          identifier
-        };
-      }
-
-      // Check if window has expired
-      const windowStart = new Date(tracking.window_start);
-      const windowEnd = new Date(windowStart.getTime() + (config.window_seconds * 1000));
-      const now = new Date();
-
-      if (now >= windowEnd) {
-        // Reset window
-        await this.resetWindow(tracking.id, config.id);
-        return {
-          allowed: true,
-          remaining: config.max_requests - 1,
-          resetTime: new Date(now.getTime() + (config.window_seconds * 1000)),
-          type,
-          identifier
-        };
-      }
-
-      // Calculate total allowed requests (including burst)
-      const totalAllowed = config.max_requests + (config.burst_allowance || 0);
-      const currentCount = tracking.request_count;
-
-      if (currentCount >= totalAllowed) {
-        // Block the identifier
-        const blockedUntil = new Date(windowEnd.getTime() + (config.window_seconds * 1000));
-        await this.blockIdentifier(tracking.id, blockedUntil);
-        
-        return {
-          allowed: false,
-          remaining: 0,
-          resetTime: windowEnd,
-          retryAfter: Math.ceil((windowEnd - now) / 1000),
-          type,
-          identifier
-        };
-      }
-
-      // Increment request count
-      await this.incrementRequestCount(tracking.id);
-
       return {
-        allowed: true,
-        remaining: totalAllowed - currentCount - 1,
-        resetTime: windowEnd,
+        allowed: result.allowed,
+        remaining: result.remaining,
+        resetTime: new Date(Date.now() + result.resetSeconds * 1000),
+        ...(result.allowed ? {} : { retryAfter: result.retryAfterSeconds }),
         type,
         identifier
       };
@@ -132,131 +83,6 @@ class RateLimitingService {
     }
   }
 
-  /**
-   * Get or create tracking record for identifier
-   * @param {string} identifier - Identifier to track
-   * @param {string} configId - Configuration ID
-   * @returns {Promise<Object>} Tracking record
-   */
-  async getOrCreateTracking(identifier, configId) {
-    try {
-      // Try to get existing tracking record
-      const { data: existing, error: fetchError } = await supabase
-        .from('rate_limit_tracking')
-        .select('*')
-        .eq('identifier', identifier)
-        .eq('config_id', configId)
-        .single();
-
-      if (fetchError && fetchError.code !== 'PGRST116') {
-        throw fetchError;
-      }
-
-      if (existing) {
-        return existing;
-      }
-
-      // Create new tracking record
-      const { data: newRecord, error: insertError } = await supabase
-        .from('rate_limit_tracking')
-        .insert({
-          identifier,
-          config_id: configId,
-          request_count: 0,
-          window_start: new Date().toISOString(),
-          last_request_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (insertError) {
-        throw insertError;
-      }
-
-      return newRecord;
-    } catch (error) {
-      console.error('Error getting/creating tracking record:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Reset tracking window
-   * @param {string} trackingId - Tracking record ID
-   * @param {string} configId - Configuration ID
-   * @returns {Promise<void>}
-   */
-  async resetWindow(trackingId, configId) {
-    try {
-      const { error } = await supabase
-        .from('rate_limit_tracking')
-        .update({
-          request_count: 1,
-          window_start: new Date().toISOString(),
-          last_request_at: new Date().toISOString(),
-          is_blocked: false,
-          blocked_until: null
-        })
-        .eq('id', trackingId);
-
-      if (error) {
-        throw error;
-      }
-    } catch (error) {
-      console.error('Error resetting window:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Increment request count for tracking record
-   * @param {string} trackingId - Tracking record ID
-   * @returns {Promise<void>}
-   */
-  async incrementRequestCount(trackingId) {
-    try {
-      const { error } = await supabase
-        .from('rate_limit_tracking')
-        .update({
-          request_count: supabase.raw('request_count + 1'),
-          last_request_at: new Date().toISOString()
-        })
-        .eq('id', trackingId);
-
-      if (error) {
-        throw error;
-      }
-    } catch (error) {
-      console.error('Error incrementing request count:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Block an identifier
-   * @param {string} trackingId - Tracking record ID
-   * @param {Date} blockedUntil - When the block expires
-   * @returns {Promise<void>}
-   */
-  async blockIdentifier(trackingId, blockedUntil) {
-    try {
-      const { error } = await supabase
-        .from('rate_limit_tracking')
-        .update({
-          is_blocked: true,
-          blocked_until: blockedUntil.toISOString()
-        })
-        .eq('id', trackingId);
-
-      if (error) {
-        throw error;
-      }
-    } catch (error) {
-      console.error('Error blocking identifier:', error);
-      throw error;
-    }
-  }
-
   /**
    * Update rate limit configuration
    * @param {string} configId - Configuration ID
@@ -306,6 +132,10 @@ class RateLimitingService {
     if (updates.burst_allowance !== undefined && updates.burst_allowance < 0) {
       throw new Error('Invalid configuration: burst_allowance cannot be negative');
     }
+
+    if (updates.algorithm !== undefined && !RATE_LIMIT_ALGORITHMS.includes(updates.algorithm)) {
+      throw new Error(`Invalid configuration: algorithm must be one of ${RATE_LIMIT_ALGORITHMS.join(', ')}`);
+    }
   }
 
   /**
@@ -0,0 +1,524 @@
+// src/lib/services/refresh-queue-worker.js
+// Background worker that drains the content refresh queue
+
+import cron from 'node-cron';
+import { hostname } from 'os';
+import { ContentFreshnessMonitor } from './content-freshness-monitor.js';
+import { RegenerationEngine } from './regeneration-engine.js';
+import { getSitemapPinger } from './sitemap-service.js';
+import { getMetadataPipeline } from './metadata-pipeline.js';
+import { getImageService } from './image-service.js';
+
+/**
+ * RefreshQueueWorker - Processes jobs scheduled in refresh_queue
+ *
+ * This service provides functionality for:
+ * - Claiming due jobs with row-level locking (claim_refresh_jobs RPC)
+ * - Processing jobs in priority order through the RegenerationEngine
+ * - Recording every outcome via ContentFreshnessMonitor.recordRefreshHistory
+ * - Retrying failed jobs with exponential backoff
+ * - Failing jobs blocked by robots.txt without retrying
+ * - Periodically recalculating staleness scores
+ */
+export class RefreshQueueWorker {
+  /**
+   * Processing order for refresh priorities (highest first)
+   */
+  static PRIORITY_ORDER = ['critical', 'high', 'normal', 'low'];
+
+  /**
+   * Default configuration values
+   */
+  static DEFAULTS = {
+    BATCH_SIZE: 5,
+    POLL_SCHEDULE: '* * * * *', // every minute
+    STALENESS_SCHEDULE: '*/15 * * * *', // every 15 minutes
+    RETRY_BASE_DELAY: 60 * 1000, // 1 minute
+    MAX_RETRY_DELAY: 60 * 60 * 1000, // 1 hour
+    LOCK_TIMEOUT_SECONDS: 15 * 60,
+    MAX_POLL_BACKOFF_TICKS: 10,
+  };
+
+  /**
+   * Initialize RefreshQueueWorker
+   *
+   * @param {Object} supabase - Supabase client instance (service role)
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Worker options
+   * @param {Object} options.freshnessMonitor - ContentFreshnessMonitor instance
+   * @param {Object} options.regenerationEngine - RegenerationEngine instance
+   * @param {Object} [options.sitemapPinger] - SitemapPinger told about changed launches
+   * @param {string} [options.workerId] - Identifier stored on claimed jobs
+   * @param {number} [options.batchSize] - Jobs claimed per poll
+   * @param {string} [options.pollSchedule] - Cron expression for polling the queue
+   * @param {string} [options.stalenessSchedule] - Cron expression for updating staleness scores
+   * @param {Object} [options.scheduler] - Cron implementation (defaults to node-cron)
+   */
+  constructor(supabase, logger, options = {}) {
+    if (!supabase) {
+      throw new Error('Supabase client is required');
+    }
+    if (!logger) {
+      throw new Error('Logger is required');
+    }
+    if (!options.freshnessMonitor) {
+      throw new Error('Freshness monitor is required');
+    }
+    if (!options.regenerationEngine) {
+      throw new Error('Regeneration engine is required');
+    }
+
+    const defaults = RefreshQueueWorker.DEFAULTS;
+
+    this.supabase = supabase;
+    this.logger = logger;
+    this.freshnessMonitor = options.freshnessMonitor;
+    this.regenerationEngine = options.regenerationEngine;
+    this.sitemapPinger = options.sitemapPinger || null;
+    this.workerId = options.workerId || `${hostname()}:${process.pid}`;
+    this.batchSize = options.batchSize || defaults.BATCH_SIZE;
+    this.pollSchedule = options.pollSchedule || defaults.POLL_SCHEDULE;
+    this.stalenessSchedule = options.stalenessSchedule || defaults.STALENESS_SCHEDULE;
+    this.retryBaseDelay = options.retryBaseDelay || defaults.RETRY_BASE_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay || defaults.MAX_RETRY_DELAY;
+    this.lockTimeoutSeconds = options.lockTimeoutSeconds || defaults.LOCK_TIMEOUT_SECONDS;
+    this.scheduler = options.scheduler || cron;
+
+    this.tasks = [];
+    this.polling = false;
+    this.consecutivePollFailures = 0;
+    this.skipTicks = 0;
+  }
+
+  /**
+   * Start the cron schedules
+   *
+   * @returns {RefreshQueueWorker} This worker
+   */
+  start() {
+    if (this.tasks.length > 0) {
+      return this;
+    }
+
+    this.tasks = [
+      this.scheduler.schedule(this.pollSchedule, () => this.tick(), {
+        name: 'refresh-queue-poll',
+        noOverlap: true,
+      }),
+      this.scheduler.schedule(this.stalenessSchedule, () => this.refreshStalenessScores(), {
+        name: 'refresh-queue-staleness',
+        noOverlap: true,
+      }),
+    ];
+
+    this.logger.info('Refresh queue worker started', {
+      workerId: this.workerId,
+      pollSchedule: this.pollSchedule,
+      stalenessSchedule: this.stalenessSchedule,
+    });
+
+    return this;
+  }
+
+  /**
+   * Stop the cron schedules
+   * In-flight jobs finish; nothing new is claimed.
+   */
+  stop() {
+    for (const task of this.tasks) {
+      task.stop();
+    }
+    this.tasks = [];
+
+    this.logger.info('Refresh queue worker stopped', { workerId: this.workerId });
+  }
+
+  /**
+   * Handle one poll tick, skipping ticks while backing off after failures
+   *
+   * @returns {Promise<Object|null>} Batch summary or null if skipped
+   */
+  async tick() {
+    if (this.polling) {
+      return null;
+    }
+
+    if (this.skipTicks > 0) {
+      this.skipTicks--;
+      return null;
+    }
+
+    this.polling = true;
+    try {
+      const summary = await this.processBatch();
+      this.consecutivePollFailures = 0;
+      return summary;
+    } catch (error) {
+      // Back off exponentially (in ticks) when the queue itself is unavailable
+      this.consecutivePollFailures++;
+      this.skipTicks = Math.min(
+        2 ** (this.consecutivePollFailures - 1),
+        RefreshQueueWorker.DEFAULTS.MAX_POLL_BACKOFF_TICKS
+      );
+
+      this.logger.error('Refresh queue poll failed', {
+        workerId: this.workerId,
+        error: error.message,
+        skipTicks: this.skipTicks,
+      });
+      return null;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Claim and process one batch of due jobs
+   *
+   * @returns {Promise<Object>} Summary with claimed, completed, retried and failed counts
+   * @throws {Error} If jobs cannot be claimed
+   */
+  async processBatch() {
+    const jobs = await this.claimJobs(this.batchSize);
+    const summary = { claimed: jobs.length, completed: 0, retried: 0, failed: 0 };
+
+    for (const job of this.sortByPriority(jobs)) {
+      const outcome = await this.processJob(job);
+      summary[outcome]++;
+    }
+
+    if (jobs.length > 0) {
+      this.logger.info('Processed refresh queue batch', { workerId: this.workerId, ...summary });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Claim due jobs for this worker
+   *
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Promise<Array>} Claimed queue items
+   * @throws {Error} If the claim fails
+   */
+  async claimJobs(limit) {
+    const { data, error } = await this.supabase.rpc('claim_refresh_jobs', {
+      p_worker_id: this.workerId,
+      p_limit: limit,
+      p_lock_timeout_seconds: this.lockTimeoutSeconds,
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim refresh jobs: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Process a single claimed job
+   *
+   * @param {Object} job - Claimed refresh_queue row
+   * @returns {Promise<string>} 'completed', 'retried' or 'failed'
+   */
+  async processJob(job) {
+    const startedAt = new Date();
+
+    let result;
+    try {
+      result = await this.regenerationEngine.regenerateSubmission(job.submission_id, {
+        refreshType: 'scheduled',
+        triggerReason: 'refresh_queue',
+        recordHistory: false,
+      });
+    } catch (error) {
+      result = { success: false, error: error.message, processingTime: Date.now() - startedAt.getTime() };
+    }
+
+    await this.recordHistory(job, result, startedAt);
+
+    if (result.success) {
+      await this.freshnessMonitor.updateRefreshQueueStatus(job.id, 'completed', this.workerId);
+      await this.markFresh(job.submission_id, result);
+      if (result.changesDetected && this.sitemapPinger) {
+        this.sitemapPinger.notify([job.submission_id]);
+      }
+      return 'completed';
+    }
+
+    if (result.robotsBlocked) {
+      return this.failBlockedJob(job, result.error);
+    }
+
+    return this.handleFailure(job, result.error);
+  }
+
+  /**
+   * Fail a job whose page robots.txt disallows; retrying won't help until the
+   * site changes its robots.txt, which the next scheduled refresh picks up
+   *
+   * @param {Object} job - Refresh queue row
+   * @param {string} errorMessage - Block reason
+   * @returns {Promise<string>} 'failed'
+   */
+  async failBlockedJob(job, errorMessage) {
+    await this.freshnessMonitor.updateRefreshQueueStatus(
+      job.id,
+      'failed',
+      this.workerId,
+      errorMessage,
+      { retry_count: job.retry_count || 0, reason: 'robots_blocked' }
+    );
+
+    try {
+      await this.freshnessMonitor.updateFreshnessStatus(job.submission_id, {
+        status: 'failed',
+        last_checked_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      this.logger.warn('Failed to update freshness status', { submissionId: job.submission_id, error: error.message });
+    }
+
+    this.logger.info('Refresh job blocked by robots.txt', {
+      queueId: job.id,
+      submissionId: job.submission_id,
+      error: errorMessage,
+    });
+    return 'failed';
+  }
+
+  /**
+   * Reschedule a failed job with backoff, or fail it permanently
+   *
+   * @param {Object} job - Refresh queue row
+   * @param {string} errorMessage - Failure reason
+   * @returns {Promise<string>} 'retried' or 'failed'
+   */
+  async handleFailure(job, errorMessage) {
+    const retryCount = (job.retry_count || 0) + 1;
+    const maxRetries = job.max_retries ?? 3;
+
+    if (retryCount > maxRetries) {
+      await this.freshnessMonitor.updateRefreshQueueStatus(
+        job.id,
+        'failed',
+        this.workerId,
+        errorMessage,
+        { retry_count: job.retry_count || 0 }
+      );
+      this.logger.warn('Refresh job failed permanently', {
+        queueId: job.id,
+        submissionId: job.submission_id,
+        error: errorMessage,
+      });
+      return 'failed';
+    }
+
+    const delay = this.getRetryDelay(retryCount);
+    const { error } = await this.supabase
+      .from('refresh_queue')
+      .update({
+        status: 'pending',
+        retry_count: retryCount,
+        scheduled_at: new Date(Date.now() + delay).toISOString(),
+        started_at: null,
+        error_message: errorMessage,
+      })
+      .eq('id', job.id);
+
+    if (error) {
+      throw new Error(`Failed to reschedule refresh job: ${error.message}`);
+    }
+
+    this.logger.info('Rescheduled refresh job', {
+      queueId: job.id,
+      submissionId: job.submission_id,
+      retryCount,
+      delayMs: delay,
+    });
+    return 'retried';
+  }
+
+  /**
+   * Record the outcome of a job in refresh_history
+   *
+   * @param {Object} job - Refresh queue row
+   * @param {Object} result - Regeneration result
+   * @param {Date} startedAt - When processing started
+   */
+  async recordHistory(job, result, startedAt) {
+    try {
+      await this.freshnessMonitor.recordRefreshHistory({
+        submission_id: job.submission_id,
+        freshness_id: job.freshness_id,
+        queue_id: job.id,
+        refresh_type: 'scheduled',
+        trigger_reason: 'refresh_queue',
+        success: Boolean(result.success),
+        changes_found: Boolean(result.changesDetected),
+        content_updated: Boolean(result.significantChanges),
+        processing_duration_ms: result.processingTime ?? Date.now() - startedAt.getTime(),
+        changes_detected: {
+          metadata: result.metadataChanges || [],
+          images: result.imageChanges || [],
+        },
+        error_message: result.success ? null : result.error,
+        started_at: startedAt.toISOString(),
+        completed_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      // History is best effort; the queue status is the source of truth
+      this.logger.warn('Failed to record refresh history', { queueId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Reset freshness tracking after a successful refresh
+   *
+   * @param {string} submissionId - Submission ID
+   * @param {Object} result - Regeneration result
+   */
+  async markFresh(submissionId, result) {
+    const now = new Date().toISOString();
+    const updateData = {
+      status: 'fresh',
+      staleness_score: 0,
+      last_checked_at: now,
+    };
+
+    if (result.changesDetected) {
+      updateData.last_updated_at = now;
+      updateData.last_change_detected_at = now;
+    }
+
+    try {
+      await this.freshnessMonitor.updateFreshnessStatus(submissionId, updateData);
+    } catch (error) {
+      this.logger.warn('Failed to update freshness status', { submissionId, error: error.message });
+    }
+  }
+
+  /**
+   * Recalculate staleness scores for all tracked content
+   *
+   * @returns {Promise<number|null>} Number of records updated, or null on failure
+   */
+  async refreshStalenessScores() {
+    try {
+      return await this.freshnessMonitor.updateAllStalenessScores();
+    } catch (error) {
+      this.logger.error('Failed to update staleness scores', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Exponential backoff delay for a retry
+   *
+   * @param {number} retryCount - Retry number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(retryCount) {
+    return Math.min(this.retryBaseDelay * 2 ** (retryCount - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Sort jobs by priority, then by scheduled time
+   *
+   * @param {Array} jobs - Queue items
+   * @returns {Array} Sorted copy of the jobs
+   */
+  sortByPriority(jobs) {
+    const rank = priority => {
+      const index = RefreshQueueWorker.PRIORITY_ORDER.indexOf(priority);
+      return index === -1 ? RefreshQueueWorker.PRIORITY_ORDER.indexOf('normal') : index;
+    };
+
+    return [...jobs].sort((a, b) =>
+      rank(a.priority) - rank(b.priority) ||
+      new Date(a.scheduled_at) - new Date(b.scheduled_at)
+    );
+  }
+}
+
+/**
+ * Adapt a metadata fetcher to the interface RegenerationEngine expects
+ *
+ * RegenerationEngine asks for metadata and images separately; this fetches the
+ * page once and maps images to the shape stored in submissions.images. Pages
+ * are re-fetched conditionally, so an unchanged page resolves both calls with
+ * { notModified: true }. With an image service, images are stored as
+ * responsive variants like on submission; stored variants are reused, so
+ * unchanged images keep their URLs.
+ *
+ * @param {Object} metadataFetcher - Object with fetchMetadata(url)
+ * @param {Object|null} [imageService] - ImageService for hosting the images
+ * @returns {Object} Object with fetchMetadata(url) and fetchImages(url)
+ */
+export function createRegenerationFetcher(metadataFetcher, imageService = null) {
+  const pending = new Map();
+
+  const fetchOnce = url => {
+    if (!pending.has(url)) {
+      const request = metadataFetcher.fetchMetadata(url, { conditional: true });
+      pending.set(url, request);
+      // Only share the request between the paired metadata/images calls
+      request.finally(() => pending.delete(url)).catch(() => {});
+    }
+    return pending.get(url);
+  };
+
+  return {
+    fetchMetadata: url => fetchOnce(url),
+    fetchImages: async url => {
+      const metadata = await fetchOnce(url);
+      if (metadata.notModified) {
+        return metadata;
+      }
+      if (imageService) {
+        return imageService.buildSubmissionImages(metadata);
+      }
+      return {
+        main: metadata.images?.[0]?.url || metadata.image || null,
+        favicon: metadata.favicons?.[0]?.url || metadata.favicon || null,
+        all: metadata.images || [],
+        favicons: metadata.favicons || [],
+      };
+    },
+  };
+}
+
+/**
+ * Create a worker, building the freshness monitor, regeneration engine and
+ * sitemap pinger when they are not supplied
+ *
+ * @param {Object} supabase - Supabase client instance (service role)
+ * @param {Object} logger - Logger instance
+ * @param {Object} options - Worker options (see RefreshQueueWorker)
+ * @param {Object} [options.metadataFetcher] - Fetcher used by the default regeneration engine
+ *   (defaults to the shared metadata pipeline)
+ * @param {Object|null} [options.imageService] - Image service used by the default regeneration
+ *   engine (defaults to the shared one, if image storage is configured)
+ * @returns {RefreshQueueWorker} Worker instance
+ */
+export function createRefreshQueueWorker(supabase, logger, options = {}) {
+  const freshnessMonitor = options.freshnessMonitor || new ContentFreshnessMonitor(supabase, logger);
+  const regenerationEngine = options.regenerationEngine || new RegenerationEngine(
+    supabase,
+    logger,
+    createRegenerationFetcher(
+      options.metadataFetcher || getMetadataPipeline({ logger }),
+      options.imageService !== undefined ? options.imageService : getImageService({ logger })
+    ),
+    freshnessMonitor
+  );
+
+  return new RefreshQueueWorker(supabase, logger, {
+    ...options,
+    freshnessMonitor,
+    regenerationEngine,
+    sitemapPinger: options.sitemapPinger || getSitemapPinger(supabase, { logger }),
+  });
+}
+
+export default RefreshQueueWorker;
@@ -2,6 +2,7 @@
 // Service for automated content regeneration and change detection
 
 import crypto from 'crypto';
+import { isRobotsBlocked } from './crawl-service.js';
 
 /**
  * RegenerationEngine - Handles automated content updates and regeneration
@@ -119,6 +120,28 @@ export class RegenerationEngine {
         this.metadataFetcher.fetchImages(submission.url),
       ]);
 
+      // The page could be fetched again, so an earlier robots.txt block no longer applies
+      if (submission.crawl_status === 'blocked_by_robots') {
+        await this.updateCrawlStatus(submissionId, 'ok');
+      }
+
+      // A conditional re-fetch found the page unchanged
+      if (newMetadata?.notModified) {
+        const processingTime = Date.now() - startTime;
+        this.logger.info('Regeneration skipped, page not modified', { submissionId, processingTime });
+        return {
+          submissionId,
+          success: true,
+          notModified: true,
+          changesDetected: false,
+          significantChanges: false,
+          processingTime,
+          metadataChanges: [],
+          imageChanges: [],
+          changeScore: 0,
+        };
+      }
+
       // Detect changes
       const metadataChanges = this.detectChanges(submission.original_meta, newMetadata);
       const imageChanges = this.detectChanges(submission.images, newImages);
@@ -190,8 +213,8 @@ export class RegenerationEngine {
           await this.freshnessMonitor.createVersionSnapshot(versionData);
         }
 
-        // Record refresh history
-        if (this.freshnessMonitor.recordRefreshHistory) {
+        // Record refresh history (callers such as the queue worker may record it themselves)
+        if (this.freshnessMonitor.recordRefreshHistory && options.recordHistory !== false) {
           const historyData = {
             submission_id: submissionId,
             freshness_id: submission.freshness_id || null,
@@ -226,6 +249,7 @@ export class RegenerationEngine {
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
+      const robotsBlocked = isRobotsBlocked(error);
       
       this.logger.error('Regeneration failed', {
         submissionId,
@@ -233,16 +257,49 @@ export class RegenerationEngine {
         processingTime,
       });
 
+      // Let moderators see that the site no longer wants to be fetched
+      if (robotsBlocked) {
+        await this.updateCrawlStatus(submissionId, 'blocked_by_robots', error.message);
+      }
+
       return {
         submissionId,
         success: false,
         error: error.message,
         processingTime,
         changesDetected: false,
+        robotsBlocked,
       };
     }
   }
 
+  /**
+   * Record whether a submission's page may be crawled
+   * Best effort: a failure is logged, not thrown.
+   * 
+   * @param {string} submissionId - Submission ID
+   * @param {string} status - 'ok' or 'blocked_by_robots'
+   * @param {string|null} [message] - Why the page is blocked
+   */
+  async updateCrawlStatus(submissionId, status, message = null) {
+    try {
+      const { error } = await this.supabase
+        .from('submissions')
+        .update({
+          crawl_status: status,
+          crawl_message: message,
+          crawl_checked_at: new Date().toISOString(),
+        })
+        .eq('id', submissionId);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to update crawl status', { submissionId, status, error: error.message });
+    }
+  }
+
   /**
    * Detect changes between old and new data
    * 
@@ -6,11 +6,14 @@
 
 import { load } from 'cheerio';
 import { URL } from 'url';
+import { getCrawler, isRobotsBlocked } from './crawl-service.js';
+import { isPrivateIP } from './metadata-fetcher.js';
 
 export class SimpleMetadataFetcher {
   constructor(options = {}) {
+    this.crawler = options.crawler || getCrawler();
     this.timeout = options.timeout || 10000;
-    this.userAgent = options.userAgent || 'ADLP-Bot/1.0 (+https://adlp.dev/bot)';
+    this.userAgent = options.userAgent || this.crawler.userAgent;
     this.maxRedirects = options.maxRedirects || 5;
     this.maxContentLength = options.maxContentLength || 5 * 1024 * 1024; // 5MB
   }
@@ -59,20 +62,7 @@ export class SimpleMetadataFetcher {
    * @returns {boolean} True if it's a private IP
    */
   isPrivateIP(hostname) {
-    const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-    const match = hostname.match(ipv4Regex);
-    
-    if (!match) return false;
-
-    const [, a, b, c, d] = match.map(Number);
-    
-    // Check for private IP ranges
-    return (
-      (a === 10) ||
-      (a === 172 && b >= 16 && b <= 31) ||
-      (a === 192 && b === 168) ||
-      (a === 169 && b === 254) // Link-local
-    );
+    return isPrivateIP(hostname);
   }
 
   /**
@@ -81,11 +71,8 @@ export class SimpleMetadataFetcher {
    * @returns {Promise<string>} The HTML content
    */
   async fetchHtml(url) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
     try {
-      const response = await fetch(url, {
+      const response = await this.crawler.fetch(url, {
         method: 'GET',
         headers: {
           'User-Agent': this.userAgent,
@@ -95,9 +82,10 @@ export class SimpleMetadataFetcher {
           'DNT': '1',
           'Connection': 'keep-alive',
           'Upgrade-Insecure-Requests': '1'
-        },
-        signal: controller.signal,
-        redirect: 'follow'
+        }
+      }, {
+        timeout: this.timeout,
+        maxRedirects: this.maxRedirects
       });
 
       if (!response.ok) {
@@ -123,8 +111,6 @@ export class SimpleMetadataFetcher {
         throw new Error('Request timeout');
       }
       throw error;
-    } finally {
-      clearTimeout(timeoutId);
     }
   }
 
@@ -274,6 +260,7 @@ export class SimpleMetadataFetcher {
 
     return {
       url,
+      canonicalUrl: resolveUrl($('link[rel="canonical"]').attr('href')),
       title,
       description,
       contentType,
@@ -305,6 +292,9 @@ export class SimpleMetadataFetcher {
       const metadata = this.extractMetadata(html, url);
       return metadata;
     } catch (error) {
+      if (isRobotsBlocked(error)) {
+        throw error;
+      }
       throw new Error(`Failed to fetch metadata: ${error.message}`);
     }
   }
@@ -0,0 +1,525 @@
+/**
+ * Sitemap Service
+ *
+ * Builds sitemap.xml (a sitemap index with paginated child sitemaps) and
+ * robots.txt from public launches, tag pages and badge pages. Every URL is
+ * listed once per locale with hreflang alternates, and launch lastmod comes
+ * from content_versions (see the sitemap_launches view).
+ *
+ * SitemapPinger tells search engines about launches that were approved or
+ * regenerated, batching notifications so bulk moderation sends one ping.
+ */
+
+import { escapeXml } from './feed-service.js';
+import { getLaunchPath } from './launch-page-service.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, localizePath } from '../i18n/locales.js';
+
+export const SITEMAP_SECTIONS = ['pages', 'launches', 'tags', 'badges'];
+
+// Entries per child sitemap. Each entry is listed once per locale, which
+// keeps pages well under the 50,000 URL limit.
+export const SITEMAP_PAGE_SIZE = 5000;
+
+export const SITEMAP_CONTENT_TYPE = 'application/xml; charset=utf-8';
+
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'hourly', priority: '1.0' },
+  { path: '/launches', changefreq: 'hourly', priority: '0.9' },
+  { path: '/today', changefreq: 'hourly', priority: '0.8' },
+  { path: '/leaderboard/day', changefreq: 'hourly', priority: '0.7' },
+  { path: '/leaderboard/week', changefreq: 'daily', priority: '0.6' },
+  { path: '/leaderboard/month', changefreq: 'daily', priority: '0.6' }
+];
+
+// Paths crawlers should skip. /api/ is never localized.
+const PRIVATE_PATHS = ['/auth/', '/dashboard', '/moderation', '/checkout', '/offline'];
+
+const DEFAULT_INDEXNOW_ENDPOINT = 'https://api.indexnow.org/indexnow';
+const DEFAULT_PING_DELAY = 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function sitemapError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Path of a child sitemap
+ * @param {string} section - Sitemap section
+ * @param {number} page - 1-based page number
+ * @returns {string} /sitemaps/[section]-[page].xml
+ */
+export function getSitemapPath(section, page) {
+  return `/sitemaps/${section}-${page}.xml`;
+}
+
+/**
+ * Parse a child sitemap file name
+ * @param {string} name - File name such as launches-2.xml
+ * @returns {Object|null} { section, page } or null when not a sitemap
+ */
+export function parseSitemapName(name) {
+  const match = /^([a-z]+)-([1-9]\d{0,5})\.xml$/.exec(name || '');
+  if (!match || !SITEMAP_SECTIONS.includes(match[1])) {
+    return null;
+  }
+  return { section: match[1], page: Number(match[2]) };
+}
+
+/**
+ * W3C datetime for <lastmod>, or null for missing and invalid dates
+ * @private
+ */
+function formatLastmod(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Render a sitemap index
+ * @param {Array<Object>} sitemaps - [{ loc, lastmod }]
+ * @returns {string} XML
+ */
+export function renderSitemapIndex(sitemaps) {
+  const entries = sitemaps.map(sitemap => {
+    const lastmod = formatLastmod(sitemap.lastmod);
+    return [
+      '  <sitemap>',
+      `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+      '  </sitemap>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a urlset, listing every entry once per locale with hreflang
+ * alternates for all locales and x-default
+ * @param {Array<Object>} entries - [{ path, lastmod, changefreq, priority }]
+ * @param {Object} options - Render options
+ * @param {string} options.origin - Site origin
+ * @param {Array<string>} [options.locales] - Locales to list
+ * @param {string} [options.defaultLocale] - Locale served without a prefix
+ * @returns {string} XML
+ */
+export function renderUrlSet(entries, options) {
+  const { origin, locales = SUPPORTED_LOCALES, defaultLocale = DEFAULT_LOCALE } = options;
+  const urls = [];
+
+  for (const entry of entries) {
+    const lastmod = formatLastmod(entry.lastmod);
+    const alternates = [
+      ...locales.map(locale => ({ hreflang: locale, href: `${origin}${localizePath(entry.path, locale, defaultLocale)}` })),
+      { hreflang: 'x-default', href: `${origin}${entry.path}` }
+    ];
+    const links = alternates.map(alternate =>
+      `    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.href)}" />`
+    );
+
+    for (const locale of locales) {
+      urls.push([
+        '  <url>',
+        `    <loc>${escapeXml(`${origin}${localizePath(entry.path, locale, defaultLocale)}`)}</loc>`,
+        ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+        ...(entry.changefreq ? [`    <changefreq>${entry.changefreq}</changefreq>`] : []),
+        ...(entry.priority ? [`    <priority>${entry.priority}</priority>`] : []),
+        ...(locales.length > 1 ? links : []),
+        '  </url>'
+      ].join('\n'));
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render robots.txt
+ * @param {Object} options - Render options
+ * @param {string} options.origin - Site origin
+ * @param {Array<string>} [options.locales] - Locales private paths are localized for
+ * @param {string} [options.defaultLocale] - Locale served without a prefix
+ * @returns {string} robots.txt body
+ */
+export function renderRobotsTxt(options) {
+  const { origin, locales = SUPPORTED_LOCALES, defaultLocale = DEFAULT_LOCALE } = options;
+  const disallowed = [
+    '/api/',
+    ...locales.flatMap(locale => PRIVATE_PATHS.map(path => localizePath(path, locale, defaultLocale)))
+  ];
+
+  return [
+    'User-agent: *',
+    'Allow: /',
+    ...disallowed.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${origin}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Response for a rendered sitemap
+ * @param {string} xml - Sitemap XML
+ * @returns {Response} Cacheable XML response
+ */
+export function createSitemapResponse(xml) {
+  return new Response(xml, {
+    headers: {
+      'Content-Type': SITEMAP_CONTENT_TYPE,
+      'Cache-Control': 'public, max-age=3600'
+    }
+  });
+}
+
+/**
+ * SitemapService class for sitemap.xml and its child sitemaps
+ */
+export class SitemapService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.pageSize = options.pageSize || SITEMAP_PAGE_SIZE;
+    this.locales = options.locales || SUPPORTED_LOCALES;
+    this.defaultLocale = options.defaultLocale || DEFAULT_LOCALE;
+  }
+
+  /**
+   * Render the sitemap index, one entry per child sitemap page
+   * @param {string} origin - Site origin
+   * @returns {Promise<string>} XML
+   */
+  async getIndex(origin) {
+    const summaries = await Promise.all(SITEMAP_SECTIONS.map(section => this.getSectionSummary(section)));
+    const sitemaps = [];
+
+    SITEMAP_SECTIONS.forEach((section, index) => {
+      const { count, lastmod } = summaries[index];
+      const pages = Math.ceil(count / this.pageSize);
+      for (let page = 1; page <= pages; page++) {
+        sitemaps.push({ loc: `${origin}${getSitemapPath(section, page)}`, lastmod });
+      }
+    });
+
+    return renderSitemapIndex(sitemaps);
+  }
+
+  /**
+   * Render one child sitemap
+   * @param {string} section - Sitemap section
+   * @param {number} page - 1-based page number
+   * @param {string} origin - Site origin
+   * @returns {Promise<string>} XML
+   */
+  async getSitemap(section, page, origin) {
+    if (!SITEMAP_SECTIONS.includes(section) || !Number.isInteger(page) || page < 1) {
+      throw sitemapError(404, 'Sitemap not found');
+    }
+
+    const entries = await this.getEntries(section, (page - 1) * this.pageSize);
+    // Page 1 always exists so an empty site still has valid sitemaps
+    if (entries.length === 0 && page > 1) {
+      throw sitemapError(404, 'Sitemap not found');
+    }
+
+    return renderUrlSet(entries, { origin, locales: this.locales, defaultLocale: this.defaultLocale });
+  }
+
+  /**
+   * Number of entries in a section and when it last changed
+   * @param {string} section - Sitemap section
+   * @returns {Promise<Object>} { count, lastmod }
+   */
+  async getSectionSummary(section) {
+    if (section === 'pages') {
+      const { lastmod } = await this.getSectionSummary('launches');
+      return { count: STATIC_PAGES.length, lastmod };
+    }
+
+    const column = section === 'badges' ? 'updated_at' : 'lastmod';
+    const query = section === 'badges'
+      ? this.publicBadges(column, { count: 'exact' })
+      : this.supabase.from(`sitemap_${section}`).select(column, { count: 'exact' });
+
+    const { data, count, error } = await query
+      .order(column, { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to summarize ${section} sitemap: ${error.message}`);
+    }
+
+    return { count: count || 0, lastmod: data?.[0]?.[column] || null };
+  }
+
+  /**
+   * Entries of a section, in a stable order so pages don't shift
+   * @param {string} section - Sitemap section
+   * @param {number} offset - Entries to skip
+   * @returns {Promise<Array<Object>>} [{ path, lastmod, changefreq, priority }]
+   */
+  async getEntries(section, offset) {
+    if (section === 'pages') {
+      if (offset > 0) {
+        return [];
+      }
+      const { lastmod } = await this.getSectionSummary('launches');
+      return STATIC_PAGES.map(page => ({ ...page, lastmod }));
+    }
+
+    const to = offset + this.pageSize - 1;
+    let query;
+    switch (section) {
+      case 'launches':
+        query = this.supabase
+          .from('sitemap_launches')
+          .select('id, slug, lastmod')
+          .order('created_at', { ascending: true })
+          .order('id', { ascending: true });
+        break;
+      case 'tags':
+        query = this.supabase
+          .from('sitemap_tags')
+          .select('tag, lastmod')
+          .order('tag', { ascending: true });
+        break;
+      default:
+        query = this.publicBadges('slug, updated_at')
+          .order('sort_order', { ascending: true })
+          .order('slug', { ascending: true });
+    }
+
+    const { data, error } = await query.range(offset, to);
+    if (error) {
+      throw new Error(`Failed to fetch ${section} sitemap: ${error.message}`);
+    }
+
+    const rows = data || [];
+    if (section === 'launches') {
+      return rows.map(row => ({ path: getLaunchPath(row), lastmod: row.lastmod, changefreq: 'daily' }));
+    }
+    if (section === 'tags') {
+      return rows.map(row => ({ path: `/launches?tags=${encodeURIComponent(row.tag)}`, lastmod: row.lastmod, changefreq: 'daily' }));
+    }
+    return rows.map(row => ({ path: `/badges/${row.slug}`, lastmod: row.updated_at, changefreq: 'weekly' }));
+  }
+
+  /**
+   * Query for badge definitions that have public pages
+   * @private
+   */
+  publicBadges(columns, options) {
+    return this.supabase
+      .from('badge_definitions')
+      .select(columns, options)
+      .eq('is_active', true)
+      .eq('is_public', true);
+  }
+}
+
+/**
+ * Create a SitemapService instance
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Service options
+ * @returns {SitemapService} Service instance
+ */
+export function createSitemapService(supabaseClient, options = {}) {
+  return new SitemapService(supabaseClient, options);
+}
+
+/**
+ * SitemapPinger class
+ * Notifies search engines of changed launches: GETs each configured ping URL
+ * with the sitemap URL and submits the launch URLs to IndexNow. Failures are
+ * logged, never thrown.
+ */
+export class SitemapPinger {
+  /**
+   * @param {Object} supabaseClient - Supabase client used to resolve launch slugs
+   * @param {Object} options - Pinger options
+   * @param {string} [options.siteUrl] - Public site origin; pinging is disabled without it
+   * @param {Array<string>} [options.pingUrls] - Ping URL templates containing {sitemap}
+   * @param {string} [options.indexNowKey] - IndexNow key, served at /indexnow.txt
+   * @param {string} [options.indexNowEndpoint] - IndexNow endpoint
+   * @param {number} [options.delay] - Milliseconds to batch notifications for
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {Object} [options.logger] - Logger (defaults to console)
+   */
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient || null;
+    this.siteUrl = (options.siteUrl || '').replace(/\/+$/, '');
+    this.pingUrls = options.pingUrls || [];
+    this.indexNowKey = options.indexNowKey || null;
+    this.indexNowEndpoint = options.indexNowEndpoint || DEFAULT_INDEXNOW_ENDPOINT;
+    this.delay = options.delay ?? DEFAULT_PING_DELAY;
+    this.locales = options.locales || SUPPORTED_LOCALES;
+    this.defaultLocale = options.defaultLocale || DEFAULT_LOCALE;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.logger = options.logger || console;
+
+    this.pending = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Whether there is a site URL and somewhere to ping
+   * @returns {boolean} True when notifications are sent
+   */
+  get enabled() {
+    return Boolean(this.siteUrl && this.supabase && (this.pingUrls.length > 0 || this.indexNowKey));
+  }
+
+  /**
+   * Queue launches that changed; the batch is sent after the delay
+   * @param {Array<string>} submissionIds - Approved or regenerated submission IDs
+   */
+  notify(submissionIds) {
+    if (!this.enabled) {
+      return;
+    }
+
+    for (const id of submissionIds || []) {
+      if (id) {
+        this.pending.add(id);
+      }
+    }
+
+    if (this.pending.size > 0 && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.flush().catch(error => {
+          this.logger.warn('Sitemap ping failed', { error: error.message });
+        });
+      }, this.delay);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Send queued notifications now
+   * @returns {Promise<Object>} { urls, pinged, failed }
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const ids = [...this.pending];
+    this.pending.clear();
+
+    const urls = ids.length > 0 ? await this.getLaunchUrls(ids) : [];
+    // Regenerated launches that aren't public have nothing to announce
+    if (urls.length === 0) {
+      return { urls, pinged: 0, failed: 0 };
+    }
+
+    const sitemapUrl = encodeURIComponent(`${this.siteUrl}/sitemap.xml`);
+    const requests = this.pingUrls.map(template => this.send(template.replace('{sitemap}', sitemapUrl)));
+
+    if (this.indexNowKey) {
+      requests.push(this.send(this.indexNowEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify({
+          host: new URL(this.siteUrl).host,
+          key: this.indexNowKey,
+          keyLocation: `${this.siteUrl}/indexnow.txt`,
+          urlList: urls
+        })
+      }));
+    }
+
+    const results = await Promise.allSettled(requests);
+    const failed = results.filter(result => result.status === 'rejected');
+    for (const failure of failed) {
+      this.logger.warn('Sitemap ping failed', { error: failure.reason.message });
+    }
+
+    return { urls, pinged: results.length - failed.length, failed: failed.length };
+  }
+
+  /**
+   * Localized page URLs of the public launches among the given IDs
+   * @private
+   */
+  async getLaunchUrls(ids) {
+    const { data, error } = await this.supabase
+      .from('sitemap_launches')
+      .select('id, slug')
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(`Failed to fetch launches to ping: ${error.message}`);
+    }
+
+    return (data || []).flatMap(launch =>
+      this.locales.map(locale => `${this.siteUrl}${localizePath(getLaunchPath(launch), locale, this.defaultLocale)}`)
+    );
+  }
+
+  /**
+   * Request a ping URL, failing on non-2xx responses
+   * @private
+   */
+  async send(url, init = {}) {
+    const response = await this.fetch(url, init);
+    if (!response.ok) {
+      throw new Error(`${new URL(url).host} responded ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Create a SitemapPinger configured from the environment
+ * (PUBLIC_SITE_URL, SITEMAP_PING_URLS, INDEXNOW_KEY)
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Pinger options, overriding the environment
+ * @returns {SitemapPinger} Pinger instance
+ */
+export function createSitemapPinger(supabaseClient, options = {}) {
+  return new SitemapPinger(supabaseClient, {
+    siteUrl: process.env.PUBLIC_SITE_URL || process.env.FEDERATION_INSTANCE_URL,
+    pingUrls: (process.env.SITEMAP_PING_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    indexNowKey: process.env.INDEXNOW_KEY,
+    ...options
+  });
+}
+
+let sharedPinger = null;
+
+/**
+ * Shared pinger for the process, so notifications from every caller are
+ * batched together
+ * @param {Object} supabaseClient - Supabase client
+ * @param {Object} options - Pinger options (used when first created)
+ * @returns {SitemapPinger} Shared pinger
+ */
+export function getSitemapPinger(supabaseClient, options = {}) {
+  if (!sharedPinger) {
+    sharedPinger = createSitemapPinger(supabaseClient, options);
+  }
+  return sharedPinger;
+}
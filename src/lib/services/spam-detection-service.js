@@ -4,6 +4,8 @@
  */
 
 import { supabase } from '$lib/config/supabase.js';
+import { tryCanonicalizeUrl } from './url-canonicalizer.js';
+import { createNearDuplicateService, getSubmissionFingerprints } from './near-duplicate-service.js';
 
 /**
  * Spam detection service with content analysis and pattern matching
@@ -135,11 +137,13 @@ class SpamDetectionService {
    */
   async checkDuplicateSubmission(url, metadata = null) {
     try {
-      // Check for exact URL duplicates
+      // Check for URL duplicates in any of their forms (tracking parameters,
+      // www., trailing slashes...); URLs that can't be parsed are compared as is
+      const canonicalUrl = tryCanonicalizeUrl(url);
       const { data: urlDuplicates, error: urlError } = await supabase
         .from('submissions')
         .select('id, url')
-        .eq('url', url)
+        .eq(canonicalUrl ? 'canonical_url' : 'url', canonicalUrl || url)
         .limit(1);
 
       if (urlError) throw urlError;
@@ -154,7 +158,7 @@ class SpamDetectionService {
       }
 
       // Check for content similarity if metadata provided
-      if (metadata && (metadata.title || metadata.description)) {
+      if (metadata && (metadata.title || metadata.description || metadata.images)) {
         const similarityResult = await this.checkContentSimilarity(metadata);
         if (similarityResult.isDuplicate) {
           return similarityResult;
@@ -174,45 +178,25 @@ class SpamDetectionService {
   }
 
   /**
-   * Check content similarity against existing submissions
-   * @param {Object} metadata - Content metadata
-   * @returns {Promise<Object>} Similarity check result
+   * Check content similarity against all existing submissions
+   * Compares locality-sensitive fingerprints (SimHash of the title and
+   * description, difference hash of processed images) through indexed bands,
+   * see near-duplicate-service.js.
+   * @param {Object} metadata - Content metadata (title, description, images)
+   * @returns {Promise<Object>} Similarity check result, with every match in matches
    */
   async checkContentSimilarity(metadata) {
     try {
-      const { data: submissions, error } = await supabase
-        .from('submissions')
-        .select('id, rewritten_meta, original_meta')
-        .not('rewritten_meta', 'is', null)
-        .limit(100); // Check against recent submissions
-
-      if (error) throw error;
-
-      let highestSimilarity = 0;
-      let mostSimilarId = null;
-
-      for (const submission of submissions) {
-        const existingMeta = submission.rewritten_meta || submission.original_meta;
-        if (!existingMeta) continue;
-
-        const similarity = this.calculateTextSimilarity(
-          `${metadata.title || ''} ${metadata.description || ''}`,
-          `${existingMeta.title || ''} ${existingMeta.description || ''}`
-        );
-
-        if (similarity > highestSimilarity) {
-          highestSimilarity = similarity;
-          mostSimilarId = submission.id;
-        }
-      }
-
-      const isDuplicate = highestSimilarity > 0.85; // 85% similarity threshold
+      const matches = await createNearDuplicateService(supabase)
+        .findMatches(getSubmissionFingerprints(metadata, metadata.images));
+      const closest = matches[0] || null;
 
       return {
-        isDuplicate,
-        type: 'content',
-        existingSubmissionId: mostSimilarId,
-        similarity: Math.round(highestSimilarity * 1000) / 1000
+        isDuplicate: matches.length > 0,
+        type: closest?.type === 'image' ? 'image' : 'content',
+        existingSubmissionId: closest?.submissionId || null,
+        similarity: closest?.similarity || 0,
+        matches
       };
 
     } catch (error) {
@@ -3,24 +3,100 @@
  * Handles URL submission workflow including metadata fetching, AI enhancement, and database operations
  */
 
-import { PuppeteerMetadataFetcher } from './puppeteer-metadata-fetcher.js';
+import { createClient } from '@supabase/supabase-js';
 import { SimpleMetadataFetcher } from './simple-metadata-fetcher.js';
+import { getMetadataPipeline } from './metadata-pipeline.js';
 import { createAIRewriter } from './ai-rewriter.js';
 import { createEnhancedAIService } from './enhanced-ai-service.js';
+import { isRobotsBlocked } from './crawl-service.js';
+import { getImageService } from './image-service.js';
+import { canonicalizeUrl, resolveCanonicalUrl } from './url-canonicalizer.js';
+import { getNearDuplicateService, getSubmissionFingerprints } from './near-duplicate-service.js';
+
+/**
+ * Ranked listing sorts
+ * - hot: time-decayed votes (submissions.hot_score)
+ * - new: newest first
+ * - top: most votes within a period
+ */
+export const SUBMISSION_SORTS = ['hot', 'new', 'top'];
+
+// Periods for the "top" sort (null = all time)
+export const TOP_PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// Content languages with their own text search configuration (stemming)
+export const SEARCH_LANGUAGES = ['en', 'es', 'fr', 'de'];
+
+// Orders for full-text search results
+export const SEARCH_SORTS = ['relevance', 'new', 'top', 'hot'];
+
+const HIGHLIGHT_PATTERN = /\[\[hl\]\]([\s\S]*?)\[\[\/hl\]\]/g;
+
+const LIST_COLUMNS = `
+  id,
+  url,
+  rewritten_meta,
+  images,
+  status,
+  created_at,
+  updated_at,
+  published_at,
+  votes_count,
+  comments_count,
+  views_count,
+  slug,
+  tags,
+  category,
+  users!submitted_by (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+/**
+ * Split a search highlight into plain and matched segments so clients can
+ * render matches without injecting HTML
+ * @param {string|null} text - Highlight from search_submissions
+ * @returns {Array<Object>|null} [{ text, match }]
+ */
+export function parseHighlight(text) {
+  if (!text) {
+    return null;
+  }
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const found of text.matchAll(HIGHLIGHT_PATTERN)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[1], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
 
 export class SubmissionService {
   constructor(options = {}) {
     this.supabase = options.supabase;
-    this.metadataFetcher = options.metadataFetcher || new PuppeteerMetadataFetcher({
-      timeout: 30000,
-      waitForTimeout: 3000,
-      enableImages: true, // Enable images for logo and screenshot capture
-      enableCaching: true
-    });
-    this.fallbackMetadataFetcher = options.fallbackMetadataFetcher || new SimpleMetadataFetcher({
-      timeout: 10000,
-      userAgent: 'ADLP-Bot/1.0 (+https://adlp.dev/bot)'
-    });
+    // The shared pipeline escalates from HTML to the browser itself, so it
+    // only needs a fallback fetcher when one is passed in
+    this.metadataFetcher = options.metadataFetcher || getMetadataPipeline();
+    this.fallbackMetadataFetcher = options.fallbackMetadataFetcher || (options.metadataFetcher
+      ? new SimpleMetadataFetcher({ timeout: 10000 })
+      : null);
     this.aiRewriter = options.aiRewriter !== undefined
       ? options.aiRewriter
       : createAIRewriter();
@@ -28,6 +104,12 @@ export class SubmissionService {
       ? options.enhancedAIService
       : (this.aiRewriter ? createEnhancedAIService({ aiRewriter: this.aiRewriter }) : null);
     this.useEnhancedAI = options.useEnhancedAI ?? true;
+    // Downloads and re-encodes scraped images (null when no image storage is configured)
+    this.imageService = options.imageService !== undefined ? options.imageService : getImageService();
+    // Records near-duplicates of new submissions for moderators (service role)
+    this.nearDuplicateService = options.nearDuplicateService !== undefined
+      ? options.nearDuplicateService
+      : (this.supabase ? getNearDuplicateService() : null);
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
     this.useFallback = options.useFallback ?? true;
@@ -72,16 +154,19 @@ export class SubmissionService {
   }
 
   /**
-   * Checks if URL has already been submitted
+   * Checks if URL has already been submitted, in any of its forms
+   * (compares canonical URLs, see url-canonicalizer.js)
    * @param {string} url - The URL to check
    * @returns {Promise<Object|null>} Existing submission or null
    */
   async checkDuplicateUrl(url) {
+    const canonicalUrl = canonicalizeUrl(url);
+
     try {
       const { data, error } = await this.supabase
         .from('submissions')
-        .select('id, url, status, created_at')
-        .eq('url', url)
+        .select('id, url, canonical_url, status, created_at')
+        .eq('canonical_url', canonicalUrl)
         .single();
 
       if (error && error.code !== 'PGRST116') {
@@ -100,12 +185,18 @@ export class SubmissionService {
   /**
    * Creates a new submission
    * @param {Object} submissionData - The submission data
-   * @param {string} userId - The authenticated user ID
+   * @param {string|null} userId - The authenticated user ID (null for federated submissions)
+   * @param {Object} [options] - Creation options
+   * @param {string} [options.sourceInstance] - Base URL of the federated instance that sent the submission
    * @returns {Promise<Object>} The created submission
    */
-  async createSubmission(submissionData, userId) {
+  async createSubmission(submissionData, userId, options = {}) {
+    const { sourceInstance = null } = options;
+
     // Validate input
-    this.validateAuthentication(userId);
+    if (!sourceInstance) {
+      this.validateAuthentication(userId);
+    }
     this.validateSubmissionData(submissionData);
 
     const { url } = submissionData;
@@ -117,31 +208,65 @@ export class SubmissionService {
         throw new Error('URL has already been submitted');
       }
 
-      // Fetch metadata from URL
-      const originalMetadata = await this.fetchMetadataWithRetry(url);
+      // Fetch metadata from URL. When robots.txt blocks it the submission is
+      // still created, flagged so moderators review it without fetched details.
+      let originalMetadata;
+      let crawlBlock = null;
+      try {
+        originalMetadata = await this.fetchMetadataWithRetry(url);
+      } catch (error) {
+        if (!isRobotsBlocked(error)) {
+          throw error;
+        }
+        crawlBlock = error;
+        originalMetadata = this.buildBlockedMetadata(url);
+      }
 
-      // Generate AI-enhanced content
-      const enhancedMetadata = this.useEnhancedAI
-        ? await this.enhanceMetadataWithRetry(originalMetadata)
-        : await this.rewriteMetadataWithRetry(originalMetadata);
+      // Short links and alternate hosts only resolve to the site once fetched
+      const canonicalUrl = resolveCanonicalUrl(url, originalMetadata);
+      if (canonicalUrl !== canonicalizeUrl(url) && await this.checkDuplicateUrl(canonicalUrl)) {
+        throw new Error('URL has already been submitted');
+      }
+
+      // Generate AI-enhanced content (there is nothing to rewrite for a blocked page)
+      const enhancedMetadata = crawlBlock
+        ? originalMetadata
+        : this.useEnhancedAI
+          ? await this.enhanceMetadataWithRetry(originalMetadata)
+          : await this.rewriteMetadataWithRetry(originalMetadata);
 
       // Prepare submission data
       const submissionRecord = {
         url,
+        canonical_url: canonicalUrl,
         original_meta: originalMetadata,
         rewritten_meta: this.useEnhancedAI ? enhancedMetadata : enhancedMetadata,
         ai_analysis: this.useEnhancedAI ? enhancedMetadata.aiEnhancements : null,
-        submitted_by: userId,
+        submitted_by: userId || null,
         status: 'pending',
         tags: enhancedMetadata.tags || [],
-        images: {
-          main: originalMetadata.images?.[0]?.url || originalMetadata.image,
-          favicon: originalMetadata.favicons?.[0]?.url || originalMetadata.favicon,
-          all: originalMetadata.images || [],
-          favicons: originalMetadata.favicons || []
-        }
+        language: SEARCH_LANGUAGES.includes(submissionData.language) ? submissionData.language : 'en',
+        images: await this.processImages(originalMetadata)
       };
 
+      // A blocked page has no copy or images of its own to compare
+      Object.assign(submissionRecord, getSubmissionFingerprints(
+        crawlBlock ? {} : originalMetadata,
+        crawlBlock ? null : submissionRecord.images
+      ));
+
+      if (crawlBlock) {
+        submissionRecord.crawl_status = 'blocked_by_robots';
+        submissionRecord.crawl_message = crawlBlock.message;
+        submissionRecord.crawl_checked_at = new Date().toISOString();
+      }
+
+      if (sourceInstance) {
+        submissionRecord.is_federated = true;
+        submissionRecord.source_instance = sourceInstance;
+        submissionRecord.federated_at = new Date().toISOString();
+      }
+
       // Insert into database
       const { data, error } = await this.supabase
         .from('submissions')
@@ -156,34 +281,61 @@ export class SubmissionService {
         throw new Error(`Failed to create submission: ${error.message}`);
       }
 
+      if (submissionRecord.content_simhash || submissionRecord.image_phash) {
+        await this.recordNearDuplicates(data.id);
+      }
+
       return data;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Records a new submission's near-duplicates for moderators
+   * A failed lookup doesn't fail the submission.
+   * @param {string} submissionId - The stored submission's ID
+   * @returns {Promise<number>} Number of matches recorded
+   */
+  async recordNearDuplicates(submissionId) {
+    if (!this.nearDuplicateService) {
+      return 0;
+    }
+
+    try {
+      const count = await this.nearDuplicateService.recordMatches(submissionId);
+      if (count > 0) {
+        console.log(`[SubmissionService] Submission ${submissionId} looks like ${count} earlier submission(s)`);
+      }
+      return count;
+    } catch (error) {
+      console.warn(`[SubmissionService] Near-duplicate check failed for submission ${submissionId}:`, error.message);
+      return 0;
+    }
+  }
+
   /**
    * Fetches metadata with retry logic and fallback mechanism
    * @param {string} url - The URL to fetch metadata from
    * @returns {Promise<Object>} The fetched metadata
    */
   async fetchMetadataWithRetry(url) {
-    let lastPuppeteerError;
+    let lastPrimaryError;
     let lastFallbackError;
     
-    // First, try with Puppeteer (primary method)
+    // First, try the primary fetcher (the metadata pipeline by default)
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        console.log(`[SubmissionService] Attempting Puppeteer fetch (attempt ${attempt}/${this.maxRetries}) for URL: ${url}`);
+        console.log(`[SubmissionService] Attempting primary fetch (attempt ${attempt}/${this.maxRetries}) for URL: ${url}`);
         const metadata = await this.metadataFetcher.fetchMetadata(url);
-        console.log(`[SubmissionService] Puppeteer fetch successful for URL: ${url}`);
+        console.log(`[SubmissionService] Primary fetch successful for URL: ${url}`);
         return metadata;
       } catch (error) {
-        lastPuppeteerError = error;
-        console.warn(`[SubmissionService] Puppeteer fetch failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
+        lastPrimaryError = error;
+        console.warn(`[SubmissionService] Primary fetch failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
         
-        // Don't retry on validation errors
-        if (error.message.includes('Invalid URL') || error.message.includes('not allowed')) {
+        // Don't retry on validation errors or robots.txt blocks
+        if (error.message.includes('Invalid URL') || error.message.includes('not allowed') || isRobotsBlocked(error)) {
           throw error;
         }
 
@@ -193,9 +345,9 @@ export class SubmissionService {
       }
     }
 
-    // If Puppeteer fails and fallback is enabled, try the simple fetcher
+    // If the primary fetcher fails and a fallback is configured, try the simple fetcher
     if (this.useFallback && this.fallbackMetadataFetcher) {
-      console.log(`[SubmissionService] Puppeteer failed, attempting fallback fetch for URL: ${url}`);
+      console.log(`[SubmissionService] Primary fetch failed, attempting fallback fetch for URL: ${url}`);
       
       for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
         try {
@@ -204,15 +356,15 @@ export class SubmissionService {
           
           // Add a flag to indicate this was fetched via fallback
           metadata.fetchMethod = 'fallback';
-          metadata.puppeteerError = lastPuppeteerError.message;
+          metadata.primaryError = lastPrimaryError.message;
           
           return metadata;
         } catch (error) {
           lastFallbackError = error;
           console.warn(`[SubmissionService] Fallback fetch failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
           
-          // Don't retry on validation errors
-          if (error.message.includes('Invalid URL') || error.message.includes('not allowed')) {
+          // Don't retry on validation errors or robots.txt blocks
+          if (error.message.includes('Invalid URL') || error.message.includes('not allowed') || isRobotsBlocked(error)) {
             throw error;
           }
 
@@ -225,13 +377,60 @@ export class SubmissionService {
 
     // If both methods fail, throw a comprehensive error
     const errorMessage = this.useFallback && lastFallbackError
-      ? `Both Puppeteer and fallback methods failed. Puppeteer: ${lastPuppeteerError.message}. Fallback: ${lastFallbackError.message}`
-      : `Puppeteer failed after ${this.maxRetries} attempts: ${lastPuppeteerError.message}`;
+      ? `Both primary and fallback methods failed. Primary: ${lastPrimaryError.message}. Fallback: ${lastFallbackError.message}`
+      : `Metadata fetch failed after ${this.maxRetries} attempts: ${lastPrimaryError.message}`;
     
     console.error(`[SubmissionService] All metadata fetch attempts failed for URL: ${url}`, errorMessage);
     throw new Error(errorMessage);
   }
 
+  /**
+   * Build submissions.images for fetched metadata. With an image service the
+   * images are downloaded and stored as responsive variants (and screenshots
+   * re-encoded); otherwise, or when that fails, the scraped URLs are kept.
+   * @param {Object} metadata - The fetched metadata (screenshots are updated in place)
+   * @returns {Promise<Object>} { main, favicon, all, favicons, ... }
+   */
+  async processImages(metadata) {
+    const scraped = {
+      main: metadata.images?.[0]?.url || metadata.image,
+      favicon: metadata.favicons?.[0]?.url || metadata.favicon,
+      all: metadata.images || [],
+      favicons: metadata.favicons || []
+    };
+
+    if (!this.imageService || metadata.crawlBlocked) {
+      return scraped;
+    }
+
+    try {
+      if (metadata.screenshots?.length) {
+        metadata.screenshots = await this.imageService.processScreenshots(metadata.screenshots);
+      }
+      return await this.imageService.buildSubmissionImages(metadata);
+    } catch (error) {
+      console.warn(`[SubmissionService] Image processing failed for URL: ${metadata.url}`, error.message);
+      return scraped;
+    }
+  }
+
+  /**
+   * Placeholder metadata for a page robots.txt doesn't let us fetch
+   * @param {string} url - Submitted URL
+   * @returns {Object} Metadata with the host as title and no fetched details
+   */
+  buildBlockedMetadata(url) {
+    return {
+      url,
+      title: new URL(url).hostname,
+      description: '',
+      tags: [],
+      images: [],
+      favicons: [],
+      crawlBlocked: true
+    };
+  }
+
   /**
    * Rewrites metadata with retry logic
    * @param {Object} metadata - The original metadata
@@ -318,32 +517,25 @@ export class SubmissionService {
       search = '',
       sortBy = 'created_at',
       sortOrder = 'desc',
-      submitted_by = null
+      sort = null,
+      period = 'week',
+      submitted_by = null,
+      source_instance = null,
+      category = null,
+      since = null,
+      until = null,
+      facets = false
     } = options;
 
+    // Text queries, categories, date ranges and facets need the search index
+    if (search || category || since || until || facets) {
+      return this.searchSubmissions(options);
+    }
+
     try {
       let query = this.supabase
         .from('submissions')
-        .select(`
-          id,
-          url,
-          rewritten_meta,
-          images,
-          status,
-          created_at,
-          published_at,
-          votes_count,
-          comments_count,
-          views_count,
-          slug,
-          tags,
-          users!submitted_by (
-            id,
-            username,
-            full_name,
-            avatar_url
-          )
-        `, { count: 'exact' });
+        .select(LIST_COLUMNS, { count: 'exact' });
 
       // Filter by status
       if (status && status !== 'all') {
@@ -359,18 +551,34 @@ export class SubmissionService {
         query = query.eq('submitted_by', submitted_by);
       }
 
+      // Filter by the federated instance a launch came from
+      if (source_instance) {
+        query = query.eq('source_instance', source_instance);
+      }
+
       // Filter by tags
       if (tags.length > 0) {
         query = query.overlaps('tags', tags);
       }
 
-      // Search in title and description
-      if (search) {
-        query = query.or(`rewritten_meta->>title.ilike.%${search}%,rewritten_meta->>description.ilike.%${search}%`);
-      }
-
       // Apply sorting
-      query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+      if (sort === 'hot') {
+        query = query
+          .order('hot_score', { ascending: false, nullsFirst: false })
+          .order('created_at', { ascending: false });
+      } else if (sort === 'top') {
+        const periodMs = Object.hasOwn(TOP_PERIODS, period) ? TOP_PERIODS[period] : TOP_PERIODS.week;
+        if (periodMs) {
+          query = query.gte('created_at', new Date(Date.now() - periodMs).toISOString());
+        }
+        query = query
+          .order('votes_count', { ascending: false })
+          .order('created_at', { ascending: false });
+      } else if (sort === 'new') {
+        query = query.order('created_at', { ascending: false });
+      } else {
+        query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+      }
 
       // Apply pagination
       const offset = (page - 1) * limit;
@@ -396,6 +604,148 @@ export class SubmissionService {
     }
   }
 
+  /**
+   * Full-text search over submissions with filters, highlights and facets
+   * Matches title, descriptions (original and AI-rewritten), tags and category,
+   * stemmed per submission language, with trigram typo tolerance.
+   * @param {Object} options - getSubmissions options plus:
+   * @param {string} [options.category] - AI-detected category
+   * @param {string} [options.since] - Created at or after (ISO date)
+   * @param {string} [options.until] - Created before (ISO date)
+   * @param {boolean} [options.facets] - Include facet counts when not searching
+   * @returns {Promise<Object>} { data, pagination, facets }
+   */
+  async searchSubmissions(options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      facets = false
+    } = options;
+
+    const filters = this.buildSearchFilters(options);
+    const offset = (page - 1) * limit;
+
+    const [results, facetCounts] = await Promise.all([
+      this.supabase.rpc('search_submissions', {
+        ...filters,
+        p_sort: this.getSearchSort(options),
+        p_limit: limit,
+        p_offset: offset
+      }),
+      search || facets
+        ? this.supabase.rpc('search_submission_facets', filters)
+        : Promise.resolve({ data: null, error: null })
+    ]);
+
+    if (results.error) {
+      throw new Error(`Failed to search submissions: ${results.error.message}`);
+    }
+    if (facetCounts.error) {
+      throw new Error(`Failed to count search facets: ${facetCounts.error.message}`);
+    }
+
+    const matches = results.data || [];
+    const total = matches.length > 0 ? Number(matches[0].total_count) : 0;
+    let data = [];
+
+    if (matches.length > 0) {
+      const { data: rows, error } = await this.supabase
+        .from('submissions')
+        .select(LIST_COLUMNS)
+        .in('id', matches.map(match => match.id));
+
+      if (error) {
+        throw new Error(`Failed to fetch submissions: ${error.message}`);
+      }
+
+      const rowsById = new Map((rows || []).map(row => [row.id, row]));
+      data = matches
+        .filter(match => rowsById.has(match.id))
+        .map(match => ({
+          ...rowsById.get(match.id),
+          search: search
+            ? {
+                rank: match.rank,
+                title: parseHighlight(match.title_highlight),
+                snippet: parseHighlight(match.snippet)
+              }
+            : null
+        }));
+    }
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      },
+      facets: facetCounts.data || null
+    };
+  }
+
+  /**
+   * Map getSubmissions options to search RPC filter arguments
+   * @param {Object} options - Query options
+   * @returns {Object} RPC arguments shared by search and facet queries
+   */
+  buildSearchFilters(options) {
+    const {
+      status = 'approved',
+      tags = [],
+      search = '',
+      category = null,
+      since = null,
+      until = null,
+      sort = null,
+      period = 'week',
+      submitted_by = null
+    } = options;
+
+    let statuses = null;
+    if (status && status !== 'all') {
+      statuses = Array.isArray(status) ? status : [status];
+    }
+
+    // "Top" is ranked within its period unless an explicit range is given
+    let sinceDate = since;
+    if (!sinceDate && sort === 'top') {
+      const periodMs = Object.hasOwn(TOP_PERIODS, period) ? TOP_PERIODS[period] : TOP_PERIODS.week;
+      if (periodMs) {
+        sinceDate = new Date(Date.now() - periodMs).toISOString();
+      }
+    }
+
+    return {
+      p_query: search ? search.trim().slice(0, 200) : null,
+      p_tags: tags.length > 0 ? tags : null,
+      p_category: category || null,
+      p_statuses: statuses,
+      p_submitted_by: submitted_by || null,
+      p_since: sinceDate || null,
+      p_until: until || null
+    };
+  }
+
+  /**
+   * Pick the search result order
+   * @param {Object} options - Query options
+   * @returns {string} One of SEARCH_SORTS
+   */
+  getSearchSort(options) {
+    const { search = '', sort = null, sortBy = 'created_at' } = options;
+
+    if (SEARCH_SORTS.includes(sort)) {
+      return sort;
+    }
+    if (search) {
+      return 'relevance';
+    }
+    return sortBy === 'votes_count' ? 'top' : 'new';
+  }
+
   /**
    * Gets a submission by ID and increments view count
    * @param {string} submissionId - The submission ID
@@ -434,6 +784,76 @@ export class SubmissionService {
     }
   }
 
+  /**
+   * Gets one of a submitter's own submissions, in any status, without
+   * counting a view (for API clients polling their launches)
+   * @param {string} submissionId - The submission ID
+   * @param {string} userId - The authenticated user ID
+   * @returns {Promise<Object>} The submission
+   */
+  async getOwnSubmission(submissionId, userId) {
+    this.validateAuthentication(userId);
+
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select('*')
+      .eq('id', submissionId)
+      .eq('submitted_by', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Submission not found');
+      }
+      throw new Error(`Failed to fetch submission: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Views, votes and comments across a submitter's launches
+   * @param {string} userId - The authenticated user ID
+   * @returns {Promise<Object>} { totals: { submissions, views, votes, comments, by_status }, launches }
+   */
+  async getSubmitterAnalytics(userId) {
+    this.validateAuthentication(userId);
+
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select('id, url, slug, status, rewritten_meta, views_count, votes_count, comments_count, created_at, published_at')
+      .eq('submitted_by', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch analytics: ${error.message}`);
+    }
+
+    const totals = { submissions: 0, views: 0, votes: 0, comments: 0, by_status: {} };
+    const launches = (data || []).map(submission => {
+      totals.submissions++;
+      totals.views += submission.views_count || 0;
+      totals.votes += submission.votes_count || 0;
+      totals.comments += submission.comments_count || 0;
+      totals.by_status[submission.status] = (totals.by_status[submission.status] || 0) + 1;
+
+      return {
+        id: submission.id,
+        url: submission.url,
+        slug: submission.slug || null,
+        title: submission.rewritten_meta?.title || null,
+        status: submission.status,
+        views: submission.views_count || 0,
+        votes: submission.votes_count || 0,
+        comments: submission.comments_count || 0,
+        created_at: submission.created_at,
+        published_at: submission.published_at
+      };
+    });
+
+    return { totals, launches };
+  }
+
   /**
    * Increments the view count for a submission
    * @param {string} submissionId - The submission ID
@@ -543,3 +963,28 @@ export class SubmissionService {
 export function createSubmissionService(options = {}) {
   return new SubmissionService(options);
 }
+
+let apiSubmissionService;
+
+/**
+ * Shared SubmissionService for the v1 API, on the service role
+ * (SUPABASE_SERVICE_ROLE_KEY). API keys carry no user session for row-level
+ * security, so callers must scope every query to the key owner's user id.
+ * @returns {SubmissionService|null} Service, or null when not configured
+ */
+export function getApiSubmissionService() {
+  if (apiSubmissionService === undefined) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+
+    apiSubmissionService = serviceRoleKey && supabaseUrl
+      ? new SubmissionService({
+        supabase: createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } }),
+        useEnhancedAI: false,
+        aiRewriter: null,
+        enhancedAIService: null
+      })
+      : null;
+  }
+  return apiSubmissionService;
+}
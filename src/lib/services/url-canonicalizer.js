@@ -0,0 +1,134 @@
+/**
+ * URL Canonicalizer
+ * One form for the many ways of writing a launch's URL, so duplicate checks
+ * catch `https://Foo.com/?utm_source=x`, `http://www.foo.com`, `foo.com/` and
+ * short links that redirect to the same site:
+ * - https scheme, lowercase punycode host without www., credentials or a default port
+ * - no trailing slashes, fragment or tracking parameters; other parameters sorted
+ * - once the page is fetched, its final redirect target and rel=canonical
+ *   (see resolveCanonicalUrl)
+ * submissions.canonical_url stores the result next to the URL as submitted
+ * (see 039_canonical_urls.sql).
+ */
+
+import { URL } from 'url';
+
+// Query parameters that only track where a visitor came from
+export const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'gclsrc',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'ttclid',
+  'igshid',
+  'li_fat_id',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  'ref',
+  'ref_src'
+]);
+
+export const TRACKING_PARAM_PREFIXES = ['utm_', 'mtm_', 'pk_', 'hsa_', '_hs'];
+
+const SCHEME_PATTERN = /^[a-z][a-z\d+.-]*:\/\//i;
+
+/**
+ * Whether a query parameter only tracks the visit
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for tracking parameters
+ */
+export function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Canonical form of a URL
+ * URLs without a scheme are read as https.
+ * @param {string} input - URL as submitted
+ * @returns {string} Canonical URL
+ * @throws {Error} If the input is not an HTTP(S) URL
+ */
+export function canonicalizeUrl(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) {
+    throw new Error('URL is required');
+  }
+
+  let url;
+  try {
+    url = new URL(SCHEME_PATTERN.test(text) ? text : `https://${text.replace(/^\/+/, '')}`);
+  } catch {
+    throw new Error('Invalid URL format');
+  }
+
+  if ((url.protocol !== 'http:' && url.protocol !== 'https:') || !url.hostname) {
+    throw new Error('Invalid URL format');
+  }
+
+  // Hosts are already lowercase and punycode-encoded by the URL parser;
+  // switching the scheme drops a port that is https's default
+  url.protocol = 'https:';
+  url.username = '';
+  url.password = '';
+
+  const hostname = url.hostname.replace(/\.$/, '');
+  url.hostname = /^www\.[^.]+\./.test(hostname) ? hostname.slice(4) : hostname;
+
+  url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+  const params = [...url.searchParams]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  url.search = new URLSearchParams(params).toString();
+  url.hash = '';
+
+  return url.toString();
+}
+
+/**
+ * Canonical form of a URL, or null when it can't be canonicalized
+ * @param {string} input - URL
+ * @returns {string|null} Canonical URL
+ */
+export function tryCanonicalizeUrl(input) {
+  try {
+    return canonicalizeUrl(input);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Canonical URL of a fetched page
+ * Starts from the final redirect target (metadata.url) and adopts the page's
+ * rel=canonical when it stays on the same host. Cross-site canonicals are
+ * ignored so a page can't claim another site's launch, as are deeper pages
+ * declaring the home page canonical, which client-rendered sites often do
+ * on every page.
+ * @param {string} url - URL as submitted
+ * @param {Object} [metadata] - Fetched metadata ({ url, canonicalUrl })
+ * @returns {string} Canonical URL
+ */
+export function resolveCanonicalUrl(url, metadata = {}) {
+  const target = tryCanonicalizeUrl(metadata?.url) || canonicalizeUrl(url);
+  const declared = tryCanonicalizeUrl(metadata?.canonicalUrl);
+  if (!declared) {
+    return target;
+  }
+
+  const targetUrl = new URL(target);
+  const declaredUrl = new URL(declared);
+  if (declaredUrl.host !== targetUrl.host || (declaredUrl.pathname === '/' && targetUrl.pathname !== '/')) {
+    return target;
+  }
+
+  return declared;
+}
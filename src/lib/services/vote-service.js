@@ -0,0 +1,294 @@
+/**
+ * Vote Service
+ *
+ * Upvotes and unvotes launches. One vote per user per submission is enforced by
+ * the votes table's unique constraint; submissions.votes_count and hot_score are
+ * kept in sync by database triggers. Votes pass through abuse safeguards first:
+ * voting velocity (SpamDetectionService.analyzeBehaviorPattern), IP reputation
+ * (IpProtectionService.checkIpBlacklist) and a cap on votes per IP per launch.
+ */
+
+export const VOTABLE_STATUSES = ['approved', 'published'];
+
+/**
+ * Create an error carrying an HTTP status for the route to surface
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function voteError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * VoteService class for casting and removing votes on submissions
+ */
+export class VoteService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.spamDetectionService = options.spamDetectionService || null;
+    this.ipProtectionService = options.ipProtectionService || null;
+    this.maxVotesPerIp = options.maxVotesPerIp || 3;
+    this.ipWindowMs = options.ipWindowMs || 24 * 60 * 60 * 1000; // 24 hours
+    this.suspiciousVelocityLimit = options.suspiciousVelocityLimit || 5;
+  }
+
+  /**
+   * Upvote a submission
+   * @param {string} submissionId - Submission ID
+   * @param {string} userId - Voting user ID
+   * @param {Object} context - Request context
+   * @param {string} context.ipAddress - Voter IP address
+   * @param {string} context.userAgent - Voter user agent
+   * @returns {Promise<Object>} { submission_id, voted, already_voted, votes_count }
+   */
+  async upvote(submissionId, userId, context = {}) {
+    if (!userId) {
+      throw voteError(401, 'Authentication required');
+    }
+
+    await this._getVotableSubmission(submissionId);
+
+    const existing = await this._getVote(submissionId, userId);
+    if (existing) {
+      return this._result(submissionId, true, true);
+    }
+
+    await this.checkVoteAbuse(submissionId, userId, context.ipAddress);
+
+    const { error } = await this.supabase
+      .from('votes')
+      .insert({
+        submission_id: submissionId,
+        user_id: userId,
+        vote_type: 'up'
+      });
+
+    // A concurrent request from the same user already inserted the vote
+    if (error && error.code !== '23505') {
+      throw new Error(`Failed to record vote: ${error.message}`);
+    }
+
+    if (!error && (context.ipAddress || context.userAgent)) {
+      await this._recordVoteAudit(submissionId, context);
+    }
+
+    return this._result(submissionId, true, !!error);
+  }
+
+  /**
+   * Remove a user's vote from a submission
+   * @param {string} submissionId - Submission ID
+   * @param {string} userId - Voting user ID
+   * @returns {Promise<Object>} { submission_id, voted, votes_count }
+   */
+  async unvote(submissionId, userId) {
+    if (!userId) {
+      throw voteError(401, 'Authentication required');
+    }
+
+    const { error } = await this.supabase
+      .from('votes')
+      .delete()
+      .eq('submission_id', submissionId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to remove vote: ${error.message}`);
+    }
+
+    return this._result(submissionId, false, false);
+  }
+
+  /**
+   * Find which of the given submissions a user has voted for
+   * @param {string} userId - User ID
+   * @param {Array<string>} submissionIds - Submission IDs
+   * @returns {Promise<Set<string>>} IDs the user voted for
+   */
+  async getVotedSubmissionIds(userId, submissionIds) {
+    if (!userId || !submissionIds?.length) {
+      return new Set();
+    }
+
+    const { data, error } = await this.supabase
+      .from('votes')
+      .select('submission_id')
+      .eq('user_id', userId)
+      .in('submission_id', submissionIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch votes: ${error.message}`);
+    }
+
+    return new Set((data || []).map(vote => vote.submission_id));
+  }
+
+  /**
+   * Current vote count of a launch, for anonymous readers (e.g. embedded cards)
+   * @param {string} submissionId - Submission ID
+   * @returns {Promise<Object>} { submission_id, votes_count }
+   * @throws {Error} With status 404 unless the submission is approved or published
+   */
+  async getVoteCount(submissionId) {
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select('id, votes_count')
+      .eq('id', submissionId)
+      .in('status', VOTABLE_STATUSES)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch vote count: ${error.message}`);
+    }
+
+    if (!data) {
+      throw voteError(404, 'Submission not found');
+    }
+
+    return { submission_id: data.id, votes_count: data.votes_count ?? 0 };
+  }
+
+  /**
+   * Reject votes that look like abuse
+   * Checks fail open: if a safeguard errors, the vote is allowed.
+   * @param {string} submissionId - Submission ID
+   * @param {string} userId - Voting user ID
+   * @param {string} ipAddress - Voter IP address
+   * @throws {Error} With status 403 or 429 when the vote is refused
+   */
+  async checkVoteAbuse(submissionId, userId, ipAddress) {
+    let suspiciousIp = false;
+
+    if (ipAddress && this.ipProtectionService) {
+      const ipCheck = await this.ipProtectionService.checkIpBlacklist(ipAddress);
+      if (ipCheck.isBlocked) {
+        throw voteError(403, 'Voting is not allowed from this network');
+      }
+      suspiciousIp = ipCheck.reputation === 'suspicious';
+    }
+
+    if (this.spamDetectionService) {
+      try {
+        const behavior = await this.spamDetectionService.analyzeBehaviorPattern(userId, 'voting');
+        if (behavior.isSpam || (suspiciousIp && behavior.activityCount >= this.suspiciousVelocityLimit)) {
+          throw voteError(429, 'You are voting too quickly. Please try again later.');
+        }
+      } catch (error) {
+        if (error.status) {
+          throw error;
+        }
+        console.warn('Vote velocity check failed:', error.message);
+      }
+    }
+
+    if (ipAddress) {
+      const since = new Date(Date.now() - this.ipWindowMs).toISOString();
+      // Voter IPs are private (vote_audit), so the count goes through a function
+      const { data: count, error } = await this.supabase.rpc('count_recent_votes_from_ip', {
+        p_submission_id: submissionId,
+        p_ip_address: ipAddress,
+        p_since: since
+      });
+
+      if (error) {
+        console.warn('Vote IP check failed:', error.message);
+      } else if ((count || 0) >= this.maxVotesPerIp) {
+        throw voteError(429, 'Too many votes for this launch from your network');
+      }
+    }
+  }
+
+  /**
+   * Record the network a vote came from for later abuse checks
+   * A failure is logged; the vote stands.
+   * @private
+   */
+  async _recordVoteAudit(submissionId, context) {
+    const { error } = await this.supabase.rpc('record_vote_audit', {
+      p_submission_id: submissionId,
+      p_ip_address: context.ipAddress || null,
+      p_user_agent: context.userAgent || null
+    });
+
+    if (error) {
+      console.warn('Failed to record vote audit:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getVotableSubmission(submissionId) {
+    const { data, error } = await this.supabase
+      .from('submissions')
+      .select('id, status, votes_count')
+      .eq('id', submissionId)
+      .single();
+
+    if (error || !data) {
+      throw voteError(404, 'Submission not found');
+    }
+
+    if (!VOTABLE_STATUSES.includes(data.status)) {
+      throw voteError(400, 'Only approved launches can be voted on');
+    }
+
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  async _getVote(submissionId, userId) {
+    const { data, error } = await this.supabase
+      .from('votes')
+      .select('id')
+      .eq('submission_id', submissionId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch vote: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Build a vote result with the current denormalized count
+   * @private
+   */
+  async _result(submissionId, voted, alreadyVoted) {
+    const { data } = await this.supabase
+      .from('submissions')
+      .select('votes_count')
+      .eq('id', submissionId)
+      .single();
+
+    const result = {
+      submission_id: submissionId,
+      voted,
+      votes_count: data?.votes_count ?? 0
+    };
+
+    if (voted) {
+      result.already_voted = alreadyVoted;
+    }
+
+    return result;
+  }
+}
+
+// Export service instance factory
+export function createVoteService(supabaseClient, options = {}) {
+  return new VoteService(supabaseClient, options);
+}
+
+export default VoteService;
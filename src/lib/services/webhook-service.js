@@ -0,0 +1,949 @@
+/**
+ * Webhook Service
+ *
+ * Manages outgoing webhook subscriptions and their deliveries.
+ * Deliveries are HMAC-SHA256 signed, retried with exponential backoff,
+ * recorded in webhook_deliveries and can be replayed manually. Retries are
+ * picked up by WebhookRetryWorker, so they survive restarts.
+ *
+ * Webhook URLs may not point at private, loopback or link-local addresses:
+ * literal hosts are refused and host names resolved at registration, and
+ * deliveries connect through the guarded lookup of ImageService, which also
+ * covers DNS answers that change later.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import fetch from 'node-fetch';
+import cron from 'node-cron';
+import { createGuardedLookup } from './image-service.js';
+import { isPrivateIP } from './metadata-fetcher.js';
+
+/**
+ * Supported event types
+ * Public events go to every subscribed webhook; private events only reach
+ * webhooks owned by the user the event concerns.
+ */
+export const WEBHOOK_EVENTS = {
+  'submission.approved': { public: true, description: 'A submission was approved by a moderator' },
+  'submission.rejected': { public: false, description: 'A submission was rejected by a moderator' },
+  'payment.succeeded': { public: false, description: 'A payment completed successfully' },
+  'federation.status_changed': { public: true, description: 'A federation instance changed status' },
+  'badge.awarded': { public: true, description: 'A badge was awarded to a user' }
+};
+
+export const SIGNATURE_HEADER = 'X-LaunchPadder-Signature';
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value in the form "t=<timestamp>,v1=<hex digest>"
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a signature header (for receivers and tests)
+ * @param {string} secret - Webhook secret
+ * @param {string} header - X-LaunchPadder-Signature header value
+ * @param {string} body - Raw JSON body
+ * @param {number} [toleranceSeconds=300] - Maximum age of the signature
+ * @returns {boolean} True if the signature is valid and fresh
+ */
+export function verifyWebhookSignature(secret, header, body, toleranceSeconds = 300) {
+  if (!header) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Resolve the webhook owner for an authenticated API v1 caller
+ * @param {Object|null} auth - locals.auth set by the API v1 middleware
+ * @returns {Object|null} { partner_id } or { user_id }, or null when unauthenticated
+ */
+export function getWebhookOwner(auth) {
+  if (auth?.type === 'federation_partner' && auth.partner?.id) {
+    return { partner_id: auth.partner.id };
+  }
+
+  if (auth?.user?.id) {
+    return { user_id: auth.user.id };
+  }
+
+  return null;
+}
+
+/**
+ * Create an error for invalid caller input (surfaced as HTTP 400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 400
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check whether a URL host is localhost or a private IP address
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} True if deliveries must not go there
+ */
+function isPrivateHostname(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateIP(host);
+}
+
+/**
+ * WebhookService class for managing subscriptions and deliveries
+ */
+export class WebhookService {
+  constructor(supabaseClient, options = {}) {
+    if (!supabaseClient) {
+      throw new Error('Supabase client is required');
+    }
+
+    this.supabase = supabaseClient;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseDelay = options.retryBaseDelay || 30000; // 30 seconds
+    this.maxRetryDelay = options.maxRetryDelay || 6 * 60 * 60 * 1000; // 6 hours
+    this.maxResponseBodyLength = 2000;
+    this.maxWebhooksPerOwner = options.maxWebhooksPerOwner || 20;
+    // Schedule in-process retries on top of the worker's; disable to leave them to the worker
+    this.scheduleRetries = options.scheduleRetries ?? true;
+    this.fetchImpl = options.fetch || fetch;
+    // Private addresses are allowed outside production, for local receivers
+    this.allowPrivateHosts = options.allowPrivateHosts ?? process.env.NODE_ENV !== 'production';
+    this.lookup = options.lookup || dns.lookup;
+
+    const lookup = createGuardedLookup(this.lookup);
+    this.agents = {
+      'http:': new http.Agent({ lookup }),
+      'https:': new https.Agent({ lookup })
+    };
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @param {Object} webhookData - Webhook data
+   * @param {string} webhookData.url - Endpoint URL
+   * @param {Array<string>} webhookData.events - Event types to subscribe to
+   * @param {string} [webhookData.description] - Optional description
+   * @returns {Promise<Object>} Created webhook including its secret (only returned here)
+   */
+  async createWebhook(owner, webhookData) {
+    this._validateOwner(owner);
+    this._validateWebhookData(webhookData);
+    await this._assertPublicHost(webhookData.url);
+
+    const { count, error: countError } = await this._scopeToOwner(
+      this.supabase.from('webhooks').select('id', { count: 'exact', head: true }),
+      owner
+    );
+
+    if (countError) {
+      throw new Error(`Database error: ${countError.message}`);
+    }
+
+    if ((count || 0) >= this.maxWebhooksPerOwner) {
+      throw validationError(`Webhook limit reached (${this.maxWebhooksPerOwner})`);
+    }
+
+    const { data, error } = await this.supabase
+      .from('webhooks')
+      .insert([{
+        ...owner,
+        url: webhookData.url,
+        events: [...new Set(webhookData.events)],
+        secret: this.generateSecret(),
+        status: 'active',
+        metadata: { description: webhookData.description || null }
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List webhooks for an owner (secrets are not included)
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @returns {Promise<Array>} Webhooks
+   */
+  async listWebhooks(owner) {
+    this._validateOwner(owner);
+
+    const { data, error } = await this._scopeToOwner(
+      this.supabase.from('webhooks').select('*'),
+      owner
+    ).order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data || []).map(webhook => this._toPublicWebhook(webhook));
+  }
+
+  /**
+   * Get a single webhook owned by the caller
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeSecret=false] - Include the signing secret
+   * @returns {Promise<Object|null>} Webhook or null when not found
+   */
+  async getWebhook(webhookId, owner, options = {}) {
+    this._validateOwner(owner);
+
+    const { data, error } = await this._scopeToOwner(
+      this.supabase.from('webhooks').select('*').eq('id', webhookId),
+      owner
+    ).single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    return options.includeSecret ? data : this._toPublicWebhook(data);
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @param {Object} updates - url, events, status, description or rotate_secret
+   * @returns {Promise<Object|null>} Updated webhook (with secret when rotated) or null
+   */
+  async updateWebhook(webhookId, owner, updates = {}) {
+    this._validateOwner(owner);
+
+    const changes = {};
+
+    if (updates.url !== undefined) {
+      this._validateUrl(updates.url);
+      await this._assertPublicHost(updates.url);
+      changes.url = updates.url;
+    }
+
+    if (updates.events !== undefined) {
+      this._validateEvents(updates.events);
+      changes.events = [...new Set(updates.events)];
+    }
+
+    if (updates.status !== undefined) {
+      if (!['active', 'inactive'].includes(updates.status)) {
+        throw validationError('Status must be active or inactive');
+      }
+      changes.status = updates.status;
+      // Re-enabling a webhook gives it a clean slate
+      if (updates.status === 'active') {
+        changes.failure_count = 0;
+      }
+    }
+
+    if (updates.description !== undefined) {
+      changes.metadata = { description: updates.description };
+    }
+
+    if (updates.rotate_secret) {
+      changes.secret = this.generateSecret();
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw validationError('No valid fields to update');
+    }
+
+    const { data, error } = await this._scopeToOwner(
+      this.supabase.from('webhooks').update(changes).eq('id', webhookId),
+      owner
+    ).select().single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    return updates.rotate_secret ? data : this._toPublicWebhook(data);
+  }
+
+  /**
+   * Delete a webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @returns {Promise<boolean>} True if a webhook was deleted
+   */
+  async deleteWebhook(webhookId, owner) {
+    this._validateOwner(owner);
+
+    const { data, error } = await this._scopeToOwner(
+      this.supabase.from('webhooks').delete().eq('id', webhookId),
+      owner
+    ).select('id');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * List deliveries for a webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Filter by delivery status
+   * @param {number} [options.limit=50] - Page size
+   * @param {number} [options.offset=0] - Offset
+   * @returns {Promise<Object|null>} { deliveries, total } or null if the webhook is not found
+   */
+  async listDeliveries(webhookId, owner, options = {}) {
+    const { status, limit = 50, offset = 0 } = options;
+
+    const webhook = await this.getWebhook(webhookId, owner);
+    if (!webhook) {
+      return null;
+    }
+
+    let query = this.supabase
+      .from('webhook_deliveries')
+      .select('*', { count: 'exact' })
+      .eq('webhook_id', webhookId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return {
+      deliveries: data || [],
+      total: count || 0
+    };
+  }
+
+  /**
+   * Emit an event to all matching webhooks
+   * Never throws, so callers can fire and forget.
+   * @param {string} eventType - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   * @param {Object} [options] - Options
+   * @param {string} [options.userId] - User the event concerns (required to deliver private events)
+   * @returns {Promise<Array>} Delivery results
+   */
+  async emit(eventType, data, options = {}) {
+    try {
+      return await this.dispatchEvent(eventType, data, options);
+    } catch (error) {
+      console.error(`Failed to dispatch webhook event ${eventType}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Create and attempt deliveries for an event
+   * @param {string} eventType - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   * @param {Object} [options] - Options
+   * @param {string} [options.userId] - User the event concerns
+   * @returns {Promise<Array>} Delivery results
+   */
+  async dispatchEvent(eventType, data, options = {}) {
+    const eventConfig = WEBHOOK_EVENTS[eventType];
+    if (!eventConfig) {
+      throw new Error(`Unknown webhook event: ${eventType}`);
+    }
+
+    // Private events without a user have no audience
+    if (!eventConfig.public && !options.userId) {
+      return [];
+    }
+
+    let query = this.supabase
+      .from('webhooks')
+      .select('*')
+      .eq('status', 'active')
+      .contains('events', [eventType]);
+
+    if (!eventConfig.public) {
+      query = query.eq('user_id', options.userId);
+    }
+
+    const { data: webhooks, error } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!webhooks || webhooks.length === 0) {
+      return [];
+    }
+
+    const payload = {
+      id: `evt_${randomBytes(12).toString('hex')}`,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    return Promise.all(webhooks.map(async webhook => {
+      const delivery = await this._createDelivery(webhook.id, eventType, payload);
+      return this.attemptDelivery(delivery, webhook);
+    }));
+  }
+
+  /**
+   * Attempt a single delivery and record the outcome
+   * @param {Object} delivery - webhook_deliveries row
+   * @param {Object} webhook - webhooks row (with secret)
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attemptDelivery(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attemptCount = (delivery.attempt_count || 0) + 1;
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+      const response = await this._fetchWithTimeout(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LaunchPadder-Webhooks/1.0',
+          'X-LaunchPadder-Event': delivery.event_type,
+          'X-LaunchPadder-Delivery': delivery.id,
+          [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, timestamp, body)
+        },
+        body
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text().catch(() => '')).slice(0, this.maxResponseBodyLength);
+
+      if (!response.ok) {
+        errorMessage = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const delivered = errorMessage === null;
+    const maxAttempts = delivery.max_attempts || this.maxAttempts;
+    const exhausted = !delivered && attemptCount >= maxAttempts;
+    const retryDelay = this.getRetryDelay(attemptCount);
+
+    const update = {
+      status: delivered ? 'delivered' : (exhausted ? 'failed' : 'retrying'),
+      attempt_count: attemptCount,
+      response_status: responseStatus,
+      response_body: responseBody,
+      last_error: errorMessage,
+      duration_ms: Date.now() - startedAt,
+      delivered_at: delivered ? new Date().toISOString() : null,
+      next_retry_at: delivered || exhausted ? null : new Date(Date.now() + retryDelay).toISOString()
+    };
+
+    const { data: updated, error } = await this.supabase
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Failed to record webhook delivery:', error);
+    }
+
+    await this._recordWebhookOutcome(webhook, delivered);
+
+    if (update.status === 'retrying' && this.scheduleRetries) {
+      this._scheduleRetry(delivery.id, retryDelay);
+    }
+
+    return updated || { ...delivery, ...update };
+  }
+
+  /**
+   * Deliver all retries that are due (for WebhookRetryWorker)
+   * @param {number} [limit=50] - Maximum deliveries to process
+   * @returns {Promise<Object>} { processed, delivered, failed }
+   */
+  async processDueRetries(limit = 50) {
+    const { data: deliveries, error } = await this.supabase
+      .from('webhook_deliveries')
+      .select('*, webhooks(*)')
+      .eq('status', 'retrying')
+      .lte('next_retry_at', new Date().toISOString())
+      .order('next_retry_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    const summary = { processed: 0, delivered: 0, failed: 0 };
+
+    for (const delivery of deliveries || []) {
+      const webhook = delivery.webhooks;
+      delete delivery.webhooks;
+
+      if (!webhook || webhook.status !== 'active') {
+        await this.supabase
+          .from('webhook_deliveries')
+          .update({ status: 'failed', last_error: 'Webhook disabled', next_retry_at: null })
+          .eq('id', delivery.id);
+        summary.failed++;
+        continue;
+      }
+
+      // Another process (or the in-process retry) may already have it
+      if (!await this._claimRetry(delivery)) {
+        continue;
+      }
+
+      const result = await this.attemptDelivery(delivery, webhook);
+      summary.processed++;
+      if (result.status === 'delivered') {
+        summary.delivered++;
+      } else if (result.status === 'failed') {
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Replay a past delivery as a new delivery with the same payload
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery to replay
+   * @param {Object} owner - { user_id } or { partner_id }
+   * @returns {Promise<Object|null>} New delivery or null when not found
+   */
+  async redeliver(webhookId, deliveryId, owner) {
+    const webhook = await this.getWebhook(webhookId, owner, { includeSecret: true });
+    if (!webhook) {
+      return null;
+    }
+
+    const { data: original, error } = await this.supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .eq('webhook_id', webhookId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!original) {
+      return null;
+    }
+
+    const delivery = await this._createDelivery(webhookId, original.event_type, original.payload, {
+      redelivery_of: original.id
+    });
+
+    return this.attemptDelivery(delivery, webhook);
+  }
+
+  /**
+   * Exponential backoff delay for the next attempt
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attemptCount) {
+    return Math.min(this.retryBaseDelay * Math.pow(2, Math.max(attemptCount - 1, 0)), this.maxRetryDelay);
+  }
+
+  /**
+   * Generate a webhook signing secret
+   * @returns {string} Secret prefixed with whsec_
+   */
+  generateSecret() {
+    return `whsec_${randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Insert a pending delivery row
+   * @private
+   */
+  async _createDelivery(webhookId, eventType, payload, extra = {}) {
+    const { data, error } = await this.supabase
+      .from('webhook_deliveries')
+      .insert([{
+        webhook_id: webhookId,
+        event_type: eventType,
+        payload,
+        status: 'pending',
+        attempt_count: 0,
+        max_attempts: this.maxAttempts,
+        ...extra
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update last_triggered and failure_count on the webhook
+   * @private
+   */
+  async _recordWebhookOutcome(webhook, delivered) {
+    const { error } = await this.supabase
+      .from('webhooks')
+      .update({
+        last_triggered: new Date().toISOString(),
+        failure_count: delivered ? 0 : (webhook.failure_count || 0) + 1
+      })
+      .eq('id', webhook.id);
+
+    if (error) {
+      console.warn('Failed to update webhook status:', error.message);
+    }
+  }
+
+  /**
+   * Claim a due retry by pushing its next_retry_at past the attempt, so
+   * concurrent workers skip it. A worker that dies mid-attempt leaves the
+   * delivery due again once the claim runs out.
+   * @param {Object} delivery - webhook_deliveries row
+   * @returns {Promise<boolean>} True if this process may attempt it
+   * @private
+   */
+  async _claimRetry(delivery) {
+    const { data, error } = await this.supabase
+      .from('webhook_deliveries')
+      .update({ next_retry_at: new Date(Date.now() + this.requestTimeout * 3).toISOString() })
+      .eq('id', delivery.id)
+      .eq('status', 'retrying')
+      .eq('next_retry_at', delivery.next_retry_at)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Retry a delivery in-process after a delay
+   * @private
+   */
+  _scheduleRetry(deliveryId, delay) {
+    const timer = setTimeout(async () => {
+      try {
+        const { data: delivery } = await this.supabase
+          .from('webhook_deliveries')
+          .select('*, webhooks(*)')
+          .eq('id', deliveryId)
+          .single();
+
+        // Another process (or a manual replay) may already have handled it
+        if (!delivery || delivery.status !== 'retrying' || delivery.webhooks?.status !== 'active') {
+          return;
+        }
+
+        const webhook = delivery.webhooks;
+        delete delivery.webhooks;
+        if (await this._claimRetry(delivery)) {
+          await this.attemptDelivery(delivery, webhook);
+        }
+      } catch (error) {
+        console.error(`Webhook retry failed for delivery ${deliveryId}:`, error);
+      }
+    }, delay);
+
+    // Do not keep the process alive just for retries
+    timer.unref?.();
+  }
+
+  /**
+   * Restrict a query to the owner's webhooks
+   * @private
+   */
+  _scopeToOwner(query, owner) {
+    return owner.partner_id
+      ? query.eq('partner_id', owner.partner_id)
+      : query.eq('user_id', owner.user_id);
+  }
+
+  /**
+   * Strip the signing secret from a webhook
+   * @private
+   */
+  _toPublicWebhook(webhook) {
+    const publicWebhook = { ...webhook };
+    delete publicWebhook.secret;
+    return publicWebhook;
+  }
+
+  /**
+   * @private
+   */
+  _validateOwner(owner) {
+    if (!owner || (!owner.user_id && !owner.partner_id)) {
+      throw validationError('Webhook owner is required');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateWebhookData(webhookData) {
+    if (!webhookData || typeof webhookData !== 'object') {
+      throw validationError('Webhook data must be an object');
+    }
+
+    this._validateUrl(webhookData.url);
+    this._validateEvents(webhookData.events);
+
+    if (webhookData.description !== undefined && typeof webhookData.description !== 'string') {
+      throw validationError('Description must be a string');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateUrl(url) {
+    if (!url || typeof url !== 'string') {
+      throw validationError('Webhook URL is required');
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw validationError('Invalid webhook URL');
+    }
+
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      throw validationError('Webhook URL must use HTTPS');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw validationError('Invalid webhook URL');
+    }
+
+    if (!this.allowPrivateHosts && isPrivateHostname(parsed.hostname)) {
+      throw validationError('Webhook URL must not point to a private address');
+    }
+  }
+
+  /**
+   * Reject host names that resolve to private addresses
+   * Unresolvable hosts are accepted; their deliveries fail and are retried.
+   * @private
+   */
+  async _assertPublicHost(url) {
+    if (this.allowPrivateHosts) {
+      return;
+    }
+
+    const { hostname } = new URL(url);
+    const addresses = await new Promise(resolve => {
+      this.lookup(hostname, { all: true }, (error, result) => resolve(error ? [] : result));
+    });
+
+    if (addresses.some(entry => isPrivateIP(entry.address))) {
+      throw validationError('Webhook URL must not point to a private address');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw validationError('At least one event type is required');
+    }
+
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+      throw validationError(`Unknown event types: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Fetch with timeout support
+   * @private
+   */
+  async _fetchWithTimeout(url, options = {}) {
+    // Webhooks registered before the private address checks
+    if (!this.allowPrivateHosts && isPrivateHostname(new URL(url).hostname)) {
+      throw new Error('Private IP addresses are not allowed');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+
+    try {
+      return await this.fetchImpl(url, {
+        ...options,
+        redirect: 'manual',
+        agent: this.allowPrivateHosts ? undefined : parsedUrl => this.agents[parsedUrl.protocol],
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.requestTimeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+/**
+ * Cron worker that delivers due webhook retries
+ */
+export class WebhookRetryWorker {
+  static DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+  /**
+   * @param {WebhookService} webhookService - Service with a service role client
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Worker options
+   * @param {string} [options.schedule] - Cron expression
+   * @param {Object} [options.scheduler] - Cron implementation (defaults to node-cron)
+   */
+  constructor(webhookService, logger, options = {}) {
+    if (!webhookService) {
+      throw new Error('Webhook service is required');
+    }
+    if (!logger) {
+      throw new Error('Logger is required');
+    }
+
+    this.webhookService = webhookService;
+    this.logger = logger;
+    this.schedule = options.schedule || WebhookRetryWorker.DEFAULT_SCHEDULE;
+    this.scheduler = options.scheduler || cron;
+    this.task = null;
+  }
+
+  /**
+   * Start the cron schedule
+   * @returns {WebhookRetryWorker} This worker
+   */
+  start() {
+    if (!this.task) {
+      this.task = this.scheduler.schedule(this.schedule, () => this.tick(), {
+        name: 'webhook-retries',
+        noOverlap: true
+      });
+      this.logger.info('Webhook retry worker started', { schedule: this.schedule });
+    }
+    return this;
+  }
+
+  /**
+   * Stop the cron schedule
+   */
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Deliver due retries, logging instead of throwing
+   * @returns {Promise<Object|null>} Summary, or null on error
+   */
+  async tick() {
+    try {
+      const summary = await this.webhookService.processDueRetries();
+      if (summary.processed > 0 || summary.failed > 0) {
+        this.logger.info('Webhook retries processed', summary);
+      }
+      return summary;
+    } catch (error) {
+      this.logger.error('Webhook retry worker failed', { error: error.message });
+      return null;
+    }
+  }
+}
+
+// Export service instance factory
+export function createWebhookService(supabaseClient, options = {}) {
+  return new WebhookService(supabaseClient, options);
+}
+
+let sharedService;
+
+/**
+ * Shared WebhookService on the service role (SUPABASE_SERVICE_ROLE_KEY)
+ * Webhooks and deliveries are closed to the anon key, so every method is
+ * scoped to an owner passed in by the caller.
+ * @returns {WebhookService|null} Service, or null when not configured
+ */
+export function getWebhookService() {
+  if (sharedService === undefined) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SERVICE_ROLE_KEY;
+    const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+
+    sharedService = serviceRoleKey && supabaseUrl
+      ? new WebhookService(
+        createClient(supabaseUrl, serviceRoleKey, { auth: { autoRefreshToken: false, persistSession: false } })
+      )
+      : null;
+  }
+  return sharedService;
+}
+
+export default WebhookService;
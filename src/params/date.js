@@ -0,0 +1,13 @@
+/**
+ * Matches launch day route segments: real calendar dates as YYYY-MM-DD
+ * (self-contained, since param matchers also run in the browser)
+ * @param {string} param - Route segment
+ * @returns {boolean} True for a valid date
+ */
+export function match(param) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(param)) {
+    return false;
+  }
+  const date = new Date(`${param}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(param);
+}
@@ -0,0 +1,10 @@
+import { FEED_FORMATS } from '$lib/config/feed-formats.js';
+
+/**
+ * Matches feed format route segments: rss, atom or json
+ * @param {string} param - Route segment
+ * @returns {boolean} True for a supported format
+ */
+export function match(param) {
+  return Object.hasOwn(FEED_FORMATS, param);
+}
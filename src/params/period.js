@@ -0,0 +1,9 @@
+/**
+ * Matches leaderboard period route segments
+ * (self-contained, since param matchers also run in the browser)
+ * @param {string} param - Route segment
+ * @returns {boolean} True for 'day', 'week' or 'month'
+ */
+export function match(param) {
+  return param === 'day' || param === 'week' || param === 'month';
+}
@@ -8,12 +8,19 @@
 import { json } from '@sveltejs/kit';
 import { supabase } from '$lib/config/supabase.js';
 import { BadgeService } from '$lib/services/badge-service.js';
+import { createRemoteKeyResolver, getInstanceKeyStore } from '$lib/services/instance-key-service.js';
 
-const badgeService = new BadgeService(supabase);
+const badgeService = new BadgeService(supabase, {
+  keyStore: getInstanceKeyStore(),
+  keyResolver: createRemoteKeyResolver(supabase)
+});
 
 /**
  * POST /api/badges/verify
- * Verify a badge's cryptographic signature
+ * Verify a badge's Ed25519 signature
+ * The signing key is looked up from the issuing instance (this instance, or a
+ * registered federation instance via its /api/federation/info); a publicKey
+ * sent by the caller is never trusted.
  */
 export async function POST({ request }) {
   try {
@@ -22,24 +29,31 @@ export async function POST({ request }) {
       userBadgeId, 
       signature, 
       payload, 
-      publicKey,
+      keyId,
       instanceUrl 
     } = verificationData;
 
     // Validate required fields
-    if (!userBadgeId || !signature || !payload || !publicKey) {
+    if (!userBadgeId || !signature || !payload) {
       return json(
-        { error: 'userBadgeId, signature, payload, and publicKey are required' },
+        { error: 'userBadgeId, signature, and payload are required' },
         { status: 400 }
       );
     }
 
-    // Validate the signature
-    const validationResult = await badgeService.validateBadgeSignature(
-      signature,
-      payload,
-      publicKey
-    );
+    // A valid signature for one badge must not vouch for another
+    if (payload.user_badge_id && payload.user_badge_id !== userBadgeId) {
+      return json(
+        { error: 'payload.user_badge_id does not match userBadgeId' },
+        { status: 400 }
+      );
+    }
+
+    // Validate the signature against the issuer's published key
+    const validationResult = await badgeService.verifyBadgeAssertion(signature, payload, {
+      instanceUrl,
+      keyId
+    });
 
     if (!validationResult.success) {
       return json(
@@ -54,8 +68,11 @@ export async function POST({ request }) {
     if (isValid) {
       const verificationRecord = await badgeService.verifyBadge(userBadgeId, {
         signature_hash: signature,
-        public_key: publicKey,
-        verification_payload: payload
+        public_key: validationResult.data.publicKey,
+        verification_payload: payload,
+        key_id: validationResult.data.keyId,
+        issuer_url: validationResult.data.issuer,
+        issuing_instance_id: validationResult.data.issuingInstanceId
       });
 
       if (!verificationRecord.success) {
@@ -71,7 +88,6 @@ export async function POST({ request }) {
           isValid: true,
           verificationId: verificationRecord.data.id,
           verifiedAt: new Date().toISOString(),
-          instanceUrl,
           ...validationResult.data
         },
         message: 'Badge signature verified successfully'
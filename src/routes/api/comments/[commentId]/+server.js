@@ -0,0 +1,111 @@
+/**
+ * Comment API endpoint
+ * Handles PATCH /api/comments/[commentId] (edit) and DELETE /api/comments/[commentId] (soft delete)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createCommentService } from '$lib/services/comment-service.js';
+import { spamDetectionService } from '$lib/services/spam-detection-service.js';
+import { abuseReportingService } from '$lib/services/abuse-reporting-service.js';
+
+/**
+ * Create a comment service acting as the signed-in user, so comments RLS applies
+ * @param {Object} session - User session
+ * @returns {CommentService} Comment service
+ */
+function getCommentService(session) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${session.access_token}`
+        }
+      }
+    }
+  );
+
+  return createCommentService(authenticatedSupabase, {
+    spamDetectionService,
+    abuseReportingService
+  });
+}
+
+/**
+ * Map comment service errors to HTTP errors
+ * @param {Error} err - Error thrown by the comment service
+ * @param {string} fallback - Message for unexpected errors
+ */
+function handleCommentError(err, fallback) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('Comment error:', err);
+  throw error(500, fallback);
+}
+
+/**
+ * PATCH /api/comments/[commentId] - Edit own comment
+ * Body: { content }
+ */
+export async function PATCH({ params, request, locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw error(400, 'Invalid JSON in request body');
+    }
+
+    const comment = await getCommentService(session).updateComment(params.commentId, user.id, body.content);
+
+    return json({
+      success: true,
+      data: comment
+    });
+
+  } catch (err) {
+    handleCommentError(err, 'Failed to update comment');
+  }
+}
+
+/**
+ * DELETE /api/comments/[commentId] - Soft-delete own comment
+ */
+export async function DELETE({ params, locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const result = await getCommentService(session).deleteComment(params.commentId, user.id);
+
+    return json({
+      success: true,
+      data: result
+    });
+
+  } catch (err) {
+    handleCommentError(err, 'Failed to delete comment');
+  }
+}
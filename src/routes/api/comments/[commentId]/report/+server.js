@@ -0,0 +1,57 @@
+/**
+ * Comment report API endpoint
+ * Handles POST /api/comments/[commentId]/report
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createCommentService } from '$lib/services/comment-service.js';
+import { abuseReportingService } from '$lib/services/abuse-reporting-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+/**
+ * POST /api/comments/[commentId]/report - Report a comment to moderators
+ * Body: { report_type, description }
+ */
+export async function POST({ params, request, locals }) {
+  try {
+    const user = locals.user;
+    if (!user?.id) {
+      throw error(401, 'Authentication required');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw error(400, 'Invalid JSON in request body');
+    }
+
+    const result = await createCommentService(supabase, { abuseReportingService })
+      .reportComment(params.commentId, user.id, {
+        report_type: body.report_type,
+        description: body.description
+      });
+
+    return json({
+      success: true,
+      data: {
+        report_id: result.reportId,
+        priority: result.priority
+      },
+      message: 'Thanks, a moderator will review this comment'
+    }, { status: 201 });
+
+  } catch (err) {
+    // Errors raised with SvelteKit's error() pass through
+    if (err?.body) {
+      throw err;
+    }
+
+    if (err?.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Comment report error:', err);
+    throw error(500, 'Failed to submit report');
+  }
+}
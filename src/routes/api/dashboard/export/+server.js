@@ -1,10 +1,12 @@
 import { json } from '@sveltejs/kit';
 import { supabase } from '../../../../lib/config/supabase.js';
+import { getServiceSupabase } from '../../../../lib/config/supabase-admin.js';
 import { DashboardService } from '../../../../lib/services/dashboard-service.js';
 
 /**
  * POST /api/dashboard/export
  * Initiate data export
+ * Body: { type, filters: { format: 'csv'|'json'|'ndjson', date_from, date_to, ... } }
  */
 export async function POST({ request }) {
   try {
@@ -19,7 +21,7 @@ export async function POST({ request }) {
       );
     }
 
-    const validTypes = ['submissions', 'users', 'revenue', 'federation', 'audit_logs'];
+    const validTypes = ['submissions', 'users', 'payments', 'revenue', 'federation', 'audit_logs'];
     if (!validTypes.includes(type)) {
       return json(
         { success: false, error: 'Invalid export type' },
@@ -63,11 +65,19 @@ export async function POST({ request }) {
       );
     }
 
-    // Initialize dashboard service
-    const dashboardService = new DashboardService(supabase);
+    // Export jobs and the exported tables are admin-only under RLS, so the
+    // verified admin's export runs on the service-role client
+    const serviceSupabase = getServiceSupabase();
+    if (!serviceSupabase) {
+      return json(
+        { success: false, error: 'Exports are not configured' },
+        { status: 503 }
+      );
+    }
+    const dashboardService = new DashboardService(serviceSupabase);
 
     // Initiate export
-    const exportJob = await dashboardService.exportData(type, filters);
+    const exportJob = await dashboardService.exportData(type, filters, user.id);
 
     return json({
       success: true,
@@ -75,6 +85,13 @@ export async function POST({ request }) {
     }, { status: 201 });
 
   } catch (error) {
+    if (error.status === 400) {
+      return json(
+        { success: false, error: error.message },
+        { status: 400 }
+      );
+    }
+
     console.error('Error initiating export:', error);
     return json(
       { 
@@ -1,5 +1,6 @@
 import { json } from '@sveltejs/kit';
 import { supabase } from '../../../../../lib/config/supabase.js';
+import { getServiceSupabase } from '../../../../../lib/config/supabase-admin.js';
 import { DashboardService } from '../../../../../lib/services/dashboard-service.js';
 
 /**
@@ -53,8 +54,16 @@ export async function GET({ request, params }) {
       );
     }
 
-    // Initialize dashboard service
-    const dashboardService = new DashboardService(supabase);
+    // Export jobs and the exported tables are admin-only under RLS, so the
+    // verified admin's export runs on the service-role client
+    const serviceSupabase = getServiceSupabase();
+    if (!serviceSupabase) {
+      return json(
+        { success: false, error: 'Exports are not configured' },
+        { status: 503 }
+      );
+    }
+    const dashboardService = new DashboardService(serviceSupabase);
 
     // Get export status
     const exportStatus = await dashboardService.getExportStatus(id);
@@ -0,0 +1,101 @@
+import { json } from '@sveltejs/kit';
+import { Readable } from 'stream';
+import { supabase } from '../../../../../../lib/config/supabase.js';
+import { getServiceSupabase } from '../../../../../../lib/config/supabase-admin.js';
+import { DashboardService } from '../../../../../../lib/services/dashboard-service.js';
+
+/**
+ * GET /api/dashboard/export/[id]/download
+ * Download a completed export file
+ * Accepts the signed ?expires=&signature= link returned in download_url,
+ * or an admin bearer token.
+ */
+export async function GET({ request, params, url }) {
+  try {
+    const { id } = params;
+    // Signed links carry no session, so the job row and file are read with the
+    // service-role client once the signature or admin check below has passed
+    const serviceSupabase = getServiceSupabase();
+    if (!serviceSupabase) {
+      return json(
+        { success: false, error: 'Exports are not configured' },
+        { status: 503 }
+      );
+    }
+    const dashboardService = new DashboardService(serviceSupabase);
+
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+
+    if (signature) {
+      if (!dashboardService.exportService.verifyDownloadSignature(id, expires, signature)) {
+        return json(
+          { success: false, error: 'Download link is invalid or has expired' },
+          { status: 403 }
+        );
+      }
+    } else {
+      const authHeader = request.headers.get('authorization');
+      if (!authHeader) {
+        return json(
+          { success: false, error: 'Authentication required' },
+          { status: 401 }
+        );
+      }
+
+      const token = authHeader.replace('Bearer ', '');
+      const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+      if (authError || !user) {
+        return json(
+          { success: false, error: 'Authentication required' },
+          { status: 401 }
+        );
+      }
+
+      // Check if user has admin role
+      const { data: userRole } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', user.id)
+        .single();
+
+      if (!userRole || userRole.role !== 'admin') {
+        return json(
+          { success: false, error: 'Admin access required' },
+          { status: 403 }
+        );
+      }
+    }
+
+    const download = await dashboardService.openExportDownload(id);
+
+    const headers = {
+      'Content-Type': download.contentType,
+      'Content-Disposition': `attachment; filename="${download.filename}"`,
+      'Cache-Control': 'private, no-store'
+    };
+    if (download.fileSize) {
+      headers['Content-Length'] = String(download.fileSize);
+    }
+
+    return new Response(Readable.toWeb(download.stream), { headers });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 410) {
+      return json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Error downloading export:', error);
+    return json(
+      {
+        success: false,
+        error: `Failed to download export: ${error.message}`
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -2,6 +2,7 @@ import { json } from '@sveltejs/kit';
 import { supabase } from '../../../lib/config/supabase.js';
 import { FederationDiscoveryService } from '../../../lib/services/federation-discovery-service.js';
 import { FederatedSubmissionService } from '../../../lib/services/federated-submission-service.js';
+import { getNotificationService } from '../../../lib/services/notification-service.js';
 
 /**
  * POST /api/federated-submissions
@@ -68,7 +69,9 @@ export async function POST({ request }) {
     const federationDiscoveryService = new FederationDiscoveryService(supabase);
     const federatedSubmissionService = new FederatedSubmissionService(
       supabase,
-      federationDiscoveryService
+      federationDiscoveryService,
+      null,
+      { notificationService: getNotificationService() }
     );
 
     // Create federated submission
@@ -2,6 +2,7 @@ import { json } from '@sveltejs/kit';
 import { supabase } from '../../../../../lib/config/supabase.js';
 import { FederationDiscoveryService } from '../../../../../lib/services/federation-discovery-service.js';
 import { FederatedSubmissionService } from '../../../../../lib/services/federated-submission-service.js';
+import { getNotificationService } from '../../../../../lib/services/notification-service.js';
 
 /**
  * POST /api/federated-submissions/[id]/retry
@@ -59,7 +60,9 @@ export async function POST({ request, params }) {
     const federationDiscoveryService = new FederationDiscoveryService(supabase);
     const federatedSubmissionService = new FederatedSubmissionService(
       supabase,
-      federationDiscoveryService
+      federationDiscoveryService,
+      null,
+      { notificationService: getNotificationService() }
     );
 
     // Retry failed submissions
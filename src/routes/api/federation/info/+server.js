@@ -6,6 +6,7 @@
  */
 
 import { json } from '@sveltejs/kit';
+import { getInstanceKeyStore } from '$lib/services/instance-key-service.js';
 
 /**
  * GET /api/federation/info
@@ -25,7 +26,8 @@ export async function GET() {
         'metadata_extraction',
         'ai_enhancement',
         'crypto_payments',
-        'moderation'
+        'moderation',
+        'badge_verification'
       ],
       api_endpoints: [
         '/api/federation/health',
@@ -60,8 +62,18 @@ export async function GET() {
       federation: {
         accepts_submissions: true,
         shares_directories: true,
-        requires_authentication: false,
-        supports_webhooks: true
+        requires_authentication: true,
+        supports_webhooks: true,
+        authentication: {
+          scheme: 'bearer',
+          instance_header: 'X-Federation-Instance',
+          registration_endpoint: '/api/federation/instances'
+        }
+      },
+      badge_signing: {
+        // Badge signatures cover the canonical (key-sorted) JSON of the payload
+        verification_endpoint: '/api/badges/verify',
+        keys: [getInstanceKeyStore().getPublicKeyInfo()]
       },
       timestamp: new Date().toISOString()
     };
@@ -7,13 +7,18 @@
 
 import { json } from '@sveltejs/kit';
 import { supabase } from '../../../../lib/config/supabase.js';
+import { getServiceSupabase } from '../../../../lib/config/supabase-admin.js';
 import { FederationDiscoveryService } from '../../../../lib/services/federation-discovery-service.js';
+import { getWebhookService } from '../../../../lib/services/webhook-service.js';
 
 // Initialize federation discovery service lazily
 let federationService;
 function getFederationService() {
   if (!federationService) {
-    federationService = new FederationDiscoveryService(supabase);
+    federationService = new FederationDiscoveryService(supabase, {
+      webhookService: getWebhookService(),
+      serviceClient: getServiceSupabase()
+    });
   }
   return federationService;
 }
@@ -84,7 +89,7 @@ export async function POST({ request }) {
     const body = await request.json();
     
     // Validate required fields
-    const { name, base_url, description, admin_email } = body;
+    const { name, base_url, description, admin_email, api_key } = body;
     
     if (!name || !base_url || !admin_email) {
       return json({
@@ -103,7 +108,8 @@ export async function POST({ request }) {
       name,
       base_url,
       description: description || '',
-      admin_email
+      admin_email,
+      api_key
     });
 
     if (result.success) {
@@ -0,0 +1,121 @@
+/**
+ * Federation Submit API Endpoint
+ *
+ * Receives submissions from peer LaunchPadder instances. The calling instance
+ * must be registered in federation_instances and authenticate with its
+ * federation API key. Metadata is re-fetched and AI-rewritten locally.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getServiceSupabase } from '../../../../lib/config/supabase-admin.js';
+import { SubmissionService } from '../../../../lib/services/submission-service.js';
+import { ModerationService } from '../../../../lib/services/moderation-service.js';
+import { spamDetectionService } from '../../../../lib/services/spam-detection-service.js';
+import { rateLimitingService } from '../../../../lib/services/rate-limiting-service.js';
+import { FederationInboundService } from '../../../../lib/services/federation-inbound-service.js';
+
+const REASON_STATUS = {
+  invalid_payload: 400,
+  duplicate: 409,
+  spam: 422,
+  rate_limited: 429
+};
+
+// Initialize inbound service lazily. Peers submit without a user session, so
+// the service reads keys and writes submissions with the service role.
+let inboundService;
+function getInboundService() {
+  const supabase = getServiceSupabase();
+  if (!supabase) {
+    return null;
+  }
+  if (!inboundService) {
+    inboundService = new FederationInboundService(supabase, {
+      submissionService: new SubmissionService({ supabase }),
+      moderationService: new ModerationService({ supabase }),
+      spamDetectionService,
+      rateLimitingService
+    });
+  }
+  return inboundService;
+}
+
+/**
+ * POST /api/federation/submit
+ * Accept a submission from an authenticated federation instance
+ */
+export async function POST({ request }) {
+  try {
+    const service = getInboundService();
+    if (!service) {
+      return json({
+        success: false,
+        error: 'Federation is not configured',
+        timestamp: new Date().toISOString()
+      }, {
+        status: 503
+      });
+    }
+
+    const auth = await service.authenticateInstance(request.headers);
+    if (!auth.authenticated) {
+      return json({
+        success: false,
+        error: auth.error,
+        timestamp: new Date().toISOString()
+      }, {
+        status: auth.instance ? 403 : 401
+      });
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return json({
+        success: false,
+        error: 'Invalid JSON body',
+        timestamp: new Date().toISOString()
+      }, {
+        status: 400
+      });
+    }
+
+    const result = await service.receiveSubmission(payload, auth.instance);
+
+    if (!result.success) {
+      const headers = {};
+      if (result.retryAfter) {
+        headers['Retry-After'] = String(result.retryAfter);
+      }
+
+      return json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      }, {
+        status: REASON_STATUS[result.reason] || 400,
+        headers
+      });
+    }
+
+    return json({
+      success: true,
+      submission_id: result.submission_id,
+      status: result.status,
+      timestamp: new Date().toISOString()
+    }, {
+      status: result.duplicate_request ? 200 : 201
+    });
+  } catch (error) {
+    console.error('Federation submit error:', error);
+
+    return json({
+      success: false,
+      error: 'Failed to process federated submission',
+      timestamp: new Date().toISOString()
+    }, {
+      status: 500
+    });
+  }
+}
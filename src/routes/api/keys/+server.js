@@ -0,0 +1,107 @@
+/**
+ * API keys endpoint
+ * Handles GET /api/keys (list the user's keys) and POST /api/keys (issue a key)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createApiKeyService, API_KEY_SCOPES } from '$lib/services/api-key-service.js';
+
+/**
+ * Create an API key service acting as the signed-in user, so api_keys RLS applies
+ * @param {Object} session - User session
+ * @returns {ApiKeyService} API key service
+ */
+function getApiKeyService(session) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${session.access_token}`
+        }
+      }
+    }
+  );
+
+  return createApiKeyService(authenticatedSupabase);
+}
+
+/**
+ * Map API key service errors to HTTP errors
+ * @param {Error} err - Error thrown by the API key service
+ */
+function handleApiKeyError(err) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('API key error:', err);
+  throw error(500, 'Failed to manage API keys');
+}
+
+/**
+ * GET /api/keys - List the user's API keys and the available scopes
+ */
+export async function GET({ locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const keys = await getApiKeyService(session).listKeys(user.id);
+
+    return json({
+      success: true,
+      data: keys,
+      scopes: API_KEY_SCOPES
+    });
+
+  } catch (err) {
+    handleApiKeyError(err);
+  }
+}
+
+/**
+ * POST /api/keys - Issue a new API key
+ * Body: { name, scopes: string[], expires_at?: ISO date }
+ * The key is only returned in this response.
+ */
+export async function POST({ locals, request }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw error(400, 'Invalid JSON body');
+    }
+
+    const result = await getApiKeyService(session).createKey(user.id, body);
+
+    return json({
+      success: true,
+      data: result
+    }, { status: 201 });
+
+  } catch (err) {
+    handleApiKeyError(err);
+  }
+}
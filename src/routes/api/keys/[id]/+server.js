@@ -0,0 +1,74 @@
+/**
+ * API key endpoint
+ * Handles DELETE /api/keys/[id] (revoke a key)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createApiKeyService } from '$lib/services/api-key-service.js';
+
+/**
+ * Create an API key service acting as the signed-in user, so api_keys RLS applies
+ * @param {Object} session - User session
+ * @returns {ApiKeyService} API key service
+ */
+function getApiKeyService(session) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${session.access_token}`
+        }
+      }
+    }
+  );
+
+  return createApiKeyService(authenticatedSupabase);
+}
+
+/**
+ * Map API key service errors to HTTP errors
+ * @param {Error} err - Error thrown by the API key service
+ */
+function handleApiKeyError(err) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('API key error:', err);
+  throw error(500, 'Failed to manage API keys');
+}
+
+/**
+ * DELETE /api/keys/[id] - Revoke an API key
+ */
+export async function DELETE({ params, locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const key = await getApiKeyService(session).revokeKey(user.id, params.id);
+
+    return json({
+      success: true,
+      data: key
+    });
+
+  } catch (err) {
+    handleApiKeyError(err);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * API key usage endpoint
+ * Handles GET /api/keys/[id]/usage (request counts from api_usage_logs)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createApiKeyService } from '$lib/services/api-key-service.js';
+
+/**
+ * Create an API key service acting as the signed-in user, so api_keys RLS applies
+ * @param {Object} session - User session
+ * @returns {ApiKeyService} API key service
+ */
+function getApiKeyService(session) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${session.access_token}`
+        }
+      }
+    }
+  );
+
+  return createApiKeyService(authenticatedSupabase);
+}
+
+/**
+ * Map API key service errors to HTTP errors
+ * @param {Error} err - Error thrown by the API key service
+ */
+function handleApiKeyError(err) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('API key error:', err);
+  throw error(500, 'Failed to manage API keys');
+}
+
+/**
+ * GET /api/keys/[id]/usage - Summarize recent requests made with an API key
+ * Query: days (1-90, default 30)
+ */
+export async function GET({ params, locals, url }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const usage = await getApiKeyService(session).getUsage(user.id, params.id, {
+      days: url.searchParams.get('days')
+    });
+
+    return json({
+      success: true,
+      data: usage
+    });
+
+  } catch (err) {
+    handleApiKeyError(err);
+  }
+}
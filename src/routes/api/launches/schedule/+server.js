@@ -0,0 +1,42 @@
+/**
+ * Launch calendar API endpoint
+ * Handles GET /api/launches/schedule
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createLaunchScheduleService } from '$lib/services/launch-schedule-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize launch schedule service lazily
+let launchScheduleService;
+function getLaunchScheduleService() {
+  if (!launchScheduleService) {
+    launchScheduleService = createLaunchScheduleService(supabase);
+  }
+  return launchScheduleService;
+}
+
+/**
+ * GET /api/launches/schedule - Free standard and priority launch slots per day
+ * Supports ?from (YYYY-MM-DD, defaults to today's launch day) and ?days (max 31).
+ */
+export async function GET({ url }) {
+  try {
+    const availability = await getLaunchScheduleService().getAvailability({
+      from: url.searchParams.get('from') || undefined,
+      days: url.searchParams.get('days') || undefined
+    });
+
+    return json({
+      success: true,
+      data: availability
+    });
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Launch calendar error:', err);
+    throw error(500, 'Failed to load launch calendar');
+  }
+}
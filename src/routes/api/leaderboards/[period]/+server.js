@@ -0,0 +1,46 @@
+/**
+ * Leaderboards API endpoint
+ * Handles GET /api/leaderboards/[period]
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createLeaderboardService } from '$lib/services/leaderboard-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize leaderboard service lazily
+let leaderboardService;
+function getLeaderboardService() {
+  if (!leaderboardService) {
+    leaderboardService = createLeaderboardService(supabase);
+  }
+  return leaderboardService;
+}
+
+/**
+ * GET /api/leaderboards/[period] - Ranking of a day, week or month
+ * Supports ?date (any YYYY-MM-DD in the period, defaults to today). Use
+ * ?archive=true for past winners instead, with ?before and ?limit.
+ */
+export async function GET({ params, url }) {
+  try {
+    const service = getLeaderboardService();
+    const data = url.searchParams.get('archive') === 'true'
+      ? await service.getArchive(params.period, {
+        before: url.searchParams.get('before') || undefined,
+        limit: url.searchParams.get('limit') || undefined
+      })
+      : await service.getLeaderboard(params.period, url.searchParams.get('date') || undefined);
+
+    return json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Leaderboard error:', err);
+    throw error(500, 'Failed to load leaderboard');
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Comment Moderation API
+ * Handles the comment review queue and hide/restore/lock/unlock actions
+ */
+
+import { json } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createCommentService } from '$lib/services/comment-service.js';
+import { supabase } from '../../../../lib/config/supabase.js';
+
+/**
+ * Verify the session cookie belongs to a moderator
+ * @param {Object} cookies - Request cookies
+ * @returns {Promise<Object>} { user, sessionToken } or { response } when refused
+ */
+async function authenticateModerator(cookies) {
+  const sessionToken = cookies.get('sb-access-token');
+  if (!sessionToken) {
+    return { response: json({ error: 'Authentication required' }, { status: 401 }) };
+  }
+
+  const { data: { user }, error: authError } = await supabase.auth.getUser(sessionToken);
+  if (authError || !user) {
+    return { response: json({ error: 'Invalid session' }, { status: 401 }) };
+  }
+
+  const { data } = await supabase
+    .rpc('get_user_moderation_permissions', { user_uuid: user.id });
+  const permissions = Array.isArray(data) ? data[0] : data;
+
+  if (!permissions?.can_moderate) {
+    return { response: json({ error: 'Insufficient permissions' }, { status: 403 }) };
+  }
+
+  return { user, sessionToken };
+}
+
+/**
+ * Create a comment service acting as the moderator, so the moderator
+ * comments policy applies
+ * @param {string} sessionToken - Moderator access token
+ * @returns {CommentService} Comment service
+ */
+function getCommentService(sessionToken) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${sessionToken}`
+        }
+      }
+    }
+  );
+
+  return createCommentService(authenticatedSupabase);
+}
+
+export async function GET({ url, cookies }) {
+  try {
+    const { user, sessionToken, response } = await authenticateModerator(cookies);
+    if (!user) {
+      return response;
+    }
+
+    const limit = parseInt(url.searchParams.get('limit') || '50');
+    const items = await getCommentService(sessionToken).getModerationQueue({ limit });
+
+    return json({
+      success: true,
+      data: items,
+      total: items.length
+    });
+
+  } catch (error) {
+    console.error('Comment moderation queue error:', error);
+
+    return json({
+      error: error.message || 'Failed to fetch comment moderation queue'
+    }, { status: 500 });
+  }
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    const { commentId, action, reason } = await request.json();
+
+    if (!commentId) {
+      return json({ error: 'Comment ID is required' }, { status: 400 });
+    }
+
+    if (!action) {
+      return json({ error: 'Action is required' }, { status: 400 });
+    }
+
+    const { user, sessionToken, response } = await authenticateModerator(cookies);
+    if (!user) {
+      return response;
+    }
+
+    const comment = await getCommentService(sessionToken)
+      .moderateComment(commentId, user.id, action, reason || null);
+
+    return json({
+      success: true,
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Comment moderation error:', error);
+
+    return json({
+      error: error.message || 'Failed to moderate comment'
+    }, { status: error.status || 500 });
+  }
+}
@@ -6,6 +6,9 @@
 import { json } from '@sveltejs/kit';
 import { ModerationService } from '$lib/services/moderation-service.js';
 import { EnhancedAIService } from '$lib/services/enhanced-ai-service.js';
+import { getWebhookService } from '$lib/services/webhook-service.js';
+import { getSitemapPinger } from '$lib/services/sitemap-service.js';
+import { getNotificationService } from '$lib/services/notification-service.js';
 import { supabase } from '../../../../lib/config/supabase.js';
 
 // Initialize services lazily
@@ -25,7 +28,10 @@ function getModerationService() {
   if (!moderationService) {
     moderationService = new ModerationService({
       supabase,
-      aiService: getAIService()
+      aiService: getAIService(),
+      webhookService: getWebhookService(),
+      sitemapPinger: getSitemapPinger(supabase),
+      notificationService: getNotificationService()
     });
   }
   return moderationService;
@@ -0,0 +1,123 @@
+/**
+ * Notification preferences endpoint
+ * Handles GET and PUT /api/notifications/preferences for the signed-in user
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createNotificationService, NOTIFICATION_CATEGORIES } from '$lib/services/notification-service.js';
+import { SUPPORTED_LOCALES } from '$lib/i18n/locales.js';
+
+/**
+ * Create a notification service acting as the signed-in user, so
+ * notification_preferences RLS applies
+ * @param {Object} session - User session
+ * @returns {NotificationService} Notification service
+ */
+function getNotificationService(session) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${session.access_token}`
+        }
+      }
+    }
+  );
+
+  return createNotificationService(authenticatedSupabase);
+}
+
+/**
+ * Map notification service errors to HTTP errors
+ * @param {Error} err - Error thrown by the notification service
+ */
+function handlePreferencesError(err) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('Notification preferences error:', err);
+  throw error(500, 'Failed to manage notification preferences');
+}
+
+/**
+ * Categories users can switch off, for the settings form
+ * @returns {Array<Object>} { id, description }
+ */
+function optionalCategories() {
+  return Object.entries(NOTIFICATION_CATEGORIES)
+    .filter(([, category]) => !category.required)
+    .map(([id, category]) => ({ id, description: category.description }));
+}
+
+/**
+ * GET /api/notifications/preferences - The user's email preferences
+ */
+export async function GET({ locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const preferences = await getNotificationService(session).getPreferences(user.id);
+
+    return json({
+      success: true,
+      data: preferences,
+      categories: optionalCategories(),
+      locales: SUPPORTED_LOCALES
+    });
+
+  } catch (err) {
+    handlePreferencesError(err);
+  }
+}
+
+/**
+ * PUT /api/notifications/preferences - Update the user's email preferences
+ * Body: { email_enabled?: boolean, categories?: { [category]: boolean }, locale?: string|null }
+ */
+export async function PUT({ locals, request }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw error(400, 'Invalid JSON body');
+    }
+
+    const preferences = await getNotificationService(session).updatePreferences(user.id, {
+      email_enabled: body.email_enabled,
+      categories: body.categories,
+      locale: body.locale
+    });
+
+    return json({
+      success: true,
+      data: preferences
+    });
+
+  } catch (err) {
+    handlePreferencesError(err);
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * oEmbed provider for launch pages
+ * Handles GET /api/oembed?url=<launch page URL>&format=json&maxwidth=&maxheight=&theme=
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createEmbedService } from '$lib/services/embed-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize embed service lazily
+let embedService;
+function getEmbedService() {
+  if (!embedService) {
+    embedService = createEmbedService(supabase);
+  }
+  return embedService;
+}
+
+export async function GET({ url }) {
+  const pageUrl = url.searchParams.get('url');
+  if (!pageUrl) {
+    throw error(400, 'The url parameter is required');
+  }
+
+  // oEmbed 1.0: providers answer 501 for formats they don't support
+  const format = url.searchParams.get('format') || 'json';
+  if (format !== 'json') {
+    throw error(501, `Format "${format}" is not supported`);
+  }
+
+  let response;
+  try {
+    response = await getEmbedService().getOEmbed(pageUrl, {
+      origin: url.origin,
+      maxwidth: url.searchParams.get('maxwidth'),
+      maxheight: url.searchParams.get('maxheight'),
+      theme: url.searchParams.get('theme')
+    });
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('oEmbed error:', err);
+    throw error(500, 'Failed to load launch');
+  }
+
+  return json(response, {
+    headers: {
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -5,6 +5,7 @@
 
 import { json } from '@sveltejs/kit';
 import { PaymentService } from '$lib/services/payment-service.js';
+import { getNotificationService } from '$lib/services/notification-service.js';
 import { supabase } from '../../../../lib/config/supabase.js';
 
 // Initialize payment service lazily
@@ -43,6 +44,13 @@ export async function POST({ request, cookies }) {
     const paymentResult = await getPaymentService().confirmPayment(paymentIntentId);
     
     if (paymentResult.status === 'succeeded') {
+      // The Stripe webhook may report the same payment; the dedupe key keeps it to one receipt
+      getNotificationService()?.notify('payment.receipt', user.id, {
+        amount: paymentResult.amount,
+        currency: paymentResult.currency,
+        reference: paymentIntentId
+      }, { dedupeKey: `payment.receipt:${paymentIntentId}` });
+      
       // Update submission status if submissionId provided
       if (submissionId) {
         const { error: updateError } = await supabase
@@ -5,6 +5,8 @@
 
 import { json } from '@sveltejs/kit';
 import { PaymentService } from '$lib/services/payment-service.js';
+import { getWebhookService } from '$lib/services/webhook-service.js';
+import { getNotificationService } from '$lib/services/notification-service.js';
 import { supabase } from '../../../../lib/config/supabase.js';
 import Stripe from 'stripe';
 
@@ -78,6 +80,23 @@ async function handleSuccessfulPayment(paymentIntent) {
       return;
     }
     
+    // Notify the user's webhooks; deliveries never fail the Stripe acknowledgement
+    getWebhookService()?.emit('payment.succeeded', {
+      payment_intent_id: paymentIntent.id,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      submission_type: submissionType || null
+    }, { userId });
+    
+    // The confirm endpoint may report the same payment; the dedupe key keeps it to one receipt
+    getNotificationService()?.notify('payment.receipt', userId, {
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      description: paymentIntent.description || null,
+      reference: paymentIntent.id,
+      paidAt: new Date(paymentIntent.created * 1000).toISOString()
+    }, { dedupeKey: `payment.receipt:${paymentIntent.id}` });
+    
     // Find pending submissions for this user that need payment
     const { data: submissions, error } = await supabase
       .from('submissions')
@@ -4,7 +4,9 @@
  */
 
 import { json, error } from '@sveltejs/kit';
-import { createSubmissionService } from '$lib/services/submission-service.js';
+import { createSubmissionService, SUBMISSION_SORTS, TOP_PERIODS } from '$lib/services/submission-service.js';
+import { createVoteService } from '$lib/services/vote-service.js';
+import { createLaunchScheduleService } from '$lib/services/launch-schedule-service.js';
 import { supabase } from '$lib/config/supabase.js';
 import { createClient } from '@supabase/supabase-js';
 
@@ -24,6 +26,7 @@ function getSubmissionService() {
 
 /**
  * POST /api/submissions - Create a new submission
+ * Optional launch_date (YYYY-MM-DD) and launch_slot book a launch day.
  */
 export async function POST({ request, locals }) {
   try {
@@ -94,10 +97,29 @@ export async function POST({ request, locals }) {
     
     // Create submission
     const submission = await submissionService.createSubmission(body, user.id);
+
+    // Book the launch day the maker picked. The submission is kept if the
+    // day filled up meanwhile; the maker can pick another through
+    // PUT /api/submissions/[id]/schedule.
+    let scheduleError = null;
+    if (body.launch_date) {
+      try {
+        const schedule = await createLaunchScheduleService(authenticatedSupabase).scheduleLaunch(submission.id, {
+          launchDate: body.launch_date,
+          slot: body.launch_slot || 'standard'
+        });
+        submission.launch_date = schedule.launchDate;
+        submission.launch_slot = schedule.slot;
+      } catch (scheduleErr) {
+        console.warn('Failed to schedule launch:', scheduleErr.message);
+        scheduleError = scheduleErr.status ? scheduleErr.message : 'Failed to schedule launch';
+      }
+    }
     
     return json({
       success: true,
-      data: submission
+      data: submission,
+      ...(scheduleError && { schedule_error: scheduleError })
     }, { status: 201 });
 
   } catch (err) {
@@ -137,6 +159,11 @@ export async function POST({ request, locals }) {
 
 /**
  * GET /api/submissions - Get submissions with filtering and pagination
+ * Ranked sorts: ?sort=hot | new | top (with ?period=day|week|month|year|all);
+ * otherwise sortBy/sortOrder apply.
+ * Full-text search: ?search=... (ranked by relevance unless ?sort is given),
+ * filtered by ?tags, ?category and ?since/?until (ISO dates); the response then
+ * includes highlighted snippets and facet counts (also with ?facets=true).
  */
 export async function GET({ url, locals }) {
   try {
@@ -148,9 +175,22 @@ export async function GET({ url, locals }) {
       status: searchParams.get('status') || 'approved',
       search: searchParams.get('search') || '',
       sortBy: searchParams.get('sortBy') || 'created_at',
-      sortOrder: searchParams.get('sortOrder') || 'desc'
+      sortOrder: searchParams.get('sortOrder') || 'desc',
+      category: searchParams.get('category') || null,
+      facets: searchParams.get('facets') === 'true'
     };
 
+    for (const name of ['since', 'until']) {
+      const value = searchParams.get(name);
+      if (value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw error(400, `Invalid ${name} date`);
+        }
+        options[name] = date.toISOString();
+      }
+    }
+
     // Check if user wants their own submissions
     const mySubmissions = searchParams.get('my') === 'true';
     let submissionService;
@@ -213,8 +253,28 @@ export async function GET({ url, locals }) {
       options.sortOrder = 'desc';
     }
 
+    const sort = searchParams.get('sort');
+    if (sort === 'relevance') {
+      options.sort = sort;
+    } else if (SUBMISSION_SORTS.includes(sort)) {
+      options.sort = sort;
+      const period = searchParams.get('period') || 'week';
+      options.period = Object.hasOwn(TOP_PERIODS, period) ? period : 'week';
+    }
+
     // Get submissions
     const result = await submissionService.getSubmissions(options);
+
+    // Let signed-in users see which launches they already upvoted
+    if (locals.user?.id && result.data.length > 0) {
+      try {
+        const voted = await createVoteService(supabase)
+          .getVotedSubmissionIds(locals.user.id, result.data.map(submission => submission.id));
+        result.data = result.data.map(submission => ({ ...submission, user_has_voted: voted.has(submission.id) }));
+      } catch (voteError) {
+        console.warn('Failed to load user votes:', voteError.message);
+      }
+    }
     
     return json({
       success: true,
@@ -222,6 +282,11 @@ export async function GET({ url, locals }) {
     });
 
   } catch (err) {
+    // Errors raised with SvelteKit's error() pass through
+    if (err?.body) {
+      throw err;
+    }
+
     console.error('Submissions fetch error:', err);
     
     // Get error message safely
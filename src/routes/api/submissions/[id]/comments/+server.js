@@ -0,0 +1,126 @@
+/**
+ * Submission comments API endpoint
+ * Handles GET /api/submissions/[id]/comments (threaded listing) and
+ * POST /api/submissions/[id]/comments (new comment or reply)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createCommentService } from '$lib/services/comment-service.js';
+import { spamDetectionService } from '$lib/services/spam-detection-service.js';
+import { abuseReportingService } from '$lib/services/abuse-reporting-service.js';
+import { supabase } from '$lib/config/supabase.js';
+import { getServiceSupabase } from '$lib/config/supabase-admin.js';
+
+/**
+ * Create a comment service, acting as the signed-in user when there is one so
+ * comments RLS applies. New comments are written with the service role once
+ * they pass the service's spam checks.
+ * @param {Object} [session] - User session
+ * @returns {CommentService} Comment service
+ */
+function getCommentService(session) {
+  const client = session
+    ? createClient(
+      process.env.PUBLIC_SUPABASE_URL,
+      process.env.PUBLIC_SUPABASE_ANON_KEY,
+      {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false
+        },
+        global: {
+          headers: {
+            Authorization: `Bearer ${session.access_token}`
+          }
+        }
+      }
+    )
+    : supabase;
+
+  return createCommentService(client, {
+    serviceClient: session ? getServiceSupabase() : null,
+    spamDetectionService,
+    abuseReportingService
+  });
+}
+
+/**
+ * Map comment service errors to HTTP errors
+ * @param {Error} err - Error thrown by the comment service
+ * @param {string} fallback - Message for unexpected errors
+ */
+function handleCommentError(err, fallback) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('Comment error:', err);
+  throw error(500, fallback);
+}
+
+/**
+ * GET /api/submissions/[id]/comments - List comment threads
+ * Query: page, limit (threads per page), order ('oldest' | 'newest')
+ */
+export async function GET({ params, url, locals }) {
+  try {
+    const result = await getCommentService(locals.session).listComments(params.id, {
+      page: url.searchParams.get('page') || 1,
+      limit: url.searchParams.get('limit') || 20,
+      order: url.searchParams.get('order') === 'newest' ? 'newest' : 'oldest',
+      viewerId: locals.user?.id || null
+    });
+
+    return json({
+      success: true,
+      data: result.comments,
+      pagination: result.pagination
+    });
+
+  } catch (err) {
+    handleCommentError(err, 'Failed to fetch comments');
+  }
+}
+
+/**
+ * POST /api/submissions/[id]/comments - Post a comment
+ * Body: { content, parent_id? }
+ */
+export async function POST({ params, request, locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw error(400, 'Invalid JSON in request body');
+    }
+
+    const comment = await getCommentService(session).createComment(params.id, user.id, {
+      content: body.content,
+      parent_id: body.parent_id || null
+    });
+
+    return json({
+      success: true,
+      data: comment,
+      message: comment.status === 'pending'
+        ? 'Your comment is awaiting moderator review'
+        : 'Comment posted'
+    }, { status: 201 });
+
+  } catch (err) {
+    handleCommentError(err, 'Failed to post comment');
+  }
+}
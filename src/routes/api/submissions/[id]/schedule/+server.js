@@ -0,0 +1,69 @@
+/**
+ * Submission launch schedule API endpoint
+ * Handles PUT /api/submissions/[id]/schedule
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { createLaunchScheduleService } from '$lib/services/launch-schedule-service.js';
+
+/**
+ * PUT /api/submissions/[id]/schedule - Book or move the launch day of your
+ * own submission before it goes live
+ * Body: { launch_date: 'YYYY-MM-DD', launch_slot?: 'standard' | 'priority' }
+ */
+export async function PUT({ params, request, locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      throw error(400, 'Invalid JSON body');
+    }
+
+    // Act as the maker so reserve_launch_slot can check ownership
+    const authenticatedSupabase = createClient(
+      process.env.PUBLIC_SUPABASE_URL,
+      process.env.PUBLIC_SUPABASE_ANON_KEY,
+      {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false
+        },
+        global: {
+          headers: {
+            Authorization: `Bearer ${session.access_token}`
+          }
+        }
+      }
+    );
+
+    const schedule = await createLaunchScheduleService(authenticatedSupabase).scheduleLaunch(params.id, {
+      launchDate: body.launch_date,
+      slot: body.launch_slot || 'standard'
+    });
+
+    return json({
+      success: true,
+      data: {
+        launch_date: schedule.launchDate,
+        launch_slot: schedule.slot
+      }
+    });
+  } catch (err) {
+    // Errors raised with SvelteKit's error() pass through
+    if (err?.body) {
+      throw err;
+    }
+    if (err?.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Launch scheduling error:', err);
+    throw error(500, 'Failed to schedule launch');
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Submission vote API endpoint
+ * Handles GET /api/submissions/[id]/vote (public count), POST /api/submissions/[id]/vote (upvote)
+ * and DELETE /api/submissions/[id]/vote (unvote)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createClient } from '@supabase/supabase-js';
+import { supabase } from '$lib/config/supabase.js';
+import { createVoteService } from '$lib/services/vote-service.js';
+import { spamDetectionService } from '$lib/services/spam-detection-service.js';
+import { ipProtectionService } from '$lib/services/ip-protection-service.js';
+
+/**
+ * Create a vote service acting as the signed-in user, so votes RLS applies
+ * @param {Object} session - User session
+ * @returns {VoteService} Vote service
+ */
+function getVoteService(session) {
+  const authenticatedSupabase = createClient(
+    process.env.PUBLIC_SUPABASE_URL,
+    process.env.PUBLIC_SUPABASE_ANON_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${session.access_token}`
+        }
+      }
+    }
+  );
+
+  return createVoteService(authenticatedSupabase, {
+    spamDetectionService,
+    ipProtectionService
+  });
+}
+
+/**
+ * Map vote service errors to HTTP errors
+ * @param {Error} err - Error thrown by the vote service
+ */
+function handleVoteError(err) {
+  // Errors raised with SvelteKit's error() pass through
+  if (err?.body) {
+    throw err;
+  }
+
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error('Vote error:', err);
+  throw error(500, 'Failed to update vote');
+}
+
+/**
+ * GET /api/submissions/[id]/vote - Current vote count (polled by embedded cards)
+ */
+export async function GET({ params, setHeaders }) {
+  try {
+    const result = await createVoteService(supabase).getVoteCount(params.id);
+
+    setHeaders({
+      'Cache-Control': 'public, max-age=30'
+    });
+
+    return json({
+      success: true,
+      data: result
+    });
+
+  } catch (err) {
+    handleVoteError(err);
+  }
+}
+
+/**
+ * POST /api/submissions/[id]/vote - Upvote a submission (idempotent)
+ */
+export async function POST({ params, locals, request, getClientAddress }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const result = await getVoteService(session).upvote(params.id, user.id, {
+      ipAddress: getClientAddress(),
+      userAgent: request.headers.get('user-agent')
+    });
+
+    return json({
+      success: true,
+      data: result
+    }, { status: result.already_voted ? 200 : 201 });
+
+  } catch (err) {
+    handleVoteError(err);
+  }
+}
+
+/**
+ * DELETE /api/submissions/[id]/vote - Remove the user's vote
+ */
+export async function DELETE({ params, locals }) {
+  try {
+    const user = locals.user;
+    const session = locals.session;
+    if (!user?.id || !session) {
+      throw error(401, 'Authentication required');
+    }
+
+    const result = await getVoteService(session).unvote(params.id, user.id);
+
+    return json({
+      success: true,
+      data: result
+    });
+
+  } catch (err) {
+    handleVoteError(err);
+  }
+}
@@ -6,6 +6,7 @@
 import { json } from '@sveltejs/kit';
 import { createSubmissionService } from '$lib/services/submission-service.js';
 import { supabase } from '$lib/config/supabase.js';
+import { isRobotsBlocked } from '$lib/services/crawl-service.js';
 
 export async function POST({ request }) {
   try {
@@ -46,7 +47,7 @@ export async function POST({ request }) {
         useEnhancedAI: false, // Disable AI for faster preview
         aiRewriter: null, // Explicitly disable AI rewriter
         enhancedAIService: null, // Explicitly disable enhanced AI service
-        metadataFetcher: null // Use default PuppeteerMetadataFetcher with images enabled
+        metadataFetcher: null // Use the shared metadata pipeline and its cache
       });
       console.log('[Preview API] Submission service created successfully with Supabase');
     } catch (serviceError) {
@@ -59,7 +60,7 @@ export async function POST({ request }) {
           useEnhancedAI: false,
           aiRewriter: null, // Explicitly disable AI rewriter
           enhancedAIService: null, // Explicitly disable enhanced AI service
-          metadataFetcher: null // Use default PuppeteerMetadataFetcher with images enabled
+          metadataFetcher: null // Use the shared metadata pipeline and its cache
         });
         console.log('[Preview API] Submission service created successfully without Supabase and AI');
       } catch (fallbackError) {
@@ -172,6 +173,13 @@ export async function POST({ request }) {
       console.error('Preview generation error:', error);
       
       // Return user-friendly error messages
+      if (isRobotsBlocked(error)) {
+        return json({
+          error: "This site's robots.txt asks us not to fetch this page, so there is no preview. You can still submit it for a moderator to review.",
+          code: 'robots_blocked'
+        }, { status: 403 });
+      }
+
       if (error.message.includes('Invalid URL')) {
         return json({ error: 'Unable to access the provided URL' }, { status: 400 });
       }
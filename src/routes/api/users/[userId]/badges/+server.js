@@ -8,8 +8,15 @@
 import { json } from '@sveltejs/kit';
 import { supabase } from '$lib/config/supabase.js';
 import { BadgeService } from '$lib/services/badge-service.js';
-
-const badgeService = new BadgeService(supabase);
+import { getWebhookService } from '$lib/services/webhook-service.js';
+import { getInstanceKeyStore } from '$lib/services/instance-key-service.js';
+import { getNotificationService } from '$lib/services/notification-service.js';
+
+const badgeService = new BadgeService(supabase, {
+  webhookService: getWebhookService(),
+  keyStore: getInstanceKeyStore(),
+  notificationService: getNotificationService()
+});
 
 /**
  * GET /api/users/[userId]/badges
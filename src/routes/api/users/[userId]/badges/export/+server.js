@@ -0,0 +1,41 @@
+/**
+ * Open Badges export links for a user's badges
+ * Handles GET /api/users/[userId]/badges/export
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { getOpenBadgesService } from '$lib/services/open-badges-service.js';
+
+/**
+ * GET /api/users/[userId]/badges/export - The signed-in user's awards with
+ * Open Badges 2.0/3.0 URLs, baked images and LinkedIn links
+ */
+export async function GET({ params, url, locals }) {
+  if (!locals.user?.id) {
+    throw error(401, 'Authentication required');
+  }
+  if (locals.user.id !== params.userId) {
+    throw error(403, 'You can only export your own badges');
+  }
+
+  const service = getOpenBadgesService();
+  if (!service) {
+    throw error(503, 'Open Badges export is not configured');
+  }
+
+  try {
+    const exports = await service.listUserExports(params.userId, url.origin);
+
+    return json({
+      success: true,
+      data: exports,
+      meta: {
+        issuer: `${service.getBaseUrl(url.origin)}/openbadges/issuer`,
+        total: exports.length
+      }
+    });
+  } catch (err) {
+    console.error('Badge export error:', err);
+    throw error(500, 'Failed to export badges');
+  }
+}
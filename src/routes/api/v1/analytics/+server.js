@@ -0,0 +1,62 @@
+/**
+ * API v1 Analytics Endpoint
+ *
+ * Views, votes and comments for the caller's launches. Needs the
+ * analytics:read scope when called with an API key.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getApiSubmissionService } from '../../../../lib/services/submission-service.js';
+
+function errorResponse(error, code, status) {
+  return json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  }, { status });
+}
+
+/**
+ * GET /api/v1/analytics
+ */
+export async function GET({ locals }) {
+  const userId = locals.auth?.user?.id;
+  if (!userId) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const submissionService = getApiSubmissionService();
+  if (!submissionService) {
+    return errorResponse('Analytics API is not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  try {
+    const analytics = await submissionService.getSubmitterAnalytics(userId);
+
+    return json({
+      success: true,
+      ...analytics,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    return errorResponse('Failed to get analytics', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * OPTIONS /api/v1/analytics
+ * Handle CORS preflight requests
+ */
+export function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
@@ -0,0 +1,126 @@
+/**
+ * API v1 Submissions Endpoint
+ *
+ * Lists and creates the caller's own submissions. Needs the submissions:read
+ * or submissions:write scope when called with an API key.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getApiSubmissionService } from '../../../../lib/services/submission-service.js';
+
+const MAX_LIMIT = 100;
+
+function errorResponse(error, code, status) {
+  return json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  }, { status });
+}
+
+/**
+ * GET /api/v1/submissions
+ * Query: status (default all), page, limit
+ */
+export async function GET({ url, locals }) {
+  const userId = locals.auth?.user?.id;
+  if (!userId) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const submissionService = getApiSubmissionService();
+  if (!submissionService) {
+    return errorResponse('Submissions API is not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  const page = Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), MAX_LIMIT);
+
+  try {
+    const result = await submissionService.getSubmissions({
+      page,
+      limit,
+      status: url.searchParams.get('status') || 'all',
+      submitted_by: userId,
+      sort: 'new'
+    });
+
+    return json({
+      success: true,
+      submissions: result.data,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List submissions error:', error);
+    return errorResponse('Failed to list submissions', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * POST /api/v1/submissions
+ * Body: { url, language }
+ */
+export async function POST({ request, locals }) {
+  const userId = locals.auth?.user?.id;
+  if (!userId) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const submissionService = getApiSubmissionService();
+  if (!submissionService) {
+    return errorResponse('Submissions API is not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse('Invalid JSON in request body', 'VALIDATION_ERROR', 400);
+  }
+
+  try {
+    const submission = await submissionService.createSubmission({
+      url: body.url,
+      language: body.language
+    }, userId);
+
+    return json({
+      success: true,
+      submission,
+      timestamp: new Date().toISOString()
+    }, { status: 201 });
+  } catch (error) {
+    const message = error?.message || '';
+
+    if (message.includes('URL is required') ||
+        message.includes('Invalid URL format') ||
+        message.includes('already been submitted')) {
+      return errorResponse(message, 'VALIDATION_ERROR', 400);
+    }
+
+    if (message.includes('Failed to fetch metadata')) {
+      return errorResponse('Unable to fetch metadata from the provided URL', 'UNPROCESSABLE', 422);
+    }
+
+    console.error('Create submission error:', error);
+    return errorResponse('Failed to create submission', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * OPTIONS /api/v1/submissions
+ * Handle CORS preflight requests
+ */
+export function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * API v1 Submission Endpoint
+ *
+ * Reads one of the caller's own submissions, in any status.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getApiSubmissionService } from '../../../../../lib/services/submission-service.js';
+
+function errorResponse(error, code, status) {
+  return json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  }, { status });
+}
+
+/**
+ * GET /api/v1/submissions/:id
+ */
+export async function GET({ params, locals }) {
+  const userId = locals.auth?.user?.id;
+  if (!userId) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const submissionService = getApiSubmissionService();
+  if (!submissionService) {
+    return errorResponse('Submissions API is not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  try {
+    const submission = await submissionService.getOwnSubmission(params.id, userId);
+
+    return json({
+      success: true,
+      submission,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.message === 'Submission not found') {
+      return errorResponse('Submission not found', 'NOT_FOUND', 404);
+    }
+
+    console.error('Get submission error:', error);
+    return errorResponse('Failed to get submission', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * OPTIONS /api/v1/submissions/:id
+ * Handle CORS preflight requests
+ */
+export function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * API v1 Webhooks Endpoint
+ *
+ * Lists and creates outgoing webhook subscriptions for the authenticated
+ * user or federation partner.
+ */
+
+import { json } from '@sveltejs/kit';
+import {
+  getWebhookOwner,
+  getWebhookService,
+  WEBHOOK_EVENTS
+} from '../../../../lib/services/webhook-service.js';
+
+function unauthorized() {
+  return json({
+    success: false,
+    error: 'Authentication required',
+    code: 'UNAUTHORIZED',
+    timestamp: new Date().toISOString()
+  }, { status: 401 });
+}
+
+function unavailable() {
+  return json({
+    success: false,
+    error: 'Webhooks are not configured',
+    code: 'SERVICE_UNAVAILABLE',
+    timestamp: new Date().toISOString()
+  }, { status: 503 });
+}
+
+/**
+ * GET /api/v1/webhooks
+ * Returns the caller's webhooks and the available event types
+ */
+export async function GET({ locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return unauthorized();
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return unavailable();
+  }
+
+  try {
+    const webhooks = await webhookService.listWebhooks(owner);
+
+    return json({
+      success: true,
+      webhooks,
+      available_events: Object.entries(WEBHOOK_EVENTS).map(([type, config]) => ({
+        type,
+        description: config.description
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+
+    return json({
+      success: false,
+      error: 'Failed to list webhooks',
+      code: 'INTERNAL_ERROR',
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/v1/webhooks
+ * Creates a webhook; the signing secret is only returned in this response
+ */
+export async function POST({ request, locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return unauthorized();
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return unavailable();
+  }
+
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return json({
+        success: false,
+        error: 'Invalid JSON in request body',
+        code: 'VALIDATION_ERROR',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    const webhook = await webhookService.createWebhook(owner, {
+      url: body.url,
+      events: body.events,
+      description: body.description
+    });
+
+    return json({
+      success: true,
+      webhook,
+      timestamp: new Date().toISOString()
+    }, { status: 201 });
+  } catch (error) {
+    if (error.status === 400) {
+      return json({
+        success: false,
+        error: error.message,
+        code: 'VALIDATION_ERROR',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    console.error('Create webhook error:', error);
+
+    return json({
+      success: false,
+      error: 'Failed to create webhook',
+      code: 'INTERNAL_ERROR',
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
+
+/**
+ * OPTIONS /api/v1/webhooks
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
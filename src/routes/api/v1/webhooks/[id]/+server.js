@@ -0,0 +1,144 @@
+/**
+ * API v1 Webhook Endpoint
+ *
+ * Reads, updates and deletes a single webhook owned by the caller.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getWebhookOwner, getWebhookService } from '../../../../../lib/services/webhook-service.js';
+
+function errorResponse(error, code, status) {
+  return json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  }, { status });
+}
+
+/**
+ * GET /api/v1/webhooks/:id
+ */
+export async function GET({ params, locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return errorResponse('Webhooks are not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  try {
+    const webhook = await webhookService.getWebhook(params.id, owner);
+    if (!webhook) {
+      return errorResponse('Webhook not found', 'NOT_FOUND', 404);
+    }
+
+    return json({
+      success: true,
+      webhook,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    return errorResponse('Failed to get webhook', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * PATCH /api/v1/webhooks/:id
+ * Accepts url, events, status, description and rotate_secret
+ */
+export async function PATCH({ params, request, locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return errorResponse('Webhooks are not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return errorResponse('Invalid JSON in request body', 'VALIDATION_ERROR', 400);
+    }
+
+    const webhook = await webhookService.updateWebhook(params.id, owner, {
+      url: body.url,
+      events: body.events,
+      status: body.status,
+      description: body.description,
+      rotate_secret: body.rotate_secret === true
+    });
+
+    if (!webhook) {
+      return errorResponse('Webhook not found', 'NOT_FOUND', 404);
+    }
+
+    return json({
+      success: true,
+      webhook,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return errorResponse(error.message, 'VALIDATION_ERROR', 400);
+    }
+
+    console.error('Update webhook error:', error);
+    return errorResponse('Failed to update webhook', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ */
+export async function DELETE({ params, locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return errorResponse('Authentication required', 'UNAUTHORIZED', 401);
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return errorResponse('Webhooks are not configured', 'SERVICE_UNAVAILABLE', 503);
+  }
+
+  try {
+    const deleted = await webhookService.deleteWebhook(params.id, owner);
+    if (!deleted) {
+      return errorResponse('Webhook not found', 'NOT_FOUND', 404);
+    }
+
+    return json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    return errorResponse('Failed to delete webhook', 'INTERNAL_ERROR', 500);
+  }
+}
+
+/**
+ * OPTIONS /api/v1/webhooks/:id
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * API v1 Webhook Deliveries Endpoint
+ *
+ * Lists recorded deliveries for a webhook owned by the caller.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getWebhookOwner, getWebhookService } from '../../../../../../lib/services/webhook-service.js';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'retrying'];
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * Query parameters: status, limit (max 100), offset
+ */
+export async function GET({ params, url, locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return json({
+      success: false,
+      error: 'Authentication required',
+      code: 'UNAUTHORIZED',
+      timestamp: new Date().toISOString()
+    }, { status: 401 });
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return json({
+      success: false,
+      error: 'Webhooks are not configured',
+      code: 'SERVICE_UNAVAILABLE',
+      timestamp: new Date().toISOString()
+    }, { status: 503 });
+  }
+
+  try {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 100);
+    const offset = Math.max(parseInt(url.searchParams.get('offset')) || 0, 0);
+    const status = url.searchParams.get('status');
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return json({
+        success: false,
+        error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+        code: 'VALIDATION_ERROR',
+        timestamp: new Date().toISOString()
+      }, { status: 400 });
+    }
+
+    const result = await webhookService.listDeliveries(params.id, owner, { status, limit, offset });
+
+    if (!result) {
+      return json({
+        success: false,
+        error: 'Webhook not found',
+        code: 'NOT_FOUND',
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+
+    return json({
+      success: true,
+      deliveries: result.deliveries,
+      pagination: {
+        total: result.total,
+        limit,
+        offset,
+        has_more: offset + limit < result.total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+
+    return json({
+      success: false,
+      error: 'Failed to list webhook deliveries',
+      code: 'INTERNAL_ERROR',
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * API v1 Webhook Redelivery Endpoint
+ *
+ * Replays a past delivery as a new, freshly signed delivery.
+ */
+
+import { json } from '@sveltejs/kit';
+import { getWebhookOwner, getWebhookService } from '../../../../../../../../lib/services/webhook-service.js';
+
+/**
+ * POST /api/v1/webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+export async function POST({ params, locals }) {
+  const owner = getWebhookOwner(locals.auth);
+  if (!owner) {
+    return json({
+      success: false,
+      error: 'Authentication required',
+      code: 'UNAUTHORIZED',
+      timestamp: new Date().toISOString()
+    }, { status: 401 });
+  }
+
+  const webhookService = getWebhookService();
+  if (!webhookService) {
+    return json({
+      success: false,
+      error: 'Webhooks are not configured',
+      code: 'SERVICE_UNAVAILABLE',
+      timestamp: new Date().toISOString()
+    }, { status: 503 });
+  }
+
+  try {
+    const delivery = await webhookService.redeliver(params.id, params.deliveryId, owner);
+
+    if (!delivery) {
+      return json({
+        success: false,
+        error: 'Delivery not found',
+        code: 'NOT_FOUND',
+        timestamp: new Date().toISOString()
+      }, { status: 404 });
+    }
+
+    return json({
+      success: true,
+      delivery,
+      timestamp: new Date().toISOString()
+    }, { status: 202 });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+
+    return json({
+      success: false,
+      error: 'Failed to redeliver webhook',
+      code: 'INTERNAL_ERROR',
+      timestamp: new Date().toISOString()
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Embeddable leaderboard award ribbon
+ * Handles GET /awards/[id]/ribbon.svg
+ */
+
+import { error } from '@sveltejs/kit';
+import { createLeaderboardService, renderAwardRibbon } from '$lib/services/leaderboard-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize leaderboard service lazily
+let leaderboardService;
+function getLeaderboardService() {
+  if (!leaderboardService) {
+    leaderboardService = createLeaderboardService(supabase);
+  }
+  return leaderboardService;
+}
+
+export async function GET({ params }) {
+  let award;
+  try {
+    award = await getLeaderboardService().getAward(params.id);
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Award ribbon error:', err);
+    throw error(500, 'Failed to load award');
+  }
+
+  // Awards never change once handed out
+  return new Response(renderAwardRibbon(award), {
+    headers: {
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=86400, immutable',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,33 @@
+/**
+ * Badge page
+ * Server-rendered, indexable page describing one public badge
+ */
+
+import { error } from '@sveltejs/kit';
+import { BadgeService } from '$lib/services/badge-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize badge service lazily
+let badgeService;
+function getBadgeService() {
+  if (!badgeService) {
+    badgeService = new BadgeService(supabase);
+  }
+  return badgeService;
+}
+
+export async function load({ params }) {
+  const result = await getBadgeService().getBadgeDefinition(params.slug);
+  if (!result.success || result.data.is_public === false) {
+    throw error(404, 'Badge not found');
+  }
+
+  const stats = await getBadgeService().getBadgeStats(params.slug);
+
+  return {
+    badge: result.data,
+    stats: stats.success ? stats.data : {},
+    // Used by the root layout for <title>
+    title: `${result.data.name} badge`
+  };
+}
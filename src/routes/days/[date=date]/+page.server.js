@@ -0,0 +1,41 @@
+/**
+ * Launch day archive
+ * Everything that launched on one past day; today's date redirects to /today
+ */
+
+import { error, redirect } from '@sveltejs/kit';
+import { createLaunchScheduleService } from '$lib/services/launch-schedule-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize launch schedule service lazily
+let launchScheduleService;
+function getLaunchScheduleService() {
+  if (!launchScheduleService) {
+    launchScheduleService = createLaunchScheduleService(supabase);
+  }
+  return launchScheduleService;
+}
+
+export async function load({ params }) {
+  let day;
+  try {
+    day = await getLaunchScheduleService().getLaunchDay(params.date);
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Launch day error:', err);
+    throw error(500, 'Failed to load launch day');
+  }
+
+  if (day.isToday) {
+    throw redirect(307, '/today');
+  }
+
+  return {
+    day,
+    // Used by the root layout for <title>
+    title: `Launches of ${day.date}`
+  };
+}
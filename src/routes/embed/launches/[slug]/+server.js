@@ -0,0 +1,45 @@
+/**
+ * Embeddable launch card
+ * Handles GET /embed/launches/[slug]?theme=light|dark|system&locale=
+ * Served outside the app layout so other sites can frame it.
+ */
+
+import { error } from '@sveltejs/kit';
+import { createEmbedService } from '$lib/services/embed-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize embed service lazily
+let embedService;
+function getEmbedService() {
+  if (!embedService) {
+    embedService = createEmbedService(supabase);
+  }
+  return embedService;
+}
+
+export async function GET({ params, url }) {
+  let card;
+  try {
+    card = await getEmbedService().getCard(params.slug, {
+      origin: url.origin,
+      theme: url.searchParams.get('theme'),
+      locale: url.searchParams.get('locale')
+    });
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Launch card error:', err);
+    throw error(500, 'Failed to load launch');
+  }
+
+  // The vote count refreshes in the card, so a short cache is enough
+  return new Response(card.html, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': card.contentSecurityPolicy,
+      'Cache-Control': 'public, max-age=300'
+    }
+  });
+}
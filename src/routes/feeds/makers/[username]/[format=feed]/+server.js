@@ -0,0 +1,40 @@
+/**
+ * Maker launches feed endpoint
+ * Handles GET /feeds/makers/[username]/{rss,atom,json}
+ */
+
+import { error } from '@sveltejs/kit';
+import { createFeedService, createFeedResponse } from '$lib/services/feed-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize feed service lazily
+let feedService;
+function getFeedService() {
+  if (!feedService) {
+    feedService = createFeedService(supabase);
+  }
+  return feedService;
+}
+
+/**
+ * GET /feeds/makers/[username]/[format] - Newest approved launches as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+ * Supports ?limit (max 50) and conditional GET via If-None-Match/If-Modified-Since.
+ */
+export async function GET({ params, url, request }) {
+  try {
+    const feed = await getFeedService().getFeed({ type: 'maker', value: params.username }, {
+      url,
+      format: params.format,
+      limit: parseInt(url.searchParams.get('limit') || '20')
+    });
+
+    return createFeedResponse(request, params.format, feed);
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Feed error:', err);
+    throw error(500, 'Failed to build feed');
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Processed image variants
+ * Handles GET /images/[id]/[width].[format]
+ */
+
+import { error } from '@sveltejs/kit';
+import { getImageStorage } from '$lib/services/image-storage.js';
+import { IMAGE_FORMATS } from '$lib/services/image-service.js';
+
+const ID_PATTERN = /^[0-9a-f]{32}$/;
+const FILE_PATTERN = new RegExp(`^\\d{1,4}\\.(${IMAGE_FORMATS.join('|')})$`);
+
+/**
+ * GET /images/[id]/[file] - A stored variant, e.g. /images/<id>/640.webp
+ * Variants never change once written (the ID is a hash of the source image),
+ * so they are cached for a year and answered with 304 on revalidation.
+ */
+export async function GET({ params, request }) {
+  const { id, file } = params;
+  if (!ID_PATTERN.test(id) || !FILE_PATTERN.test(file)) {
+    throw error(404, 'Image not found');
+  }
+
+  const storage = getImageStorage();
+  if (!storage) {
+    throw error(404, 'Image not found');
+  }
+
+  const etag = `"${id}-${file}"`;
+  const headers = {
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    ETag: etag,
+    'Access-Control-Allow-Origin': '*'
+  };
+
+  if (request.headers.get('if-none-match') === etag) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  let image;
+  try {
+    image = await storage.get(`${id}/${file}`);
+  } catch (err) {
+    console.error('Image storage error:', err);
+    throw error(502, 'Failed to load image');
+  }
+
+  if (!image) {
+    throw error(404, 'Image not found');
+  }
+
+  return new Response(image.body, {
+    headers: {
+      ...headers,
+      'Content-Type': image.contentType,
+      'Content-Length': String(image.body.length),
+      'X-Content-Type-Options': 'nosniff'
+    }
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * IndexNow key endpoint
+ * Handles GET /indexnow.txt, which IndexNow fetches to verify sitemap pings
+ */
+
+import { error } from '@sveltejs/kit';
+
+/**
+ * GET /indexnow.txt - The configured INDEXNOW_KEY
+ */
+export function GET() {
+  const key = process.env.INDEXNOW_KEY;
+  if (!key) {
+    throw error(404, 'Not found');
+  }
+
+  return new Response(key, {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Launch detail page
+ * Server-rendered, indexable page for one launch at its canonical /launches/[slug]
+ */
+
+import { error, redirect } from '@sveltejs/kit';
+import { createLaunchPageService, getLaunchPath } from '$lib/services/launch-page-service.js';
+import { localizePath } from '$lib/i18n/locales.js';
+import { createVoteService } from '$lib/services/vote-service.js';
+import { BadgeService } from '$lib/services/badge-service.js';
+import { createLeaderboardService } from '$lib/services/leaderboard-service.js';
+import { getOEmbedUrl, renderEmbedIframe } from '$lib/services/embed-service.js';
+import { createFeaturedBadgeService, renderFeaturedBadgeEmbed } from '$lib/services/featured-badge-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize launch page service lazily
+let launchPageService;
+function getLaunchPageService() {
+  if (!launchPageService) {
+    launchPageService = createLaunchPageService(supabase, {
+      badgeService: new BadgeService(supabase)
+    });
+  }
+  return launchPageService;
+}
+
+// Initialize leaderboard service lazily
+let leaderboardService;
+function getLeaderboardService() {
+  if (!leaderboardService) {
+    leaderboardService = createLeaderboardService(supabase);
+  }
+  return leaderboardService;
+}
+
+// Initialize featured badge service lazily
+let featuredBadgeService;
+function getFeaturedBadgeService() {
+  if (!featuredBadgeService) {
+    featuredBadgeService = createFeaturedBadgeService(supabase, {
+      launchPageService: getLaunchPageService(),
+      leaderboardService: getLeaderboardService()
+    });
+  }
+  return featuredBadgeService;
+}
+
+export async function load({ params, url, locals }) {
+  let page;
+  try {
+    page = await getLaunchPageService().getPage(params.slug, {
+      origin: url.origin,
+      locale: locals.locale
+    });
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Launch page error:', err);
+    throw error(500, 'Failed to load launch');
+  }
+
+  // Links by ID redirect to the canonical slug URL
+  const canonicalPath = localizePath(getLaunchPath(page.launch), locals.locale);
+  if (url.pathname !== canonicalPath) {
+    throw redirect(301, `${canonicalPath}${url.search}`);
+  }
+
+  let userHasVoted = false;
+  if (locals.user?.id) {
+    try {
+      const voted = await createVoteService(supabase).getVotedSubmissionIds(locals.user.id, [page.launch.id]);
+      userHasVoted = voted.has(page.launch.id);
+    } catch (voteError) {
+      console.warn('Failed to load user vote:', voteError.message);
+    }
+  }
+
+  let awards = [];
+  try {
+    awards = await getLeaderboardService().getLaunchAwards(page.launch.id);
+  } catch (awardError) {
+    console.warn('Failed to load launch awards:', awardError.message);
+  }
+
+  const branding = await getFeaturedBadgeService().getBranding();
+
+  return {
+    ...page,
+    awards,
+    embed: {
+      oembedUrl: getOEmbedUrl(page.seo.canonical, url.origin),
+      html: renderEmbedIframe(page.launch, url.origin, { locale: locals.locale }),
+      badgeHtml: renderFeaturedBadgeEmbed(page.launch, url.origin, { siteName: branding.siteName })
+    },
+    // Used by the root layout for <title>
+    title: page.seo.title,
+    userHasVoted
+  };
+}
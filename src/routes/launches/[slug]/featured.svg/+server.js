@@ -0,0 +1,36 @@
+/**
+ * Embeddable "Featured on" badge for a launch
+ * Handles GET /launches/[slug]/featured.svg?theme=light|dark|brand&size=small|medium|large
+ */
+
+import { error } from '@sveltejs/kit';
+import { createFeaturedBadgeService, createBadgeResponse } from '$lib/services/featured-badge-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize featured badge service lazily
+let featuredBadgeService;
+function getFeaturedBadgeService() {
+  if (!featuredBadgeService) {
+    featuredBadgeService = createFeaturedBadgeService(supabase);
+  }
+  return featuredBadgeService;
+}
+
+export async function GET({ params, url, request }) {
+  let badge;
+  try {
+    badge = await getFeaturedBadgeService().getBadge(params.slug, {
+      theme: url.searchParams.get('theme'),
+      size: url.searchParams.get('size')
+    });
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Featured badge error:', err);
+    throw error(500, 'Failed to load badge');
+  }
+
+  return createBadgeResponse(request, badge.svg);
+}
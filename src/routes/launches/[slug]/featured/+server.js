@@ -0,0 +1,38 @@
+/**
+ * "Featured on" badge link
+ * Handles GET /launches/[slug]/featured: records the referral, then redirects to the launch page
+ */
+
+import { error, redirect } from '@sveltejs/kit';
+import { createFeaturedBadgeService } from '$lib/services/featured-badge-service.js';
+import { getLaunchPath } from '$lib/services/launch-page-service.js';
+import { localizePath } from '$lib/i18n/locales.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize featured badge service lazily
+let featuredBadgeService;
+function getFeaturedBadgeService() {
+  if (!featuredBadgeService) {
+    featuredBadgeService = createFeaturedBadgeService(supabase);
+  }
+  return featuredBadgeService;
+}
+
+export async function GET({ params, url, request, locals }) {
+  let launch;
+  try {
+    ({ launch } = await getFeaturedBadgeService().recordClick(params.slug, {
+      referrer: request.headers.get('referer'),
+      origin: url.origin
+    }));
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Featured badge click error:', err);
+    throw error(500, 'Failed to load launch');
+  }
+
+  throw redirect(302, localizePath(getLaunchPath(launch), locals.locale));
+}
@@ -0,0 +1,9 @@
+/**
+ * Leaderboards start with the daily ranking
+ */
+
+import { redirect } from '@sveltejs/kit';
+
+export function load() {
+  throw redirect(307, '/leaderboard/day');
+}
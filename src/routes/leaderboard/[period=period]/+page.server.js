@@ -0,0 +1,40 @@
+/**
+ * Current leaderboard
+ * Live ranking of the day, week or month in progress, with past winners
+ */
+
+import { error } from '@sveltejs/kit';
+import { createLeaderboardService } from '$lib/services/leaderboard-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize leaderboard service lazily
+let leaderboardService;
+function getLeaderboardService() {
+  if (!leaderboardService) {
+    leaderboardService = createLeaderboardService(supabase);
+  }
+  return leaderboardService;
+}
+
+export async function load({ params }) {
+  try {
+    const [leaderboard, archive] = await Promise.all([
+      getLeaderboardService().getLeaderboard(params.period),
+      getLeaderboardService().getArchive(params.period)
+    ]);
+
+    return {
+      leaderboard,
+      archive,
+      // Used by the root layout for <title>
+      title: `${leaderboard.title} leaderboard`
+    };
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Leaderboard error:', err);
+    throw error(500, 'Failed to load leaderboard');
+  }
+}
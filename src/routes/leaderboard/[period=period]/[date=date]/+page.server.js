@@ -0,0 +1,46 @@
+/**
+ * Leaderboard archive
+ * The (frozen) ranking of one past day, week or month at /leaderboard/[period]/[start]
+ */
+
+import { error, redirect } from '@sveltejs/kit';
+import { createLeaderboardService } from '$lib/services/leaderboard-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize leaderboard service lazily
+let leaderboardService;
+function getLeaderboardService() {
+  if (!leaderboardService) {
+    leaderboardService = createLeaderboardService(supabase);
+  }
+  return leaderboardService;
+}
+
+export async function load({ params }) {
+  let leaderboard;
+  try {
+    leaderboard = await getLeaderboardService().getLeaderboard(params.period, params.date);
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Leaderboard error:', err);
+    throw error(500, 'Failed to load leaderboard');
+  }
+
+  // The period in progress lives at /leaderboard/[period]
+  if (!leaderboard.nextStartsOn) {
+    throw redirect(307, `/leaderboard/${params.period}`);
+  }
+  // Any day of a period redirects to the period's first day
+  if (leaderboard.startsOn !== params.date) {
+    throw redirect(301, `/leaderboard/${params.period}/${leaderboard.startsOn}`);
+  }
+
+  return {
+    leaderboard,
+    // Used by the root layout for <title>
+    title: `${leaderboard.title}: ${leaderboard.label}`
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Badge image baked with the award's Open Badges 2.0 assertion URL
+ * Handles GET /openbadges/assertions/[id]/image.png and image.svg
+ */
+
+import { error } from '@sveltejs/kit';
+import { getOpenBadgesService } from '$lib/services/open-badges-service.js';
+
+/**
+ * The Open Badges service, or 503 when the instance has no service role key
+ */
+function getService() {
+  const service = getOpenBadgesService();
+  if (!service) {
+    throw error(503, 'Open Badges export is not configured');
+  }
+  return service;
+}
+
+/**
+ * Map service errors to HTTP errors
+ */
+function handleError(err, message) {
+  if (err?.body) {
+    throw err;
+  }
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error(`${message}:`, err);
+  throw error(500, message);
+}
+
+const FILE_PATTERN = /^image\.(png|svg)$/;
+
+export async function GET({ params, url }) {
+  const match = FILE_PATTERN.exec(params.file);
+  if (!match) {
+    throw error(404, 'Not found');
+  }
+
+  let image;
+  try {
+    image = await getService().getBakedImage(params.id, {
+      version: 2,
+      format: match[1],
+      origin: url.origin
+    });
+  } catch (err) {
+    handleError(err, 'Failed to bake badge image');
+  }
+
+  return new Response(image.body, {
+    headers: {
+      'Content-Type': image.contentType,
+      'Content-Disposition': `inline; filename="badge-${params.id}.${match[1]}"`,
+      'Cache-Control': 'public, max-age=300',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
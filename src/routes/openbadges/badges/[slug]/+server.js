@@ -0,0 +1,47 @@
+/**
+ * Open Badges 2.0 BadgeClass
+ * Handles GET /openbadges/badges/[slug]
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { getOpenBadgesService } from '$lib/services/open-badges-service.js';
+
+/**
+ * The Open Badges service, or 503 when the instance has no service role key
+ */
+function getService() {
+  const service = getOpenBadgesService();
+  if (!service) {
+    throw error(503, 'Open Badges export is not configured');
+  }
+  return service;
+}
+
+/**
+ * Map service errors to HTTP errors
+ */
+function handleError(err, message) {
+  if (err?.body) {
+    throw err;
+  }
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error(`${message}:`, err);
+  throw error(500, message);
+}
+
+export async function GET({ params, url }) {
+  try {
+    return json(await getService().getBadgeClass(params.slug, url.origin), {
+      headers: {
+      'Content-Type': 'application/ld+json',
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*'
+    }
+    });
+  } catch (err) {
+    handleError(err, 'Failed to load badge');
+  }
+}
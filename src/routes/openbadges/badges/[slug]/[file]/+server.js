@@ -0,0 +1,57 @@
+/**
+ * Badge image, unbaked
+ * Handles GET /openbadges/badges/[slug]/image.png and image.svg
+ */
+
+import { error } from '@sveltejs/kit';
+import { getOpenBadgesService } from '$lib/services/open-badges-service.js';
+
+/**
+ * The Open Badges service, or 503 when the instance has no service role key
+ */
+function getService() {
+  const service = getOpenBadgesService();
+  if (!service) {
+    throw error(503, 'Open Badges export is not configured');
+  }
+  return service;
+}
+
+/**
+ * Map service errors to HTTP errors
+ */
+function handleError(err, message) {
+  if (err?.body) {
+    throw err;
+  }
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error(`${message}:`, err);
+  throw error(500, message);
+}
+
+const FILE_PATTERN = /^image\.(png|svg)$/;
+
+export async function GET({ params }) {
+  const match = FILE_PATTERN.exec(params.file);
+  if (!match) {
+    throw error(404, 'Not found');
+  }
+
+  let image;
+  try {
+    image = await getService().getBadgeImage(params.slug, match[1]);
+  } catch (err) {
+    handleError(err, 'Failed to render badge image');
+  }
+
+  return new Response(image.body, {
+    headers: {
+      'Content-Type': image.contentType,
+      'Cache-Control': 'public, max-age=86400',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
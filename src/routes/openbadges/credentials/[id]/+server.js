@@ -0,0 +1,48 @@
+/**
+ * Open Badges 3.0 verifiable credential for a badge award
+ * Handles GET /openbadges/credentials/[id]; revoked awards answer 410 Gone
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { getOpenBadgesService } from '$lib/services/open-badges-service.js';
+
+/**
+ * The Open Badges service, or 503 when the instance has no service role key
+ */
+function getService() {
+  const service = getOpenBadgesService();
+  if (!service) {
+    throw error(503, 'Open Badges export is not configured');
+  }
+  return service;
+}
+
+/**
+ * Map service errors to HTTP errors
+ */
+function handleError(err, message) {
+  if (err?.body) {
+    throw err;
+  }
+  if (err?.status) {
+    throw error(err.status, err.message);
+  }
+
+  console.error(`${message}:`, err);
+  throw error(500, message);
+}
+
+export async function GET({ params, url }) {
+  try {
+    return json(await getService().getCredential(params.id, url.origin), {
+      headers: {
+        'Content-Type': 'application/vc+ld+json',
+        'Content-Disposition': `inline; filename="badge-${params.id}.json"`,
+        'Cache-Control': 'public, max-age=300',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (err) {
+    handleError(err, 'Failed to load credential');
+  }
+}
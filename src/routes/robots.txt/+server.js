@@ -0,0 +1,18 @@
+/**
+ * robots.txt endpoint
+ * Handles GET /robots.txt
+ */
+
+import { renderRobotsTxt } from '$lib/services/sitemap-service.js';
+
+/**
+ * GET /robots.txt - Crawl rules and the sitemap location
+ */
+export function GET({ url }) {
+  return new Response(renderRobotsTxt({ origin: url.origin }), {
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'public, max-age=86400'
+    }
+  });
+}
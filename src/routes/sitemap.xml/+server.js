@@ -0,0 +1,29 @@
+/**
+ * Sitemap index endpoint
+ * Handles GET /sitemap.xml
+ */
+
+import { error } from '@sveltejs/kit';
+import { createSitemapService, createSitemapResponse } from '$lib/services/sitemap-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize sitemap service lazily
+let sitemapService;
+function getSitemapService() {
+  if (!sitemapService) {
+    sitemapService = createSitemapService(supabase);
+  }
+  return sitemapService;
+}
+
+/**
+ * GET /sitemap.xml - Sitemap index listing every page of the child sitemaps
+ */
+export async function GET({ url }) {
+  try {
+    return createSitemapResponse(await getSitemapService().getIndex(url.origin));
+  } catch (err) {
+    console.error('Sitemap index error:', err);
+    throw error(500, 'Failed to build sitemap');
+  }
+}
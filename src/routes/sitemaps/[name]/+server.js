@@ -0,0 +1,44 @@
+/**
+ * Child sitemap endpoint
+ * Handles GET /sitemaps/{pages,launches,tags,badges}-[page].xml
+ */
+
+import { error } from '@sveltejs/kit';
+import {
+  createSitemapService,
+  createSitemapResponse,
+  parseSitemapName
+} from '$lib/services/sitemap-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize sitemap service lazily
+let sitemapService;
+function getSitemapService() {
+  if (!sitemapService) {
+    sitemapService = createSitemapService(supabase);
+  }
+  return sitemapService;
+}
+
+/**
+ * GET /sitemaps/[name] - One page of a section, every URL with hreflang alternates
+ */
+export async function GET({ params, url }) {
+  const sitemap = parseSitemapName(params.name);
+  if (!sitemap) {
+    throw error(404, 'Sitemap not found');
+  }
+
+  try {
+    return createSitemapResponse(
+      await getSitemapService().getSitemap(sitemap.section, sitemap.page, url.origin)
+    );
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Sitemap error:', err);
+    throw error(500, 'Failed to build sitemap');
+  }
+}
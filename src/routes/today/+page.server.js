@@ -0,0 +1,36 @@
+/**
+ * Today's launches
+ * Everything launching in the current launch day window
+ */
+
+import { error } from '@sveltejs/kit';
+import { createLaunchScheduleService } from '$lib/services/launch-schedule-service.js';
+import { supabase } from '$lib/config/supabase.js';
+
+// Initialize launch schedule service lazily
+let launchScheduleService;
+function getLaunchScheduleService() {
+  if (!launchScheduleService) {
+    launchScheduleService = createLaunchScheduleService(supabase);
+  }
+  return launchScheduleService;
+}
+
+export async function load() {
+  try {
+    const day = await getLaunchScheduleService().getLaunchDay();
+
+    return {
+      day,
+      // Used by the root layout for <title>
+      title: "Today's launches"
+    };
+  } catch (err) {
+    if (err.status) {
+      throw error(err.status, err.message);
+    }
+
+    console.error('Launch day error:', err);
+    throw error(500, "Failed to load today's launches");
+  }
+}
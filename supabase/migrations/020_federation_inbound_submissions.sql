@@ -0,0 +1,86 @@
+-- Migration: Inbound Federation Submissions
+-- Description: Authenticates peer instances posting to /api/federation/submit and
+-- tracks the submissions they send so retries are idempotent
+
+-- Hash of the key each peer presents as "Authorization: Bearer <key>". Active
+-- instances are public, so the hash lives in a table only the service role reads.
+CREATE TABLE IF NOT EXISTS federation_instance_keys (
+    instance_id UUID PRIMARY KEY REFERENCES federation_instances(id) ON DELETE CASCADE,
+    api_key_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE federation_instance_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage federation instance keys" ON federation_instance_keys
+    FOR ALL
+    TO service_role
+    USING (true);
+
+COMMENT ON COLUMN federation_instance_keys.api_key_hash IS 'SHA-256 hex digest of the API key this instance presents when submitting to us';
+
+-- Create federation_inbound_submissions table
+CREATE TABLE IF NOT EXISTS federation_inbound_submissions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    instance_id UUID NOT NULL REFERENCES federation_instances(id) ON DELETE CASCADE,
+    federation_submission_id VARCHAR(255) NOT NULL,
+    directory_id VARCHAR(255),
+    submission_id UUID REFERENCES submissions(id) ON DELETE SET NULL,
+    url TEXT NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',
+    notes TEXT,
+    payload JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One local submission per sender-side submission
+    UNIQUE(instance_id, federation_submission_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_federation_inbound_instance_id ON federation_inbound_submissions(instance_id);
+CREATE INDEX IF NOT EXISTS idx_federation_inbound_submission_id ON federation_inbound_submissions(submission_id);
+CREATE INDEX IF NOT EXISTS idx_federation_inbound_created_at ON federation_inbound_submissions(created_at DESC);
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_federation_inbound_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_federation_inbound_updated_at
+    BEFORE UPDATE ON federation_inbound_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_federation_inbound_updated_at();
+
+-- Row Level Security (RLS) policies
+ALTER TABLE federation_inbound_submissions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow service role to manage inbound submissions
+CREATE POLICY "Service role can manage inbound federation submissions" ON federation_inbound_submissions
+    FOR ALL
+    TO service_role
+    USING (true);
+
+-- Policy: Admins can review inbound submissions
+CREATE POLICY "Admins can read inbound federation submissions" ON federation_inbound_submissions
+    FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.users
+            WHERE users.id = auth.uid() AND users.is_admin = true
+        )
+    );
+
+-- Rate limit for submissions received from each peer instance
+INSERT INTO public.rate_limit_configs (name, type, max_requests, window_seconds, burst_allowance) VALUES
+('federation_inbound', 'api_key', 100, 3600, 10)
+ON CONFLICT (name) DO NOTHING;
+
+COMMENT ON TABLE federation_inbound_submissions IS 'Submissions received from peer instances via /api/federation/submit';
+COMMENT ON COLUMN federation_inbound_submissions.federation_submission_id IS 'Submission ID on the sending instance, used for idempotent retries';
@@ -0,0 +1,37 @@
+-- Migration: Outgoing Webhook Deliveries
+-- Description: Extends webhooks and webhook_deliveries for signed deliveries,
+-- exponential backoff retries and manual redelivery
+
+-- Delivery diagnostics and replay tracking
+ALTER TABLE webhook_deliveries
+    ADD COLUMN IF NOT EXISTS last_error TEXT,
+    ADD COLUMN IF NOT EXISTS duration_ms INTEGER,
+    ADD COLUMN IF NOT EXISTS redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL;
+
+-- Retries back off exponentially, so allow more attempts than the original default
+ALTER TABLE webhook_deliveries
+    ALTER COLUMN max_attempts SET DEFAULT 5;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_webhooks_events ON webhooks USING GIN(events);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- Secrets and delivery payloads are served through the API on the service
+-- role; owners may only read their own rows directly
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their webhooks" ON webhooks
+    FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can view their webhook deliveries" ON webhook_deliveries
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM webhooks
+            WHERE webhooks.id = webhook_deliveries.webhook_id
+            AND webhooks.user_id = auth.uid()
+        )
+    );
+
+COMMENT ON COLUMN webhooks.secret IS 'Signing secret; deliveries carry X-LaunchPadder-Signature: t=<unix>,v1=HMAC-SHA256(secret, "<unix>.<body>")';
+COMMENT ON COLUMN webhook_deliveries.last_error IS 'Transport error or HTTP status of the most recent failed attempt';
+COMMENT ON COLUMN webhook_deliveries.redelivery_of IS 'Original delivery when this delivery was replayed manually';
@@ -0,0 +1,42 @@
+-- Migration: Refresh Queue Worker
+-- Description: Lets background workers claim refresh_queue jobs with row-level
+-- locking so several workers can drain the queue without double-processing
+
+-- Claim up to p_limit due jobs for a worker
+-- Jobs are taken highest priority first (enum order low < normal < high < critical),
+-- then oldest scheduled_at. Jobs stuck in 'processing' longer than the lock timeout
+-- (e.g. the worker crashed) are claimed again.
+CREATE OR REPLACE FUNCTION claim_refresh_jobs(
+    p_worker_id TEXT,
+    p_limit INTEGER DEFAULT 5,
+    p_lock_timeout_seconds INTEGER DEFAULT 900
+)
+RETURNS SETOF public.refresh_queue AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.refresh_queue AS q
+    SET status = 'processing',
+        worker_id = p_worker_id,
+        started_at = NOW(),
+        completed_at = NULL
+    WHERE q.id IN (
+        SELECT id
+        FROM public.refresh_queue
+        WHERE (status = 'pending' AND scheduled_at <= NOW())
+           OR (status = 'processing' AND started_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+        ORDER BY priority DESC, scheduled_at ASC
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING q.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Index matching the claim query
+CREATE INDEX IF NOT EXISTS idx_refresh_queue_claim
+    ON public.refresh_queue(status, priority DESC, scheduled_at);
+
+REVOKE ALL ON FUNCTION claim_refresh_jobs(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_refresh_jobs(TEXT, INTEGER, INTEGER) TO service_role;
+
+COMMENT ON FUNCTION claim_refresh_jobs IS 'Atomically claims due refresh_queue jobs for a worker using FOR UPDATE SKIP LOCKED';
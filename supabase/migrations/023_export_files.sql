@@ -0,0 +1,31 @@
+-- Migration: Export Files
+-- Description: Tracks where generated export files are stored and their format,
+-- and lets export jobs expire once their download window closes
+
+ALTER TABLE export_jobs
+ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'csv',
+ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+ALTER TABLE export_jobs DROP CONSTRAINT IF EXISTS export_jobs_format_check;
+ALTER TABLE export_jobs ADD CONSTRAINT export_jobs_format_check
+    CHECK (format IN ('csv', 'json', 'ndjson'));
+
+ALTER TABLE export_jobs DROP CONSTRAINT IF EXISTS export_jobs_type_check;
+ALTER TABLE export_jobs ADD CONSTRAINT export_jobs_type_check
+    CHECK (type IN ('submissions', 'users', 'payments', 'revenue', 'federation', 'audit_logs'));
+
+ALTER TABLE export_jobs DROP CONSTRAINT IF EXISTS export_jobs_status_check;
+ALTER TABLE export_jobs ADD CONSTRAINT export_jobs_status_check
+    CHECK (status IN ('processing', 'completed', 'failed', 'expired'));
+
+-- Finding completed exports whose download window has closed
+CREATE INDEX IF NOT EXISTS idx_export_jobs_expires_at ON export_jobs(expires_at)
+    WHERE status = 'completed';
+
+-- Private bucket for the "supabase" export storage backend
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('exports', 'exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON COLUMN export_jobs.format IS 'Export file format: csv, json or ndjson';
+COMMENT ON COLUMN export_jobs.storage_key IS 'Key of the generated file in the configured export storage (local directory or Storage bucket)';
@@ -0,0 +1,20 @@
+-- Migration: Badge Signing Keys
+-- Description: Records which Ed25519 key signed each badge verification and
+-- caches the signing keys published by federated instances
+
+ALTER TABLE public.badge_verifications
+ADD COLUMN IF NOT EXISTS key_id TEXT,
+ADD COLUMN IF NOT EXISTS issuer_url TEXT;
+
+-- federation_instances.public_key holds the last key fetched from the peer's
+-- /api/federation/info (base64url raw Ed25519 key)
+ALTER TABLE public.federation_instances
+ADD COLUMN IF NOT EXISTS public_key_id TEXT,
+ADD COLUMN IF NOT EXISTS public_key_fetched_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_badge_verifications_issuer_url ON public.badge_verifications(issuer_url);
+
+COMMENT ON COLUMN public.badge_verifications.key_id IS 'ID of the Ed25519 key that produced signature_hash';
+COMMENT ON COLUMN public.badge_verifications.issuer_url IS 'Instance that issued and signed the badge';
+COMMENT ON COLUMN public.federation_instances.public_key_id IS 'Key ID of the cached badge signing key';
+COMMENT ON COLUMN public.federation_instances.public_key_fetched_at IS 'When the badge signing key was last fetched from the instance';
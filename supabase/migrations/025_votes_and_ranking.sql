@@ -0,0 +1,102 @@
+-- Migration: Votes and Ranking
+-- Description: Keeps submissions.votes_count in sync under RLS, records the voter IP
+-- for abuse checks and adds a time-decayed hot score for ranking launches
+
+CREATE INDEX IF NOT EXISTS idx_votes_user_created_at ON public.votes(user_id, created_at DESC);
+
+-- Voter network details used by vote abuse safeguards. votes is readable by
+-- everyone, so they live in their own table that only the service role and
+-- the functions below can reach.
+CREATE TABLE IF NOT EXISTS public.vote_audit (
+    vote_id UUID PRIMARY KEY REFERENCES public.votes(id) ON DELETE CASCADE,
+    submission_id UUID NOT NULL REFERENCES public.submissions(id) ON DELETE CASCADE,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vote_audit_submission_ip ON public.vote_audit(submission_id, ip_address, created_at DESC);
+
+ALTER TABLE public.vote_audit ENABLE ROW LEVEL SECURITY;
+
+-- Record where the caller's vote on a submission came from
+CREATE OR REPLACE FUNCTION record_vote_audit(
+    p_submission_id UUID,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS VOID AS $$
+    INSERT INTO vote_audit (vote_id, submission_id, ip_address, user_agent)
+    SELECT id, submission_id, p_ip_address, p_user_agent
+    FROM votes
+    WHERE submission_id = p_submission_id
+    AND user_id = auth.uid()
+    ON CONFLICT (vote_id) DO NOTHING;
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+-- Votes on a submission cast from an IP address since a point in time
+CREATE OR REPLACE FUNCTION count_recent_votes_from_ip(
+    p_submission_id UUID,
+    p_ip_address INET,
+    p_since TIMESTAMP WITH TIME ZONE
+)
+RETURNS INTEGER AS $$
+    SELECT COUNT(*)::INTEGER
+    FROM vote_audit
+    WHERE submission_id = p_submission_id
+    AND ip_address = p_ip_address
+    AND created_at >= p_since;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Voters cannot update other users' submissions, so the counter trigger
+-- must run with the owner's privileges
+ALTER FUNCTION update_submission_votes_count() SECURITY DEFINER;
+ALTER FUNCTION update_submission_votes_count() SET search_path = public;
+
+-- Hot score: log-scaled votes plus a time term, so a launch needs 10x the votes
+-- to outrank one posted 12.5 hours later. The score only changes when votes do,
+-- which lets it be stored and indexed instead of recomputed per request.
+CREATE OR REPLACE FUNCTION calculate_hot_score(
+    p_votes INTEGER,
+    p_launched_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS DOUBLE PRECISION AS $$
+BEGIN
+    RETURN SIGN(COALESCE(p_votes, 0)) * LOG(GREATEST(ABS(COALESCE(p_votes, 0)), 1))
+        + EXTRACT(EPOCH FROM COALESCE(p_launched_at, NOW())) / 45000.0;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE public.submissions
+ADD COLUMN IF NOT EXISTS hot_score DOUBLE PRECISION;
+
+CREATE OR REPLACE FUNCTION set_submission_hot_score()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.hot_score := calculate_hot_score(NEW.votes_count, COALESCE(NEW.published_at, NEW.created_at));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_submission_hot_score ON public.submissions;
+CREATE TRIGGER set_submission_hot_score
+    BEFORE INSERT OR UPDATE OF votes_count, published_at, created_at ON public.submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION set_submission_hot_score();
+
+-- Backfill existing submissions
+UPDATE public.submissions
+SET hot_score = calculate_hot_score(votes_count, COALESCE(published_at, created_at))
+WHERE hot_score IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_hot_score ON public.submissions(hot_score DESC);
+
+COMMENT ON TABLE public.vote_audit IS 'IP address and user agent each vote was cast from, used for vote abuse checks';
+COMMENT ON COLUMN public.submissions.hot_score IS 'Time-decayed ranking score, maintained by set_submission_hot_score';
+COMMENT ON FUNCTION calculate_hot_score(INTEGER, TIMESTAMP WITH TIME ZONE) IS 'Ranking score combining log-scaled votes with launch time';
+
+GRANT EXECUTE ON FUNCTION calculate_hot_score(INTEGER, TIMESTAMP WITH TIME ZONE) TO service_role;
+REVOKE ALL ON FUNCTION record_vote_audit(UUID, INET, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION record_vote_audit(UUID, INET, TEXT) TO authenticated, service_role;
+REVOKE ALL ON FUNCTION count_recent_votes_from_ip(UUID, INET, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION count_recent_votes_from_ip(UUID, INET, TIMESTAMP WITH TIME ZONE) TO authenticated, service_role;
@@ -0,0 +1,160 @@
+-- Migration: Threaded Comments
+-- Description: Adds soft-delete, moderation (hide/lock) and thread tracking to
+-- comments, and lets abuse reports target individual comments
+
+-- Comment lifecycle and thread structure
+-- status: visible, pending (held by spam checks), hidden (by a moderator), deleted (by the author)
+ALTER TABLE public.comments
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'visible',
+ADD COLUMN IF NOT EXISTS root_id UUID REFERENCES public.comments(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS depth INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS is_locked BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS spam_score INTEGER,
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+
+ALTER TABLE public.comments DROP CONSTRAINT IF EXISTS comments_status_check;
+ALTER TABLE public.comments ADD CONSTRAINT comments_status_check
+    CHECK (status IN ('visible', 'pending', 'hidden', 'deleted'));
+
+-- Existing comments: thread roots point at themselves
+UPDATE public.comments SET root_id = id WHERE parent_id IS NULL AND root_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_comments_thread_roots
+    ON public.comments(submission_id, created_at)
+    WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_comments_root_id ON public.comments(root_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_pending ON public.comments(created_at) WHERE status = 'pending';
+
+-- Reports about a single comment (submission_id still names the launch it belongs to)
+ALTER TABLE public.abuse_reports
+ADD COLUMN IF NOT EXISTS comment_id UUID REFERENCES public.comments(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_abuse_reports_comment ON public.abuse_reports(comment_id)
+    WHERE comment_id IS NOT NULL;
+
+-- comments_count only counts visible comments, and commenters cannot update
+-- other users' submissions, so the counter runs with the owner's privileges
+CREATE OR REPLACE FUNCTION update_submission_comments_count()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_submission_id UUID := COALESCE(NEW.submission_id, OLD.submission_id);
+BEGIN
+    UPDATE public.submissions
+    SET comments_count = (
+        SELECT COUNT(*) FROM public.comments
+        WHERE submission_id = v_submission_id AND status = 'visible'
+    )
+    WHERE id = v_submission_id;
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS update_comments_count ON public.comments;
+CREATE TRIGGER update_comments_count
+    AFTER INSERT OR DELETE OR UPDATE OF status ON public.comments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_submission_comments_count();
+
+-- Authors may edit or soft-delete their comments but not undo moderation.
+-- An edit that trips spam checks moves the comment back to pending, and a
+-- soft delete drops the text so the placeholder row exposes nothing.
+-- New comments are written by the server with the service role after its
+-- spam checks; a client inserting directly gets its comment held for review
+-- and the thread fields derived from the parent.
+CREATE OR REPLACE FUNCTION protect_comment_moderation_fields()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_parent public.comments%ROWTYPE;
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.status = 'deleted' AND OLD.status IS DISTINCT FROM 'deleted' THEN
+        NEW.content := '[deleted]';
+    END IF;
+
+    IF auth.role() = 'service_role' THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        NEW.status := 'pending';
+        NEW.is_locked := FALSE;
+        NEW.spam_score := NULL;
+        NEW.edited_at := NULL;
+        NEW.deleted_at := NULL;
+        NEW.moderated_by := NULL;
+        NEW.moderated_at := NULL;
+        NEW.moderation_reason := NULL;
+
+        IF NEW.parent_id IS NULL THEN
+            NEW.root_id := NEW.id;
+            NEW.depth := 0;
+            RETURN NEW;
+        END IF;
+
+        SELECT * INTO v_parent FROM public.comments WHERE id = NEW.parent_id;
+        IF NOT FOUND
+           OR v_parent.submission_id IS DISTINCT FROM NEW.submission_id
+           OR v_parent.status <> 'visible' THEN
+            RAISE EXCEPTION 'Parent comment not found';
+        END IF;
+
+        NEW.root_id := COALESCE(v_parent.root_id, v_parent.id);
+        NEW.depth := v_parent.depth + 1;
+
+        IF EXISTS (SELECT 1 FROM public.comments WHERE id = NEW.root_id AND is_locked) THEN
+            RAISE EXCEPTION 'This thread is locked';
+        END IF;
+
+        RETURN NEW;
+    END IF;
+
+    IF is_moderator(auth.uid()) THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status IS DISTINCT FROM OLD.status
+       AND NOT (NEW.status IN ('deleted', 'pending') AND OLD.status IN ('visible', 'pending')) THEN
+        RAISE EXCEPTION 'Only moderators can change comment status';
+    END IF;
+
+    IF NEW.is_locked IS DISTINCT FROM OLD.is_locked
+       OR NEW.moderated_by IS DISTINCT FROM OLD.moderated_by
+       OR NEW.root_id IS DISTINCT FROM OLD.root_id
+       OR NEW.parent_id IS DISTINCT FROM OLD.parent_id
+       OR NEW.depth IS DISTINCT FROM OLD.depth THEN
+        RAISE EXCEPTION 'Only moderators can change comment moderation fields';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_comment_moderation_fields ON public.comments;
+CREATE TRIGGER protect_comment_moderation_fields
+    BEFORE INSERT OR UPDATE ON public.comments
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_comment_moderation_fields();
+
+-- Held and hidden comments are only readable by their author and moderators.
+-- Deleted comments stay readable as text-less thread placeholders.
+DROP POLICY IF EXISTS "Comments are viewable by everyone" ON public.comments;
+DROP POLICY IF EXISTS "Visible comments are viewable by everyone" ON public.comments;
+CREATE POLICY "Visible comments are viewable by everyone" ON public.comments
+    FOR SELECT USING (
+        status IN ('visible', 'deleted')
+        OR auth.uid() = user_id
+        OR is_moderator(auth.uid())
+    );
+
+-- Moderators hide, lock and review comments
+DROP POLICY IF EXISTS "Moderators can update comments" ON public.comments;
+CREATE POLICY "Moderators can update comments" ON public.comments
+    FOR UPDATE USING (is_moderator(auth.uid()));
+
+COMMENT ON COLUMN public.comments.status IS 'visible, pending (held by spam checks), hidden (moderator) or deleted (author soft-delete)';
+COMMENT ON COLUMN public.comments.root_id IS 'Top-level comment of the thread (itself for top-level comments)';
+COMMENT ON COLUMN public.comments.is_locked IS 'Locked threads accept no new replies';
+COMMENT ON COLUMN public.abuse_reports.comment_id IS 'Reported comment, when the report is about a comment rather than the submission';
@@ -0,0 +1,206 @@
+-- Migration: Unified Rate Limits
+-- Description: Route- and tier-scoped rate limit policies applied to every API
+-- request from hooks.server.js, with shared counters for the Postgres store
+
+-- Policy scoping. Configs with a route_pattern are applied by the API rate
+-- limiter to matching requests; configs without one are only used by name
+-- (e.g. federation_inbound in FederationInboundService).
+ALTER TABLE public.rate_limit_configs
+ADD COLUMN IF NOT EXISTS algorithm TEXT NOT NULL DEFAULT 'sliding_window',
+ADD COLUMN IF NOT EXISTS route_pattern TEXT,
+ADD COLUMN IF NOT EXISTS methods TEXT[],
+ADD COLUMN IF NOT EXISTS tier TEXT,
+ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.rate_limit_configs DROP CONSTRAINT IF EXISTS rate_limit_configs_algorithm_check;
+ALTER TABLE public.rate_limit_configs ADD CONSTRAINT rate_limit_configs_algorithm_check
+    CHECK (algorithm IN ('sliding_window', 'token_bucket'));
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_configs_routes
+    ON public.rate_limit_configs(type, priority DESC)
+    WHERE route_pattern IS NOT NULL AND is_active = TRUE;
+
+-- Counter state shared by every app instance using the Postgres store.
+-- sliding_window uses window_start/current_count/previous_count,
+-- token_bucket uses tokens/updated_at.
+CREATE TABLE IF NOT EXISTS public.rate_limit_counters (
+    key TEXT PRIMARY KEY,
+    algorithm TEXT NOT NULL,
+    window_start TIMESTAMP WITH TIME ZONE,
+    current_count INTEGER NOT NULL DEFAULT 0,
+    previous_count INTEGER NOT NULL DEFAULT 0,
+    tokens DOUBLE PRECISION,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires_at ON public.rate_limit_counters(expires_at);
+
+-- Counters are only touched through consume_rate_limit
+ALTER TABLE public.rate_limit_counters ENABLE ROW LEVEL SECURITY;
+
+-- Atomically count a request against a policy and report the outcome.
+-- Mirrors MemoryRateLimitStore and RedisRateLimitStore in
+-- src/lib/services/rate-limiter.js.
+CREATE OR REPLACE FUNCTION consume_rate_limit(
+    p_key TEXT,
+    p_algorithm TEXT,
+    p_max_requests INTEGER,
+    p_window_seconds INTEGER,
+    p_burst INTEGER DEFAULT 0,
+    p_cost INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+    allowed BOOLEAN,
+    remaining INTEGER,
+    reset_seconds INTEGER,
+    retry_after_seconds INTEGER
+) AS $$
+DECLARE
+    v_now DOUBLE PRECISION := EXTRACT(EPOCH FROM clock_timestamp()) * 1000;
+    v_window_ms DOUBLE PRECISION := p_window_seconds * 1000.0;
+    v_capacity INTEGER := p_max_requests + COALESCE(p_burst, 0);
+    v_counter public.rate_limit_counters%ROWTYPE;
+    v_window_start DOUBLE PRECISION;
+    v_current INTEGER;
+    v_previous INTEGER;
+    v_estimated DOUBLE PRECISION;
+    v_tokens DOUBLE PRECISION;
+    v_rate DOUBLE PRECISION;
+    v_wait DOUBLE PRECISION;
+BEGIN
+    INSERT INTO public.rate_limit_counters (key, algorithm, expires_at)
+    VALUES (p_key, p_algorithm, clock_timestamp() + make_interval(secs => p_window_seconds * 2))
+    ON CONFLICT (key) DO NOTHING;
+
+    SELECT * INTO v_counter FROM public.rate_limit_counters WHERE key = p_key FOR UPDATE;
+
+    IF p_algorithm = 'token_bucket' THEN
+        v_rate := p_max_requests / v_window_ms;
+        v_tokens := COALESCE(v_counter.tokens, v_capacity);
+        IF v_counter.tokens IS NOT NULL THEN
+            v_tokens := LEAST(v_capacity, v_tokens + (v_now - EXTRACT(EPOCH FROM v_counter.updated_at) * 1000) * v_rate);
+        END IF;
+
+        IF v_tokens >= p_cost THEN
+            v_tokens := v_tokens - p_cost;
+            allowed := TRUE;
+            retry_after_seconds := 0;
+        ELSE
+            allowed := FALSE;
+            retry_after_seconds := GREATEST(1, CEIL((p_cost - v_tokens) / v_rate / 1000));
+        END IF;
+
+        UPDATE public.rate_limit_counters
+        SET algorithm = p_algorithm,
+            tokens = v_tokens,
+            updated_at = to_timestamp(v_now / 1000),
+            expires_at = to_timestamp(v_now / 1000) + make_interval(secs => p_window_seconds * 2)
+        WHERE key = p_key;
+
+        remaining := FLOOR(v_tokens);
+        reset_seconds := CEIL((v_capacity - v_tokens) / v_rate / 1000);
+        RETURN NEXT;
+        RETURN;
+    END IF;
+
+    -- Sliding window counter: the previous fixed window's count is weighted by
+    -- how much of it still overlaps the sliding window
+    v_window_start := FLOOR(v_now / v_window_ms) * v_window_ms;
+    v_current := v_counter.current_count;
+    v_previous := v_counter.previous_count;
+
+    IF v_counter.window_start IS NULL
+       OR EXTRACT(EPOCH FROM v_counter.window_start) * 1000 < v_window_start THEN
+        IF v_counter.window_start IS NOT NULL
+           AND EXTRACT(EPOCH FROM v_counter.window_start) * 1000 = v_window_start - v_window_ms THEN
+            v_previous := v_current;
+        ELSE
+            v_previous := 0;
+        END IF;
+        v_current := 0;
+    END IF;
+
+    v_estimated := v_previous * (1 - (v_now - v_window_start) / v_window_ms) + v_current;
+    reset_seconds := CEIL((v_window_start + v_window_ms - v_now) / 1000);
+
+    IF v_estimated + p_cost <= v_capacity THEN
+        v_current := v_current + p_cost;
+        allowed := TRUE;
+        remaining := FLOOR(v_capacity - v_estimated - p_cost);
+        retry_after_seconds := 0;
+    ELSE
+        allowed := FALSE;
+        remaining := 0;
+        IF v_previous > 0 AND v_current + p_cost <= v_capacity THEN
+            v_wait := v_window_start + v_window_ms * (1 - (v_capacity - v_current - p_cost)::DOUBLE PRECISION / v_previous) - v_now;
+        ELSE
+            v_wait := v_window_start + v_window_ms - v_now;
+        END IF;
+        retry_after_seconds := GREATEST(1, CEIL(v_wait / 1000));
+    END IF;
+
+    UPDATE public.rate_limit_counters
+    SET algorithm = p_algorithm,
+        window_start = to_timestamp(v_window_start / 1000),
+        current_count = v_current,
+        previous_count = v_previous,
+        updated_at = to_timestamp(v_now / 1000),
+        expires_at = to_timestamp((v_window_start + v_window_ms * 2) / 1000)
+    WHERE key = p_key;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION consume_rate_limit(TEXT, TEXT, INTEGER, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION consume_rate_limit(TEXT, TEXT, INTEGER, INTEGER, INTEGER, INTEGER) TO service_role;
+
+-- Expired counters are recreated on the next request
+CREATE OR REPLACE FUNCTION cleanup_expired_rate_limits()
+RETURNS void AS $$
+BEGIN
+    DELETE FROM public.rate_limit_tracking
+    WHERE window_start < NOW() - INTERVAL '1 hour'
+    AND is_blocked = FALSE;
+
+    UPDATE public.rate_limit_tracking
+    SET is_blocked = FALSE, blocked_until = NULL
+    WHERE blocked_until IS NOT NULL
+    AND blocked_until < NOW();
+
+    DELETE FROM public.rate_limit_counters WHERE expires_at < NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Policies applied to API routes. The highest priority match wins, then the
+-- longest route pattern; global policies apply on top of the per-client one.
+INSERT INTO public.rate_limit_configs
+    (name, type, max_requests, window_seconds, burst_allowance, algorithm, route_pattern, methods, tier, priority)
+VALUES
+    ('api_default_ip', 'ip', 120, 60, 20, 'sliding_window', '/api/*', NULL, NULL, 0),
+    ('api_default_user', 'user', 300, 60, 30, 'sliding_window', '/api/*', NULL, NULL, 0),
+    ('api_default_api_key', 'api_key', 1000, 3600, 50, 'sliding_window', '/api/*', NULL, NULL, 0),
+    -- Previously hard-coded in /api/v1/+layout.server.js
+    ('api_v1_public', 'ip', 60, 60, 0, 'sliding_window', '/api/v1/*', NULL, NULL, 10),
+    ('api_v1_user', 'user', 100, 3600, 0, 'sliding_window', '/api/v1/*', NULL, NULL, 10),
+    ('api_v1_basic', 'api_key', 100, 3600, 0, 'sliding_window', '/api/v1/*', NULL, 'basic', 10),
+    ('api_v1_premium', 'api_key', 1000, 3600, 0, 'sliding_window', '/api/v1/*', NULL, 'premium', 10),
+    ('api_v1_enterprise', 'api_key', 10000, 3600, 0, 'sliding_window', '/api/v1/*', NULL, 'enterprise', 10),
+    -- Brute-force protection for sign-in, sign-up and password reset
+    ('api_auth_ip', 'ip', 5, 60, 1, 'sliding_window', '/api/auth/*', ARRAY['POST'], NULL, 20),
+    -- Voting allows short bursts but refills slowly
+    ('api_votes_user', 'user', 30, 60, 10, 'token_bucket', '/api/submissions/*/vote', ARRAY['POST', 'DELETE'], NULL, 20)
+ON CONFLICT (name) DO NOTHING;
+
+-- global_protection stays name-only (NULL route_pattern): a route-scoped
+-- global policy would put every matching request on one counter row lock
+
+UPDATE public.rate_limit_configs SET tier = 'premium' WHERE name IN ('user_premium', 'api_key_premium') AND tier IS NULL;
+UPDATE public.rate_limit_configs SET tier = 'basic' WHERE name = 'api_key_basic' AND tier IS NULL;
+
+COMMENT ON COLUMN public.rate_limit_configs.algorithm IS 'sliding_window (weighted fixed windows) or token_bucket (refills max_requests per window, holds max_requests + burst_allowance)';
+COMMENT ON COLUMN public.rate_limit_configs.route_pattern IS 'API path glob (* matches any characters) the policy applies to; NULL for policies only used by name';
+COMMENT ON COLUMN public.rate_limit_configs.methods IS 'HTTP methods the policy applies to; NULL for all';
+COMMENT ON COLUMN public.rate_limit_configs.tier IS 'Client tier the policy applies to (e.g. basic, premium, enterprise); NULL for all';
+COMMENT ON TABLE public.rate_limit_counters IS 'Shared rate limit counter state, written by consume_rate_limit';
@@ -0,0 +1,54 @@
+-- Migration: API Key Management
+-- Description: Self-service API keys with scopes, rotation, revocation and
+-- per-key usage tracking for the v1 API
+
+-- api_keys.permissions holds the key's scopes (see API_KEY_SCOPES in
+-- src/lib/services/api-key-service.js); key_prefix is shown in the dashboard
+-- so owners can tell keys apart without the secret.
+ALTER TABLE public.api_keys
+ADD COLUMN IF NOT EXISTS key_prefix TEXT,
+ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON public.api_keys(user_id, created_at DESC);
+
+-- Per-key usage
+ALTER TABLE public.api_usage_logs
+ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES public.api_keys(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_logs_api_key_id ON public.api_usage_logs(api_key_id, created_at DESC);
+
+-- Look up an active, unexpired key by its hash and record that it was used.
+-- Runs as the table owner so API requests can be authenticated without
+-- exposing api_keys to the anon role; the caller must already hold the key.
+CREATE OR REPLACE FUNCTION authenticate_api_key(p_key_hash TEXT)
+RETURNS TABLE (
+    id UUID,
+    user_id UUID,
+    name TEXT,
+    permissions TEXT[],
+    expires_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    -- last_used_at is only written once a minute to keep hot keys cheap
+    UPDATE public.api_keys k
+    SET last_used_at = NOW()
+    WHERE k.key_hash = p_key_hash
+    AND k.is_active = TRUE
+    AND (k.expires_at IS NULL OR k.expires_at > NOW())
+    AND (k.last_used_at IS NULL OR k.last_used_at < NOW() - INTERVAL '1 minute');
+
+    RETURN QUERY
+    SELECT k.id, k.user_id, k.name, k.permissions, k.expires_at
+    FROM public.api_keys k
+    WHERE k.key_hash = p_key_hash
+    AND k.is_active = TRUE
+    AND (k.expires_at IS NULL OR k.expires_at > NOW());
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION authenticate_api_key(TEXT) TO anon, authenticated, service_role;
+
+COMMENT ON COLUMN public.api_keys.permissions IS 'Scopes granted to the key, e.g. webhooks:read, federation:write';
+COMMENT ON COLUMN public.api_keys.key_prefix IS 'Leading characters of the key, shown to its owner to identify it';
+COMMENT ON COLUMN public.api_usage_logs.api_key_id IS 'Self-service API key used for the request, if any';
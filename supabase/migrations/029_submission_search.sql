@@ -0,0 +1,221 @@
+-- Migration: Submission Search
+-- Description: Weighted, per-language full-text search over submissions with
+-- trigram typo tolerance, highlighted snippets and facet counts
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- language picks the text search configuration (stemming and stop words) for
+-- the submission; category is the AI-detected primary category
+ALTER TABLE public.submissions
+ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en',
+ADD COLUMN IF NOT EXISTS category TEXT,
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR,
+ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+ALTER TABLE public.submissions DROP CONSTRAINT IF EXISTS submissions_language_check;
+ALTER TABLE public.submissions ADD CONSTRAINT submissions_language_check
+    CHECK (language IN ('en', 'es', 'fr', 'de'));
+
+-- Map a supported locale to its text search configuration
+CREATE OR REPLACE FUNCTION search_config(p_language TEXT)
+RETURNS REGCONFIG AS $$
+    SELECT CASE p_language
+        WHEN 'es' THEN 'pg_catalog.spanish'::REGCONFIG
+        WHEN 'fr' THEN 'pg_catalog.french'::REGCONFIG
+        WHEN 'de' THEN 'pg_catalog.german'::REGCONFIG
+        ELSE 'pg_catalog.english'::REGCONFIG
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Keep search fields in sync. Weights: A title, B tags and category,
+-- C AI-rewritten description, D original description and AI-suggested tags.
+CREATE OR REPLACE FUNCTION update_submission_search_fields()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_config REGCONFIG := search_config(NEW.language);
+    v_title TEXT := concat_ws(' ',
+        NEW.rewritten_meta->>'title',
+        NULLIF(NEW.original_meta->>'title', NEW.rewritten_meta->>'title'));
+    v_tags TEXT := array_to_string(COALESCE(NEW.tags, '{}'), ' ');
+    v_ai_tags TEXT := '';
+BEGIN
+    IF jsonb_typeof(NEW.rewritten_meta->'tags') = 'array' THEN
+        SELECT string_agg(tag, ' ') INTO v_ai_tags
+        FROM jsonb_array_elements_text(NEW.rewritten_meta->'tags') AS tag;
+    END IF;
+
+    NEW.category := NULLIF(lower(NEW.ai_analysis->'category'->>'primary'), '');
+    NEW.search_vector :=
+        setweight(to_tsvector(v_config, COALESCE(v_title, '')), 'A') ||
+        setweight(to_tsvector(v_config, concat_ws(' ', v_tags, NEW.category)), 'B') ||
+        setweight(to_tsvector(v_config, COALESCE(NEW.rewritten_meta->>'description', '')), 'C') ||
+        setweight(to_tsvector(v_config, concat_ws(' ',
+            NULLIF(NEW.original_meta->>'description', NEW.rewritten_meta->>'description'),
+            v_ai_tags)), 'D');
+    NEW.search_text := lower(concat_ws(' ', v_title, v_tags));
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_submission_search_fields ON public.submissions;
+CREATE TRIGGER update_submission_search_fields
+    BEFORE INSERT OR UPDATE OF rewritten_meta, original_meta, tags, ai_analysis, language ON public.submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_submission_search_fields();
+
+-- Backfill existing submissions
+UPDATE public.submissions SET language = language WHERE search_vector IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_search_vector ON public.submissions USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_submissions_search_text_trgm ON public.submissions USING GIN(search_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_submissions_category ON public.submissions(category);
+
+-- Submissions matching a search and filters, with a relevance score.
+-- Each submission is matched with the query parsed in its own language; the
+-- trigram fallback catches typos and partial words in titles and tags.
+-- Runs as the caller, so submissions RLS still decides what is visible.
+CREATE OR REPLACE FUNCTION submission_search_matches(
+    p_query TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_statuses TEXT[] DEFAULT NULL,
+    p_submitted_by UUID DEFAULT NULL,
+    p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_until TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID,
+    rank DOUBLE PRECISION,
+    query TSQUERY
+) AS $$
+    WITH params AS (
+        SELECT NULLIF(lower(trim(p_query)), '') AS q
+    ),
+    queries AS (
+        SELECT lang, websearch_to_tsquery(search_config(lang), params.q) AS tsq
+        FROM params, unnest(ARRAY['en', 'es', 'fr', 'de']) AS lang
+        WHERE params.q IS NOT NULL
+    )
+    SELECT
+        s.id,
+        CASE WHEN params.q IS NULL THEN 0
+        ELSE ts_rank_cd(s.search_vector, queries.tsq, 32)
+            + 0.3 * word_similarity(params.q, COALESCE(s.search_text, ''))
+        END AS rank,
+        queries.tsq AS query
+    FROM public.submissions s
+    CROSS JOIN params
+    LEFT JOIN queries ON queries.lang = s.language
+    WHERE (params.q IS NULL OR s.search_vector @@ queries.tsq OR params.q <% s.search_text)
+    AND (p_statuses IS NULL OR s.status::TEXT = ANY(p_statuses))
+    AND (p_tags IS NULL OR cardinality(p_tags) = 0 OR s.tags && p_tags)
+    AND (p_category IS NULL OR s.category = lower(p_category))
+    AND (p_submitted_by IS NULL OR s.submitted_by = p_submitted_by)
+    AND (p_since IS NULL OR s.created_at >= p_since)
+    AND (p_until IS NULL OR s.created_at < p_until);
+$$ LANGUAGE sql STABLE SET pg_trgm.word_similarity_threshold = 0.5;
+
+-- One page of search results. Highlights wrap matches in [[hl]]...[[/hl]]
+-- (escaped and rendered by the client, never as raw HTML).
+CREATE OR REPLACE FUNCTION search_submissions(
+    p_query TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_statuses TEXT[] DEFAULT NULL,
+    p_submitted_by UUID DEFAULT NULL,
+    p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_until TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_sort TEXT DEFAULT 'relevance',
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    rank REAL,
+    title_highlight TEXT,
+    snippet TEXT,
+    total_count BIGINT
+) AS $$
+    SELECT
+        m.id,
+        m.rank::REAL,
+        CASE WHEN m.query IS NULL THEN NULL ELSE ts_headline(
+            search_config(s.language),
+            COALESCE(s.rewritten_meta->>'title', s.original_meta->>'title', ''),
+            m.query,
+            'HighlightAll=true, StartSel=[[hl]], StopSel=[[/hl]]'
+        ) END,
+        CASE WHEN m.query IS NULL THEN NULL ELSE ts_headline(
+            search_config(s.language),
+            COALESCE(s.rewritten_meta->>'description', s.original_meta->>'description', ''),
+            m.query,
+            'StartSel=[[hl]], StopSel=[[/hl]], MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "'
+        ) END,
+        COUNT(*) OVER ()
+    FROM submission_search_matches(p_query, p_tags, p_category, p_statuses, p_submitted_by, p_since, p_until) m
+    JOIN public.submissions s ON s.id = m.id
+    ORDER BY
+        CASE WHEN p_sort = 'top' THEN s.votes_count END DESC,
+        CASE WHEN p_sort = 'hot' THEN s.hot_score END DESC NULLS LAST,
+        CASE WHEN p_sort = 'new' THEN s.created_at END DESC,
+        m.rank DESC,
+        s.created_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 100)
+    OFFSET GREATEST(p_offset, 0);
+$$ LANGUAGE sql STABLE;
+
+-- Facet counts (tag, category, status) over every match, not just one page
+CREATE OR REPLACE FUNCTION search_submission_facets(
+    p_query TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_statuses TEXT[] DEFAULT NULL,
+    p_submitted_by UUID DEFAULT NULL,
+    p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_until TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS JSONB AS $$
+    WITH matched AS (
+        SELECT s.tags, s.category, s.status::TEXT AS status
+        FROM submission_search_matches(p_query, p_tags, p_category, p_statuses, p_submitted_by, p_since, p_until) m
+        JOIN public.submissions s ON s.id = m.id
+    )
+    SELECT jsonb_build_object(
+        'tags', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('value', tag, 'count', total) ORDER BY total DESC, tag)
+            FROM (
+                SELECT tag, COUNT(*) AS total
+                FROM matched, unnest(matched.tags) AS tag
+                GROUP BY tag
+                ORDER BY COUNT(*) DESC, tag
+                LIMIT 30
+            ) tag_counts
+        ), '[]'::JSONB),
+        'categories', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('value', category, 'count', total) ORDER BY total DESC, category)
+            FROM (
+                SELECT category, COUNT(*) AS total
+                FROM matched
+                WHERE category IS NOT NULL
+                GROUP BY category
+            ) category_counts
+        ), '[]'::JSONB),
+        'statuses', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('value', status, 'count', total) ORDER BY total DESC, status)
+            FROM (
+                SELECT status, COUNT(*) AS total
+                FROM matched
+                GROUP BY status
+            ) status_counts
+        ), '[]'::JSONB)
+    );
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION search_submissions(TEXT, TEXT[], TEXT, TEXT[], UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, INTEGER, INTEGER) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION search_submission_facets(TEXT, TEXT[], TEXT, TEXT[], UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE) TO anon, authenticated, service_role;
+
+COMMENT ON COLUMN public.submissions.language IS 'Content language (en, es, fr, de); selects the text search configuration';
+COMMENT ON COLUMN public.submissions.category IS 'AI-detected primary category, maintained by update_submission_search_fields';
+COMMENT ON COLUMN public.submissions.search_vector IS 'Weighted full-text document, maintained by update_submission_search_fields';
+COMMENT ON COLUMN public.submissions.search_text IS 'Lower-cased title and tags for trigram (typo-tolerant) matching';
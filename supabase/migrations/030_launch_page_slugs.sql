@@ -0,0 +1,71 @@
+-- Migration: Launch Page Slugs
+-- Description: Every submission gets a valid, permanent slug for its public
+-- /launches/[slug] page
+
+-- Slugify a title. The previous version could return an empty string (which
+-- fails valid_slug) for titles without ASCII letters or digits, and kept
+-- leading and trailing hyphens.
+CREATE OR REPLACE FUNCTION generate_slug(title TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_slug TEXT;
+BEGIN
+    v_slug := trim(BOTH '-' FROM REGEXP_REPLACE(LOWER(COALESCE(title, '')), '[^a-z0-9]+', '-', 'g'));
+    v_slug := trim(BOTH '-' FROM LEFT(v_slug, 80));
+
+    IF v_slug = '' THEN
+        RETURN 'launch';
+    END IF;
+
+    RETURN v_slug;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Slugs are permanent once assigned so shared and indexed URLs keep working
+CREATE OR REPLACE FUNCTION keep_submission_slug()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.slug := OLD.slug;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS keep_submission_slug ON public.submissions;
+CREATE TRIGGER keep_submission_slug
+    BEFORE UPDATE OF slug ON public.submissions
+    FOR EACH ROW
+    WHEN (OLD.slug IS NOT NULL AND NEW.slug IS DISTINCT FROM OLD.slug)
+    EXECUTE FUNCTION keep_submission_slug();
+
+-- Backfill submissions created without a slug
+DO $$
+DECLARE
+    v_submission RECORD;
+    v_base TEXT;
+    v_slug TEXT;
+    v_counter INTEGER;
+BEGIN
+    FOR v_submission IN
+        SELECT id, rewritten_meta, original_meta
+        FROM public.submissions
+        WHERE slug IS NULL
+        ORDER BY created_at
+    LOOP
+        v_base := generate_slug(COALESCE(
+            v_submission.rewritten_meta->>'title',
+            v_submission.original_meta->>'title',
+            'untitled'
+        ));
+        v_slug := v_base;
+        v_counter := 0;
+
+        WHILE EXISTS (SELECT 1 FROM public.submissions WHERE slug = v_slug) LOOP
+            v_counter := v_counter + 1;
+            v_slug := v_base || '-' || v_counter;
+        END LOOP;
+
+        UPDATE public.submissions SET slug = v_slug WHERE id = v_submission.id;
+    END LOOP;
+END $$;
+
+COMMENT ON COLUMN public.submissions.slug IS 'Permanent URL slug for /launches/[slug], assigned on insert';
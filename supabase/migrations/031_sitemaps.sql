@@ -0,0 +1,39 @@
+-- Migration: Sitemaps
+-- Description: Public listings behind sitemap.xml. A launch's lastmod is its
+-- newest content version, falling back to when it was published.
+
+CREATE INDEX IF NOT EXISTS idx_content_versions_submission_created
+    ON public.content_versions(submission_id, created_at DESC);
+
+-- Public launches with their lastmod. Only exposes what launch pages already
+-- show, so it runs with the owner's rights and is readable by everyone.
+CREATE OR REPLACE VIEW public.sitemap_launches AS
+SELECT
+    s.id,
+    s.slug,
+    s.tags,
+    s.created_at,
+    GREATEST(cv.lastmod, s.published_at, s.created_at) AS lastmod
+FROM public.submissions s
+LEFT JOIN LATERAL (
+    SELECT MAX(v.created_at) AS lastmod
+    FROM public.content_versions v
+    WHERE v.submission_id = s.id
+) cv ON TRUE
+WHERE s.status IN ('approved', 'published');
+
+-- Tags used by public launches, modified when their newest launch was
+CREATE OR REPLACE VIEW public.sitemap_tags AS
+SELECT
+    tag,
+    MAX(l.lastmod) AS lastmod
+FROM public.sitemap_launches l,
+     unnest(l.tags) AS tag
+WHERE btrim(tag) <> ''
+GROUP BY tag;
+
+GRANT SELECT ON public.sitemap_launches TO anon, authenticated;
+GRANT SELECT ON public.sitemap_tags TO anon, authenticated;
+
+COMMENT ON VIEW public.sitemap_launches IS 'Public launches with lastmod from content_versions, for sitemap.xml';
+COMMENT ON VIEW public.sitemap_tags IS 'Tags of public launches with their lastmod, for sitemap.xml';
@@ -0,0 +1,278 @@
+-- Migration: Scheduled Launches
+-- Description: Makers pick a launch day. Approved launches wait in the
+-- 'scheduled' status until that day's window opens in the configured time
+-- zone, and each day has a capped number of standard and paid priority slots.
+
+-- 'scheduled' = approved, waiting for its launch window. Only added here; the
+-- functions below reference it at run time, after this migration commits.
+ALTER TYPE submission_status ADD VALUE IF NOT EXISTS 'scheduled';
+
+ALTER TABLE public.submissions DROP CONSTRAINT IF EXISTS submissions_status_check;
+ALTER TABLE public.submissions ADD CONSTRAINT submissions_status_check
+    CHECK (status::text IN ('draft', 'pending', 'pending_review', 'approved', 'rejected', 'escalated', 'scheduled', 'published', 'archived', 'federated'));
+
+ALTER TABLE public.submissions
+    ADD COLUMN IF NOT EXISTS launch_date DATE,
+    ADD COLUMN IF NOT EXISTS launch_slot TEXT NOT NULL DEFAULT 'standard',
+    ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+
+ALTER TABLE public.submissions DROP CONSTRAINT IF EXISTS valid_launch_slot;
+ALTER TABLE public.submissions ADD CONSTRAINT valid_launch_slot
+    CHECK (launch_slot IN ('standard', 'priority'));
+
+CREATE INDEX IF NOT EXISTS idx_submissions_launch_date ON public.submissions(launch_date, launch_slot);
+CREATE INDEX IF NOT EXISTS idx_submissions_scheduled_for ON public.submissions(scheduled_for)
+    WHERE scheduled_for IS NOT NULL;
+
+-- Launch calendar settings (a single row)
+CREATE TABLE IF NOT EXISTS public.launch_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    -- IANA time zone launch days are counted in
+    time_zone TEXT NOT NULL DEFAULT 'UTC',
+    -- Local hour each launch window opens
+    window_start_hour SMALLINT NOT NULL DEFAULT 0 CHECK (window_start_hour BETWEEN 0 AND 23),
+    -- Standard launches per day (NULL = unlimited)
+    daily_slots INTEGER DEFAULT 20 CHECK (daily_slots IS NULL OR daily_slots >= 0),
+    -- Paid priority launches per day (0 = not offered)
+    priority_slots INTEGER NOT NULL DEFAULT 0 CHECK (priority_slots >= 0),
+    -- How far ahead a launch can be booked
+    max_days_ahead INTEGER NOT NULL DEFAULT 90 CHECK (max_days_ahead > 0),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO public.launch_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.launch_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Launch settings are viewable by everyone" ON public.launch_settings;
+CREATE POLICY "Launch settings are viewable by everyone" ON public.launch_settings
+    FOR SELECT USING (true);
+
+-- Reject unknown time zones, which would break every launch day calculation
+CREATE OR REPLACE FUNCTION validate_launch_settings()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = NEW.time_zone) THEN
+        RAISE EXCEPTION 'Unknown time zone: %', NEW.time_zone;
+    END IF;
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS validate_launch_settings ON public.launch_settings;
+CREATE TRIGGER validate_launch_settings
+    BEFORE INSERT OR UPDATE ON public.launch_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_launch_settings();
+
+-- The launch day in progress
+CREATE OR REPLACE FUNCTION current_launch_day()
+RETURNS DATE AS $$
+    SELECT COALESCE(
+        (SELECT ((NOW() AT TIME ZONE s.time_zone) - make_interval(hours => s.window_start_hour))::date
+         FROM public.launch_settings s),
+        (NOW() AT TIME ZONE 'UTC')::date
+    );
+$$ LANGUAGE sql STABLE;
+
+-- When a launch day's window opens
+CREATE OR REPLACE FUNCTION launch_window_start(p_launch_date DATE)
+RETURNS TIMESTAMPTZ AS $$
+    SELECT COALESCE(
+        (SELECT (p_launch_date + make_interval(hours => s.window_start_hour)) AT TIME ZONE s.time_zone
+         FROM public.launch_settings s),
+        p_launch_date::timestamp AT TIME ZONE 'UTC'
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Slots of one type already taken on a day. Rejected and withdrawn
+-- submissions give their slot back.
+CREATE OR REPLACE FUNCTION count_booked_launch_slots(p_launch_date DATE, p_launch_slot TEXT, p_exclude UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+    SELECT COUNT(*)::integer
+    FROM public.submissions
+    WHERE launch_date = p_launch_date
+      AND launch_slot = p_launch_slot
+      AND status::text NOT IN ('rejected', 'archived', 'draft')
+      AND (p_exclude IS NULL OR id <> p_exclude);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Slot capacity of one type per day (NULL = unlimited)
+CREATE OR REPLACE FUNCTION launch_slot_capacity(p_launch_slot TEXT)
+RETURNS INTEGER AS $$
+    SELECT CASE WHEN p_launch_slot = 'priority' THEN s.priority_slots ELSE s.daily_slots END
+    FROM public.launch_settings s;
+$$ LANGUAGE sql STABLE;
+
+-- First day from p_from with a free slot. Takes a transaction-scoped lock on
+-- the day it returns so concurrent bookings can't overfill it.
+CREATE OR REPLACE FUNCTION next_open_launch_day(p_from DATE, p_launch_slot TEXT DEFAULT 'standard')
+RETURNS DATE AS $$
+DECLARE
+    v_capacity INTEGER := launch_slot_capacity(p_launch_slot);
+    v_max_days INTEGER := COALESCE((SELECT max_days_ahead FROM public.launch_settings), 90);
+    v_day DATE := p_from;
+BEGIN
+    WHILE v_day <= p_from + v_max_days LOOP
+        PERFORM pg_advisory_xact_lock(hashtext('launch_day:' || v_day || ':' || p_launch_slot));
+        IF v_capacity IS NULL OR count_booked_launch_slots(v_day, p_launch_slot) < v_capacity THEN
+            RETURN v_day;
+        END IF;
+        v_day := v_day + 1;
+    END LOOP;
+
+    -- Never block an approval: overflow past the booking horizon
+    RETURN v_day;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Approving a launch puts it on the calendar. Launches without a booked day
+-- take the first day with room; launches whose window hasn't opened wait as
+-- 'scheduled', the rest go live now.
+CREATE OR REPLACE FUNCTION schedule_approved_launch()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status::text <> 'approved' THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.status::text = 'scheduled' THEN
+        -- Going live (see publish_due_launches)
+        NEW.published_at := COALESCE(NEW.published_at, NOW());
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.status::text IN ('approved', 'published') THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.launch_date IS NULL THEN
+        NEW.launch_date := next_open_launch_day(current_launch_day(), NEW.launch_slot);
+        NEW.scheduled_for := launch_window_start(NEW.launch_date);
+    END IF;
+
+    IF NEW.scheduled_for > NOW() THEN
+        NEW.status := 'scheduled';
+        NEW.published_at := NULL;
+    ELSE
+        NEW.published_at := COALESCE(NEW.published_at, NOW());
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS schedule_approved_launch ON public.submissions;
+CREATE TRIGGER schedule_approved_launch
+    BEFORE INSERT OR UPDATE OF status ON public.submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION schedule_approved_launch();
+
+-- Book (or move) a launch day for a submission that isn't live yet.
+-- Returns 'reserved', 'not_found', 'not_schedulable', 'invalid_date',
+-- 'priority_unavailable', 'payment_required' or 'full'.
+CREATE OR REPLACE FUNCTION reserve_launch_slot(
+    p_submission_id UUID,
+    p_launch_date DATE,
+    p_launch_slot TEXT DEFAULT 'standard'
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_submission RECORD;
+    v_settings RECORD;
+    v_today DATE := current_launch_day();
+    v_capacity INTEGER;
+BEGIN
+    SELECT * INTO v_settings FROM public.launch_settings;
+
+    SELECT id, status::text AS status, payment_status INTO v_submission
+    FROM public.submissions
+    WHERE id = p_submission_id
+      AND (submitted_by = auth.uid() OR auth.role() = 'service_role')
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN 'not_found';
+    END IF;
+
+    IF v_submission.status NOT IN ('draft', 'pending', 'pending_review', 'escalated', 'scheduled') THEN
+        RETURN 'not_schedulable';
+    END IF;
+
+    IF p_launch_date IS NULL OR p_launch_date < v_today
+       OR p_launch_date > v_today + COALESCE(v_settings.max_days_ahead, 90) THEN
+        RETURN 'invalid_date';
+    END IF;
+
+    IF p_launch_slot NOT IN ('standard', 'priority') THEN
+        RETURN 'priority_unavailable';
+    END IF;
+
+    IF p_launch_slot = 'priority' THEN
+        IF COALESCE(v_settings.priority_slots, 0) = 0 THEN
+            RETURN 'priority_unavailable';
+        END IF;
+        IF v_submission.payment_status IS DISTINCT FROM 'paid' THEN
+            RETURN 'payment_required';
+        END IF;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('launch_day:' || p_launch_date || ':' || p_launch_slot));
+
+    v_capacity := launch_slot_capacity(p_launch_slot);
+    IF v_capacity IS NOT NULL
+       AND count_booked_launch_slots(p_launch_date, p_launch_slot, p_submission_id) >= v_capacity THEN
+        RETURN 'full';
+    END IF;
+
+    UPDATE public.submissions
+    SET launch_date = p_launch_date,
+        launch_slot = p_launch_slot,
+        scheduled_for = launch_window_start(p_launch_date),
+        updated_at = NOW()
+    WHERE id = p_submission_id;
+
+    RETURN 'reserved';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Booked slots per day and type, for the booking calendar
+CREATE OR REPLACE FUNCTION get_launch_slot_usage(p_from DATE, p_to DATE)
+RETURNS TABLE (day DATE, slot TEXT, booked INTEGER) AS $$
+    SELECT s.launch_date, s.launch_slot, COUNT(*)::integer
+    FROM public.submissions s
+    WHERE s.launch_date BETWEEN p_from AND p_to
+      AND s.status::text NOT IN ('rejected', 'archived', 'draft')
+    GROUP BY s.launch_date, s.launch_slot;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Take scheduled launches live once their window opens. Run every minute by
+-- the launch publisher; safe to run from several processes.
+CREATE OR REPLACE FUNCTION publish_due_launches()
+RETURNS SETOF UUID AS $$
+    UPDATE public.submissions
+    SET status = 'approved',
+        published_at = scheduled_for,
+        updated_at = NOW()
+    WHERE status::text = 'scheduled'
+      AND scheduled_for <= NOW()
+    RETURNING id;
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION publish_due_launches() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION publish_due_launches() TO service_role;
+GRANT EXECUTE ON FUNCTION reserve_launch_slot(UUID, DATE, TEXT) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION get_launch_slot_usage(DATE, DATE) TO anon, authenticated, service_role;
+
+-- Existing launches belong to the day they went live on (UTC)
+UPDATE public.submissions
+SET launch_date = (COALESCE(published_at, created_at) AT TIME ZONE 'UTC')::date,
+    scheduled_for = COALESCE(published_at, created_at)
+WHERE launch_date IS NULL
+  AND status::text IN ('approved', 'published');
+
+COMMENT ON COLUMN public.submissions.launch_date IS 'Launch day in launch_settings.time_zone';
+COMMENT ON COLUMN public.submissions.launch_slot IS 'standard or paid priority launch slot';
+COMMENT ON COLUMN public.submissions.scheduled_for IS 'When the launch day window opens and the launch goes live';
+COMMENT ON TABLE public.launch_settings IS 'Launch calendar: time zone, window start and daily slot caps';
@@ -0,0 +1,374 @@
+-- Migration: Leaderboards
+-- Description: Daily, weekly and monthly launch leaderboards. A period ranks
+-- the launches whose launch day falls inside it by net votes cast before the
+-- period ended. Open periods are ranked live; once a period closes its ranking
+-- is frozen into leaderboard_entries and the top three launches receive
+-- permanent awards. Winning a period counts towards the Product of the
+-- Day/Week/Month badges, which auto_check_and_award_badges issues.
+
+CREATE TABLE IF NOT EXISTS public.leaderboard_periods (
+    period TEXT NOT NULL CHECK (period IN ('day', 'week', 'month')),
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    entries_count INTEGER NOT NULL DEFAULT 0,
+    closed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (period, starts_on)
+);
+
+CREATE TABLE IF NOT EXISTS public.leaderboard_entries (
+    period TEXT NOT NULL,
+    starts_on DATE NOT NULL,
+    rank INTEGER NOT NULL,
+    submission_id UUID NOT NULL REFERENCES public.submissions(id) ON DELETE CASCADE,
+    maker_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    votes INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (period, starts_on, submission_id),
+    FOREIGN KEY (period, starts_on) REFERENCES public.leaderboard_periods(period, starts_on) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_rank
+    ON public.leaderboard_entries(period, starts_on, rank);
+
+CREATE TABLE IF NOT EXISTS public.launch_awards (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    submission_id UUID NOT NULL REFERENCES public.submissions(id) ON DELETE CASCADE,
+    maker_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    period TEXT NOT NULL,
+    starts_on DATE NOT NULL,
+    rank INTEGER NOT NULL CHECK (rank BETWEEN 1 AND 3),
+    votes INTEGER NOT NULL DEFAULT 0,
+    awarded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (period, starts_on, rank),
+    FOREIGN KEY (period, starts_on) REFERENCES public.leaderboard_periods(period, starts_on) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_launch_awards_submission ON public.launch_awards(submission_id);
+CREATE INDEX IF NOT EXISTS idx_launch_awards_maker ON public.launch_awards(maker_id, period) WHERE rank = 1;
+CREATE INDEX IF NOT EXISTS idx_votes_submission_created ON public.votes(submission_id, created_at);
+
+-- Frozen results are public; only the closing functions below write them
+ALTER TABLE public.leaderboard_periods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.leaderboard_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.launch_awards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Leaderboard periods are viewable by everyone" ON public.leaderboard_periods
+    FOR SELECT USING (TRUE);
+CREATE POLICY "Leaderboard entries are viewable by everyone" ON public.leaderboard_entries
+    FOR SELECT USING (TRUE);
+CREATE POLICY "Launch awards are viewable by everyone" ON public.launch_awards
+    FOR SELECT USING (TRUE);
+
+-- First launch day of the period containing p_day. Weeks start on Monday.
+CREATE OR REPLACE FUNCTION public.leaderboard_period_start(p_period TEXT, p_day DATE)
+RETURNS DATE AS $$
+    SELECT CASE p_period
+        WHEN 'day' THEN p_day
+        WHEN 'week' THEN date_trunc('week', p_day)::DATE
+        WHEN 'month' THEN date_trunc('month', p_day)::DATE
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Last launch day of the period starting on p_starts_on
+CREATE OR REPLACE FUNCTION public.leaderboard_period_end(p_period TEXT, p_starts_on DATE)
+RETURNS DATE AS $$
+    SELECT CASE p_period
+        WHEN 'day' THEN p_starts_on
+        WHEN 'week' THEN p_starts_on + 6
+        WHEN 'month' THEN (p_starts_on + INTERVAL '1 month' - INTERVAL '1 day')::DATE
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Rank a period's launches by net votes cast before the period ended, earlier
+-- launches first on ties. Used live for open periods and to freeze closed ones.
+CREATE OR REPLACE FUNCTION public.compute_leaderboard(
+    p_period TEXT,
+    p_starts_on DATE,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE(rank INTEGER, submission_id UUID, maker_id UUID, votes INTEGER) AS $$
+DECLARE
+    v_ends_on DATE := public.leaderboard_period_end(p_period, p_starts_on);
+    v_cutoff TIMESTAMP WITH TIME ZONE := public.launch_window_start(public.leaderboard_period_end(p_period, p_starts_on) + 1);
+BEGIN
+    IF v_ends_on IS NULL THEN
+        RAISE EXCEPTION 'Unknown leaderboard period: %', p_period;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        (ROW_NUMBER() OVER (ORDER BY ranked.votes DESC, ranked.published_at ASC NULLS LAST, ranked.id))::INTEGER,
+        ranked.id,
+        ranked.submitted_by,
+        ranked.votes
+    FROM (
+        SELECT
+            s.id,
+            s.submitted_by,
+            s.published_at,
+            COALESCE((
+                SELECT SUM(CASE WHEN v.vote_type = 'down' THEN -1 ELSE 1 END)
+                FROM public.votes v
+                WHERE v.submission_id = s.id
+                  AND v.created_at < v_cutoff
+            ), 0)::INTEGER AS votes
+        FROM public.submissions s
+        WHERE s.launch_date BETWEEN p_starts_on AND v_ends_on
+          AND s.status::TEXT IN ('approved', 'published')
+    ) ranked
+    ORDER BY 1
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 50), 1), 100);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Freeze a period that has ended and award its top three. Returns the number
+-- of ranked launches, or NULL if the period is still open or already closed.
+CREATE OR REPLACE FUNCTION public.close_leaderboard_period(p_period TEXT, p_starts_on DATE)
+RETURNS INTEGER AS $$
+DECLARE
+    v_ends_on DATE := public.leaderboard_period_end(p_period, p_starts_on);
+    v_count INTEGER;
+BEGIN
+    IF v_ends_on IS NULL
+       OR p_starts_on <> public.leaderboard_period_start(p_period, p_starts_on)
+       OR v_ends_on >= public.current_launch_day() THEN
+        RETURN NULL;
+    END IF;
+
+    -- The primary key makes concurrent closers skip periods already taken
+    INSERT INTO public.leaderboard_periods (period, starts_on, ends_on)
+    VALUES (p_period, p_starts_on, v_ends_on)
+    ON CONFLICT DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.leaderboard_entries (period, starts_on, rank, submission_id, maker_id, votes)
+    SELECT p_period, p_starts_on, l.rank, l.submission_id, l.maker_id, l.votes
+    FROM public.compute_leaderboard(p_period, p_starts_on, 100) l;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+
+    -- Launches without votes don't win anything
+    INSERT INTO public.launch_awards (submission_id, maker_id, period, starts_on, rank, votes)
+    SELECT e.submission_id, e.maker_id, p_period, p_starts_on, e.rank, e.votes
+    FROM public.leaderboard_entries e
+    WHERE e.period = p_period
+      AND e.starts_on = p_starts_on
+      AND e.rank <= 3
+      AND e.votes > 0;
+
+    UPDATE public.leaderboard_periods
+    SET entries_count = v_count, closed_at = NOW()
+    WHERE period = p_period AND starts_on = p_starts_on;
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Close every period that has ended since the last one closed (or since the
+-- first launch) and return the awards handed out
+CREATE OR REPLACE FUNCTION public.close_due_leaderboards()
+RETURNS SETOF public.launch_awards AS $$
+DECLARE
+    v_period TEXT;
+    v_start DATE;
+    v_today DATE := public.current_launch_day();
+BEGIN
+    FOREACH v_period IN ARRAY ARRAY['day', 'week', 'month']
+    LOOP
+        SELECT public.leaderboard_period_end(v_period, MAX(p.starts_on)) + 1 INTO v_start
+        FROM public.leaderboard_periods p
+        WHERE p.period = v_period;
+
+        IF v_start IS NULL THEN
+            SELECT public.leaderboard_period_start(v_period, MIN(s.launch_date)) INTO v_start
+            FROM public.submissions s
+            WHERE s.launch_date IS NOT NULL
+              AND s.status::TEXT IN ('approved', 'published');
+        END IF;
+
+        WHILE v_start IS NOT NULL AND public.leaderboard_period_end(v_period, v_start) < v_today
+        LOOP
+            IF public.close_leaderboard_period(v_period, v_start) IS NOT NULL THEN
+                RETURN QUERY
+                SELECT * FROM public.launch_awards a
+                WHERE a.period = v_period AND a.starts_on = v_start
+                ORDER BY a.rank;
+            END IF;
+            v_start := public.leaderboard_period_end(v_period, v_start) + 1;
+        END LOOP;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Product of the Day/Week/Month badges for makers of period winners
+INSERT INTO public.badge_definitions (
+    slug, name, description, category, level,
+    icon_url, color_hex, criteria, requirements, sort_order
+) VALUES
+(
+    'product-of-the-day',
+    'Product of the Day',
+    'Made a launch that finished first on the daily leaderboard',
+    'achievement',
+    'gold',
+    '/badges/product-of-the-day.svg',
+    '#F59E0B',
+    '{"automatic_award": true, "leaderboard_period": "day"}',
+    '{"min_day_wins": 1}',
+    10
+),
+(
+    'product-of-the-week',
+    'Product of the Week',
+    'Made a launch that finished first on the weekly leaderboard',
+    'achievement',
+    'platinum',
+    '/badges/product-of-the-week.svg',
+    '#6366F1',
+    '{"automatic_award": true, "leaderboard_period": "week"}',
+    '{"min_week_wins": 1}',
+    11
+),
+(
+    'product-of-the-month',
+    'Product of the Month',
+    'Made a launch that finished first on the monthly leaderboard',
+    'achievement',
+    'diamond',
+    '/badges/product-of-the-month.svg',
+    '#EC4899',
+    '{"automatic_award": true, "leaderboard_period": "month"}',
+    '{"min_month_wins": 1}',
+    12
+)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Badge criteria: reads users (profiles was replaced in 010) and understands
+-- leaderboard wins
+CREATE OR REPLACE FUNCTION public.check_badge_criteria(
+    p_user_id UUID,
+    p_badge_slug TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_badge_record RECORD;
+    v_user_stats RECORD;
+    v_wins RECORD;
+    v_criteria_result JSONB := '{}';
+    v_key TEXT;
+    v_value JSONB;
+    v_met BOOLEAN;
+BEGIN
+    -- Get badge definition
+    SELECT * INTO v_badge_record
+    FROM public.badge_definitions
+    WHERE slug = p_badge_slug AND is_active = TRUE;
+
+    IF v_badge_record IS NULL THEN
+        RETURN jsonb_build_object('error', 'Badge not found');
+    END IF;
+
+    -- Get user statistics
+    SELECT
+        COUNT(DISTINCT s.id) as submission_count,
+        COUNT(DISTINCT v.id) as vote_count,
+        COUNT(DISTINCT c.id) as comment_count,
+        COALESCE(SUM(s.votes_count), 0) as total_votes_received,
+        COALESCE(AVG(s.votes_count), 0) as avg_votes_per_submission,
+        COUNT(DISTINCT CASE WHEN s.status = 'approved' THEN s.id END) as approved_submissions,
+        COUNT(DISTINCT ub.id) as current_badges
+    INTO v_user_stats
+    FROM public.users p
+    LEFT JOIN public.submissions s ON p.id = s.submitted_by
+    LEFT JOIN public.votes v ON p.id = v.user_id
+    LEFT JOIN public.comments c ON p.id = c.user_id
+    LEFT JOIN public.user_badges ub ON p.id = ub.user_id AND ub.status = 'active'
+    WHERE p.id = p_user_id;
+
+    -- First places on closed leaderboards
+    SELECT
+        COUNT(*) FILTER (WHERE a.period = 'day') as day_wins,
+        COUNT(*) FILTER (WHERE a.period = 'week') as week_wins,
+        COUNT(*) FILTER (WHERE a.period = 'month') as month_wins
+    INTO v_wins
+    FROM public.launch_awards a
+    WHERE a.maker_id = p_user_id AND a.rank = 1;
+
+    -- Check each requirement
+    FOR v_key, v_value IN SELECT * FROM jsonb_each(v_badge_record.requirements)
+    LOOP
+        v_met := FALSE;
+
+        CASE v_key
+            WHEN 'min_submissions' THEN
+                v_met := v_user_stats.submission_count >= (v_value->>0)::INTEGER;
+            WHEN 'min_votes_given' THEN
+                v_met := v_user_stats.vote_count >= (v_value->>0)::INTEGER;
+            WHEN 'min_comments' THEN
+                v_met := v_user_stats.comment_count >= (v_value->>0)::INTEGER;
+            WHEN 'min_votes_received' THEN
+                v_met := v_user_stats.total_votes_received >= (v_value->>0)::INTEGER;
+            WHEN 'min_approved_submissions' THEN
+                v_met := v_user_stats.approved_submissions >= (v_value->>0)::INTEGER;
+            WHEN 'min_avg_votes' THEN
+                v_met := v_user_stats.avg_votes_per_submission >= (v_value->>0)::NUMERIC;
+            WHEN 'min_day_wins' THEN
+                v_met := v_wins.day_wins >= (v_value->>0)::INTEGER;
+            WHEN 'min_week_wins' THEN
+                v_met := v_wins.week_wins >= (v_value->>0)::INTEGER;
+            WHEN 'min_month_wins' THEN
+                v_met := v_wins.month_wins >= (v_value->>0)::INTEGER;
+            ELSE
+                v_met := FALSE;
+        END CASE;
+
+        v_criteria_result := v_criteria_result || jsonb_build_object(
+            v_key, jsonb_build_object(
+                'required', v_value,
+                'current', CASE v_key
+                    WHEN 'min_submissions' THEN to_jsonb(v_user_stats.submission_count)
+                    WHEN 'min_votes_given' THEN to_jsonb(v_user_stats.vote_count)
+                    WHEN 'min_comments' THEN to_jsonb(v_user_stats.comment_count)
+                    WHEN 'min_votes_received' THEN to_jsonb(v_user_stats.total_votes_received)
+                    WHEN 'min_approved_submissions' THEN to_jsonb(v_user_stats.approved_submissions)
+                    WHEN 'min_avg_votes' THEN to_jsonb(v_user_stats.avg_votes_per_submission)
+                    WHEN 'min_day_wins' THEN to_jsonb(v_wins.day_wins)
+                    WHEN 'min_week_wins' THEN to_jsonb(v_wins.week_wins)
+                    WHEN 'min_month_wins' THEN to_jsonb(v_wins.month_wins)
+                    ELSE '0'::jsonb
+                END,
+                'met', to_jsonb(v_met)
+            )
+        );
+    END LOOP;
+
+    -- Add overall result
+    v_criteria_result := v_criteria_result || jsonb_build_object(
+        'all_criteria_met',
+        NOT EXISTS (
+            SELECT 1 FROM jsonb_each(v_criteria_result)
+            WHERE value->'met' = 'false'::jsonb
+        )
+    );
+
+    RETURN v_criteria_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT SELECT ON public.leaderboard_periods TO anon, authenticated;
+GRANT SELECT ON public.leaderboard_entries TO anon, authenticated;
+GRANT SELECT ON public.launch_awards TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.compute_leaderboard(TEXT, DATE, INTEGER) TO anon, authenticated;
+
+REVOKE EXECUTE ON FUNCTION public.close_leaderboard_period(TEXT, DATE) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.close_due_leaderboards() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.close_leaderboard_period(TEXT, DATE) TO service_role;
+GRANT EXECUTE ON FUNCTION public.close_due_leaderboards() TO service_role;
+
+COMMENT ON TABLE public.leaderboard_periods IS 'Closed leaderboard periods; their rankings are frozen in leaderboard_entries';
+COMMENT ON TABLE public.leaderboard_entries IS 'Frozen ranking of a closed day, week or month';
+COMMENT ON TABLE public.launch_awards IS 'Permanent top three awards of closed leaderboard periods';
+COMMENT ON FUNCTION public.compute_leaderboard(TEXT, DATE, INTEGER) IS 'Live ranking of a period by net votes cast before it ended';
+COMMENT ON FUNCTION public.close_due_leaderboards() IS 'Freezes ended periods and returns the awards handed out';
@@ -0,0 +1,85 @@
+-- Migration: Email Notifications
+-- Description: Per-user email preferences and the outbox transactional emails
+-- are queued in. Rows are rendered when queued and sent (and retried with
+-- exponential backoff) by NotificationService; dedupe_key keeps one email per
+-- event even when several code paths report it.
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+    user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Category opt-outs, e.g. {"badges": false}; missing categories are on
+    categories JSONB NOT NULL DEFAULT '{}',
+    -- Email language; NULL falls back to the account's language
+    locale TEXT CHECK (locale IS NULL OR locale IN ('en', 'es', 'fr', 'de')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their notification preferences" ON public.notification_preferences
+    FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can insert their notification preferences" ON public.notification_preferences
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their notification preferences" ON public.notification_preferences
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE TABLE IF NOT EXISTS public.email_outbox (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    category TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    locale TEXT NOT NULL DEFAULT 'en',
+    subject TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT,
+    dedupe_key TEXT UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'retrying', 'sent', 'failed')),
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_error TEXT,
+    message_id TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+    ON public.email_outbox(next_attempt_at)
+    WHERE status IN ('pending', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_email_outbox_user_created
+    ON public.email_outbox(user_id, created_at DESC);
+
+-- Recipients' addresses live here, so only the service role reads the outbox
+ALTER TABLE public.email_outbox ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_notification_preferences_updated_at
+    BEFORE UPDATE ON public.notification_preferences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_email_outbox_updated_at
+    BEFORE UPDATE ON public.email_outbox
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Appeal reviews, for appeal outcome emails
+ALTER TABLE public.user_penalties
+    ADD COLUMN IF NOT EXISTS appeal_submitted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS appeal_status TEXT
+        CHECK (appeal_status IS NULL OR appeal_status IN ('pending', 'upheld', 'overturned')),
+    ADD COLUMN IF NOT EXISTS appeal_resolution_notes TEXT,
+    ADD COLUMN IF NOT EXISTS appeal_resolved_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS appeal_resolved_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+UPDATE public.user_penalties
+SET appeal_status = 'pending'
+WHERE appeal_notes IS NOT NULL AND appeal_status IS NULL;
+
+COMMENT ON TABLE public.notification_preferences IS 'Email notification opt-outs and language per user';
+COMMENT ON TABLE public.email_outbox IS 'Rendered transactional emails with delivery state and retries';
+COMMENT ON COLUMN public.email_outbox.dedupe_key IS 'One email per event, e.g. payment:<payment intent id>';
@@ -0,0 +1,19 @@
+-- Migration: Crawl Status
+-- Description: Whether a submission's page may be crawled. Metadata fetchers
+-- check robots.txt before every fetch; when a site disallows our crawler the
+-- submission is flagged here (with the reason) so moderators can see why it
+-- has no fetched details or stopped refreshing. A later successful refresh
+-- clears the flag.
+
+ALTER TABLE public.submissions
+    ADD COLUMN IF NOT EXISTS crawl_status TEXT NOT NULL DEFAULT 'ok'
+        CHECK (crawl_status IN ('ok', 'blocked_by_robots')),
+    ADD COLUMN IF NOT EXISTS crawl_message TEXT,
+    ADD COLUMN IF NOT EXISTS crawl_checked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_crawl_blocked
+    ON public.submissions(crawl_checked_at DESC)
+    WHERE crawl_status <> 'ok';
+
+COMMENT ON COLUMN public.submissions.crawl_status IS 'ok, or blocked_by_robots when robots.txt disallows fetching the page';
+COMMENT ON COLUMN public.submissions.crawl_message IS 'Why the page could not be crawled, shown to moderators';
@@ -0,0 +1,33 @@
+-- Migration: Metadata Fetch Strategies
+-- Description: What the metadata pipeline has learned per domain. Fetches start
+-- with plain HTML and escalate to headless Chrome when the result is thin;
+-- once HTML keeps coming back thin for a domain and the browser does better,
+-- preferred_strategy switches to 'browser' so later fetches skip the HTML try.
+-- Browser domains get an HTML attempt again a week after the last one.
+
+CREATE TABLE IF NOT EXISTS public.metadata_fetch_strategies (
+    domain TEXT PRIMARY KEY,
+    preferred_strategy TEXT NOT NULL DEFAULT 'html'
+        CHECK (preferred_strategy IN ('html', 'browser')),
+    -- Attempts and sufficient (not thin) results; halved past 20 so recent fetches weigh more
+    html_attempts INTEGER NOT NULL DEFAULT 0,
+    html_successes INTEGER NOT NULL DEFAULT 0,
+    browser_attempts INTEGER NOT NULL DEFAULT 0,
+    browser_successes INTEGER NOT NULL DEFAULT 0,
+    last_html_attempt_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_metadata_fetch_strategies_preferred
+    ON public.metadata_fetch_strategies(preferred_strategy);
+
+-- Written by the server with the service role only
+ALTER TABLE public.metadata_fetch_strategies ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_metadata_fetch_strategies_updated_at
+    BEFORE UPDATE ON public.metadata_fetch_strategies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE public.metadata_fetch_strategies IS 'Per-domain metadata fetch strategy (html or browser) learned from past fetches';
@@ -0,0 +1,44 @@
+-- Migration: Processed Images
+-- Description: Logos, og:images, favicons and screenshots downloaded and
+-- re-encoded by ImageService. Variants (<id>/<width>.<format>, AVIF and WebP)
+-- live in the image storage (local disk or an S3-compatible bucket) and are
+-- served by /images/[id]/[file]. Rows let later downloads of the same or a
+-- near-identical image reuse the stored variants instead of encoding again.
+
+CREATE TABLE IF NOT EXISTS public.images (
+    -- First 32 hex characters of content_hash
+    id TEXT PRIMARY KEY,
+    content_hash TEXT NOT NULL,
+    -- 64-bit difference hash; near-identical images differ in a few bits
+    phash BIT(64) NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('logo', 'image', 'screenshot')),
+    source_url TEXT,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    widths INTEGER[] NOT NULL,
+    formats TEXT[] NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_images_content_hash ON public.images(content_hash);
+CREATE INDEX IF NOT EXISTS idx_images_kind ON public.images(kind);
+
+-- Written and read by the server with the service role only
+ALTER TABLE public.images ENABLE ROW LEVEL SECURITY;
+
+-- Closest stored image of a kind within p_max_distance differing hash bits
+CREATE OR REPLACE FUNCTION public.find_similar_image(
+    p_phash BIT(64),
+    p_kind TEXT,
+    p_max_distance INTEGER DEFAULT 4
+)
+RETURNS SETOF public.images AS $$
+    SELECT *
+    FROM public.images
+    WHERE kind = p_kind
+      AND bit_count(phash # p_phash) <= p_max_distance
+    ORDER BY bit_count(phash # p_phash), created_at
+    LIMIT 1;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+COMMENT ON TABLE public.images IS 'Images downloaded and re-encoded into responsive AVIF/WebP variants';
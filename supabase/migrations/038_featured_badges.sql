@@ -0,0 +1,48 @@
+-- Migration: Featured Badges
+-- Description: "Featured on" badges makers embed on their websites. The badge
+-- shows the instance's name and brand color from platform_settings; clicks go
+-- through /launches/[slug]/featured, which records a referral here before
+-- redirecting to the launch page.
+
+ALTER TABLE public.platform_settings
+    ADD COLUMN IF NOT EXISTS brand_color VARCHAR(7) DEFAULT '#2563EB'
+    CHECK (brand_color ~ '^#[0-9A-Fa-f]{6}$');
+
+CREATE TABLE IF NOT EXISTS public.badge_referrals (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    submission_id UUID NOT NULL REFERENCES public.submissions(id) ON DELETE CASCADE,
+    -- Host of the page showing the badge, when the browser sent a Referer
+    referrer_host TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_badge_referrals_submission
+    ON public.badge_referrals(submission_id, created_at DESC);
+
+ALTER TABLE public.badge_referrals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Makers can view referrals to their launches" ON public.badge_referrals
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.submissions s
+            WHERE s.id = submission_id
+              AND s.submitted_by = auth.uid()
+        )
+    );
+
+-- Anyone clicking a badge records a referral, for public launches only
+CREATE OR REPLACE FUNCTION public.record_badge_referral(
+    p_submission_id UUID,
+    p_referrer_host TEXT DEFAULT NULL
+)
+RETURNS VOID AS $$
+    INSERT INTO public.badge_referrals (submission_id, referrer_host)
+    SELECT s.id, LEFT(LOWER(p_referrer_host), 255)
+    FROM public.submissions s
+    WHERE s.id = p_submission_id
+      AND s.status::TEXT IN ('approved', 'published');
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.record_badge_referral(UUID, TEXT) TO anon, authenticated;
+
+COMMENT ON TABLE public.badge_referrals IS 'Clicks on "Featured on" badges embedded on makers'' websites';
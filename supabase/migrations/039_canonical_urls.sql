@@ -0,0 +1,75 @@
+-- Migration: Canonical Submission URLs
+-- Description: submissions.canonical_url holds each launch's URL in the form
+-- src/lib/services/url-canonicalizer.js produces (https, lowercase host
+-- without www., no trailing slash, fragment or tracking parameters, resolved
+-- through redirects and rel=canonical). Its unique index keeps
+-- https://Foo.com/?utm_source=x, http://www.foo.com and foo.com/ from becoming
+-- separate launches; url keeps what the maker submitted.
+
+ALTER TABLE public.submissions ADD COLUMN IF NOT EXISTS canonical_url TEXT;
+
+-- SQL version of canonicalizeUrl, used to backfill existing rows. It leaves
+-- out what only the application can do: following redirects, reading
+-- rel=canonical, punycode-encoding hosts and re-encoding query strings.
+CREATE OR REPLACE FUNCTION public.canonicalize_url(p_url TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_url TEXT := btrim(p_url);
+    v_parts TEXT[];
+    v_host TEXT;
+    v_port TEXT;
+    v_path TEXT;
+    v_query TEXT;
+BEGIN
+    IF v_url IS NULL OR v_url = '' OR (v_url ~* '^[a-z][a-z0-9+.-]*://' AND v_url !~* '^https?://') THEN
+        RETURN NULL;
+    END IF;
+
+    -- [scheme://][userinfo@]host[:port][path][?query][#fragment]
+    v_parts := regexp_match(v_url, '^(?:https?://)?(?:[^@/?#]*@)?([^/?#:]+)(?::([0-9]+))?([^?#]*)(?:\?([^#]*))?', 'i');
+    IF v_parts IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    v_host := regexp_replace(rtrim(lower(v_parts[1]), '.'), '^www\.(?=[^.]+\.)', '');
+    v_port := NULLIF(NULLIF(v_parts[2], '443'), '80');
+    v_path := COALESCE(NULLIF(rtrim(v_parts[3], '/'), ''), '/');
+
+    SELECT string_agg(param, '&' ORDER BY split_part(param, '=', 1), position)
+    INTO v_query
+    FROM unnest(string_to_array(v_parts[4], '&')) WITH ORDINALITY AS params(param, position)
+    WHERE param <> ''
+      AND lower(split_part(param, '=', 1)) <> ALL (ARRAY[
+          'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+          'ttclid', 'igshid', 'li_fat_id', 'mc_cid', 'mc_eid', '_ga', '_gl', 'ref', 'ref_src'
+      ])
+      AND lower(split_part(param, '=', 1)) !~ '^(utm_|mtm_|pk_|hsa_|_hs)';
+
+    RETURN 'https://' || v_host || COALESCE(':' || v_port, '') || v_path || COALESCE('?' || v_query, '');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Where existing launches already share a canonical URL, the earliest keeps
+-- it and the others are left NULL for moderators to merge or remove
+WITH ranked AS (
+    SELECT
+        id,
+        public.canonicalize_url(url) AS canonical,
+        ROW_NUMBER() OVER (PARTITION BY public.canonicalize_url(url) ORDER BY created_at, id) AS position
+    FROM public.submissions
+    WHERE canonical_url IS NULL
+)
+UPDATE public.submissions s
+SET canonical_url = r.canonical
+FROM ranked r
+WHERE s.id = r.id
+  AND r.position = 1
+  AND r.canonical IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM public.submissions other WHERE other.canonical_url = r.canonical
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_submissions_canonical_url
+    ON public.submissions(canonical_url);
+
+COMMENT ON COLUMN public.submissions.canonical_url IS 'Canonical form of url used for duplicate detection (see url-canonicalizer.js)';
@@ -0,0 +1,101 @@
+-- Migration: Near-Duplicate Submissions
+-- Description: Locality-sensitive fingerprints for catching the same product
+-- resubmitted with reworded copy (see near-duplicate-service.js): a 64-bit
+-- SimHash of the title and description and the difference hash of the main
+-- image. Each hash is also stored as numbered bands of its bits, and the GIN
+-- indexes narrow a lookup to the few submissions sharing a band before
+-- distances are computed. Run `node scripts/fingerprint-submissions.js` once
+-- to fingerprint submissions created before this migration.
+
+ALTER TABLE public.submissions
+    ADD COLUMN IF NOT EXISTS content_simhash BIT(64),
+    ADD COLUMN IF NOT EXISTS content_bands INTEGER[],
+    ADD COLUMN IF NOT EXISTS image_phash BIT(64),
+    ADD COLUMN IF NOT EXISTS image_bands INTEGER[];
+
+CREATE INDEX IF NOT EXISTS idx_submissions_content_bands
+    ON public.submissions USING GIN (content_bands);
+CREATE INDEX IF NOT EXISTS idx_submissions_image_bands
+    ON public.submissions USING GIN (image_bands);
+
+-- Earlier submissions a submission was found to duplicate
+CREATE TABLE IF NOT EXISTS public.submission_duplicate_matches (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    submission_id UUID NOT NULL REFERENCES public.submissions(id) ON DELETE CASCADE,
+    matched_submission_id UUID NOT NULL REFERENCES public.submissions(id) ON DELETE CASCADE,
+    match_type TEXT NOT NULL CHECK (match_type IN ('text', 'image')),
+    -- Differing bits between the two hashes (0-64)
+    distance INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(submission_id, matched_submission_id, match_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_duplicate_matches_matched
+    ON public.submission_duplicate_matches(matched_submission_id);
+
+ALTER TABLE public.submission_duplicate_matches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Moderators can view duplicate matches" ON public.submission_duplicate_matches
+    FOR SELECT USING (public.is_moderator(auth.uid()));
+
+-- Submissions with a fingerprint within the given distance of these, closest
+-- first. Runs with the caller's rights, so it only searches what they can read.
+CREATE OR REPLACE FUNCTION public.find_near_duplicate_submissions(
+    p_content_simhash BIT(64) DEFAULT NULL,
+    p_content_bands INTEGER[] DEFAULT NULL,
+    p_image_phash BIT(64) DEFAULT NULL,
+    p_image_bands INTEGER[] DEFAULT NULL,
+    p_max_text_distance INTEGER DEFAULT 8,
+    p_max_image_distance INTEGER DEFAULT 4,
+    p_exclude UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (submission_id UUID, match_type TEXT, distance INTEGER) AS $$
+    SELECT *
+    FROM (
+        SELECT s.id, 'text'::TEXT, bit_count(s.content_simhash # p_content_simhash)::INTEGER
+        FROM public.submissions s
+        WHERE p_content_simhash IS NOT NULL
+          AND s.content_bands && p_content_bands
+          AND s.id IS DISTINCT FROM p_exclude
+          AND bit_count(s.content_simhash # p_content_simhash) <= p_max_text_distance
+        UNION ALL
+        SELECT s.id, 'image'::TEXT, bit_count(s.image_phash # p_image_phash)::INTEGER
+        FROM public.submissions s
+        WHERE p_image_phash IS NOT NULL
+          AND s.image_bands && p_image_bands
+          AND s.id IS DISTINCT FROM p_exclude
+          AND bit_count(s.image_phash # p_image_phash) <= p_max_image_distance
+    ) AS matches (submission_id, match_type, distance)
+    ORDER BY distance, match_type
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- Record a submission's near-duplicates across all submissions, whoever
+-- created them, and return how many were recorded. Called with the service
+-- role right after a submission is stored; matches stay moderator-only.
+CREATE OR REPLACE FUNCTION public.record_near_duplicates(p_submission_id UUID)
+RETURNS INTEGER AS $$
+    WITH recorded AS (
+        INSERT INTO public.submission_duplicate_matches (submission_id, matched_submission_id, match_type, distance)
+        SELECT s.id, m.submission_id, m.match_type, m.distance
+        FROM public.submissions s
+        CROSS JOIN LATERAL public.find_near_duplicate_submissions(
+            s.content_simhash,
+            s.content_bands,
+            s.image_phash,
+            s.image_bands,
+            p_exclude => s.id
+        ) m
+        WHERE s.id = p_submission_id
+        ON CONFLICT (submission_id, matched_submission_id, match_type)
+            DO UPDATE SET distance = EXCLUDED.distance
+        RETURNING 1
+    )
+    SELECT COUNT(*)::INTEGER FROM recorded;
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.record_near_duplicates(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_near_duplicates(UUID) TO service_role;
+
+COMMENT ON TABLE public.submission_duplicate_matches IS 'Near-duplicate submissions found by SimHash (text) and difference hash (image) fingerprints';
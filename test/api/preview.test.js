@@ -1,12 +1,14 @@
 import { expect } from 'chai';
 import nock from 'nock';
 import { MetadataFetcher } from '../../src/lib/services/metadata-fetcher.js';
+import { Crawler } from '../../src/lib/services/crawl-service.js';
 
 describe('Preview Service', () => {
   let metadataFetcher;
 
   beforeEach(() => {
-    metadataFetcher = new MetadataFetcher();
+    // robots.txt handling is covered in crawl-service.test.js
+    metadataFetcher = new MetadataFetcher({ crawler: new Crawler({ respectRobots: false, hostDelay: 0 }) });
     nock.cleanAll();
   });
 
@@ -5,6 +5,7 @@
 
 import { expect } from 'chai';
 import nock from 'nock';
+import sinon from 'sinon';
 import { SubmissionService } from '../../src/lib/services/submission-service.js';
 
 describe('Submission Service', () => {
@@ -150,6 +151,80 @@ describe('Submission Service', () => {
       }
     });
 
+    it('should detect duplicates written differently or behind a redirect', async () => {
+      const lookups = [];
+      const existing = { id: 'existing-id', url: 'http://www.example.com/', canonical_url: 'https://example.com/' };
+      const redirectService = new SubmissionService({
+        supabase: {
+          from: () => ({
+            select: () => ({
+              eq: (column, value) => {
+                lookups.push([column, value]);
+                return {
+                  single: async () => (value === existing.canonical_url
+                    ? { data: existing, error: null }
+                    : { data: null, error: { code: 'PGRST116', message: 'No rows found' } })
+                };
+              }
+            })
+          })
+        },
+        metadataFetcher: {
+          fetchMetadata: async () => ({ url: 'https://www.example.com/?utm_source=short', title: 'Example' })
+        },
+        aiRewriter: mockAIRewriter()
+      });
+
+      const errors = await Promise.all([
+        redirectService.createSubmission({ url: 'HTTPS://Example.com/?utm_source=x&fbclid=1' }, 'user-123').catch(error => error.message),
+        redirectService.createSubmission({ url: 'https://sho.rt/abc' }, 'user-123').catch(error => error.message)
+      ]);
+
+      expect(errors).to.deep.equal(['URL has already been submitted', 'URL has already been submitted']);
+      expect(lookups).to.deep.equal([
+        ['canonical_url', 'https://example.com/'],
+        ['canonical_url', 'https://sho.rt/abc'],
+        ['canonical_url', 'https://example.com/']
+      ]);
+    });
+
+    it('should fingerprint new submissions and record their near-duplicates', async () => {
+      let inserted;
+      const nearDuplicateService = {
+        recordMatches: sinon.stub().resolves(1)
+      };
+      const fingerprintService = new SubmissionService({
+        supabase: {
+          from: () => ({
+            select: () => ({
+              eq: () => ({ single: async () => ({ data: null, error: { code: 'PGRST116' } }) })
+            }),
+            insert: record => {
+              inserted = record;
+              return { select: () => ({ single: async () => ({ data: { id: 'new-id', ...record }, error: null }) }) };
+            }
+          })
+        },
+        metadataFetcher: {
+          fetchMetadata: async url => ({
+            url,
+            title: 'FormForge - Build beautiful forms in minutes',
+            description: 'FormForge lets startups build beautiful, accessible forms and surveys without code.'
+          })
+        },
+        aiRewriter: mockAIRewriter(),
+        imageService: null,
+        nearDuplicateService
+      });
+
+      await fingerprintService.createSubmission({ url: 'https://formforge.example' }, 'user-123');
+
+      expect(inserted.content_simhash).to.match(/^[01]{64}$/);
+      expect(inserted.content_bands).to.be.an('array').that.is.not.empty;
+      expect(inserted.image_phash).to.be.null;
+      expect(nearDuplicateService.recordMatches.calledOnceWith('new-id')).to.be.true;
+    });
+
     it('should require authentication', async () => {
       const submissionData = {
         url: 'https://example.com/product'
@@ -222,6 +297,50 @@ describe('Submission Service', () => {
       expect(result.views_count).to.be.a('number');
     });
   });
+
+  describe('getSubmitterAnalytics', () => {
+    it('should total views, votes and comments across the submitter\'s launches', async () => {
+      const query = {
+        select: sinon.stub().returnsThis(),
+        eq: sinon.stub().returnsThis(),
+        order: sinon.stub().resolves({
+          data: [
+            { id: 's1', url: 'https://a.example', slug: 'a', status: 'approved', rewritten_meta: { title: 'A' }, views_count: 10, votes_count: 3, comments_count: 1 },
+            { id: 's2', url: 'https://b.example', slug: null, status: 'pending', rewritten_meta: null, views_count: null, votes_count: 0, comments_count: 0 }
+          ],
+          error: null
+        })
+      };
+      const service = new SubmissionService({
+        supabase: { from: sinon.stub().returns(query) },
+        metadataFetcher: mockMetadataFetcher(),
+        aiRewriter: null,
+        imageService: null
+      });
+
+      const analytics = await service.getSubmitterAnalytics('user-123');
+
+      expect(query.eq.calledWith('submitted_by', 'user-123')).to.be.true;
+      expect(analytics.totals).to.deep.equal({
+        submissions: 2,
+        views: 10,
+        votes: 3,
+        comments: 1,
+        by_status: { approved: 1, pending: 1 }
+      });
+      expect(analytics.launches[0]).to.include({ id: 's1', title: 'A', views: 10, votes: 3 });
+      expect(analytics.launches[1]).to.include({ id: 's2', title: null, views: 0 });
+    });
+
+    it('should require authentication', async () => {
+      try {
+        await submissionService.getSubmitterAnalytics(null);
+        expect.fail('Should have thrown authentication error');
+      } catch (error) {
+        expect(error.message).to.include('Authentication required');
+      }
+    });
+  });
 });
 
 // Mock helper functions
@@ -251,7 +370,7 @@ function mockSupabase() {
         } else if (column === 'id' && value === 'non-existent-id') {
           this.error = { code: 'PGRST116', message: 'No rows found' };
           this.data = null;
-        } else if (column === 'url') {
+        } else if (column === 'canonical_url') {
           // For URL checks, only return data for specific duplicate URLs
           if (value === 'https://example.com/duplicate') {
             this.data = {
@@ -64,4 +64,17 @@ export async function resolve(specifier, context, next) {
     };
   }
   return next(specifier, context);
-}
\ No newline at end of file
+}
+// Vite imports JSON without import attributes; serve it as a module so
+// source files load the same way under the tests
+export async function load(url, context, next) {
+  if (url.startsWith('file:') && url.endsWith('.json')) {
+    const { source } = await next(url, { ...context, format: 'json', importAttributes: { type: 'json' } });
+    return {
+      format: 'module',
+      source: `export default ${source};`,
+      shortCircuit: true
+    };
+  }
+  return next(url, context);
+}
@@ -0,0 +1,151 @@
+/**
+ * Test suite for AI providers
+ * Using Mocha + Chai for testing
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  OllamaProvider,
+  TemplateProvider,
+  createAIProvider,
+  resolveAIProviders
+} from '../../src/lib/services/ai-providers.js';
+
+describe('AI Providers', () => {
+  const metadata = {
+    title: 'Acme Analytics | Acme Inc',
+    description: 'Privacy-friendly analytics for small teams. Track visitors without cookies. Self-host it or use the cloud version.',
+    url: 'https://www.acme.com/analytics'
+  };
+
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = sinon.stub(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchStub.restore();
+  });
+
+  describe('createAIProvider', () => {
+    it('should create providers by name', () => {
+      expect(createAIProvider('template')).to.be.an.instanceOf(TemplateProvider);
+      expect(createAIProvider('Ollama')).to.be.an.instanceOf(OllamaProvider);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createAIProvider('skynet')).to.throw('Unknown AI provider: skynet');
+    });
+
+    it('should require an API key for OpenAI', () => {
+      expect(() => createAIProvider('openai')).to.throw('OpenAI API key is required');
+    });
+  });
+
+  describe('resolveAIProviders', () => {
+    it('should accept provider instances', () => {
+      const custom = { name: 'custom', complete: async () => '{}' };
+      const providers = resolveAIProviders({ providers: [custom, 'template'] });
+
+      expect(providers[0]).to.equal(custom);
+      expect(providers[1].name).to.equal('template');
+    });
+
+    it('should throw when no provider in the chain is usable', () => {
+      const previousKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        expect(() => resolveAIProviders({ providers: ['openai'] })).to.throw('No AI provider is available');
+      } finally {
+        if (previousKey !== undefined) {
+          process.env.OPENAI_API_KEY = previousKey;
+        }
+      }
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    it('should call the chat API and return the message content', async () => {
+      const provider = new OllamaProvider({ baseUrl: 'http://ollama.test:11434/', model: 'mistral' });
+      fetchStub.resolves({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          model: 'mistral',
+          message: { role: 'assistant', content: '{"title":"T","description":"D","tags":[]}' },
+          done: true
+        })
+      });
+
+      const content = await provider.complete({ system: 'system prompt', prompt: 'user prompt' });
+      const [url, init] = fetchStub.firstCall.args;
+      const requestBody = JSON.parse(init.body);
+
+      expect(content).to.equal('{"title":"T","description":"D","tags":[]}');
+      expect(url).to.equal('http://ollama.test:11434/api/chat');
+      expect(requestBody.model).to.equal('mistral');
+      expect(requestBody.stream).to.equal(false);
+      expect(requestBody.format).to.equal('json');
+      expect(requestBody.messages[1]).to.deep.equal({ role: 'user', content: 'user prompt' });
+    });
+
+    it('should not retry a missing model', async () => {
+      const provider = new OllamaProvider({ baseUrl: 'http://ollama.test:11434' });
+
+      fetchStub.resolves({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: 'model not found' })
+      });
+
+      try {
+        await provider.complete({ system: 's', prompt: 'p' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+        expect(provider.isNonRetryableError(error)).to.be.true;
+      }
+    });
+
+    it('should retry server errors', () => {
+      const provider = new OllamaProvider();
+      const error = new Error('HTTP 503');
+      error.status = 503;
+
+      expect(provider.isNonRetryableError(error)).to.be.false;
+      expect(provider.formatError(error).message).to.include('Ollama service unavailable');
+    });
+  });
+
+  describe('TemplateProvider', () => {
+    it('should produce deterministic output', async () => {
+      const provider = new TemplateProvider();
+
+      const first = await provider.complete({ metadata });
+      const second = await provider.complete({ metadata });
+
+      expect(first).to.equal(second);
+    });
+
+    it('should respect title and description length limits', async () => {
+      const provider = new TemplateProvider();
+      const result = JSON.parse(await provider.complete({ metadata }));
+
+      expect(result.title).to.equal('Acme Analytics');
+      expect(result.description.length).to.be.at.most(160);
+      expect(result.description.length).to.be.at.least(60);
+    });
+
+    it('should extract keyword tags', async () => {
+      const provider = new TemplateProvider({ maxTags: 3 });
+      const result = JSON.parse(await provider.complete({ metadata }));
+
+      expect(result.tags).to.have.lengthOf(3);
+      expect(result.tags).to.include('analytics');
+      expect(result.tags).to.not.include('the');
+    });
+  });
+});
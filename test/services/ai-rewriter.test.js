@@ -5,6 +5,7 @@
 
 import { expect } from 'chai';
 import nock from 'nock';
+import sinon from 'sinon';
 import { AIRewriter } from '../../src/lib/services/ai-rewriter.js';
 
 describe('AIRewriter', () => {
@@ -41,8 +42,69 @@ describe('AIRewriter', () => {
       expect(rewriter.temperature).to.equal(0.7);
     });
 
-    it('should throw error if no API key provided', () => {
-      expect(() => new AIRewriter()).to.throw('OpenAI API key is required');
+    it('should fall back to the template provider if no provider is configured', () => {
+      const previousKey = process.env.OPENAI_API_KEY;
+      const previousProviders = process.env.AI_PROVIDERS;
+      const previousOllama = process.env.OLLAMA_BASE_URL;
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.AI_PROVIDERS;
+      delete process.env.OLLAMA_BASE_URL;
+
+      try {
+        const offlineRewriter = new AIRewriter();
+        expect(offlineRewriter.providers.map(provider => provider.name)).to.deep.equal(['template']);
+      } finally {
+        if (previousKey !== undefined) {
+          process.env.OPENAI_API_KEY = previousKey;
+        }
+        if (previousProviders !== undefined) {
+          process.env.AI_PROVIDERS = previousProviders;
+        }
+        if (previousOllama !== undefined) {
+          process.env.OLLAMA_BASE_URL = previousOllama;
+        }
+      }
+    });
+
+    it('should build the provider chain in the configured order', () => {
+      const chained = new AIRewriter({
+        apiKey: 'test-key',
+        providers: ['ollama', 'openai', 'template']
+      });
+
+      expect(chained.providers.map(provider => provider.name)).to.deep.equal(['ollama', 'openai', 'template']);
+    });
+
+    it('should use OPENAI_MODEL unless a model is given', () => {
+      const previousModel = process.env.OPENAI_MODEL;
+      process.env.OPENAI_MODEL = 'gpt-4o-mini';
+
+      try {
+        const fromEnv = new AIRewriter({ apiKey: 'test-key', providers: ['openai'] });
+        const explicit = new AIRewriter({ apiKey: 'test-key', providers: ['openai'], model: 'gpt-4o' });
+        expect(fromEnv.providers[0].model).to.equal('gpt-4o-mini');
+        expect(explicit.providers[0].model).to.equal('gpt-4o');
+      } finally {
+        if (previousModel !== undefined) {
+          process.env.OPENAI_MODEL = previousModel;
+        } else {
+          delete process.env.OPENAI_MODEL;
+        }
+      }
+    });
+
+    it('should skip OpenAI in the chain when no API key is available', () => {
+      const previousKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        const chained = new AIRewriter({ providers: ['openai', 'template'] });
+        expect(chained.providers.map(provider => provider.name)).to.deep.equal(['template']);
+      } finally {
+        if (previousKey !== undefined) {
+          process.env.OPENAI_API_KEY = previousKey;
+        }
+      }
     });
   });
 
@@ -220,6 +282,56 @@ describe('AIRewriter', () => {
       expect(result.title).to.equal('Retried Example Product');
     });
 
+    it('should fall back to the next provider when one fails', async () => {
+      const fallbackRewriter = new AIRewriter({
+        providers: ['ollama', 'template'],
+        ollama: { baseUrl: 'http://ollama.test:11434', model: 'llama3.1' },
+        maxRetries: 1,
+        retryDelay: 10
+      });
+
+      const fetchStub = sinon.stub(global, 'fetch').resolves({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: 'model "llama3.1" not found' })
+      });
+
+      let result;
+      try {
+        result = await fallbackRewriter.rewriteMetadata(originalMetadata);
+      } finally {
+        fetchStub.restore();
+      }
+
+      expect(fallbackRewriter.lastProvider).to.equal('template');
+      expect(result.title).to.equal('Example Product');
+      expect(result.tags).to.include('example');
+    });
+
+    it('should surface the last provider error when every provider fails', async () => {
+      const failingRewriter = new AIRewriter({
+        providers: ['ollama'],
+        ollama: { baseUrl: 'http://ollama.test:11434', model: 'missing-model' },
+        maxRetries: 1,
+        retryDelay: 10
+      });
+
+      const fetchStub = sinon.stub(global, 'fetch').resolves({
+        ok: false,
+        status: 404,
+        json: async () => ({ error: 'model "missing-model" not found' })
+      });
+
+      try {
+        await failingRewriter.rewriteMetadata(originalMetadata);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('ollama pull missing-model');
+      } finally {
+        fetchStub.restore();
+      }
+    });
+
     it('should respect token limits', async () => {
       const longMetadata = {
         title: 'A'.repeat(1000),
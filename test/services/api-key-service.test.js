@@ -0,0 +1,301 @@
+// test/services/api-key-service.test.js
+// Test suite for ApiKeyService and API v1 key authentication using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  ApiKeyService,
+  hashApiKey,
+  generateApiKey,
+  getRequiredScope,
+  hasScope
+} from '../../src/lib/services/api-key-service.js';
+import { createApiV1AuthMiddleware } from '../../src/lib/middleware/api-v1-auth.js';
+
+const KEY_ID = '3f2b8c1e-5a4d-4e6f-9b7a-0c1d2e3f4a5b';
+
+/**
+ * Chainable query stub that records calls and resolves with the next queued
+ * response for its table
+ */
+function createMockSupabase(responses = {}) {
+  const calls = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'insert', 'update', 'eq', 'gte', 'order', 'limit']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    const next = () => {
+      const queue = responses[table] || [];
+      return Promise.resolve(queue.length > 1 ? queue.shift() : queue[0] || { data: null, error: null });
+    };
+    query.single = () => next();
+    query.maybeSingle = () => next();
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    calls.push(query);
+    return query;
+  });
+
+  return { from, calls, rpc: sinon.stub() };
+}
+
+const findCall = (mock, method) => mock.calls.find(query => query.calls.some(([name]) => name === method));
+
+describe('ApiKeyService', () => {
+  let mockSupabase;
+  let service;
+
+  const build = responses => {
+    mockSupabase = createMockSupabase(responses);
+    service = new ApiKeyService(mockSupabase);
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('createKey', () => {
+    it('should store only the hash and a display prefix and return the key once', async () => {
+      build({
+        api_keys: [
+          { count: 0, error: null },
+          { data: { id: KEY_ID, name: 'CI', permissions: ['webhooks:read'], is_active: true, expires_at: null }, error: null }
+        ]
+      });
+
+      const result = await service.createKey('user-1', { name: ' CI ', scopes: ['webhooks:read', 'webhooks:read'] });
+
+      const insert = findCall(mockSupabase, 'insert').calls[0][1];
+      expect(result.key).to.match(/^lp_[A-Za-z0-9_-]{43}$/);
+      expect(insert.key_hash).to.equal(hashApiKey(result.key));
+      expect(insert.key_prefix).to.equal(result.key.slice(0, 11));
+      expect(insert).to.include({ user_id: 'user-1', name: 'CI' });
+      expect(insert.permissions).to.deep.equal(['webhooks:read']);
+      expect(JSON.stringify(insert)).to.not.include(result.key);
+      expect(result.api_key).to.include({ status: 'active' });
+      expect(result.api_key.scopes).to.deep.equal(['webhooks:read']);
+    });
+
+    it('should reject unknown scopes, past expiry dates and missing names', () => {
+      build({});
+
+      const invalid = [
+        { name: 'CI', scopes: ['admin:all'] },
+        { name: 'CI', scopes: [] },
+        { name: 'CI', scopes: ['webhooks:read'], expires_at: '2000-01-01' },
+        { name: 'CI', scopes: ['webhooks:read'], expires_at: 'soon' },
+        { name: '  ', scopes: ['webhooks:read'] }
+      ];
+
+      for (const input of invalid) {
+        expect(() => service.validateKeyInput(input)).to.throw().with.property('status', 400);
+      }
+    });
+
+    it('should cap the number of active keys per user', async () => {
+      build({ api_keys: [{ count: 25, error: null }] });
+
+      try {
+        await service.createKey('user-1', { name: 'CI', scopes: ['webhooks:read'] });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+      expect(findCall(mockSupabase, 'insert')).to.be.undefined;
+    });
+  });
+
+  describe('rotateKey and revokeKey', () => {
+    it('should replace the secret on the same key', async () => {
+      build({
+        api_keys: [
+          { data: { id: KEY_ID, is_active: true }, error: null },
+          { data: { id: KEY_ID, is_active: true, permissions: ['federation:read'] }, error: null }
+        ]
+      });
+
+      const result = await service.rotateKey('user-1', KEY_ID);
+
+      const update = findCall(mockSupabase, 'update');
+      expect(update.calls[0][1].key_hash).to.equal(hashApiKey(result.key));
+      expect(update.calls[0][1].rotated_at).to.be.a('string');
+      expect(update.calls).to.deep.include(['eq', 'id', KEY_ID]);
+      expect(update.calls).to.deep.include(['eq', 'user_id', 'user-1']);
+    });
+
+    it('should not rotate revoked keys', async () => {
+      build({ api_keys: [{ data: { id: KEY_ID, is_active: false }, error: null }] });
+
+      try {
+        await service.rotateKey('user-1', KEY_ID);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+
+    it('should deactivate keys on revoke and 404 for other users\' keys', async () => {
+      build({
+        api_keys: [
+          { data: { id: KEY_ID, is_active: true }, error: null },
+          { data: { id: KEY_ID, is_active: false, revoked_at: '2024-01-01T00:00:00Z' }, error: null }
+        ]
+      });
+
+      const revoked = await service.revokeKey('user-1', KEY_ID);
+      expect(findCall(mockSupabase, 'update').calls[0][1]).to.include({ is_active: false });
+      expect(revoked.status).to.equal('revoked');
+
+      build({ api_keys: [{ data: null, error: null }] });
+      try {
+        await service.revokeKey('user-2', KEY_ID);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+      }
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should look keys up by hash', async () => {
+      build({});
+      const key = generateApiKey();
+      mockSupabase.rpc.resolves({
+        data: [{ id: KEY_ID, user_id: 'user-1', name: 'CI', permissions: ['webhooks:read'], expires_at: null }],
+        error: null
+      });
+
+      const apiKey = await service.authenticate(key);
+
+      expect(mockSupabase.rpc.calledOnceWith('authenticate_api_key', { p_key_hash: hashApiKey(key) })).to.be.true;
+      expect(apiKey).to.deep.include({ id: KEY_ID, user_id: 'user-1', scopes: ['webhooks:read'] });
+    });
+
+    it('should return null for unknown, revoked or foreign credentials', async () => {
+      build({});
+      mockSupabase.rpc.resolves({ data: [], error: null });
+
+      expect(await service.authenticate(generateApiKey())).to.be.null;
+      expect(await service.authenticate('fed_key_abc')).to.be.null;
+      expect(mockSupabase.rpc.calledOnce).to.be.true;
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should summarize requests by day and endpoint', async () => {
+      build({
+        api_keys: [{ data: { id: KEY_ID, is_active: true }, error: null }],
+        api_usage_logs: [{
+          data: [
+            { endpoint: '/api/v1/webhooks', method: 'GET', status_code: 200, created_at: '2024-01-02T10:00:00Z' },
+            { endpoint: '/api/v1/webhooks', method: 'GET', status_code: 200, created_at: '2024-01-01T10:00:00Z' },
+            { endpoint: '/api/v1/webhooks', method: 'POST', status_code: 403, created_at: '2024-01-01T09:00:00Z' }
+          ],
+          error: null
+        }]
+      });
+
+      const usage = await service.getUsage('user-1', KEY_ID, { days: 7 });
+
+      expect(usage).to.include({ days: 7, total_requests: 3, error_requests: 1 });
+      expect(usage.by_day).to.deep.equal([
+        { date: '2024-01-01', requests: 2 },
+        { date: '2024-01-02', requests: 1 }
+      ]);
+      expect(usage.by_endpoint[0]).to.deep.equal({ endpoint: 'GET /api/v1/webhooks', requests: 2 });
+    });
+  });
+
+  describe('scopes', () => {
+    it('should map v1 endpoints to read and write scopes', () => {
+      expect(getRequiredScope('/api/v1/webhooks', 'GET')).to.equal('webhooks:read');
+      expect(getRequiredScope('/api/v1/webhooks/abc/deliveries/1/redeliver', 'POST')).to.equal('webhooks:write');
+      expect(getRequiredScope('/api/v1/federation/instances', 'POST')).to.equal('federation:write');
+      expect(getRequiredScope('/api/v1/submissions', 'POST')).to.equal('submissions:write');
+      expect(getRequiredScope('/api/v1/submissions/abc', 'GET')).to.equal('submissions:read');
+      expect(getRequiredScope('/api/v1/analytics', 'GET')).to.equal('analytics:read');
+      expect(getRequiredScope('/api/v1/analytics', 'POST')).to.be.null;
+      expect(getRequiredScope('/api/v1/unknown', 'GET')).to.be.null;
+    });
+
+    it('should require an exact scope match', () => {
+      expect(hasScope(['webhooks:write'], 'webhooks:read')).to.be.false;
+      expect(hasScope(['webhooks:read'], 'webhooks:read')).to.be.true;
+      expect(hasScope(['webhooks:read'], null)).to.be.false;
+    });
+  });
+});
+
+describe('createApiV1AuthMiddleware', () => {
+  let apiKeyService;
+  let middleware;
+  let resolve;
+
+  const event = (pathname, method = 'GET', headers = {}) => ({
+    url: new URL(`https://example.com${pathname}`),
+    request: new Request(`https://example.com${pathname}`, { method, headers }),
+    locals: {},
+    getClientAddress: () => '203.0.113.9'
+  });
+
+  beforeEach(() => {
+    apiKeyService = {
+      authenticate: sinon.stub().resolves({ id: KEY_ID, user_id: 'user-1', name: 'CI', scopes: ['webhooks:read'] }),
+      logUsage: sinon.stub().resolves()
+    };
+    middleware = createApiV1AuthMiddleware({
+      getSupabase: async () => ({}),
+      getApiKeyService: async () => apiKeyService
+    });
+    resolve = sinon.stub().callsFake(async () => new Response('{}', { status: 200 }));
+  });
+
+  it('should authenticate keys, expose the owner and log usage', async () => {
+    const request = event('/api/v1/webhooks', 'GET', { 'x-api-key': 'lp_test' });
+
+    const response = await middleware({ event: request, resolve });
+
+    expect(response.status).to.equal(200);
+    expect(request.locals.auth).to.include({ type: 'api_key' });
+    expect(request.locals.auth.user.id).to.equal('user-1');
+    expect(apiKeyService.logUsage.firstCall.args[1]).to.include({
+      endpoint: '/api/v1/webhooks',
+      method: 'GET',
+      statusCode: 200,
+      ipAddress: '203.0.113.9'
+    });
+  });
+
+  it('should refuse requests outside the key\'s scopes', async () => {
+    const response = await middleware({
+      event: event('/api/v1/webhooks', 'POST', { authorization: 'Bearer lp_test' }),
+      resolve
+    });
+
+    expect(response.status).to.equal(403);
+    expect((await response.json()).code).to.equal('INSUFFICIENT_SCOPE');
+    expect(resolve.called).to.be.false;
+    expect(apiKeyService.logUsage.firstCall.args[1].statusCode).to.equal(403);
+  });
+
+  it('should reject unknown or expired keys', async () => {
+    apiKeyService.authenticate.resolves(null);
+
+    const response = await middleware({ event: event('/api/v1/webhooks', 'GET', { 'x-api-key': 'lp_old' }), resolve });
+
+    expect(response.status).to.equal(401);
+    expect(resolve.called).to.be.false;
+  });
+
+  it('should keep public federation reads open but require credentials for writes', async () => {
+    const read = await middleware({ event: event('/api/v1/federation/instances'), resolve });
+    const write = await middleware({ event: event('/api/v1/federation/instances', 'POST'), resolve });
+
+    expect(read.status).to.equal(200);
+    expect(write.status).to.equal(401);
+  });
+});
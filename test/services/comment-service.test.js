@@ -0,0 +1,325 @@
+// test/services/comment-service.test.js
+// Test suite for CommentService using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { CommentService } from '../../src/lib/services/comment-service.js';
+
+/**
+ * Chainable query stub that records calls and resolves with the next queued
+ * response for its table
+ */
+function createMockSupabase(responses = {}) {
+  const calls = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'insert', 'update', 'delete', 'eq', 'in', 'is', 'not', 'or', 'order', 'range', 'limit']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    const next = () => {
+      const queue = responses[table] || [];
+      return Promise.resolve(queue.length > 1 ? queue.shift() : queue[0] || { data: null, error: null });
+    };
+    query.single = () => next();
+    query.maybeSingle = () => next();
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    calls.push(query);
+    return query;
+  });
+
+  return { from, calls };
+}
+
+const findCall = (mock, method) => mock.calls.find(query => query.calls.some(([name]) => name === method));
+
+describe('CommentService', () => {
+  let mockSupabase;
+  let spamDetectionService;
+  let abuseReportingService;
+  let service;
+
+  const approved = { data: { id: 'sub-1', status: 'approved', submitted_by: 'maker-1' }, error: null };
+
+  const build = responses => {
+    mockSupabase = createMockSupabase(responses);
+    service = new CommentService(mockSupabase, { spamDetectionService, abuseReportingService });
+  };
+
+  beforeEach(() => {
+    spamDetectionService = {
+      analyzeContent: sinon.stub().resolves({ isSpam: false, confidence: 0, detections: [], action: 'allow' }),
+      analyzeBehaviorPattern: sinon.stub().resolves({ isSpam: false, activityCount: 0 })
+    };
+    abuseReportingService = {
+      validateReportData: sinon.stub(),
+      submitReport: sinon.stub().resolves({ success: true, reportId: 'report-1', priority: 2 }),
+      autoFlagComment: sinon.stub().resolves({ success: true })
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('listComments', () => {
+    it('should nest replies, mark the maker and keep deleted comments as placeholders', async () => {
+      build({
+        submissions: [approved],
+        comments: [
+          {
+            data: [
+              { id: 'c1', user_id: 'maker-1', parent_id: null, root_id: 'c1', depth: 0, content: 'Thanks all', status: 'visible' },
+              { id: 'c2', user_id: 'user-2', parent_id: null, root_id: 'c2', depth: 0, content: 'gone', status: 'deleted' }
+            ],
+            count: 2,
+            error: null
+          },
+          {
+            data: [
+              { id: 'r1', user_id: 'user-3', parent_id: 'c2', root_id: 'c2', depth: 1, content: 'Reply', status: 'visible' },
+              { id: 'r2', user_id: 'maker-1', parent_id: 'r1', root_id: 'c2', depth: 2, content: 'Maker reply', status: 'visible' },
+              { id: 'r3', user_id: 'user-4', parent_id: 'hidden-1', root_id: 'c1', depth: 2, content: 'Orphan', status: 'visible' }
+            ],
+            error: null
+          }
+        ]
+      });
+
+      const result = await service.listComments('sub-1');
+
+      expect(result.pagination).to.include({ page: 1, total: 2, totalPages: 1 });
+      const [first, second] = result.comments;
+      expect(first.is_maker).to.be.true;
+      expect(first.replies).to.have.length(0);
+      expect(second).to.include({ content: null, author: null, status: 'deleted', is_maker: false });
+      expect(second.replies[0].id).to.equal('r1');
+      expect(second.replies[0].replies[0]).to.include({ id: 'r2', is_maker: true });
+    });
+
+    it('should show pending comments only to their author', async () => {
+      build({ submissions: [approved], comments: [{ data: [], count: 0, error: null }] });
+      const viewerId = '5b0c3a4e-2f7d-4c1b-9a8e-1d2c3b4a5f60';
+
+      await service.listComments('sub-1', { viewerId });
+
+      const rootQuery = mockSupabase.calls.find(query => query.table === 'comments');
+      expect(rootQuery.calls).to.deep.include([
+        'or',
+        `status.in.(visible,deleted),and(status.eq.pending,user_id.eq.${viewerId})`
+      ]);
+    });
+
+    it('should not interpolate viewer IDs that are not UUIDs into filters', async () => {
+      build({ submissions: [approved], comments: [{ data: [], count: 0, error: null }] });
+
+      await service.listComments('sub-1', { viewerId: 'x),status.eq.hidden' });
+
+      const rootQuery = mockSupabase.calls.find(query => query.table === 'comments');
+      expect(rootQuery.calls.some(([method]) => method === 'or')).to.be.false;
+      expect(rootQuery.calls).to.deep.include(['in', 'status', ['visible', 'deleted']]);
+    });
+  });
+
+  describe('createComment', () => {
+    it('should start a new thread rooted at the comment itself', async () => {
+      build({
+        submissions: [approved],
+        comments: [{ data: { id: 'new', user_id: 'user-1', status: 'visible', content: 'Nice launch' }, error: null }]
+      });
+
+      const comment = await service.createComment('sub-1', 'user-1', { content: '  Nice launch  ' });
+
+      const insert = findCall(mockSupabase, 'insert').calls[0][1];
+      expect(insert.root_id).to.equal(insert.id);
+      expect(insert).to.include({ depth: 0, parent_id: null, content: 'Nice launch', status: 'visible' });
+      expect(comment.status).to.equal('visible');
+      expect(spamDetectionService.analyzeContent.calledOnceWith('Nice launch')).to.be.true;
+      expect(spamDetectionService.analyzeBehaviorPattern.calledWith('user-1', 'commenting')).to.be.true;
+    });
+
+    it('should write new comments with the service client when one is given', async () => {
+      build({ submissions: [approved] });
+      const serviceClient = createMockSupabase({
+        comments: [{ data: { id: 'new', user_id: 'user-1', status: 'visible', content: 'Nice launch' }, error: null }]
+      });
+      service = new CommentService(mockSupabase, { serviceClient, spamDetectionService, abuseReportingService });
+
+      await service.createComment('sub-1', 'user-1', { content: 'Nice launch' });
+
+      expect(findCall(mockSupabase, 'insert')).to.be.undefined;
+      expect(findCall(serviceClient, 'insert').calls[0][1]).to.include({ user_id: 'user-1', status: 'visible' });
+    });
+
+    it('should attach replies to the parent thread', async () => {
+      build({
+        submissions: [approved],
+        comments: [
+          { data: { id: 'p1', submission_id: 'sub-1', root_id: 'c1', depth: 1, status: 'visible' }, error: null },
+          { data: { id: 'c1', root_id: 'c1', is_locked: false }, error: null },
+          { data: { id: 'new', status: 'visible' }, error: null }
+        ]
+      });
+
+      await service.createComment('sub-1', 'user-1', { content: 'Agreed', parent_id: 'p1' });
+
+      expect(findCall(mockSupabase, 'insert').calls[0][1]).to.include({ parent_id: 'p1', root_id: 'c1', depth: 2 });
+    });
+
+    it('should refuse replies in locked threads', async () => {
+      build({
+        submissions: [approved],
+        comments: [{ data: { id: 'c1', submission_id: 'sub-1', root_id: 'c1', depth: 0, status: 'visible', is_locked: true }, error: null }]
+      });
+
+      try {
+        await service.createComment('sub-1', 'user-1', { content: 'Hello', parent_id: 'c1' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(403);
+      }
+    });
+
+    it('should reject content that spam detection blocks', async () => {
+      build({ submissions: [approved] });
+      spamDetectionService.analyzeContent.resolves({ isSpam: true, confidence: 90, detections: [], action: 'block' });
+
+      try {
+        await service.createComment('sub-1', 'user-1', { content: 'buy cheap pills' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+      expect(findCall(mockSupabase, 'insert')).to.be.undefined;
+    });
+
+    it('should hold flagged content for review and report it', async () => {
+      build({
+        submissions: [approved],
+        comments: [{ data: { id: 'new', status: 'pending' }, error: null }]
+      });
+      spamDetectionService.analyzeContent.resolves({
+        isSpam: true,
+        confidence: 60,
+        detections: [{ ruleName: 'Excessive links' }],
+        action: 'flag'
+      });
+
+      const comment = await service.createComment('sub-1', 'user-1', { content: 'see my site' });
+
+      expect(findCall(mockSupabase, 'insert').calls[0][1]).to.include({ status: 'pending', spam_score: 60 });
+      expect(comment.status).to.equal('pending');
+      expect(abuseReportingService.autoFlagComment.calledOnce).to.be.true;
+      expect(abuseReportingService.autoFlagComment.firstCall.args.slice(0, 2)).to.deep.equal(['new', 'sub-1']);
+    });
+
+    it('should refuse comments on launches that are not approved', async () => {
+      build({ submissions: [{ data: { id: 'sub-1', status: 'pending_review' }, error: null }] });
+
+      try {
+        await service.createComment('sub-1', 'user-1', { content: 'Hi' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+  });
+
+  describe('updateComment and deleteComment', () => {
+    it('should only let authors edit their comments', async () => {
+      build({ comments: [{ data: { id: 'c1', user_id: 'someone-else', status: 'visible' }, error: null }] });
+
+      try {
+        await service.updateComment('c1', 'user-1', 'Edited');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(403);
+      }
+    });
+
+    it('should soft-delete by setting the status', async () => {
+      build({ comments: [{ data: { id: 'c1', user_id: 'user-1', status: 'visible' }, error: null }, { error: null }] });
+
+      const result = await service.deleteComment('c1', 'user-1');
+
+      expect(result).to.deep.equal({ id: 'c1', status: 'deleted' });
+      expect(findCall(mockSupabase, 'update').calls[0][1]).to.include({ status: 'deleted' });
+      expect(mockSupabase.calls.some(query => query.calls.some(([method]) => method === 'delete'))).to.be.false;
+    });
+  });
+
+  describe('moderation', () => {
+    it('should lock the whole thread when a reply is locked', async () => {
+      build({
+        comments: [
+          { data: { id: 'r1', root_id: 'c1', status: 'visible' }, error: null },
+          { data: { id: 'c1', is_locked: true }, error: null }
+        ]
+      });
+
+      await service.moderateComment('r1', 'mod-1', 'lock');
+
+      const update = findCall(mockSupabase, 'update');
+      expect(update.calls[0][1]).to.include({ is_locked: true, moderated_by: 'mod-1' });
+      expect(update.calls).to.deep.include(['eq', 'id', 'c1']);
+    });
+
+    it('should resolve pending reports when hiding a comment', async () => {
+      build({
+        comments: [
+          { data: { id: 'c1', root_id: 'c1', status: 'visible' }, error: null },
+          { data: { id: 'c1', status: 'hidden' }, error: null }
+        ],
+        abuse_reports: [{ error: null }]
+      });
+
+      await service.moderateComment('c1', 'mod-1', 'hide', 'Harassment');
+
+      const reports = mockSupabase.calls.find(query => query.table === 'abuse_reports');
+      expect(reports.calls[0][1]).to.include({ status: 'resolved', resolution_notes: 'Harassment' });
+      expect(reports.calls).to.deep.include(['eq', 'comment_id', 'c1']);
+    });
+
+    it('should reject unknown actions', async () => {
+      build({});
+
+      try {
+        await service.moderateComment('c1', 'mod-1', 'delete');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+  });
+
+  describe('reportComment', () => {
+    it('should file the report against the comment', async () => {
+      build({ comments: [{ data: { id: 'c1', submission_id: 'sub-1', user_id: 'user-2', status: 'visible' }, error: null }] });
+
+      await service.reportComment('c1', 'user-1', { report_type: 'spam', description: 'Link spam' });
+
+      expect(abuseReportingService.submitReport.firstCall.args[0]).to.deep.equal({
+        submission_id: 'sub-1',
+        comment_id: 'c1',
+        reported_by: 'user-1',
+        report_type: 'spam',
+        description: 'Link spam'
+      });
+    });
+
+    it('should surface duplicate reports as conflicts', async () => {
+      build({ comments: [{ data: { id: 'c1', submission_id: 'sub-1', user_id: 'user-2', status: 'visible' }, error: null }] });
+      abuseReportingService.submitReport.resolves({ success: false, error: 'You have already reported this comment' });
+
+      try {
+        await service.reportComment('c1', 'user-1', { report_type: 'spam', description: 'Link spam' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(409);
+      }
+    });
+  });
+});
@@ -0,0 +1,290 @@
+// test/services/crawl-service.test.js
+// Test suite for the robots.txt parser and the polite Crawler using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import sinon from 'sinon';
+import { Response } from 'node-fetch';
+import {
+  Crawler,
+  ROBOTS_BLOCKED,
+  parseRobotsTxt,
+  isPathAllowed,
+  getRobotsRules,
+  getUserAgentToken,
+  isRobotsBlocked
+} from '../../src/lib/services/crawl-service.js';
+
+const USER_AGENT = 'ADLP-Bot/1.0 (+https://adlp.dev/bot)';
+
+/**
+ * Fake fetch answering from a map of URL -> response options or a function
+ */
+function createFetch(routes) {
+  return sinon.stub().callsFake(async (url, init) => {
+    const route = routes[url];
+    if (!route) {
+      return new Response('not found', { status: 404 });
+    }
+    const { body = '', status = 200, headers = {} } = typeof route === 'function' ? route(init) : route;
+    return new Response(body, { status, headers });
+  });
+}
+
+describe('parseRobotsTxt', () => {
+  it('should group consecutive user-agent lines and collect sitemaps', () => {
+    const robots = parseRobotsTxt([
+      '# comment',
+      'User-agent: ADLP-Bot',
+      'User-agent: OtherBot',
+      'Disallow: /private # trailing comment',
+      'Allow: /private/public',
+      'Crawl-delay: 5',
+      '',
+      'User-agent: *',
+      'Disallow:',
+      'Sitemap: https://example.com/sitemap.xml'
+    ].join('\n'));
+
+    expect(robots.groups).to.have.length(2);
+    expect(robots.groups[0]).to.deep.equal({
+      agents: ['adlp-bot', 'otherbot'],
+      rules: [
+        { allow: false, path: '/private' },
+        { allow: true, path: '/private/public' }
+      ],
+      crawlDelay: 5
+    });
+    expect(robots.groups[1].rules).to.deep.equal([]);
+    expect(robots.sitemaps).to.deep.equal(['https://example.com/sitemap.xml']);
+  });
+
+  it('should prefer the group naming the product token over *', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow: /\n\nUser-agent: adlp-bot\nDisallow: /admin');
+
+    expect(getUserAgentToken(USER_AGENT)).to.equal('adlp-bot');
+    expect(getRobotsRules(robots, USER_AGENT).rules).to.deep.equal([{ allow: false, path: '/admin' }]);
+    expect(isPathAllowed(robots, USER_AGENT, '/products')).to.be.true;
+    expect(isPathAllowed(robots, 'SomeBot/2.0', '/products')).to.be.false;
+  });
+});
+
+describe('isPathAllowed', () => {
+  it('should apply the longest matching rule, with Allow winning ties', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow: /docs\nAllow: /docs/public\nAllow: /page\nDisallow: /page');
+
+    expect(isPathAllowed(robots, USER_AGENT, '/docs/internal')).to.be.false;
+    expect(isPathAllowed(robots, USER_AGENT, '/docs/public/intro')).to.be.true;
+    expect(isPathAllowed(robots, USER_AGENT, '/page')).to.be.true;
+  });
+
+  it('should support * wildcards and $ anchors', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?session=');
+
+    expect(isPathAllowed(robots, USER_AGENT, '/files/guide.pdf')).to.be.false;
+    expect(isPathAllowed(robots, USER_AGENT, '/files/guide.pdf.html')).to.be.true;
+    expect(isPathAllowed(robots, USER_AGENT, '/app?session=abc')).to.be.false;
+  });
+
+  it('should always allow /robots.txt and everything without rules', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow: /');
+
+    expect(isPathAllowed(robots, USER_AGENT, '/robots.txt')).to.be.true;
+    expect(isPathAllowed(null, USER_AGENT, '/anything')).to.be.true;
+  });
+});
+
+describe('Crawler', () => {
+  let sleep;
+
+  beforeEach(() => {
+    sleep = sinon.stub().resolves();
+  });
+
+  describe('robots.txt', () => {
+    it('should block disallowed URLs with a ROBOTS_BLOCKED error', async () => {
+      const fetch = createFetch({
+        'https://example.com/robots.txt': { body: 'User-agent: *\nDisallow: /private' }
+      });
+      const crawler = new Crawler({ fetch, sleep, userAgent: USER_AGENT });
+
+      try {
+        await crawler.fetch('https://example.com/private/page');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal(ROBOTS_BLOCKED);
+        expect(error.status).to.equal(403);
+        expect(error.message).to.equal('Blocked by robots.txt: example.com does not allow adlp-bot to fetch /private/page');
+        expect(isRobotsBlocked(new Error(`Failed to fetch URL: ${error.message}`))).to.be.true;
+      }
+
+      expect(fetch.calledOnce).to.be.true;
+    });
+
+    it('should cache robots.txt per origin and share concurrent lookups', async () => {
+      const fetch = createFetch({
+        'https://example.com/robots.txt': { body: 'User-agent: *\nAllow: /' },
+        'https://example.com/a': { body: 'a' },
+        'https://example.com/b': { body: 'b' }
+      });
+      const crawler = new Crawler({ fetch, sleep, hostDelay: 0 });
+
+      await Promise.all([crawler.fetch('https://example.com/a'), crawler.fetch('https://example.com/b')]);
+      await crawler.fetch('https://example.com/a');
+
+      const robotsCalls = fetch.getCalls().filter(call => call.args[0].endsWith('/robots.txt'));
+      expect(robotsCalls).to.have.length(1);
+    });
+
+    it('should allow everything when robots.txt is missing', async () => {
+      const fetch = createFetch({ 'https://example.com/page': { body: 'ok' } });
+      const crawler = new Crawler({ fetch, sleep });
+
+      const response = await crawler.fetch('https://example.com/page');
+
+      expect(response.status).to.equal(200);
+    });
+
+    it('should block the origin while robots.txt is unreachable', async () => {
+      const fetch = createFetch({
+        'https://example.com/robots.txt': { status: 503 },
+        'https://example.com/page': { body: 'ok' }
+      });
+      const crawler = new Crawler({ fetch, sleep });
+
+      const check = await crawler.checkRobots('https://example.com/page');
+
+      expect(check.allowed).to.be.false;
+      expect(check.reason).to.include('unreachable (HTTP 503)');
+      expect(crawler.robotsCache.get('https://example.com').expiresAt)
+        .to.be.at.most(Date.now() + crawler.robotsErrorTtl);
+    });
+
+    it('should check every redirect hop', async () => {
+      const fetch = createFetch({
+        'https://example.com/go': { status: 301, headers: { location: 'https://other.example/landing' } },
+        'https://other.example/robots.txt': { body: 'User-agent: *\nDisallow: /landing' }
+      });
+      const crawler = new Crawler({ fetch, sleep });
+
+      try {
+        await crawler.fetch('https://example.com/go');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal(ROBOTS_BLOCKED);
+        expect(error.url).to.equal('https://other.example/landing');
+      }
+    });
+
+    it('should send robots.txt redirects through checkUrl and the agent', async () => {
+      const fetch = createFetch({
+        'https://example.com/robots.txt': { status: 302, headers: { location: 'http://169.254.169.254/latest' } }
+      });
+      const crawler = new Crawler({ fetch, sleep });
+      const agent = () => null;
+      const checkUrl = sinon.stub().callsFake((target) => {
+        if (new URL(target).hostname === '169.254.169.254') {
+          throw new Error('Private IP addresses are not allowed');
+        }
+      });
+
+      try {
+        await crawler.fetch('https://example.com/page', { agent }, { checkUrl });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal(ROBOTS_BLOCKED);
+        expect(error.message).to.include('Private IP addresses are not allowed');
+      }
+
+      expect(checkUrl.args.map(args => args[0])).to.deep.equal([
+        'https://example.com/page',
+        'https://example.com/robots.txt',
+        'http://169.254.169.254/latest'
+      ]);
+      expect(fetch.calledOnce).to.be.true;
+      expect(fetch.firstCall.args[1]).to.include({ redirect: 'manual', agent });
+    });
+  });
+
+  describe('politeness', () => {
+    it('should send the configured user agent', async () => {
+      const fetch = createFetch({ 'https://example.com/page': { body: 'ok' } });
+      const crawler = new Crawler({ fetch, sleep, userAgent: 'TestBot/2.0' });
+
+      await crawler.fetch('https://example.com/page', { headers: { Accept: 'text/html' } });
+
+      const pageCall = fetch.getCalls().find(call => call.args[0] === 'https://example.com/page');
+      expect(pageCall.args[1].headers).to.include({ 'User-Agent': 'TestBot/2.0', Accept: 'text/html' });
+    });
+
+    it('should space requests to a host by the larger of hostDelay and Crawl-delay', async () => {
+      const fetch = createFetch({
+        'https://example.com/robots.txt': { body: 'User-agent: *\nCrawl-delay: 2' },
+        'https://example.com/a': { body: 'a' },
+        'https://example.com/b': { body: 'b' }
+      });
+      const crawler = new Crawler({ fetch, sleep, hostDelay: 500 });
+
+      await crawler.fetch('https://example.com/a');
+      await crawler.fetch('https://example.com/b');
+
+      expect(sleep.calledOnce).to.be.true;
+      expect(sleep.firstCall.args[0]).to.be.within(1900, 2000);
+    });
+
+    it('should cap Crawl-delay at maxCrawlDelay', async () => {
+      const fetch = createFetch({ 'https://example.com/robots.txt': { body: 'User-agent: *\nCrawl-delay: 3600' } });
+      const crawler = new Crawler({ fetch, sleep, maxCrawlDelay: 30000 });
+
+      const check = await crawler.checkRobots('https://example.com/page');
+
+      expect(check.crawlDelay).to.equal(30000);
+    });
+
+    it('should limit requests in flight per host', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const crawler = new Crawler({ fetch: createFetch({}), sleep, hostDelay: 0, hostConcurrency: 2 });
+      const task = async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+      };
+
+      await Promise.all(Array.from({ length: 5 }, () => crawler.withHostSlot('example.com', task)));
+
+      expect(maxInFlight).to.equal(2);
+      expect(crawler.hosts.get('example.com').active).to.equal(0);
+    });
+  });
+
+  describe('conditional requests', () => {
+    it('should send stored validators and return 304 responses', async () => {
+      const fetch = createFetch({
+        'https://example.com/page': init => init.headers['If-None-Match'] === '"v1"'
+          ? { status: 304 }
+          : { body: 'ok', headers: { etag: '"v1"', 'last-modified': 'Mon, 05 Oct 2026 10:00:00 GMT' } }
+      });
+      const crawler = new Crawler({ fetch, sleep, hostDelay: 0 });
+
+      const first = await crawler.fetch('https://example.com/page', {}, { conditional: true });
+      const second = await crawler.fetch('https://example.com/page', {}, { conditional: true });
+
+      expect(first.status).to.equal(200);
+      expect(second.status).to.equal(304);
+      const lastCall = fetch.lastCall.args[1];
+      expect(lastCall.headers['If-Modified-Since']).to.equal('Mon, 05 Oct 2026 10:00:00 GMT');
+    });
+
+    it('should not send validators on unconditional fetches', async () => {
+      const fetch = createFetch({ 'https://example.com/page': { body: 'ok', headers: { etag: '"v1"' } } });
+      const crawler = new Crawler({ fetch, sleep, hostDelay: 0 });
+
+      await crawler.fetch('https://example.com/page', {}, { conditional: true });
+      await crawler.fetch('https://example.com/page');
+
+      expect(fetch.lastCall.args[1].headers).to.not.have.property('If-None-Match');
+    });
+  });
+});
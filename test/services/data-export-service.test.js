@@ -0,0 +1,170 @@
+// test/services/data-export-service.test.js
+// Test suite for DataExportService using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { mkdtemp, readFile, rm, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  DataExportService,
+  LocalExportStorage,
+  EXPORT_SOURCES,
+} from '../../src/lib/services/data-export-service.js';
+
+describe('DataExportService', () => {
+  let service;
+  let mockSupabase;
+  let queries;
+  let pages;
+  let directory;
+
+  const createQuery = () => {
+    const query = { calls: [] };
+    for (const method of ['select', 'order', 'range', 'gte', 'lte', 'eq']) {
+      query[method] = sinon.stub().callsFake((...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      });
+    }
+    query.then = (resolve, reject) => Promise.resolve(pages.shift() || { data: [], error: null }).then(resolve, reject);
+    queries.push(query);
+    return query;
+  };
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'export-test-'));
+    queries = [];
+    pages = [];
+    mockSupabase = { from: sinon.stub().callsFake(createQuery) };
+
+    service = new DataExportService(mockSupabase, {
+      storage: new LocalExportStorage({ directory }),
+      pageSize: 2,
+      signingSecret: 'test-secret',
+    });
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  describe('validateRequest', () => {
+    it('should accept known types, formats and filters', () => {
+      expect(service.validateRequest('payments', { format: 'ndjson', status: 'succeeded', date_from: '2024-01-01' }))
+        .to.deep.equal([]);
+      expect(service.validateRequest('revenue', {})).to.deep.equal([]);
+    });
+
+    it('should reject unknown types, formats, dates and filters', () => {
+      expect(service.validateRequest('secrets')[0]).to.match(/Invalid export type/);
+
+      const errors = service.validateRequest('users', { format: 'xml', date_to: 'yesterday', status: 'active' });
+      expect(errors).to.have.length(3);
+      expect(errors[2]).to.equal('Unsupported filters for users: status');
+    });
+  });
+
+  describe('generateExport', () => {
+    it('should page through the table and write CSV with the filters applied', async () => {
+      pages = [
+        { data: [{ id: '1', status: 'approved', url: 'https://a.example', tags: ['ai', 'dev'] },
+          { id: '2', status: 'approved', url: 'https://b.example', rewritten_meta: { title: 'Hello, "world"' } }], error: null },
+        { data: [{ id: '3', status: 'approved', url: '=HYPERLINK("x")' }], error: null },
+      ];
+
+      const result = await service.generateExport('export-1', 'submissions', {
+        status: 'approved',
+        date_from: '2024-01-01',
+      });
+
+      expect(result).to.include({ storage_key: 'export-1.csv', format: 'csv', record_count: 3 });
+      expect(queries).to.have.length(2);
+      expect(queries[0].calls).to.deep.include(['range', 0, 1]);
+      expect(queries[1].calls).to.deep.include(['range', 2, 3]);
+      expect(queries[0].calls).to.deep.include(['eq', 'status', 'approved']);
+      expect(queries[0].calls).to.deep.include(['gte', 'created_at', '2024-01-01']);
+
+      const lines = (await readFile(path.join(directory, 'export-1.csv'), 'utf8')).trim().split('\r\n');
+      expect(lines).to.have.length(4);
+      expect(lines[0]).to.equal(EXPORT_SOURCES.submissions.columns.join(','));
+      expect(lines[1]).to.contain('"[""ai"",""dev""]"');
+      expect(lines[2]).to.contain('"{""title"":""Hello, \\""world\\""""}"');
+      expect(lines[3]).to.contain(`"'=HYPERLINK(""x"")"`);
+      expect(result.file_size).to.be.greaterThan(0);
+    });
+
+    it('should write JSON and NDJSON files', async () => {
+      pages = [{ data: [{ id: 'a' }], error: null }];
+      await service.generateExport('export-json', 'users', { format: 'json' });
+      expect(JSON.parse(await readFile(path.join(directory, 'export-json.json'), 'utf8'))).to.deep.equal([{ id: 'a' }]);
+
+      pages = [{ data: [{ id: 'a' }, { id: 'b' }], error: null }];
+      const result = await service.generateExport('export-nd', 'audit_logs', { format: 'ndjson', action: 'login' });
+      const lines = (await readFile(path.join(directory, 'export-nd.ndjson'), 'utf8')).trim().split('\n');
+      expect(lines.map(line => JSON.parse(line).id)).to.deep.equal(['a', 'b']);
+      expect(result.record_count).to.equal(2);
+    });
+
+    it('should write an empty JSON array when nothing matches', async () => {
+      await service.generateExport('export-empty', 'federation', { format: 'json' });
+      expect(JSON.parse(await readFile(path.join(directory, 'export-empty.json'), 'utf8'))).to.deep.equal([]);
+    });
+
+    it('should remove the partial file when a page fails', async () => {
+      pages = [
+        { data: [{ id: '1' }, { id: '2' }], error: null },
+        { data: null, error: { message: 'timeout' } },
+      ];
+
+      try {
+        await service.generateExport('export-fail', 'payments', {});
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to read payments: timeout');
+      }
+
+      try {
+        await access(path.join(directory, 'export-fail.csv'));
+        expect.fail('Partial file should be removed');
+      } catch (error) {
+        expect(error.code).to.equal('ENOENT');
+      }
+    });
+  });
+
+  describe('download links', () => {
+    it('should sign links that verify until they expire', () => {
+      const clock = sinon.useFakeTimers(new Date('2024-01-01T00:00:00.000Z'));
+      const expiresAt = new Date('2024-01-02T00:00:00.000Z');
+
+      const url = new URL(service.createDownloadUrl('export-1', expiresAt), 'http://localhost');
+      const expires = url.searchParams.get('expires');
+      const signature = url.searchParams.get('signature');
+
+      expect(url.pathname).to.equal('/api/dashboard/export/export-1/download');
+      expect(service.verifyDownloadSignature('export-1', expires, signature)).to.be.true;
+      expect(service.verifyDownloadSignature('export-2', expires, signature)).to.be.false;
+      expect(service.verifyDownloadSignature('export-1', Number(expires) + 60, signature)).to.be.false;
+
+      clock.tick(2 * 24 * 60 * 60 * 1000);
+      expect(service.verifyDownloadSignature('export-1', expires, signature)).to.be.false;
+      clock.restore();
+    });
+  });
+
+  describe('LocalExportStorage', () => {
+    it('should reject keys outside the storage directory', async () => {
+      const storage = new LocalExportStorage({ directory });
+
+      try {
+        await storage.open('../etc/passwd');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid storage key');
+      }
+    });
+  });
+});
@@ -0,0 +1,108 @@
+// test/services/embed-service.test.js
+// Test suite for EmbedService oEmbed responses and launch cards using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import sinon from 'sinon';
+import { EmbedService, getCardUrl, renderLaunchCard } from '../../src/lib/services/embed-service.js';
+
+const origin = 'https://adlp.example';
+
+const launch = {
+  id: 'sub-1',
+  slug: 'acme',
+  votes_count: 1234,
+  rewritten_meta: { title: 'Acme <Rockets>', description: 'Rockets for everyone.' },
+  original_meta: { title: 'Acme' },
+  users: { username: 'wile', full_name: 'Wile E. Coyote' },
+  images: {
+    favicon: 'https://acme.example/favicon.png',
+    all: [{ url: '/images/abc/640.webp', width: 640, height: 320 }]
+  }
+};
+
+describe('EmbedService', () => {
+  let launchPageService;
+  let service;
+
+  beforeEach(() => {
+    launchPageService = { getLaunch: sinon.stub().resolves(launch) };
+    service = new EmbedService({}, { launchPageService });
+  });
+
+  describe('parseLaunchUrl', () => {
+    it('should accept launch pages on this site, with or without a locale', () => {
+      expect(service.parseLaunchUrl(`${origin}/launches/acme`, origin)).to.deep.equal({ slug: 'acme', locale: 'en' });
+      expect(service.parseLaunchUrl(`${origin}/fr/launches/acme?ref=x`, origin)).to.deep.equal({ slug: 'acme', locale: 'fr' });
+    });
+
+    it('should refuse other sites and other pages', () => {
+      for (const url of ['https://evil.example/launches/acme', `${origin}/launches`, `${origin}/users/acme`, `${origin}/launches/%E0`, 'not a url']) {
+        expect(() => service.parseLaunchUrl(url, origin), url).to.throw('No embeddable launch at this URL')
+          .with.property('status', 404);
+      }
+    });
+  });
+
+  describe('getOEmbed', () => {
+    it('should answer with a rich iframe response', async () => {
+      const response = await service.getOEmbed(`${origin}/de/launches/acme`, { origin, theme: 'dark' });
+
+      expect(launchPageService.getLaunch.calledWith('acme', { countView: false })).to.be.true;
+      expect(response).to.include({
+        version: '1.0',
+        type: 'rich',
+        provider_name: 'ADLP',
+        provider_url: origin,
+        title: 'Acme <Rockets>',
+        author_name: 'Wile E. Coyote',
+        width: 480,
+        height: 180,
+        thumbnail_url: `${origin}/images/abc/640.webp`,
+        thumbnail_width: 640,
+        thumbnail_height: 320
+      });
+      expect(response.html).to.contain(`src="${origin}/embed/launches/acme?theme=dark&amp;locale=de"`);
+      expect(response.html).to.contain('title="Acme &lt;Rockets&gt; on ADLP"');
+    });
+
+    it('should fit the card to maxwidth and refuse heights it cannot fit', async () => {
+      const narrow = await service.getOEmbed(`${origin}/launches/acme`, { origin, maxwidth: '320' });
+      expect(narrow.width).to.equal(320);
+
+      try {
+        await service.getOEmbed(`${origin}/launches/acme`, { origin, maxheight: '100' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+      }
+    });
+  });
+});
+
+describe('launch cards', () => {
+  it('should escape launch content and localize the card', () => {
+    const { html } = renderLaunchCard(launch, { origin, locale: 'de', theme: 'light' });
+
+    expect(html).to.contain('<html lang="de" class="theme-light">');
+    expect(html).to.contain('<h1 class="title">Acme &lt;Rockets&gt;</h1>');
+    expect(html).to.contain('von Wile E. Coyote');
+    expect(html).to.contain(`href="${origin}/de/launches/acme"`);
+    expect(html).to.contain('<img class="logo" src="https://acme.example/favicon.png"');
+    expect(html).not.to.contain('<Rockets>');
+  });
+
+  it('should follow the system theme by default and allow its script by hash', () => {
+    const { html, contentSecurityPolicy } = renderLaunchCard(launch, { origin, theme: 'neon' });
+
+    expect(html).to.contain('<html lang="en">');
+    expect(html).to.contain('1,234 upvotes');
+    expect(contentSecurityPolicy).to.match(/script-src 'sha256-[A-Za-z0-9+/]+=*'/);
+    expect(contentSecurityPolicy).to.contain('frame-ancestors *');
+  });
+
+  it('should leave default options out of card URLs', () => {
+    expect(getCardUrl(launch, origin)).to.equal(`${origin}/embed/launches/acme`);
+    expect(getCardUrl(launch, origin, { theme: 'system', locale: 'es' })).to.equal(`${origin}/embed/launches/acme?locale=es`);
+  });
+});
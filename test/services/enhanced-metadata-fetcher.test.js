@@ -6,13 +6,15 @@
 import { expect } from 'chai';
 import nock from 'nock';
 import { EnhancedMetadataFetcher } from '../../src/lib/services/enhanced-metadata-fetcher.js';
+import { Crawler } from '../../src/lib/services/crawl-service.js';
 
 describe('EnhancedMetadataFetcher', () => {
   let fetcher;
 
   beforeEach(() => {
-    fetcher = new EnhancedMetadataFetcher();
+    fetcher = new EnhancedMetadataFetcher({ crawler: new Crawler({ hostDelay: 0 }) });
     nock.cleanAll();
+    nock('https://example.com').persist().get('/robots.txt').reply(404);
   });
 
   afterEach(() => {
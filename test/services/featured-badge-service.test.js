@@ -0,0 +1,141 @@
+// test/services/featured-badge-service.test.js
+// Test suite for FeaturedBadgeService badges, caching headers and referrals using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  FeaturedBadgeService,
+  createBadgeResponse,
+  renderFeaturedBadge,
+  renderFeaturedBadgeEmbed
+} from '../../src/lib/services/featured-badge-service.js';
+
+const launch = { id: 'sub-1', slug: 'acme', votes_count: 1234, launch_date: '2024-03-13' };
+
+/**
+ * Supabase stub answering platform_settings reads and rpc calls
+ */
+function createMockSupabase(settings) {
+  const query = {
+    select: sinon.stub().returnsThis(),
+    limit: sinon.stub().returnsThis(),
+    maybeSingle: sinon.stub().resolves(settings)
+  };
+  return {
+    query,
+    from: sinon.stub().returns(query),
+    rpc: sinon.stub().resolves({ data: null, error: null })
+  };
+}
+
+describe('FeaturedBadgeService', () => {
+  let supabase;
+  let launchPageService;
+  let leaderboardService;
+  let now;
+  let service;
+
+  beforeEach(() => {
+    supabase = createMockSupabase({ data: { platform_name: 'Indie Launches', brand_color: '#FF5500' }, error: null });
+    launchPageService = { getLaunch: sinon.stub().resolves(launch) };
+    leaderboardService = { getLaunchDayRank: sinon.stub().resolves(3) };
+    now = 0;
+    service = new FeaturedBadgeService(supabase, { launchPageService, leaderboardService, now: () => now });
+  });
+
+  describe('getBadge', () => {
+    it('should show the votes and launch day rank in the instance branding', async () => {
+      const { svg } = await service.getBadge('acme', { theme: 'brand', size: 'large' });
+
+      expect(launchPageService.getLaunch.calledWith('acme', { countView: false })).to.be.true;
+      expect(svg).to.contain('width="390" height="81" viewBox="0 0 260 54"');
+      expect(svg).to.contain('aria-label="Featured on Indie Launches: 1,234 upvotes, #3 of the day"');
+      expect(svg).to.contain('fill="#FF5500"');
+      expect(svg).to.contain('>#3 of the day<');
+    });
+
+    it('should leave the rank out when it is unknown or fails', async () => {
+      leaderboardService.getLaunchDayRank.rejects(new Error('rpc down'));
+      sinon.stub(console, 'warn');
+
+      try {
+        const { svg } = await service.getBadge('acme');
+        expect(svg).not.to.contain('of the day');
+        expect(svg).to.contain('▲ 1,234');
+      } finally {
+        console.warn.restore();
+      }
+    });
+
+    it('should cache the branding for a few minutes', async () => {
+      await service.getBadge('acme');
+      await service.getBadge('acme');
+      expect(supabase.from.calledOnce).to.be.true;
+
+      now = 5 * 60 * 1000;
+      await service.getBadge('acme');
+      expect(supabase.from.calledTwice).to.be.true;
+    });
+
+    it('should fall back to the default name and color', async () => {
+      supabase.query.maybeSingle.resolves({ data: { platform_name: null, brand_color: 'red' }, error: null });
+
+      expect(await service.getBranding()).to.deep.equal({ siteName: 'ADLP', brandColor: '#2563EB' });
+    });
+  });
+
+  describe('recordClick', () => {
+    it('should record the host of the page showing the badge', async () => {
+      const result = await service.recordClick('acme', {
+        referrer: 'https://Blog.Example.com/posts/launch?utm=x',
+        origin: 'https://adlp.example'
+      });
+
+      expect(result).to.deep.equal({ launch, referrerHost: 'blog.example.com' });
+      expect(supabase.rpc.calledWith('record_badge_referral', {
+        p_submission_id: 'sub-1',
+        p_referrer_host: 'blog.example.com'
+      })).to.be.true;
+    });
+
+    it('should not attribute clicks from this site or without a referrer', async () => {
+      await service.recordClick('acme', { referrer: 'https://adlp.example/launches/acme', origin: 'https://adlp.example' });
+      await service.recordClick('acme', { referrer: 'not a url' });
+
+      expect(supabase.rpc.firstCall.args[1].p_referrer_host).to.be.null;
+      expect(supabase.rpc.secondCall.args[1].p_referrer_host).to.be.null;
+    });
+  });
+});
+
+describe('featured badge rendering', () => {
+  it('should escape and shorten long instance names', () => {
+    const svg = renderFeaturedBadge({ siteName: '<Launch & Learn> Directory', votes: 0 });
+
+    expect(svg).to.contain('>&lt;Launch &amp; Learn…<');
+    expect(svg).not.to.contain('<Launch');
+  });
+
+  it('should link the embed to the click tracker', () => {
+    expect(renderFeaturedBadgeEmbed(launch, 'https://adlp.example', { siteName: 'Indie Launches', theme: 'dark', size: 'small' })).to.equal(
+      '<a href="https://adlp.example/launches/acme/featured" target="_blank">'
+      + '<img src="https://adlp.example/launches/acme/featured.svg?theme=dark&amp;size=small" alt="Featured on Indie Launches" width="208" height="43" /></a>'
+    );
+  });
+
+  it('should answer conditional requests with 304', async () => {
+    const svg = renderFeaturedBadge({ siteName: 'ADLP', votes: 1 });
+    const first = createBadgeResponse(new Request('https://adlp.example/launches/acme/featured.svg'), svg);
+    const etag = first.headers.get('etag');
+
+    const second = createBadgeResponse(new Request('https://adlp.example/launches/acme/featured.svg', {
+      headers: { 'If-None-Match': etag }
+    }), svg);
+
+    expect(first.status).to.equal(200);
+    expect(first.headers.get('cache-control')).to.contain('max-age=3600');
+    expect(second.status).to.equal(304);
+    expect(await second.text()).to.equal('');
+  });
+});
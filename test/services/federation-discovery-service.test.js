@@ -285,6 +285,47 @@ describe('FederationDiscoveryService', () => {
       expect(result.instance).to.have.property('status', 'pending');
     });
 
+    it('should store the API key hash through the service-role client', async () => {
+      const insertedKeys = [];
+      const serviceClient = {
+        from: sinon.stub().returns({
+          insert: rows => {
+            insertedKeys.push(...rows);
+            return Promise.resolve({ error: null });
+          }
+        })
+      };
+      supabaseStub.then.callsFake((resolve) => {
+        resolve({ data: [{ id: 'new-instance-id', status: 'pending' }], error: null });
+      });
+      discoveryService = new FederationDiscoveryService(supabaseStub, { serviceClient });
+
+      await discoveryService.registerInstance({
+        name: 'Keyed Instance',
+        base_url: 'https://keyed.example.com',
+        admin_email: 'admin@keyed.example.com',
+        api_key: 'peer-secret'
+      });
+
+      expect(serviceClient.from.calledWith('federation_instance_keys')).to.be.true;
+      expect(insertedKeys[0].instance_id).to.equal('new-instance-id');
+      expect(insertedKeys[0].api_key_hash).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it('should refuse to take an API key without a service-role client', async () => {
+      try {
+        await discoveryService.registerInstance({
+          name: 'Keyed Instance',
+          base_url: 'https://keyed.example.com',
+          admin_email: 'admin@keyed.example.com',
+          api_key: 'peer-secret'
+        });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('service-role client');
+      }
+    });
+
     it('should validate required fields', async () => {
       try {
         await discoveryService.registerInstance({
@@ -0,0 +1,291 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  FederationInboundService,
+  hashFederationKey
+} from '../../src/lib/services/federation-inbound-service.js';
+
+/**
+ * Minimal chainable Supabase mock that resolves per-table results
+ */
+function createSupabaseMock(results = {}) {
+  const calls = [];
+
+  const from = table => {
+    const call = { table, operations: [] };
+    calls.push(call);
+
+    const builder = {};
+    ['select', 'insert', 'update', 'eq'].forEach(method => {
+      builder[method] = (...args) => {
+        call.operations.push({ method, args });
+        return builder;
+      };
+    });
+    builder.single = () => Promise.resolve(results[table] || { data: null, error: { code: 'PGRST116' } });
+    builder.then = (resolve, reject) => Promise.resolve(results[`${table}:write`] || { data: null, error: null })
+      .then(resolve, reject);
+
+    return builder;
+  };
+
+  return { from: sinon.spy(from), calls };
+}
+
+describe('FederationInboundService', () => {
+  const apiKey = 'peer-secret-key';
+  const instance = {
+    id: 'instance-1',
+    name: 'Peer',
+    base_url: 'https://peer.example.com',
+    status: 'active',
+    federation_enabled: true
+  };
+  const keyRow = { data: { api_key_hash: hashFederationKey(apiKey) }, error: null };
+
+  const payload = {
+    url: 'https://product.example.com',
+    title: 'Product',
+    description: 'A product description',
+    tags: ['tools'],
+    directory_id: 'main',
+    federation_submission_id: 'remote-123'
+  };
+
+  let submissionServiceStub;
+  let spamDetectionStub;
+  let rateLimitingStub;
+  let moderationStub;
+
+  beforeEach(() => {
+    submissionServiceStub = {
+      createSubmission: sinon.stub().resolves({
+        id: 'local-1',
+        url: payload.url,
+        status: 'pending',
+        rewritten_meta: { title: 'Rewritten', description: 'Rewritten description' }
+      })
+    };
+
+    spamDetectionStub = {
+      analyzeUrl: sinon.stub().resolves({ isSpam: false, confidence: 0, detections: [] }),
+      analyzeContent: sinon.stub().resolves({ isSpam: false, confidence: 0, detections: [], action: 'allow' })
+    };
+
+    rateLimitingStub = {
+      checkRateLimit: sinon.stub().resolves({ allowed: true, remaining: 10 })
+    };
+
+    moderationStub = {
+      autoModerate: sinon.stub().resolves({ action: 'approve', confidence: 90 }),
+      escalateSubmission: sinon.stub().resolves({ id: 'local-1', status: 'escalated' })
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  function createService(results = {}) {
+    const supabase = createSupabaseMock(results);
+    const service = new FederationInboundService(supabase, {
+      submissionService: submissionServiceStub,
+      spamDetectionService: spamDetectionStub,
+      rateLimitingService: rateLimitingStub,
+      moderationService: moderationStub
+    });
+    return { service, supabase };
+  }
+
+  describe('constructor', () => {
+    it('should require a Supabase client', () => {
+      expect(() => new FederationInboundService(null, { submissionService: {} }))
+        .to.throw('Supabase client is required');
+    });
+
+    it('should require a submission service', () => {
+      expect(() => new FederationInboundService({}, {}))
+        .to.throw('Submission service is required');
+    });
+  });
+
+  describe('authenticateInstance', () => {
+    const headersFor = (key, url = instance.base_url) => new Headers({
+      authorization: `Bearer ${key}`,
+      'x-federation-instance': url
+    });
+
+    it('should authenticate an active instance with a valid key', async () => {
+      const { service, supabase } = createService({
+        federation_instances: { data: instance, error: null },
+        federation_instance_keys: keyRow
+      });
+
+      const result = await service.authenticateInstance(headersFor(apiKey, `${instance.base_url}/`));
+
+      expect(result.authenticated).to.be.true;
+      expect(result.instance.id).to.equal('instance-1');
+      const keyLookup = supabase.calls.find(call => call.table === 'federation_instance_keys');
+      expect(keyLookup.operations).to.deep.include({ method: 'eq', args: ['instance_id', 'instance-1'] });
+    });
+
+    it('should reject instances without a registered key', async () => {
+      const { service } = createService({ federation_instances: { data: instance, error: null } });
+
+      const result = await service.authenticateInstance(headersFor(apiKey));
+
+      expect(result.authenticated).to.be.false;
+      expect(result.error).to.equal('Invalid federation credentials');
+    });
+
+    it('should reject missing credentials', async () => {
+      const { service } = createService();
+
+      const result = await service.authenticateInstance(new Headers());
+
+      expect(result.authenticated).to.be.false;
+      expect(result.error).to.equal('Federation credentials required');
+    });
+
+    it('should reject an invalid key', async () => {
+      const { service } = createService({
+        federation_instances: { data: instance, error: null },
+        federation_instance_keys: keyRow
+      });
+
+      const result = await service.authenticateInstance(headersFor('wrong-key'));
+
+      expect(result.authenticated).to.be.false;
+      expect(result.instance).to.be.null;
+    });
+
+    it('should reject inactive instances', async () => {
+      const { service } = createService({
+        federation_instances: { data: { ...instance, status: 'pending' }, error: null },
+        federation_instance_keys: keyRow
+      });
+
+      const result = await service.authenticateInstance(headersFor(apiKey));
+
+      expect(result.authenticated).to.be.false;
+      expect(result.error).to.equal('Federation instance is not active');
+    });
+  });
+
+  describe('validatePayload', () => {
+    it('should accept a valid payload', () => {
+      const { service } = createService();
+      expect(service.validatePayload(payload)).to.deep.equal([]);
+    });
+
+    it('should report invalid fields', () => {
+      const { service } = createService();
+      const errors = service.validatePayload({ url: 'ftp://example.com', tags: 'tools' });
+
+      expect(errors).to.include('Invalid URL format');
+      expect(errors).to.include('federation_submission_id is required');
+      expect(errors).to.include('Tags must be an array of strings');
+    });
+  });
+
+  describe('receiveSubmission', () => {
+    it('should create a federated submission through the submission service', async () => {
+      const { service } = createService();
+
+      const result = await service.receiveSubmission(payload, instance);
+
+      expect(result).to.deep.equal({ success: true, submission_id: 'local-1', status: 'pending' });
+      const [data, userId, options] = submissionServiceStub.createSubmission.firstCall.args;
+      expect(data.url).to.equal(payload.url);
+      expect(userId).to.be.null;
+      expect(options).to.deep.equal({ sourceInstance: 'https://peer.example.com' });
+      expect(rateLimitingStub.checkRateLimit.calledWith('instance-1', 'api_key', 'federation_inbound')).to.be.true;
+    });
+
+    it('should return the existing submission for a retried request', async () => {
+      const { service } = createService({
+        federation_inbound_submissions: { data: { submission_id: 'local-1', status: 'pending' }, error: null }
+      });
+
+      const result = await service.receiveSubmission(payload, instance);
+
+      expect(result.success).to.be.true;
+      expect(result.duplicate_request).to.be.true;
+      expect(submissionServiceStub.createSubmission.called).to.be.false;
+    });
+
+    it('should reject invalid payloads', async () => {
+      const { service } = createService();
+
+      const result = await service.receiveSubmission({ url: 'not a url' }, instance);
+
+      expect(result.success).to.be.false;
+      expect(result.reason).to.equal('invalid_payload');
+    });
+
+    it('should enforce the federation rate limit', async () => {
+      rateLimitingStub.checkRateLimit.resolves({ allowed: false, remaining: 0, retryAfter: 120 });
+      const { service } = createService();
+
+      const result = await service.receiveSubmission(payload, instance);
+
+      expect(result.reason).to.equal('rate_limited');
+      expect(result.retryAfter).to.equal(120);
+      expect(submissionServiceStub.createSubmission.called).to.be.false;
+    });
+
+    it('should block spam before fetching metadata', async () => {
+      spamDetectionStub.analyzeContent.resolves({
+        isSpam: true,
+        confidence: 90,
+        action: 'block',
+        detections: [{ ruleName: 'spam_keywords' }]
+      });
+      const { service } = createService();
+
+      const result = await service.receiveSubmission(payload, instance);
+
+      expect(result.reason).to.equal('spam');
+      expect(submissionServiceStub.createSubmission.called).to.be.false;
+    });
+
+    it('should escalate flagged submissions to moderators', async () => {
+      spamDetectionStub.analyzeUrl.resolves({
+        isSpam: true,
+        confidence: 60,
+        detections: [{ ruleName: 'suspicious_urls' }]
+      });
+      const { service } = createService();
+
+      const result = await service.receiveSubmission(payload, instance);
+
+      expect(result.success).to.be.true;
+      expect(result.status).to.equal('escalated');
+      expect(moderationStub.escalateSubmission.firstCall.args[1]).to.include('suspicious_urls');
+    });
+
+    it('should fail when the inbound record cannot be written', async () => {
+      const { service } = createService({
+        'federation_inbound_submissions:write': { data: null, error: { message: 'permission denied' } }
+      });
+
+      try {
+        await service.receiveSubmission(payload, instance);
+        expect.fail('Expected receiveSubmission to throw');
+      } catch (error) {
+        expect(error.message).to.include('Failed to record inbound federation submission');
+      }
+    });
+
+    it('should report duplicate URLs', async () => {
+      submissionServiceStub.createSubmission.rejects(new Error('URL has already been submitted'));
+      const { service } = createService();
+
+      const result = await service.receiveSubmission(payload, instance);
+
+      expect(result.success).to.be.false;
+      expect(result.reason).to.equal('duplicate');
+    });
+  });
+});
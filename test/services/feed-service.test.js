@@ -0,0 +1,192 @@
+// test/services/feed-service.test.js
+// Test suite for FeedService and feed rendering using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  FeedService,
+  createFeedResponse,
+  escapeXml,
+  renderAtom,
+  renderJsonFeed,
+  renderRss,
+  toFeedItem
+} from '../../src/lib/services/feed-service.js';
+
+const INSTANCE_ID = '3f2b8c1e-5a4d-4e6f-9b7a-0c1d2e3f4a5b';
+
+const submission = {
+  id: 'a1b2c3d4-0000-4000-8000-000000000001',
+  url: 'https://todo.example.com',
+  rewritten_meta: { title: 'Todo <Pro>', description: 'Plan your day & ship' },
+  original_meta: { title: 'Todo Pro - Home' },
+  images: { main: 'https://cdn.example.com/todo.png' },
+  tags: ['productivity'],
+  created_at: '2024-03-01T10:00:00.000Z',
+  updated_at: '2024-03-02T12:30:45.500Z',
+  published_at: '2024-03-01T11:00:00.000Z',
+  users: { id: 'user-1', username: 'ada', full_name: 'Ada Lovelace' }
+};
+
+/**
+ * Query stub for single-row lookups
+ */
+function createMockSupabase(row = null) {
+  const query = {};
+  for (const method of ['select', 'eq']) {
+    query[method] = sinon.stub().returns(query);
+  }
+  query.maybeSingle = sinon.stub().resolves({ data: row, error: null });
+  return { from: sinon.stub().returns(query), query };
+}
+
+describe('FeedService', () => {
+  let mockSupabase;
+  let submissionService;
+  let service;
+
+  const url = new URL('https://launch.example.com/feeds/rss?limit=5');
+
+  const build = row => {
+    mockSupabase = createMockSupabase(row);
+    submissionService = { getSubmissions: sinon.stub().resolves({ data: [submission] }) };
+    service = new FeedService(mockSupabase, { submissionService });
+  };
+
+  beforeEach(() => {
+    build();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getFeed', () => {
+    it('should list the newest approved launches with the submissions query', async () => {
+      const feed = await service.getFeed({ type: 'all' }, { url, format: 'rss', limit: 5 });
+
+      expect(submissionService.getSubmissions.firstCall.args[0]).to.deep.equal({
+        status: 'approved',
+        sort: 'new',
+        page: 1,
+        limit: 5
+      });
+      expect(feed.feedUrl).to.equal('https://launch.example.com/feeds/rss');
+      expect(feed.homePageUrl).to.equal('https://launch.example.com/launches');
+      expect(feed.updated.toISOString()).to.equal('2024-03-02T12:30:45.000Z');
+      expect(feed.items).to.have.length(1);
+    });
+
+    it('should filter by tag, maker and federated directory', async () => {
+      await service.getFeed({ type: 'tag', value: 'Productivity' }, { url, format: 'atom', limit: 500 });
+      expect(submissionService.getSubmissions.firstCall.args[0]).to.include({ limit: 50 });
+      expect(submissionService.getSubmissions.firstCall.args[0].tags).to.deep.equal(['productivity']);
+
+      build({ id: 'user-1', username: 'ada', full_name: 'Ada Lovelace' });
+      const makerFeed = await service.getFeed({ type: 'maker', value: 'ada' }, { url, format: 'json' });
+      expect(mockSupabase.from.calledWith('users')).to.be.true;
+      expect(submissionService.getSubmissions.firstCall.args[0]).to.include({ submitted_by: 'user-1' });
+      expect(makerFeed.title).to.include('Ada Lovelace');
+
+      build({ id: INSTANCE_ID, name: 'Peer', base_url: 'https://peer.example.com' });
+      await service.getFeed({ type: 'directory', value: INSTANCE_ID }, { url, format: 'rss' });
+      expect(submissionService.getSubmissions.firstCall.args[0]).to.include({ source_instance: 'https://peer.example.com' });
+    });
+
+    it('should 404 for unknown makers, directories and formats', async () => {
+      const attempts = [
+        [{ type: 'maker', value: 'nobody' }, 'rss'],
+        [{ type: 'directory', value: 'not-a-uuid' }, 'rss'],
+        [{ type: 'all' }, 'xml']
+      ];
+
+      for (const [scope, format] of attempts) {
+        try {
+          await service.getFeed(scope, { url, format });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.status).to.equal(404);
+        }
+      }
+      expect(submissionService.getSubmissions.called).to.be.false;
+    });
+  });
+
+  describe('rendering', () => {
+    let feed;
+
+    beforeEach(async () => {
+      feed = await service.getFeed({ type: 'all' }, { url, format: 'rss' });
+    });
+
+    it('should escape launch text and embed the image and AI description', () => {
+      const item = toFeedItem(submission, 'https://launch.example.com');
+
+      expect(item.title).to.equal('Todo <Pro>');
+      expect(item.summary).to.equal('Plan your day & ship');
+      expect(item.contentHtml).to.include('<img src="https://cdn.example.com/todo.png" alt="Todo &lt;Pro&gt;" />');
+      expect(escapeXml('a\u0001<b>')).to.equal('a&lt;b&gt;');
+      expect(item.url).to.equal('https://launch.example.com/launches/a1b2c3d4-0000-4000-8000-000000000001');
+      expect(toFeedItem({ ...submission, slug: 'todo-pro' }, '').url).to.equal('/launches/todo-pro');
+      expect(toFeedItem({ ...submission, url: 'javascript:alert(1)' }, '').externalUrl).to.be.null;
+    });
+
+    it('should render RSS 2.0 with content and media extensions', () => {
+      const xml = renderRss(feed);
+
+      expect(xml).to.include('<rss version="2.0"');
+      expect(xml).to.include('<title>Todo &lt;Pro&gt;</title>');
+      expect(xml).to.include('<guid isPermaLink="false">urn:uuid:a1b2c3d4-0000-4000-8000-000000000001</guid>');
+      expect(xml).to.include('<pubDate>Fri, 01 Mar 2024 11:00:00 GMT</pubDate>');
+      expect(xml).to.include('<media:content url="https://cdn.example.com/todo.png" medium="image" />');
+      expect(xml).to.include('<content:encoded>&lt;p&gt;&lt;img');
+    });
+
+    it('should render Atom 1.0 and JSON Feed 1.1', () => {
+      const atom = renderAtom(feed);
+      expect(atom).to.include('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(atom).to.include('<updated>2024-03-02T12:30:45.500Z</updated>');
+      expect(atom).to.include('<author><name>Ada Lovelace</name></author>');
+
+      const json = JSON.parse(renderJsonFeed(feed));
+      expect(json.version).to.equal('https://jsonfeed.org/version/1.1');
+      expect(json.feed_url).to.equal('https://launch.example.com/feeds/rss');
+      expect(json.items[0]).to.include({
+        url: 'https://launch.example.com/launches/a1b2c3d4-0000-4000-8000-000000000001',
+        external_url: 'https://todo.example.com',
+        image: 'https://cdn.example.com/todo.png',
+        content_text: 'Plan your day & ship'
+      });
+      expect(json.items[0].authors).to.deep.equal([{ name: 'Ada Lovelace' }]);
+    });
+  });
+
+  describe('createFeedResponse', () => {
+    let feed;
+
+    beforeEach(async () => {
+      feed = await service.getFeed({ type: 'all' }, { url, format: 'rss' });
+    });
+
+    it('should send validators with the feed', async () => {
+      const response = createFeedResponse(new Request(url), 'json', feed);
+
+      expect(response.status).to.equal(200);
+      expect(response.headers.get('content-type')).to.equal('application/feed+json; charset=utf-8');
+      expect(response.headers.get('etag')).to.match(/^W\/".+"$/);
+      expect(response.headers.get('last-modified')).to.equal('Sat, 02 Mar 2024 12:30:45 GMT');
+      expect((await response.json()).items).to.have.length(1);
+    });
+
+    it('should answer 304 when the client copy is current', () => {
+      const { headers } = createFeedResponse(new Request(url), 'rss', feed);
+      const conditional = requestHeaders => createFeedResponse(new Request(url, { headers: requestHeaders }), 'rss', feed);
+
+      expect(conditional({ 'If-None-Match': headers.get('etag').slice(2) }).status).to.equal(304);
+      expect(conditional({ 'If-None-Match': '"stale"' }).status).to.equal(200);
+      expect(conditional({ 'If-Modified-Since': headers.get('last-modified') }).status).to.equal(304);
+      expect(conditional({ 'If-Modified-Since': 'Sat, 02 Mar 2024 12:00:00 GMT' }).status).to.equal(200);
+    });
+  });
+});
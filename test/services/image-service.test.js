@@ -0,0 +1,319 @@
+// test/services/image-service.test.js
+// Test suite for ImageService downloads, validation, deduplication and variants using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import sinon from 'sinon';
+import sharp from 'sharp';
+import { Response } from 'node-fetch';
+import { Crawler } from '../../src/lib/services/crawl-service.js';
+import {
+  ImageService,
+  createGuardedLookup,
+  hammingDistance,
+  rankFavicons,
+  selectWidths
+} from '../../src/lib/services/image-service.js';
+import { LocalImageStorage, S3ImageStorage } from '../../src/lib/services/image-storage.js';
+import { isPrivateIP } from '../../src/lib/services/metadata-fetcher.js';
+
+/**
+ * A gradient with a block, so difference hashes have structure to compare
+ */
+function createImage(width, height, format = 'png') {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const inBlock = x > width / 4 && x < width / 2 && y > height / 4 && y < (3 * height) / 4;
+      pixels[offset] = inBlock ? 20 : Math.round((x / width) * 255);
+      pixels[offset + 1] = inBlock ? 200 : Math.round((y / height) * 255);
+      pixels[offset + 2] = 120;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).toFormat(format).toBuffer();
+}
+
+/**
+ * Storage keeping objects in a Map
+ */
+function createMemoryStorage() {
+  const objects = new Map();
+  return {
+    objects,
+    put: sinon.stub().callsFake(async (key, body, contentType) => { objects.set(key, { body, contentType }); }),
+    get: async key => objects.get(key) || null
+  };
+}
+
+/**
+ * Fake fetch answering from a map of URL -> response options
+ */
+function createFetch(routes) {
+  return sinon.stub().callsFake(async url => {
+    const route = routes[url];
+    if (!route) {
+      return new Response('not found', { status: 404 });
+    }
+    const { body = '', status = 200, headers = {} } = await route;
+    return new Response(body, { status, headers });
+  });
+}
+
+describe('ImageService', () => {
+  let storage;
+  let logger;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    logger = { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() };
+  });
+
+  const createService = (routes, options = {}) => new ImageService(options.supabase || null, {
+    storage,
+    logger,
+    allowPrivateHosts: false,
+    crawler: new Crawler({ fetch: createFetch(routes), sleep: async () => {}, hostDelay: 0 }),
+    ...options
+  });
+
+  describe('processUrl', () => {
+    it('should store AVIF and WebP variants in responsive widths', async () => {
+      const service = createService({
+        'https://cdn.example.com/og.png': { body: await createImage(800, 400), headers: { 'content-type': 'image/png' } }
+      });
+
+      const image = await service.processUrl('https://cdn.example.com/og.png');
+
+      expect(image.id).to.match(/^[0-9a-f]{32}$/);
+      expect(image).to.include({ width: 800, height: 400, url: `/images/${image.id}/800.webp` });
+      expect([...storage.objects.keys()].sort()).to.deep.equal([320, 640, 800].flatMap(width => [
+        `${image.id}/${width}.avif`,
+        `${image.id}/${width}.webp`
+      ]).sort());
+      expect(image.sources[0]).to.deep.equal({
+        type: 'image/avif',
+        srcset: `/images/${image.id}/320.avif 320w, /images/${image.id}/640.avif 640w, /images/${image.id}/800.avif 800w`
+      });
+
+      const variant = await sharp(storage.objects.get(`${image.id}/640.webp`).body).metadata();
+      expect(variant).to.include({ format: 'webp', width: 640, height: 320 });
+    });
+
+    it('should refuse responses that are not images', async () => {
+      const service = createService({
+        'https://cdn.example.com/og.png': { body: '<html></html>', headers: { 'content-type': 'text/html' } }
+      });
+
+      try {
+        await service.processUrl('https://cdn.example.com/og.png');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Not an image (text/html)');
+      }
+    });
+
+    it('should refuse tracking pixels and undecodable data', async () => {
+      const service = createService({
+        'https://cdn.example.com/pixel.png': { body: await createImage(1, 1), headers: { 'content-type': 'image/png' } },
+        'https://cdn.example.com/fake.png': { body: 'not really a png', headers: { 'content-type': 'image/png' } }
+      });
+
+      const errors = await Promise.all([
+        service.processUrl('https://cdn.example.com/pixel.png').catch(error => error.message),
+        service.processUrl('https://cdn.example.com/fake.png').catch(error => error.message)
+      ]);
+
+      expect(errors[0]).to.equal('Image is too small (1x1)');
+      expect(errors[1]).to.match(/^Not a supported image/);
+      expect(storage.put.called).to.be.false;
+    });
+
+    it('should refuse downloads over the size limit', async () => {
+      const service = createService({
+        'https://cdn.example.com/big.png': { body: await createImage(400, 400), headers: { 'content-type': 'image/png' } }
+      }, { maxBytes: 100 });
+
+      try {
+        await service.processUrl('https://cdn.example.com/big.png');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Image is too large (over 100 bytes)');
+      }
+    });
+
+    it('should refuse private addresses, including redirect targets', async () => {
+      const service = createService({
+        'https://cdn.example.com/moved.png': { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } }
+      });
+
+      const errors = await Promise.all([
+        service.processUrl('http://127.0.0.1/logo.png').catch(error => error.message),
+        service.processUrl('http://[::1]/logo.png').catch(error => error.message),
+        service.processUrl('https://cdn.example.com/moved.png').catch(error => error.message)
+      ]);
+
+      expect(errors).to.deep.equal([
+        'Private IP addresses are not allowed',
+        'Private IP addresses are not allowed',
+        'Private IP addresses are not allowed'
+      ]);
+    });
+
+    it('should reuse a stored image that looks the same', async () => {
+      const existing = {
+        id: 'a'.repeat(32),
+        kind: 'image',
+        width: 800,
+        height: 400,
+        widths: [320, 640, 800],
+        formats: ['avif', 'webp'],
+        phash: '1'.repeat(64)
+      };
+      const query = {
+        select: sinon.stub().returnsThis(),
+        eq: sinon.stub().returnsThis(),
+        maybeSingle: sinon.stub().resolves({ data: null, error: null })
+      };
+      const supabase = {
+        from: sinon.stub().returns(query),
+        rpc: sinon.stub().resolves({ data: [existing], error: null })
+      };
+      const service = createService({
+        'https://cdn.example.com/og.jpg': { body: await createImage(800, 400, 'jpeg'), headers: { 'content-type': 'image/jpeg' } }
+      }, { supabase });
+
+      const image = await service.processUrl('https://cdn.example.com/og.jpg');
+
+      expect(image.id).to.equal(existing.id);
+      expect(image.phash).to.equal('ffffffffffffffff');
+      expect(supabase.rpc.firstCall.args[0]).to.equal('find_similar_image');
+      expect(supabase.rpc.firstCall.args[1]).to.include({ p_kind: 'image', p_max_distance: 4 });
+      expect(supabase.rpc.firstCall.args[1].p_phash).to.match(/^[01]{64}$/);
+      expect(storage.put.called).to.be.false;
+    });
+  });
+
+  describe('buildSubmissionImages', () => {
+    it('should host the gallery and logo, drop near-duplicates and keep URLs that fail', async () => {
+      const png = await createImage(800, 400);
+      const service = createService({
+        'https://example.com/og.png': { body: png, headers: { 'content-type': 'image/png' } },
+        // The same picture, re-encoded and resized
+        'https://example.com/og-small.jpg': {
+          body: await sharp(png).resize(600).jpeg({ quality: 70 }).toBuffer(),
+          headers: { 'content-type': 'image/jpeg' }
+        },
+        'https://example.com/apple-touch-icon.png': { body: await createImage(180, 180), headers: { 'content-type': 'image/png' } }
+      });
+
+      const images = await service.buildSubmissionImages({
+        url: 'https://example.com',
+        image: 'https://example.com/og.png',
+        images: {
+          primary: 'https://example.com/og.png',
+          sources: [{ url: 'https://example.com/og-small.jpg' }, { url: 'https://example.com/missing.png' }]
+        },
+        favicons: [
+          { url: 'https://example.com/favicon.ico', mimeType: 'image/x-icon' },
+          { url: 'https://example.com/apple-touch-icon.png', sizes: '180x180' }
+        ]
+      });
+
+      expect(images.all.map(image => image.originalUrl || image.url)).to.deep.equal([
+        'https://example.com/og.png',
+        'https://example.com/missing.png'
+      ]);
+      expect(images.main).to.match(/^\/images\/[0-9a-f]{32}\/800\.webp$/);
+      expect(images.favicon).to.equal(`/images/${images.logo.id}/180.webp`);
+      expect(images.logo.originalUrl).to.equal('https://example.com/apple-touch-icon.png');
+    });
+  });
+});
+
+describe('image helpers', () => {
+  it('should recognise private, loopback and link-local addresses', () => {
+    for (const address of ['10.1.2.3', '127.0.0.1', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '198.18.0.1']) {
+      expect(isPrivateIP(address), address).to.be.true;
+    }
+    for (const address of ['93.184.216.34', '172.32.0.1', '2606:2800:220:1::1', 'example.com']) {
+      expect(isPrivateIP(address), address).to.be.false;
+    }
+  });
+
+  it('should see through IPv4-mapped and NAT64 addresses in any notation', () => {
+    // WHATWG URL rewrites [::ffff:169.254.169.254] as [::ffff:a9fe:a9fe]
+    const hostname = new URL('http://[::ffff:169.254.169.254]/latest').hostname;
+    for (const address of [hostname, '::ffff:a9fe:a9fe', '::ffff:7f00:1', '0:0:0:0:0:ffff:a00:1', '::7f00:1', '64:ff9b::a9fe:a9fe']) {
+      expect(isPrivateIP(address), address).to.be.true;
+    }
+    for (const address of ['::ffff:5db8:d822', '::ffff:93.184.216.34']) {
+      expect(isPrivateIP(address), address).to.be.false;
+    }
+  });
+
+  it('should fail lookups that resolve to private addresses', done => {
+    const lookup = createGuardedLookup((hostname, options, callback) => callback(null, [{ address: '10.0.0.5', family: 4 }]));
+
+    lookup('internal.example.com', { all: true }, error => {
+      expect(error.message).to.equal('Private IP addresses are not allowed (internal.example.com)');
+      done();
+    });
+  });
+
+  it('should pick widths without upscaling', () => {
+    expect(selectWidths([320, 640, 960, 1280], 2000)).to.deep.equal([320, 640, 960, 1280]);
+    expect(selectWidths([320, 640, 960, 1280], 700)).to.deep.equal([320, 640, 700]);
+    expect(selectWidths([64, 128, 256], 48)).to.deep.equal([48]);
+  });
+
+  it('should rank favicons that sharp can decode and that are largest first', () => {
+    expect(rankFavicons([
+      { url: 'https://example.com/favicon.ico' },
+      { url: 'https://example.com/icon-32.png', sizes: '32x32' },
+      { url: 'https://example.com/icon-192.png', sizes: '192x192' }
+    ])).to.deep.equal([
+      'https://example.com/icon-192.png',
+      'https://example.com/icon-32.png',
+      'https://example.com/favicon.ico'
+    ]);
+    expect(hammingDistance('ff00', 'f0f0')).to.equal(8);
+  });
+});
+
+describe('image storage', () => {
+  it('should not let local keys escape the directory', async () => {
+    const local = new LocalImageStorage({ directory: '/tmp/adlp-image-test' });
+
+    try {
+      await local.get('../etc/passwd');
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.equal('Invalid image key "../etc/passwd"');
+    }
+  });
+
+  it('should sign S3 uploads with Signature Version 4', async () => {
+    const fetch = sinon.stub().resolves(new Response('', { status: 200 }));
+    const s3 = new S3ImageStorage({
+      bucket: 'adlp-images',
+      region: 'auto',
+      endpoint: 'https://account.r2.cloudflarestorage.com',
+      prefix: 'prod',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+      fetch
+    });
+
+    await s3.put('abc/640.webp', Buffer.from('data'));
+
+    const [url, init] = fetch.firstCall.args;
+    expect(url).to.equal('https://account.r2.cloudflarestorage.com/adlp-images/prod/abc/640.webp');
+    expect(init.method).to.equal('PUT');
+    expect(init.headers['content-type']).to.equal('image/webp');
+    expect(init.headers['x-amz-content-sha256']).to.equal('3a6eb0790f39ac87c94f3856b2dd2c5d110e6811602261a9a923d3bb23adc8b7');
+    expect(init.headers.authorization).to.match(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/auto\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+  });
+});
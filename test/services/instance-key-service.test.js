@@ -0,0 +1,170 @@
+// test/services/instance-key-service.test.js
+// Test suite for instance signing keys and remote key resolution using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  InstanceKeyStore,
+  RemoteKeyResolver,
+  canonicalJson,
+  verifyPayload,
+} from '../../src/lib/services/instance-key-service.js';
+import { BadgeService } from '../../src/lib/services/badge-service.js';
+
+const createPem = () => generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+describe('canonicalJson', () => {
+  it('should sort keys at every level and drop undefined values', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } }))
+      .to.equal('{"a":{"d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+});
+
+describe('InstanceKeyStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'instance-key-test-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should generate a key file once and reuse it', async () => {
+    const keyFile = path.join(directory, 'keys', 'instance.pem');
+    const first = new InstanceKeyStore({ keyFile }).getPublicKeyInfo();
+    const second = new InstanceKeyStore({ keyFile }).getPublicKeyInfo();
+
+    expect(first).to.deep.equal(second);
+    expect(first.algorithm).to.equal('ed25519');
+    expect(first.key_id).to.have.length(16);
+    expect(await readFile(keyFile, 'utf8')).to.contain('BEGIN PRIVATE KEY');
+  });
+
+  it('should sign payloads that verify regardless of key order', () => {
+    const store = new InstanceKeyStore({ privateKey: createPem() });
+    const { signature } = store.sign({ user_id: 'u1', badge_slug: 'early-adopter' });
+    const { public_key } = store.getPublicKeyInfo();
+
+    expect(verifyPayload(signature, { badge_slug: 'early-adopter', user_id: 'u1' }, public_key)).to.be.true;
+    expect(verifyPayload(signature, { badge_slug: 'top-maker', user_id: 'u1' }, public_key)).to.be.false;
+    expect(verifyPayload('not-a-signature', {}, public_key)).to.be.false;
+    expect(verifyPayload(signature, {}, 'not-a-key')).to.be.false;
+  });
+
+  it('should reject non-Ed25519 keys', () => {
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey.export({ type: 'pkcs8', format: 'pem' });
+    expect(() => new InstanceKeyStore({ privateKey: rsa }).getKeys()).to.throw('Ed25519');
+  });
+});
+
+describe('RemoteKeyResolver', () => {
+  let resolver;
+  let mockSupabase;
+  let fetchStub;
+  let instanceRow;
+  let remote;
+
+  beforeEach(() => {
+    remote = new InstanceKeyStore({ privateKey: createPem(), instanceUrl: 'https://peer.example' });
+    instanceRow = { id: 'instance-1', base_url: 'https://peer.example', status: 'active', public_key: null };
+
+    const query = {
+      select: sinon.stub().returnsThis(),
+      eq: sinon.stub().returnsThis(),
+      update: sinon.stub().returnsThis(),
+      single: sinon.stub().callsFake(() => Promise.resolve({ data: instanceRow, error: null })),
+    };
+    mockSupabase = { from: sinon.stub().returns(query), query };
+
+    fetchStub = sinon.stub().callsFake(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ badge_signing: { keys: [remote.getPublicKeyInfo()] } }),
+    }));
+
+    resolver = new RemoteKeyResolver(mockSupabase, { fetch: fetchStub });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should fetch, store and cache a registered instance key', async () => {
+    const { key_id, public_key } = remote.getPublicKeyInfo();
+
+    const key = await resolver.getPublicKey('https://peer.example/', key_id);
+    await resolver.getPublicKey('https://peer.example', key_id);
+
+    expect(key).to.deep.equal({ instanceId: 'instance-1', instanceUrl: 'https://peer.example', keyId: key_id, publicKey: public_key });
+    expect(fetchStub.calledOnceWith('https://peer.example/api/federation/info')).to.be.true;
+    expect(mockSupabase.query.eq.firstCall.args).to.deep.equal(['base_url', 'https://peer.example']);
+    expect(mockSupabase.query.update.firstCall.args[0]).to.include({ public_key, public_key_id: key_id });
+  });
+
+  it('should refuse instances that are not active federation members', async () => {
+    instanceRow.status = 'blocked';
+
+    try {
+      await resolver.getPublicKey('https://peer.example');
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.equal('Unknown or inactive federation instance: https://peer.example');
+    }
+    expect(fetchStub.called).to.be.false;
+  });
+
+  it('should fall back to the stored key when the instance is unreachable', async () => {
+    const { key_id, public_key } = remote.getPublicKeyInfo();
+    Object.assign(instanceRow, { public_key, public_key_id: key_id, public_key_fetched_at: '2020-01-01T00:00:00Z' });
+    fetchStub.rejects(new Error('ECONNREFUSED'));
+
+    const key = await resolver.getPublicKey('https://peer.example', key_id);
+    expect(key.publicKey).to.equal(public_key);
+  });
+});
+
+describe('BadgeService signatures', () => {
+  let local;
+  let remote;
+  let badgeService;
+
+  beforeEach(() => {
+    local = new InstanceKeyStore({ privateKey: createPem(), instanceUrl: 'https://local.example' });
+    remote = new InstanceKeyStore({ privateKey: createPem(), instanceUrl: 'https://peer.example' });
+    const keyResolver = {
+      getPublicKey: sinon.stub().resolves({
+        instanceId: 'instance-1',
+        instanceUrl: 'https://peer.example',
+        keyId: remote.getPublicKeyInfo().key_id,
+        publicKey: remote.getPublicKeyInfo().public_key,
+      }),
+    };
+    badgeService = new BadgeService({ from: sinon.stub() }, { keyStore: local, keyResolver });
+  });
+
+  it('should verify badges signed by this instance', async () => {
+    const payload = { user_badge_id: 'ub-1', issuer: 'https://local.example' };
+    const { data } = await badgeService.generateBadgeSignature(payload);
+
+    const result = await badgeService.verifyBadgeAssertion(data.signature, payload);
+    expect(result.data.isValid).to.be.true;
+    expect(result.data.keyId).to.equal(data.key_id);
+  });
+
+  it('should verify badges signed by a federated instance with its published key', async () => {
+    const payload = { user_badge_id: 'ub-2', issuer: 'https://peer.example' };
+    const { signature } = remote.sign(payload);
+
+    const valid = await badgeService.verifyBadgeAssertion(signature, payload);
+    const forged = await badgeService.verifyBadgeAssertion(local.sign(payload).signature, payload);
+
+    expect(valid.data).to.include({ isValid: true, issuer: 'https://peer.example', issuingInstanceId: 'instance-1' });
+    expect(forged.data.isValid).to.be.false;
+  });
+});
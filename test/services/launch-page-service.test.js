@@ -0,0 +1,198 @@
+// test/services/launch-page-service.test.js
+// Test suite for LaunchPageService using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  LaunchPageService,
+  collectGalleryImages,
+  getLaunchPath,
+  serializeJsonLd
+} from '../../src/lib/services/launch-page-service.js';
+import { EnhancedAIService } from '../../src/lib/services/enhanced-ai-service.js';
+
+const LAUNCH_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+const launch = {
+  id: LAUNCH_ID,
+  slug: 'todo-pro',
+  url: 'https://todo.example.com',
+  status: 'approved',
+  rewritten_meta: { title: 'Todo Pro', description: 'Plan your day </script> and ship' },
+  original_meta: { title: 'Todo Pro - Home', images: { carousel: [{ url: 'https://cdn.example.com/shot.png', type: 'screenshot' }] } },
+  images: {
+    main: 'https://cdn.example.com/todo.png',
+    all: [{ url: 'https://cdn.example.com/todo.png' }, 'javascript:alert(1)', { url: '/uploads/screenshots/todo.png' }]
+  },
+  tags: ['productivity', 'tasks'],
+  votes_count: 42,
+  created_at: '2024-03-01T10:00:00.000Z',
+  published_at: '2024-03-01T11:00:00.000Z',
+  updated_at: '2024-03-02T12:00:00.000Z',
+  users: { id: 'user-1', username: 'ada', full_name: 'Ada Lovelace' }
+};
+
+/**
+ * Chainable query stub resolving with the queued row for each table
+ */
+function createMockSupabase(rows = {}) {
+  const queries = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'eq', 'in']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    query.maybeSingle = () => Promise.resolve({ data: rows[table] ?? null, error: null });
+    queries.push(query);
+    return query;
+  });
+
+  return { from, queries, rpc: sinon.stub().resolves({ data: null, error: null }) };
+}
+
+describe('LaunchPageService', () => {
+  let mockSupabase;
+  let badgeService;
+  let service;
+
+  const build = rows => {
+    mockSupabase = createMockSupabase(rows);
+    badgeService = {
+      getUserBadges: sinon.stub().resolves({
+        success: true,
+        data: [{ badge_id: 'badge-1', badge_slug: 'verified', badge_name: 'Verified', badge_description: 'Verified maker', level: 'gold' }]
+      })
+    };
+    service = new LaunchPageService(mockSupabase, {
+      enhancedAIService: new EnhancedAIService({ aiRewriter: {} }),
+      badgeService
+    });
+  };
+
+  beforeEach(() => {
+    build({ submissions: launch });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getPage', () => {
+    it('should load a public launch by slug with gallery, badges and SEO data', async () => {
+      const page = await service.getPage('todo-pro', { origin: 'https://launch.example.com' });
+
+      const submissionQuery = mockSupabase.queries[0];
+      expect(submissionQuery.calls).to.deep.include(['eq', 'slug', 'todo-pro']);
+      expect(submissionQuery.calls).to.deep.include(['in', 'status', ['approved', 'published']]);
+      expect(mockSupabase.rpc.calledWith('increment_view_count', { submission_id: LAUNCH_ID })).to.be.true;
+      expect(page.launch.id).to.equal(LAUNCH_ID);
+      expect(page.badges[0]).to.include({ id: 'badge-1', name: 'Verified', level: 'gold' });
+      expect(page.provenance).to.be.null;
+      expect(page.seo.canonical).to.equal('https://launch.example.com/launches/todo-pro');
+    });
+
+    it('should use the localized URL as canonical and list every locale', async () => {
+      const page = await service.getPage('todo-pro', { origin: 'https://launch.example.com', locale: 'es' });
+
+      expect(page.seo.canonical).to.equal('https://launch.example.com/es/launches/todo-pro');
+      expect(page.seo.alternates).to.deep.include({ hreflang: 'fr', href: 'https://launch.example.com/fr/launches/todo-pro' });
+      expect(page.seo.alternates).to.deep.include({ hreflang: 'x-default', href: 'https://launch.example.com/launches/todo-pro' });
+    });
+
+    it('should look old links up by ID', async () => {
+      await service.getPage(LAUNCH_ID, { origin: 'https://launch.example.com' });
+
+      expect(mockSupabase.queries[0].calls).to.deep.include(['eq', 'id', LAUNCH_ID]);
+    });
+
+    it('should 404 for missing or unpublished launches', async () => {
+      build({});
+
+      try {
+        await service.getPage('nope', { origin: 'https://launch.example.com' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+      }
+    });
+
+    it('should describe where federated launches came from', async () => {
+      build({
+        submissions: { ...launch, is_federated: true, source_instance: 'https://peer.example.com', federated_at: '2024-03-01T09:00:00.000Z' },
+        federation_instances: { name: 'Peer Launches', base_url: 'https://peer.example.com' }
+      });
+
+      const page = await service.getPage('todo-pro', { origin: 'https://launch.example.com' });
+
+      expect(page.provenance).to.deep.equal({
+        name: 'Peer Launches',
+        url: 'https://peer.example.com',
+        federated_at: '2024-03-01T09:00:00.000Z'
+      });
+    });
+  });
+
+  describe('buildSeo', () => {
+    it('should extend the AI meta tags and structured data', () => {
+      const seo = service.buildSeo(launch, 'https://launch.example.com');
+
+      expect(seo.metaTags).to.deep.include({ property: 'og:title', content: 'Todo Pro' });
+      expect(seo.metaTags).to.deep.include({ property: 'og:url', content: 'https://launch.example.com/launches/todo-pro' });
+      expect(seo.metaTags).to.deep.include({ name: 'twitter:card', content: 'summary_large_image' });
+      expect(seo.metaTags).to.deep.include({ name: 'twitter:image', content: 'https://cdn.example.com/todo.png' });
+
+      const jsonLd = JSON.parse(seo.jsonLd);
+      expect(jsonLd).to.include({
+        '@type': 'SoftwareApplication',
+        name: 'Todo Pro',
+        url: 'https://todo.example.com',
+        mainEntityOfPage: 'https://launch.example.com/launches/todo-pro',
+        keywords: 'productivity, tasks'
+      });
+      expect(jsonLd.author).to.deep.equal({ '@type': 'Person', name: 'Ada Lovelace' });
+      expect(jsonLd.interactionStatistic.userInteractionCount).to.equal(42);
+    });
+
+    it('should keep JSON-LD from closing its script element', () => {
+      const seo = service.buildSeo(launch, 'https://launch.example.com');
+
+      expect(seo.jsonLd).to.not.include('</script>');
+      expect(serializeJsonLd({ text: '<a>&\u2028' })).to.equal('{"text":"\\u003ca\\u003e\\u0026\\u2028"}');
+    });
+  });
+
+  describe('collectGalleryImages', () => {
+    it('should gather unique, safe images from every metadata shape', () => {
+      expect(collectGalleryImages(launch).map(image => image.url)).to.deep.equal([
+        'https://cdn.example.com/todo.png',
+        '/uploads/screenshots/todo.png',
+        'https://cdn.example.com/shot.png'
+      ]);
+      expect(collectGalleryImages(launch)[2].type).to.equal('screenshot');
+      expect(collectGalleryImages({})).to.deep.equal([]);
+    });
+
+    it('should keep the responsive sources of hosted images', () => {
+      const sources = [{ type: 'image/webp', srcset: '/images/abc/320.webp 320w, /images/abc/640.webp 640w' }];
+      const gallery = collectGalleryImages({
+        images: {
+          main: '/images/abc/640.webp',
+          all: [{ url: '/images/abc/640.webp', type: 'image', width: 640, height: 320, sources }]
+        }
+      });
+
+      expect(gallery).to.deep.equal([
+        { url: '/images/abc/640.webp', title: '', type: 'image', sources, width: 640, height: 320 }
+      ]);
+    });
+  });
+
+  it('should build launch paths from slugs, falling back to IDs', () => {
+    expect(getLaunchPath(launch)).to.equal('/launches/todo-pro');
+    expect(getLaunchPath({ id: LAUNCH_ID })).to.equal(`/launches/${LAUNCH_ID}`);
+  });
+});
@@ -0,0 +1,222 @@
+// test/services/launch-schedule-service.test.js
+// Test suite for LaunchScheduleService and LaunchPublisher using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  LaunchScheduleService,
+  LaunchPublisher,
+  addDays,
+  getLaunchDay,
+  isLaunchDate
+} from '../../src/lib/services/launch-schedule-service.js';
+
+const SETTINGS = {
+  time_zone: 'America/New_York',
+  window_start_hour: 0,
+  daily_slots: 3,
+  priority_slots: 1,
+  max_days_ahead: 10
+};
+
+/**
+ * Chainable query stub resolving with the queued result for each table
+ */
+function createMockSupabase(results = {}, rpcResults = {}) {
+  const queries = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'eq', 'in', 'lt', 'gt', 'lte', 'order', 'limit']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    query.maybeSingle = () => Promise.resolve({ data: SETTINGS, error: null });
+    query.then = (resolve, reject) =>
+      Promise.resolve(results[table] || { data: [], error: null }).then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+  const rpc = sinon.stub().callsFake(name => Promise.resolve(rpcResults[name] || { data: null, error: null }));
+
+  return { from, rpc, queries };
+}
+
+describe('LaunchScheduleService', () => {
+  // 03:00 UTC on March 10th is still March 9th in New York
+  const now = new Date('2024-03-10T03:00:00Z');
+  let mockSupabase;
+  let service;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabase();
+    service = new LaunchScheduleService(mockSupabase, { now: () => now });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('launch days', () => {
+    it('should validate and add calendar dates', () => {
+      expect(isLaunchDate('2024-02-29')).to.be.true;
+      expect(isLaunchDate('2023-02-29')).to.be.false;
+      expect(isLaunchDate('2024-3-1')).to.be.false;
+      expect(addDays('2024-02-28', 2)).to.equal('2024-03-01');
+      expect(addDays('2024-03-01', -1)).to.equal('2024-02-29');
+    });
+
+    it('should use the launch time zone and window start hour', () => {
+      expect(getLaunchDay(now, { time_zone: 'UTC' })).to.equal('2024-03-10');
+      expect(getLaunchDay(now, { time_zone: 'America/New_York' })).to.equal('2024-03-09');
+      expect(getLaunchDay(now, { time_zone: 'UTC', window_start_hour: 8 })).to.equal('2024-03-09');
+    });
+  });
+
+  describe('getAvailability', () => {
+    it('should subtract booked slots and stop at the booking horizon', async () => {
+      mockSupabase = createMockSupabase({}, {
+        get_launch_slot_usage: {
+          data: [
+            { day: '2024-03-09', slot: 'standard', booked: 3 },
+            { day: '2024-03-10', slot: 'priority', booked: 1 }
+          ],
+          error: null
+        }
+      });
+      service = new LaunchScheduleService(mockSupabase, { now: () => now });
+
+      const calendar = await service.getAvailability({ days: 31 });
+
+      expect(mockSupabase.rpc.firstCall.args).to.deep.equal([
+        'get_launch_slot_usage',
+        { p_from: '2024-03-09', p_to: '2024-03-19' }
+      ]);
+      expect(calendar.today).to.equal('2024-03-09');
+      expect(calendar.timeZone).to.equal('America/New_York');
+      expect(calendar.days).to.have.length(11);
+      expect(calendar.days[0].standard).to.deep.equal({ capacity: 3, booked: 3, available: 0 });
+      expect(calendar.days[1].priority).to.deep.equal({ capacity: 1, booked: 1, available: 0 });
+      expect(calendar.days[1].standard.available).to.equal(3);
+    });
+
+    it('should reject malformed start dates', async () => {
+      try {
+        await service.getAvailability({ from: 'tomorrow' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+  });
+
+  describe('scheduleLaunch', () => {
+    it('should reserve the slot through the database', async () => {
+      mockSupabase.rpc.resolves({ data: 'reserved', error: null });
+
+      const result = await service.scheduleLaunch('sub-1', { launchDate: '2024-03-12', slot: 'priority' });
+
+      expect(result).to.deep.equal({ launchDate: '2024-03-12', slot: 'priority' });
+      expect(mockSupabase.rpc.firstCall.args).to.deep.equal([
+        'reserve_launch_slot',
+        { p_submission_id: 'sub-1', p_launch_date: '2024-03-12', p_launch_slot: 'priority' }
+      ]);
+    });
+
+    it('should map refused reservations to HTTP statuses', async () => {
+      for (const [result, status] of [['full', 409], ['payment_required', 402], ['not_found', 404]]) {
+        mockSupabase.rpc.resolves({ data: result, error: null });
+        try {
+          await service.scheduleLaunch('sub-1', { launchDate: '2024-03-12' });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.status).to.equal(status);
+        }
+      }
+    });
+
+    it('should validate the date and slot before booking', async () => {
+      for (const schedule of [{ launchDate: '2024-02-30' }, { launchDate: '2024-03-12', slot: 'gold' }]) {
+        try {
+          await service.scheduleLaunch('sub-1', schedule);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.status).to.equal(400);
+        }
+      }
+      expect(mockSupabase.rpc.called).to.be.false;
+    });
+  });
+
+  describe('getLaunchDay', () => {
+    it('should list public launches for the day with priority slots first', async () => {
+      mockSupabase = createMockSupabase({
+        submissions: { data: [{ id: 'a1', launch_date: '2024-03-08' }], error: null }
+      });
+      service = new LaunchScheduleService(mockSupabase, { now: () => now });
+
+      const day = await service.getLaunchDay();
+
+      const [launchQuery] = mockSupabase.queries.filter(query => query.table === 'submissions');
+      expect(launchQuery.calls).to.deep.include(['eq', 'launch_date', '2024-03-09']);
+      expect(launchQuery.calls).to.deep.include(['in', 'status', ['approved', 'published']]);
+      expect(launchQuery.calls).to.deep.include(['order', 'launch_slot', { ascending: true }]);
+      expect(day).to.include({ date: '2024-03-09', isToday: true, previousDate: '2024-03-08', nextDate: null });
+    });
+
+    it('should 404 for days that have not started', async () => {
+      for (const date of ['2024-03-10', 'not-a-date']) {
+        try {
+          await service.getLaunchDay(date);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.status).to.equal(404);
+        }
+      }
+    });
+  });
+
+  describe('publishDueLaunches', () => {
+    it('should notify the sitemap pinger about launches that went live', async () => {
+      const sitemapPinger = { notify: sinon.stub() };
+      mockSupabase.rpc.resolves({ data: ['a1', 'a2'], error: null });
+      service = new LaunchScheduleService(mockSupabase, { sitemapPinger });
+
+      expect(await service.publishDueLaunches()).to.deep.equal(['a1', 'a2']);
+      expect(sitemapPinger.notify.calledOnceWith(['a1', 'a2'])).to.be.true;
+    });
+  });
+});
+
+describe('LaunchPublisher', () => {
+  let scheduleService;
+  let logger;
+
+  beforeEach(() => {
+    scheduleService = { publishDueLaunches: sinon.stub().resolves(['a1']) };
+    logger = { info: sinon.stub(), error: sinon.stub() };
+  });
+
+  it('should schedule ticks with the configured cron expression', () => {
+    const task = { stop: sinon.stub() };
+    const scheduler = { schedule: sinon.stub().returns(task) };
+    const publisher = new LaunchPublisher(scheduleService, logger, { scheduler });
+
+    publisher.start().start();
+    expect(scheduler.schedule.calledOnce).to.be.true;
+    expect(scheduler.schedule.firstCall.args[0]).to.equal('* * * * *');
+
+    publisher.stop();
+    expect(task.stop.calledOnce).to.be.true;
+  });
+
+  it('should log publishing failures without throwing', async () => {
+    scheduleService.publishDueLaunches.rejects(new Error('connection lost'));
+    const publisher = new LaunchPublisher(scheduleService, logger);
+
+    expect(await publisher.tick()).to.deep.equal([]);
+    expect(logger.error.firstCall.args[1]).to.deep.equal({ error: 'connection lost' });
+  });
+});
@@ -0,0 +1,242 @@
+// test/services/leaderboard-service.test.js
+// Test suite for LeaderboardService, LeaderboardCloser and award ribbons using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  LeaderboardService,
+  LeaderboardCloser,
+  getPeriodStart,
+  getPeriodEnd,
+  renderAwardRibbon
+} from '../../src/lib/services/leaderboard-service.js';
+
+/**
+ * Chainable query stub resolving with the queued result for each table
+ */
+function createMockSupabase(results = {}, rpcResults = {}) {
+  const queries = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'eq', 'in', 'lt', 'order', 'limit']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    const result = () => results[table] || { data: [], error: null };
+    query.maybeSingle = () => Promise.resolve(result());
+    query.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+  const rpc = sinon.stub().callsFake(name => Promise.resolve(rpcResults[name] || { data: [], error: null }));
+
+  return { from, rpc, queries };
+}
+
+const launch = (id) => ({ id, slug: `launch-${id}`, rewritten_meta: { title: `Launch ${id}` } });
+
+describe('LeaderboardService', () => {
+  let mockSupabase;
+  let scheduleService;
+
+  const build = (options = {}) => new LeaderboardService(mockSupabase, { scheduleService, ...options });
+
+  beforeEach(() => {
+    scheduleService = { getToday: sinon.stub().resolves('2024-03-13') };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('periods', () => {
+    it('should start weeks on Monday and months on the first', () => {
+      expect(getPeriodStart('day', '2024-03-13')).to.equal('2024-03-13');
+      expect(getPeriodStart('week', '2024-03-13')).to.equal('2024-03-11');
+      expect(getPeriodStart('week', '2024-03-10')).to.equal('2024-03-04');
+      expect(getPeriodStart('month', '2024-03-13')).to.equal('2024-03-01');
+    });
+
+    it('should end periods on their last launch day', () => {
+      expect(getPeriodEnd('day', '2024-03-13')).to.equal('2024-03-13');
+      expect(getPeriodEnd('week', '2024-03-11')).to.equal('2024-03-17');
+      expect(getPeriodEnd('month', '2024-02-01')).to.equal('2024-02-29');
+      expect(getPeriodEnd('month', '2024-12-01')).to.equal('2024-12-31');
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    it('should rank open periods live', async () => {
+      mockSupabase = createMockSupabase(
+        { leaderboard_periods: { data: null, error: null }, submissions: { data: [launch('b'), launch('a')], error: null } },
+        { compute_leaderboard: { data: [{ rank: 1, submission_id: 'a', votes: 9 }, { rank: 2, submission_id: 'b', votes: 4 }], error: null } }
+      );
+
+      const leaderboard = await build().getLeaderboard('week');
+
+      expect(mockSupabase.rpc.firstCall.args).to.deep.equal([
+        'compute_leaderboard',
+        { p_period: 'week', p_starts_on: '2024-03-11', p_limit: 50 }
+      ]);
+      expect(leaderboard).to.include({
+        startsOn: '2024-03-11',
+        endsOn: '2024-03-17',
+        closed: false,
+        previousStartsOn: '2024-03-04',
+        nextStartsOn: null
+      });
+      expect(leaderboard.entries.map(entry => [entry.rank, entry.launch.id, entry.votes])).to.deep.equal([
+        [1, 'a', 9],
+        [2, 'b', 4]
+      ]);
+    });
+
+    it('should read closed periods from their frozen results', async () => {
+      mockSupabase = createMockSupabase({
+        leaderboard_periods: { data: { closed_at: '2024-03-13T00:00:00Z' }, error: null },
+        leaderboard_entries: {
+          data: [
+            { rank: 1, votes: 12, submission_id: 'a', submissions: launch('a') },
+            { rank: 2, votes: 0, submission_id: 'b', submissions: launch('b') }
+          ],
+          error: null
+        },
+        launch_awards: { data: [{ id: 'award-1', submission_id: 'a', rank: 1 }], error: null }
+      });
+
+      const leaderboard = await build().getLeaderboard('day', '2024-03-12');
+
+      expect(mockSupabase.rpc.called).to.be.false;
+      expect(leaderboard).to.include({ closed: true, nextStartsOn: '2024-03-13' });
+      expect(leaderboard.entries[0]).to.include({ rank: 1, votes: 12, awardId: 'award-1' });
+      expect(leaderboard.entries[1].awardId).to.be.null;
+    });
+
+    it('should 404 for unknown and future periods', async () => {
+      mockSupabase = createMockSupabase();
+      for (const [period, date] of [['year', undefined], ['day', '2024-03-14'], ['month', '2024-13-01']]) {
+        try {
+          await build().getLeaderboard(period, date);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.status).to.equal(404);
+        }
+      }
+    });
+  });
+
+  describe('getArchive', () => {
+    it('should list period winners newest first', async () => {
+      mockSupabase = createMockSupabase({
+        launch_awards: { data: [{ id: 'award-1', period: 'month', starts_on: '2024-02-01', rank: 1 }], error: null }
+      });
+
+      const archive = await build().getArchive('month', { before: '2024-03-01', limit: 500 });
+
+      const { calls } = mockSupabase.queries[0];
+      expect(calls).to.deep.include(['eq', 'rank', 1]);
+      expect(calls).to.deep.include(['lt', 'starts_on', '2024-03-01']);
+      expect(calls).to.deep.include(['limit', 100]);
+      expect(archive[0].label).to.equal('February 2024');
+    });
+  });
+
+  describe('getLaunchDayRank', () => {
+    it('should read the frozen rank of a closed day', async () => {
+      mockSupabase = createMockSupabase({ leaderboard_entries: { data: { rank: 2 }, error: null } });
+
+      const rank = await build().getLaunchDayRank({ id: 'b', launch_date: '2024-03-12' });
+
+      expect(rank).to.equal(2);
+      expect(mockSupabase.rpc.called).to.be.false;
+    });
+
+    it('should rank open days live and skip launches without a launch day', async () => {
+      mockSupabase = createMockSupabase({ leaderboard_entries: { data: null, error: null } }, {
+        compute_leaderboard: { data: [{ rank: 1, submission_id: 'a', votes: 9 }, { rank: 2, submission_id: 'b', votes: 4 }], error: null }
+      });
+      const service = build();
+
+      expect(await service.getLaunchDayRank({ id: 'b', launch_date: '2024-03-13' })).to.equal(2);
+      expect(mockSupabase.rpc.firstCall.args[1]).to.deep.equal({ p_period: 'day', p_starts_on: '2024-03-13', p_limit: 100 });
+      expect(await service.getLaunchDayRank({ id: 'c', launch_date: '2024-03-13' })).to.be.null;
+      expect(await service.getLaunchDayRank({ id: 'd', launch_date: null })).to.be.null;
+    });
+  });
+
+  describe('closeDuePeriods', () => {
+    it('should issue badges to the makers of period winners once', async () => {
+      mockSupabase = createMockSupabase({}, {
+        close_due_leaderboards: {
+          data: [
+            { id: 'award-1', period: 'day', rank: 1, maker_id: 'user-1' },
+            { id: 'award-2', period: 'day', rank: 2, maker_id: 'user-2' },
+            { id: 'award-3', period: 'week', rank: 1, maker_id: 'user-1' }
+          ],
+          error: null
+        }
+      });
+      const badgeService = {
+        autoCheckAndAwardBadges: sinon.stub().resolves({ success: true, data: ['product-of-the-day'] })
+      };
+
+      const result = await build({ badgeService }).closeDuePeriods();
+
+      expect(result.awards).to.have.length(3);
+      expect(badgeService.autoCheckAndAwardBadges.calledOnceWith('user-1')).to.be.true;
+      expect(result.badges).to.deep.equal([{ userId: 'user-1', badges: ['product-of-the-day'] }]);
+    });
+
+    it('should log badge failures without failing the close', async () => {
+      mockSupabase = createMockSupabase({}, {
+        close_due_leaderboards: { data: [{ id: 'award-1', period: 'day', rank: 1, maker_id: 'user-1' }], error: null }
+      });
+      const badgeService = { autoCheckAndAwardBadges: sinon.stub().resolves({ success: false, error: 'boom' }) };
+      const logger = { warn: sinon.stub() };
+
+      const result = await build({ badgeService, logger }).closeDuePeriods();
+
+      expect(result.badges).to.deep.equal([]);
+      expect(logger.warn.firstCall.args[1]).to.deep.equal({ userId: 'user-1', error: 'boom' });
+    });
+  });
+
+  describe('renderAwardRibbon', () => {
+    it('should name the award and escape the site name', () => {
+      const svg = renderAwardRibbon({ rank: 2, period: 'week', starts_on: '2024-03-04' }, { siteName: 'A&B' });
+
+      expect(svg).to.include('<svg xmlns="http://www.w3.org/2000/svg"');
+      expect(svg).to.include('A&amp;B #2');
+      expect(svg).to.include('Product of the Week');
+      expect(svg).to.include('Week of Mar 4, 2024');
+    });
+  });
+});
+
+describe('LeaderboardCloser', () => {
+  let leaderboardService;
+  let logger;
+
+  beforeEach(() => {
+    leaderboardService = { closeDuePeriods: sinon.stub().resolves({ awards: [{ id: 'award-1' }], badges: [] }) };
+    logger = { info: sinon.stub(), error: sinon.stub() };
+  });
+
+  it('should log closed periods', async () => {
+    const closer = new LeaderboardCloser(leaderboardService, logger);
+
+    expect(await closer.tick()).to.have.length(1);
+    expect(logger.info.firstCall.args[1]).to.deep.equal({ awards: 1, badgesAwarded: 0 });
+  });
+
+  it('should log failures without throwing', async () => {
+    leaderboardService.closeDuePeriods.rejects(new Error('connection lost'));
+    const closer = new LeaderboardCloser(leaderboardService, logger);
+
+    expect(await closer.tick()).to.deep.equal([]);
+    expect(logger.error.firstCall.args[1]).to.deep.equal({ error: 'connection lost' });
+  });
+});
@@ -6,13 +6,15 @@
 import { expect } from 'chai';
 import nock from 'nock';
 import { MetadataFetcher } from '../../src/lib/services/metadata-fetcher.js';
+import { Crawler } from '../../src/lib/services/crawl-service.js';
 
 describe('MetadataFetcher', () => {
   let fetcher;
 
   beforeEach(() => {
-    fetcher = new MetadataFetcher();
+    fetcher = new MetadataFetcher({ crawler: new Crawler({ hostDelay: 0 }) });
     nock.cleanAll();
+    nock('https://example.com').persist().get('/robots.txt').reply(404);
   });
 
   afterEach(() => {
@@ -0,0 +1,260 @@
+// test/services/metadata-pipeline.test.js
+// Test suite for MetadataPipeline strategy escalation, per-domain learning and merging using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  MetadataPipeline,
+  DomainStrategyMemory,
+  assessMetadata,
+  detectClientRendering,
+  mergeMetadata
+} from '../../src/lib/services/metadata-pipeline.js';
+import { createRobotsBlockedError } from '../../src/lib/services/crawl-service.js';
+
+const SPA_SHELL = '<html><head><title>React App</title></head><body><div id="root"></div><script src="/main.js"></script></body></html>';
+
+const completeHtmlResult = (overrides = {}) => ({
+  url: 'https://example.com',
+  title: 'Example Product',
+  description: 'A complete description of the example product',
+  html: '<html><body><h1>Example Product</h1></body></html>',
+  openGraph: { title: 'Example Product', image: 'https://example.com/og.png' },
+  twitter: {},
+  images: { primary: 'https://example.com/og.png', sources: [{ url: 'https://example.com/og.png', type: 'og:image' }] },
+  favicons: [{ url: 'https://example.com/favicon.ico' }],
+  ...overrides
+});
+
+const thinHtmlResult = () => ({
+  url: 'https://example.com',
+  title: 'React App',
+  description: null,
+  html: SPA_SHELL,
+  openGraph: {},
+  twitter: {},
+  images: { primary: null, sources: [] },
+  favicons: [{ url: 'https://example.com/favicon.ico' }]
+});
+
+const browserResult = () => ({
+  url: 'https://example.com/',
+  title: 'Example Product',
+  description: 'Rendered description of the example product',
+  openGraph: {},
+  twitter: {},
+  images: { primary: 'https://example.com/hero.png', sources: [{ url: 'https://example.com/hero.png', type: 'img' }] },
+  favicons: [],
+  navbarLinks: [{ text: 'Pricing' }]
+});
+
+describe('MetadataPipeline', () => {
+  let htmlFetcher;
+  let browserFetcher;
+  let logger;
+  let pipeline;
+
+  beforeEach(() => {
+    htmlFetcher = { validateUrl: sinon.stub(), fetchMetadata: sinon.stub().resolves(completeHtmlResult()) };
+    browserFetcher = { fetchMetadata: sinon.stub().resolves(browserResult()), close: sinon.stub().resolves() };
+    logger = { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() };
+    pipeline = new MetadataPipeline({ htmlFetcher, browserFetcher, logger, enableBrowser: true, browserIdleTimeout: 10 });
+  });
+
+  describe('fetchMetadata', () => {
+    it('should stop at the HTML fetch when the result is complete', async () => {
+      const metadata = await pipeline.fetchMetadata('https://example.com');
+
+      expect(browserFetcher.fetchMetadata.called).to.be.false;
+      expect(metadata.fetchMethod).to.equal('html');
+      expect(metadata.html).to.be.undefined;
+      expect(metadata.provenance.title).to.deep.equal({ strategy: 'html', confidence: 0.9 });
+    });
+
+    it('should escalate thin results to the browser and merge per field', async () => {
+      htmlFetcher.fetchMetadata.resolves(thinHtmlResult());
+
+      const metadata = await pipeline.fetchMetadata('https://example.com');
+
+      expect(browserFetcher.fetchMetadata.calledOnce).to.be.true;
+      expect(metadata.fetchMethod).to.equal('html+browser');
+      expect(metadata.title).to.equal('Example Product');
+      expect(metadata.provenance.title.strategy).to.equal('browser');
+      expect(metadata.image).to.equal('https://example.com/hero.png');
+      // Only the HTML fetch found a favicon
+      expect(metadata.favicons).to.deep.equal([{ url: 'https://example.com/favicon.ico' }]);
+      expect(metadata.provenance.favicons.strategy).to.equal('html');
+      expect(metadata.navbarLinks).to.have.length(1);
+    });
+
+    it('should fall back to the browser when the HTML fetch fails', async () => {
+      htmlFetcher.fetchMetadata.rejects(new Error('HTTP 403: Forbidden'));
+
+      const metadata = await pipeline.fetchMetadata('https://example.com');
+
+      expect(metadata.fetchMethod).to.equal('browser');
+    });
+
+    it('should keep a thin result when the browser fails', async () => {
+      htmlFetcher.fetchMetadata.resolves(thinHtmlResult());
+      browserFetcher.fetchMetadata.rejects(new Error('Could not find Chrome'));
+
+      const metadata = await pipeline.fetchMetadata('https://example.com');
+
+      expect(metadata.fetchMethod).to.equal('html');
+      expect(metadata.title).to.equal('React App');
+    });
+
+    it('should report every strategy when all fail', async () => {
+      htmlFetcher.fetchMetadata.rejects(new Error('Request timeout'));
+      browserFetcher.fetchMetadata.rejects(new Error('Navigation timeout'));
+
+      try {
+        await pipeline.fetchMetadata('https://example.com');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to fetch metadata: html: Request timeout; browser: Navigation timeout');
+      }
+    });
+
+    it('should not escalate pages blocked by robots.txt', async () => {
+      htmlFetcher.fetchMetadata.rejects(createRobotsBlockedError('https://example.com/', 'ADLP-Bot/1.0'));
+
+      try {
+        await pipeline.fetchMetadata('https://example.com');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal('ROBOTS_BLOCKED');
+      }
+      expect(browserFetcher.fetchMetadata.called).to.be.false;
+    });
+
+    it('should share one cache and one in-flight request between callers', async () => {
+      const [first, second] = await Promise.all([
+        pipeline.fetchMetadata('https://example.com'),
+        pipeline.fetchMetadata('https://example.com')
+      ]);
+      first.title = 'Changed by a caller';
+      const third = await pipeline.fetchMetadata('https://example.com');
+
+      expect(htmlFetcher.fetchMetadata.calledOnce).to.be.true;
+      expect(second.title).to.equal('Example Product');
+      expect(third.title).to.equal('Example Product');
+    });
+
+    it('should bypass the cache on conditional re-fetches and pass on 304s', async () => {
+      await pipeline.fetchMetadata('https://example.com');
+      htmlFetcher.fetchMetadata.resolves({ url: 'https://example.com', notModified: true });
+
+      const metadata = await pipeline.fetchMetadata('https://example.com', { conditional: true });
+
+      expect(metadata.notModified).to.be.true;
+      expect(htmlFetcher.fetchMetadata.secondCall.args[1]).to.deep.equal({ conditional: true });
+      expect(browserFetcher.fetchMetadata.called).to.be.false;
+    });
+
+    it('should only use HTML when the browser is disabled', async () => {
+      pipeline = new MetadataPipeline({ htmlFetcher, logger, enableBrowser: false });
+      htmlFetcher.fetchMetadata.resolves(thinHtmlResult());
+
+      const metadata = await pipeline.fetchMetadata('https://example.com');
+
+      expect(pipeline.browserFetcher).to.be.null;
+      expect(metadata.fetchMethod).to.equal('html');
+    });
+  });
+
+  describe('per-domain learning', () => {
+    it('should start with the browser once HTML keeps coming back thin', async () => {
+      htmlFetcher.fetchMetadata.resolves(thinHtmlResult());
+
+      await pipeline.fetchMetadata('https://www.example.com/a');
+      await pipeline.fetchMetadata('https://example.com/b');
+      expect(await pipeline.domains.choose('example.com')).to.equal('browser');
+
+      htmlFetcher.fetchMetadata.resetHistory();
+      const metadata = await pipeline.fetchMetadata('https://example.com/c');
+
+      expect(htmlFetcher.fetchMetadata.called).to.be.false;
+      expect(metadata.fetchMethod).to.equal('browser');
+    });
+
+    it('should go back to HTML when a relearning attempt is complete', async () => {
+      const memory = new DomainStrategyMemory(null, { logger });
+      await memory.record('example.com', 'html', false);
+      await memory.record('example.com', 'html', false);
+      await memory.record('example.com', 'browser', true);
+      expect((await memory.get('example.com')).preferredStrategy).to.equal('browser');
+
+      const stats = await memory.record('example.com', 'html', true);
+
+      expect(stats.preferredStrategy).to.equal('html');
+    });
+
+    it('should load and save stats through Supabase', async () => {
+      const upsert = sinon.stub().resolves({ error: null });
+      const query = {
+        select: sinon.stub().returnsThis(),
+        eq: sinon.stub().returnsThis(),
+        maybeSingle: sinon.stub().resolves({
+          data: {
+            preferred_strategy: 'browser',
+            html_attempts: 3,
+            html_successes: 0,
+            browser_attempts: 2,
+            browser_successes: 2,
+            last_html_attempt_at: new Date().toISOString()
+          },
+          error: null
+        }),
+        upsert
+      };
+      const supabase = { from: sinon.stub().returns(query) };
+      const memory = new DomainStrategyMemory(supabase, { logger });
+
+      expect(await memory.choose('example.com')).to.equal('browser');
+      await memory.record('example.com', 'browser', true);
+
+      expect(supabase.from.alwaysCalledWith('metadata_fetch_strategies')).to.be.true;
+      expect(upsert.firstCall.args[0]).to.include({ domain: 'example.com', browser_attempts: 3, browser_successes: 3 });
+    });
+  });
+});
+
+describe('assessMetadata', () => {
+  it('should flag client-rendered shells and placeholder titles', () => {
+    const assessment = assessMetadata(thinHtmlResult());
+
+    expect(assessment.thin).to.be.true;
+    expect(assessment.clientRendered).to.be.true;
+    expect(assessment.missing).to.deep.equal(['title', 'description', 'image']);
+  });
+
+  it('should accept complete server-rendered pages', () => {
+    expect(assessMetadata(completeHtmlResult()).thin).to.be.false;
+  });
+});
+
+describe('detectClientRendering', () => {
+  it('should not flag pages with server-rendered text', () => {
+    const text = 'Server rendered content. '.repeat(20);
+    const html = `<html><body><div id="root"><p>${text}</p></div><script src="/app.js"></script></body></html>`;
+
+    expect(detectClientRendering(html)).to.be.false;
+    expect(detectClientRendering(SPA_SHELL)).to.be.true;
+    expect(detectClientRendering('<html><body><noscript>You need to enable JavaScript to run this app.</noscript></body></html>')).to.be.true;
+  });
+});
+
+describe('mergeMetadata', () => {
+  it('should prefer the earlier strategy on equal confidence', () => {
+    const merged = mergeMetadata([
+      { strategy: 'html', metadata: completeHtmlResult() },
+      { strategy: 'browser', metadata: { ...browserResult(), openGraph: { title: 'Example Product' } } }
+    ]);
+
+    expect(merged.provenance.title.strategy).to.equal('html');
+    expect(merged.provenance.image.strategy).to.equal('html');
+  });
+});
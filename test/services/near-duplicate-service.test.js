@@ -0,0 +1,136 @@
+// test/services/near-duplicate-service.test.js
+// Test suite for NearDuplicateService fingerprints and lookups using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import sinon from 'sinon';
+import { hammingDistance } from '../../src/lib/services/image-service.js';
+import {
+  IMAGE_BAND_LAYOUT,
+  IMAGE_MAX_DISTANCE,
+  NearDuplicateService,
+  TEXT_BAND_LAYOUT,
+  TEXT_MAX_DISTANCE,
+  computeContentSimHash,
+  getHashBands,
+  getSubmissionFingerprints,
+  tokenize
+} from '../../src/lib/services/near-duplicate-service.js';
+
+const original = {
+  title: 'FormForge - Build beautiful forms in minutes',
+  description: 'FormForge lets startups build beautiful, accessible forms and surveys without code, with payments, logic jumps and integrations for Slack and Notion.'
+};
+
+const reworded = {
+  title: 'FormForge: beautiful forms built in minutes',
+  description: 'With FormForge, startups build accessible, beautiful surveys and forms without writing code. Payments, logic jumps and Slack and Notion integrations included.'
+};
+
+// Same niche, different product
+const competitor = {
+  title: 'SurveyPilot - Build forms in minutes',
+  description: 'SurveyPilot lets teams create accessible surveys with conditional logic, analytics dashboards and exports to Google Sheets.'
+};
+
+const shareBand = (a, b) => a.some(band => b.includes(band));
+
+describe('NearDuplicateService', () => {
+  describe('fingerprints', () => {
+    it('should give reworded copy a close SimHash and a different product a distant one', () => {
+      const [a, b, c] = [original, reworded, competitor].map(computeContentSimHash);
+
+      expect(hammingDistance(a, b)).to.be.at.most(TEXT_MAX_DISTANCE);
+      expect(hammingDistance(a, c)).to.be.above(TEXT_MAX_DISTANCE * 2);
+      expect(shareBand(getHashBands(a, TEXT_BAND_LAYOUT), getHashBands(b, TEXT_BAND_LAYOUT))).to.be.true;
+    });
+
+    it('should not fingerprint copy too short to compare', () => {
+      expect(computeContentSimHash({ title: 'Home', description: 'Welcome to our site' })).to.be.null;
+      expect(tokenize('The Café is building apps')).to.deep.equal(['cafe', 'build', 'apps']);
+    });
+
+    it('should always share an image band within the image distance', () => {
+      const hash = 'f0e1d2c3b4a59687';
+      let flipped = BigInt(`0x${hash}`);
+      for (const bit of [0, 13, 26, 39].slice(0, IMAGE_MAX_DISTANCE)) {
+        flipped ^= 1n << BigInt(bit);
+      }
+
+      const bands = getHashBands(hash, IMAGE_BAND_LAYOUT);
+      expect(bands).to.have.length(IMAGE_MAX_DISTANCE + 1);
+      expect(bands.map(band => Math.floor(band / 65536))).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(shareBand(bands, getHashBands(flipped.toString(16).padStart(16, '0'), IMAGE_BAND_LAYOUT))).to.be.true;
+    });
+
+    it('should build the submission columns from metadata and hosted images', () => {
+      const fingerprints = getSubmissionFingerprints(original, {
+        all: [{ url: 'https://example.com/og.png', type: 'image' }, { id: 'a'.repeat(32), phash: 'ff00ff00ff00ff00' }]
+      });
+
+      expect(fingerprints.content_simhash).to.match(/^[01]{64}$/);
+      expect(fingerprints.content_bands).to.have.length(TEXT_BAND_LAYOUT.length);
+      expect(fingerprints.image_phash).to.equal('1111111100000000'.repeat(4));
+      expect(fingerprints.image_bands).to.deep.equal(getHashBands('ff00ff00ff00ff00', IMAGE_BAND_LAYOUT));
+      expect(getSubmissionFingerprints({}, { all: [] })).to.deep.equal({
+        content_simhash: null,
+        content_bands: null,
+        image_phash: null,
+        image_bands: null
+      });
+    });
+  });
+
+  describe('lookups', () => {
+    it('should find matches through the banded index', async () => {
+      const supabase = {
+        rpc: sinon.stub().resolves({ data: [{ submission_id: 'sub-1', match_type: 'text', distance: 3 }], error: null })
+      };
+      const service = new NearDuplicateService(supabase);
+      const fingerprints = getSubmissionFingerprints(reworded);
+
+      const matches = await service.findMatches(fingerprints, { excludeId: 'sub-2' });
+
+      expect(matches).to.deep.equal([{ submissionId: 'sub-1', type: 'text', distance: 3, similarity: 0.953 }]);
+      expect(supabase.rpc.firstCall.args[0]).to.equal('find_near_duplicate_submissions');
+      expect(supabase.rpc.firstCall.args[1]).to.include({
+        p_content_simhash: fingerprints.content_simhash,
+        p_image_phash: null,
+        p_max_text_distance: TEXT_MAX_DISTANCE,
+        p_exclude: 'sub-2'
+      });
+      expect(await service.findMatches(getSubmissionFingerprints({}))).to.deep.equal([]);
+      expect(supabase.rpc.calledOnce).to.be.true;
+    });
+
+    it('should fingerprint stored submissions page by page, then record their matches', async () => {
+      const pages = [
+        [{ id: 'a', original_meta: original, images: null }, { id: 'b', original_meta: { title: 'Hi' }, images: null }],
+        [{ id: 'c', original_meta: reworded, images: null }]
+      ];
+      const update = sinon.stub().returns({ eq: sinon.stub().resolves({ error: null }) });
+      const query = {
+        select: sinon.stub().returnsThis(),
+        is: sinon.stub().returnsThis(),
+        order: sinon.stub().returnsThis(),
+        limit: sinon.stub().returnsThis(),
+        gt: sinon.stub().returnsThis(),
+        then: (resolve, reject) => Promise.resolve({ data: pages.shift(), error: null }).then(resolve, reject)
+      };
+      const supabase = {
+        from: sinon.stub().returns({ ...query, update }),
+        rpc: sinon.stub().callsFake(async (name, { p_submission_id: id }) => ({
+          data: id === 'c' ? 1 : 0,
+          error: null
+        }))
+      };
+
+      const result = await new NearDuplicateService(supabase).backfill({ batchSize: 2 });
+
+      expect(result).to.deep.equal({ processed: 2, matched: 1 });
+      expect(update.callCount).to.equal(2);
+      expect(update.firstCall.args[0]).to.deep.equal(getSubmissionFingerprints(original));
+      expect(supabase.rpc.args.map(args => args[1].p_submission_id)).to.deep.equal(['a', 'c']);
+    });
+  });
+});
@@ -0,0 +1,341 @@
+// test/services/notification-service.test.js
+// Test suite for NotificationService, the outbox worker and email transports using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  NotificationService,
+  NotificationOutboxWorker
+} from '../../src/lib/services/notification-service.js';
+import { FileTransport, JsonTransport, createEmailTransport } from '../../src/lib/services/email-transport.js';
+
+/**
+ * Chainable query stub. Results are queued per "table.operation", where the
+ * operation is insert, update, upsert or select (whichever the chain starts with).
+ */
+function createMockSupabase(results = {}, user = { email: 'maker@example.com', user_metadata: { full_name: 'Ada' } }) {
+  const queries = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, operation: null, calls: [] };
+    for (const method of ['select', 'insert', 'update', 'upsert', 'eq', 'in', 'lt', 'lte', 'order', 'limit']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        if (!query.operation && ['select', 'insert', 'update', 'upsert'].includes(method)) {
+          query.operation = method;
+        }
+        return query;
+      };
+    }
+    const result = () => {
+      const queued = results[`${table}.${query.operation}`];
+      const next = Array.isArray(queued) ? (queued.length > 1 ? queued.shift() : queued[0]) : queued;
+      return Promise.resolve(typeof next === 'function' ? next(query) : next || { data: null, error: null });
+    };
+    query.single = result;
+    query.maybeSingle = result;
+    query.then = (resolve, reject) => result().then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+  const getUserById = sinon.stub().resolves({ data: { user }, error: null });
+
+  return { from, auth: { admin: { getUserById } }, queries };
+}
+
+/**
+ * Outbox insert/update results echoing the written row
+ */
+function outboxResults(extra = {}) {
+  let row = null;
+  return {
+    'email_outbox.insert': query => {
+      row = { id: 'email-1', attempt_count: 0, ...query.calls[0][1] };
+      return { data: row, error: null };
+    },
+    'email_outbox.update': query => {
+      row = { ...row, ...query.calls[0][1] };
+      return { data: row, error: null };
+    },
+    ...extra
+  };
+}
+
+describe('NotificationService', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = { sendMail: sinon.stub().resolves({ messageId: '<m1@example.com>' }) };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('render', () => {
+    it('should render localized subject, text and html with links', () => {
+      const service = new NotificationService(createMockSupabase(), { siteUrl: 'https://adlp.example/' });
+
+      const message = service.render('submission.approved', 'fr', {
+        name: 'Ada',
+        title: 'Rocket <b>',
+        launchPath: '/launches/rocket',
+        launchDate: '2024-03-13'
+      });
+
+      expect(message.subject).to.equal('« Rocket <b> » a été approuvé');
+      expect(message.text).to.include('Bonjour Ada,');
+      expect(message.text).to.include('13 mars 2024');
+      expect(message.text).to.include('https://adlp.example/fr/launches/rocket');
+      expect(message.text).to.include('https://adlp.example/fr/dashboard/settings');
+      expect(message.html).to.include('Rocket &lt;b&gt;');
+      expect(message.html).to.not.include('<b>');
+    });
+
+    it('should fall back to English for unsupported locales and leave links out without a site URL', () => {
+      const service = new NotificationService(createMockSupabase());
+
+      const message = service.render('payment.receipt', 'pt-BR', {
+        amount: 1999,
+        currency: 'usd',
+        reference: 'pi_123',
+        paidAt: '2024-03-13T10:00:00Z'
+      });
+
+      expect(message.subject).to.equal('Your ADLP receipt');
+      expect(message.text).to.include('Amount: $19.99');
+      expect(message.text).to.include('Payment reference: pi_123');
+      expect(message.text).to.not.include('http');
+    });
+
+    it('should list every directory in federation results', () => {
+      const service = new NotificationService(createMockSupabase());
+
+      const message = service.render('federation.results', 'de', {
+        title: 'Rocket',
+        count: 2,
+        results: [
+          { directory: 'one.example', success: true },
+          { directory: 'two.example', success: false, error: 'HTTP 500' }
+        ]
+      });
+
+      expect(message.subject).to.equal('„Rocket“ wurde an 2 Verzeichnisse gesendet');
+      expect(message.text).to.include('one.example: eingereicht');
+      expect(message.text).to.include('two.example: fehlgeschlagen (HTTP 500)');
+      expect(message.text).to.include('erneut versuchen');
+    });
+
+    it('should name penalties and appeal outcomes in the recipient language', () => {
+      const service = new NotificationService(createMockSupabase());
+
+      const message = service.render('appeal.resolved', 'es', {
+        penaltyType: 'temporary_ban',
+        decision: 'overturned',
+        notes: 'Sorry'
+      });
+
+      expect(message.text).to.include('La sanción (suspensión temporal) de tu cuenta se ha retirado.');
+      expect(message.text).to.include('Notas del revisor: Sorry');
+    });
+  });
+
+  describe('notify', () => {
+    it('should queue and send an email in the preferred language', async () => {
+      const supabase = createMockSupabase(outboxResults({
+        'notification_preferences.select': { data: { email_enabled: true, categories: {}, locale: 'de' }, error: null }
+      }));
+      const service = new NotificationService(supabase, { transport, from: 'ADLP <no-reply@adlp.example>' });
+
+      const row = await service.notify('badge.awarded', 'user-1', { badge: 'Product of the Day', badgeSlug: 'product-of-the-day' });
+
+      expect(supabase.auth.admin.getUserById.calledWith('user-1')).to.be.true;
+      const insert = supabase.queries.find(query => query.operation === 'insert').calls[0][1];
+      expect(insert).to.include({ user_id: 'user-1', category: 'badges', locale: 'de', recipient: 'maker@example.com' });
+      expect(insert.subject).to.equal('Du hast das Abzeichen Product of the Day erhalten');
+      expect(transport.sendMail.firstCall.args[0]).to.include({
+        from: 'ADLP <no-reply@adlp.example>',
+        to: 'maker@example.com',
+        subject: insert.subject
+      });
+      expect(row).to.include({ status: 'sent', attempt_count: 1, message_id: '<m1@example.com>' });
+    });
+
+    it('should skip opted-out categories but always send required ones', async () => {
+      const supabase = createMockSupabase(outboxResults({
+        'notification_preferences.select': { data: { email_enabled: false, categories: {}, locale: null }, error: null }
+      }));
+      const service = new NotificationService(supabase, { transport });
+
+      expect(await service.notify('submission.approved', 'user-1', { title: 'Rocket' })).to.be.null;
+      expect(transport.sendMail.called).to.be.false;
+
+      const receipt = await service.notify('payment.receipt', 'user-1', { amount: 500, currency: 'eur' });
+      expect(receipt.status).to.equal('sent');
+      expect(transport.sendMail.calledOnce).to.be.true;
+    });
+
+    it('should honor category opt-outs', () => {
+      const service = new NotificationService(createMockSupabase());
+      const preferences = { email_enabled: true, categories: { badges: false } };
+
+      expect(service.isEnabled(preferences, 'badge.awarded')).to.be.false;
+      expect(service.isEnabled(preferences, 'submission.rejected')).to.be.true;
+      expect(service.isEnabled(preferences, 'penalty.applied')).to.be.true;
+    });
+
+    it('should not send an event twice for the same dedupe key', async () => {
+      const supabase = createMockSupabase({
+        'email_outbox.insert': { data: null, error: { code: '23505', message: 'duplicate key' } }
+      });
+      const service = new NotificationService(supabase, { transport });
+
+      const row = await service.notify('payment.receipt', 'user-1', { amount: 500 }, { dedupeKey: 'payment.receipt:pi_1' });
+
+      expect(row).to.be.null;
+      expect(supabase.queries.find(query => query.operation === 'insert').calls[0][1].dedupe_key)
+        .to.equal('payment.receipt:pi_1');
+      expect(transport.sendMail.called).to.be.false;
+    });
+
+    it('should never throw', async () => {
+      const supabase = createMockSupabase();
+      supabase.auth.admin.getUserById.resolves({ data: null, error: { message: 'boom' } });
+      const logger = { error: sinon.stub() };
+      const service = new NotificationService(supabase, { transport, logger });
+
+      expect(await service.notify('payment.receipt', 'user-1', {})).to.be.null;
+      expect(await service.notify('unknown.event', 'user-1', {})).to.be.null;
+      expect(logger.error.calledTwice).to.be.true;
+    });
+  });
+
+  describe('deliver', () => {
+    const row = { id: 'email-1', recipient: 'maker@example.com', subject: 'Hi', text_body: 'Hi', attempt_count: 0, max_attempts: 3 };
+
+    it('should retry failed sends with exponential backoff and fail after the last attempt', async () => {
+      const clock = sinon.useFakeTimers(new Date('2024-03-13T10:00:00Z'));
+      transport.sendMail.rejects(new Error('SMTP down'));
+      const service = new NotificationService(createMockSupabase(outboxResults({
+        'email_outbox.update': [
+          { data: { ...row, status: 'sending' }, error: null },
+          query => ({ data: { ...row, ...query.calls[0][1] }, error: null }),
+          { data: { ...row, status: 'sending', attempt_count: 2 }, error: null },
+          query => ({ data: { ...row, ...query.calls[0][1] }, error: null })
+        ]
+      })), { transport, retryBaseDelay: 60000 });
+
+      const first = await service.deliver(row);
+      expect(first).to.include({ status: 'retrying', attempt_count: 1, last_error: 'SMTP down' });
+      expect(first.next_attempt_at).to.equal('2024-03-13T10:01:00.000Z');
+
+      const last = await service.deliver(row);
+      expect(last).to.include({ status: 'failed', attempt_count: 3, next_attempt_at: null });
+      expect(service.getRetryDelay(3)).to.equal(240000);
+
+      clock.restore();
+    });
+
+    it('should skip emails another worker already claimed', async () => {
+      const supabase = createMockSupabase({ 'email_outbox.update': { data: null, error: null } });
+      const service = new NotificationService(supabase, { transport });
+
+      expect(await service.deliver(row)).to.be.null;
+      expect(supabase.queries[0].calls).to.deep.include(['in', 'status', ['pending', 'retrying']]);
+      expect(transport.sendMail.called).to.be.false;
+    });
+  });
+
+  describe('processOutbox', () => {
+    it('should release stale claims and send due emails', async () => {
+      const due = [
+        { id: 'email-1', recipient: 'a@example.com', subject: 'A', text_body: 'A', attempt_count: 1, status: 'retrying' },
+        { id: 'email-2', recipient: 'b@example.com', subject: 'B', text_body: 'B', attempt_count: 0, status: 'pending' }
+      ];
+      const supabase = createMockSupabase({
+        'email_outbox.select': { data: due, error: null },
+        'email_outbox.update': query => {
+          const id = query.calls.find(call => call[0] === 'eq' && call[1] === 'id')?.[2];
+          const claimed = due.find(email => email.id === id);
+          return { data: claimed ? { ...claimed, ...query.calls[0][1] } : null, error: null };
+        }
+      });
+      const service = new NotificationService(supabase, { transport });
+
+      const summary = await service.processOutbox();
+
+      expect(summary).to.deep.equal({ processed: 2, sent: 2, failed: 0 });
+      expect(supabase.queries[0].calls).to.deep.include(['eq', 'status', 'sending']);
+      expect(transport.sendMail.secondCall.args[0].to).to.equal('b@example.com');
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should merge category switches and reject required categories', async () => {
+      const supabase = createMockSupabase({
+        'notification_preferences.select': { data: { email_enabled: true, categories: { badges: false }, locale: null }, error: null },
+        'notification_preferences.upsert': query => ({ data: query.calls[0][1], error: null })
+      });
+      const service = new NotificationService(supabase);
+
+      const preferences = await service.updatePreferences('user-1', { categories: { federation: false }, locale: 'es' });
+      expect(preferences).to.deep.include({ categories: { badges: false, federation: false }, locale: 'es' });
+
+      try {
+        await service.updatePreferences('user-1', { categories: { payments: false } });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+  });
+});
+
+describe('NotificationOutboxWorker', () => {
+  it('should log instead of throwing', async () => {
+    const logger = { info: sinon.stub(), error: sinon.stub() };
+    const worker = new NotificationOutboxWorker({ processOutbox: sinon.stub().rejects(new Error('db down')) }, logger);
+
+    expect(await worker.tick()).to.be.null;
+    expect(logger.error.calledOnce).to.be.true;
+  });
+});
+
+describe('Email transports', () => {
+  const message = { from: 'a@example.com', to: 'b@example.com', subject: 'Hello', text: 'Hi there' };
+
+  it('should keep rendered messages in memory', async () => {
+    const transport = new JsonTransport();
+
+    const info = await transport.sendMail(message);
+
+    expect(info.messageId).to.be.a('string');
+    expect(transport.messages).to.have.lengthOf(1);
+    expect(transport.messages[0]).to.include({ subject: 'Hello', text: 'Hi there' });
+  });
+
+  it('should write each message to a JSON file', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'email-outbox-'));
+    try {
+      const info = await new FileTransport({ directory: path.join(directory, 'outbox') }).sendMail(message);
+
+      const files = await readdir(path.join(directory, 'outbox'));
+      expect(files).to.have.lengthOf(1);
+      expect(info.path).to.equal(path.join(directory, 'outbox', files[0]));
+      expect(JSON.parse(await readFile(info.path, 'utf8'))).to.include({ subject: 'Hello' });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should pick the transport from the environment', () => {
+    expect(createEmailTransport({})).to.be.null;
+    expect(createEmailTransport({ EMAIL_TRANSPORT: 'json' })).to.be.instanceOf(JsonTransport);
+    expect(createEmailTransport({ EMAIL_TRANSPORT: 'file' })).to.be.instanceOf(FileTransport);
+    expect(() => createEmailTransport({ EMAIL_TRANSPORT: 'smtp' })).to.throw('SMTP host is required');
+    expect(() => createEmailTransport({ EMAIL_TRANSPORT: 'pigeon' })).to.throw('Unknown EMAIL_TRANSPORT');
+  });
+});
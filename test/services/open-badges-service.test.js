@@ -0,0 +1,254 @@
+// test/services/open-badges-service.test.js
+// Test suite for OpenBadgesService assertions, credentials and baked images using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import sinon from 'sinon';
+import { generateKeyPairSync, verify } from 'crypto';
+import sharp from 'sharp';
+import { InstanceKeyStore } from '../../src/lib/services/instance-key-service.js';
+import {
+  OpenBadgesService,
+  bakePng,
+  bakeSvg,
+  encodeBase58,
+  getProofSigningInput,
+  hashIdentity,
+  readBakedPng,
+  toPublicKeyMultibase
+} from '../../src/lib/services/open-badges-service.js';
+
+const AWARD_ID = '0b5c3c4e-6a8f-4d52-9a51-3f1f1e0f7a10';
+const base = 'https://adlp.example';
+
+const definition = {
+  slug: 'top-maker',
+  name: 'Top Maker',
+  description: 'Launched a Product of the Day',
+  category: 'achievement',
+  level: 'gold',
+  color_hex: '#10B981',
+  is_active: true,
+  is_public: true
+};
+
+/**
+ * Supabase stub answering user_badges, badge_definitions and platform_settings reads
+ */
+function createMockSupabase(tables) {
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'eq', 'order', 'limit']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    const result = () => Promise.resolve(tables[table] || { data: null, error: null });
+    query.maybeSingle = result;
+    query.then = (resolve, reject) => result().then(resolve, reject);
+    return query;
+  });
+
+  return {
+    from,
+    auth: {
+      admin: {
+        getUserById: sinon.stub().resolves({ data: { user: { email: 'Maker@Example.com' } }, error: null })
+      }
+    }
+  };
+}
+
+describe('OpenBadgesService', () => {
+  let keyStore;
+  let award;
+  let supabase;
+  let service;
+
+  beforeEach(() => {
+    keyStore = new InstanceKeyStore({
+      privateKey: generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      instanceUrl: `${base}/`
+    });
+    award = {
+      id: AWARD_ID,
+      user_id: 'user-1',
+      status: 'active',
+      is_visible: true,
+      earned_at: '2024-03-14T09:30:00.123Z',
+      badge_definitions: definition
+    };
+    supabase = createMockSupabase({
+      user_badges: { data: award, error: null },
+      badge_definitions: { data: definition, error: null },
+      platform_settings: { data: { platform_name: 'Indie Launches' }, error: null }
+    });
+    service = new OpenBadgesService(supabase, { keyStore });
+  });
+
+  describe('Open Badges 2.0', () => {
+    it('should host an assertion for the award with a hashed recipient', async () => {
+      const assertion = await service.getAssertion(AWARD_ID, 'http://localhost:5173');
+
+      expect(assertion).to.deep.include({
+        '@context': 'https://w3id.org/openbadges/v2',
+        type: 'Assertion',
+        id: `${base}/openbadges/assertions/${AWARD_ID}`,
+        badge: `${base}/openbadges/badges/top-maker`,
+        issuedOn: '2024-03-14T09:30:00.123Z',
+        verification: { type: 'hosted' }
+      });
+      expect(assertion.recipient).to.deep.equal({
+        type: 'email',
+        hashed: true,
+        salt: assertion.recipient.salt,
+        identity: hashIdentity('maker@example.com', assertion.recipient.salt)
+      });
+      expect(JSON.stringify(assertion)).not.to.contain('example.com"');
+    });
+
+    it('should describe the issuer and badge class', async () => {
+      const [issuer, badgeClass] = await Promise.all([
+        service.getIssuerProfile(base),
+        service.getBadgeClass('top-maker', base)
+      ]);
+
+      expect(issuer).to.include({ type: 'Issuer', id: `${base}/openbadges/issuer`, name: 'Indie Launches', url: base });
+      expect(badgeClass).to.include({
+        type: 'BadgeClass',
+        issuer: issuer.id,
+        image: `${base}/openbadges/badges/top-maker/image.png`
+      });
+      expect(badgeClass.criteria.id).to.equal(`${base}/badges/top-maker`);
+    });
+
+    it('should mark revoked awards and hide hidden ones', async () => {
+      award.status = 'revoked';
+      award.revocation_reason = 'Vote manipulation';
+      const revoked = await service.getAssertion(AWARD_ID, base);
+      expect(revoked).to.include({ revoked: true, revocationReason: 'Vote manipulation' });
+      expect(revoked).not.to.have.property('recipient');
+
+      award.status = 'active';
+      award.is_visible = false;
+      const errors = await Promise.all([
+        service.getAssertion(AWARD_ID, base).catch(error => error.status),
+        service.getAssertion('not-a-uuid', base).catch(error => error.status)
+      ]);
+      expect(errors).to.deep.equal([404, 404]);
+    });
+  });
+
+  describe('Open Badges 3.0', () => {
+    it('should sign the credential with an eddsa-jcs-2022 proof the issuer key verifies', async () => {
+      const credential = await service.getCredential(AWARD_ID, base);
+      const { proof, ...unsigned } = credential;
+      const { proofValue, ...proofOptions } = proof;
+
+      expect(credential.type).to.deep.equal(['VerifiableCredential', 'OpenBadgeCredential']);
+      expect(credential.validFrom).to.equal('2024-03-14T09:30:00Z');
+      expect(credential.credentialSubject.achievement).to.include({ name: 'Top Maker', achievementType: 'Badge' });
+      expect(credential.credentialSubject.identifier[0]).to.include({ identityType: 'emailAddress', hashed: true });
+      expect(proofOptions).to.deep.equal({
+        type: 'DataIntegrityProof',
+        cryptosuite: 'eddsa-jcs-2022',
+        created: '2024-03-14T09:30:00Z',
+        verificationMethod: `${base}/openbadges/v3/issuer#key-${keyStore.getKeys().keyId}`,
+        proofPurpose: 'assertionMethod'
+      });
+
+      const profile = await service.getCredentialIssuerProfile(base);
+      expect(profile.verificationMethod[0]).to.include({ id: proof.verificationMethod, type: 'Multikey', controller: credential.issuer.id });
+      expect(profile.verificationMethod[0].publicKeyMultibase).to.match(/^z6Mk/);
+
+      const signature = decodeBase58(proofValue.slice(1));
+      expect(verify(null, getProofSigningInput(unsigned, proofOptions), keyStore.getKeys().publicKey, signature)).to.be.true;
+
+      unsigned.name = 'Someone Else';
+      expect(verify(null, getProofSigningInput(unsigned, proofOptions), keyStore.getKeys().publicKey, signature)).to.be.false;
+    });
+
+    it('should refuse revoked awards with 410', async () => {
+      award.status = 'revoked';
+
+      try {
+        await service.getCredential(AWARD_ID, base);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(410);
+      }
+    });
+  });
+
+  describe('baked images', () => {
+    it('should bake the assertion URL into a PNG', async () => {
+      const image = await service.getBakedImage(AWARD_ID, { version: 2, format: 'png', origin: base });
+
+      expect(image.contentType).to.equal('image/png');
+      expect(readBakedPng(image.body, 'openbadges')).to.equal(`${base}/openbadges/assertions/${AWARD_ID}`);
+      expect(await sharp(image.body).metadata()).to.include({ format: 'png', width: 256, height: 256 });
+    });
+
+    it('should bake the signed credential into a PNG and an SVG', async () => {
+      const png = await service.getBakedImage(AWARD_ID, { version: 3, format: 'png', origin: base });
+      const svg = await service.getBakedImage(AWARD_ID, { version: 3, format: 'svg', origin: base });
+
+      expect(JSON.parse(readBakedPng(png.body, 'openbadgecredential')).proof.cryptosuite).to.equal('eddsa-jcs-2022');
+      expect(svg.body).to.match(/^<svg xmlns:openbadges="https:\/\/purl\.imsglobal\.org\/ob\/v3p0" xmlns=/);
+      expect(svg.body).to.contain('<openbadges:credential><![CDATA[{"@context"');
+    });
+  });
+
+  it('should list a user\'s exports with LinkedIn links', async () => {
+    supabase = createMockSupabase({
+      user_badges: { data: [award, { ...award, id: 'hidden', badge_definitions: { ...definition, is_public: false } }], error: null },
+      platform_settings: { data: null, error: null }
+    });
+    service = new OpenBadgesService(supabase, { keyStore });
+
+    const exports = await service.listUserExports('user-1', base);
+
+    expect(exports).to.have.length(1);
+    expect(exports[0].open_badges.images.ob3.png).to.equal(`${base}/openbadges/credentials/${AWARD_ID}/image.png`);
+    const linkedIn = new URL(exports[0].linkedin_url);
+    expect(Object.fromEntries(linkedIn.searchParams)).to.deep.include({
+      name: 'Top Maker',
+      organizationName: 'ADLP',
+      issueYear: '2024',
+      issueMonth: '3',
+      certId: AWARD_ID
+    });
+  });
+});
+
+describe('Open Badges helpers', () => {
+  it('should encode base58btc and Ed25519 multikeys', () => {
+    expect(encodeBase58(Buffer.from('Hello World!'))).to.equal('2NEpo7TZRRrLZSi2U');
+    expect(encodeBase58(Buffer.from([0, 0, 1]))).to.equal('112');
+    expect(toPublicKeyMultibase(Buffer.alloc(32).toString('base64url'))).to.equal('z6MkeTG3bFFSLYVU7VqhgZxqr6YzpaGrQtFMh1uvqGy1vDnP');
+  });
+
+  it('should keep CDATA terminators in credentials from ending the SVG element early', () => {
+    const baked = bakeSvg('<svg xmlns="http://www.w3.org/2000/svg"></svg>', { credential: { name: 'a]]>b' } });
+
+    expect(baked).to.contain('<![CDATA[{"name":"a]]]]><![CDATA[>b"}]]>');
+  });
+
+  it('should refuse to bake data that is not a PNG', () => {
+    expect(() => bakePng(Buffer.from('GIF89a'), 'openbadges', 'x')).to.throw('Not a PNG image');
+  });
+});
+
+/**
+ * base58btc decoding, to check proofs
+ */
+function decodeBase58(text) {
+  const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  let value = 0n;
+  for (const char of text) {
+    value = value * 58n + BigInt(alphabet.indexOf(char));
+  }
+  const hex = value.toString(16).padStart(128, '0');
+  return Buffer.from(hex, 'hex');
+}
@@ -0,0 +1,320 @@
+// test/services/rate-limiter.test.js
+// Test suite for the shared API rate limiter and its middleware using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  RateLimiter,
+  MemoryRateLimitStore,
+  PostgresRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore,
+  matchRoutePattern,
+  getRateLimitHeaders,
+} from '../../src/lib/services/rate-limiter.js';
+import { createRateLimitMiddleware, resolveRateLimitIdentity } from '../../src/lib/middleware/rate-limit.js';
+
+const policy = (overrides = {}) => ({
+  name: 'test_policy',
+  type: 'ip',
+  max_requests: 10,
+  window_seconds: 60,
+  burst_allowance: 0,
+  algorithm: 'sliding_window',
+  route_pattern: '/api/*',
+  priority: 0,
+  ...overrides,
+});
+
+describe('Rate limiter stores', () => {
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = Date.parse('2024-01-01T00:00:00.000Z');
+    store = new MemoryRateLimitStore({ now: () => now });
+  });
+
+  describe('sliding window', () => {
+    it('should allow up to max_requests plus burst, then deny with Retry-After', async () => {
+      const limited = policy({ max_requests: 3, burst_allowance: 1 });
+
+      const results = [];
+      for (let i = 0; i < 5; i++) {
+        results.push(await store.consume('k', limited));
+      }
+
+      expect(results.map(result => result.allowed)).to.deep.equal([true, true, true, true, false]);
+      expect(results[0].remaining).to.equal(3);
+      expect(results[4].retryAfterSeconds).to.equal(60);
+      expect(results[4].resetSeconds).to.equal(60);
+    });
+
+    it('should weight the previous window by its remaining overlap', async () => {
+      const limited = policy({ max_requests: 10 });
+      for (let i = 0; i < 10; i++) {
+        await store.consume('k', limited);
+      }
+
+      // 45s into the next window a quarter of the previous 10 still counts
+      now += 105 * 1000;
+      const result = await store.consume('k', limited);
+
+      expect(result.allowed).to.be.true;
+      expect(result.remaining).to.equal(6);
+    });
+
+    it('should forget counts older than the previous window', async () => {
+      const limited = policy({ max_requests: 1 });
+      await store.consume('k', limited);
+      expect((await store.consume('k', limited)).allowed).to.be.false;
+
+      now += 121 * 1000;
+
+      expect((await store.consume('k', limited)).allowed).to.be.true;
+    });
+  });
+
+  describe('token bucket', () => {
+    it('should allow a burst and then refill at max_requests per window', async () => {
+      const bucket = policy({ algorithm: 'token_bucket', max_requests: 6, burst_allowance: 2 });
+
+      for (let i = 0; i < 8; i++) {
+        expect((await store.consume('k', bucket)).allowed).to.be.true;
+      }
+      const denied = await store.consume('k', bucket);
+      expect(denied.allowed).to.be.false;
+      expect(denied.retryAfterSeconds).to.equal(10);
+
+      now += 10 * 1000;
+      expect((await store.consume('k', bucket)).allowed).to.be.true;
+    });
+  });
+
+  it('should call consume_rate_limit for the Postgres store', async () => {
+    const supabase = {
+      rpc: sinon.stub().resolves({
+        data: [{ allowed: false, remaining: 0, reset_seconds: 30, retry_after_seconds: 12 }],
+        error: null,
+      }),
+    };
+
+    const result = await new PostgresRateLimitStore(supabase).consume('api:ip:1', policy({ burst_allowance: 2 }));
+
+    expect(supabase.rpc.calledOnceWith('consume_rate_limit', {
+      p_key: 'api:ip:1',
+      p_algorithm: 'sliding_window',
+      p_max_requests: 10,
+      p_window_seconds: 60,
+      p_burst: 2,
+      p_cost: 1,
+    })).to.be.true;
+    expect(result).to.deep.equal({ allowed: false, remaining: 0, resetSeconds: 30, retryAfterSeconds: 12 });
+  });
+
+  it('should run the counter script atomically on a Redis-compatible client', async () => {
+    const client = { eval: sinon.stub().resolves([1, 9, 60, 0]) };
+
+    const result = await new RedisRateLimitStore(client, { now: () => now }).consume('k', policy());
+
+    const args = client.eval.firstCall.args;
+    expect(args[1]).to.equal(1);
+    expect(args.slice(2)).to.deep.equal(['ratelimit:k', 'sliding_window', 10, 60000, 0, 1, now]);
+    expect(result).to.deep.equal({ allowed: true, remaining: 9, resetSeconds: 60, retryAfterSeconds: 0 });
+  });
+
+  it('should reject unknown store names and require Redis settings', async () => {
+    try {
+      await createRateLimitStore({ store: 'mongo', env: {} });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('Unknown RATE_LIMIT_STORE');
+    }
+
+    try {
+      await createRateLimitStore({ store: 'redis', env: {} });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('RATE_LIMIT_REDIS_URL');
+    }
+  });
+});
+
+describe('RateLimiter', () => {
+  const policies = [
+    policy({ name: 'api_default_ip' }),
+    policy({ name: 'api_v1_public', route_pattern: '/api/v1/*', priority: 10 }),
+    policy({ name: 'api_v1_basic', type: 'api_key', route_pattern: '/api/v1/*', tier: 'basic', priority: 10 }),
+    policy({ name: 'api_v1_premium', type: 'api_key', route_pattern: '/api/v1/*', tier: 'premium', priority: 10 }),
+    policy({ name: 'api_votes_user', type: 'user', route_pattern: '/api/submissions/*/vote', methods: ['POST'], priority: 20 }),
+    policy({ name: 'api_default_user', type: 'user' }),
+    policy({ name: 'global_protection', type: 'global', max_requests: 1000 }),
+  ];
+
+  const buildLimiter = (data = policies) => {
+    const supabase = {
+      from: sinon.stub().returnsThis(),
+      select: sinon.stub().returnsThis(),
+      eq: sinon.stub().resolves({ data, error: null }),
+    };
+    return new RateLimiter(supabase, { store: new MemoryRateLimitStore() });
+  };
+
+  it('should match route patterns with wildcards', () => {
+    expect(matchRoutePattern('/api/submissions/*/vote', '/api/submissions/abc/vote')).to.be.true;
+    expect(matchRoutePattern('/api/submissions/*/vote', '/api/submissions/abc')).to.be.false;
+    expect(matchRoutePattern('/api/v1.0/*', '/api/v1x0/items')).to.be.false;
+  });
+
+  it('should pick the highest priority, most specific policy for the client tier and method', () => {
+    const limiter = buildLimiter();
+
+    const pick = (type, request) => limiter.selectPolicy(policies, type, request)?.name;
+
+    expect(pick('ip', { pathname: '/api/v1/launches', method: 'GET' })).to.equal('api_v1_public');
+    expect(pick('ip', { pathname: '/api/submissions', method: 'GET' })).to.equal('api_default_ip');
+    expect(pick('api_key', { pathname: '/api/v1/launches', method: 'GET', tier: 'premium' })).to.equal('api_v1_premium');
+    expect(pick('user', { pathname: '/api/submissions/1/vote', method: 'POST' })).to.equal('api_votes_user');
+    expect(pick('user', { pathname: '/api/submissions/1/vote', method: 'DELETE' })).to.equal('api_default_user');
+  });
+
+  it('should apply global policies on top of the client policy', async () => {
+    const limiter = buildLimiter([
+      policy({ name: 'api_default_ip', max_requests: 2 }),
+      policy({ name: 'global_protection', type: 'global', max_requests: 1 }),
+    ]);
+
+    const identity = { type: 'ip', id: 'ip:203.0.113.1' };
+    const first = await limiter.check(identity, { pathname: '/api/x', method: 'GET' });
+    const second = await limiter.check({ type: 'ip', id: 'ip:203.0.113.2' }, { pathname: '/api/x', method: 'GET' });
+
+    expect(first.allowed).to.be.true;
+    expect(first.policy.name).to.equal('global_protection');
+    expect(second.allowed).to.be.false;
+    expect(second.policy.name).to.equal('global_protection');
+  });
+
+  it('should fall back to built-in policies when configs cannot be read', async () => {
+    const supabase = {
+      from: sinon.stub().returnsThis(),
+      select: sinon.stub().returnsThis(),
+      eq: sinon.stub().resolves({ data: null, error: { message: 'relation does not exist' } }),
+    };
+    const limiter = new RateLimiter(supabase, { store: new MemoryRateLimitStore(), logger: { warn: sinon.stub() } });
+
+    const result = await limiter.check({ type: 'ip', id: 'ip:1' }, { pathname: '/api/auth/login', method: 'POST' });
+
+    expect(result.policy.name).to.equal('api_auth_ip');
+  });
+
+  it('should count named policies for service-level limits', async () => {
+    const limiter = buildLimiter([...policies, policy({ name: 'federation_inbound', type: 'api_key', route_pattern: null, max_requests: 1 })]);
+
+    expect((await limiter.checkNamed('federation_inbound', 'instance-1')).allowed).to.be.true;
+    expect((await limiter.checkNamed('federation_inbound', 'instance-1')).allowed).to.be.false;
+    expect(await limiter.checkNamed('missing', 'instance-1')).to.be.null;
+  });
+
+  it('should build standard headers', () => {
+    const headers = getRateLimitHeaders({
+      allowed: false,
+      limit: 10,
+      remaining: 0,
+      resetSeconds: 42,
+      retryAfterSeconds: 7,
+      policy: policy({ name: 'api_default_ip' }),
+    });
+
+    expect(headers).to.deep.equal({
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '42',
+      'RateLimit-Policy': '10;w=60;name="api_default_ip"',
+      'Retry-After': '7',
+    });
+  });
+});
+
+describe('createRateLimitMiddleware', () => {
+  let limiter;
+  let resolve;
+
+  const event = (pathname, method = 'GET', locals = {}) => ({
+    url: new URL(`https://example.com${pathname}`),
+    request: new Request(`https://example.com${pathname}`, { method }),
+    locals,
+    getClientAddress: () => '203.0.113.9',
+  });
+
+  beforeEach(() => {
+    limiter = new RateLimiter(null, {
+      store: new MemoryRateLimitStore({ now: () => Date.parse('2024-01-01T00:00:00.000Z') }),
+      defaultPolicies: [policy({ name: 'api_default_ip', max_requests: 1 })],
+    });
+    resolve = sinon.stub().callsFake(async () => new Response('ok'));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should add RateLimit headers and answer 429 with Retry-After once exceeded', async () => {
+    const middleware = createRateLimitMiddleware({ getLimiter: async () => limiter });
+
+    const allowed = await middleware({ event: event('/api/submissions'), resolve });
+    const denied = await middleware({ event: event('/api/submissions'), resolve });
+
+    expect(allowed.headers.get('RateLimit-Remaining')).to.equal('0');
+    expect(denied.status).to.equal(429);
+    expect(denied.headers.get('Retry-After')).to.equal('60');
+    expect((await denied.json()).code).to.equal('RATE_LIMITED');
+    expect(resolve.calledOnce).to.be.true;
+  });
+
+  it('should skip non-API paths and excluded paths', async () => {
+    const middleware = createRateLimitMiddleware({ getLimiter: async () => limiter });
+
+    for (let i = 0; i < 3; i++) {
+      await middleware({ event: event('/launches'), resolve });
+      await middleware({ event: event('/api/health'), resolve });
+    }
+
+    expect(resolve.callCount).to.equal(6);
+  });
+
+  it('should copy responses with immutable headers', async () => {
+    const middleware = createRateLimitMiddleware({ getLimiter: async () => limiter });
+    const immutable = await fetch('data:text/plain,ok');
+    resolve.resolves(immutable);
+
+    const response = await middleware({ event: event('/api/proxy'), resolve });
+
+    expect(response.headers.get('RateLimit-Limit')).to.equal('1');
+  });
+
+  it('should fail open when the limiter errors', async () => {
+    const middleware = createRateLimitMiddleware({
+      getLimiter: async () => ({ check: sinon.stub().rejects(new Error('db down')) }),
+    });
+
+    const response = await middleware({ event: event('/api/submissions'), resolve });
+
+    expect(response.status).to.equal(200);
+  });
+
+  it('should identify signed-in users and verified API clients', async () => {
+    const resolvePartner = sinon.stub().resolves({ id: 'partner-1', tier: 'premium' });
+
+    const user = await resolveRateLimitIdentity(event('/api/x', 'GET', { user: { id: 'user-1' } }));
+    const anonymous = await resolveRateLimitIdentity(event('/api/x'));
+
+    const withKey = event('/api/v1/x');
+    withKey.request = new Request('https://example.com/api/v1/x', { headers: { 'x-api-key': 'key-1' } });
+    const partner = await resolveRateLimitIdentity(withKey, { resolvePartner });
+
+    expect(user).to.deep.equal({ type: 'user', id: 'user:user-1', tier: null });
+    expect(anonymous).to.deep.equal({ type: 'ip', id: 'ip:203.0.113.9', tier: null });
+    expect(partner).to.deep.equal({ type: 'api_key', id: 'partner:partner-1', tier: 'premium' });
+  });
+});
@@ -0,0 +1,329 @@
+// test/services/refresh-queue-worker.test.js
+// Test suite for RefreshQueueWorker service using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  RefreshQueueWorker,
+  createRegenerationFetcher,
+} from '../../src/lib/services/refresh-queue-worker.js';
+
+describe('RefreshQueueWorker', () => {
+  let worker;
+  let mockSupabase;
+  let mockLogger;
+  let mockFreshnessMonitor;
+  let mockRegenerationEngine;
+  let mockScheduler;
+  let clock;
+
+  const job = (overrides = {}) => ({
+    id: 'queue-1',
+    submission_id: 'submission-1',
+    freshness_id: 'freshness-1',
+    priority: 'normal',
+    scheduled_at: '2024-01-01T00:00:00.000Z',
+    retry_count: 0,
+    max_retries: 3,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date('2024-01-01T12:00:00.000Z'));
+
+    mockSupabase = {
+      rpc: sinon.stub().resolves({ data: [], error: null }),
+      from: sinon.stub().returnsThis(),
+      update: sinon.stub().returnsThis(),
+      eq: sinon.stub().resolves({ error: null }),
+    };
+
+    mockLogger = {
+      info: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+      debug: sinon.stub(),
+    };
+
+    mockFreshnessMonitor = {
+      updateRefreshQueueStatus: sinon.stub().resolves(true),
+      updateFreshnessStatus: sinon.stub().resolves(true),
+      recordRefreshHistory: sinon.stub().resolves(true),
+      updateAllStalenessScores: sinon.stub().resolves(12),
+    };
+
+    mockRegenerationEngine = {
+      regenerateSubmission: sinon.stub().resolves({
+        submissionId: 'submission-1',
+        success: true,
+        changesDetected: true,
+        significantChanges: true,
+        processingTime: 250,
+        metadataChanges: ['title'],
+        imageChanges: [],
+      }),
+    };
+
+    mockScheduler = {
+      schedule: sinon.stub().callsFake(() => ({ stop: sinon.stub() })),
+    };
+
+    worker = new RefreshQueueWorker(mockSupabase, mockLogger, {
+      freshnessMonitor: mockFreshnessMonitor,
+      regenerationEngine: mockRegenerationEngine,
+      scheduler: mockScheduler,
+      workerId: 'worker-1',
+      retryBaseDelay: 1000,
+    });
+  });
+
+  afterEach(() => {
+    clock.restore();
+    sinon.restore();
+  });
+
+  describe('constructor', () => {
+    it('should require a regeneration engine', () => {
+      expect(() => new RefreshQueueWorker(mockSupabase, mockLogger, { freshnessMonitor: mockFreshnessMonitor }))
+        .to.throw('Regeneration engine is required');
+    });
+  });
+
+  describe('start / stop', () => {
+    it('should schedule polling and staleness updates once', () => {
+      worker.start();
+      worker.start();
+
+      expect(mockScheduler.schedule.calledTwice).to.be.true;
+      expect(mockScheduler.schedule.firstCall.args[0]).to.equal('* * * * *');
+      expect(mockScheduler.schedule.secondCall.args[0]).to.equal('*/15 * * * *');
+
+      const tasks = worker.tasks;
+      worker.stop();
+      tasks.forEach(task => expect(task.stop.calledOnce).to.be.true);
+      expect(worker.tasks).to.have.length(0);
+    });
+  });
+
+  describe('claimJobs', () => {
+    it('should claim jobs through the locking RPC', async () => {
+      mockSupabase.rpc.resolves({ data: [job()], error: null });
+
+      const jobs = await worker.claimJobs(5);
+
+      expect(jobs).to.have.length(1);
+      expect(mockSupabase.rpc.calledWith('claim_refresh_jobs', {
+        p_worker_id: 'worker-1',
+        p_limit: 5,
+        p_lock_timeout_seconds: 900,
+      })).to.be.true;
+    });
+
+    it('should throw when the claim fails', async () => {
+      mockSupabase.rpc.resolves({ data: null, error: { message: 'connection refused' } });
+
+      try {
+        await worker.claimJobs(5);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to claim refresh jobs: connection refused');
+      }
+    });
+  });
+
+  describe('processBatch', () => {
+    it('should process claimed jobs by priority', async () => {
+      mockSupabase.rpc.resolves({
+        data: [
+          job({ id: 'low', submission_id: 's-low', priority: 'low' }),
+          job({ id: 'critical', submission_id: 's-critical', priority: 'critical' }),
+          job({ id: 'normal', submission_id: 's-normal', priority: 'normal' }),
+        ],
+        error: null,
+      });
+
+      const summary = await worker.processBatch();
+
+      expect(summary).to.deep.equal({ claimed: 3, completed: 3, retried: 0, failed: 0 });
+      const order = mockRegenerationEngine.regenerateSubmission.getCalls().map(call => call.args[0]);
+      expect(order).to.deep.equal(['s-critical', 's-normal', 's-low']);
+    });
+  });
+
+  describe('processJob', () => {
+    it('should complete successful jobs and record history', async () => {
+      const outcome = await worker.processJob(job());
+
+      expect(outcome).to.equal('completed');
+      expect(mockRegenerationEngine.regenerateSubmission.firstCall.args[1].recordHistory).to.be.false;
+      expect(mockFreshnessMonitor.updateRefreshQueueStatus.calledWith('queue-1', 'completed', 'worker-1')).to.be.true;
+
+      const history = mockFreshnessMonitor.recordRefreshHistory.firstCall.args[0];
+      expect(history).to.include({
+        submission_id: 'submission-1',
+        queue_id: 'queue-1',
+        refresh_type: 'scheduled',
+        success: true,
+        changes_found: true,
+        content_updated: true,
+        processing_duration_ms: 250,
+      });
+
+      const freshness = mockFreshnessMonitor.updateFreshnessStatus.firstCall.args[1];
+      expect(freshness.status).to.equal('fresh');
+      expect(freshness.last_change_detected_at).to.exist;
+    });
+
+    it('should reschedule failed jobs with exponential backoff', async () => {
+      mockRegenerationEngine.regenerateSubmission.resolves({ success: false, error: 'Timeout', processingTime: 10 });
+
+      const outcome = await worker.processJob(job({ retry_count: 2 }));
+
+      expect(outcome).to.equal('retried');
+      const update = mockSupabase.update.firstCall.args[0];
+      expect(update.status).to.equal('pending');
+      expect(update.retry_count).to.equal(3);
+      expect(update.error_message).to.equal('Timeout');
+      expect(new Date(update.scheduled_at).getTime() - Date.now()).to.equal(4000);
+
+      const history = mockFreshnessMonitor.recordRefreshHistory.firstCall.args[0];
+      expect(history.success).to.be.false;
+      expect(history.error_message).to.equal('Timeout');
+    });
+
+    it('should fail jobs once retries are exhausted', async () => {
+      mockRegenerationEngine.regenerateSubmission.rejects(new Error('Submission not found'));
+
+      const outcome = await worker.processJob(job({ retry_count: 3 }));
+
+      expect(outcome).to.equal('failed');
+      expect(mockSupabase.update.called).to.be.false;
+      expect(mockFreshnessMonitor.updateRefreshQueueStatus.calledWith(
+        'queue-1', 'failed', 'worker-1', 'Submission not found'
+      )).to.be.true;
+    });
+
+    it('should fail jobs blocked by robots.txt without retrying', async () => {
+      mockRegenerationEngine.regenerateSubmission.resolves({
+        success: false,
+        robotsBlocked: true,
+        error: 'Blocked by robots.txt: example.com does not allow adlp-bot to fetch /',
+        processingTime: 5,
+      });
+
+      const outcome = await worker.processJob(job());
+
+      expect(outcome).to.equal('failed');
+      expect(mockSupabase.update.called).to.be.false;
+      const [, status, , , details] = mockFreshnessMonitor.updateRefreshQueueStatus.firstCall.args;
+      expect(status).to.equal('failed');
+      expect(details.reason).to.equal('robots_blocked');
+      expect(mockFreshnessMonitor.updateFreshnessStatus.firstCall.args[1].status).to.equal('failed');
+    });
+
+    it('should tell the sitemap pinger about changed launches', async () => {
+      const sitemapPinger = { notify: sinon.stub() };
+      worker.sitemapPinger = sitemapPinger;
+
+      await worker.processJob(job());
+      expect(sitemapPinger.notify.calledOnceWith(['submission-1'])).to.be.true;
+
+      mockRegenerationEngine.regenerateSubmission.resolves({ success: true, changesDetected: false, processingTime: 5 });
+      await worker.processJob(job());
+      expect(sitemapPinger.notify.calledOnce).to.be.true;
+    });
+
+    it('should not let history failures break processing', async () => {
+      mockFreshnessMonitor.recordRefreshHistory.rejects(new Error('insert failed'));
+
+      expect(await worker.processJob(job())).to.equal('completed');
+      expect(mockLogger.warn.called).to.be.true;
+    });
+  });
+
+  describe('tick', () => {
+    it('should back off for more ticks after consecutive poll failures', async () => {
+      mockSupabase.rpc.resolves({ data: null, error: { message: 'down' } });
+
+      await worker.tick();
+      expect(worker.skipTicks).to.equal(1);
+
+      await worker.tick(); // skipped
+      expect(mockSupabase.rpc.calledOnce).to.be.true;
+
+      await worker.tick();
+      expect(worker.skipTicks).to.equal(2);
+
+      mockSupabase.rpc.resolves({ data: [], error: null });
+      await worker.tick();
+      await worker.tick();
+      const summary = await worker.tick();
+
+      expect(summary).to.deep.equal({ claimed: 0, completed: 0, retried: 0, failed: 0 });
+      expect(worker.consecutivePollFailures).to.equal(0);
+    });
+  });
+
+  describe('refreshStalenessScores', () => {
+    it('should return the number of updated records', async () => {
+      expect(await worker.refreshStalenessScores()).to.equal(12);
+    });
+
+    it('should log and swallow failures', async () => {
+      mockFreshnessMonitor.updateAllStalenessScores.rejects(new Error('rpc failed'));
+
+      expect(await worker.refreshStalenessScores()).to.be.null;
+      expect(mockLogger.error.calledOnce).to.be.true;
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should cap the delay', () => {
+      worker.maxRetryDelay = 5000;
+
+      expect(worker.getRetryDelay(1)).to.equal(1000);
+      expect(worker.getRetryDelay(3)).to.equal(4000);
+      expect(worker.getRetryDelay(10)).to.equal(5000);
+    });
+  });
+});
+
+describe('createRegenerationFetcher', () => {
+  it('should re-fetch conditionally and pass on unchanged pages', async () => {
+    const fetcher = {
+      fetchMetadata: sinon.stub().resolves({ url: 'https://example.com', notModified: true }),
+    };
+    const adapter = createRegenerationFetcher(fetcher);
+
+    const images = await adapter.fetchImages('https://example.com');
+
+    expect(fetcher.fetchMetadata.calledOnceWith('https://example.com', { conditional: true })).to.be.true;
+    expect(images.notModified).to.be.true;
+  });
+
+  it('should fetch each page once for metadata and images', async () => {
+    const fetcher = {
+      fetchMetadata: sinon.stub().resolves({
+        title: 'Product',
+        image: 'https://example.com/og.png',
+        favicon: 'https://example.com/favicon.ico',
+      }),
+    };
+    const adapter = createRegenerationFetcher(fetcher);
+
+    const [metadata, images] = await Promise.all([
+      adapter.fetchMetadata('https://example.com'),
+      adapter.fetchImages('https://example.com'),
+    ]);
+
+    expect(fetcher.fetchMetadata.calledOnce).to.be.true;
+    expect(metadata.title).to.equal('Product');
+    expect(images).to.deep.equal({
+      main: 'https://example.com/og.png',
+      favicon: 'https://example.com/favicon.ico',
+      all: [],
+      favicons: [],
+    });
+  });
+});
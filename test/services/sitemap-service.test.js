@@ -0,0 +1,215 @@
+// test/services/sitemap-service.test.js
+// Test suite for SitemapService, SitemapPinger and sitemap rendering using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  SitemapService,
+  SitemapPinger,
+  parseSitemapName,
+  renderRobotsTxt,
+  renderUrlSet
+} from '../../src/lib/services/sitemap-service.js';
+
+const ORIGIN = 'https://launch.example.com';
+
+/**
+ * Chainable query stub resolving with the queued result for each table
+ */
+function createMockSupabase(results = {}) {
+  const queries = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'eq', 'in', 'order', 'limit', 'range']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    query.then = (resolve, reject) =>
+      Promise.resolve(results[table] || { data: [], count: 0, error: null }).then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+
+  return { from, queries };
+}
+
+describe('SitemapService', () => {
+  let mockSupabase;
+  let service;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabase({
+      sitemap_launches: {
+        data: [
+          { id: 'a1', slug: 'todo-pro', lastmod: '2024-03-02T12:00:00Z' },
+          { id: 'a2', slug: null, lastmod: null }
+        ],
+        count: 5,
+        error: null
+      },
+      sitemap_tags: { data: [{ tag: 'dev tools', lastmod: '2024-03-01T00:00:00Z' }], count: 1, error: null },
+      badge_definitions: { data: [{ slug: 'verified', updated_at: '2024-01-01T00:00:00Z' }], count: 1, error: null }
+    });
+    service = new SitemapService(mockSupabase, { pageSize: 2, locales: ['en', 'es'] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getIndex', () => {
+    it('should list every page of each non-empty section', async () => {
+      const xml = await service.getIndex(ORIGIN);
+
+      expect(xml).to.include('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      for (const name of ['pages-1', 'launches-1', 'launches-2', 'launches-3', 'tags-1', 'badges-1']) {
+        expect(xml).to.include(`<loc>${ORIGIN}/sitemaps/${name}.xml</loc>`);
+      }
+      expect(xml).to.not.include('launches-4');
+      expect(xml).to.include('<lastmod>2024-03-02T12:00:00.000Z</lastmod>');
+
+      const badgeQuery = mockSupabase.queries.find(query => query.table === 'badge_definitions');
+      expect(badgeQuery.calls).to.deep.include(['eq', 'is_public', true]);
+    });
+  });
+
+  describe('getSitemap', () => {
+    it('should list launch pages with lastmod from content versions', async () => {
+      const xml = await service.getSitemap('launches', 2, ORIGIN);
+
+      const launchQuery = mockSupabase.queries.find(query => query.table === 'sitemap_launches');
+      expect(launchQuery.calls).to.deep.include(['range', 2, 3]);
+      expect(xml).to.include(`<loc>${ORIGIN}/launches/todo-pro</loc>`);
+      expect(xml).to.include(`<loc>${ORIGIN}/es/launches/todo-pro</loc>`);
+      expect(xml).to.include(`<loc>${ORIGIN}/launches/a2</loc>`);
+      expect(xml).to.include('<lastmod>2024-03-02T12:00:00.000Z</lastmod>');
+    });
+
+    it('should link tag and badge pages', async () => {
+      expect(await service.getSitemap('tags', 1, ORIGIN)).to.include(`<loc>${ORIGIN}/launches?tags=dev%20tools</loc>`);
+      expect(await service.getSitemap('badges', 1, ORIGIN)).to.include(`<loc>${ORIGIN}/es/badges/verified</loc>`);
+    });
+
+    it('should 404 for unknown sections and pages past the end', async () => {
+      mockSupabase = createMockSupabase();
+      service = new SitemapService(mockSupabase, { pageSize: 2 });
+
+      for (const [section, page] of [['users', 1], ['launches', 2], ['pages', 4]]) {
+        try {
+          await service.getSitemap(section, page, ORIGIN);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.status).to.equal(404);
+        }
+      }
+      expect(await service.getSitemap('launches', 1, ORIGIN)).to.include('<urlset');
+    });
+  });
+
+  describe('rendering', () => {
+    it('should add hreflang alternates for every locale and x-default', () => {
+      const xml = renderUrlSet([{ path: '/', changefreq: 'hourly' }], { origin: ORIGIN });
+
+      expect(xml.match(/<url>/g)).to.have.length(4);
+      expect(xml).to.include(`<loc>${ORIGIN}/fr</loc>`);
+      expect(xml).to.include(`<xhtml:link rel="alternate" hreflang="de" href="${ORIGIN}/de" />`);
+      expect(xml).to.include(`<xhtml:link rel="alternate" hreflang="x-default" href="${ORIGIN}/" />`);
+    });
+
+    it('should keep private pages and the API out of robots.txt', () => {
+      const robots = renderRobotsTxt({ origin: ORIGIN, locales: ['en', 'es'] });
+
+      expect(robots).to.include('Disallow: /api/');
+      expect(robots).to.include('Disallow: /dashboard');
+      expect(robots).to.include('Disallow: /es/dashboard');
+      expect(robots).to.include(`Sitemap: ${ORIGIN}/sitemap.xml`);
+    });
+
+    it('should parse child sitemap names', () => {
+      expect(parseSitemapName('launches-12.xml')).to.deep.equal({ section: 'launches', page: 12 });
+      expect(parseSitemapName('launches-0.xml')).to.be.null;
+      expect(parseSitemapName('users-1.xml')).to.be.null;
+    });
+  });
+});
+
+describe('SitemapPinger', () => {
+  let mockSupabase;
+  let fetch;
+  let logger;
+  let clock;
+
+  const build = (options = {}) => new SitemapPinger(mockSupabase, {
+    siteUrl: `${ORIGIN}/`,
+    pingUrls: ['https://search.example.com/ping?sitemap={sitemap}'],
+    indexNowKey: 'key-123',
+    locales: ['en', 'es'],
+    fetch,
+    logger,
+    ...options
+  });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    mockSupabase = createMockSupabase({
+      sitemap_launches: { data: [{ id: 'a1', slug: 'todo-pro' }], error: null }
+    });
+    fetch = sinon.stub().resolves({ ok: true, status: 200 });
+    logger = { warn: sinon.stub() };
+  });
+
+  afterEach(() => {
+    clock.restore();
+    sinon.restore();
+  });
+
+  it('should batch notifications into one ping per endpoint', async () => {
+    const pinger = build({ delay: 1000 });
+    pinger.notify(['a1']);
+    pinger.notify(['a1', 'a2']);
+
+    expect(fetch.called).to.be.false;
+    await clock.tickAsync(1000);
+
+    expect(mockSupabase.queries[0].calls).to.deep.include(['in', 'id', ['a1', 'a2']]);
+    expect(fetch.callCount).to.equal(2);
+    expect(fetch.firstCall.args[0]).to.equal(
+      'https://search.example.com/ping?sitemap=https%3A%2F%2Flaunch.example.com%2Fsitemap.xml'
+    );
+
+    const [endpoint, init] = fetch.secondCall.args;
+    expect(endpoint).to.equal('https://api.indexnow.org/indexnow');
+    expect(JSON.parse(init.body)).to.deep.equal({
+      host: 'launch.example.com',
+      key: 'key-123',
+      keyLocation: `${ORIGIN}/indexnow.txt`,
+      urlList: [`${ORIGIN}/launches/todo-pro`, `${ORIGIN}/es/launches/todo-pro`]
+    });
+  });
+
+  it('should log failed pings without throwing', async () => {
+    fetch.onFirstCall().resolves({ ok: false, status: 503 });
+    const pinger = build();
+    pinger.notify(['a1']);
+
+    const result = await pinger.flush();
+
+    expect(result).to.include({ pinged: 1, failed: 1 });
+    expect(logger.warn.firstCall.args[1].error).to.include('503');
+  });
+
+  it('should do nothing without a site URL or for launches that are not public', async () => {
+    const disabled = build({ siteUrl: '' });
+    disabled.notify(['a1']);
+    expect(disabled.pending.size).to.equal(0);
+
+    mockSupabase = createMockSupabase();
+    const pinger = build();
+    pinger.notify(['draft']);
+    expect(await pinger.flush()).to.include({ pinged: 0 });
+    expect(fetch.called).to.be.false;
+  });
+});
@@ -0,0 +1,166 @@
+// test/services/submission-search.test.js
+// Test suite for SubmissionService full-text search using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { SubmissionService, parseHighlight } from '../../src/lib/services/submission-service.js';
+
+/**
+ * Chainable query stub that records calls and resolves with the next queued
+ * response for its table
+ */
+function createMockSupabase(responses = {}) {
+  const calls = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'eq', 'in', 'order', 'range', 'overlaps']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    const next = () => {
+      const queue = responses[table] || [];
+      return Promise.resolve(queue.length > 1 ? queue.shift() : queue[0] || { data: null, error: null });
+    };
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    calls.push(query);
+    return query;
+  });
+
+  return { from, calls, rpc: sinon.stub() };
+}
+
+describe('SubmissionService search', () => {
+  let mockSupabase;
+  let service;
+
+  const build = responses => {
+    mockSupabase = createMockSupabase(responses);
+    service = new SubmissionService({ supabase: mockSupabase, metadataFetcher: {}, fallbackMetadataFetcher: {}, aiRewriter: null });
+  };
+
+  beforeEach(() => {
+    build({});
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('parseHighlight', () => {
+    it('should split highlight markers into matched and plain segments', () => {
+      expect(parseHighlight('A [[hl]]fast[[/hl]] task [[hl]]manager[[/hl]]')).to.deep.equal([
+        { text: 'A ', match: false },
+        { text: 'fast', match: true },
+        { text: ' task ', match: false },
+        { text: 'manager', match: true }
+      ]);
+    });
+
+    it('should keep markup as plain text and handle empty highlights', () => {
+      expect(parseHighlight('<b>x</b>')).to.deep.equal([{ text: '<b>x</b>', match: false }]);
+      expect(parseHighlight(null)).to.be.null;
+    });
+  });
+
+  describe('buildSearchFilters', () => {
+    it('should map listing options to RPC arguments', () => {
+      const filters = service.buildSearchFilters({
+        search: '  todo app ',
+        tags: ['productivity'],
+        category: 'Productivity',
+        since: '2024-01-01T00:00:00.000Z'
+      });
+
+      expect(filters).to.deep.equal({
+        p_query: 'todo app',
+        p_tags: ['productivity'],
+        p_category: 'Productivity',
+        p_statuses: ['approved'],
+        p_submitted_by: null,
+        p_since: '2024-01-01T00:00:00.000Z',
+        p_until: null
+      });
+      expect(service.buildSearchFilters({ status: 'all' }).p_statuses).to.be.null;
+    });
+
+    it('should limit top results to their period', () => {
+      const clock = sinon.useFakeTimers(new Date('2024-03-08T00:00:00Z'));
+
+      expect(service.buildSearchFilters({ sort: 'top', period: 'week' }).p_since).to.equal('2024-03-01T00:00:00.000Z');
+      expect(service.buildSearchFilters({ sort: 'top', period: 'all' }).p_since).to.be.null;
+
+      clock.restore();
+    });
+  });
+
+  describe('getSearchSort', () => {
+    it('should rank by relevance when searching unless a sort is given', () => {
+      expect(service.getSearchSort({ search: 'todo' })).to.equal('relevance');
+      expect(service.getSearchSort({ search: 'todo', sort: 'new' })).to.equal('new');
+      expect(service.getSearchSort({ category: 'design', sortBy: 'votes_count' })).to.equal('top');
+      expect(service.getSearchSort({ category: 'design' })).to.equal('new');
+    });
+  });
+
+  describe('searchSubmissions', () => {
+    it('should return rows in rank order with highlights and facets', async () => {
+      build({
+        submissions: [{
+          data: [
+            { id: 'b', rewritten_meta: { title: 'Todo Pro' } },
+            { id: 'a', rewritten_meta: { title: 'Todoist' } }
+          ],
+          error: null
+        }]
+      });
+      const facets = { tags: [{ value: 'productivity', count: 2 }], categories: [], statuses: [] };
+      mockSupabase.rpc.withArgs('search_submissions').resolves({
+        data: [
+          { id: 'a', rank: 0.9, title_highlight: '[[hl]]Todoist[[/hl]]', snippet: 'Plan your day', total_count: 12 },
+          { id: 'b', rank: 0.4, title_highlight: '[[hl]]Todo[[/hl]] Pro', snippet: null, total_count: 12 }
+        ],
+        error: null
+      });
+      mockSupabase.rpc.withArgs('search_submission_facets').resolves({ data: facets, error: null });
+
+      const result = await service.getSubmissions({ search: 'todo', page: 2, limit: 2 });
+
+      const searchArgs = mockSupabase.rpc.withArgs('search_submissions').firstCall.args[1];
+      expect(searchArgs).to.include({ p_query: 'todo', p_sort: 'relevance', p_limit: 2, p_offset: 2 });
+      expect(mockSupabase.calls[0].calls).to.deep.include(['in', 'id', ['a', 'b']]);
+      expect(result.data.map(row => row.id)).to.deep.equal(['a', 'b']);
+      expect(result.data[0].search.title).to.deep.equal([{ text: 'Todoist', match: true }]);
+      expect(result.data[1].search.snippet).to.be.null;
+      expect(result.pagination).to.deep.equal({ page: 2, limit: 2, total: 12, totalPages: 6 });
+      expect(result.facets).to.deep.equal(facets);
+    });
+
+    it('should skip the row lookup and facets for empty filtered listings', async () => {
+      mockSupabase.rpc.withArgs('search_submissions').resolves({ data: [], error: null });
+
+      const result = await service.getSubmissions({ category: 'design' });
+
+      expect(mockSupabase.rpc.calledOnce).to.be.true;
+      expect(mockSupabase.from.called).to.be.false;
+      expect(result).to.deep.equal({
+        data: [],
+        pagination: { page: 1, limit: 10, total: 0, totalPages: 0 },
+        facets: null
+      });
+    });
+
+    it('should surface search errors', async () => {
+      mockSupabase.rpc.resolves({ data: null, error: { message: 'syntax error in tsquery' } });
+
+      try {
+        await service.searchSubmissions({ search: 'todo' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to search submissions');
+      }
+    });
+  });
+});
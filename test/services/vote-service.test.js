@@ -0,0 +1,257 @@
+// test/services/vote-service.test.js
+// Test suite for VoteService and ranked submission listings using Mocha and Chai
+
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { VoteService } from '../../src/lib/services/vote-service.js';
+import { SubmissionService } from '../../src/lib/services/submission-service.js';
+
+/**
+ * Chainable query stub that records calls and resolves with the next queued
+ * response for its table
+ */
+function createMockSupabase(responses = {}) {
+  const calls = [];
+  const from = sinon.stub().callsFake(table => {
+    const query = { table, calls: [] };
+    for (const method of ['select', 'insert', 'delete', 'eq', 'in', 'gte', 'order', 'range', 'or', 'overlaps']) {
+      query[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        return query;
+      };
+    }
+    const next = () => {
+      const queue = responses[table] || [];
+      return Promise.resolve(queue.length > 1 ? queue.shift() : queue[0] || { data: null, error: null });
+    };
+    query.single = () => next();
+    query.maybeSingle = () => next();
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    calls.push(query);
+    return query;
+  });
+
+  const rpc = sinon.stub().callsFake((name) => {
+    const queue = responses[`rpc:${name}`] || [];
+    return Promise.resolve(queue.length > 1 ? queue.shift() : queue[0] || { data: null, error: null });
+  });
+
+  return { from, rpc, calls };
+}
+
+describe('VoteService', () => {
+  let mockSupabase;
+  let spamDetectionService;
+  let ipProtectionService;
+  let service;
+
+  const approved = { data: { id: 'sub-1', status: 'approved', votes_count: 4 }, error: null };
+
+  const build = responses => {
+    mockSupabase = createMockSupabase(responses);
+    service = new VoteService(mockSupabase, { spamDetectionService, ipProtectionService });
+  };
+
+  beforeEach(() => {
+    spamDetectionService = {
+      analyzeBehaviorPattern: sinon.stub().resolves({ isSpam: false, activityCount: 0 }),
+    };
+    ipProtectionService = {
+      checkIpBlacklist: sinon.stub().resolves({ isBlocked: false, reputation: 'neutral' }),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('upvote', () => {
+    it('should record the vote and return the denormalized count', async () => {
+      build({
+        submissions: [approved, { data: { votes_count: 5 }, error: null }],
+        votes: [{ data: null, error: null }, { data: null, error: null }],
+        'rpc:count_recent_votes_from_ip': [{ data: 0, error: null }]
+      });
+
+      const result = await service.upvote('sub-1', 'user-1', { ipAddress: '203.0.113.9', userAgent: 'test' });
+
+      expect(result).to.deep.equal({ submission_id: 'sub-1', voted: true, votes_count: 5, already_voted: false });
+      const insert = mockSupabase.calls.find(query => query.calls.some(([method]) => method === 'insert'));
+      expect(insert.calls[0][1]).to.deep.equal({ submission_id: 'sub-1', user_id: 'user-1', vote_type: 'up' });
+      expect(mockSupabase.rpc.calledWith('record_vote_audit', {
+        p_submission_id: 'sub-1',
+        p_ip_address: '203.0.113.9',
+        p_user_agent: 'test'
+      })).to.be.true;
+      expect(spamDetectionService.analyzeBehaviorPattern.calledWith('user-1', 'voting')).to.be.true;
+    });
+
+    it('should be idempotent when the user already voted', async () => {
+      build({
+        submissions: [approved],
+        votes: [{ data: { id: 'vote-1' }, error: null }],
+      });
+
+      const result = await service.upvote('sub-1', 'user-1');
+
+      expect(result.already_voted).to.be.true;
+      expect(mockSupabase.calls.some(query => query.calls.some(([method]) => method === 'insert'))).to.be.false;
+    });
+
+    it('should treat a concurrent duplicate insert as already voted', async () => {
+      build({
+        submissions: [approved],
+        votes: [{ data: null, error: null }, { error: { code: '23505', message: 'duplicate key' } }],
+      });
+
+      expect((await service.upvote('sub-1', 'user-1')).already_voted).to.be.true;
+    });
+
+    it('should refuse submissions that are not approved', async () => {
+      build({ submissions: [{ data: { id: 'sub-1', status: 'pending_review' }, error: null }] });
+
+      try {
+        await service.upvote('sub-1', 'user-1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+
+    it('should require authentication', async () => {
+      build({});
+
+      try {
+        await service.upvote('sub-1', null);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(401);
+      }
+    });
+  });
+
+  describe('checkVoteAbuse', () => {
+    it('should block votes from blacklisted IPs', async () => {
+      build({});
+      ipProtectionService.checkIpBlacklist.resolves({ isBlocked: true, reason: 'IP is blacklisted' });
+
+      try {
+        await service.checkVoteAbuse('sub-1', 'user-1', '198.51.100.1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(403);
+      }
+    });
+
+    it('should rate limit rapid voting, sooner from suspicious IPs', async () => {
+      build({ 'rpc:count_recent_votes_from_ip': [{ data: 0, error: null }] });
+      spamDetectionService.analyzeBehaviorPattern.resolves({ isSpam: false, activityCount: 6 });
+
+      await service.checkVoteAbuse('sub-1', 'user-1', '198.51.100.1');
+
+      ipProtectionService.checkIpBlacklist.resolves({ isBlocked: false, reputation: 'suspicious' });
+      try {
+        await service.checkVoteAbuse('sub-1', 'user-1', '198.51.100.1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(429);
+      }
+    });
+
+    it('should cap votes per IP on the same submission', async () => {
+      build({ 'rpc:count_recent_votes_from_ip': [{ data: 3, error: null }] });
+
+      try {
+        await service.checkVoteAbuse('sub-1', 'user-1', '198.51.100.1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Too many votes for this launch from your network');
+      }
+      expect(mockSupabase.rpc.firstCall.args[0]).to.equal('count_recent_votes_from_ip');
+      expect(mockSupabase.rpc.firstCall.args[1]).to.include({ p_submission_id: 'sub-1', p_ip_address: '198.51.100.1' });
+    });
+
+    it('should fail open when the velocity check errors', async () => {
+      build({});
+      spamDetectionService.analyzeBehaviorPattern.rejects(new Error('db down'));
+      sinon.stub(console, 'warn');
+
+      await service.checkVoteAbuse('sub-1', 'user-1', null);
+    });
+  });
+
+  describe('getVoteCount', () => {
+    it('should return the count of a votable submission', async () => {
+      build({ submissions: [approved] });
+
+      const result = await service.getVoteCount('sub-1');
+
+      expect(result).to.deep.equal({ submission_id: 'sub-1', votes_count: 4 });
+      expect(mockSupabase.calls[0].calls).to.deep.include(['in', 'status', ['approved', 'published']]);
+    });
+
+    it('should not reveal submissions that are not approved', async () => {
+      build({ submissions: [{ data: null, error: null }] });
+
+      try {
+        await service.getVoteCount('sub-1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+      }
+    });
+  });
+
+  describe('unvote', () => {
+    it('should delete only the user vote', async () => {
+      build({
+        votes: [{ error: null }],
+        submissions: [{ data: { votes_count: 3 }, error: null }],
+      });
+
+      const result = await service.unvote('sub-1', 'user-1');
+
+      expect(result).to.deep.equal({ submission_id: 'sub-1', voted: false, votes_count: 3 });
+      const removal = mockSupabase.calls.find(query => query.table === 'votes');
+      expect(removal.calls).to.deep.include(['eq', 'user_id', 'user-1']);
+    });
+  });
+});
+
+describe('SubmissionService ranking', () => {
+  let mockSupabase;
+  let service;
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date('2024-06-15T12:00:00.000Z'));
+    mockSupabase = createMockSupabase({ submissions: [{ data: [], error: null, count: 0 }] });
+    service = new SubmissionService({ supabase: mockSupabase, metadataFetcher: {}, fallbackMetadataFetcher: {}, aiRewriter: null });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should order hot listings by hot score', async () => {
+    await service.getSubmissions({ sort: 'hot' });
+
+    const orders = mockSupabase.calls[0].calls.filter(([method]) => method === 'order');
+    expect(orders[0].slice(1, 2)).to.deep.equal(['hot_score']);
+  });
+
+  it('should limit top listings to the period', async () => {
+    await service.getSubmissions({ sort: 'top', period: 'day' });
+
+    const { calls } = mockSupabase.calls[0];
+    expect(calls).to.deep.include(['gte', 'created_at', '2024-06-14T12:00:00.000Z']);
+    expect(calls.find(([method]) => method === 'order').slice(1, 2)).to.deep.equal(['votes_count']);
+  });
+
+  it('should not limit all-time top listings', async () => {
+    await service.getSubmissions({ sort: 'top', period: 'all' });
+
+    expect(mockSupabase.calls[0].calls.some(([method]) => method === 'gte')).to.be.false;
+  });
+});
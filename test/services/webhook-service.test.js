@@ -0,0 +1,424 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  WebhookRetryWorker,
+  WebhookService,
+  WEBHOOK_EVENTS,
+  getWebhookOwner,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from '../../src/lib/services/webhook-service.js';
+
+/**
+ * Chainable Supabase mock; each table resolves queued results in order
+ * (the last result repeats once the queue is exhausted)
+ */
+function createSupabaseMock(results = {}) {
+  const calls = [];
+  const queues = Object.fromEntries(
+    Object.entries(results).map(([table, value]) => [table, Array.isArray(value) ? [...value] : [value]])
+  );
+
+  const nextResult = table => {
+    const queue = queues[table];
+    if (!queue || queue.length === 0) {
+      return { data: null, error: null };
+    }
+    return queue.length > 1 ? queue.shift() : queue[0];
+  };
+
+  const from = table => {
+    const call = { table, operations: [] };
+    calls.push(call);
+
+    const builder = {};
+    ['select', 'insert', 'update', 'delete', 'eq', 'lte', 'contains', 'order', 'range', 'limit'].forEach(method => {
+      builder[method] = (...args) => {
+        call.operations.push({ method, args });
+        return builder;
+      };
+    });
+    builder.single = () => Promise.resolve(nextResult(table));
+    builder.then = (resolve, reject) => Promise.resolve(nextResult(table)).then(resolve, reject);
+
+    return builder;
+  };
+
+  return { from: sinon.spy(from), calls };
+}
+
+const findOperation = (call, method) => call.operations.find(operation => operation.method === method);
+
+describe('WebhookService', () => {
+  const owner = { user_id: 'user-1' };
+  const webhook = {
+    id: 'webhook-1',
+    user_id: 'user-1',
+    url: 'https://hooks.example.com/launchpadder',
+    events: ['submission.approved'],
+    secret: 'whsec_test',
+    status: 'active',
+    failure_count: 0
+  };
+
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = sinon.stub();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const okResponse = (status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => 'ok'
+  });
+
+  describe('constructor', () => {
+    it('should require a Supabase client', () => {
+      expect(() => new WebhookService(null)).to.throw('Supabase client is required');
+    });
+  });
+
+  describe('signatures', () => {
+    it('should sign and verify payloads', () => {
+      const body = JSON.stringify({ hello: 'world' });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const header = signWebhookPayload('secret', timestamp, body);
+
+      expect(header).to.match(/^t=\d+,v1=[0-9a-f]{64}$/);
+      expect(verifyWebhookSignature('secret', header, body)).to.be.true;
+      expect(verifyWebhookSignature('other', header, body)).to.be.false;
+      expect(verifyWebhookSignature('secret', header, `${body} `)).to.be.false;
+    });
+
+    it('should reject stale signatures', () => {
+      const body = '{}';
+      const header = signWebhookPayload('secret', Math.floor(Date.now() / 1000) - 600, body);
+
+      expect(verifyWebhookSignature('secret', header, body)).to.be.false;
+    });
+  });
+
+  describe('getWebhookOwner', () => {
+    it('should map API v1 auth info to an owner', () => {
+      expect(getWebhookOwner({ type: 'user', user: { id: 'u1' } })).to.deep.equal({ user_id: 'u1' });
+      expect(getWebhookOwner({ type: 'federation_partner', partner: { id: 'p1' } }))
+        .to.deep.equal({ partner_id: 'p1' });
+      expect(getWebhookOwner(null)).to.be.null;
+    });
+  });
+
+  describe('createWebhook', () => {
+    it('should create a webhook with a generated secret', async () => {
+      const supabase = createSupabaseMock({
+        webhooks: [{ count: 0, error: null }, { data: { ...webhook }, error: null }]
+      });
+      const service = new WebhookService(supabase);
+
+      const result = await service.createWebhook(owner, {
+        url: webhook.url,
+        events: ['submission.approved', 'submission.approved']
+      });
+
+      expect(result.id).to.equal('webhook-1');
+      const inserted = findOperation(supabase.calls[1], 'insert').args[0][0];
+      expect(inserted.user_id).to.equal('user-1');
+      expect(inserted.events).to.deep.equal(['submission.approved']);
+      expect(inserted.secret).to.match(/^whsec_[0-9a-f]{64}$/);
+    });
+
+    it('should reject unknown events with a validation error', async () => {
+      const service = new WebhookService(createSupabaseMock());
+
+      try {
+        await service.createWebhook(owner, { url: webhook.url, events: ['launch.exploded'] });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Unknown event types: launch.exploded');
+        expect(error.status).to.equal(400);
+      }
+    });
+
+    it('should enforce the per-owner webhook limit', async () => {
+      const service = new WebhookService(
+        createSupabaseMock({ webhooks: { count: 2, error: null } }),
+        { maxWebhooksPerOwner: 2 }
+      );
+
+      try {
+        await service.createWebhook(owner, { url: webhook.url, events: ['badge.awarded'] });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Webhook limit reached (2)');
+      }
+    });
+  });
+
+  describe('listWebhooks', () => {
+    it('should scope to the owner and omit secrets', async () => {
+      const supabase = createSupabaseMock({ webhooks: { data: [webhook], error: null } });
+      const service = new WebhookService(supabase);
+
+      const webhooks = await service.listWebhooks({ partner_id: 'partner-1' });
+
+      expect(webhooks[0]).to.not.have.property('secret');
+      expect(findOperation(supabase.calls[0], 'eq').args).to.deep.equal(['partner_id', 'partner-1']);
+    });
+  });
+
+  describe('emit', () => {
+    it('should sign and deliver public events to subscribers', async () => {
+      fetchStub.resolves(okResponse());
+      const supabase = createSupabaseMock({
+        webhooks: { data: [webhook], error: null },
+        webhook_deliveries: [
+          {
+            data: {
+              id: 'delivery-1',
+              event_type: 'submission.approved',
+              payload: { id: 'evt_1', type: 'submission.approved', data: { submission: { id: 's1' } } },
+              attempt_count: 0,
+              max_attempts: 5
+            },
+            error: null
+          },
+          { data: { id: 'delivery-1', status: 'delivered' }, error: null }
+        ]
+      });
+      const service = new WebhookService(supabase, { fetch: fetchStub });
+
+      const [delivery] = await service.emit('submission.approved', { submission: { id: 's1' } });
+
+      expect(delivery.status).to.equal('delivered');
+      expect(findOperation(supabase.calls[0], 'contains').args).to.deep.equal(['events', ['submission.approved']]);
+
+      const [url, request] = fetchStub.firstCall.args;
+      expect(url).to.equal(webhook.url);
+      expect(request.headers['X-LaunchPadder-Event']).to.equal('submission.approved');
+      expect(request.headers['X-LaunchPadder-Delivery']).to.equal('delivery-1');
+      expect(verifyWebhookSignature('whsec_test', request.headers['X-LaunchPadder-Signature'], request.body)).to.be.true;
+      expect(JSON.parse(request.body).data).to.deep.equal({ submission: { id: 's1' } });
+
+      const inserted = findOperation(supabase.calls[1], 'insert').args[0][0];
+      expect(inserted.payload.type).to.equal('submission.approved');
+      expect(inserted.payload.data).to.deep.equal({ submission: { id: 's1' } });
+    });
+
+    it('should only deliver private events to the affected user', async () => {
+      const supabase = createSupabaseMock({ webhooks: { data: [], error: null } });
+      const service = new WebhookService(supabase, { fetch: fetchStub });
+
+      await service.emit('payment.succeeded', { amount: 100 }, { userId: 'user-1' });
+      const eqArgs = supabase.calls[0].operations.filter(op => op.method === 'eq').map(op => op.args);
+      expect(eqArgs).to.deep.include(['user_id', 'user-1']);
+
+      const results = await service.emit('payment.succeeded', { amount: 100 });
+      expect(results).to.deep.equal([]);
+      expect(supabase.calls).to.have.length(1);
+    });
+
+    it('should never throw', async () => {
+      const service = new WebhookService(
+        createSupabaseMock({ webhooks: { data: null, error: { message: 'boom' } } })
+      );
+      sinon.stub(console, 'error');
+
+      expect(await service.emit('badge.awarded', {})).to.deep.equal([]);
+      expect(await service.emit('not.an.event', {})).to.deep.equal([]);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    const delivery = {
+      id: 'delivery-1',
+      event_type: 'badge.awarded',
+      payload: { type: 'badge.awarded', data: {} },
+      attempt_count: 0,
+      max_attempts: 3
+    };
+
+    it('should schedule a retry with exponential backoff on failure', async () => {
+      fetchStub.resolves(okResponse(500));
+      const supabase = createSupabaseMock();
+      const service = new WebhookService(supabase, { retryBaseDelay: 1000, scheduleRetries: false, fetch: fetchStub });
+
+      const result = await service.attemptDelivery({ ...delivery, attempt_count: 1 }, webhook);
+
+      expect(result.status).to.equal('retrying');
+      expect(result.attempt_count).to.equal(2);
+      expect(result.last_error).to.equal('HTTP 500');
+      const retryAt = new Date(result.next_retry_at).getTime();
+      expect(retryAt - Date.now()).to.be.within(1500, 2100);
+
+      const webhookUpdate = findOperation(supabase.calls[1], 'update').args[0];
+      expect(webhookUpdate.failure_count).to.equal(1);
+    });
+
+    it('should mark the delivery failed once attempts are exhausted', async () => {
+      fetchStub.rejects(new Error('connect ECONNREFUSED'));
+      const service = new WebhookService(createSupabaseMock(), { scheduleRetries: false, fetch: fetchStub });
+
+      const result = await service.attemptDelivery({ ...delivery, attempt_count: 2 }, webhook);
+
+      expect(result.status).to.equal('failed');
+      expect(result.next_retry_at).to.be.null;
+      expect(result.last_error).to.equal('connect ECONNREFUSED');
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay per attempt up to the maximum', () => {
+      const service = new WebhookService({}, { retryBaseDelay: 1000, maxRetryDelay: 5000 });
+
+      expect(service.getRetryDelay(1)).to.equal(1000);
+      expect(service.getRetryDelay(2)).to.equal(2000);
+      expect(service.getRetryDelay(3)).to.equal(4000);
+      expect(service.getRetryDelay(4)).to.equal(5000);
+    });
+  });
+
+  describe('processDueRetries', () => {
+    it('should retry due deliveries and fail those whose webhook is disabled', async () => {
+      fetchStub.resolves(okResponse());
+      const supabase = createSupabaseMock({
+        webhook_deliveries: [
+          {
+            data: [
+              { id: 'd1', event_type: 'badge.awarded', payload: {}, attempt_count: 1, max_attempts: 5, next_retry_at: '2024-01-01T00:00:00.000Z', webhooks: webhook },
+              { id: 'd2', event_type: 'badge.awarded', payload: {}, attempt_count: 1, max_attempts: 5, webhooks: { ...webhook, status: 'inactive' } }
+            ],
+            error: null
+          },
+          { data: [{ id: 'd1' }], error: null },
+          { data: { id: 'd1', status: 'delivered' }, error: null }
+        ]
+      });
+      const service = new WebhookService(supabase, { fetch: fetchStub });
+
+      const summary = await service.processDueRetries();
+
+      expect(summary).to.deep.equal({ processed: 1, delivered: 1, failed: 1 });
+      expect(fetchStub.calledOnce).to.be.true;
+      const claim = supabase.calls[1].operations;
+      expect(claim.filter(operation => operation.method === 'eq').map(operation => operation.args))
+        .to.deep.equal([['id', 'd1'], ['status', 'retrying'], ['next_retry_at', '2024-01-01T00:00:00.000Z']]);
+    });
+
+    it('should skip retries another worker has claimed', async () => {
+      const supabase = createSupabaseMock({
+        webhook_deliveries: [
+          { data: [{ id: 'd1', event_type: 'badge.awarded', payload: {}, attempt_count: 1, webhooks: webhook }], error: null },
+          { data: [], error: null }
+        ]
+      });
+      const service = new WebhookService(supabase, { fetch: fetchStub });
+
+      expect(await service.processDueRetries()).to.deep.equal({ processed: 0, delivered: 0, failed: 0 });
+      expect(fetchStub.called).to.be.false;
+    });
+  });
+
+  describe('WebhookRetryWorker', () => {
+    it('should schedule once and log instead of throwing', async () => {
+      const scheduler = { schedule: sinon.stub().returns({ stop: sinon.stub() }) };
+      const logger = { info: sinon.stub(), error: sinon.stub() };
+      const worker = new WebhookRetryWorker({ processDueRetries: sinon.stub().rejects(new Error('db down')) }, logger, { scheduler });
+
+      worker.start().start();
+      expect(scheduler.schedule.calledOnce).to.be.true;
+      expect(await worker.tick()).to.be.null;
+      expect(logger.error.firstCall.args[1]).to.deep.equal({ error: 'db down' });
+    });
+  });
+
+  describe('private addresses', () => {
+    const publicLookup = (hostname, options, callback) => callback(null, [{ address: '93.184.216.34', family: 4 }]);
+
+    it('should refuse webhook URLs that are or resolve to private addresses', async () => {
+      const service = new WebhookService(createSupabaseMock(), {
+        allowPrivateHosts: false,
+        lookup: (hostname, options, callback) => callback(null, [{ address: '10.0.0.7', family: 4 }])
+      });
+
+      for (const url of ['http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/hook', 'http://[::ffff:169.254.169.254]/hook', 'https://internal.example.com/hook']) {
+        try {
+          await service.createWebhook(owner, { url, events: ['badge.awarded'] });
+          expect.fail(`Should have refused ${url}`);
+        } catch (error) {
+          expect(error.status, url).to.equal(400);
+          expect(error.message).to.equal('Webhook URL must not point to a private address');
+        }
+      }
+    });
+
+    it('should deliver through agents that refuse private addresses', async () => {
+      fetchStub.resolves(okResponse());
+      const service = new WebhookService(createSupabaseMock(), {
+        allowPrivateHosts: false,
+        lookup: publicLookup,
+        scheduleRetries: false,
+        fetch: fetchStub
+      });
+
+      await service.attemptDelivery({ id: 'delivery-1', event_type: 'badge.awarded', payload: {} }, webhook);
+      const { agent } = fetchStub.firstCall.args[1];
+      expect(agent(new URL(webhook.url))).to.equal(service.agents['https:']);
+
+      const result = await service.attemptDelivery(
+        { id: 'delivery-2', event_type: 'badge.awarded', payload: {} },
+        { ...webhook, url: 'http://127.0.0.1:9000/hook' }
+      );
+      expect(result.last_error).to.equal('Private IP addresses are not allowed');
+      expect(fetchStub.calledOnce).to.be.true;
+    });
+  });
+
+  describe('redeliver', () => {
+    it('should replay the original payload as a new delivery', async () => {
+      fetchStub.resolves(okResponse());
+      const original = { id: 'delivery-1', webhook_id: 'webhook-1', event_type: 'badge.awarded', payload: { id: 'evt_1' } };
+      const supabase = createSupabaseMock({
+        webhooks: { data: webhook, error: null },
+        webhook_deliveries: [
+          { data: original, error: null },
+          { data: { id: 'delivery-2', event_type: 'badge.awarded', payload: original.payload, attempt_count: 0 }, error: null },
+          { data: { id: 'delivery-2', status: 'delivered' }, error: null }
+        ]
+      });
+      const service = new WebhookService(supabase, { fetch: fetchStub });
+
+      const result = await service.redeliver('webhook-1', 'delivery-1', owner);
+
+      expect(result.id).to.equal('delivery-2');
+      const insert = supabase.calls
+        .filter(call => call.table === 'webhook_deliveries')
+        .map(call => findOperation(call, 'insert'))
+        .find(Boolean);
+      expect(insert.args[0][0].redelivery_of).to.equal('delivery-1');
+      expect(JSON.parse(fetchStub.firstCall.args[1].body)).to.deep.equal({ id: 'evt_1' });
+    });
+
+    it('should return null for webhooks the caller does not own', async () => {
+      const service = new WebhookService(
+        createSupabaseMock({ webhooks: { data: null, error: { code: 'PGRST116' } } })
+      );
+
+      expect(await service.redeliver('webhook-1', 'delivery-1', { user_id: 'someone-else' })).to.be.null;
+    });
+  });
+
+  it('should expose the supported event types', () => {
+    expect(Object.keys(WEBHOOK_EVENTS)).to.have.members([
+      'submission.approved',
+      'submission.rejected',
+      'payment.succeeded',
+      'federation.status_changed',
+      'badge.awarded'
+    ]);
+  });
+});